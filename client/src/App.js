@@ -27,7 +27,11 @@ import {
   Menu as MenuIcon,
   Dashboard as DashboardIcon,
   Groups as GroupsIcon,
+  Bookmarks as BookmarksIcon,
   Assessment as AssessmentIcon,
+  Science as ScienceIcon,
+  RateReview as RateReviewIcon,
+  NotificationsActive as NotificationsActiveIcon,
   Settings as SettingsIcon,
   Brightness4 as DarkModeIcon,
   Brightness7 as LightModeIcon
@@ -38,6 +42,10 @@ import Dashboard from './components/Dashboard';
 import StockDetail from './components/StockDetail';
 import SubredditManagement from './components/SubredditManagement';
 import UserReputation from './components/UserReputation';
+import Backtest from './components/Backtest';
+import AlertManagement from './components/AlertManagement';
+import Watchlists from './components/Watchlists';
+import Annotation from './components/Annotation';
 import { ApiService } from './services/ApiService';
 import { WebSocketService } from './services/WebSocketService';
 
@@ -348,8 +356,12 @@ function App() {
 
   const menuItems = [
     { id: 'dashboard', label: 'Dashboard', icon: <DashboardIcon /> },
+    { id: 'watchlists', label: 'Watchlists', icon: <BookmarksIcon /> },
     { id: 'subreddits', label: 'Subreddit Manager', icon: <GroupsIcon /> },
     { id: 'users', label: 'User Reputation', icon: <AssessmentIcon /> },
+    { id: 'backtest', label: 'Backtest', icon: <ScienceIcon /> },
+    { id: 'alerts', label: 'Alerts', icon: <NotificationsActiveIcon /> },
+    { id: 'annotate', label: 'Annotate', icon: <RateReviewIcon /> },
     { id: 'settings', label: 'Settings', icon: <SettingsIcon /> }
   ];
 
@@ -359,10 +371,18 @@ function App() {
         return <Dashboard onStockSelect={(ticker) => handleNavigation('stock', ticker)} />;
       case 'stock':
         return <StockDetail ticker={selectedStock} onBack={() => handleNavigation('dashboard')} />;
+      case 'watchlists':
+        return <Watchlists onStockSelect={(ticker) => handleNavigation('stock', ticker)} />;
       case 'subreddits':
         return <SubredditManagement />;
       case 'users':
         return <UserReputation />;
+      case 'backtest':
+        return <Backtest />;
+      case 'alerts':
+        return <AlertManagement />;
+      case 'annotate':
+        return <Annotation />;
       case 'settings':
         return (
           <Container maxWidth="md" sx={{ mt: 4 }}>
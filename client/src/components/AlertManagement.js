@@ -0,0 +1,784 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Container,
+  Typography,
+  Box,
+  Card,
+  CardContent,
+  Grid,
+  Button,
+  TextField,
+  Switch,
+  FormControlLabel,
+  Checkbox,
+  MenuItem,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  IconButton,
+  Tooltip,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Alert,
+  LinearProgress,
+  Avatar
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  PlayArrow as PlayArrowIcon,
+  NotificationsActive as NotificationsActiveIcon,
+  Rule as RuleIcon,
+  DoneAll as DoneAllIcon,
+  Check as CheckIcon,
+  Refresh as RefreshIcon
+} from '@mui/icons-material';
+
+import { ApiService } from '../services/ApiService';
+import { WebSocketService } from '../services/WebSocketService';
+
+const CONDITION_TYPES = [
+  { value: 'mentions_24h', label: '24h mentions', kind: 'numeric' },
+  { value: 'sentiment_change', label: 'Sentiment change', kind: 'numeric' },
+  { value: 'trending_score', label: 'Trending score', kind: 'numeric' },
+  { value: 'confidence_level', label: 'Confidence level', kind: 'level' },
+  { value: 'manipulation_risk', label: 'Manipulation risk', kind: 'level' },
+  { value: 'unusual_activity', label: 'Unusual activity', kind: 'flag' },
+  { value: 'news_divergence', label: 'News divergence', kind: 'flag' }
+];
+
+const LEVELS = {
+  confidence_level: ['very_low', 'low', 'medium', 'high', 'very_high'],
+  manipulation_risk: ['low', 'medium', 'high', 'critical']
+};
+
+const OPERATORS = [
+  { value: 'gt', label: '>' },
+  { value: 'gte', label: '>=' },
+  { value: 'lt', label: '<' },
+  { value: 'lte', label: '<=' },
+  { value: 'abs_gt', label: '|change| >' },
+  { value: 'becomes', label: 'becomes' }
+];
+
+const emptyRule = {
+  name: '',
+  description: '',
+  ticker: '',
+  condition: { type: 'mentions_24h', operator: 'gt', threshold: 100, window_hours: 6 },
+  channels: [{ type: 'socket', target: '' }],
+  severity: 'warning',
+  cooldown_minutes: 60,
+  is_active: true
+};
+
+function AlertManagement() {
+  const [rules, setRules] = useState([]);
+  const [alerts, setAlerts] = useState([]);
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [openDialog, setOpenDialog] = useState(false);
+  const [editingRule, setEditingRule] = useState(emptyRule);
+  const [testResult, setTestResult] = useState(null);
+
+  const loadData = useCallback(async () => {
+    try {
+      const [rulesResponse, alertsResponse, statusResponse] = await Promise.all([
+        ApiService.getAlertRules(),
+        ApiService.getAlerts({ limit: 50 }),
+        ApiService.getAlertStatus()
+      ]);
+      setRules(Array.isArray(rulesResponse.data) ? rulesResponse.data : []);
+      setAlerts(Array.isArray(alertsResponse.data) ? alertsResponse.data : []);
+      setStatus(statusResponse.data || null);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to load alerts');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadData();
+
+    // Refresh history when the server pushes a fired alert
+    const subscriptionId = WebSocketService.subscribe('alertUpdate', (alert) => {
+      if (!alert.test) loadData();
+    });
+
+    return () => {
+      WebSocketService.unsubscribe('alertUpdate', subscriptionId);
+    };
+  }, [loadData]);
+
+  const handleAddRule = () => {
+    setEditingRule(emptyRule);
+    setOpenDialog(true);
+  };
+
+  const handleEditRule = (rule) => {
+    setEditingRule({
+      ...emptyRule,
+      ...rule,
+      ticker: rule.ticker || '',
+      condition: { ...emptyRule.condition, ...rule.condition },
+      channels: rule.channels && rule.channels.length > 0 ? rule.channels : emptyRule.channels
+    });
+    setOpenDialog(true);
+  };
+
+  const handleDeleteRule = async (rule) => {
+    if (window.confirm(`Delete alert rule "${rule.name}"?`)) {
+      try {
+        await ApiService.deleteAlertRule(rule._id);
+        loadData();
+      } catch (err) {
+        setError(err.response?.data?.error || err.message || 'Failed to delete rule');
+      }
+    }
+  };
+
+  const handleToggleRule = async (rule) => {
+    try {
+      await ApiService.updateAlertRule(rule._id, { is_active: !rule.is_active });
+      loadData();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to update rule');
+    }
+  };
+
+  const handleSaveRule = async () => {
+    const payload = {
+      name: editingRule.name,
+      description: editingRule.description,
+      ticker: editingRule.ticker ? editingRule.ticker.toUpperCase() : null,
+      condition: editingRule.condition,
+      channels: editingRule.channels,
+      severity: editingRule.severity,
+      cooldown_minutes: Number(editingRule.cooldown_minutes),
+      is_active: editingRule.is_active
+    };
+
+    try {
+      if (editingRule._id) {
+        await ApiService.updateAlertRule(editingRule._id, payload);
+      } else {
+        await ApiService.createAlertRule(payload);
+      }
+      setOpenDialog(false);
+      loadData();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to save rule');
+    }
+  };
+
+  const handleTestRule = async (rule) => {
+    try {
+      const response = await ApiService.testAlertRule(rule._id, { deliver: true });
+      setTestResult(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to test rule');
+    }
+  };
+
+  const handleEvaluateNow = async () => {
+    try {
+      const response = await ApiService.evaluateAlertRules();
+      const summary = response.data || {};
+      setMessage(summary.skipped
+        ? 'An evaluation is already running'
+        : `Evaluated ${summary.rules_evaluated} rules, ${summary.alerts_triggered} alerts fired`);
+      loadData();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to evaluate rules');
+    }
+  };
+
+  const handleAcknowledge = async (alertId) => {
+    try {
+      await ApiService.acknowledgeAlert(alertId);
+      setAlerts(prev => prev.map(a => (a._id === alertId ? { ...a, acknowledged: true } : a)));
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to acknowledge alert');
+    }
+  };
+
+  const handleAcknowledgeAll = async () => {
+    try {
+      await ApiService.acknowledgeAllAlerts();
+      loadData();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to acknowledge alerts');
+    }
+  };
+
+  const updateCondition = (field, value) => {
+    setEditingRule(prev => {
+      const condition = { ...prev.condition, [field]: value };
+
+      // Keep operator and threshold sensible when switching condition type
+      if (field === 'type') {
+        const kind = CONDITION_TYPES.find(c => c.value === value)?.kind;
+        if (kind === 'level') {
+          condition.operator = 'becomes';
+          condition.threshold = value === 'confidence_level' ? 'very_high' : 'high';
+        } else if (kind === 'flag') {
+          condition.operator = 'becomes';
+          condition.threshold = null;
+        } else {
+          condition.operator = value === 'sentiment_change' ? 'abs_gt' : 'gt';
+          condition.threshold = value === 'sentiment_change' ? 20 : 100;
+        }
+      }
+
+      return { ...prev, condition };
+    });
+  };
+
+  const isChannelEnabled = (type) => editingRule.channels.some(c => c.type === type);
+
+  const getChannelTarget = (type) => editingRule.channels.find(c => c.type === type)?.target || '';
+
+  const toggleChannel = (type) => {
+    setEditingRule(prev => ({
+      ...prev,
+      channels: isChannelEnabled(type)
+        ? prev.channels.filter(c => c.type !== type)
+        : [...prev.channels, { type, target: '' }]
+    }));
+  };
+
+  const setChannelTarget = (type, target) => {
+    setEditingRule(prev => ({
+      ...prev,
+      channels: prev.channels.map(c => (c.type === type ? { ...c, target } : c))
+    }));
+  };
+
+  const getSeverityColor = (severity) => {
+    switch (severity) {
+      case 'critical': return 'error';
+      case 'warning': return 'warning';
+      default: return 'info';
+    }
+  };
+
+  const getDeliveryColor = (status) => {
+    switch (status) {
+      case 'sent': return 'success';
+      case 'failed': return 'error';
+      default: return 'default';
+    }
+  };
+
+  const formatDate = (value) => (value ? new Date(value).toLocaleString() : 'Never');
+
+  const conditionKind = CONDITION_TYPES.find(c => c.value === editingRule.condition.type)?.kind;
+  const unacknowledged = alerts.filter(a => !a.acknowledged).length;
+
+  if (loading) {
+    return (
+      <Container maxWidth="xl" sx={{ mt: 4 }}>
+        <LinearProgress />
+      </Container>
+    );
+  }
+
+  return (
+    <Container maxWidth="xl" sx={{ mt: 4, mb: 4 }}>
+      {/* Header */}
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4" component="h1">
+          🔔 Alerts
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 2 }}>
+          <Button variant="outlined" startIcon={<PlayArrowIcon />} onClick={handleEvaluateNow}>
+            Evaluate Now
+          </Button>
+          <Button variant="contained" startIcon={<AddIcon />} onClick={handleAddRule}>
+            New Rule
+          </Button>
+          <IconButton onClick={loadData}>
+            <RefreshIcon />
+          </IconButton>
+        </Box>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {message && (
+        <Alert severity="info" sx={{ mb: 3 }} onClose={() => setMessage(null)}>
+          {message}
+        </Alert>
+      )}
+
+      {/* Summary Cards */}
+      <Grid container spacing={3} sx={{ mb: 3 }}>
+        <Grid size={{ xs: 12, sm: 6, md: 3 }}>
+          <Card>
+            <CardContent>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+                <Avatar sx={{ bgcolor: 'primary.main' }}>
+                  <RuleIcon />
+                </Avatar>
+                <Box>
+                  <Typography variant="h6">
+                    {rules.filter(r => r.is_active).length} / {rules.length}
+                  </Typography>
+                  <Typography color="text.secondary">
+                    Active Rules
+                  </Typography>
+                </Box>
+              </Box>
+            </CardContent>
+          </Card>
+        </Grid>
+
+        <Grid size={{ xs: 12, sm: 6, md: 3 }}>
+          <Card>
+            <CardContent>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+                <Avatar sx={{ bgcolor: 'warning.main' }}>
+                  <NotificationsActiveIcon />
+                </Avatar>
+                <Box>
+                  <Typography variant="h6">
+                    {status?.unacknowledged_alerts ?? unacknowledged}
+                  </Typography>
+                  <Typography color="text.secondary">
+                    Unacknowledged Alerts
+                  </Typography>
+                </Box>
+              </Box>
+            </CardContent>
+          </Card>
+        </Grid>
+
+        <Grid size={{ xs: 12, sm: 6, md: 3 }}>
+          <Card>
+            <CardContent>
+              <Typography variant="h6">
+                {formatDate(status?.last_evaluation)}
+              </Typography>
+              <Typography color="text.secondary">
+                Last Evaluation
+              </Typography>
+            </CardContent>
+          </Card>
+        </Grid>
+
+        <Grid size={{ xs: 12, sm: 6, md: 3 }}>
+          <Card>
+            <CardContent>
+              <Typography variant="h6">
+                {status?.deliveries_failed ?? 0}
+              </Typography>
+              <Typography color="text.secondary">
+                Failed Deliveries
+              </Typography>
+            </CardContent>
+          </Card>
+        </Grid>
+      </Grid>
+
+      {/* Rules Table */}
+      <Card sx={{ mb: 3 }}>
+        <CardContent>
+          <Typography variant="h6" gutterBottom>
+            Alert Rules
+          </Typography>
+          <TableContainer component={Paper} variant="outlined">
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Name</TableCell>
+                  <TableCell>Condition</TableCell>
+                  <TableCell>Channels</TableCell>
+                  <TableCell>Severity</TableCell>
+                  <TableCell align="right">Triggered</TableCell>
+                  <TableCell>Last Triggered</TableCell>
+                  <TableCell>Active</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {rules.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={8} align="center">
+                      <Typography color="text.secondary">
+                        No alert rules yet
+                      </Typography>
+                    </TableCell>
+                  </TableRow>
+                ) : rules.map((rule) => (
+                  <TableRow key={rule._id} hover>
+                    <TableCell>
+                      <Typography variant="body2" fontWeight="bold">{rule.name}</Typography>
+                      {rule.description && (
+                        <Typography variant="caption" color="text.secondary">{rule.description}</Typography>
+                      )}
+                    </TableCell>
+                    <TableCell>{rule.condition_summary}</TableCell>
+                    <TableCell>
+                      <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+                        {(rule.channels || []).map((channel, index) => (
+                          <Tooltip key={index} title={channel.target || 'Live dashboard'}>
+                            <Chip label={channel.type} size="small" variant="outlined" />
+                          </Tooltip>
+                        ))}
+                      </Box>
+                    </TableCell>
+                    <TableCell>
+                      <Chip label={rule.severity} size="small" color={getSeverityColor(rule.severity)} />
+                    </TableCell>
+                    <TableCell align="right">{rule.trigger_count}</TableCell>
+                    <TableCell>{formatDate(rule.last_triggered)}</TableCell>
+                    <TableCell>
+                      <Switch
+                        checked={rule.is_active}
+                        onChange={() => handleToggleRule(rule)}
+                        size="small"
+                      />
+                    </TableCell>
+                    <TableCell align="right">
+                      <Tooltip title="Dry-run and send test alert">
+                        <IconButton size="small" onClick={() => handleTestRule(rule)}>
+                          <PlayArrowIcon />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="Edit">
+                        <IconButton size="small" onClick={() => handleEditRule(rule)}>
+                          <EditIcon />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="Delete">
+                        <IconButton size="small" color="error" onClick={() => handleDeleteRule(rule)}>
+                          <DeleteIcon />
+                        </IconButton>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </CardContent>
+      </Card>
+
+      {/* Alert History */}
+      <Card>
+        <CardContent>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+            <Typography variant="h6">
+              Recent Alerts
+            </Typography>
+            <Button
+              size="small"
+              startIcon={<DoneAllIcon />}
+              onClick={handleAcknowledgeAll}
+              disabled={unacknowledged === 0}
+            >
+              Acknowledge All
+            </Button>
+          </Box>
+          <TableContainer component={Paper} variant="outlined">
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Time</TableCell>
+                  <TableCell>Ticker</TableCell>
+                  <TableCell>Rule</TableCell>
+                  <TableCell>Message</TableCell>
+                  <TableCell>Severity</TableCell>
+                  <TableCell>Delivery</TableCell>
+                  <TableCell align="right"></TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {alerts.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={7} align="center">
+                      <Typography color="text.secondary">
+                        No alerts have fired yet
+                      </Typography>
+                    </TableCell>
+                  </TableRow>
+                ) : alerts.map((alert) => (
+                  <TableRow key={alert._id} sx={{ opacity: alert.acknowledged ? 0.6 : 1 }}>
+                    <TableCell>{formatDate(alert.triggered_at)}</TableCell>
+                    <TableCell>
+                      <Chip label={alert.ticker || 'Market'} size="small" variant="outlined" />
+                    </TableCell>
+                    <TableCell>{alert.rule_name}</TableCell>
+                    <TableCell>{alert.message}</TableCell>
+                    <TableCell>
+                      <Chip label={alert.severity} size="small" color={getSeverityColor(alert.severity)} />
+                    </TableCell>
+                    <TableCell>
+                      <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+                        {(alert.deliveries || []).map((delivery, index) => (
+                          <Tooltip key={index} title={delivery.error || delivery.target || delivery.status}>
+                            <Chip
+                              label={delivery.channel}
+                              size="small"
+                              color={getDeliveryColor(delivery.status)}
+                            />
+                          </Tooltip>
+                        ))}
+                      </Box>
+                    </TableCell>
+                    <TableCell align="right">
+                      {!alert.acknowledged && (
+                        <Tooltip title="Acknowledge">
+                          <IconButton size="small" onClick={() => handleAcknowledge(alert._id)}>
+                            <CheckIcon />
+                          </IconButton>
+                        </Tooltip>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </CardContent>
+      </Card>
+
+      {/* Add/Edit Rule Dialog */}
+      <Dialog open={openDialog} onClose={() => setOpenDialog(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>
+          {editingRule._id ? 'Edit Alert Rule' : 'New Alert Rule'}
+        </DialogTitle>
+        <DialogContent>
+          <Grid container spacing={2} sx={{ mt: 0.5 }}>
+            <Grid size={{ xs: 12, md: 8 }}>
+              <TextField
+                fullWidth
+                label="Name"
+                value={editingRule.name}
+                onChange={(e) => setEditingRule({ ...editingRule, name: e.target.value })}
+              />
+            </Grid>
+            <Grid size={{ xs: 12, md: 4 }}>
+              <TextField
+                fullWidth
+                label="Ticker"
+                placeholder="Any"
+                value={editingRule.ticker}
+                onChange={(e) => setEditingRule({ ...editingRule, ticker: e.target.value.toUpperCase() })}
+              />
+            </Grid>
+            <Grid size={{ xs: 12 }}>
+              <TextField
+                fullWidth
+                label="Description"
+                value={editingRule.description}
+                onChange={(e) => setEditingRule({ ...editingRule, description: e.target.value })}
+              />
+            </Grid>
+
+            <Grid size={{ xs: 12, md: 5 }}>
+              <TextField
+                select
+                fullWidth
+                label="Condition"
+                value={editingRule.condition.type}
+                onChange={(e) => updateCondition('type', e.target.value)}
+              >
+                {CONDITION_TYPES.map(option => (
+                  <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            {conditionKind !== 'flag' && (
+              <>
+                <Grid size={{ xs: 6, md: 3 }}>
+                  <TextField
+                    select
+                    fullWidth
+                    label="Operator"
+                    value={editingRule.condition.operator}
+                    onChange={(e) => updateCondition('operator', e.target.value)}
+                  >
+                    {OPERATORS
+                      .filter(op => op.value !== 'abs_gt' || editingRule.condition.type === 'sentiment_change')
+                      .map(op => (
+                        <MenuItem key={op.value} value={op.value}>{op.label}</MenuItem>
+                      ))}
+                  </TextField>
+                </Grid>
+                <Grid size={{ xs: 6, md: 4 }}>
+                  {conditionKind === 'level' ? (
+                    <TextField
+                      select
+                      fullWidth
+                      label="Level"
+                      value={editingRule.condition.threshold || ''}
+                      onChange={(e) => updateCondition('threshold', e.target.value)}
+                    >
+                      {LEVELS[editingRule.condition.type].map(level => (
+                        <MenuItem key={level} value={level}>{level.replace('_', ' ')}</MenuItem>
+                      ))}
+                    </TextField>
+                  ) : (
+                    <TextField
+                      fullWidth
+                      type="number"
+                      label="Threshold"
+                      value={editingRule.condition.threshold ?? ''}
+                      onChange={(e) => updateCondition('threshold', Number(e.target.value))}
+                    />
+                  )}
+                </Grid>
+              </>
+            )}
+            {editingRule.condition.type === 'sentiment_change' && (
+              <Grid size={{ xs: 12, md: 4 }}>
+                <TextField
+                  fullWidth
+                  type="number"
+                  label="Window (hours)"
+                  value={editingRule.condition.window_hours}
+                  onChange={(e) => updateCondition('window_hours', Number(e.target.value))}
+                />
+              </Grid>
+            )}
+
+            <Grid size={{ xs: 6, md: 4 }}>
+              <TextField
+                select
+                fullWidth
+                label="Severity"
+                value={editingRule.severity}
+                onChange={(e) => setEditingRule({ ...editingRule, severity: e.target.value })}
+              >
+                <MenuItem value="info">Info</MenuItem>
+                <MenuItem value="warning">Warning</MenuItem>
+                <MenuItem value="critical">Critical</MenuItem>
+              </TextField>
+            </Grid>
+            <Grid size={{ xs: 6, md: 4 }}>
+              <TextField
+                fullWidth
+                type="number"
+                label="Cooldown (minutes)"
+                value={editingRule.cooldown_minutes}
+                onChange={(e) => setEditingRule({ ...editingRule, cooldown_minutes: e.target.value })}
+              />
+            </Grid>
+
+            <Grid size={{ xs: 12 }}>
+              <Typography variant="subtitle2" gutterBottom>
+                Delivery Channels
+              </Typography>
+              <FormControlLabel
+                control={<Checkbox checked={isChannelEnabled('socket')} onChange={() => toggleChannel('socket')} />}
+                label="Live dashboard"
+              />
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                <FormControlLabel
+                  sx={{ minWidth: 120 }}
+                  control={<Checkbox checked={isChannelEnabled('webhook')} onChange={() => toggleChannel('webhook')} />}
+                  label="Webhook"
+                />
+                <TextField
+                  fullWidth
+                  size="small"
+                  placeholder="https://example.com/hooks/alerts"
+                  disabled={!isChannelEnabled('webhook')}
+                  value={getChannelTarget('webhook')}
+                  onChange={(e) => setChannelTarget('webhook', e.target.value)}
+                />
+              </Box>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 1 }}>
+                <FormControlLabel
+                  sx={{ minWidth: 120 }}
+                  control={<Checkbox checked={isChannelEnabled('email')} onChange={() => toggleChannel('email')} />}
+                  label="Email"
+                />
+                <TextField
+                  fullWidth
+                  size="small"
+                  placeholder="you@example.com"
+                  disabled={!isChannelEnabled('email')}
+                  value={getChannelTarget('email')}
+                  onChange={(e) => setChannelTarget('email', e.target.value)}
+                />
+              </Box>
+            </Grid>
+          </Grid>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOpenDialog(false)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleSaveRule}
+            disabled={!editingRule.name.trim()}
+          >
+            {editingRule._id ? 'Update' : 'Create'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Test Result Dialog */}
+      <Dialog open={!!testResult} onClose={() => setTestResult(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>
+          Test: {testResult?.rule}
+        </DialogTitle>
+        <DialogContent>
+          {testResult && (
+            <>
+              <Typography variant="body2" color="text.secondary" gutterBottom>
+                {testResult.condition} — {testResult.tickers_checked} tickers checked
+              </Typography>
+              {testResult.matches.length > 0 ? (
+                <Alert severity="warning" sx={{ mb: 2 }}>
+                  {testResult.matches.length} ticker(s) currently match:
+                  {' '}{testResult.matches.map(m => m.ticker).join(', ')}
+                </Alert>
+              ) : (
+                <Alert severity="success" sx={{ mb: 2 }}>
+                  No tickers currently match this rule
+                </Alert>
+              )}
+              <Typography variant="subtitle2" gutterBottom>
+                Test delivery
+              </Typography>
+              <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                {testResult.deliveries.map((delivery, index) => (
+                  <Tooltip key={index} title={delivery.error || delivery.target || delivery.status}>
+                    <Chip
+                      label={`${delivery.channel}: ${delivery.status}`}
+                      color={getDeliveryColor(delivery.status)}
+                      size="small"
+                    />
+                  </Tooltip>
+                ))}
+              </Box>
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setTestResult(null)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+}
+
+export default AlertManagement;
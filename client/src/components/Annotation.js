@@ -0,0 +1,521 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Container,
+  Typography,
+  Box,
+  Card,
+  CardContent,
+  Grid,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Chip,
+  TextField,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  Select,
+  MenuItem,
+  Switch,
+  Button,
+  ToggleButton,
+  ToggleButtonGroup,
+  Alert,
+  LinearProgress,
+  Link
+} from '@mui/material';
+import {
+  Refresh as RefreshIcon,
+  SkipNext as SkipNextIcon,
+  Check as CheckIcon,
+  Download as DownloadIcon,
+  Rule as RuleIcon
+} from '@mui/icons-material';
+
+import { ApiService } from '../services/ApiService';
+
+const SENTIMENTS = ['bullish', 'neutral', 'bearish'];
+const POST_TYPES = ['position_open', 'position_close', 'gain_porn', 'loss_porn', 'dd', 'meme', 'news', 'discussion'];
+const AUTHOR_TYPES = ['human', 'bot', 'shill', 'unsure'];
+
+const emptyLabels = () => ({
+  overall_sentiment: null,
+  ticker_sentiments: {},
+  sarcasm: false,
+  post_type: 'discussion',
+  author_type: '',
+  notes: ''
+});
+
+const formatMetric = (value) => (value === null || value === undefined ? '—' : value.toFixed(2));
+
+function SentimentToggle({ value, onChange, size = 'small' }) {
+  return (
+    <ToggleButtonGroup exclusive size={size} value={value} onChange={(event, next) => next && onChange(next)}>
+      <ToggleButton value="bullish" color="success">Bullish</ToggleButton>
+      <ToggleButton value="neutral">Neutral</ToggleButton>
+      <ToggleButton value="bearish" color="error">Bearish</ToggleButton>
+    </ToggleButtonGroup>
+  );
+}
+
+function ConfusionMatrix({ confusion }) {
+  return (
+    <Table size="small">
+      <TableHead>
+        <TableRow>
+          <TableCell>Actual ↓ / Predicted →</TableCell>
+          {SENTIMENTS.map(label => <TableCell key={label} align="right">{label}</TableCell>)}
+        </TableRow>
+      </TableHead>
+      <TableBody>
+        {SENTIMENTS.map(actual => (
+          <TableRow key={actual}>
+            <TableCell>{actual}</TableCell>
+            {SENTIMENTS.map(predicted => (
+              <TableCell
+                key={predicted}
+                align="right"
+                sx={{ fontWeight: actual === predicted ? 'bold' : 'normal' }}
+              >
+                {confusion[actual][predicted]}
+              </TableCell>
+            ))}
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  );
+}
+
+function Annotation() {
+  const [annotator, setAnnotator] = useState(() => localStorage.getItem('annotator') || '');
+  const [annotatorInput, setAnnotatorInput] = useState(annotator);
+  const [queue, setQueue] = useState([]);
+  const [labels, setLabels] = useState(emptyLabels());
+  const [startedAt, setStartedAt] = useState(Date.now());
+  const [stats, setStats] = useState(null);
+  const [evaluation, setEvaluation] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [evaluating, setEvaluating] = useState(false);
+  const [error, setError] = useState(null);
+
+  const current = queue[0] || null;
+
+  const fetchQueue = useCallback(async () => {
+    if (!annotator) return;
+    setLoading(true);
+    try {
+      const response = await ApiService.getAnnotationQueue({ annotator, size: 10 });
+      setQueue(response.data);
+      setLabels(emptyLabels());
+      setStartedAt(Date.now());
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [annotator]);
+
+  const fetchStats = useCallback(async () => {
+    try {
+      const response = await ApiService.getAnnotationStats();
+      setStats(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchQueue();
+    fetchStats();
+  }, [fetchQueue, fetchStats]);
+
+  const saveAnnotator = () => {
+    const name = annotatorInput.trim();
+    if (!name) return;
+    localStorage.setItem('annotator', name);
+    setAnnotator(name);
+  };
+
+  const nextPost = () => {
+    // Refill once the last post has been labelled or skipped
+    if (queue.length <= 1) {
+      fetchQueue();
+      return;
+    }
+    setQueue(prev => prev.slice(1));
+    setLabels(emptyLabels());
+    setStartedAt(Date.now());
+  };
+
+  const submit = async () => {
+    if (!current || !labels.overall_sentiment) return;
+    setSaving(true);
+    try {
+      await ApiService.submitAnnotation({
+        annotator,
+        post_id: current.post_id,
+        overall_sentiment: labels.overall_sentiment,
+        ticker_sentiments: Object.entries(labels.ticker_sentiments).map(([ticker, sentiment]) => ({ ticker, sentiment })),
+        sarcasm: labels.sarcasm,
+        post_type: labels.post_type,
+        author_type: labels.author_type || undefined,
+        notes: labels.notes,
+        duration_ms: Date.now() - startedAt,
+        stratum: current.stratum
+      });
+      nextPost();
+      fetchStats();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const setTickerSentiment = (ticker, sentiment) => {
+    setLabels(prev => ({ ...prev, ticker_sentiments: { ...prev.ticker_sentiments, [ticker]: sentiment } }));
+  };
+
+  const downloadExport = async (format) => {
+    try {
+      const content = await ApiService.exportAnnotations({ format });
+      const blob = new Blob([content], { type: format === 'csv' ? 'text/csv' : 'application/x-ndjson' });
+      const url = URL.createObjectURL(blob);
+      const anchor = document.createElement('a');
+      anchor.href = url;
+      anchor.download = `annotations.${format}`;
+      anchor.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const runEvaluation = async () => {
+    setEvaluating(true);
+    try {
+      const response = await ApiService.evaluateSentimentProviders();
+      setEvaluation(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setEvaluating(false);
+    }
+  };
+
+  return (
+    <Container maxWidth="xl" sx={{ mt: 4, mb: 4 }}>
+      {/* Header */}
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4" component="h1">
+          🏷️ Annotate Posts
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+          <TextField
+            size="small"
+            label="Annotator"
+            value={annotatorInput}
+            onChange={(e) => setAnnotatorInput(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && saveAnnotator()}
+          />
+          <Button variant="outlined" onClick={saveAnnotator} disabled={!annotatorInput.trim()}>
+            Use
+          </Button>
+          <Button variant="outlined" startIcon={<RefreshIcon />} onClick={fetchQueue} disabled={!annotator || loading}>
+            Refresh
+          </Button>
+        </Box>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {!annotator && (
+        <Alert severity="info" sx={{ mb: 3 }}>
+          Enter your name to start labelling. Labels are stored per annotator so agreement can be measured.
+        </Alert>
+      )}
+
+      {loading && <LinearProgress sx={{ mb: 2 }} />}
+
+      <Grid container spacing={3}>
+        {/* Current post */}
+        <Grid size={{ xs: 12, md: 8 }}>
+          {annotator && !loading && !current && (
+            <Alert severity="success">Nothing left to label right now.</Alert>
+          )}
+
+          {current && (
+            <Card>
+              <CardContent>
+                <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 1 }}>
+                  <Chip size="small" label={`r/${current.subreddit}`} />
+                  <Chip size="small" variant="outlined" label={`${current.upvotes} upvotes`} />
+                  {current.link_flair && <Chip size="small" variant="outlined" label={current.link_flair} />}
+                  <Chip size="small" variant="outlined" label={`stratum: ${current.stratum}`} />
+                  <Typography variant="caption" color="text.secondary" sx={{ ml: 'auto' }}>
+                    {queue.length} in queue
+                  </Typography>
+                </Box>
+
+                <Typography variant="h6" gutterBottom>
+                  {current.title}
+                </Typography>
+                {current.url && (
+                  <Link href={current.url} target="_blank" rel="noopener noreferrer" variant="body2">
+                    {current.url}
+                  </Link>
+                )}
+                <Typography
+                  variant="body2"
+                  sx={{ whiteSpace: 'pre-wrap', mt: 2, mb: 3, maxHeight: 360, overflowY: 'auto' }}
+                >
+                  {current.content || <em>No body text</em>}
+                </Typography>
+
+                <Typography variant="subtitle2" gutterBottom>Overall sentiment</Typography>
+                <Box sx={{ mb: 2 }}>
+                  <SentimentToggle
+                    size="medium"
+                    value={labels.overall_sentiment}
+                    onChange={(value) => setLabels(prev => ({ ...prev, overall_sentiment: value }))}
+                  />
+                </Box>
+
+                {current.tickers.length > 0 && (
+                  <>
+                    <Typography variant="subtitle2" gutterBottom>Sentiment per ticker</Typography>
+                    {current.tickers.map(ticker => (
+                      <Box key={ticker} sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 1 }}>
+                        <Typography variant="body2" sx={{ fontWeight: 'bold', minWidth: 60 }}>
+                          ${ticker}
+                        </Typography>
+                        <SentimentToggle
+                          value={labels.ticker_sentiments[ticker] || null}
+                          onChange={(value) => setTickerSentiment(ticker, value)}
+                        />
+                      </Box>
+                    ))}
+                  </>
+                )}
+
+                <Grid container spacing={2} alignItems="center" sx={{ mt: 1 }}>
+                  <Grid size={{ xs: 12, md: 4 }}>
+                    <FormControl fullWidth size="small">
+                      <InputLabel>Post Type</InputLabel>
+                      <Select
+                        value={labels.post_type}
+                        label="Post Type"
+                        onChange={(e) => setLabels(prev => ({ ...prev, post_type: e.target.value }))}
+                      >
+                        {POST_TYPES.map(type => (
+                          <MenuItem key={type} value={type}>{type.replace(/_/g, ' ')}</MenuItem>
+                        ))}
+                      </Select>
+                    </FormControl>
+                  </Grid>
+                  <Grid size={{ xs: 12, md: 3 }}>
+                    <FormControl fullWidth size="small">
+                      <InputLabel>Author</InputLabel>
+                      <Select
+                        value={labels.author_type}
+                        label="Author"
+                        onChange={(e) => setLabels(prev => ({ ...prev, author_type: e.target.value }))}
+                      >
+                        <MenuItem value=""><em>Not labelled</em></MenuItem>
+                        {AUTHOR_TYPES.map(type => (
+                          <MenuItem key={type} value={type}>{type}</MenuItem>
+                        ))}
+                      </Select>
+                    </FormControl>
+                  </Grid>
+                  <Grid size={{ xs: 12, md: 2 }}>
+                    <FormControlLabel
+                      control={
+                        <Switch
+                          checked={labels.sarcasm}
+                          onChange={(e) => setLabels(prev => ({ ...prev, sarcasm: e.target.checked }))}
+                        />
+                      }
+                      label="Sarcastic"
+                    />
+                  </Grid>
+                  <Grid size={{ xs: 12, md: 3 }}>
+                    <TextField
+                      fullWidth
+                      size="small"
+                      label="Notes"
+                      value={labels.notes}
+                      onChange={(e) => setLabels(prev => ({ ...prev, notes: e.target.value }))}
+                    />
+                  </Grid>
+                </Grid>
+
+                <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1, mt: 3 }}>
+                  <Button startIcon={<SkipNextIcon />} onClick={nextPost} disabled={saving}>
+                    Skip
+                  </Button>
+                  <Button
+                    variant="contained"
+                    startIcon={<CheckIcon />}
+                    onClick={submit}
+                    disabled={saving || !labels.overall_sentiment}
+                  >
+                    Save & Next
+                  </Button>
+                </Box>
+              </CardContent>
+            </Card>
+          )}
+        </Grid>
+
+        {/* Progress and agreement */}
+        <Grid size={{ xs: 12, md: 4 }}>
+          <Card sx={{ mb: 3 }}>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>Dataset</Typography>
+              {stats ? (
+                <>
+                  <Typography variant="body2">
+                    {stats.total_annotations} labels on {stats.annotated_posts} posts
+                    ({stats.multiply_annotated_posts} with 2+ annotators)
+                  </Typography>
+                  <TableContainer sx={{ mt: 2 }}>
+                    <Table size="small">
+                      <TableHead>
+                        <TableRow>
+                          <TableCell>Agreement</TableCell>
+                          <TableCell align="right">Units</TableCell>
+                          <TableCell align="right">Raw</TableCell>
+                          <TableCell align="right">α</TableCell>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {Object.entries(stats.agreement).map(([field, agreement]) => (
+                          <TableRow key={field}>
+                            <TableCell>{field.replace(/_/g, ' ')}</TableCell>
+                            <TableCell align="right">{agreement.units}</TableCell>
+                            <TableCell align="right">{formatMetric(agreement.percent_agreement)}</TableCell>
+                            <TableCell align="right">{formatMetric(agreement.krippendorff_alpha)}</TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </TableContainer>
+                  <TableContainer sx={{ mt: 2 }}>
+                    <Table size="small">
+                      <TableHead>
+                        <TableRow>
+                          <TableCell>Annotator</TableCell>
+                          <TableCell align="right">Labels</TableCell>
+                          <TableCell align="right">Sarcasm</TableCell>
+                          <TableCell align="right">Avg s</TableCell>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {stats.annotators.map(entry => (
+                          <TableRow key={entry.annotator} selected={entry.annotator === annotator.toLowerCase()}>
+                            <TableCell>{entry.annotator}</TableCell>
+                            <TableCell align="right">{entry.annotations}</TableCell>
+                            <TableCell align="right">{entry.sarcasm}</TableCell>
+                            <TableCell align="right">{entry.avg_seconds ?? '—'}</TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </TableContainer>
+                </>
+              ) : (
+                <Typography variant="body2" color="text.secondary">Loading...</Typography>
+              )}
+              <Box sx={{ display: 'flex', gap: 1, mt: 2 }}>
+                <Button size="small" startIcon={<DownloadIcon />} onClick={() => downloadExport('jsonl')}>
+                  JSONL
+                </Button>
+                <Button size="small" startIcon={<DownloadIcon />} onClick={() => downloadExport('csv')}>
+                  CSV
+                </Button>
+              </Box>
+            </CardContent>
+          </Card>
+        </Grid>
+      </Grid>
+
+      {/* Provider evaluation */}
+      <Card sx={{ mt: 3 }}>
+        <CardContent>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+            <Typography variant="h6">Sentiment Providers vs Labels</Typography>
+            <Button variant="outlined" startIcon={<RuleIcon />} onClick={runEvaluation} disabled={evaluating}>
+              {evaluating ? 'Evaluating...' : 'Evaluate'}
+            </Button>
+          </Box>
+          {evaluating && <LinearProgress sx={{ mb: 2 }} />}
+
+          {evaluation && (
+            <>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                {evaluation.gold_posts} labelled posts ({evaluation.sarcastic_posts} sarcastic).
+                Scores within ±{evaluation.neutral_band} count as neutral.
+              </Typography>
+              {evaluation.notes.map(note => (
+                <Alert key={note} severity="warning" sx={{ mb: 1 }}>{note}</Alert>
+              ))}
+              <Grid container spacing={3}>
+                {[...evaluation.providers, evaluation.ticker_level].map(report => (
+                  <Grid key={report.provider} size={{ xs: 12, md: 6, lg: 3 }}>
+                    <Paper variant="outlined" sx={{ p: 2 }}>
+                      <Typography variant="subtitle1" sx={{ fontWeight: 'bold' }}>
+                        {report.provider.replace(/_/g, ' ')}
+                      </Typography>
+                      <Typography variant="body2">
+                        Accuracy {formatMetric(report.accuracy)} · Macro F1 {formatMetric(report.macro_f1)}
+                      </Typography>
+                      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                        Sarcastic accuracy {formatMetric(report.sarcastic_accuracy)} · n={report.evaluated}
+                      </Typography>
+                      <ConfusionMatrix confusion={report.confusion} />
+                      <Table size="small" sx={{ mt: 1 }}>
+                        <TableHead>
+                          <TableRow>
+                            <TableCell>Class</TableCell>
+                            <TableCell align="right">P</TableCell>
+                            <TableCell align="right">R</TableCell>
+                            <TableCell align="right">F1</TableCell>
+                          </TableRow>
+                        </TableHead>
+                        <TableBody>
+                          {report.per_class.map(entry => (
+                            <TableRow key={entry.label}>
+                              <TableCell>{entry.label}</TableCell>
+                              <TableCell align="right">{formatMetric(entry.precision)}</TableCell>
+                              <TableCell align="right">{formatMetric(entry.recall)}</TableCell>
+                              <TableCell align="right">{formatMetric(entry.f1)}</TableCell>
+                            </TableRow>
+                          ))}
+                        </TableBody>
+                      </Table>
+                    </Paper>
+                  </Grid>
+                ))}
+              </Grid>
+            </>
+          )}
+        </CardContent>
+      </Card>
+    </Container>
+  );
+}
+
+export default Annotation;
@@ -0,0 +1,353 @@
+import React, { useState } from 'react';
+import {
+  Container,
+  Typography,
+  Box,
+  Card,
+  CardContent,
+  Grid,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Chip,
+  TextField,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  Select,
+  MenuItem,
+  Switch,
+  Button,
+  Alert,
+  LinearProgress
+} from '@mui/material';
+import {
+  PlayArrow as PlayArrowIcon,
+  ShowChart as ShowChartIcon
+} from '@mui/icons-material';
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip as ChartTooltip
+} from 'recharts';
+
+import { ApiService } from '../services/ApiService';
+
+const splitList = (value) => value
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+function Backtest() {
+  const [form, setForm] = useState({
+    tickers: '',
+    subreddits: '',
+    authors: '',
+    lookback_days: 90,
+    min_mentions: 3,
+    long_threshold: 20,
+    short_threshold: -20,
+    allow_short: true,
+    holding_days: 3,
+    stop_loss_pct: '',
+    take_profit_pct: '',
+    exit_on_reversal: false,
+    entry_price: 'next_open',
+    weighting: 'quality'
+  });
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+
+  const handleChange = (field) => (event) => {
+    const value = event.target.type === 'checkbox' ? event.target.checked : event.target.value;
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const runBacktest = async () => {
+    setRunning(true);
+    setError(null);
+
+    try {
+      const response = await ApiService.runBacktest({
+        tickers: splitList(form.tickers),
+        lookback_days: Number(form.lookback_days),
+        signal: {
+          min_mentions: Number(form.min_mentions),
+          long_threshold: Number(form.long_threshold),
+          short_threshold: Number(form.short_threshold),
+          allow_short: form.allow_short,
+          weighting: form.weighting
+        },
+        entry: { price: form.entry_price },
+        exit: {
+          holding_days: Number(form.holding_days),
+          stop_loss_pct: form.stop_loss_pct === '' ? null : Number(form.stop_loss_pct),
+          take_profit_pct: form.take_profit_pct === '' ? null : Number(form.take_profit_pct),
+          exit_on_reversal: form.exit_on_reversal
+        },
+        filters: {
+          subreddits: splitList(form.subreddits),
+          authors: splitList(form.authors)
+        }
+      });
+      setResult(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Backtest failed');
+      setResult(null);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const formatPercentage = (num) => `${(num || 0).toFixed(2)}%`;
+
+  const metricCards = result ? [
+    { label: 'Trades', value: result.metrics.total_trades },
+    { label: 'Hit Rate', value: formatPercentage(result.metrics.hit_rate * 100) },
+    { label: 'Total Return', value: formatPercentage(result.metrics.total_return_pct), signed: result.metrics.total_return_pct },
+    { label: 'Avg Trade', value: formatPercentage(result.metrics.avg_return_pct), signed: result.metrics.avg_return_pct },
+    { label: 'Sharpe', value: (result.metrics.sharpe_ratio || 0).toFixed(2), signed: result.metrics.sharpe_ratio },
+    { label: 'Max Drawdown', value: formatPercentage(result.metrics.max_drawdown_pct), signed: result.metrics.max_drawdown_pct }
+  ] : [];
+
+  return (
+    <Container maxWidth="xl" sx={{ mt: 4, mb: 4 }}>
+      {/* Header */}
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4" component="h1">
+          🧪 Sentiment Backtest
+        </Typography>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {/* Configuration */}
+      <Card sx={{ mb: 3 }}>
+        <CardContent>
+          <Grid container spacing={2} alignItems="center">
+            <Grid size={{ xs: 12, md: 4 }}>
+              <TextField fullWidth size="small" label="Tickers (comma separated, blank = all)" value={form.tickers} onChange={handleChange('tickers')} />
+            </Grid>
+            <Grid size={{ xs: 12, md: 4 }}>
+              <TextField fullWidth size="small" label="Subreddits" value={form.subreddits} onChange={handleChange('subreddits')} />
+            </Grid>
+            <Grid size={{ xs: 12, md: 4 }}>
+              <TextField fullWidth size="small" label="Authors" value={form.authors} onChange={handleChange('authors')} />
+            </Grid>
+
+            <Grid size={{ xs: 6, md: 2 }}>
+              <TextField fullWidth size="small" type="number" label="Lookback (days)" value={form.lookback_days} onChange={handleChange('lookback_days')} />
+            </Grid>
+            <Grid size={{ xs: 6, md: 2 }}>
+              <TextField fullWidth size="small" type="number" label="Min mentions/day" value={form.min_mentions} onChange={handleChange('min_mentions')} />
+            </Grid>
+            <Grid size={{ xs: 6, md: 2 }}>
+              <TextField fullWidth size="small" type="number" label="Long threshold" value={form.long_threshold} onChange={handleChange('long_threshold')} />
+            </Grid>
+            <Grid size={{ xs: 6, md: 2 }}>
+              <TextField fullWidth size="small" type="number" label="Short threshold" value={form.short_threshold} onChange={handleChange('short_threshold')} />
+            </Grid>
+            <Grid size={{ xs: 6, md: 2 }}>
+              <FormControl fullWidth size="small">
+                <InputLabel>Weighting</InputLabel>
+                <Select value={form.weighting} label="Weighting" onChange={handleChange('weighting')}>
+                  <MenuItem value="quality">Quality</MenuItem>
+                  <MenuItem value="upvotes">Upvotes</MenuItem>
+                  <MenuItem value="equal">Equal</MenuItem>
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid size={{ xs: 6, md: 2 }}>
+              <FormControlLabel
+                control={<Switch checked={form.allow_short} onChange={handleChange('allow_short')} />}
+                label="Allow shorts"
+              />
+            </Grid>
+
+            <Grid size={{ xs: 6, md: 2 }}>
+              <FormControl fullWidth size="small">
+                <InputLabel>Entry</InputLabel>
+                <Select value={form.entry_price} label="Entry" onChange={handleChange('entry_price')}>
+                  <MenuItem value="next_open">Next open</MenuItem>
+                  <MenuItem value="next_close">Next close</MenuItem>
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid size={{ xs: 6, md: 2 }}>
+              <TextField fullWidth size="small" type="number" label="Holding days" value={form.holding_days} onChange={handleChange('holding_days')} />
+            </Grid>
+            <Grid size={{ xs: 6, md: 2 }}>
+              <TextField fullWidth size="small" type="number" label="Stop loss %" value={form.stop_loss_pct} onChange={handleChange('stop_loss_pct')} />
+            </Grid>
+            <Grid size={{ xs: 6, md: 2 }}>
+              <TextField fullWidth size="small" type="number" label="Take profit %" value={form.take_profit_pct} onChange={handleChange('take_profit_pct')} />
+            </Grid>
+            <Grid size={{ xs: 6, md: 2 }}>
+              <FormControlLabel
+                control={<Switch checked={form.exit_on_reversal} onChange={handleChange('exit_on_reversal')} />}
+                label="Exit on reversal"
+              />
+            </Grid>
+            <Grid size={{ xs: 6, md: 2 }}>
+              <Button
+                fullWidth
+                variant="contained"
+                startIcon={<PlayArrowIcon />}
+                onClick={runBacktest}
+                disabled={running}
+              >
+                Run Backtest
+              </Button>
+            </Grid>
+          </Grid>
+        </CardContent>
+        {running && <LinearProgress />}
+      </Card>
+
+      {!result && !running && (
+        <Alert severity="info" icon={<ShowChartIcon />}>
+          Configure the signal and exit rules, then run a backtest over stored Reddit sentiment.
+        </Alert>
+      )}
+
+      {result && (
+        <>
+          {/* Summary metrics */}
+          <Grid container spacing={3} sx={{ mb: 3 }}>
+            {metricCards.map(card => (
+              <Grid key={card.label} size={{ xs: 6, md: 2 }}>
+                <Card>
+                  <CardContent>
+                    <Typography variant="overline" color="text.secondary">
+                      {card.label}
+                    </Typography>
+                    <Typography
+                      variant="h5"
+                      color={card.signed === undefined ? 'text.primary' : card.signed >= 0 ? 'success.main' : 'error.main'}
+                    >
+                      {card.value}
+                    </Typography>
+                  </CardContent>
+                </Card>
+              </Grid>
+            ))}
+          </Grid>
+
+          {/* Equity curve */}
+          <Card sx={{ mb: 3 }}>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>
+                Equity Curve
+              </Typography>
+              <Box sx={{ height: 320 }}>
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={result.equity_curve}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="date" minTickGap={30} />
+                    <YAxis domain={['auto', 'auto']} />
+                    <ChartTooltip />
+                    <Line type="monotone" dataKey="equity" stroke="#00C851" dot={false} strokeWidth={2} />
+                  </LineChart>
+                </ResponsiveContainer>
+              </Box>
+              <Typography variant="caption" color="text.secondary">
+                {result.coverage.posts_considered} posts → {result.coverage.signals_generated} daily signals across {result.coverage.tickers_tested} tickers
+                {result.coverage.tickers_skipped.length > 0 && ` (${result.coverage.tickers_skipped.length} skipped for missing prices)`}
+              </Typography>
+            </CardContent>
+          </Card>
+
+          {/* Breakdown by ticker */}
+          <Grid container spacing={3} sx={{ mb: 3 }}>
+            {[
+              { title: 'By Ticker', rows: result.breakdown.by_ticker },
+              { title: 'By Subreddit', rows: result.breakdown.by_subreddit }
+            ].map(section => (
+              <Grid key={section.title} size={{ xs: 12, md: 6 }}>
+                <TableContainer component={Paper}>
+                  <Table size="small">
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>{section.title}</TableCell>
+                        <TableCell align="right">Trades</TableCell>
+                        <TableCell align="right">Hit Rate</TableCell>
+                        <TableCell align="right">Avg Return</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {section.rows.slice(0, 10).map(row => (
+                        <TableRow key={row.key}>
+                          <TableCell>{row.key}</TableCell>
+                          <TableCell align="right">{row.trades}</TableCell>
+                          <TableCell align="right">{formatPercentage(row.hit_rate * 100)}</TableCell>
+                          <TableCell align="right" sx={{ color: row.avg_return_pct >= 0 ? 'success.main' : 'error.main' }}>
+                            {formatPercentage(row.avg_return_pct)}
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+              </Grid>
+            ))}
+          </Grid>
+
+          {/* Trades */}
+          {result.trades && (
+            <TableContainer component={Paper}>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Ticker</TableCell>
+                    <TableCell>Direction</TableCell>
+                    <TableCell>Signal</TableCell>
+                    <TableCell>Entry</TableCell>
+                    <TableCell>Exit</TableCell>
+                    <TableCell>Reason</TableCell>
+                    <TableCell align="right">Return</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {result.trades.slice(0, 200).map((trade, index) => (
+                    <TableRow key={`${trade.ticker}-${trade.entry_date}-${index}`}>
+                      <TableCell>{trade.ticker}</TableCell>
+                      <TableCell>
+                        <Chip
+                          size="small"
+                          label={trade.direction}
+                          color={trade.direction === 'long' ? 'success' : 'error'}
+                        />
+                      </TableCell>
+                      <TableCell>{trade.signal_day} ({trade.signal_sentiment}, {trade.signal_mentions} mentions)</TableCell>
+                      <TableCell>{trade.entry_date} @ {trade.entry_price.toFixed(2)}</TableCell>
+                      <TableCell>{trade.exit_date} @ {trade.exit_price.toFixed(2)}</TableCell>
+                      <TableCell>{trade.exit_reason.replace(/_/g, ' ')}</TableCell>
+                      <TableCell align="right" sx={{ color: trade.return_pct >= 0 ? 'success.main' : 'error.main' }}>
+                        {formatPercentage(trade.return_pct)}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </>
+      )}
+    </Container>
+  );
+}
+
+export default Backtest;
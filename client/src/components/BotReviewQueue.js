@@ -0,0 +1,262 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Typography,
+  Box,
+  Card,
+  CardContent,
+  Chip,
+  Alert,
+  LinearProgress,
+  Stack,
+  Button,
+  ButtonGroup,
+  IconButton,
+  Tooltip,
+  TextField,
+  ToggleButton,
+  ToggleButtonGroup,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper
+} from '@mui/material';
+import {
+  Refresh as RefreshIcon,
+  PlayArrow as PlayArrowIcon,
+  School as SchoolIcon
+} from '@mui/icons-material';
+
+import { ApiService } from '../services/ApiService';
+
+const featureLabels = {
+  posting_rate: 'Posting rate',
+  cadence_regularity: 'Regular cadence',
+  account_youth: 'New account',
+  low_karma: 'Low karma',
+  link_karma_share: 'Link-karma share',
+  ticker_concentration: 'Single-ticker focus',
+  duplicate_ratio: 'Duplicate posts',
+  template_titles: 'Template titles',
+  coordinated: 'Coordinated campaign'
+};
+
+const labelColors = {
+  likely_inauthentic: 'error',
+  uncertain: 'warning',
+  likely_human: 'success'
+};
+
+const decisionColors = {
+  bot: 'error',
+  shill: 'warning',
+  human: 'success'
+};
+
+const formatPercent = (value) => (value === null || value === undefined ? '—' : `${Math.round(value * 100)}%`);
+
+function BotReviewQueue() {
+  const [status, setStatus] = useState('pending');
+  const [accounts, setAccounts] = useState([]);
+  const [counts, setCounts] = useState({ pending: 0, reviewed: 0 });
+  const [model, setModel] = useState(null);
+  const [reviewer, setReviewer] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const loadQueue = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [queueResponse, modelResponse] = await Promise.all([
+        ApiService.getBotReviewQueue({ status, limit: 50 }),
+        ApiService.getBotClassifierModel()
+      ]);
+      setAccounts(queueResponse.data || []);
+      setCounts(queueResponse.metadata?.counts || { pending: 0, reviewed: 0 });
+      setModel(modelResponse.data || null);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to load the review queue');
+      setAccounts([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    loadQueue();
+  }, [loadQueue]);
+
+  const runAction = async (action, describe) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      const response = await action();
+      setMessage(describe(response));
+      setError(null);
+      await loadQueue();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const review = (username, decision) => runAction(
+    () => ApiService.reviewUser(username, { decision, reviewer }),
+    () => `u/${username} marked as ${decision}`
+  );
+
+  const classifyAll = () => runAction(
+    () => ApiService.runBotClassification(),
+    (response) => `Classified ${response.data.classified} accounts: ${response.data.likely_inauthentic} likely inauthentic, ${response.data.pending_review} awaiting review`
+  );
+
+  const retrain = () => runAction(
+    () => ApiService.trainBotClassifier({ reclassify: true }),
+    (response) => `${response.message} (holdout accuracy ${response.data.metrics?.accuracy ?? 'n/a'}); all accounts re-scored`
+  );
+
+  return (
+    <Card sx={{ mt: 3 }}>
+      <CardContent>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 2, mb: 2 }}>
+          <Box>
+            <Typography variant="h6">
+              🤖 Bot & Shill Review
+            </Typography>
+            <Typography variant="caption" color="text.secondary">
+              {model?.trained
+                ? `Trained on ${model.training_samples} labelled accounts · accuracy ${model.metrics?.accuracy ?? 'n/a'} · precision ${model.metrics?.precision ?? 'n/a'} · recall ${model.metrics?.recall ?? 'n/a'}`
+                : 'Default coefficients: label authors while annotating or review accounts here, then retrain'}
+            </Typography>
+          </Box>
+          <Stack direction="row" spacing={1} alignItems="center">
+            <ToggleButtonGroup
+              exclusive
+              size="small"
+              value={status}
+              onChange={(event, next) => next && setStatus(next)}
+            >
+              <ToggleButton value="pending">Pending ({counts.pending})</ToggleButton>
+              <ToggleButton value="reviewed">Reviewed ({counts.reviewed})</ToggleButton>
+            </ToggleButtonGroup>
+            <TextField
+              size="small"
+              label="Reviewer"
+              value={reviewer}
+              onChange={(e) => setReviewer(e.target.value)}
+              sx={{ width: 140 }}
+            />
+            <Button size="small" variant="outlined" startIcon={<PlayArrowIcon />} onClick={classifyAll} disabled={busy}>
+              Re-score all
+            </Button>
+            <Button size="small" variant="outlined" startIcon={<SchoolIcon />} onClick={retrain} disabled={busy}>
+              Retrain
+            </Button>
+            <IconButton onClick={loadQueue} disabled={loading || busy}>
+              <RefreshIcon />
+            </IconButton>
+          </Stack>
+        </Box>
+
+        {(loading || busy) && <LinearProgress sx={{ mb: 2 }} />}
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+        {message && (
+          <Alert severity="success" sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+            {message}
+          </Alert>
+        )}
+
+        <TableContainer component={Paper} variant="outlined">
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>User</TableCell>
+                <TableCell align="center">Probability</TableCell>
+                <TableCell>Why</TableCell>
+                <TableCell align="center">Posts</TableCell>
+                <TableCell align="center">{status === 'pending' ? 'Decision' : 'Reviewed'}</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {accounts.map(account => {
+                const classification = account.classification || {};
+                const reasons = (classification.attributions || []).filter(item => item.contribution > 0).slice(0, 3);
+                return (
+                  <TableRow key={account.username} hover>
+                    <TableCell>
+                      <Typography variant="subtitle2" fontWeight="bold">
+                        u/{account.username}
+                      </Typography>
+                      <Typography variant="caption" color="text.secondary">
+                        {account.account_age} days · {account.karma} karma
+                        {account.campaigns > 0 && ` · ${account.campaigns} campaign${account.campaigns > 1 ? 's' : ''}`}
+                      </Typography>
+                    </TableCell>
+                    <TableCell align="center">
+                      <Chip
+                        label={formatPercent(classification.probability)}
+                        color={labelColors[classification.label] || 'default'}
+                        size="small"
+                      />
+                    </TableCell>
+                    <TableCell>
+                      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                        {reasons.length > 0 ? reasons.map(item => (
+                          <Tooltip key={item.feature} title={`Value ${item.value}, +${item.contribution} log-odds over a typical account`}>
+                            <Chip label={featureLabels[item.feature] || item.feature} size="small" variant="outlined" />
+                          </Tooltip>
+                        )) : (
+                          <Typography variant="caption" color="text.secondary">Nothing unusual</Typography>
+                        )}
+                      </Box>
+                    </TableCell>
+                    <TableCell align="center">
+                      {classification.posts_analyzed ?? 0}
+                    </TableCell>
+                    <TableCell align="center">
+                      {status === 'pending' ? (
+                        <ButtonGroup size="small" disabled={busy}>
+                          <Button color="error" onClick={() => review(account.username, 'bot')}>Bot</Button>
+                          <Button color="warning" onClick={() => review(account.username, 'shill')}>Shill</Button>
+                          <Button color="success" onClick={() => review(account.username, 'human')}>Human</Button>
+                        </ButtonGroup>
+                      ) : (
+                        <Tooltip title={[classification.review?.reviewed_by, classification.review?.notes].filter(Boolean).join(' — ')}>
+                          <Chip
+                            label={classification.review?.decision || '—'}
+                            color={decisionColors[classification.review?.decision] || 'default'}
+                            size="small"
+                          />
+                        </Tooltip>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        </TableContainer>
+
+        {accounts.length === 0 && !loading && (
+          <Box sx={{ textAlign: 'center', py: 3 }}>
+            <Typography variant="body2" color="text.secondary">
+              {status === 'pending' ? 'No accounts waiting for review' : 'No accounts reviewed yet'}
+            </Typography>
+          </Box>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default BotReviewQueue;
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState } from 'react';
 import {
   Box,
   CircularProgress,
@@ -14,7 +14,9 @@ import {
   Info as InfoIcon
 } from '@mui/icons-material';
 
-function ConfidenceIndicator({ 
+import SentimentExplanation from './SentimentExplanation';
+
+function ConfidenceGauge({ 
   value, 
   size = 'medium', 
   variant = 'circular',
@@ -165,4 +167,31 @@ function ConfidenceIndicator({
   );
 }
 
+// With a ticker, clicking the gauge opens the breakdown of what drives its sentiment and confidence
+function ConfidenceIndicator({ ticker, ...props }) {
+  const [open, setOpen] = useState(false);
+
+  if (!ticker) {
+    return <ConfidenceGauge {...props} />;
+  }
+
+  return (
+    <>
+      <Tooltip title="Explain">
+        <Box
+          component="span"
+          sx={{ display: 'inline-flex', cursor: 'pointer' }}
+          onClick={(e) => {
+            e.stopPropagation();
+            setOpen(true);
+          }}
+        >
+          <ConfidenceGauge {...props} />
+        </Box>
+      </Tooltip>
+      <SentimentExplanation ticker={ticker} open={open} onClose={() => setOpen(false)} />
+    </>
+  );
+}
+
 export default ConfidenceIndicator;
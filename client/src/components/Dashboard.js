@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   Container,
   Grid,
@@ -72,8 +72,9 @@ function Dashboard({ activeTab = 'overview', onStockSelect }) {
   const [monitoringStatus, setMonitoringStatus] = useState(null);
   const [trendingData, setTrendingData] = useState(null);
   const [lastUpdate, setLastUpdate] = useState(new Date());
-  const [autoRefresh, setAutoRefresh] = useState(true);
-  const [refreshInterval, setRefreshInterval] = useState(null);
+  const [liveConnected, setLiveConnected] = useState(WebSocketService.isConnected());
+  const [processingCycle, setProcessingCycle] = useState(null);
+  const subscriptionsRef = useRef([]);
 
   const tabs = [
     { label: 'Market Overview', value: 'overview', icon: <SpeedIcon />, color: 'primary' },
@@ -93,15 +94,14 @@ function Dashboard({ activeTab = 'overview', onStockSelect }) {
   useEffect(() => {
     loadInitialData();
     setupWebSocketSubscriptions();
-    
-    if (autoRefresh) {
-      startAutoRefresh();
+
+    // Socket may already be connected if the dashboard remounts
+    if (WebSocketService.isConnected()) {
+      WebSocketService.requestTrendingUpdates();
+      WebSocketService.requestProcessingUpdates();
     }
 
     return () => {
-      if (refreshInterval) {
-        clearInterval(refreshInterval);
-      }
       cleanupWebSocketSubscriptions();
     };
   }, []);
@@ -117,7 +117,7 @@ function Dashboard({ activeTab = 'overview', onStockSelect }) {
       ]);
 
       if (health.status === 'fulfilled') setSystemHealth(health.value);
-      if (stats.status === 'fulfilled') setProcessingStats(stats.value);
+      if (stats.status === 'fulfilled') setProcessingStats(stats.value.data || stats.value);
       if (monitoring.status === 'fulfilled') setMonitoringStatus(monitoring.value);
       if (trending.status === 'fulfilled') setTrendingData(trending.value);
 
@@ -131,40 +131,46 @@ function Dashboard({ activeTab = 'overview', onStockSelect }) {
   };
 
   const setupWebSocketSubscriptions = () => {
-    WebSocketService.subscribe('systemHealth', (data) => {
-      setSystemHealth(data);
-    });
-
-    WebSocketService.subscribe('processingUpdate', (data) => {
-      setProcessingStats(data);
-      setLastUpdate(new Date());
-    });
-
-    WebSocketService.subscribe('trendingUpdate', (data) => {
-      setTrendingData(data);
-      setLastUpdate(new Date());
-    });
-
-    WebSocketService.subscribe('connection', (data) => {
-      if (data.status === 'connected') {
-        WebSocketService.requestTrendingUpdates();
-        WebSocketService.requestProcessingUpdates();
-      }
-    });
+    subscriptionsRef.current = [
+      ['systemHealth', WebSocketService.subscribe('systemHealth', (data) => {
+        setSystemHealth(data);
+      })],
+
+      ['processingUpdate', WebSocketService.subscribe('processingUpdate', (data) => {
+        if (data.cycle) setProcessingCycle(data.cycle);
+        if (data.processing) {
+          setProcessingStats(prev => ({ ...prev, processing: data.processing }));
+        }
+        if (data.monitoring) {
+          setMonitoringStatus(prev => ({ ...prev, data: data.monitoring }));
+        }
+        // Database totals only change meaningfully once a cycle finishes
+        if (data.type === 'cycle_completed') {
+          ApiService.getProcessingStats()
+            .then(stats => setProcessingStats(stats.data || stats))
+            .catch(() => {});
+        }
+        setLastUpdate(new Date());
+      })],
+
+      ['trendingUpdate', WebSocketService.subscribe('trendingUpdate', (data) => {
+        setTrendingData(data);
+        setLastUpdate(new Date());
+      })],
+
+      ['connection', WebSocketService.subscribe('connection', (data) => {
+        setLiveConnected(data.status === 'connected');
+        if (data.status === 'connected') {
+          WebSocketService.requestTrendingUpdates();
+          WebSocketService.requestProcessingUpdates();
+        }
+      })]
+    ];
   };
 
   const cleanupWebSocketSubscriptions = () => {
-    WebSocketService.unsubscribe('systemHealth');
-    WebSocketService.unsubscribe('processingUpdate');
-    WebSocketService.unsubscribe('trendingUpdate');
-    WebSocketService.unsubscribe('connection');
-  };
-
-  const startAutoRefresh = () => {
-    const interval = setInterval(() => {
-      loadInitialData();
-    }, 60000); // Refresh every minute
-    setRefreshInterval(interval);
+    subscriptionsRef.current.forEach(([event, id]) => WebSocketService.unsubscribe(event, id));
+    subscriptionsRef.current = [];
   };
 
   const handleTabChange = (event, newValue) => {
@@ -316,6 +322,22 @@ function Dashboard({ activeTab = 'overview', onStockSelect }) {
                   {lastUpdate.toLocaleTimeString()}
                 </Typography>
               </Stack>
+              <Tooltip title={liveConnected ? 'Receiving live updates' : 'Live updates disconnected'}>
+                <Chip
+                  size="small"
+                  label={liveConnected ? 'Live' : 'Offline'}
+                  color={liveConnected ? 'success' : 'default'}
+                  variant={liveConnected ? 'filled' : 'outlined'}
+                />
+              </Tooltip>
+              {processingCycle && (processingCycle.status === 'cycle_started' || processingCycle.status === 'cycle_progress') && (
+                <Chip
+                  size="small"
+                  color="info"
+                  variant="outlined"
+                  label={`Processing ${processingCycle.completed_subreddits || 0}/${processingCycle.total_subreddits || 0} subreddits`}
+                />
+              )}
               <Divider orientation="vertical" flexItem />
               <Tooltip title="Refresh Data">
                 <IconButton 
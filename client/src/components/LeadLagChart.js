@@ -0,0 +1,263 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Typography,
+  Box,
+  Card,
+  CardContent,
+  Grid,
+  TextField,
+  MenuItem,
+  Chip,
+  Alert,
+  LinearProgress,
+  Stack,
+  IconButton,
+  Tooltip,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { Refresh as RefreshIcon } from '@mui/icons-material';
+import {
+  ResponsiveContainer,
+  BarChart,
+  Bar,
+  Cell,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  ReferenceLine,
+  Tooltip as ChartTooltip
+} from 'recharts';
+
+import { ApiService } from '../services/ApiService';
+
+const windows = [
+  { value: '14d', label: '14 days, hourly', days: 14, resolution: 'hour' },
+  { value: '30d', label: '30 days, hourly', days: 30, resolution: 'hour' },
+  { value: '90d', label: '90 days, daily', days: 90, resolution: 'day' },
+  { value: '180d', label: '180 days, daily', days: 180, resolution: 'day' }
+];
+
+const signals = [
+  { value: 'mentions_returns', label: 'Mention volume vs returns' },
+  { value: 'mentions_volatility', label: 'Mention volume vs |returns|' },
+  { value: 'sentiment_returns', label: 'Sentiment change vs returns' }
+];
+
+const grangerRows = [
+  { key: 'mentions_to_returns', label: 'Mentions → returns' },
+  { key: 'returns_to_mentions', label: 'Returns → mentions' },
+  { key: 'sentiment_to_returns', label: 'Sentiment → returns' },
+  { key: 'returns_to_sentiment', label: 'Returns → sentiment' }
+];
+
+const directions = {
+  reddit_leads: { label: 'Reddit leads price', color: 'success' },
+  reddit_lags: { label: 'Reddit follows price', color: 'warning' },
+  feedback: { label: 'Both directions', color: 'info' },
+  coincident: { label: 'Moves together', color: 'info' },
+  no_relationship: { label: 'No clear relationship', color: 'default' }
+};
+
+const formatLag = (hours) => {
+  if (hours === 0) return 'same period';
+  const amount = Math.abs(hours) % 24 === 0 ? `${Math.abs(hours) / 24}d` : `${Math.abs(hours)}h`;
+  return hours > 0 ? `Reddit ${amount} earlier` : `Reddit ${amount} later`;
+};
+
+function Verdict({ title, verdict, peak }) {
+  const direction = directions[verdict?.direction] || directions.no_relationship;
+  return (
+    <Card variant="outlined">
+      <CardContent>
+        <Typography variant="body2" color="text.secondary">{title}</Typography>
+        <Chip label={direction.label} color={direction.color} size="small" sx={{ mt: 1, fontWeight: 600 }} />
+        <Typography variant="caption" color="text.secondary" component="div" sx={{ mt: 1 }}>
+          {verdict?.basis === 'granger' && 'From the Granger tests'}
+          {verdict?.basis === 'cross_correlation' && peak && `Peak r = ${peak.correlation} at ${formatLag(peak.lag_hours)}`}
+          {!verdict?.basis && 'Not enough data'}
+        </Typography>
+      </CardContent>
+    </Card>
+  );
+}
+
+function LeadLagChart({ ticker }) {
+  const [analysis, setAnalysis] = useState(null);
+  const [windowKey, setWindowKey] = useState('14d');
+  const [signal, setSignal] = useState('mentions_returns');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadAnalysis = useCallback(async () => {
+    const selected = windows.find(option => option.value === windowKey);
+    setLoading(true);
+    try {
+      const response = await ApiService.getLeadLag(ticker, {
+        days: selected.days,
+        resolution: selected.resolution
+      });
+      setAnalysis(response.data);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to load lead-lag analysis');
+    } finally {
+      setLoading(false);
+    }
+  }, [ticker, windowKey]);
+
+  useEffect(() => {
+    loadAnalysis();
+  }, [loadAnalysis]);
+
+  const rows = (analysis?.correlations || []).map(point => ({
+    lag: point.lag_hours,
+    correlation: point[signal],
+    n: point[`${signal}_n`]
+  }));
+  const peak = analysis?.peaks?.[signal];
+  const hasCurve = rows.some(row => row.correlation !== null);
+
+  return (
+    <Stack spacing={3}>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: 2 }}>
+        <Typography variant="h5" fontWeight={600}>
+          🔀 Does Reddit Lead or Lag Price?
+        </Typography>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <TextField
+            select
+            size="small"
+            label="Signal"
+            value={signal}
+            onChange={(e) => setSignal(e.target.value)}
+            sx={{ minWidth: 220 }}
+          >
+            {signals.map(option => (
+              <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            select
+            size="small"
+            label="Window"
+            value={windowKey}
+            onChange={(e) => setWindowKey(e.target.value)}
+            sx={{ minWidth: 160 }}
+          >
+            {windows.map(option => (
+              <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+            ))}
+          </TextField>
+          <Tooltip title="Refresh">
+            <IconButton onClick={loadAnalysis}>
+              <RefreshIcon />
+            </IconButton>
+          </Tooltip>
+        </Box>
+      </Box>
+
+      {loading && <LinearProgress />}
+      {error && <Alert severity="error">{error}</Alert>}
+
+      {analysis && analysis.returns < 10 && (
+        <Alert severity="info">
+          Only {analysis.returns} price returns for {ticker} in this window; try the daily windows.
+        </Alert>
+      )}
+
+      {analysis && analysis.returns >= 10 && (
+        <>
+          <Grid container spacing={2}>
+            <Grid size={{ xs: 12, md: 6 }}>
+              <Verdict title="Mention volume" verdict={analysis.verdict.mentions} peak={analysis.peaks.mentions_returns} />
+            </Grid>
+            <Grid size={{ xs: 12, md: 6 }}>
+              <Verdict title="Sentiment" verdict={analysis.verdict.sentiment} peak={analysis.peaks.sentiment_returns} />
+            </Grid>
+          </Grid>
+
+          <Card variant="outlined">
+            <CardContent>
+              {hasCurve ? (
+                <Box sx={{ height: 320 }}>
+                  <ResponsiveContainer width="100%" height="100%">
+                    <BarChart data={rows}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="lag" tickFormatter={(lag) => `${lag > 0 ? '+' : ''}${lag}h`} minTickGap={20} />
+                      <YAxis domain={[-1, 1]} />
+                      <ChartTooltip
+                        formatter={(value, name, item) => [value, `r (n=${item.payload.n})`]}
+                        labelFormatter={(lag) => formatLag(lag)}
+                      />
+                      <ReferenceLine y={0} stroke="#9e9e9e" />
+                      <ReferenceLine x={0} stroke="#9e9e9e" strokeDasharray="4 4" />
+                      {peak && <ReferenceLine y={peak.threshold} stroke="#ff9800" strokeDasharray="4 4" />}
+                      {peak && <ReferenceLine y={-peak.threshold} stroke="#ff9800" strokeDasharray="4 4" />}
+                      <Bar dataKey="correlation">
+                        {rows.map(row => (
+                          <Cell key={row.lag} fill={row.correlation >= 0 ? '#00C851' : '#ff4444'} />
+                        ))}
+                      </Bar>
+                    </BarChart>
+                  </ResponsiveContainer>
+                </Box>
+              ) : (
+                <Alert severity="info">Not enough overlapping activity and price data for this signal.</Alert>
+              )}
+              <Typography variant="caption" color="text.secondary">
+                Correlation at each lag over {analysis.returns} {analysis.resolution === 'hour' ? 'hourly' : 'daily'} returns.
+                Right of zero Reddit activity comes before the return, left of zero after it; dashed lines mark ~95% significance
+              </Typography>
+            </CardContent>
+          </Card>
+
+          <Card variant="outlined">
+            <CardContent>
+              <Typography variant="subtitle1" fontWeight={600} gutterBottom>
+                Granger-style tests ({analysis.granger.mentions_to_returns.lags} lags)
+              </Typography>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Direction</TableCell>
+                    <TableCell align="right">F</TableCell>
+                    <TableCell align="right">p-value</TableCell>
+                    <TableCell align="right">n</TableCell>
+                    <TableCell align="right">Result</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {grangerRows.map(row => {
+                    const test = analysis.granger[row.key];
+                    return (
+                      <TableRow key={row.key}>
+                        <TableCell>{row.label}</TableCell>
+                        <TableCell align="right">{test.f_stat ?? '—'}</TableCell>
+                        <TableCell align="right">{test.p_value ?? '—'}</TableCell>
+                        <TableCell align="right">{test.n}</TableCell>
+                        <TableCell align="right">
+                          <Chip
+                            label={test.p_value === null ? 'n/a' : test.significant ? 'Significant' : 'Not significant'}
+                            color={test.significant ? 'success' : 'default'}
+                            size="small"
+                            variant="outlined"
+                          />
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </CardContent>
+          </Card>
+        </>
+      )}
+    </Stack>
+  );
+}
+
+export default LeadLagChart;
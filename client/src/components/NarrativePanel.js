@@ -0,0 +1,249 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Typography,
+  Box,
+  Card,
+  CardContent,
+  Grid,
+  TextField,
+  MenuItem,
+  Chip,
+  Alert,
+  LinearProgress,
+  Stack,
+  IconButton,
+  Tooltip,
+  FormControlLabel,
+  Switch,
+  Link
+} from '@mui/material';
+import { Refresh as RefreshIcon } from '@mui/icons-material';
+import {
+  ResponsiveContainer,
+  AreaChart,
+  Area,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Legend,
+  Tooltip as ChartTooltip
+} from 'recharts';
+
+import { ApiService } from '../services/ApiService';
+
+const windows = [
+  { value: 1, label: 'Last 24 hours' },
+  { value: 3, label: 'Last 3 days' },
+  { value: 7, label: 'Last 7 days' },
+  { value: 30, label: 'Last 30 days' }
+];
+
+const palette = ['#2196f3', '#ff9800', '#9c27b0', '#00C851', '#ff4444', '#00bcd4', '#795548', '#e91e63'];
+
+const trends = {
+  rising: { label: 'Rising', color: 'success' },
+  fading: { label: 'Fading', color: 'default' },
+  steady: { label: 'Steady', color: 'info' }
+};
+
+const formatPercent = (value) => `${Math.round((value || 0) * 100)}%`;
+
+function NarrativeCard({ narrative, color }) {
+  const trend = trends[narrative.trend] || trends.steady;
+  return (
+    <Card variant="outlined" sx={{ height: '100%', borderLeft: `4px solid ${color}` }}>
+      <CardContent>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 1 }}>
+          <Box>
+            <Typography variant="subtitle1" fontWeight={600}>
+              {narrative.label}
+            </Typography>
+            {narrative.summary && (
+              <Typography variant="body2" color="text.secondary">
+                {narrative.summary}
+              </Typography>
+            )}
+          </Box>
+          <Typography variant="h6" fontWeight={600}>
+            {formatPercent(narrative.share)}
+          </Typography>
+        </Box>
+
+        <Stack direction="row" spacing={1} sx={{ mt: 1, flexWrap: 'wrap', rowGap: 1 }}>
+          {narrative.category.key !== 'general' && (
+            <Chip label={narrative.category.label} size="small" color="primary" />
+          )}
+          <Tooltip title={`${formatPercent(narrative.recent_share)} of recent posts`}>
+            <Chip label={trend.label} size="small" color={trend.color} variant="outlined" />
+          </Tooltip>
+          <Chip label={`${narrative.posts} posts`} size="small" variant="outlined" />
+          {narrative.avg_sentiment !== null && (
+            <Chip
+              label={`Sentiment ${narrative.avg_sentiment > 0 ? '+' : ''}${narrative.avg_sentiment}`}
+              size="small"
+              color={narrative.avg_sentiment > 20 ? 'success' : narrative.avg_sentiment < -20 ? 'error' : 'default'}
+              variant="outlined"
+            />
+          )}
+        </Stack>
+
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 1.5 }}>
+          {narrative.keyphrases.map(entry => (
+            <Chip key={entry.phrase} label={entry.phrase} size="small" variant="outlined" sx={{ fontSize: '0.7rem' }} />
+          ))}
+        </Box>
+
+        <Stack spacing={0.5} sx={{ mt: 2 }}>
+          {narrative.examples.map(example => (
+            <Box key={example.reddit_id}>
+              {example.url ? (
+                <Link href={example.url} target="_blank" rel="noopener noreferrer" variant="body2">
+                  {example.title}
+                </Link>
+              ) : (
+                <Typography variant="body2">{example.title}</Typography>
+              )}
+              <Typography variant="caption" color="text.secondary" component="div">
+                r/{example.subreddit} · u/{example.author} · {example.upvotes} upvotes · {new Date(example.created_utc).toLocaleDateString()}
+              </Typography>
+            </Box>
+          ))}
+        </Stack>
+      </CardContent>
+    </Card>
+  );
+}
+
+function NarrativePanel({ ticker }) {
+  const [analysis, setAnalysis] = useState(null);
+  const [days, setDays] = useState(7);
+  const [useClaude, setUseClaude] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadNarratives = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await ApiService.getNarratives(ticker, { days, claude: useClaude });
+      setAnalysis(response.data);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to load narratives');
+    } finally {
+      setLoading(false);
+    }
+  }, [ticker, days, useClaude]);
+
+  useEffect(() => {
+    loadNarratives();
+  }, [loadNarratives]);
+
+  const narratives = analysis?.narratives || [];
+  const series = [
+    ...narratives.map((narrative, i) => ({ key: narrative.id, label: narrative.label, color: palette[i % palette.length] })),
+    { key: 'other', label: 'Other', color: '#bdbdbd' }
+  ];
+  const rows = (analysis?.timeline || []).map(point => ({
+    time: analysis.interval === 'hour'
+      ? new Date(point.bucket).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit' })
+      : new Date(point.bucket).toLocaleDateString(),
+    total: point.total,
+    ...point.shares
+  }));
+
+  return (
+    <Stack spacing={3}>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: 2 }}>
+        <Typography variant="h5" fontWeight={600}>
+          🧵 What Is Driving the Chatter?
+        </Typography>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <FormControlLabel
+            control={<Switch checked={useClaude} onChange={(e) => setUseClaude(e.target.checked)} size="small" />}
+            label="Name with Claude"
+          />
+          <TextField
+            select
+            size="small"
+            label="Window"
+            value={days}
+            onChange={(e) => setDays(e.target.value)}
+            sx={{ minWidth: 160 }}
+          >
+            {windows.map(option => (
+              <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+            ))}
+          </TextField>
+          <Tooltip title="Refresh">
+            <IconButton onClick={loadNarratives}>
+              <RefreshIcon />
+            </IconButton>
+          </Tooltip>
+        </Box>
+      </Box>
+
+      {loading && <LinearProgress />}
+      {error && <Alert severity="error">{error}</Alert>}
+
+      {analysis?.insufficient_data && (
+        <Alert severity="info">
+          Only {analysis.posts_analyzed} posts mention {ticker} in this window; try a longer one.
+        </Alert>
+      )}
+
+      {analysis && !analysis.insufficient_data && (
+        <>
+          <Card variant="outlined">
+            <CardContent>
+              <Box sx={{ height: 300 }}>
+                <ResponsiveContainer width="100%" height="100%">
+                  <AreaChart data={rows}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="time" minTickGap={30} />
+                    <YAxis domain={[0, 1]} tickFormatter={formatPercent} />
+                    <ChartTooltip
+                      formatter={(value, name) => [formatPercent(value), series.find(entry => entry.key === name)?.label || name]}
+                    />
+                    <Legend formatter={(name) => series.find(entry => entry.key === name)?.label || name} />
+                    {series.map(entry => (
+                      <Area
+                        key={entry.key}
+                        type="monotone"
+                        dataKey={entry.key}
+                        stackId="share"
+                        stroke={entry.color}
+                        fill={entry.color}
+                        fillOpacity={0.6}
+                      />
+                    ))}
+                  </AreaChart>
+                </ResponsiveContainer>
+              </Box>
+              <Typography variant="caption" color="text.secondary">
+                Share of each {analysis.interval === 'hour' ? "hour's" : "day's"} posts by narrative, from {analysis.posts_analyzed} posts
+                {analysis.posts_total > analysis.posts_analyzed && ` (the most recent of ${analysis.posts_total})`}
+                {analysis.named_by === 'claude' ? '; narratives named by Claude' : '; labels from TF-IDF keyphrases'}
+              </Typography>
+            </CardContent>
+          </Card>
+
+          <Grid container spacing={2}>
+            {narratives.map((narrative, i) => (
+              <Grid key={narrative.id} size={{ xs: 12, md: 6 }}>
+                <NarrativeCard narrative={narrative} color={palette[i % palette.length]} />
+              </Grid>
+            ))}
+          </Grid>
+
+          {analysis.other.posts > 0 && (
+            <Typography variant="caption" color="text.secondary">
+              {analysis.other.posts} posts ({formatPercent(analysis.other.share)}) fit no narrative above.
+            </Typography>
+          )}
+        </>
+      )}
+    </Stack>
+  );
+}
+
+export default NarrativePanel;
@@ -0,0 +1,282 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Typography,
+  Box,
+  Card,
+  CardContent,
+  Grid,
+  TextField,
+  MenuItem,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Chip,
+  Alert,
+  LinearProgress,
+  Stack,
+  IconButton,
+  Tooltip
+} from '@mui/material';
+import { Refresh as RefreshIcon } from '@mui/icons-material';
+
+import { ApiService } from '../services/ApiService';
+
+const timeframes = [
+  { value: 24, label: '24 hours' },
+  { value: 72, label: '3 days' },
+  { value: 168, label: '7 days' },
+  { value: 720, label: '30 days' }
+];
+
+const biasColors = { bullish: 'success', bearish: 'error', mixed: 'warning', none: 'default' };
+
+// Split bar showing calls (green) against puts (red)
+function CallPutBar({ calls, puts, max }) {
+  const scale = max > 0 ? 100 / max : 0;
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5, minWidth: 160 }}>
+      <Box sx={{ flex: 1, display: 'flex', justifyContent: 'flex-end' }}>
+        <Box sx={{ width: `${puts * scale}%`, height: 10, bgcolor: 'error.main', borderRadius: '4px 0 0 4px' }} />
+      </Box>
+      <Box sx={{ flex: 1 }}>
+        <Box sx={{ width: `${calls * scale}%`, height: 10, bgcolor: 'success.main', borderRadius: '0 4px 4px 0' }} />
+      </Box>
+    </Box>
+  );
+}
+
+function OptionsChatter({ ticker }) {
+  const [chatter, setChatter] = useState(null);
+  const [timeframe, setTimeframe] = useState(168);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadChatter = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await ApiService.getOptionsChatter(ticker, { timeframe });
+      setChatter(response.data);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to load options chatter');
+    } finally {
+      setLoading(false);
+    }
+  }, [ticker, timeframe]);
+
+  useEffect(() => {
+    loadChatter();
+  }, [loadChatter]);
+
+  const summary = chatter?.summary;
+  const ladderMax = chatter ? Math.max(0, ...chatter.strike_ladder.map(l => Math.max(l.calls, l.puts))) : 0;
+  const bucketMax = chatter ? Math.max(0, ...chatter.expiry_distribution.buckets.map(b => Math.max(b.calls, b.puts))) : 0;
+
+  return (
+    <Stack spacing={3}>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: 2 }}>
+        <Typography variant="h5" fontWeight={600}>
+          🎲 Options Chatter
+        </Typography>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <TextField
+            select
+            size="small"
+            label="Timeframe"
+            value={timeframe}
+            onChange={(e) => setTimeframe(e.target.value)}
+            sx={{ minWidth: 140 }}
+          >
+            {timeframes.map(option => (
+              <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+            ))}
+          </TextField>
+          <Tooltip title="Refresh">
+            <IconButton onClick={loadChatter}>
+              <RefreshIcon />
+            </IconButton>
+          </Tooltip>
+        </Box>
+      </Box>
+
+      {loading && <LinearProgress />}
+      {error && <Alert severity="error">{error}</Alert>}
+
+      {summary && summary.mentions === 0 && (
+        <Alert severity="info">
+          No option contracts like "{ticker} 250c 11/15" were quoted for {ticker} in this timeframe.
+        </Alert>
+      )}
+
+      {summary && summary.mentions > 0 && (
+        <>
+          <Grid container spacing={2}>
+            <Grid size={{ xs: 6, md: 3 }}>
+              <Card variant="outlined">
+                <CardContent>
+                  <Typography variant="body2" color="text.secondary">Call/Put Ratio</Typography>
+                  <Typography variant="h5" fontWeight={600}>
+                    {summary.call_put_ratio !== null ? summary.call_put_ratio.toFixed(2) : 'All calls'}
+                  </Typography>
+                  <Chip size="small" label={summary.bias} color={biasColors[summary.bias]} sx={{ mt: 1 }} />
+                </CardContent>
+              </Card>
+            </Grid>
+            <Grid size={{ xs: 6, md: 3 }}>
+              <Card variant="outlined">
+                <CardContent>
+                  <Typography variant="body2" color="text.secondary">Mentions</Typography>
+                  <Typography variant="h5" fontWeight={600}>{summary.mentions}</Typography>
+                  <Typography variant="caption" color="text.secondary">
+                    {summary.calls} calls · {summary.puts} puts · {summary.posts} posts
+                  </Typography>
+                </CardContent>
+              </Card>
+            </Grid>
+            <Grid size={{ xs: 6, md: 3 }}>
+              <Card variant="outlined">
+                <CardContent>
+                  <Typography variant="body2" color="text.secondary">Sized Positions</Typography>
+                  <Typography variant="h5" fontWeight={600}>{summary.sized_mentions}</Typography>
+                  <Typography variant="caption" color="text.secondary">
+                    {summary.call_contracts} call / {summary.put_contracts} put contracts
+                  </Typography>
+                </CardContent>
+              </Card>
+            </Grid>
+            <Grid size={{ xs: 6, md: 3 }}>
+              <Card variant="outlined">
+                <CardContent>
+                  <Typography variant="body2" color="text.secondary">Last Price</Typography>
+                  <Typography variant="h5" fontWeight={600}>
+                    {chatter.current_price ? `$${chatter.current_price.toFixed(2)}` : '—'}
+                  </Typography>
+                  <Typography variant="caption" color="text.secondary">Strike distances use this price</Typography>
+                </CardContent>
+              </Card>
+            </Grid>
+          </Grid>
+
+          <Grid container spacing={2}>
+            <Grid size={{ xs: 12, md: 7 }}>
+              <Typography variant="h6" gutterBottom>Strike Ladder</Typography>
+              <TableContainer component={Paper} variant="outlined" sx={{ maxHeight: 360 }}>
+                <Table size="small" stickyHeader>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Strike</TableCell>
+                      <TableCell align="right">vs Price</TableCell>
+                      <TableCell align="right">Puts</TableCell>
+                      <TableCell align="center">Puts ◀ ▶ Calls</TableCell>
+                      <TableCell align="right">Calls</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {chatter.strike_ladder.map(level => (
+                      <TableRow key={level.strike}>
+                        <TableCell>${level.strike}</TableCell>
+                        <TableCell align="right">
+                          {level.distance_percent !== null ? `${level.distance_percent > 0 ? '+' : ''}${level.distance_percent}%` : '—'}
+                        </TableCell>
+                        <TableCell align="right">{level.puts}</TableCell>
+                        <TableCell>
+                          <CallPutBar calls={level.calls} puts={level.puts} max={ladderMax} />
+                        </TableCell>
+                        <TableCell align="right">{level.calls}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            </Grid>
+
+            <Grid size={{ xs: 12, md: 5 }}>
+              <Typography variant="h6" gutterBottom>Expiry Distribution</Typography>
+              <TableContainer component={Paper} variant="outlined">
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Expiry</TableCell>
+                      <TableCell align="center">Puts ◀ ▶ Calls</TableCell>
+                      <TableCell align="right">Total</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {chatter.expiry_distribution.buckets.filter(b => b.total > 0).map(bucket => (
+                      <TableRow key={bucket.label}>
+                        <TableCell>{bucket.label}</TableCell>
+                        <TableCell>
+                          <CallPutBar calls={bucket.calls} puts={bucket.puts} max={bucketMax} />
+                        </TableCell>
+                        <TableCell align="right">{bucket.total}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+
+              <Box sx={{ mt: 2, display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+                {chatter.expiry_distribution.by_date.slice(0, 12).map(entry => (
+                  <Chip
+                    key={entry.expiry}
+                    size="small"
+                    variant="outlined"
+                    label={`${entry.expiry}: ${entry.calls}C / ${entry.puts}P`}
+                  />
+                ))}
+              </Box>
+            </Grid>
+          </Grid>
+
+          <Box>
+            <Typography variant="h6" gutterBottom>Recent Positions</Typography>
+            <TableContainer component={Paper} variant="outlined">
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Contract</TableCell>
+                    <TableCell align="right">Size</TableCell>
+                    <TableCell>Post</TableCell>
+                    <TableCell>Posted</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {chatter.recent_mentions.map((mention, index) => (
+                    <TableRow key={`${mention.post.reddit_id}-${index}`}>
+                      <TableCell>
+                        <Chip
+                          size="small"
+                          color={mention.option_type === 'call' ? 'success' : 'error'}
+                          label={`$${mention.strike}${mention.option_type === 'call' ? 'C' : 'P'} ${mention.expiry_label || ''}`}
+                        />
+                      </TableCell>
+                      <TableCell align="right">
+                        {mention.quantity ? `${mention.quantity}x` : '—'}
+                        {mention.premium !== null ? ` @ $${mention.premium}` : ''}
+                      </TableCell>
+                      <TableCell sx={{ maxWidth: 360 }}>
+                        <Typography variant="body2" noWrap title={mention.post.title}>
+                          {mention.post.title}
+                        </Typography>
+                        <Typography variant="caption" color="text.secondary">
+                          r/{mention.post.subreddit} · u/{mention.post.author} · {mention.post.upvotes} upvotes
+                        </Typography>
+                      </TableCell>
+                      <TableCell>{new Date(mention.post.created_utc).toLocaleString()}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </Box>
+        </>
+      )}
+    </Stack>
+  );
+}
+
+export default OptionsChatter;
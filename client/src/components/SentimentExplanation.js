@@ -0,0 +1,264 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Typography,
+  Box,
+  Card,
+  CardContent,
+  Grid,
+  TextField,
+  MenuItem,
+  Chip,
+  Alert,
+  LinearProgress,
+  Stack,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Link,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow
+} from '@mui/material';
+
+import { ApiService } from '../services/ApiService';
+
+const windows = [
+  { value: 24, label: 'Last 24 hours' },
+  { value: 72, label: 'Last 3 days' },
+  { value: 168, label: 'Last 7 days' }
+];
+
+const componentLabels = {
+  data_points: 'Data volume',
+  user_reputation: 'Author reputation',
+  cross_validation: 'Cross-subreddit agreement',
+  historical_accuracy: 'Track record',
+  news_correlation: 'News agreement',
+  economic_context: 'Macro alignment'
+};
+
+const statusLabels = {
+  new: { label: 'New', color: 'info' },
+  expired: { label: 'Aged out', color: 'default' },
+  reweighted: { label: 'Reweighted', color: 'warning' }
+};
+
+const formatSigned = (value, digits = 1) => (value === null || value === undefined ? '—' : `${value > 0 ? '+' : ''}${value.toFixed(digits)}`);
+const signedColor = (value) => (value > 0 ? 'success.main' : value < 0 ? 'error.main' : 'text.secondary');
+
+function PostDrivers({ title, posts }) {
+  return (
+    <Card variant="outlined" sx={{ height: '100%' }}>
+      <CardContent>
+        <Typography variant="subtitle2" fontWeight={600} gutterBottom>{title}</Typography>
+        {posts.length === 0 && (
+          <Typography variant="body2" color="text.secondary">None</Typography>
+        )}
+        <Stack spacing={1}>
+          {posts.map(post => (
+            <Box key={post.reddit_id} sx={{ display: 'flex', justifyContent: 'space-between', gap: 1 }}>
+              <Box sx={{ minWidth: 0 }}>
+                {post.url ? (
+                  <Link href={post.url} target="_blank" rel="noopener noreferrer" variant="body2" noWrap sx={{ display: 'block' }}>
+                    {post.title}
+                  </Link>
+                ) : (
+                  <Typography variant="body2" noWrap>{post.title}</Typography>
+                )}
+                <Typography variant="caption" color="text.secondary">
+                  u/{post.author} · r/{post.subreddit} · sentiment {formatSigned(post.sentiment, 0)} · quality {Math.round(post.quality_score)} · decay {post.time_decay_factor}
+                  {post.coordination_weight < 1 && ` · campaign weight ${post.coordination_weight}`}
+                </Typography>
+              </Box>
+              <Typography variant="body2" fontWeight={600} sx={{ color: signedColor(post.contribution), whiteSpace: 'nowrap' }}>
+                {formatSigned(post.contribution)}
+              </Typography>
+            </Box>
+          ))}
+        </Stack>
+      </CardContent>
+    </Card>
+  );
+}
+
+function GroupDrivers({ title, drivers, nameKey, prefix }) {
+  const items = [...drivers.positive, ...drivers.negative];
+  return (
+    <Box>
+      <Typography variant="subtitle2" fontWeight={600} gutterBottom>{title}</Typography>
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+        {items.length === 0 && <Typography variant="body2" color="text.secondary">None</Typography>}
+        {items.map(item => (
+          <Chip
+            key={item[nameKey]}
+            label={`${prefix}${item[nameKey]} ${formatSigned(item.contribution)} (${item.posts})`}
+            size="small"
+            color={item.contribution > 0 ? 'success' : 'error'}
+            variant="outlined"
+          />
+        ))}
+      </Box>
+    </Box>
+  );
+}
+
+function SentimentExplanation({ ticker, open, onClose }) {
+  const [explanation, setExplanation] = useState(null);
+  const [hours, setHours] = useState(24);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadExplanation = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await ApiService.getSentimentExplanation(ticker, { hours, limit: 5 });
+      setExplanation(response.data);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to load the explanation');
+    } finally {
+      setLoading(false);
+    }
+  }, [ticker, hours]);
+
+  useEffect(() => {
+    if (open) loadExplanation();
+  }, [open, loadExplanation]);
+
+  const change = explanation?.change;
+  const confidence = explanation?.confidence;
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth onClick={(e) => e.stopPropagation()}>
+      <DialogTitle>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 2 }}>
+          <span>Why is {ticker} sentiment where it is?</span>
+          <TextField
+            select
+            size="small"
+            label="Window"
+            value={hours}
+            onChange={(e) => setHours(e.target.value)}
+            sx={{ minWidth: 160 }}
+          >
+            {windows.map(option => (
+              <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+            ))}
+          </TextField>
+        </Box>
+      </DialogTitle>
+      <DialogContent dividers>
+        {loading && <LinearProgress sx={{ mb: 2 }} />}
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        {explanation && (
+          <Stack spacing={3}>
+            <Box>
+              <Typography variant="h4" fontWeight={700} sx={{ color: signedColor(explanation.sentiment) }}>
+                {formatSigned(explanation.sentiment)}
+              </Typography>
+              <Typography variant="caption" color="text.secondary">
+                Weighted sentiment from {explanation.post_count} posts (quality × time decay × campaign weight).
+                Each post's contribution is its weight × sentiment over the total weight, so they add up to this number
+                {explanation.stored_sentiment !== null && `; the running figure on the stock is ${formatSigned(explanation.stored_sentiment)}`}
+              </Typography>
+            </Box>
+
+            {change ? (
+              <Card variant="outlined">
+                <CardContent>
+                  <Typography variant="subtitle1" fontWeight={600}>
+                    {formatSigned(change.previous.sentiment)} → {formatSigned(explanation.sentiment)} since {new Date(change.previous.taken_at).toLocaleString()}
+                  </Typography>
+                  <Stack direction="row" spacing={1} sx={{ my: 1.5, flexWrap: 'wrap', rowGap: 1 }}>
+                    <Chip size="small" label={`New posts ${formatSigned(change.breakdown.new_posts.contribution)} (${change.breakdown.new_posts.posts})`} />
+                    <Chip size="small" label={`Aged out ${formatSigned(change.breakdown.expired_posts.contribution)} (${change.breakdown.expired_posts.posts})`} />
+                    <Chip size="small" label={`Reweighted ${formatSigned(change.breakdown.reweighted_posts.contribution)} (${change.breakdown.reweighted_posts.posts})`} />
+                    {change.breakdown.untracked !== null && Math.abs(change.breakdown.untracked) >= 0.1 && (
+                      <Chip size="small" variant="outlined" label={`Other posts ${formatSigned(change.breakdown.untracked)}`} />
+                    )}
+                  </Stack>
+                  <Table size="small">
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Biggest movers</TableCell>
+                        <TableCell align="center">Status</TableCell>
+                        <TableCell align="right">Before</TableCell>
+                        <TableCell align="right">Now</TableCell>
+                        <TableCell align="right">Change</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {change.posts.map(post => (
+                        <TableRow key={post.reddit_id}>
+                          <TableCell sx={{ maxWidth: 320 }}>
+                            <Typography variant="body2" noWrap>{post.title}</Typography>
+                            <Typography variant="caption" color="text.secondary">u/{post.author} · r/{post.subreddit}</Typography>
+                          </TableCell>
+                          <TableCell align="center">
+                            <Chip size="small" label={statusLabels[post.status].label} color={statusLabels[post.status].color} variant="outlined" />
+                          </TableCell>
+                          <TableCell align="right">{formatSigned(post.previous)}</TableCell>
+                          <TableCell align="right">{formatSigned(post.contribution)}</TableCell>
+                          <TableCell align="right" sx={{ color: signedColor(post.change), fontWeight: 600 }}>{formatSigned(post.change)}</TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                  <Typography variant="caption" color="text.secondary" component="div" sx={{ mt: 1 }}>
+                    Authors: {change.authors.map(item => `u/${item.author} ${formatSigned(item.change)}`).join(', ') || '—'}
+                  </Typography>
+                </CardContent>
+              </Card>
+            ) : (
+              <Alert severity="info">No earlier snapshot for this window yet; the next explanation will show what changed from now.</Alert>
+            )}
+
+            <Grid container spacing={2}>
+              <Grid size={{ xs: 12, md: 6 }}>
+                <PostDrivers title="Pulling sentiment up" posts={explanation.drivers.posts.positive} />
+              </Grid>
+              <Grid size={{ xs: 12, md: 6 }}>
+                <PostDrivers title="Pulling sentiment down" posts={explanation.drivers.posts.negative} />
+              </Grid>
+            </Grid>
+
+            <GroupDrivers title="Authors" drivers={explanation.drivers.authors} nameKey="author" prefix="u/" />
+            <GroupDrivers title="Subreddits" drivers={explanation.drivers.subreddits} nameKey="subreddit" prefix="r/" />
+
+            {confidence && !confidence.error && (
+              <Box>
+                <Typography variant="subtitle2" fontWeight={600} gutterBottom>
+                  Confidence {confidence.score.toFixed(1)} ({confidence.level.replace('_', ' ')})
+                </Typography>
+                <Stack spacing={1}>
+                  {confidence.components.map(component => (
+                    <Box key={component.component}>
+                      <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+                        <Typography variant="body2">{componentLabels[component.component] || component.component}</Typography>
+                        <Typography variant="body2" color="text.secondary">
+                          {component.score.toFixed(0)} × {Math.round(component.weight * 100)}% = {component.contribution.toFixed(1)} pts
+                        </Typography>
+                      </Box>
+                      <LinearProgress variant="determinate" value={Math.max(0, Math.min(100, component.score))} sx={{ height: 6, borderRadius: 2 }} />
+                    </Box>
+                  ))}
+                </Stack>
+              </Box>
+            )}
+            {confidence?.error && <Alert severity="warning">Confidence unavailable: {confidence.error}</Alert>}
+          </Stack>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default SentimentExplanation;
@@ -0,0 +1,222 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Typography,
+  Box,
+  Card,
+  CardContent,
+  Grid,
+  TextField,
+  MenuItem,
+  Chip,
+  Alert,
+  LinearProgress,
+  Stack,
+  IconButton,
+  Tooltip
+} from '@mui/material';
+import { Refresh as RefreshIcon } from '@mui/icons-material';
+import {
+  ResponsiveContainer,
+  ComposedChart,
+  Bar,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Legend,
+  Tooltip as ChartTooltip
+} from 'recharts';
+
+import { ApiService } from '../services/ApiService';
+
+const ranges = [
+  { value: '24h', label: 'Last 24 hours', hours: 24, interval: 'hour' },
+  { value: '7d', label: 'Last 7 days', hours: 7 * 24, interval: 'hour' },
+  { value: '30d', label: 'Last 30 days', hours: 30 * 24, interval: 'day' },
+  { value: '180d', label: 'Last 6 months', hours: 180 * 24, interval: 'week' }
+];
+
+// Change against the previous period, as "+12%" or "+8.5 pts"
+function Change({ current, previous, points = false }) {
+  if (current === null || current === undefined || previous === null || previous === undefined) {
+    return null;
+  }
+  if (!points && previous === 0) return null;
+
+  const delta = points ? current - previous : ((current - previous) / previous) * 100;
+  const label = points ? `${delta >= 0 ? '+' : ''}${delta.toFixed(1)} pts` : `${delta >= 0 ? '+' : ''}${Math.round(delta)}%`;
+  return (
+    <Chip
+      label={`${label} vs previous`}
+      size="small"
+      color={delta > 0 ? 'success' : delta < 0 ? 'error' : 'default'}
+      variant="outlined"
+      sx={{ mt: 1 }}
+    />
+  );
+}
+
+function SentimentTimeline({ ticker }) {
+  const [history, setHistory] = useState(null);
+  const [range, setRange] = useState('7d');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadHistory = useCallback(async () => {
+    const selected = ranges.find(option => option.value === range);
+    setLoading(true);
+    try {
+      const to = new Date();
+      const from = new Date(to.getTime() - selected.hours * 60 * 60 * 1000);
+      const response = await ApiService.getSentimentHistory(ticker, {
+        from: from.toISOString(),
+        to: to.toISOString(),
+        interval: selected.interval
+      });
+      setHistory(response.data);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to load sentiment history');
+    } finally {
+      setLoading(false);
+    }
+  }, [ticker, range]);
+
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory]);
+
+  const rows = (history?.series || []).map(point => ({
+    ...point,
+    label: history.interval === 'hour'
+      ? new Date(point.timestamp).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit' })
+      : new Date(point.timestamp).toLocaleDateString()
+  }));
+  const summary = history?.summary;
+  const previous = history?.previous_period;
+
+  return (
+    <Stack spacing={3}>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: 2 }}>
+        <Typography variant="h5" fontWeight={600}>
+          📈 Sentiment Timeline Analysis
+        </Typography>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <TextField
+            select
+            size="small"
+            label="Range"
+            value={range}
+            onChange={(e) => setRange(e.target.value)}
+            sx={{ minWidth: 160 }}
+          >
+            {ranges.map(option => (
+              <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+            ))}
+          </TextField>
+          <Tooltip title="Refresh">
+            <IconButton onClick={loadHistory}>
+              <RefreshIcon />
+            </IconButton>
+          </Tooltip>
+        </Box>
+      </Box>
+
+      {loading && <LinearProgress />}
+      {error && <Alert severity="error">{error}</Alert>}
+
+      {summary && summary.mentions === 0 && (
+        <Alert severity="info">No mentions of {ticker} in this range.</Alert>
+      )}
+
+      {summary && summary.mentions > 0 && (
+        <>
+          <Grid container spacing={2}>
+            <Grid size={{ xs: 6, md: 3 }}>
+              <Card variant="outlined">
+                <CardContent>
+                  <Typography variant="body2" color="text.secondary">Mentions</Typography>
+                  <Typography variant="h5" fontWeight={700}>{summary.mentions}</Typography>
+                  <Typography variant="caption" color="text.secondary">
+                    {summary.post_mentions} posts, {summary.comment_mentions} comments
+                  </Typography>
+                  <Box><Change current={summary.mentions} previous={previous?.mentions} /></Box>
+                </CardContent>
+              </Card>
+            </Grid>
+            <Grid size={{ xs: 6, md: 3 }}>
+              <Card variant="outlined">
+                <CardContent>
+                  <Typography variant="body2" color="text.secondary">Avg Sentiment</Typography>
+                  <Typography variant="h5" fontWeight={700}>{summary.avg_sentiment ?? '—'}</Typography>
+                  <Typography variant="caption" color="text.secondary">
+                    Weighted {summary.weighted_sentiment ?? '—'}
+                  </Typography>
+                  <Box><Change current={summary.avg_sentiment} previous={previous?.avg_sentiment} points /></Box>
+                </CardContent>
+              </Card>
+            </Grid>
+            <Grid size={{ xs: 6, md: 3 }}>
+              <Card variant="outlined">
+                <CardContent>
+                  <Typography variant="body2" color="text.secondary">Unique Authors</Typography>
+                  <Typography variant="h5" fontWeight={700}>{summary.unique_authors}</Typography>
+                  <Box><Change current={summary.unique_authors} previous={previous?.unique_authors} /></Box>
+                </CardContent>
+              </Card>
+            </Grid>
+            <Grid size={{ xs: 6, md: 3 }}>
+              <Card variant="outlined">
+                <CardContent>
+                  <Typography variant="body2" color="text.secondary">Bullish / Bearish</Typography>
+                  <Typography variant="h5" fontWeight={700}>{summary.bullish} / {summary.bearish}</Typography>
+                  <Typography variant="caption" color="text.secondary">
+                    Avg quality {summary.avg_quality ?? '—'}
+                  </Typography>
+                </CardContent>
+              </Card>
+            </Grid>
+          </Grid>
+
+          <Card variant="outlined">
+            <CardContent>
+              <Box sx={{ height: 340 }}>
+                <ResponsiveContainer width="100%" height="100%">
+                  <ComposedChart data={rows}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="label" minTickGap={30} />
+                    <YAxis yAxisId="sentiment" domain={[-100, 100]} />
+                    <YAxis yAxisId="mentions" orientation="right" allowDecimals={false} />
+                    <ChartTooltip />
+                    <Legend />
+                    <Bar yAxisId="mentions" dataKey="mentions" name="Mentions" fill="#90caf9" />
+                    <Line yAxisId="sentiment" type="monotone" dataKey="avg_sentiment" name="Avg sentiment" stroke="#00C851" dot={false} connectNulls />
+                    <Line yAxisId="sentiment" type="monotone" dataKey="weighted_sentiment" name="Weighted sentiment" stroke="#ff9800" dot={false} connectNulls />
+                  </ComposedChart>
+                </ResponsiveContainer>
+              </Box>
+              <Typography variant="caption" color="text.secondary">
+                Per {history.interval}; the most recent hours are computed live until the hourly rollup stores them
+              </Typography>
+            </CardContent>
+          </Card>
+
+          {summary.subreddits.length > 0 && (
+            <Stack direction="row" spacing={1} flexWrap="wrap" useFlexGap>
+              {summary.subreddits.map(split => (
+                <Chip
+                  key={split.subreddit}
+                  label={`r/${split.subreddit}: ${split.mentions} (${split.avg_sentiment > 0 ? '+' : ''}${split.avg_sentiment})`}
+                  color={split.avg_sentiment > 20 ? 'success' : split.avg_sentiment < -20 ? 'error' : 'default'}
+                  variant="outlined"
+                />
+              ))}
+            </Stack>
+          )}
+        </>
+      )}
+    </Stack>
+  );
+}
+
+export default SentimentTimeline;
@@ -28,11 +28,20 @@ import {
   Psychology as PsychologyIcon,
   Article as ArticleIcon,
   TrendingFlat as TrendingFlatIcon,
-  TrendingDown as TrendingDownIcon
+  TrendingDown as TrendingDownIcon,
+  Casino as CasinoIcon,
+  ShowChart as ShowChartIcon,
+  SwapHoriz as SwapHorizIcon,
+  Forum as ForumIcon
 } from '@mui/icons-material';
 
 import { ApiService } from '../services/ApiService';
 import ConfidenceIndicator from './ConfidenceIndicator';
+import OptionsChatter from './OptionsChatter';
+import TechnicalChart from './TechnicalChart';
+import SentimentTimeline from './SentimentTimeline';
+import LeadLagChart from './LeadLagChart';
+import NarrativePanel from './NarrativePanel';
 
 function TabPanel({ children, value, index, ...other }) {
   return (
@@ -243,6 +252,7 @@ function StockDetail({ ticker, onBack }) {
                       value={stockData?.confidence || 0}
                       size="small"
                       showLabel={false}
+                      ticker={ticker}
                       sx={{ mt: 1 }}
                     />
                   </Box>
@@ -390,31 +400,32 @@ function StockDetail({ ticker, onBack }) {
                 label="Economic Context"
                 iconPosition="start"
               />
+              <Tab 
+                icon={<CasinoIcon />}
+                label="Options Chatter"
+                iconPosition="start"
+              />
+              <Tab 
+                icon={<ShowChartIcon />}
+                label="Technicals"
+                iconPosition="start"
+              />
+              <Tab 
+                icon={<SwapHorizIcon />}
+                label="Lead / Lag"
+                iconPosition="start"
+              />
+              <Tab 
+                icon={<ForumIcon />}
+                label="Narratives"
+                iconPosition="start"
+              />
             </Tabs>
           </Box>
 
           <Box sx={{ minHeight: 400, p: 3 }}>
             <TabPanel value={tabValue} index={0}>
-              <Stack spacing={3}>
-                <Typography variant="h5" fontWeight={600}>
-                  📈 Sentiment Timeline Analysis
-                </Typography>
-                <Typography variant="body1" color="text.secondary">
-                  Comprehensive sentiment analysis chart with price correlation and volume indicators will be implemented here.
-                </Typography>
-                <Box sx={{ 
-                  height: 300, 
-                  bgcolor: alpha(theme.palette.primary.main, 0.05),
-                  borderRadius: 2,
-                  display: 'flex',
-                  alignItems: 'center',
-                  justifyContent: 'center'
-                }}>
-                  <Typography variant="h6" color="text.secondary">
-                    Interactive Chart Coming Soon
-                  </Typography>
-                </Box>
-              </Stack>
+              <SentimentTimeline ticker={ticker} />
             </TabPanel>
 
             <TabPanel value={tabValue} index={1}>
@@ -485,6 +496,22 @@ function StockDetail({ ticker, onBack }) {
                 </Box>
               </Stack>
             </TabPanel>
+
+            <TabPanel value={tabValue} index={4}>
+              <OptionsChatter ticker={ticker} />
+            </TabPanel>
+
+            <TabPanel value={tabValue} index={5}>
+              <TechnicalChart ticker={ticker} />
+            </TabPanel>
+
+            <TabPanel value={tabValue} index={6}>
+              <LeadLagChart ticker={ticker} />
+            </TabPanel>
+
+            <TabPanel value={tabValue} index={7}>
+              <NarrativePanel ticker={ticker} />
+            </TabPanel>
           </Box>
         </Paper>
       </Fade>
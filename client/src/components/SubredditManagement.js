@@ -40,6 +40,12 @@ import {
 
 import { ApiService } from '../services/ApiService';
 
+const gapReason = (gap) => {
+  if (gap.reason === 'page_limit') return `page limit, ${gap.pages_fetched} pages`;
+  if (gap.reason === 'processing_failed') return `${gap.post_ids.length} posts failed to process`;
+  return 'end of listing';
+};
+
 function SubredditManagement() {
   const [subreddits, setSubreddits] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -47,6 +53,7 @@ function SubredditManagement() {
   const [openDialog, setOpenDialog] = useState(false);
   const [selectedSubreddit, setSelectedSubreddit] = useState(null);
   const [newSubredditName, setNewSubredditName] = useState('');
+  const [coverage, setCoverage] = useState(null);
 
   useEffect(() => {
     loadSubreddits();
@@ -61,6 +68,14 @@ function SubredditManagement() {
       // Ensure we always have an array
       setSubreddits(Array.isArray(subredditsData) ? subredditsData : []);
       setError(null);
+
+      // Checkpoints and gaps come from the monitoring dashboard; the table still works without them
+      try {
+        const dashboard = await ApiService.getMonitoringDashboard();
+        setCoverage(dashboard.data);
+      } catch (dashboardError) {
+        setCoverage(null);
+      }
     } catch (err) {
       setError(err.message || 'Failed to load subreddits');
       // Set empty array on error to prevent filter errors
@@ -135,6 +150,8 @@ function SubredditManagement() {
     return num?.toString() || '0';
   };
 
+  const formatDate = (value) => (value ? new Date(value).toLocaleString() : 'Never');
+
   if (loading) {
     return (
       <Container maxWidth="xl" sx={{ mt: 4 }}>
@@ -384,6 +401,83 @@ function SubredditManagement() {
         </CardContent>
       </Card>
 
+      {/* Scrape Coverage */}
+      {coverage && (
+        <Card sx={{ mt: 3 }}>
+          <CardContent>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+              <Typography variant="h6">
+                🧭 Scrape Coverage
+              </Typography>
+              <Box sx={{ display: 'flex', gap: 1 }}>
+                <Chip
+                  label={`${coverage.summary.coverage.gaps_24h} gaps (24h)`}
+                  color={coverage.summary.coverage.gaps_24h > 0 ? 'warning' : 'success'}
+                  size="small"
+                />
+                <Chip label={`${coverage.summary.coverage.gaps_7d} gaps (7d)`} size="small" variant="outlined" />
+              </Box>
+            </Box>
+
+            <TableContainer component={Paper} variant="outlined">
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Subreddit</TableCell>
+                    <TableCell>Checkpoint</TableCell>
+                    <TableCell>Last Run</TableCell>
+                    <TableCell align="center">Pages / Posts</TableCell>
+                    <TableCell>Last Refresh</TableCell>
+                    <TableCell align="center">Gaps (7d)</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {coverage.subreddits.filter(s => s.is_active).map((subreddit) => (
+                    <TableRow key={subreddit.name} hover>
+                      <TableCell>r/{subreddit.name}</TableCell>
+                      <TableCell>{formatDate(subreddit.scrape_cursor?.last_created_utc)}</TableCell>
+                      <TableCell>{formatDate(subreddit.scrape_cursor?.last_run)}</TableCell>
+                      <TableCell align="center">
+                        {subreddit.scrape_cursor?.last_pages || 0} / {subreddit.scrape_cursor?.last_fetched || 0}
+                      </TableCell>
+                      <TableCell>
+                        {formatDate(subreddit.scrape_cursor?.last_refreshed)}
+                        {subreddit.scrape_cursor?.last_refreshed && (
+                          <Typography variant="caption" color="text.secondary" sx={{ ml: 1 }}>
+                            ({subreddit.scrape_cursor.last_refreshed_count} posts)
+                          </Typography>
+                        )}
+                      </TableCell>
+                      <TableCell align="center">
+                        <Chip
+                          label={subreddit.gaps_7d}
+                          color={subreddit.gaps_7d > 0 ? 'warning' : 'default'}
+                          size="small"
+                        />
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+
+            {coverage.gaps.length > 0 && (
+              <Alert severity="warning" sx={{ mt: 2 }}>
+                <Typography variant="subtitle2" gutterBottom>
+                  Posts in these windows were never stored (the listing ran out before reaching the last checkpoint, or the posts failed to process):
+                </Typography>
+                {coverage.gaps.slice(0, 10).map((gap, index) => (
+                  <Typography key={index} variant="body2">
+                    r/{gap.subreddit}: {formatDate(gap.from)} → {formatDate(gap.to)}
+                    {' '}({gapReason(gap)})
+                  </Typography>
+                ))}
+              </Alert>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
       {/* Add/Edit Dialog */}
       <Dialog open={openDialog} onClose={() => setOpenDialog(false)} maxWidth="md" fullWidth>
         <DialogTitle>
@@ -0,0 +1,215 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Typography,
+  Box,
+  Card,
+  CardContent,
+  Grid,
+  TextField,
+  MenuItem,
+  Chip,
+  Alert,
+  LinearProgress,
+  Stack,
+  IconButton,
+  Tooltip
+} from '@mui/material';
+import { Refresh as RefreshIcon } from '@mui/icons-material';
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip as ChartTooltip
+} from 'recharts';
+
+import { ApiService } from '../services/ApiService';
+
+const intervals = [
+  { value: 'daily', label: 'Daily' },
+  { value: '5min', label: '5 min' },
+  { value: '15min', label: '15 min' },
+  { value: '60min', label: '60 min' }
+];
+
+// Overlay key sent to the server, and the chart lines it adds
+const overlayOptions = [
+  { key: 'sma_20', label: 'SMA 20', lines: [{ dataKey: 'sma_20', color: '#2196f3' }] },
+  { key: 'sma_50', label: 'SMA 50', lines: [{ dataKey: 'sma_50', color: '#9c27b0' }] },
+  { key: 'ema_12', label: 'EMA 12', lines: [{ dataKey: 'ema_12', color: '#ff9800' }] },
+  {
+    key: 'bbands',
+    label: 'Bollinger',
+    lines: [
+      { dataKey: 'bbands_upper', color: '#9e9e9e', dashed: true },
+      { dataKey: 'bbands_lower', color: '#9e9e9e', dashed: true }
+    ]
+  },
+  { key: 'vwap', label: 'VWAP', lines: [{ dataKey: 'vwap', color: '#e91e63' }], intradayOnly: true }
+];
+
+const activeOverlayOptions = (overlays, intraday) => overlayOptions.filter(
+  option => overlays.includes(option.key) && (!option.intradayOnly || intraday)
+);
+
+const formatNumber = (value, digits = 2) => (
+  value === null || value === undefined ? '—' : Number(value).toLocaleString(undefined, { maximumFractionDigits: digits })
+);
+
+function TechnicalChart({ ticker }) {
+  const [chart, setChart] = useState(null);
+  const [barInterval, setBarInterval] = useState('daily');
+  const [overlays, setOverlays] = useState(['sma_20', 'sma_50', 'bbands']);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const isIntraday = barInterval !== 'daily';
+  const activeOverlays = activeOverlayOptions(overlays, isIntraday);
+
+  const loadChart = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await ApiService.getTechnicalChart(ticker, {
+        interval: barInterval,
+        overlays: activeOverlayOptions(overlays, barInterval !== 'daily').map(option => option.key).join(',')
+      });
+      setChart(response.data);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to load technical chart');
+    } finally {
+      setLoading(false);
+    }
+  }, [ticker, barInterval, overlays]);
+
+  useEffect(() => {
+    loadChart();
+  }, [loadChart]);
+
+  const toggleOverlay = (key) => {
+    setOverlays(current => (current.includes(key) ? current.filter(item => item !== key) : [...current, key]));
+  };
+
+  const rows = (chart?.bars || []).map(bar => ({
+    ...bar,
+    label: isIntraday
+      ? new Date(bar.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+      : new Date(bar.timestamp).toLocaleDateString()
+  }));
+  const latest = chart?.latest || {};
+
+  const snapshot = [
+    { label: 'RSI (14)', value: formatNumber(latest.rsi, 1), color: latest.rsi >= 70 ? 'error' : latest.rsi <= 30 ? 'success' : 'default' },
+    { label: 'MACD', value: `${formatNumber(latest.macd)} / ${formatNumber(latest.macd_signal)}`, color: latest.macd_histogram > 0 ? 'success' : latest.macd_histogram < 0 ? 'error' : 'default' },
+    { label: 'ATR (14)', value: formatNumber(latest.atr), color: 'default' },
+    { label: 'OBV', value: formatNumber(latest.obv, 0), color: 'default' },
+    { label: 'VWAP', value: formatNumber(latest.vwap), color: 'default' }
+  ];
+
+  return (
+    <Stack spacing={3}>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: 2 }}>
+        <Typography variant="h5" fontWeight={600}>
+          📐 Technical Indicators
+        </Typography>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <TextField
+            select
+            size="small"
+            label="Interval"
+            value={barInterval}
+            onChange={(e) => setBarInterval(e.target.value)}
+            sx={{ minWidth: 120 }}
+          >
+            {intervals.map(option => (
+              <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+            ))}
+          </TextField>
+          <Tooltip title="Refresh">
+            <IconButton onClick={loadChart}>
+              <RefreshIcon />
+            </IconButton>
+          </Tooltip>
+        </Box>
+      </Box>
+
+      <Stack direction="row" spacing={1} flexWrap="wrap" useFlexGap>
+        {overlayOptions.filter(option => !option.intradayOnly || isIntraday).map(option => (
+          <Chip
+            key={option.key}
+            label={option.label}
+            onClick={() => toggleOverlay(option.key)}
+            color={overlays.includes(option.key) ? 'primary' : 'default'}
+            variant={overlays.includes(option.key) ? 'filled' : 'outlined'}
+          />
+        ))}
+      </Stack>
+
+      {loading && <LinearProgress />}
+      {error && <Alert severity="error">{error}</Alert>}
+
+      {chart && rows.length === 0 && (
+        <Alert severity="info">
+          No {barInterval} bars stored for {ticker} yet.
+        </Alert>
+      )}
+
+      {rows.length > 0 && (
+        <>
+          <Card variant="outlined">
+            <CardContent>
+              <Box sx={{ height: 340 }}>
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={rows}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="label" minTickGap={30} />
+                    <YAxis domain={['auto', 'auto']} />
+                    <ChartTooltip />
+                    <Line type="monotone" dataKey="close" name="Close" stroke="#00C851" dot={false} strokeWidth={2} />
+                    {activeOverlays.flatMap(option => option.lines).map(line => (
+                      <Line
+                        key={line.dataKey}
+                        type="monotone"
+                        dataKey={line.dataKey}
+                        stroke={line.color}
+                        strokeDasharray={line.dashed ? '4 4' : undefined}
+                        dot={false}
+                        connectNulls={false}
+                      />
+                    ))}
+                  </LineChart>
+                </ResponsiveContainer>
+              </Box>
+              <Typography variant="caption" color="text.secondary">
+                {rows.length} stored bars; indicators are computed on the server from these, without market data API calls
+              </Typography>
+            </CardContent>
+          </Card>
+
+          <Grid container spacing={2}>
+            {snapshot.map(item => (
+              <Grid key={item.label} size={{ xs: 6, md: 2.4 }}>
+                <Card variant="outlined">
+                  <CardContent>
+                    <Typography variant="body2" color="text.secondary">{item.label}</Typography>
+                    <Chip label={item.value} color={item.color} size="small" sx={{ mt: 1, fontWeight: 600 }} />
+                  </CardContent>
+                </Card>
+              </Grid>
+            ))}
+          </Grid>
+          {latest.as_of && (
+            <Typography variant="caption" color="text.secondary">
+              Latest values as of {new Date(latest.as_of).toLocaleDateString()}
+              {latest.vwap_as_of && `; VWAP as of ${new Date(latest.vwap_as_of).toLocaleString()}`}
+            </Typography>
+          )}
+        </>
+      )}
+    </Stack>
+  );
+}
+
+export default TechnicalChart;
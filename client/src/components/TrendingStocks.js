@@ -75,9 +75,11 @@ function TrendingStocks({ mode = 'trending', onStockSelect }) {
   const [refreshing, setRefreshing] = useState(false);
   const [viewMode, setViewMode] = useState('table');
   const [showFilters, setShowFilters] = useState(false);
+  const [anomalies, setAnomalies] = useState([]);
 
   useEffect(() => {
     loadStocks();
+    loadAnomalies();
     setupWebSocketSubscriptions();
 
     return () => {
@@ -118,6 +120,16 @@ function TrendingStocks({ mode = 'trending', onStockSelect }) {
     }
   };
 
+  // Active anomaly events; the table still renders if this fails
+  const loadAnomalies = async () => {
+    try {
+      const response = await ApiService.getAnomalies({ active: true, limit: 200 });
+      setAnomalies(Array.isArray(response.data) ? response.data : []);
+    } catch (err) {
+      setAnomalies([]);
+    }
+  };
+
   const setupWebSocketSubscriptions = () => {
     WebSocketService.subscribe('trendingUpdate', (data) => {
       if (data.mode === mode || !data.mode) {
@@ -147,7 +159,7 @@ function TrendingStocks({ mode = 'trending', onStockSelect }) {
 
   const handleRefresh = async () => {
     setRefreshing(true);
-    await loadStocks();
+    await Promise.all([loadStocks(), loadAnomalies()]);
     setRefreshing(false);
   };
 
@@ -192,6 +204,26 @@ function TrendingStocks({ mode = 'trending', onStockSelect }) {
     return { label: '👀 Watch', color: 'default' };
   };
 
+  const anomalySeverityOrder = { high: 3, medium: 2, low: 1 };
+  const anomalyColors = { high: 'error', medium: 'warning', low: 'info' };
+
+  // Active events per ticker, strongest first
+  const anomaliesByTicker = anomalies.reduce((groups, event) => {
+    (groups[event.ticker] = groups[event.ticker] || []).push(event);
+    return groups;
+  }, {});
+  Object.values(anomaliesByTicker).forEach(events => events.sort((a, b) => (
+    anomalySeverityOrder[b.severity] - anomalySeverityOrder[a.severity] || Math.abs(b.peak_score) - Math.abs(a.peak_score)
+  )));
+
+  const describeAnomaly = (event) => {
+    const metric = event.metric.replace('_', ' ');
+    const change = event.metric === 'sentiment'
+      ? `${event.direction === 'spike' ? 'up' : 'down'} to ${event.observed} (usually ${event.expected})`
+      : `${event.observed} vs ~${event.expected} expected`;
+    return `${metric} over ${event.window_hours}h: ${change}, score ${event.score}`;
+  };
+
   const formatNumber = (num) => {
     if (num >= 1000000) return `${(num / 1000000).toFixed(1)}M`;
     if (num >= 1000) return `${(num / 1000).toFixed(1)}K`;
@@ -268,6 +300,7 @@ function TrendingStocks({ mode = 'trending', onStockSelect }) {
     const qualityUsers = stock.qualityUsers || stock.highQualityMentions || 0;
     const subredditCount = stock.subredditCount || stock.crossValidation?.subredditCount || 1;
     const trendingBadge = getTrendingBadge(stock.trendingScore || stock.score || 0);
+    const stockAnomalies = anomaliesByTicker[stock.ticker] || [];
 
     return (
       <Zoom in timeout={300 + index * 50}>
@@ -388,6 +421,7 @@ function TrendingStocks({ mode = 'trending', onStockSelect }) {
                 value={confidence} 
                 size="small"
                 showLabel={false}
+                ticker={stock.ticker}
               />
             </Stack>
           </TableCell>
@@ -436,15 +470,41 @@ function TrendingStocks({ mode = 'trending', onStockSelect }) {
                 </Tooltip>
               )}
               
-              {stock.velocity > 2 && (
-                <Chip
-                  label="🚀 High Velocity"
-                  color="secondary"
-                  size="small"
-                  sx={{ fontSize: '0.7rem' }}
-                />
+              {stock.high_velocity && (
+                <Tooltip
+                  title={`${stock.velocity}x the 24h hourly average · ${stock.engagement_velocity?.upvotes_per_hour || 0} upvotes, ${stock.engagement_velocity?.comments_per_hour || 0} comments in the last hour`}
+                >
+                  <Chip
+                    label="🚀 High Velocity"
+                    color="secondary"
+                    size="small"
+                    sx={{ fontSize: '0.7rem' }}
+                  />
+                </Tooltip>
               )}
               
+              {stockAnomalies.length > 0 && (
+                <Tooltip
+                  title={
+                    <Box>
+                      {stockAnomalies.slice(0, 4).map(event => (
+                        <Typography key={event._id} variant="caption" component="div">
+                          {describeAnomaly(event)}
+                        </Typography>
+                      ))}
+                    </Box>
+                  }
+                >
+                  <Chip
+                    icon={<WarningIcon />}
+                    label={`Anomaly: ${stockAnomalies[0].severity}`}
+                    color={anomalyColors[stockAnomalies[0].severity]}
+                    size="small"
+                    sx={{ fontSize: '0.7rem' }}
+                  />
+                </Tooltip>
+              )}
+
               {stock.manipulationRisk > 70 && (
                 <Tooltip title="High manipulation risk detected">
                   <Chip
@@ -602,6 +662,32 @@ function TrendingStocks({ mode = 'trending', onStockSelect }) {
         </Box>
       </Fade>
 
+      {/* Active anomalies against each ticker's own baseline */}
+      {Object.keys(anomaliesByTicker).length > 0 && (
+        <Fade in timeout={400}>
+          <Alert severity="warning" icon={<WarningIcon />} sx={{ mb: 3, borderRadius: 2 }}>
+            <Typography variant="subtitle2" fontWeight={600} sx={{ mb: 1 }}>
+              Unusual activity for {Object.keys(anomaliesByTicker).length} tickers
+            </Typography>
+            <Stack direction="row" spacing={1} flexWrap="wrap" useFlexGap>
+              {Object.entries(anomaliesByTicker)
+                .sort(([, a], [, b]) => anomalySeverityOrder[b[0].severity] - anomalySeverityOrder[a[0].severity])
+                .slice(0, 12)
+                .map(([ticker, events]) => (
+                  <Tooltip key={ticker} title={describeAnomaly(events[0])}>
+                    <Chip
+                      label={`${ticker} · ${events[0].metric.replace('_', ' ')} ${events[0].direction}`}
+                      color={anomalyColors[events[0].severity]}
+                      size="small"
+                      onClick={() => handleStockClick(ticker)}
+                    />
+                  </Tooltip>
+                ))}
+            </Stack>
+          </Alert>
+        </Fade>
+      )}
+
       {/* Enhanced Collapsible Filters */}
       <Fade in={showFilters} timeout={300}>
         <Card 
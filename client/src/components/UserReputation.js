@@ -36,6 +36,7 @@ import {
 
 import { ApiService } from '../services/ApiService';
 import ConfidenceIndicator from './ConfidenceIndicator';
+import BotReviewQueue from './BotReviewQueue';
 
 function UserReputation() {
   const [users, setUsers] = useState([]);
@@ -449,6 +450,8 @@ function UserReputation() {
           )}
         </CardContent>
       </Card>
+
+      <BotReviewQueue />
     </Container>
   );
 }
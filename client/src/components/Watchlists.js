@@ -0,0 +1,554 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  Container,
+  Typography,
+  Box,
+  Card,
+  CardContent,
+  Grid,
+  Button,
+  TextField,
+  MenuItem,
+  List,
+  ListItemButton,
+  ListItemText,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  IconButton,
+  Tooltip,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Alert,
+  LinearProgress
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  Refresh as RefreshIcon,
+  CompareArrows as CompareArrowsIcon,
+  TrendingUp as TrendingUpIcon,
+  TrendingDown as TrendingDownIcon
+} from '@mui/icons-material';
+
+import { ApiService } from '../services/ApiService';
+import { WebSocketService } from '../services/WebSocketService';
+
+const emptyHolding = { ticker: '', shares: '', cost_basis: '', notes: '' };
+
+function Watchlists({ onStockSelect }) {
+  const [watchlists, setWatchlists] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [view, setView] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [viewLoading, setViewLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [createOpen, setCreateOpen] = useState(false);
+  const [newWatchlist, setNewWatchlist] = useState({ name: '', kind: 'watchlist', description: '' });
+  const [holdingOpen, setHoldingOpen] = useState(false);
+  const [newHolding, setNewHolding] = useState(emptyHolding);
+  const selectedIdRef = useRef(null);
+
+  const loadWatchlists = useCallback(async () => {
+    try {
+      const response = await ApiService.getWatchlists();
+      const data = Array.isArray(response.data) ? response.data : [];
+      setWatchlists(data);
+      setSelectedId(current => current || (data[0] && data[0]._id) || null);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to load watchlists');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const loadView = useCallback(async (id, refreshPrices = false) => {
+    if (!id) return;
+    setViewLoading(true);
+    try {
+      const response = await ApiService.getWatchlistView(id, refreshPrices ? { refresh_prices: 'true' } : {});
+      if (selectedIdRef.current === id) {
+        setView(response.data);
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to load watchlist');
+    } finally {
+      setViewLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadWatchlists();
+  }, [loadWatchlists]);
+
+  // Join the selected watchlist's rooms and keep holdings live
+  useEffect(() => {
+    selectedIdRef.current = selectedId;
+    setView(null);
+    if (!selectedId) return undefined;
+
+    loadView(selectedId);
+    WebSocketService.joinWatchlist(selectedId);
+
+    const subscriptions = [
+      ['stockUpdate', WebSocketService.subscribe('stockUpdate', (data) => {
+        setView(prev => {
+          if (!prev || !prev.holdings.some(h => h.ticker === data.ticker)) return prev;
+          return {
+            ...prev,
+            holdings: prev.holdings.map(h => (h.ticker === data.ticker ? {
+              ...h,
+              sentiment: { ...h.sentiment, ...data.sentiment_trend },
+              mentions_24h: data.reddit_mentions?.last_24h ?? h.mentions_24h,
+              trending_score: data.trending_score ?? h.trending_score,
+              is_trending: data.is_trending ?? h.is_trending
+            } : h))
+          };
+        });
+      })],
+
+      ['watchlistUpdate', WebSocketService.subscribe('watchlistUpdate', (data) => {
+        if (data.id === selectedIdRef.current) loadView(data.id);
+      })],
+
+      ['connection', WebSocketService.subscribe('connection', (data) => {
+        if (data.status === 'connected') WebSocketService.joinWatchlist(selectedId);
+      })]
+    ];
+
+    return () => {
+      WebSocketService.leaveWatchlist(selectedId);
+      subscriptions.forEach(([event, id]) => WebSocketService.unsubscribe(event, id));
+    };
+  }, [selectedId, loadView]);
+
+  const handleCreateWatchlist = async () => {
+    try {
+      const response = await ApiService.createWatchlist(newWatchlist);
+      setCreateOpen(false);
+      setNewWatchlist({ name: '', kind: 'watchlist', description: '' });
+      await loadWatchlists();
+      setSelectedId(response.data._id);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to create watchlist');
+    }
+  };
+
+  const handleDeleteWatchlist = async () => {
+    const current = watchlists.find(w => w._id === selectedId);
+    if (!current || !window.confirm(`Delete "${current.name}"?`)) return;
+
+    try {
+      await ApiService.deleteWatchlist(selectedId);
+      setSelectedId(null);
+      loadWatchlists();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to delete watchlist');
+    }
+  };
+
+  const handleAddHolding = async () => {
+    try {
+      await ApiService.addWatchlistHolding(selectedId, {
+        ticker: newHolding.ticker.toUpperCase(),
+        shares: newHolding.shares === '' ? 0 : Number(newHolding.shares),
+        cost_basis: newHolding.cost_basis === '' ? 0 : Number(newHolding.cost_basis),
+        notes: newHolding.notes
+      });
+      setHoldingOpen(false);
+      setNewHolding(emptyHolding);
+      loadWatchlists();
+      loadView(selectedId);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to add holding');
+    }
+  };
+
+  const handleRemoveHolding = async (ticker) => {
+    try {
+      await ApiService.removeWatchlistHolding(selectedId, ticker);
+      loadWatchlists();
+      loadView(selectedId);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to remove holding');
+    }
+  };
+
+  const formatCurrency = (value) => (
+    value === null || value === undefined ? '—' : `$${Number(value).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+  );
+
+  const formatPercent = (value) => (
+    value === null || value === undefined ? '—' : `${value >= 0 ? '+' : ''}${Number(value).toFixed(2)}%`
+  );
+
+  const getChangeColor = (value) => {
+    if (value === null || value === undefined || value === 0) return 'text.primary';
+    return value > 0 ? 'success.main' : 'error.main';
+  };
+
+  const getSentimentColor = (sentiment) => {
+    if (sentiment > 10) return 'success';
+    if (sentiment < -10) return 'error';
+    return 'default';
+  };
+
+  const isPortfolio = view?.kind === 'portfolio';
+  const summary = view?.summary;
+
+  if (loading) {
+    return (
+      <Container maxWidth="xl" sx={{ mt: 4 }}>
+        <LinearProgress />
+      </Container>
+    );
+  }
+
+  return (
+    <Container maxWidth="xl" sx={{ mt: 4, mb: 4 }}>
+      {/* Header */}
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4" component="h1">
+          📋 Watchlists & Portfolios
+        </Typography>
+        <Button variant="contained" startIcon={<AddIcon />} onClick={() => setCreateOpen(true)}>
+          New List
+        </Button>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      <Grid container spacing={3}>
+        {/* Watchlist selector */}
+        <Grid size={{ xs: 12, md: 3 }}>
+          <Card>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>
+                Lists
+              </Typography>
+              {watchlists.length === 0 ? (
+                <Typography color="text.secondary">
+                  Create a watchlist or portfolio to get started
+                </Typography>
+              ) : (
+                <List dense disablePadding>
+                  {watchlists.map((watchlist) => (
+                    <ListItemButton
+                      key={watchlist._id}
+                      selected={watchlist._id === selectedId}
+                      onClick={() => setSelectedId(watchlist._id)}
+                    >
+                      <ListItemText
+                        primary={watchlist.name}
+                        secondary={`${watchlist.kind} · ${watchlist.holdings.length} tickers`}
+                      />
+                    </ListItemButton>
+                  ))}
+                </List>
+              )}
+            </CardContent>
+          </Card>
+        </Grid>
+
+        {/* Selected watchlist view */}
+        <Grid size={{ xs: 12, md: 9 }}>
+          {!selectedId ? null : (
+            <>
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+                <Box>
+                  <Typography variant="h5">{view?.name}</Typography>
+                  {view?.description && (
+                    <Typography variant="body2" color="text.secondary">{view.description}</Typography>
+                  )}
+                </Box>
+                <Box sx={{ display: 'flex', gap: 1 }}>
+                  <Button startIcon={<AddIcon />} onClick={() => setHoldingOpen(true)}>
+                    Add Ticker
+                  </Button>
+                  <Tooltip title="Refresh stale prices from Alpha Vantage">
+                    <IconButton onClick={() => loadView(selectedId, true)}>
+                      <RefreshIcon />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title="Delete list">
+                    <IconButton color="error" onClick={handleDeleteWatchlist}>
+                      <DeleteIcon />
+                    </IconButton>
+                  </Tooltip>
+                </Box>
+              </Box>
+
+              {viewLoading && <LinearProgress sx={{ mb: 2 }} />}
+
+              {summary && (
+                <Grid container spacing={2} sx={{ mb: 2 }}>
+                  <Grid size={{ xs: 12, sm: 6, md: 3 }}>
+                    <Card>
+                      <CardContent>
+                        <Typography color="text.secondary" variant="body2">
+                          {isPortfolio ? 'Market Value' : 'Holdings'}
+                        </Typography>
+                        <Typography variant="h6">
+                          {isPortfolio ? formatCurrency(summary.total_value) : summary.holdings_count}
+                        </Typography>
+                        {isPortfolio && (
+                          <Typography variant="body2" sx={{ color: getChangeColor(summary.unrealized_pnl) }}>
+                            P&L {formatCurrency(summary.unrealized_pnl)} ({formatPercent(summary.unrealized_pnl_percent)})
+                          </Typography>
+                        )}
+                      </CardContent>
+                    </Card>
+                  </Grid>
+                  <Grid size={{ xs: 12, sm: 6, md: 3 }}>
+                    <Card>
+                      <CardContent>
+                        <Typography color="text.secondary" variant="body2">
+                          Daily Change
+                        </Typography>
+                        <Typography variant="h6" sx={{ color: getChangeColor(summary.day_change_percent) }}>
+                          {formatPercent(summary.day_change_percent)}
+                        </Typography>
+                        {isPortfolio && (
+                          <Typography variant="body2" sx={{ color: getChangeColor(summary.day_change_value) }}>
+                            {formatCurrency(summary.day_change_value)}
+                          </Typography>
+                        )}
+                      </CardContent>
+                    </Card>
+                  </Grid>
+                  <Grid size={{ xs: 12, sm: 6, md: 3 }}>
+                    <Card>
+                      <CardContent>
+                        <Typography color="text.secondary" variant="body2">
+                          Sentiment Exposure
+                        </Typography>
+                        <Typography variant="h6" sx={{ color: getChangeColor(summary.weighted_sentiment) }}>
+                          {summary.weighted_sentiment.toFixed(1)}
+                        </Typography>
+                        <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap', mt: 0.5 }}>
+                          <Chip size="small" color="success" label={`Bull ${summary.exposure.bullish.toFixed(0)}%`} />
+                          <Chip size="small" color="error" label={`Bear ${summary.exposure.bearish.toFixed(0)}%`} />
+                        </Box>
+                      </CardContent>
+                    </Card>
+                  </Grid>
+                  <Grid size={{ xs: 12, sm: 6, md: 3 }}>
+                    <Card>
+                      <CardContent>
+                        <Typography color="text.secondary" variant="body2">
+                          Diverging Holdings
+                        </Typography>
+                        <Typography variant="h6" color={summary.diverging_count > 0 ? 'warning.main' : 'text.primary'}>
+                          {summary.diverging_count}
+                        </Typography>
+                        <Typography variant="body2" color="text.secondary">
+                          {summary.weighting === 'market_value' ? 'Value weighted' : 'Equal weighted'}
+                        </Typography>
+                      </CardContent>
+                    </Card>
+                  </Grid>
+                </Grid>
+              )}
+
+              {view && view.diverging.length > 0 && (
+                <Alert severity="warning" icon={<CompareArrowsIcon />} sx={{ mb: 2 }}>
+                  Reddit sentiment is diverging from price for{' '}
+                  {view.diverging.map(h => `${h.ticker} (${h.sentiment.current.toFixed(0)} vs ${formatPercent(h.day_change_percent)})`).join(', ')}
+                </Alert>
+              )}
+
+              {view && (
+                <TableContainer component={Paper}>
+                  <Table size="small">
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Ticker</TableCell>
+                        {isPortfolio && <TableCell align="right">Shares</TableCell>}
+                        {isPortfolio && <TableCell align="right">Cost Basis</TableCell>}
+                        <TableCell align="right">Price</TableCell>
+                        <TableCell align="right">Day</TableCell>
+                        {isPortfolio && <TableCell align="right">Value</TableCell>}
+                        {isPortfolio && <TableCell align="right">P&L</TableCell>}
+                        <TableCell align="right">Sentiment</TableCell>
+                        <TableCell align="right">Mentions 24h</TableCell>
+                        <TableCell>Confidence</TableCell>
+                        <TableCell align="right"></TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {view.holdings.length === 0 ? (
+                        <TableRow>
+                          <TableCell colSpan={11} align="center">
+                            <Typography color="text.secondary">No tickers yet</Typography>
+                          </TableCell>
+                        </TableRow>
+                      ) : view.holdings.map((holding) => (
+                        <TableRow
+                          key={holding.ticker}
+                          hover
+                          sx={{ bgcolor: holding.divergence ? 'action.hover' : 'inherit' }}
+                        >
+                          <TableCell>
+                            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                              <Chip
+                                label={holding.ticker}
+                                size="small"
+                                variant="outlined"
+                                onClick={onStockSelect ? () => onStockSelect(holding.ticker) : undefined}
+                              />
+                              {holding.divergence && (
+                                <Tooltip title={holding.divergence.type.replace(/_/g, ' ')}>
+                                  <CompareArrowsIcon fontSize="small" color="warning" />
+                                </Tooltip>
+                              )}
+                              {holding.is_trending && <TrendingUpIcon fontSize="small" color="primary" />}
+                            </Box>
+                          </TableCell>
+                          {isPortfolio && <TableCell align="right">{holding.shares}</TableCell>}
+                          {isPortfolio && <TableCell align="right">{formatCurrency(holding.cost_basis)}</TableCell>}
+                          <TableCell align="right">{formatCurrency(holding.price)}</TableCell>
+                          <TableCell align="right" sx={{ color: getChangeColor(holding.day_change_percent) }}>
+                            {formatPercent(holding.day_change_percent)}
+                          </TableCell>
+                          {isPortfolio && <TableCell align="right">{formatCurrency(holding.market_value)}</TableCell>}
+                          {isPortfolio && (
+                            <TableCell align="right" sx={{ color: getChangeColor(holding.unrealized_pnl) }}>
+                              {formatCurrency(holding.unrealized_pnl)}
+                            </TableCell>
+                          )}
+                          <TableCell align="right">
+                            <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'flex-end', gap: 0.5 }}>
+                              <Chip
+                                size="small"
+                                color={getSentimentColor(holding.sentiment.current)}
+                                label={holding.sentiment.current.toFixed(1)}
+                              />
+                              {holding.sentiment.change > 0 && <TrendingUpIcon fontSize="small" color="success" />}
+                              {holding.sentiment.change < 0 && <TrendingDownIcon fontSize="small" color="error" />}
+                            </Box>
+                          </TableCell>
+                          <TableCell align="right">{holding.mentions_24h}</TableCell>
+                          <TableCell>
+                            {holding.confidence.level ? (
+                              <Chip size="small" variant="outlined" label={holding.confidence.level.replace('_', ' ')} />
+                            ) : (
+                              <Typography variant="caption" color="text.secondary">n/a</Typography>
+                            )}
+                          </TableCell>
+                          <TableCell align="right">
+                            <IconButton size="small" onClick={() => handleRemoveHolding(holding.ticker)}>
+                              <DeleteIcon fontSize="small" />
+                            </IconButton>
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+              )}
+            </>
+          )}
+        </Grid>
+      </Grid>
+
+      {/* New Watchlist Dialog */}
+      <Dialog open={createOpen} onClose={() => setCreateOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>New Watchlist or Portfolio</DialogTitle>
+        <DialogContent>
+          <TextField
+            fullWidth
+            margin="dense"
+            label="Name"
+            value={newWatchlist.name}
+            onChange={(e) => setNewWatchlist({ ...newWatchlist, name: e.target.value })}
+          />
+          <TextField
+            select
+            fullWidth
+            margin="dense"
+            label="Type"
+            value={newWatchlist.kind}
+            onChange={(e) => setNewWatchlist({ ...newWatchlist, kind: e.target.value })}
+          >
+            <MenuItem value="watchlist">Watchlist</MenuItem>
+            <MenuItem value="portfolio">Portfolio</MenuItem>
+          </TextField>
+          <TextField
+            fullWidth
+            margin="dense"
+            label="Description"
+            value={newWatchlist.description}
+            onChange={(e) => setNewWatchlist({ ...newWatchlist, description: e.target.value })}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setCreateOpen(false)}>Cancel</Button>
+          <Button variant="contained" onClick={handleCreateWatchlist} disabled={!newWatchlist.name.trim()}>
+            Create
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Add Holding Dialog */}
+      <Dialog open={holdingOpen} onClose={() => setHoldingOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>Add Ticker</DialogTitle>
+        <DialogContent>
+          <TextField
+            fullWidth
+            margin="dense"
+            label="Ticker"
+            value={newHolding.ticker}
+            onChange={(e) => setNewHolding({ ...newHolding, ticker: e.target.value.toUpperCase() })}
+          />
+          {isPortfolio && (
+            <>
+              <TextField
+                fullWidth
+                margin="dense"
+                type="number"
+                label="Shares"
+                value={newHolding.shares}
+                onChange={(e) => setNewHolding({ ...newHolding, shares: e.target.value })}
+              />
+              <TextField
+                fullWidth
+                margin="dense"
+                type="number"
+                label="Cost basis (per share)"
+                value={newHolding.cost_basis}
+                onChange={(e) => setNewHolding({ ...newHolding, cost_basis: e.target.value })}
+              />
+            </>
+          )}
+          <TextField
+            fullWidth
+            margin="dense"
+            label="Notes"
+            value={newHolding.notes}
+            onChange={(e) => setNewHolding({ ...newHolding, notes: e.target.value })}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setHoldingOpen(false)}>Cancel</Button>
+          <Button variant="contained" onClick={handleAddHolding} disabled={!newHolding.ticker.trim()}>
+            Add
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+}
+
+export default Watchlists;
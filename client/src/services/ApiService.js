@@ -73,6 +73,11 @@ class ApiServiceClass {
     return this.api.get(`/api/reddit/sentiment/${ticker}?${queryString}`);
   }
 
+  async getStockComments(ticker, params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.api.get(`/api/reddit/comments/${ticker}?${queryString}`);
+  }
+
   async getQualityUsers(params = {}) {
     const queryString = new URLSearchParams(params).toString();
     return this.api.get(`/api/reddit/quality-users?${queryString}`);
@@ -91,6 +96,10 @@ class ApiServiceClass {
     return this.api.post('/api/reddit/process');
   }
 
+  async getPostEngagement(redditId) {
+    return this.api.get(`/api/reddit/posts/${redditId}/engagement`);
+  }
+
   // Enhanced Stock Data Endpoints (Phase 2 & 3)
   async getValidatedTrendingStocks(params = {}) {
     const queryString = new URLSearchParams(params).toString();
@@ -107,6 +116,16 @@ class ApiServiceClass {
     return this.api.get(`/api/stocks/${ticker}/sentiment?${queryString}`);
   }
 
+  async getSentimentHistory(ticker, params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.api.get(`/api/stocks/${ticker}/sentiment-history?${queryString}`);
+  }
+
+  async getOptionsChatter(ticker, params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.api.get(`/api/stocks/${ticker}/options-chatter?${queryString}`);
+  }
+
   // Stock Price Data
   async getStockPrices(ticker, params = {}) {
     const queryString = new URLSearchParams(params).toString();
@@ -123,6 +142,16 @@ class ApiServiceClass {
     return this.api.get(`/api/stocks/intraday/${ticker}?${queryString}`);
   }
 
+  async getTechnicalChart(ticker, params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.api.get(`/api/stocks/technical/${ticker}?${queryString}`);
+  }
+
+  async getTechnicalIndicator(ticker, indicator, params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.api.get(`/api/stocks/technical/${ticker}/${indicator}?${queryString}`);
+  }
+
   async searchStocks(query) {
     return this.api.get(`/api/stocks/search/${query}`);
   }
@@ -231,6 +260,31 @@ class ApiServiceClass {
     return this.api.get(`/api/analysis/users/top?${queryString}`);
   }
 
+  async getBotReviewQueue(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.api.get(`/api/analysis/users/classification/queue?${queryString}`);
+  }
+
+  async getBotClassifierModel() {
+    return this.api.get('/api/analysis/users/classification/model');
+  }
+
+  async trainBotClassifier(data = {}) {
+    return this.api.post('/api/analysis/users/classification/train', data);
+  }
+
+  async runBotClassification() {
+    return this.api.post('/api/analysis/users/classification/run');
+  }
+
+  async getUserClassification(username) {
+    return this.api.get(`/api/analysis/users/${username}/classification`);
+  }
+
+  async reviewUser(username, data) {
+    return this.api.post(`/api/analysis/users/${username}/review`, data);
+  }
+
   // News Correlation
   async getTickerNews(ticker, params = {}) {
     const queryString = new URLSearchParams(params).toString();
@@ -286,6 +340,154 @@ class ApiServiceClass {
     return this.api.post('/api/analysis/claude/summarize', data);
   }
 
+  // Backtesting
+  async runBacktest(data) {
+    return this.api.post('/api/analysis/backtest', data);
+  }
+
+  // Lead-lag analysis
+  async getLeadLag(ticker, params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.api.get(`/api/analysis/lead-lag/${ticker}?${queryString}`);
+  }
+
+  async getSubredditLeadLag(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.api.get(`/api/analysis/lead-lag/subreddits?${queryString}`);
+  }
+
+  // Narratives
+  async getNarratives(ticker, params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.api.get(`/api/analysis/stocks/${ticker}/narratives?${queryString}`);
+  }
+
+  // Sentiment attribution
+  async getSentimentExplanation(ticker, params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.api.get(`/api/analysis/stocks/${ticker}/explain?${queryString}`);
+  }
+
+  // Anomaly detection
+  async getAnomalies(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.api.get(`/api/analysis/anomalies?${queryString}`);
+  }
+
+  async getAnomalyBaseline(ticker) {
+    return this.api.get(`/api/analysis/anomalies/baselines/${ticker}`);
+  }
+
+  // Alerts
+  async getAlertRules(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.api.get(`/api/alerts/rules?${queryString}`);
+  }
+
+  async createAlertRule(data) {
+    return this.api.post('/api/alerts/rules', data);
+  }
+
+  async updateAlertRule(id, data) {
+    return this.api.put(`/api/alerts/rules/${id}`, data);
+  }
+
+  async deleteAlertRule(id) {
+    return this.api.delete(`/api/alerts/rules/${id}`);
+  }
+
+  async testAlertRule(id, data = {}) {
+    return this.api.post(`/api/alerts/rules/${id}/test`, data);
+  }
+
+  async evaluateAlertRules() {
+    return this.api.post('/api/alerts/evaluate');
+  }
+
+  async getAlerts(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.api.get(`/api/alerts?${queryString}`);
+  }
+
+  async acknowledgeAlert(id) {
+    return this.api.put(`/api/alerts/${id}/acknowledge`);
+  }
+
+  async acknowledgeAllAlerts() {
+    return this.api.put('/api/alerts/acknowledge-all');
+  }
+
+  async getAlertStatus() {
+    return this.api.get('/api/alerts/status');
+  }
+
+  // Watchlists & Portfolios
+  async getWatchlists(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.api.get(`/api/watchlists?${queryString}`);
+  }
+
+  async createWatchlist(data) {
+    return this.api.post('/api/watchlists', data);
+  }
+
+  async updateWatchlist(id, data) {
+    return this.api.put(`/api/watchlists/${id}`, data);
+  }
+
+  async deleteWatchlist(id) {
+    return this.api.delete(`/api/watchlists/${id}`);
+  }
+
+  async getWatchlistView(id, params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.api.get(`/api/watchlists/${id}/view?${queryString}`);
+  }
+
+  async addWatchlistHolding(id, data) {
+    return this.api.post(`/api/watchlists/${id}/holdings`, data);
+  }
+
+  async updateWatchlistHolding(id, ticker, data) {
+    return this.api.put(`/api/watchlists/${id}/holdings/${ticker}`, data);
+  }
+
+  async removeWatchlistHolding(id, ticker) {
+    return this.api.delete(`/api/watchlists/${id}/holdings/${ticker}`);
+  }
+
+  // Annotations
+  async getAnnotationQueue(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.api.get(`/api/annotations/queue?${queryString}`);
+  }
+
+  async submitAnnotation(data) {
+    return this.api.post('/api/annotations', data);
+  }
+
+  async getAnnotations(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.api.get(`/api/annotations?${queryString}`);
+  }
+
+  async deleteAnnotation(id) {
+    return this.api.delete(`/api/annotations/${id}`);
+  }
+
+  async getAnnotationStats() {
+    return this.api.get('/api/annotations/stats');
+  }
+
+  async exportAnnotations(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.api.get(`/api/annotations/export?${queryString}`);
+  }
+
+  async evaluateSentimentProviders(data = {}) {
+    return this.api.post('/api/annotations/evaluate', data);
+  }
+
   // System Status
   async getAnalysisStatus() {
     return this.api.get('/api/analysis/status');
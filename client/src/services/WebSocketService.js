@@ -118,6 +118,10 @@ class WebSocketServiceClass {
       this.notifySubscribers('alertUpdate', data);
     });
 
+    this.socket.on('watchlistUpdate', (data) => {
+      this.notifySubscribers('watchlistUpdate', data);
+    });
+
     this.socket.on('systemHealth', (data) => {
       this.notifySubscribers('systemHealth', data);
     });
@@ -209,6 +213,19 @@ class WebSocketServiceClass {
     }
   }
 
+  // Server joins the stock rooms of every ticker in the watchlist
+  joinWatchlist(watchlistId) {
+    if (this.socket && this.connected) {
+      this.socket.emit('joinWatchlist', watchlistId);
+    }
+  }
+
+  leaveWatchlist(watchlistId) {
+    if (this.socket && this.connected) {
+      this.socket.emit('leaveWatchlist', watchlistId);
+    }
+  }
+
   // Request real-time updates
   requestStockUpdates(ticker) {
     if (this.socket && this.connected) {
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const alertSchema = new mongoose.Schema({
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AlertRule',
+    index: true
+  },
+  rule_name: {
+    type: String,
+    required: true
+  },
+  ticker: {
+    type: String,
+    uppercase: true,
+    index: true
+  },
+  condition_type: {
+    type: String,
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: ['info', 'warning', 'critical'],
+    default: 'warning'
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  // Observed value and the threshold it was compared with
+  value: mongoose.Schema.Types.Mixed,
+  threshold: mongoose.Schema.Types.Mixed,
+  context: mongoose.Schema.Types.Mixed,
+
+  // Delivery results per channel
+  deliveries: [{
+    channel: {
+      type: String,
+      enum: ['socket', 'webhook', 'email']
+    },
+    target: String,
+    status: {
+      type: String,
+      enum: ['sent', 'failed', 'skipped'],
+      default: 'sent'
+    },
+    error: String,
+    sent_at: Date
+  }],
+
+  acknowledged: {
+    type: Boolean,
+    default: false
+  },
+  acknowledged_at: Date,
+  triggered_at: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+alertSchema.index({ rule: 1, ticker: 1, triggered_at: -1 });
+alertSchema.index({ acknowledged: 1, triggered_at: -1 });
+
+// Virtual for whether every channel delivered
+alertSchema.virtual('delivered').get(function() {
+  return this.deliveries.length > 0 && this.deliveries.every(d => d.status !== 'failed');
+});
+
+// Static method to get the most recent alert for a rule/ticker pair
+alertSchema.statics.getLastForRule = function(ruleId, ticker) {
+  return this.findOne({ rule: ruleId, ticker: ticker || null }).sort({ triggered_at: -1 });
+};
+
+module.exports = mongoose.model('Alert', alertSchema);
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+
+const alertRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // Leave empty to evaluate the rule against every actively discussed ticker
+  ticker: {
+    type: String,
+    uppercase: true,
+    default: null,
+    validate: {
+      validator: function(v) {
+        return v === null || v === '' || /^[A-Z]{1,5}$/.test(v);
+      },
+      message: 'Ticker must be 1-5 uppercase letters'
+    }
+  },
+
+  // Condition definition
+  condition: {
+    type: {
+      type: String,
+      required: true,
+      enum: [
+        'mentions_24h',        // reddit_mentions.last_24h compared to threshold
+        'sentiment_change',    // sentiment change between consecutive windows
+        'confidence_level',    // confidence level reaches a given level
+        'manipulation_risk',   // manipulation risk reaches a given level
+        'unusual_activity',    // has_unusual_activity flag is raised
+        'news_divergence',     // Reddit and news sentiment disagree
+        'trending_score'       // trending_score compared to threshold
+      ]
+    },
+    operator: {
+      type: String,
+      enum: ['gt', 'gte', 'lt', 'lte', 'abs_gt', 'becomes'],
+      default: 'gt'
+    },
+    // Number for numeric conditions, level name for confidence/manipulation conditions
+    threshold: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    window_hours: {
+      type: Number,
+      default: 6,
+      min: 1,
+      max: 168
+    }
+  },
+
+  // Delivery channels
+  channels: [{
+    type: {
+      type: String,
+      enum: ['socket', 'webhook', 'email'],
+      required: true
+    },
+    // Webhook URL or email address (unused for socket)
+    target: {
+      type: String,
+      default: ''
+    }
+  }],
+
+  severity: {
+    type: String,
+    enum: ['info', 'warning', 'critical'],
+    default: 'warning'
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  cooldown_minutes: {
+    type: Number,
+    default: 60,
+    min: 0
+  },
+
+  // Evaluation state
+  last_evaluated: Date,
+  last_triggered: Date,
+  trigger_count: {
+    type: Number,
+    default: 0
+  },
+  // Last observed value per ticker, used for 'becomes' transitions
+  last_values: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  created_by: {
+    type: String,
+    default: 'user'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+alertRuleSchema.index({ is_active: 1, ticker: 1 });
+
+// Virtual for a human readable condition
+alertRuleSchema.virtual('condition_summary').get(function() {
+  const { type, operator, threshold, window_hours } = this.condition;
+  const subject = this.ticker || 'any ticker';
+  const operators = { gt: '>', gte: '>=', lt: '<', lte: '<=', abs_gt: '|Δ| >', becomes: 'becomes' };
+
+  if (type === 'sentiment_change') {
+    return `${subject}: sentiment change ${operators[operator] || operator} ${threshold} within ${window_hours}h`;
+  }
+  if (type === 'unusual_activity' || type === 'news_divergence') {
+    return `${subject}: ${type.replace(/_/g, ' ')}`;
+  }
+  return `${subject}: ${type.replace(/_/g, ' ')} ${operators[operator] || operator} ${threshold}`;
+});
+
+// Method to check if the rule is still cooling down for a ticker
+alertRuleSchema.methods.isCoolingDown = function(lastAlertAt) {
+  if (!lastAlertAt || !this.cooldown_minutes) return false;
+  return (Date.now() - new Date(lastAlertAt).getTime()) < this.cooldown_minutes * 60 * 1000;
+};
+
+// Static method to get rules that should be evaluated
+alertRuleSchema.statics.getActiveRules = function() {
+  return this.find({ is_active: true }).sort({ createdAt: 1 });
+};
+
+module.exports = mongoose.model('AlertRule', alertRuleSchema);
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+const sentimentLabels = ['bullish', 'bearish', 'neutral'];
+const postTypeLabels = ['position_open', 'position_close', 'gain_porn', 'loss_porn', 'dd', 'meme', 'news', 'discussion'];
+const authorTypeLabels = ['human', 'bot', 'shill', 'unsure'];
+
+// One annotator's labels for one post - ground truth for evaluating sentiment providers
+const annotationSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RedditPost',
+    required: true,
+    index: true
+  },
+  reddit_id: {
+    type: String,
+    required: true
+  },
+  subreddit: {
+    type: String,
+    index: true
+  },
+  annotator: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    index: true
+  },
+
+  // Labels
+  overall_sentiment: {
+    type: String,
+    enum: sentimentLabels,
+    required: true
+  },
+  ticker_sentiments: [{
+    _id: false,
+    ticker: {
+      type: String,
+      required: true,
+      uppercase: true
+    },
+    sentiment: {
+      type: String,
+      enum: sentimentLabels,
+      required: true
+    }
+  }],
+  sarcasm: {
+    type: Boolean,
+    default: false
+  },
+  post_type: {
+    type: String,
+    enum: postTypeLabels,
+    default: 'discussion'
+  },
+  // What the author looks like from this post; training labels for the bot/shill classifier
+  author_type: {
+    type: String,
+    enum: authorTypeLabels
+  },
+  notes: {
+    type: String,
+    maxlength: 1000,
+    default: ''
+  },
+
+  // How long the annotator spent on the post
+  duration_ms: Number,
+
+  // Stratum the queue served the post from ("wallstreetbets|100-999")
+  stratum: String
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+annotationSchema.index({ post: 1, annotator: 1 }, { unique: true });
+annotationSchema.index({ annotator: 1, createdAt: -1 });
+
+// Static method to get post ids an annotator has already labelled
+annotationSchema.statics.getAnnotatedPostIds = function(annotator) {
+  return this.distinct('post', { annotator: annotator.toLowerCase() });
+};
+
+annotationSchema.statics.sentimentLabels = sentimentLabels;
+annotationSchema.statics.postTypeLabels = postTypeLabels;
+annotationSchema.statics.authorTypeLabels = authorTypeLabels;
+
+module.exports = mongoose.model('Annotation', annotationSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// A deviation from a ticker's baseline. Consecutive detections of the same metric, window and direction
+// extend one event, so a spike lasting several hours is one record with its peak score
+const anomalyEventSchema = new mongoose.Schema({
+  ticker: {
+    type: String,
+    required: true,
+    uppercase: true,
+    index: true
+  },
+  metric: {
+    type: String,
+    enum: ['mentions', 'unique_authors', 'sentiment'],
+    required: true
+  },
+  window_hours: {
+    type: Number,
+    required: true
+  },
+  direction: {
+    type: String,
+    enum: ['spike', 'drop'],
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    required: true
+  },
+  // Latest score; robust z (MAD) when the baseline has spread, otherwise a standard z-score
+  score: {
+    type: Number,
+    required: true
+  },
+  peak_score: Number,
+  method: {
+    type: String,
+    enum: ['mad', 'zscore', 'poisson']
+  },
+
+  // For sentiment, the average over the window and the baseline average
+  observed: Number,
+  expected: Number,
+  baseline: {
+    median: Number,
+    mad: Number,
+    std: Number,
+    samples: Number
+  },
+  subreddits: [{
+    _id: false,
+    subreddit: String,
+    mentions: Number
+  }],
+
+  window_start: Date,
+  window_end: Date,
+  first_detected_at: {
+    type: Date,
+    default: Date.now
+  },
+  last_detected_at: {
+    type: Date,
+    default: Date.now
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+anomalyEventSchema.index({ ticker: 1, metric: 1, window_hours: 1, direction: 1, active: 1 });
+anomalyEventSchema.index({ active: 1, last_detected_at: -1 });
+// Events are kept for 90 days after they were last seen
+anomalyEventSchema.index({ last_detected_at: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('AnomalyEvent', anomalyEventSchema);
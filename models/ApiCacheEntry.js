@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// A cached response from an external API; MongoDB's TTL monitor removes it at expires_at
+const apiCacheEntrySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: true,
+    index: true
+  },
+  operation: {
+    type: String,
+    required: true
+  },
+  // What the key was built from, readable for the admin route
+  params: mongoose.Schema.Types.Mixed,
+  // Serialized JSON: raw API payloads have keys like "1. open" that don't belong in field names
+  body: String,
+
+  fetched_at: {
+    type: Date,
+    default: Date.now
+  },
+  // Served without a refetch until here, then served stale while it revalidates
+  fresh_until: {
+    type: Date,
+    required: true
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  },
+
+  hits: {
+    type: Number,
+    default: 0
+  },
+  last_hit_at: Date,
+  size_bytes: Number
+}, {
+  versionKey: false
+});
+
+apiCacheEntrySchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+apiCacheEntrySchema.index({ provider: 1, operation: 1, fetched_at: -1 });
+
+module.exports = mongoose.model('ApiCacheEntry', apiCacheEntrySchema);
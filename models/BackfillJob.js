@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// One archive file import with a resumable checkpoint
+const backfillJobSchema = new mongoose.Schema({
+  file_path: {
+    type: String,
+    required: true,
+    index: true
+  },
+  file_size: {
+    type: Number,
+    default: 0
+  },
+  compression: {
+    type: String,
+    enum: ['none', 'zstd'],
+    default: 'none'
+  },
+  // 'auto' decides submission vs comment per line
+  kind: {
+    type: String,
+    enum: ['auto', 'submissions', 'comments'],
+    default: 'auto'
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'paused', 'completed', 'failed'],
+    default: 'pending',
+    index: true
+  },
+
+  filters: {
+    subreddits: [{
+      type: String,
+      lowercase: true
+    }],
+    after: Date,
+    before: Date,
+    min_score: {
+      type: Number,
+      default: 0
+    }
+  },
+
+  // Where to pick up again; byte_offset is only usable for uncompressed files
+  checkpoint: {
+    lines_read: {
+      type: Number,
+      default: 0
+    },
+    byte_offset: {
+      type: Number,
+      default: 0
+    },
+    compressed_bytes_read: {
+      type: Number,
+      default: 0
+    },
+    last_reddit_id: String,
+    last_created_utc: Date,
+    saved_at: Date
+  },
+
+  counts: {
+    submissions: { type: Number, default: 0 },
+    comments: { type: Number, default: 0 },
+    imported_posts: { type: Number, default: 0 },
+    imported_comments: { type: Number, default: 0 },
+    daily_threads: { type: Number, default: 0 },
+    skipped_filtered: { type: Number, default: 0 },
+    skipped_existing: { type: Number, default: 0 },
+    skipped_no_tickers: { type: Number, default: 0 },
+    skipped_no_parent: { type: Number, default: 0 },
+    invalid_lines: { type: Number, default: 0 },
+    errors: { type: Number, default: 0 }
+  },
+
+  started_at: Date,
+  finished_at: Date,
+  last_error: String
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+backfillJobSchema.index({ status: 1, createdAt: -1 });
+
+// Virtual for progress through the file on disk (compressed bytes for .zst)
+backfillJobSchema.virtual('progress_percent').get(function() {
+  if (!this.file_size) return null;
+  const read = this.compression === 'zstd' ? this.checkpoint.compressed_bytes_read : this.checkpoint.byte_offset;
+  return Math.min(100, Math.round((read / this.file_size) * 1000) / 10);
+});
+
+module.exports = mongoose.model('BackfillJob', backfillJobSchema);
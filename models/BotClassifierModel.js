@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Trained parameters for the bot/shill account classifier (one document per model name)
+const botClassifierModelSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  kind: {
+    type: String,
+    enum: ['logistic_regression'],
+    default: 'logistic_regression'
+  },
+
+  // Serialized model from utils/botClassifier.train()
+  parameters: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // Training bookkeeping; sources counts labelled accounts by where the label came from
+  training_samples: {
+    type: Number,
+    default: 0
+  },
+  sources: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  metrics: {
+    accuracy: Number,
+    precision: Number,
+    recall: Number,
+    log_loss: Number,
+    holdout_samples: Number,
+    confusion: mongoose.Schema.Types.Mixed
+  },
+  trained_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+module.exports = mongoose.model('BotClassifierModel', botClassifierModelSchema);
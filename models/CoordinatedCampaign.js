@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+// A pair of posts that tied two members together
+const evidencePairSchema = new mongoose.Schema({
+  author_a: String,
+  author_b: String,
+  post_a: String,
+  post_b: String,
+  ticker: String,
+  similarity: Number,
+  gap_minutes: Number
+}, { _id: false });
+
+// A dense cluster in the author co-mention graph: accounts that keep posting about the same tickers
+// within minutes of each other with near-identical text. Flagged campaigns down-weight their posts
+const coordinatedCampaignSchema = new mongoose.Schema({
+  members: [{
+    _id: false,
+    author: {
+      type: String,
+      required: true
+    },
+    account_age: Number,
+    karma: Number,
+    posts: Number,
+    is_new_account: Boolean,
+    is_low_karma: Boolean
+  }],
+  tickers: [{
+    _id: false,
+    symbol: String,
+    posts: Number
+  }],
+  subreddits: [String],
+  // reddit_id of every member post inside the detection window that mentions a campaign ticker
+  post_ids: [String],
+
+  // 0-100 from graph density, text similarity, timing and how many members are new or low-karma accounts
+  score: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  risk_level: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'critical'],
+    required: true
+  },
+  // Multiplier applied to member posts in sentiment aggregation
+  weight: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 1
+  },
+  status: {
+    type: String,
+    enum: ['flagged', 'dismissed'],
+    default: 'flagged'
+  },
+  dismissed_reason: String,
+
+  evidence: {
+    // Share of member pairs joined by a qualifying edge
+    density: Number,
+    avg_similarity: Number,
+    median_gap_minutes: Number,
+    new_account_share: Number,
+    low_karma_share: Number,
+    co_mentions: Number,
+    pairs: [evidencePairSchema]
+  },
+
+  first_post_at: Date,
+  last_post_at: Date,
+  first_detected_at: {
+    type: Date,
+    default: Date.now
+  },
+  last_detected_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+coordinatedCampaignSchema.index({ status: 1, last_detected_at: -1 });
+coordinatedCampaignSchema.index({ 'tickers.symbol': 1, last_detected_at: -1 });
+coordinatedCampaignSchema.index({ 'members.author': 1 });
+
+// Authors as a plain list
+coordinatedCampaignSchema.methods.getAuthors = function() {
+  return this.members.map(member => member.author);
+};
+
+module.exports = mongoose.model('CoordinatedCampaign', coordinatedCampaignSchema);
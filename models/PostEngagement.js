@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// One poll of a post's votes and comments, stored in a MongoDB time-series collection
+const postEngagementSchema = new mongoose.Schema({
+  polled_at: {
+    type: Date,
+    required: true
+  },
+  // Time-series metaField: snapshots are bucketed per post
+  meta: {
+    reddit_id: {
+      type: String,
+      required: true
+    },
+    subreddit: String,
+    tickers: [String]
+  },
+  upvotes: {
+    type: Number,
+    default: 0
+  },
+  comments: {
+    type: Number,
+    default: 0
+  },
+  upvote_ratio: Number,
+  age_minutes: Number,
+
+  // Change since the post's previous snapshot (0 on the first one)
+  upvotes_delta: {
+    type: Number,
+    default: 0
+  },
+  comments_delta: {
+    type: Number,
+    default: 0
+  },
+
+  // Per hour, between this snapshot and the previous one
+  upvote_velocity: {
+    type: Number,
+    default: 0
+  },
+  comment_velocity: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timeseries: {
+    timeField: 'polled_at',
+    metaField: 'meta',
+    granularity: 'minutes'
+  },
+  // Two weeks for post charts; velocity itself only looks back a day
+  expireAfterSeconds: 14 * 24 * 60 * 60,
+  versionKey: false
+});
+
+postEngagementSchema.index({ 'meta.reddit_id': 1, polled_at: -1 });
+postEngagementSchema.index({ 'meta.tickers': 1, polled_at: -1 });
+
+module.exports = mongoose.model('PostEngagement', postEngagementSchema);
@@ -0,0 +1,211 @@
+const mongoose = require('mongoose');
+
+const redditCommentSchema = new mongoose.Schema({
+  // Reddit comment identification
+  reddit_id: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  // Parent submission
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RedditPost',
+    required: true,
+    index: true
+  },
+  post_reddit_id: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Fullname of the parent (t3_ for top-level, t1_ for replies)
+  parent_id: {
+    type: String,
+    default: ''
+  },
+  subreddit: {
+    type: String,
+    required: true,
+    index: true
+  },
+  content: {
+    type: String,
+    default: ''
+  },
+
+  // Author information
+  author: {
+    type: String,
+    required: true,
+    index: true
+  },
+  author_profile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UserProfile'
+  },
+  author_flair: {
+    type: String,
+    default: ''
+  },
+  is_submitter: {
+    type: Boolean,
+    default: false
+  },
+
+  // Comment metrics
+  upvotes: {
+    type: Number,
+    default: 0
+  },
+  awards: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  depth: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // How the comment was collected
+  source: {
+    type: String,
+    enum: ['top_comments', 'daily_thread', 'backfill'],
+    default: 'top_comments'
+  },
+
+  // Timestamps
+  created_utc: {
+    type: Date,
+    required: true,
+    index: true
+  },
+  collected_at: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Analysis results
+  tickers: [{
+    symbol: {
+      type: String,
+      required: true,
+      uppercase: true
+    },
+    mentions: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    confidence: {
+      type: Number,
+      default: 0.5,
+      min: 0,
+      max: 1
+    },
+    // Sentiment toward this ticker; differs from sentiment_score when several tickers are named
+    sentiment: {
+      type: Number,
+      min: -100,
+      max: 100
+    },
+    sentiment_confidence: {
+      type: Number,
+      min: 0,
+      max: 1
+    },
+    sentiment_source: {
+      type: String,
+      enum: ['post', 'context', 'claude']
+    }
+  }],
+  sentiment_score: {
+    type: Number,
+    default: 0,
+    min: -100,
+    max: 100
+  },
+  sentiment_confidence: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 1
+  },
+  sentiment_keywords: [{
+    word: String,
+    weight: Number
+  }],
+
+  // Quality and weighting
+  quality_score: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  passes_noise_filter: {
+    type: Boolean,
+    default: true
+  },
+  time_decay_factor: {
+    type: Number,
+    default: 1.0,
+    min: 0,
+    max: 1
+  },
+
+  processed: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+redditCommentSchema.index({ 'tickers.symbol': 1, created_utc: -1 });
+redditCommentSchema.index({ post: 1, created_utc: -1 });
+redditCommentSchema.index({ author: 1, created_utc: -1 });
+
+// Virtual for calculating comment age in hours
+redditCommentSchema.virtual('age_hours').get(function() {
+  return (Date.now() - this.created_utc.getTime()) / (1000 * 60 * 60);
+});
+
+// Virtual for weighted score calculation
+redditCommentSchema.virtual('weighted_sentiment').get(function() {
+  return this.sentiment_score * this.time_decay_factor * (this.quality_score / 100);
+});
+
+// Method to update time decay factor (same 24h half-life as posts)
+redditCommentSchema.methods.updateTimeDecay = function() {
+  this.time_decay_factor = Math.exp(-this.age_hours / 24);
+  return this.time_decay_factor;
+};
+
+// Method to check if comment passes noise filter
+redditCommentSchema.methods.checkNoiseFilter = function(minUpvotes = 1) {
+  this.passes_noise_filter = (
+    this.upvotes >= minUpvotes &&
+    this.tickers.length > 0 &&
+    this.author !== 'AutoModerator'
+  );
+  return this.passes_noise_filter;
+};
+
+// Static method to get comment mention counts per ticker
+redditCommentSchema.statics.getTickerMentionCounts = function(ticker, since) {
+  return this.countDocuments({
+    'tickers.symbol': ticker.toUpperCase(),
+    created_utc: { $gte: since },
+    processed: true,
+    passes_noise_filter: true
+  });
+};
+
+module.exports = mongoose.model('RedditComment', redditCommentSchema);
@@ -43,6 +43,11 @@ const redditPostSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Post (link) flair, e.g. "Gain", "Loss", "YOLO", "DD"
+  link_flair: {
+    type: String,
+    default: ''
+  },
   
   // Post metrics
   upvotes: {
@@ -66,6 +71,23 @@ const redditPostSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  stickied: {
+    type: Boolean,
+    default: false
+  },
+  is_daily_thread: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Comment crawling state
+  comment_crawl: {
+    last_crawled: Date,
+    comments_ingested: {
+      type: Number,
+      default: 0
+    }
+  },
   
   // Timestamps
   created_utc: {
@@ -78,6 +100,35 @@ const redditPostSchema = new mongoose.Schema({
     default: Date.now,
     index: true
   },
+  // Last time upvotes/comments were re-read from Reddit
+  last_refreshed: {
+    type: Date,
+    default: null
+  },
+  // Rates from the latest PostEngagement snapshots (per hour, acceleration per hour²)
+  engagement: {
+    upvote_velocity: {
+      type: Number,
+      default: 0
+    },
+    comment_velocity: {
+      type: Number,
+      default: 0
+    },
+    upvote_acceleration: {
+      type: Number,
+      default: 0
+    },
+    peak_upvote_velocity: {
+      type: Number,
+      default: 0
+    },
+    snapshots: {
+      type: Number,
+      default: 0
+    },
+    last_polled: Date
+  },
   
   // Analysis results
   tickers: [{
@@ -96,9 +147,50 @@ const redditPostSchema = new mongoose.Schema({
       default: 0.5,
       min: 0,
       max: 1
+    },
+    // Sentiment toward this ticker; differs from sentiment_score when several tickers are named
+    sentiment: {
+      type: Number,
+      min: -100,
+      max: 100
+    },
+    sentiment_confidence: {
+      type: Number,
+      min: 0,
+      max: 1
+    },
+    sentiment_source: {
+      type: String,
+      enum: ['post', 'context', 'claude']
     }
   }],
   
+  // Option contracts quoted in the post ("TSLA 250c 11/15")
+  options_mentions: [{
+    _id: false,
+    underlying: {
+      type: String,
+      required: true,
+      uppercase: true
+    },
+    option_type: {
+      type: String,
+      enum: ['call', 'put'],
+      required: true
+    },
+    strike: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    expiry: Date,
+    expiry_label: String,
+    dte: Number,
+    quantity: Number,
+    premium: Number,
+    raw: String
+  }],
+  
   // Sentiment analysis
   sentiment_score: {
     type: Number,
@@ -117,6 +209,21 @@ const redditPostSchema = new mongoose.Schema({
     weight: Number
   }],
   
+  // Per-provider scores behind the ensemble sentiment_score
+  sentiment_providers: [{
+    _id: false,
+    provider: String,
+    score: Number,
+    confidence: Number,
+    weight: Number,
+    latency_ms: Number
+  }],
+  sentiment_agreement: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+  
   // Phase 3: Claude AI Analysis
   claude_analysis: {
     sentiment_score: {
@@ -192,6 +299,34 @@ const redditPostSchema = new mongoose.Schema({
     }
   },
   
+  // Post type classification (flair, title patterns, Claude when configured)
+  post_classification: {
+    label: {
+      type: String,
+      enum: ['position_open', 'position_close', 'gain_porn', 'loss_porn', 'dd', 'meme', 'news', 'discussion'],
+      default: 'discussion'
+    },
+    confidence: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: 0
+    },
+    claimed_pnl: Number,
+    claimed_pnl_percent: Number,
+    skin_in_the_game: {
+      type: Boolean,
+      default: false
+    },
+    signals: [String],
+    method: {
+      type: String,
+      enum: ['heuristic', 'claude'],
+      default: 'heuristic'
+    },
+    classified_at: Date
+  },
+  
   // Quality scoring
   quality_score: {
     type: Number,
@@ -233,7 +368,22 @@ const redditPostSchema = new mongoose.Schema({
     min: 0,
     max: 100
   },
-  
+
+  // Set when the author belongs to a flagged CoordinatedCampaign; weight scales the post in sentiment aggregation
+  coordination: {
+    campaign: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CoordinatedCampaign'
+    },
+    weight: {
+      type: Number,
+      default: 1,
+      min: 0,
+      max: 1
+    },
+    flagged_at: Date
+  },
+
   // Phase 3: External Data Correlation
   news_correlation: {
     correlation_score: {
@@ -321,9 +471,12 @@ const redditPostSchema = new mongoose.Schema({
 // Indexes for performance
 redditPostSchema.index({ subreddit: 1, created_utc: -1 });
 redditPostSchema.index({ 'tickers.symbol': 1, created_utc: -1 });
+redditPostSchema.index({ 'options_mentions.underlying': 1, created_utc: -1 });
+redditPostSchema.index({ 'post_classification.label': 1, created_utc: -1 });
 redditPostSchema.index({ author: 1, created_utc: -1 });
 redditPostSchema.index({ quality_score: -1, sentiment_score: -1 });
 redditPostSchema.index({ passes_noise_filter: 1, processed: 1 });
+redditPostSchema.index({ 'coordination.campaign': 1 }, { sparse: true });
 
 // Virtual for calculating post age in hours
 redditPostSchema.virtual('age_hours').get(function() {
@@ -355,6 +508,38 @@ redditPostSchema.methods.checkNoiseFilter = function(minUpvotes = 5, minComments
   return this.passes_noise_filter;
 };
 
+// A post's sentiment toward one ticker; posts stored before per-ticker scoring fall back to the post score
+redditPostSchema.statics.tickerSentiment = function(post, symbol) {
+  const entry = (post.tickers || []).find(ticker => ticker.symbol === symbol.toUpperCase());
+  return entry && entry.sentiment != null ? entry.sentiment : post.sentiment_score;
+};
+
+// The same inside an aggregation: after { $unwind: '$tickers' } without a symbol, or for one symbol
+redditPostSchema.statics.tickerSentimentExpression = function(symbol = null) {
+  if (!symbol) {
+    return { $ifNull: ['$tickers.sentiment', '$sentiment_score'] };
+  }
+  return {
+    $let: {
+      vars: {
+        entry: { $arrayElemAt: [{ $filter: { input: '$tickers', cond: { $eq: ['$$this.symbol', symbol.toUpperCase()] } } }, 0] }
+      },
+      in: { $ifNull: ['$$entry.sentiment', '$sentiment_score'] }
+    }
+  };
+};
+
+// Sentiment weight multiplier from a coordinated-campaign flag; 1 for unflagged posts
+redditPostSchema.statics.coordinationWeight = function(post) {
+  const weight = post.coordination && post.coordination.weight;
+  return weight === undefined || weight === null ? 1 : weight;
+};
+
+// The same inside an aggregation
+redditPostSchema.statics.coordinationWeightExpression = function() {
+  return { $ifNull: ['$coordination.weight', 1] };
+};
+
 // Static method to get trending tickers
 redditPostSchema.statics.getTrendingTickers = async function(timeframe = 24) {
   const cutoffTime = new Date(Date.now() - timeframe * 60 * 60 * 1000);
@@ -373,7 +558,7 @@ redditPostSchema.statics.getTrendingTickers = async function(timeframe = 24) {
         _id: '$tickers.symbol',
         mention_count: { $sum: 1 },
         total_mentions: { $sum: '$tickers.mentions' },
-        avg_sentiment: { $avg: '$sentiment_score' },
+        avg_sentiment: { $avg: this.tickerSentimentExpression() },
         avg_quality: { $avg: '$quality_score' },
         weighted_sentiment: { $avg: '$weighted_sentiment' },
         max_upvotes: { $max: '$upvotes' },
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Trained parameters for a local sentiment model (one document per model name)
+const sentimentModelSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  kind: {
+    type: String,
+    enum: ['naive_bayes'],
+    default: 'naive_bayes'
+  },
+
+  // Serialized model from utils/naiveBayesSentiment.train()
+  parameters: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // Training bookkeeping
+  training_samples: {
+    type: Number,
+    default: 0
+  },
+  sources: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  metrics: {
+    accuracy: Number,
+    holdout_samples: Number,
+    confusion: mongoose.Schema.Types.Mixed
+  },
+  trained_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for vocabulary size without shipping the parameters
+sentimentModelSchema.virtual('vocabulary_size').get(function() {
+  return this.parameters ? this.parameters.vocabulary_size : 0;
+});
+
+module.exports = mongoose.model('SentimentModel', sentimentModelSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// A ticker's weighted sentiment over a window, broken into what each post, author and subreddit contributed.
+// Later explanations diff against it to show what moved the number
+const contributionFields = {
+  posts: Number,
+  weight: Number,
+  contribution: Number
+};
+
+const sentimentSnapshotSchema = new mongoose.Schema({
+  ticker: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  taken_at: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  window_hours: {
+    type: Number,
+    required: true
+  },
+  sentiment: Number,
+  weight_total: Number,
+  post_count: Number,
+  // Posts with the largest contributions; the rest are summed into untracked_contribution
+  posts: [{
+    _id: false,
+    reddit_id: String,
+    title: String,
+    author: String,
+    subreddit: String,
+    sentiment: Number,
+    weight: Number,
+    contribution: Number
+  }],
+  untracked_contribution: {
+    type: Number,
+    default: 0
+  },
+  authors: [{
+    _id: false,
+    author: String,
+    ...contributionFields
+  }],
+  subreddits: [{
+    _id: false,
+    subreddit: String,
+    ...contributionFields
+  }]
+}, {
+  versionKey: false
+});
+
+sentimentSnapshotSchema.index({ ticker: 1, window_hours: 1, taken_at: -1 });
+// Snapshots are kept for 30 days
+sentimentSnapshotSchema.index({ taken_at: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('SentimentSnapshot', sentimentSnapshotSchema);
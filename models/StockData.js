@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const technicalIndicators = require('../utils/technicalIndicators');
 
 const priceDataSchema = new mongoose.Schema({
   timestamp: {
@@ -92,6 +93,21 @@ const stockDataSchema = new mongoose.Schema({
     }
   },
   
+  // Recent intraday bars for VWAP and intraday indicators, one interval at a time
+  intraday_data: {
+    interval: String,
+    bars: {
+      type: [priceDataSchema],
+      validate: {
+        validator: function(v) {
+          return v.length <= 200;
+        },
+        message: 'Intraday data array cannot exceed 200 entries'
+      }
+    },
+    updated_at: Date
+  },
+  
   // Reddit mention tracking
   reddit_mentions: {
     total: {
@@ -108,6 +124,30 @@ const stockDataSchema = new mongoose.Schema({
       type: Number,
       default: 0,
       min: 0
+    },
+    // Mentions found in comments (top comments and daily threads)
+    comments: {
+      total: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      last_24h: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      last_7d: {
+        type: Number,
+        default: 0,
+        min: 0
+      }
+    },
+    // Post mentions plus comment mentions scaled by the comment weight
+    weighted_24h: {
+      type: Number,
+      default: 0,
+      min: 0
     }
   },
   
@@ -149,6 +189,36 @@ const stockDataSchema = new mongoose.Schema({
     min: 0
   },
   
+  // Engagement inflow on posts mentioning the ticker, from the post snapshot series
+  engagement_velocity: {
+    upvotes_per_hour: {
+      type: Number,
+      default: 0
+    },
+    comments_per_hour: {
+      type: Number,
+      default: 0
+    },
+    // Change in hourly engagement versus the hour before
+    acceleration: {
+      type: Number,
+      default: 0
+    },
+    // Last hour's engagement relative to the trailing 24h hourly average
+    velocity_ratio: {
+      type: Number,
+      default: 0
+    },
+    posts_tracked: {
+      type: Number,
+      default: 0
+    },
+    updated_at: {
+      type: Date,
+      default: null
+    }
+  },
+  
   // Trending metrics
   trending_score: {
     type: Number,
@@ -176,14 +246,28 @@ const stockDataSchema = new mongoose.Schema({
     }
   }],
   
-  // Technical indicators (will be populated by AlphaVantage)
+  // Technical indicators, computed locally from price_data (VWAP from intraday_data) whenever bars change
   technical_indicators: {
     sma_20: Number,
     sma_50: Number,
+    ema_12: Number,
+    ema_26: Number,
     rsi: Number,
     macd: Number,
+    macd_signal: Number,
+    macd_histogram: Number,
     bollinger_upper: Number,
-    bollinger_lower: Number
+    bollinger_middle: Number,
+    bollinger_lower: Number,
+    atr: Number,
+    obv: Number,
+    vwap: Number,
+    // Bar the daily values are as of, and the intraday bar VWAP is as of
+    as_of: Date,
+    vwap_as_of: Date,
+    updated_at: Date,
+    // Running indicator state, so new bars are stepped on rather than recomputed from scratch
+    state: mongoose.Schema.Types.Mixed
   },
   
   // Phase 3: Enhanced Sentiment Analysis
@@ -384,6 +468,21 @@ const stockDataSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Strongest mention or author anomaly from the last detection run (see anomalyService)
+  anomaly: {
+    active: {
+      type: Boolean,
+      default: false
+    },
+    metric: String,
+    window_hours: Number,
+    severity: {
+      type: String,
+      enum: ['low', 'medium', 'high']
+    },
+    score: Number,
+    detected_at: Date
+  },
   is_penny_stock: {
     type: Boolean,
     default: false
@@ -416,7 +515,14 @@ const stockDataSchema = new mongoose.Schema({
   }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    // Indicator running state is bookkeeping, not something API clients need
+    transform: (doc, ret) => {
+      if (ret.technical_indicators) delete ret.technical_indicators.state;
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 
@@ -456,8 +562,23 @@ stockDataSchema.virtual('volume_momentum').get(function() {
   return ((recentAvgVol - olderAvgVol) / olderAvgVol) * 100;
 });
 
-// Method to add new price data
+// Merge bars into a stored series by timestamp (incoming bars win), oldest first, keeping the newest `limit`
+function mergeBars(existing, incoming, limit) {
+  const byTime = new Map();
+  for (const bar of [...existing, ...incoming]) {
+    const plain = typeof bar.toObject === 'function' ? bar.toObject() : bar;
+    byTime.set(new Date(plain.timestamp).getTime(), { ...plain, timestamp: new Date(plain.timestamp) });
+  }
+  return [...byTime.values()].sort((a, b) => a.timestamp - b.timestamp).slice(-limit);
+}
+
+// Method to add new price data; a point for a timestamp already stored (today's quote again) replaces it
 stockDataSchema.methods.addPriceData = function(pricePoint) {
+  const timestamp = new Date(pricePoint.timestamp).getTime();
+  const existing = this.price_data.findIndex(point => point.timestamp.getTime() === timestamp);
+  if (existing >= 0) {
+    this.price_data.splice(existing, 1);
+  }
   this.price_data.push(pricePoint);
   
   // Keep only last 100 data points for performance
@@ -477,6 +598,52 @@ stockDataSchema.methods.addPriceData = function(pricePoint) {
   this.last_price_update = new Date();
 };
 
+// Method to merge a fetched daily series into price_data; older bars may change, so indicators restart
+stockDataSchema.methods.mergePriceData = function(bars) {
+  this.price_data = mergeBars(this.price_data, bars, 100);
+  this.resetIndicatorState('daily');
+  
+  if (!this.current_price && this.price_data.length > 0) {
+    this.current_price = this.price_data[this.price_data.length - 1].close;
+  }
+};
+
+// Method to merge fetched intraday bars; switching interval replaces the stored bars
+stockDataSchema.methods.mergeIntradayData = function(bars, interval) {
+  const current = this.intraday_data && this.intraday_data.interval === interval ? this.intraday_data.bars : [];
+  this.intraday_data = {
+    interval,
+    bars: mergeBars(current, bars, 200),
+    updated_at: new Date()
+  };
+  this.resetIndicatorState('intraday');
+};
+
+stockDataSchema.methods.resetIndicatorState = function(series) {
+  const state = (this.technical_indicators && this.technical_indicators.state) || {};
+  this.set('technical_indicators.state', { ...state, [series]: null });
+};
+
+// Method to bring technical_indicators up to date with the stored bars
+stockDataSchema.methods.updateTechnicalIndicators = function() {
+  const current = this.technical_indicators || {};
+  const state = current.state || {};
+  const intradayBars = this.intraday_data ? this.intraday_data.bars : [];
+  
+  const daily = technicalIndicators.updateSnapshot(state.daily, this.price_data, technicalIndicators.dailySnapshot);
+  const intraday = technicalIndicators.updateSnapshot(state.intraday, intradayBars, technicalIndicators.intradaySnapshot);
+  
+  this.technical_indicators = {
+    ...(daily.values || {}),
+    vwap: intraday.values ? intraday.values.vwap : current.vwap,
+    as_of: daily.as_of,
+    vwap_as_of: intraday.as_of || current.vwap_as_of,
+    updated_at: new Date(),
+    state: { daily: daily.state, intraday: intraday.state }
+  };
+  this.markModified('technical_indicators.state');
+};
+
 // Method to update Reddit mentions
 stockDataSchema.methods.updateRedditMentions = function(mentions24h, mentionsTotal) {
   this.reddit_mentions.last_24h = mentions24h;
@@ -484,6 +651,13 @@ stockDataSchema.methods.updateRedditMentions = function(mentions24h, mentionsTot
   this.last_reddit_update = new Date();
 };
 
+// Method to combine post and comment mentions into a single weighted count
+stockDataSchema.methods.updateWeightedMentions = function(commentWeight = 0.25) {
+  const commentMentions = this.reddit_mentions.comments ? this.reddit_mentions.comments.last_24h : 0;
+  this.reddit_mentions.weighted_24h = this.reddit_mentions.last_24h + commentMentions * commentWeight;
+  return this.reddit_mentions.weighted_24h;
+};
+
 // Method to update sentiment
 stockDataSchema.methods.updateSentiment = function(newSentiment, confidence) {
   this.sentiment_trend.previous_24h = this.sentiment_trend.current;
@@ -495,24 +669,33 @@ stockDataSchema.methods.updateSentiment = function(newSentiment, confidence) {
 
 // Method to calculate trending score
 stockDataSchema.methods.calculateTrendingScore = function() {
-  const mentionVolume = Math.min(100, (this.reddit_mentions.last_24h / 100) * 100);
+  const mentions24h = Math.max(this.reddit_mentions.last_24h, this.reddit_mentions.weighted_24h || 0);
+  const mentionVolume = Math.min(100, (mentions24h / 100) * 100);
   const sentimentMomentum = Math.abs(this.sentiment_trend.change) * 2;
   const qualityRatio = this.reddit_mentions.total > 0 ? 
     (this.quality_mentions / this.reddit_mentions.total) * 100 : 0;
   const crossSubredditScore = Math.min(100, this.subreddit_mentions.length * 20);
   
+  // Upvotes plus comments per hour, log-scaled so ~1000/hour saturates; speeding up earns a bonus
+  const velocity = this.engagement_velocity || {};
+  const engagementPerHour = (velocity.upvotes_per_hour || 0) + (velocity.comments_per_hour || 0) * 2;
+  const velocityScore = Math.min(100,
+    Math.log10(1 + engagementPerHour) * 33 * (velocity.acceleration > 0 ? 1.2 : 1)
+  );
+  
   // Time decay factor (newer activity weighted higher)
   const hoursAgo = this.last_reddit_update ? 
     (Date.now() - this.last_reddit_update.getTime()) / (1000 * 60 * 60) : 24;
   const timeDecayFactor = Math.exp(-hoursAgo / 12) * 100; // 12-hour half-life
   
-  this.trending_score = (
-    mentionVolume * 0.2 +
-    sentimentMomentum * 0.25 +
-    qualityRatio * 0.3 +
+  this.trending_score = Math.min(100, (
+    mentionVolume * 0.15 +
+    sentimentMomentum * 0.2 +
+    qualityRatio * 0.25 +
     crossSubredditScore * 0.15 +
+    velocityScore * 0.15 +
     timeDecayFactor * 0.1
-  );
+  ));
   
   this.is_trending = this.trending_score > 60;
   
@@ -531,14 +714,14 @@ stockDataSchema.methods.calculateMomentumScore = function() {
   return this.momentum_score;
 };
 
-// Method to check for unusual activity
+// Method to check for unusual activity. Mention activity is judged against the ticker's own baseline
+// by the anomaly detector, which sets `anomaly`; trading volume still uses a fixed threshold
 stockDataSchema.methods.checkUnusualActivity = function() {
   const volumeThreshold = 300; // 300% increase in volume
-  const mentionThreshold = 500; // 500% increase in mentions
   
-  this.has_unusual_activity = (
+  this.has_unusual_activity = Boolean(
     this.volume_momentum > volumeThreshold ||
-    this.reddit_mentions.last_24h > mentionThreshold
+    (this.anomaly && this.anomaly.active)
   );
   
   return this.has_unusual_activity;
@@ -573,12 +756,16 @@ stockDataSchema.pre('save', function(next) {
   }
   
   // Update trending and momentum scores if relevant data changed
-  if (this.isModified('reddit_mentions') || this.isModified('sentiment_trend')) {
+  if (this.isModified('reddit_mentions') || this.isModified('sentiment_trend') || this.isModified('engagement_velocity')) {
     this.calculateTrendingScore();
     this.calculateMomentumScore();
     this.checkUnusualActivity();
   }
   
+  if (this.isModified('price_data') || this.isModified('intraday_data')) {
+    this.updateTechnicalIndicators();
+  }
+  
   this.last_updated = Date.now();
   next();
 });
@@ -95,8 +95,87 @@ const subredditConfigSchema = new mongoose.Schema({
       type: Number,
       default: 100,
       min: 0
+    },
+    // Comment crawling
+    crawl_comments: {
+      type: Boolean,
+      default: true
+    },
+    crawl_daily_threads: {
+      type: Boolean,
+      default: true
+    },
+    min_comment_score: {
+      type: Number,
+      default: 2,
+      min: 0
+    },
+    // Incremental scraping
+    max_pages_per_cycle: {
+      type: Number,
+      default: 10,
+      min: 1,
+      max: 10 // Reddit listings stop at ~1000 items
+    },
+    refresh_window_hours: {
+      type: Number,
+      default: 24,
+      min: 0
     }
   },
+
+  // Checkpoint on the `new` listing; each cycle pages back until it reaches this post
+  scrape_cursor: {
+    last_fullname: {
+      type: String,
+      default: null
+    },
+    last_created_utc: {
+      type: Date,
+      default: null
+    },
+    last_run: {
+      type: Date,
+      default: null
+    },
+    last_pages: {
+      type: Number,
+      default: 0
+    },
+    last_fetched: {
+      type: Number,
+      default: 0
+    },
+    reached_checkpoint: {
+      type: Boolean,
+      default: true
+    },
+    last_refreshed: {
+      type: Date,
+      default: null
+    },
+    last_refreshed_count: {
+      type: Number,
+      default: 0
+    }
+  },
+
+  // Stretches of the `new` listing that were never fetched, or fetched posts that failed to store
+  scrape_gaps: [{
+    from: Date,
+    to: Date,
+    reason: {
+      type: String,
+      enum: ['page_limit', 'listing_end', 'processing_failed']
+    },
+    pages_fetched: Number,
+    // Only for processing_failed: the posts the checkpoint moved past
+    post_ids: [String],
+    detected_at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   
   // Performance tracking
   performance_metrics: {
@@ -253,6 +332,30 @@ subredditConfigSchema.methods.updateRateLimit = function() {
   }
 };
 
+// Method to move the `new` listing checkpoint after a scrape
+subredditConfigSchema.methods.advanceCursor = function(scrape) {
+  if (scrape.newest) {
+    this.scrape_cursor.last_fullname = scrape.newest.fullname;
+    this.scrape_cursor.last_created_utc = scrape.newest.created_utc;
+  }
+  this.scrape_cursor.last_run = new Date();
+  this.scrape_cursor.last_pages = scrape.pages;
+  this.scrape_cursor.last_fetched = scrape.posts.length;
+  this.scrape_cursor.reached_checkpoint = scrape.reached_checkpoint;
+
+  if (scrape.gap) {
+    this.recordGap(scrape.gap);
+  }
+};
+
+// Method to record a scrape gap, keeping the most recent 50
+subredditConfigSchema.methods.recordGap = function(gap) {
+  this.scrape_gaps.push(gap);
+  if (this.scrape_gaps.length > 50) {
+    this.scrape_gaps.splice(0, this.scrape_gaps.length - 50);
+  }
+};
+
 // Method to calculate performance metrics
 subredditConfigSchema.methods.calculatePerformance = async function() {
   const RedditPost = mongoose.model('RedditPost');
@@ -306,7 +409,7 @@ subredditConfigSchema.methods.calculatePerformance = async function() {
 
             if (postPrice && futurePrice) {
               const priceChange = (futurePrice.close - postPrice.close) / postPrice.close;
-              const sentimentDirection = post.sentiment_score > 0 ? 1 : -1;
+              const sentimentDirection = (ticker.sentiment ?? post.sentiment_score) > 0 ? 1 : -1;
               const priceDirection = priceChange > 0.02 ? 1 : priceChange < -0.02 ? -1 : 0;
 
               totalPredictions++;
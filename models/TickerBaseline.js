@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const residualStatsSchema = new mongoose.Schema({
+  metric: {
+    type: String,
+    enum: ['mentions', 'unique_authors', 'sentiment'],
+    required: true
+  },
+  window_hours: {
+    type: Number,
+    required: true
+  },
+  // Counts per unit of seasonal factor, so a window's expected count is rate × the factors over its hours
+  rate: Number,
+  median: Number,
+  // Median absolute deviation, unscaled
+  mad: Number,
+  mean: Number,
+  std: Number,
+  samples: Number
+}, { _id: false });
+
+// Rolling per-ticker baseline for the anomaly detector, rebuilt from TickerSentimentHistory.
+// The ticker '*' holds the market-wide seasonal profile every ticker's factors are shrunk toward
+const tickerBaselineSchema = new mongoose.Schema({
+  ticker: {
+    type: String,
+    required: true,
+    uppercase: true,
+    unique: true
+  },
+  from: Date,
+  to: Date,
+  // Hours covered since the ticker was first seen in the window, quiet hours included
+  coverage_hours: {
+    type: Number,
+    default: 0
+  },
+  active_hours: {
+    type: Number,
+    default: 0
+  },
+
+  // Mean per hour over the covered hours
+  level: {
+    mentions: {
+      type: Number,
+      default: 0
+    },
+    unique_authors: {
+      type: Number,
+      default: 0
+    },
+    // Mention-weighted average sentiment
+    sentiment: Number
+  },
+  // Multipliers on the level by UTC hour of day (24) and day of week (7, Sunday first), averaging 1
+  hour_of_day: [Number],
+  day_of_week: [Number],
+
+  // How far past windows strayed from what the seasonal model expected, per metric and window length
+  residuals: [residualStatsSchema],
+
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false
+});
+
+// Stats for a metric and window length, if the baseline has them
+tickerBaselineSchema.methods.getResidualStats = function(metric, windowHours) {
+  return this.residuals.find(stats => stats.metric === metric && stats.window_hours === windowHours) || null;
+};
+
+module.exports = mongoose.model('TickerBaseline', tickerBaselineSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// One hour of mentions and sentiment for a ticker, rolled up from posts and comments into a time-series collection.
+// Totals are stored next to the averages so hours can be resampled into days and weeks exactly
+const tickerSentimentHistorySchema = new mongoose.Schema({
+  // Start of the hour (UTC)
+  hour: {
+    type: Date,
+    required: true
+  },
+  // Time-series metaField: buckets are grouped per ticker
+  meta: {
+    ticker: {
+      type: String,
+      required: true,
+      uppercase: true
+    }
+  },
+
+  mentions: {
+    type: Number,
+    default: 0
+  },
+  post_mentions: {
+    type: Number,
+    default: 0
+  },
+  comment_mentions: {
+    type: Number,
+    default: 0
+  },
+  unique_authors: {
+    type: Number,
+    default: 0
+  },
+  // Kept so unique authors can be counted across resampled hours
+  authors: [String],
+
+  avg_sentiment: Number,
+  // Weighted by quality and upvotes, comments at a quarter of a post
+  weighted_sentiment: Number,
+  avg_quality: Number,
+  // Mentions at or beyond ±20
+  bullish: {
+    type: Number,
+    default: 0
+  },
+  bearish: {
+    type: Number,
+    default: 0
+  },
+
+  sentiment_total: {
+    type: Number,
+    default: 0
+  },
+  weighted_total: {
+    type: Number,
+    default: 0
+  },
+  weight_total: {
+    type: Number,
+    default: 0
+  },
+  quality_total: {
+    type: Number,
+    default: 0
+  },
+
+  subreddits: [{
+    _id: false,
+    subreddit: String,
+    mentions: Number,
+    sentiment_total: Number,
+    avg_sentiment: Number
+  }]
+}, {
+  timeseries: {
+    timeField: 'hour',
+    metaField: 'meta',
+    granularity: 'hours'
+  },
+  // Two years; posts themselves are cleaned up after 30 days, this is what outlives them
+  expireAfterSeconds: 2 * 365 * 24 * 60 * 60,
+  versionKey: false
+});
+
+tickerSentimentHistorySchema.index({ 'meta.ticker': 1, hour: -1 });
+
+module.exports = mongoose.model('TickerSentimentHistory', tickerSentimentHistorySchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// One document per listed symbol, imported from exchange listing files
+const tickerUniverseSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    index: true
+  },
+  name: {
+    type: String,
+    default: ''
+  },
+  exchange: {
+    type: String,
+    enum: ['NASDAQ', 'NYSE', 'AMEX', 'NYSE_ARCA', 'BATS', 'IEX', 'OTHER'],
+    default: 'OTHER',
+    index: true
+  },
+  sector: {
+    type: String,
+    default: ''
+  },
+  industry: {
+    type: String,
+    default: ''
+  },
+
+  // Normalized company-name aliases used to resolve "Tesla" -> TSLA
+  aliases: [{
+    type: String,
+    lowercase: true
+  }],
+
+  is_etf: {
+    type: Boolean,
+    default: false
+  },
+  is_delisted: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  is_test_issue: {
+    type: Boolean,
+    default: false
+  },
+
+  // Import bookkeeping
+  source: {
+    type: String,
+    default: ''
+  },
+  last_seen: {
+    type: Date,
+    default: Date.now
+  },
+  delisted_at: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+tickerUniverseSchema.index({ aliases: 1 });
+tickerUniverseSchema.index({ is_delisted: 1, is_test_issue: 1 });
+
+// Virtual for whether the symbol should be treated as tradable
+tickerUniverseSchema.virtual('is_active').get(function() {
+  return !this.is_delisted && !this.is_test_issue;
+});
+
+// Static method to get all tradable listings
+tickerUniverseSchema.statics.getActiveListings = function() {
+  return this.find({ is_delisted: false, is_test_issue: false });
+};
+
+module.exports = mongoose.model('TickerUniverse', tickerUniverseSchema);
@@ -110,7 +110,58 @@ const userProfileSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  
+  // Membership in flagged coordinated campaigns; posts made before active_until inherit the weight
+  coordination: {
+    campaigns: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CoordinatedCampaign'
+    }],
+    weight: {
+      type: Number,
+      default: 1,
+      min: 0,
+      max: 1
+    },
+    last_flagged_at: Date,
+    active_until: Date
+  },
+  // Bot/shill classifier output and the reviewer's decision on it; a decision overrides the classifier
+  bot_classification: {
+    probability: {
+      type: Number,
+      min: 0,
+      max: 1
+    },
+    label: {
+      type: String,
+      enum: ['likely_human', 'uncertain', 'likely_inauthentic']
+    },
+    // Pushes on the log-odds relative to a typical account, strongest first
+    attributions: [{
+      _id: false,
+      feature: String,
+      value: Number,
+      contribution: Number
+    }],
+    posts_analyzed: Number,
+    model_trained_at: Date,
+    classified_at: Date,
+    review: {
+      status: {
+        type: String,
+        enum: ['none', 'pending', 'reviewed'],
+        default: 'none'
+      },
+      decision: {
+        type: String,
+        enum: ['bot', 'shill', 'human']
+      },
+      reviewed_by: String,
+      reviewed_at: Date,
+      notes: String
+    }
+  },
+
   // Subreddit activity
   active_subreddits: [{
     name: String,
@@ -264,6 +315,7 @@ const userProfileSchema = new mongoose.Schema({
 userProfileSchema.index({ quality_score: -1 });
 userProfileSchema.index({ reputation_tier: 1, accuracy_score: -1 });
 userProfileSchema.index({ is_bot: 1, is_suspicious: 1 });
+userProfileSchema.index({ 'bot_classification.review.status': 1, 'bot_classification.probability': -1 });
 
 // Virtual for accuracy percentage
 userProfileSchema.virtual('accuracy_percentage').get(function() {
@@ -337,11 +389,37 @@ userProfileSchema.methods.checkSuspiciousActivity = function() {
   if (this.finance_post_frequency > 0.95 && this.post_count > 50) {
     flags.push('finance_only_posting');
   }
-  
-  this.is_suspicious = flags.length > 0;
+
+  // Member of a coordinated posting campaign
+  if (this.getCoordinationWeight() < 1) {
+    flags.push('coordinated_campaign');
+  }
+
+  // Classifier verdict, unless a reviewer has ruled on the account
+  const classification = this.bot_classification || {};
+  const review = classification.review || {};
+  if (review.status === 'reviewed') {
+    if (review.decision === 'bot' || review.decision === 'shill') {
+      flags.push(`confirmed_${review.decision}`);
+    }
+  } else if (classification.label === 'likely_inauthentic') {
+    flags.push('classifier_likely_inauthentic');
+  }
+
+  // A reviewer clearing the account outranks the rules above
+  this.is_suspicious = flags.length > 0 && review.decision !== 'human';
   return { is_suspicious: this.is_suspicious, flags };
 };
 
+// Weight for new posts by this user while a campaign flag is in force
+userProfileSchema.methods.getCoordinationWeight = function(at = new Date()) {
+  const coordination = this.coordination;
+  if (!coordination || !coordination.active_until || coordination.active_until <= at) {
+    return 1;
+  }
+  return coordination.weight === undefined || coordination.weight === null ? 1 : coordination.weight;
+};
+
 // Method to update finance posting frequency
 userProfileSchema.methods.updateFinanceFrequency = function() {
   if (this.post_count === 0) {
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+const holdingSchema = new mongoose.Schema({
+  ticker: {
+    type: String,
+    required: true,
+    uppercase: true,
+    validate: {
+      validator: function(v) {
+        return /^[A-Z]{1,5}$/.test(v);
+      },
+      message: 'Ticker must be 1-5 uppercase letters'
+    }
+  },
+  // Portfolio positions only; watchlist entries leave these empty
+  shares: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  cost_basis: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  notes: {
+    type: String,
+    default: ''
+  },
+  added_at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const watchlistSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  kind: {
+    type: String,
+    enum: ['watchlist', 'portfolio'],
+    default: 'watchlist'
+  },
+  holdings: {
+    type: [holdingSchema],
+    validate: {
+      validator: function(v) {
+        return v.length <= 100;
+      },
+      message: 'A watchlist cannot hold more than 100 tickers'
+    }
+  },
+  owner: {
+    type: String,
+    default: 'user'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+watchlistSchema.index({ owner: 1, name: 1 }, { unique: true });
+watchlistSchema.index({ 'holdings.ticker': 1 });
+
+// Virtual for the list of tickers
+watchlistSchema.virtual('tickers').get(function() {
+  return this.holdings.map(h => h.ticker);
+});
+
+// Virtual for total cost of all positions
+watchlistSchema.virtual('total_cost').get(function() {
+  return this.holdings.reduce((sum, h) => sum + h.shares * h.cost_basis, 0);
+});
+
+// Method to add a holding; buying more of an existing position averages the cost basis
+watchlistSchema.methods.addHolding = function({ ticker, shares = 0, cost_basis = 0, notes }) {
+  const symbol = ticker.toUpperCase();
+  const existing = this.holdings.find(h => h.ticker === symbol);
+
+  if (!existing) {
+    this.holdings.push({ ticker: symbol, shares, cost_basis, notes: notes || '' });
+    return this.holdings[this.holdings.length - 1];
+  }
+
+  const totalShares = existing.shares + shares;
+  if (totalShares > 0) {
+    existing.cost_basis = (existing.shares * existing.cost_basis + shares * cost_basis) / totalShares;
+  }
+  existing.shares = totalShares;
+  if (notes !== undefined) existing.notes = notes;
+  return existing;
+};
+
+// Method to remove a holding, returns false when the ticker isn't held
+watchlistSchema.methods.removeHolding = function(ticker) {
+  const symbol = ticker.toUpperCase();
+  const before = this.holdings.length;
+  this.holdings = this.holdings.filter(h => h.ticker !== symbol);
+  return this.holdings.length < before;
+};
+
+module.exports = mongoose.model('Watchlist', watchlistSchema);
@@ -0,0 +1,338 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const AlertRule = require('../models/AlertRule');
+const Alert = require('../models/Alert');
+const alertService = require('../services/alertService');
+
+const ruleFields = ['name', 'description', 'ticker', 'condition', 'channels', 'severity', 'is_active', 'cooldown_minutes'];
+
+// Load a rule by id or send a 404
+async function findRule(id, res) {
+  const rule = mongoose.isValidObjectId(id) ? await AlertRule.findById(id) : null;
+  if (!rule) {
+    res.status(404).json({
+      success: false,
+      error: `Alert rule ${id} not found`
+    });
+  }
+  return rule;
+}
+
+// ==================== ALERT RULES ====================
+
+// GET /api/alerts/rules - List alert rules
+router.get('/rules', async (req, res) => {
+  try {
+    const { active_only = false, ticker } = req.query;
+
+    const query = {};
+    if (active_only === 'true') query.is_active = true;
+    if (ticker) query.ticker = ticker.toUpperCase();
+
+    const rules = await AlertRule.find(query).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: rules,
+      metadata: {
+        total_rules: rules.length,
+        active_rules: rules.filter(r => r.is_active).length,
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/alerts/rules - Create an alert rule
+router.post('/rules', async (req, res) => {
+  try {
+    const errors = alertService.validateRule(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join('; ')
+      });
+    }
+
+    const data = {};
+    for (const field of ruleFields) {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    }
+    if (!data.ticker) data.ticker = null;
+
+    const rule = await AlertRule.create(data);
+
+    console.log(`✅ Created alert rule "${rule.name}" (${rule.condition_summary})`);
+
+    res.status(201).json({
+      success: true,
+      data: rule,
+      message: `Alert rule "${rule.name}" created`
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/alerts/rules/:id - Get a rule with its recent alerts
+router.get('/rules/:id', async (req, res) => {
+  try {
+    const rule = await findRule(req.params.id, res);
+    if (!rule) return;
+
+    const recentAlerts = await Alert.find({ rule: rule._id })
+      .sort({ triggered_at: -1 })
+      .limit(20);
+
+    res.json({
+      success: true,
+      data: {
+        rule,
+        recent_alerts: recentAlerts
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/alerts/rules/:id - Update an alert rule
+router.put('/rules/:id', async (req, res) => {
+  try {
+    const rule = await findRule(req.params.id, res);
+    if (!rule) return;
+
+    const current = rule.toObject();
+    const merged = {
+      ...current,
+      ...req.body,
+      condition: { ...current.condition, ...(req.body.condition || {}) }
+    };
+
+    const errors = alertService.validateRule(merged);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join('; ')
+      });
+    }
+
+    for (const field of ruleFields) {
+      if (req.body[field] !== undefined) {
+        rule[field] = field === 'condition' ? merged.condition : req.body[field];
+      }
+    }
+    if (!rule.ticker) rule.ticker = null;
+
+    // A changed condition invalidates the transition baseline
+    if (req.body.condition || req.body.ticker !== undefined) {
+      rule.last_values = new Map();
+    }
+
+    await rule.save();
+
+    res.json({
+      success: true,
+      data: rule,
+      message: `Alert rule "${rule.name}" updated`
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/alerts/rules/:id - Delete an alert rule (fired alerts are kept)
+router.delete('/rules/:id', async (req, res) => {
+  try {
+    const rule = await findRule(req.params.id, res);
+    if (!rule) return;
+
+    await rule.deleteOne();
+
+    res.json({
+      success: true,
+      data: { id: rule._id },
+      message: `Alert rule "${rule.name}" deleted`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/alerts/rules/:id/test - Dry-run a rule, optionally sending a test alert through its channels
+router.post('/rules/:id/test', async (req, res) => {
+  try {
+    const rule = await findRule(req.params.id, res);
+    if (!rule) return;
+
+    const { deliver = false } = req.body;
+
+    const evaluation = await alertService.evaluateRule(rule, { dryRun: true });
+    const deliveries = deliver ? await alertService.testRuleChannels(rule) : [];
+
+    res.json({
+      success: true,
+      data: {
+        rule: rule.name,
+        condition: rule.condition_summary,
+        tickers_checked: evaluation.tickers_checked,
+        matches: evaluation.results.filter(r => r.triggered),
+        results: evaluation.results,
+        deliveries
+      },
+      metadata: {
+        dry_run: true,
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/alerts/evaluate - Evaluate all active rules now
+router.post('/evaluate', async (req, res) => {
+  try {
+    const summary = await alertService.evaluateRules();
+
+    res.json({
+      success: true,
+      data: summary,
+      metadata: {
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/alerts/status - Alert engine status
+router.get('/status', async (req, res) => {
+  try {
+    const [activeRules, unacknowledged] = await Promise.all([
+      AlertRule.countDocuments({ is_active: true }),
+      Alert.countDocuments({ acknowledged: false })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...alertService.getStatus(),
+        active_rules: activeRules,
+        unacknowledged_alerts: unacknowledged
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ==================== FIRED ALERTS ====================
+
+// GET /api/alerts - Alert history
+router.get('/', async (req, res) => {
+  try {
+    const { ticker, rule, acknowledged, limit = 50 } = req.query;
+
+    const query = {};
+    if (ticker) query.ticker = ticker.toUpperCase();
+    if (rule && mongoose.isValidObjectId(rule)) query.rule = rule;
+    if (acknowledged !== undefined) query.acknowledged = acknowledged === 'true';
+
+    const alerts = await Alert.find(query)
+      .sort({ triggered_at: -1 })
+      .limit(Math.min(parseInt(limit) || 50, 500));
+
+    res.json({
+      success: true,
+      data: alerts,
+      metadata: {
+        total_alerts: alerts.length,
+        filters: { ticker, rule, acknowledged },
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/alerts/acknowledge-all - Acknowledge every open alert
+router.put('/acknowledge-all', async (req, res) => {
+  try {
+    const result = await Alert.updateMany(
+      { acknowledged: false },
+      { $set: { acknowledged: true, acknowledged_at: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      data: { acknowledged: result.modifiedCount }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/alerts/:id/acknowledge - Acknowledge a fired alert
+router.put('/:id/acknowledge', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const alert = mongoose.isValidObjectId(id)
+      ? await Alert.findByIdAndUpdate(id, { acknowledged: true, acknowledged_at: new Date() }, { new: true })
+      : null;
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        error: `Alert ${id} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: alert
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
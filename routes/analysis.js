@@ -4,8 +4,18 @@ const claudeService = require('../services/claudeService');
 const newsService = require('../services/newsService');
 const fredService = require('../services/fredService');
 const userReputationService = require('../services/userReputationService');
+const botDetectionService = require('../services/botDetectionService');
 const confidenceService = require('../services/confidenceService');
 const dataProcessor = require('../services/dataProcessor');
+const engagementService = require('../services/engagementService');
+const backtestService = require('../services/backtestService');
+const sentimentService = require('../services/sentimentService');
+const apiCache = require('../services/apiCache');
+const leadLagService = require('../services/leadLagService');
+const anomalyService = require('../services/anomalyService');
+const coordinationService = require('../services/coordinationService');
+const narrativeService = require('../services/narrativeService');
+const sentimentAttributionService = require('../services/sentimentAttributionService');
 const RedditPost = require('../models/RedditPost');
 const UserProfile = require('../models/UserProfile');
 const StockData = require('../models/StockData');
@@ -186,6 +196,123 @@ router.get('/claude/usage', async (req, res) => {
   }
 });
 
+// ==================== SENTIMENT PROVIDERS ====================
+
+// GET /api/analysis/sentiment/providers - Provider availability, weights and model metrics
+router.get('/sentiment/providers', async (req, res) => {
+  try {
+    const status = await sentimentService.getStatus();
+
+    res.json({
+      success: true,
+      data: status,
+      metadata: {
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/analysis/sentiment/ensemble - Score text with the ensemble (or chosen providers)
+router.post('/sentiment/ensemble', async (req, res) => {
+  try {
+    const { text, title, ticker, providers } = req.body;
+
+    if (!text && !title) {
+      return res.status(400).json({
+        success: false,
+        error: 'Text or title is required'
+      });
+    }
+
+    const result = await sentimentService.analyze(text || '', title || '', {
+      ticker,
+      providers: Array.isArray(providers) && providers.length > 0 ? providers : undefined
+    });
+
+    res.json({
+      success: true,
+      data: {
+        score: result.score,
+        confidence: result.confidence,
+        agreement: result.agreement,
+        providers_used: result.providers_used,
+        providers: result.providers
+      },
+      metadata: {
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/analysis/sentiment/compare - Compare providers on a sample of stored posts
+router.post('/sentiment/compare', async (req, res) => {
+  try {
+    const { sample_size = 25, timeframe = 72, ticker, providers } = req.body;
+
+    const comparison = await sentimentService.compareProviders({
+      sampleSize: Math.min(Math.max(parseInt(sample_size) || 25, 1), 50),
+      hours: parseInt(timeframe) || 72,
+      ticker,
+      providers: Array.isArray(providers) && providers.length > 0 ? providers : null
+    });
+
+    res.json({
+      success: true,
+      data: comparison,
+      metadata: {
+        timeframe_hours: parseInt(timeframe) || 72,
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/analysis/sentiment/train - Retrain the local model from seed and Claude-labelled posts
+router.post('/sentiment/train', async (req, res) => {
+  try {
+    const { include_posts = true, min_claude_confidence = 70 } = req.body;
+
+    const model = await sentimentService.trainModel({
+      includePosts: include_posts !== false && include_posts !== 'false',
+      minClaudeConfidence: parseInt(min_claude_confidence) || 70
+    });
+
+    res.json({
+      success: true,
+      data: {
+        name: model.name,
+        training_samples: model.training_samples,
+        sources: model.sources,
+        metrics: model.metrics,
+        trained_at: model.trained_at
+      },
+      message: `Sentiment model trained on ${model.training_samples} samples`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // ==================== NEWS CORRELATION ====================
 
 // GET /api/analysis/news/:ticker - Get news for ticker
@@ -528,6 +655,175 @@ router.get('/users/top', async (req, res) => {
   }
 });
 
+// GET /api/analysis/users/classification/queue - Accounts awaiting review, most likely bots/shills first (?status=pending|reviewed&decision=&limit=)
+router.get('/users/classification/queue', async (req, res) => {
+  try {
+    const errors = botDetectionService.validateQueueQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join('; ')
+      });
+    }
+
+    const queue = await botDetectionService.getReviewQueue(req.query);
+
+    res.json({
+      success: true,
+      data: queue.accounts,
+      metadata: {
+        total: queue.total,
+        counts: queue.counts,
+        returned: queue.accounts.length,
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/analysis/users/classification/model - Coefficients in use, thresholds and training metrics
+router.get('/users/classification/model', async (req, res) => {
+  try {
+    const model = await botDetectionService.getModel();
+
+    res.json({
+      success: true,
+      data: model,
+      metadata: {
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/analysis/users/classification/train - Retrain from annotated and reviewed accounts; reclassify re-scores every profile after
+router.post('/users/classification/train', async (req, res) => {
+  try {
+    const { reclassify = false } = req.body || {};
+    const { model, reclassified } = await botDetectionService.trainModel({
+      reclassify: reclassify === true || reclassify === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: {
+        name: model.name,
+        training_samples: model.training_samples,
+        sources: model.sources,
+        metrics: model.metrics,
+        trained_at: model.trained_at,
+        reclassified
+      },
+      message: `Bot classifier trained on ${model.training_samples} labelled accounts`
+    });
+  } catch (error) {
+    res.status(error.validation ? 400 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/analysis/users/classification/run - Re-score every profile now
+router.post('/users/classification/run', async (req, res) => {
+  try {
+    const result = await botDetectionService.classifyAll();
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        error: 'Bot classification is already running'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result,
+      metadata: {
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/analysis/users/:username/classification - Score one account now, with feature attributions
+router.get('/users/:username/classification', async (req, res) => {
+  try {
+    const result = await botDetectionService.classifyUser(req.params.username);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result,
+      metadata: {
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/analysis/users/:username/review - Record a reviewer's decision (bot, shill or human)
+router.post('/users/:username/review', async (req, res) => {
+  try {
+    const { decision, reviewer = '', notes = '' } = req.body || {};
+    if (!botDetectionService.reviewDecisions.includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        error: `decision must be one of ${botDetectionService.reviewDecisions.join(', ')}`
+      });
+    }
+
+    const result = await botDetectionService.review(req.params.username, {
+      decision,
+      reviewer: String(reviewer).trim(),
+      notes: String(notes)
+    });
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result,
+      metadata: {
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // ==================== CONFIDENCE ANALYSIS ====================
 
 // GET /api/analysis/confidence/:ticker - Get comprehensive confidence analysis
@@ -721,7 +1017,7 @@ router.get('/stocks/enhanced-trending', async (req, res) => {
     
     res.json({
       success: true,
-      data: enhancedStocks,
+      data: await engagementService.attachVelocity(enhancedStocks),
       metadata: {
         min_confidence: minConfidence,
         require_news: requireNews === 'true',
@@ -740,6 +1036,355 @@ router.get('/stocks/enhanced-trending', async (req, res) => {
   }
 });
 
+// ==================== BACKTESTING ====================
+
+// POST /api/analysis/backtest - Replay stored sentiment as trading signals against historical prices
+router.post('/backtest', async (req, res) => {
+  try {
+    const { includeTrades = true, ...options } = req.body || {};
+
+    const result = await backtestService.runBacktest(options);
+    
+    res.json({
+      success: true,
+      data: {
+        ...result,
+        trades: includeTrades ? result.trades : undefined
+      },
+      metadata: {
+        total_trades: result.metrics.total_trades,
+        processing_time_ms: result.processing_time_ms,
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(error.validation ? 400 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ==================== LEAD-LAG ANALYSIS ====================
+
+// GET /api/analysis/lead-lag/subreddits - Lead-lag curves per subreddit, pooled across tickers (?tickers=&limit=&days=&resolution=&max_lag=&granger_lags=)
+router.get('/lead-lag/subreddits', async (req, res) => {
+  try {
+    const { tickers, limit, days, resolution, max_lag, granger_lags } = req.query;
+    const result = await leadLagService.analyzeSubreddits({ tickers, limit, days, resolution, max_lag, granger_lags });
+
+    res.json({
+      success: true,
+      data: result,
+      metadata: {
+        tickers_analyzed: result.tickers.length - result.skipped.length,
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(error.validation ? 400 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/analysis/lead-lag/:ticker - Does Reddit chatter lead or lag price? (?days=&resolution=hour|day&max_lag=&granger_lags=)
+router.get('/lead-lag/:ticker', async (req, res) => {
+  try {
+    const { days, resolution, max_lag, granger_lags } = req.query;
+    const result = await leadLagService.analyzeTicker(req.params.ticker, { days, resolution, max_lag, granger_lags });
+
+    res.json({
+      success: true,
+      data: result,
+      metadata: {
+        analysis_type: 'lead_lag',
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(error.validation ? 400 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ==================== NARRATIVES ====================
+
+// GET /api/analysis/stocks/:ticker/narratives - What the chatter is about: topic clusters with keyphrases, share over time and example posts (?days=&max_narratives=&claude=true)
+router.get('/stocks/:ticker/narratives', async (req, res) => {
+  try {
+    const { days, max_narratives, claude } = req.query;
+    const result = await narrativeService.analyzeTicker(req.params.ticker, { days, max_narratives, claude });
+
+    res.json({
+      success: true,
+      data: result,
+      metadata: {
+        analysis_type: 'narratives',
+        named_by: result.named_by,
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(error.validation ? 400 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ==================== SENTIMENT ATTRIBUTION ====================
+
+// GET /api/analysis/stocks/:ticker/explain - Which posts, authors and subreddits drive a ticker's sentiment, what changed since the previous snapshot, and the confidence components (?hours=&limit=&since=&confidence=false)
+router.get('/stocks/:ticker/explain', async (req, res) => {
+  try {
+    const errors = sentimentAttributionService.validateQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join('; ')
+      });
+    }
+
+    const explanation = await sentimentAttributionService.explainTicker(req.params.ticker, req.query);
+
+    res.json({
+      success: true,
+      data: explanation,
+      metadata: {
+        analysis_type: 'sentiment_attribution',
+        compared_with: explanation.change ? explanation.change.previous.taken_at : null,
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ==================== ANOMALY DETECTION ====================
+
+// GET /api/analysis/anomalies - Anomaly events, most recently seen first (?ticker=&metric=&severity=&active=&since=&limit=)
+router.get('/anomalies', async (req, res) => {
+  try {
+    const errors = anomalyService.validateEventQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join('; ')
+      });
+    }
+
+    const { events, total } = await anomalyService.getEvents(req.query);
+
+    res.json({
+      success: true,
+      data: events,
+      metadata: {
+        total,
+        returned: events.length,
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/analysis/anomalies/baselines/:ticker - The rolling baseline a ticker is scored against
+router.get('/anomalies/baselines/:ticker', async (req, res) => {
+  try {
+    const baseline = await anomalyService.getBaseline(req.params.ticker);
+    if (!baseline) {
+      return res.status(404).json({
+        success: false,
+        error: `No baseline for ${req.params.ticker.toUpperCase()} yet`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: baseline,
+      metadata: {
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/analysis/anomalies/detect - Run detection now; refresh_baselines rebuilds every baseline first
+router.post('/anomalies/detect', async (req, res) => {
+  try {
+    const { tickers, refresh_baselines = false } = req.body || {};
+    if (tickers && (!Array.isArray(tickers) || tickers.some(ticker => typeof ticker !== 'string'))) {
+      return res.status(400).json({
+        success: false,
+        error: 'tickers must be an array of strings'
+      });
+    }
+
+    const result = await anomalyService.detect({ tickers, refreshBaselines: Boolean(refresh_baselines) });
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        error: 'Anomaly detection is already running'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result,
+      metadata: {
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ==================== COORDINATED MANIPULATION ====================
+
+// GET /api/analysis/manipulation/report - Coordinated campaigns and the tickers they targeted (?ticker=&hours=&status=&min_score=&limit=)
+router.get('/manipulation/report', async (req, res) => {
+  try {
+    const errors = coordinationService.validateReportQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join('; ')
+      });
+    }
+
+    const report = await coordinationService.getReport(req.query);
+
+    res.json({
+      success: true,
+      data: report,
+      metadata: {
+        returned: report.campaigns.length,
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/analysis/manipulation/campaigns/:id - One campaign with its members, evidence and posts
+router.get('/manipulation/campaigns/:id', async (req, res) => {
+  try {
+    const campaign = await coordinationService.getCampaign(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: campaign,
+      metadata: {
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/analysis/manipulation/detect - Run coordination detection now over the last `hours`, optionally for some tickers
+router.post('/manipulation/detect', async (req, res) => {
+  try {
+    const { tickers, hours } = req.body || {};
+    const errors = [];
+    if (tickers && (!Array.isArray(tickers) || tickers.some(ticker => typeof ticker !== 'string'))) {
+      errors.push('tickers must be an array of strings');
+    }
+    if (hours !== undefined && (!Number.isInteger(hours) || hours < 1 || hours > 336)) {
+      errors.push('hours must be an integer between 1 and 336');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join('; ')
+      });
+    }
+
+    const result = await coordinationService.detect({ tickers, hours });
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        error: 'Coordination detection is already running'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result,
+      metadata: {
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/analysis/manipulation/campaigns/:id/dismiss - Mark a campaign as a false positive and restore its weights
+router.post('/manipulation/campaigns/:id/dismiss', async (req, res) => {
+  try {
+    const { reason = '' } = req.body || {};
+    const campaign = await coordinationService.dismiss(req.params.id, String(reason));
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: campaign,
+      metadata: {
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // ==================== SYSTEM STATUS ====================
 
 // GET /api/analysis/status - Get Phase 3 system status
@@ -789,6 +1434,79 @@ router.get('/status', async (req, res) => {
   }
 });
 
+// ==================== API CACHE ====================
+
+// GET /api/analysis/cache - Cached external API responses per provider, hit metrics and TTL policies
+router.get('/cache', async (req, res) => {
+  try {
+    const stats = await apiCache.getStats();
+    
+    res.json({
+      success: true,
+      data: stats,
+      metadata: {
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error getting API cache stats:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/analysis/cache/entries - Inspect cached entries (?provider=&operation=&key=&limit=&include_values=true)
+router.get('/cache/entries', async (req, res) => {
+  try {
+    const { provider, operation, key, limit = 50, include_values } = req.query;
+    const entries = await apiCache.listEntries(
+      { provider, operation, key },
+      { limit: Math.min(parseInt(limit) || 50, 500), includeValues: include_values === 'true' }
+    );
+    
+    res.json({
+      success: true,
+      data: entries,
+      metadata: {
+        count: entries.length,
+        filters: { provider: provider || null, operation: operation || null, key: key || null },
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error listing API cache entries:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/analysis/cache - Purge cached entries; filter by provider, operation or key, or purge everything
+router.delete('/cache', async (req, res) => {
+  try {
+    const { provider, operation, key } = req.query;
+    const deleted = await apiCache.purge({ provider, operation, key });
+    
+    res.json({
+      success: true,
+      data: { deleted },
+      metadata: {
+        filters: { provider: provider || null, operation: operation || null, key: key || null },
+        purged_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error purging API cache:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // ==================== DATA CLEANUP ====================
 
 // POST /api/analysis/cleanup/false-positives - Clean up false positive tickers
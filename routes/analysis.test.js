@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const analysisRoutes = require('./analysis');
+
+// Only input errors are exercised here: they are answered before anything touches the database
+let server;
+let baseUrl;
+
+test.before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/analysis', analysisRoutes);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/analysis`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+async function post(path, body) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('POST /backtest rejects non-string tickers with a 400', async () => {
+  const { status, body } = await post('/backtest', { tickers: [1] });
+  assert.equal(status, 400);
+  assert.equal(body.success, false);
+  assert.match(body.error, /tickers must be an array of strings/);
+});
+
+test('POST /backtest rejects a string filter list with a 400', async () => {
+  const { status, body } = await post('/backtest', { filters: { subreddits: 'wallstreetbets' } });
+  assert.equal(status, 400);
+  assert.match(body.error, /filters\.subreddits must be an array of strings/);
+});
+
+test('POST /backtest rejects non-numeric options with a 400', async () => {
+  const { status, body } = await post('/backtest', { max_tickers: 'abc', exit: { holding_days: 1.5 } });
+  assert.equal(status, 400);
+  assert.match(body.error, /max_tickers/);
+  assert.match(body.error, /exit\.holding_days/);
+});
+
+test('POST /anomalies/detect rejects non-string tickers with a 400', async () => {
+  const { status, body } = await post('/anomalies/detect', { tickers: [1] });
+  assert.equal(status, 400);
+  assert.equal(body.error, 'tickers must be an array of strings');
+});
+
+test('POST /manipulation/detect rejects non-string tickers with a 400', async () => {
+  const { status, body } = await post('/manipulation/detect', { tickers: [1] });
+  assert.equal(status, 400);
+  assert.equal(body.error, 'tickers must be an array of strings');
+});
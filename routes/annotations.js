@@ -0,0 +1,257 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Annotation = require('../models/Annotation');
+const annotationService = require('../services/annotationService');
+
+// Validate an annotation payload; returns an error message or null
+function validateAnnotation({ annotator, post_id, overall_sentiment, post_type, author_type, ticker_sentiments }) {
+  if (!annotator || !annotator.trim()) {
+    return 'Annotator name is required';
+  }
+  if (!post_id || !mongoose.isValidObjectId(post_id)) {
+    return 'A valid post_id is required';
+  }
+  if (!Annotation.sentimentLabels.includes(overall_sentiment)) {
+    return `overall_sentiment must be one of: ${Annotation.sentimentLabels.join(', ')}`;
+  }
+  if (post_type && !Annotation.postTypeLabels.includes(post_type)) {
+    return `post_type must be one of: ${Annotation.postTypeLabels.join(', ')}`;
+  }
+  if (author_type && !Annotation.authorTypeLabels.includes(author_type)) {
+    return `author_type must be one of: ${Annotation.authorTypeLabels.join(', ')}`;
+  }
+  if (ticker_sentiments && !Array.isArray(ticker_sentiments)) {
+    return 'ticker_sentiments must be an array of { ticker, sentiment }';
+  }
+  for (const entry of ticker_sentiments || []) {
+    if (!entry || !Annotation.sentimentLabels.includes(entry.sentiment)) {
+      return `Invalid sentiment for ticker ${entry && entry.ticker}`;
+    }
+  }
+  return null;
+}
+
+// GET /api/annotations/queue - Stratified sample of posts the annotator hasn't labelled
+router.get('/queue', async (req, res) => {
+  try {
+    const { annotator, size = 10, subreddit } = req.query;
+
+    if (!annotator || !annotator.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Annotator name is required'
+      });
+    }
+
+    const queue = await annotationService.getQueue(annotator.trim(), {
+      size: Math.min(parseInt(size) || 10, 50),
+      subreddit: subreddit || null
+    });
+
+    res.json({
+      success: true,
+      data: queue,
+      metadata: {
+        annotator: annotator.trim().toLowerCase(),
+        total: queue.length,
+        sentiment_labels: Annotation.sentimentLabels,
+        post_type_labels: Annotation.postTypeLabels,
+        author_type_labels: Annotation.authorTypeLabels,
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/annotations - Save (or replace) an annotator's labels for a post
+router.post('/', async (req, res) => {
+  try {
+    const validationError = validateAnnotation(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const annotation = await annotationService.submitAnnotation(req.body.annotator.trim(), req.body);
+    if (!annotation) {
+      return res.status(404).json({
+        success: false,
+        error: `Post ${req.body.post_id} not found`
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: annotation,
+      message: `Annotation saved for ${annotation.reddit_id}`
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/annotations - List annotations, optionally by annotator or post
+router.get('/', async (req, res) => {
+  try {
+    const { annotator, reddit_id, limit = 50, page = 1 } = req.query;
+
+    const query = {};
+    if (annotator) query.annotator = annotator.toLowerCase();
+    if (reddit_id) query.reddit_id = reddit_id;
+
+    const limitNum = Math.min(parseInt(limit) || 50, 200);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * limitNum;
+
+    const [annotations, total] = await Promise.all([
+      Annotation.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .populate('post', 'title subreddit url'),
+      Annotation.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: annotations,
+      metadata: {
+        total,
+        page: parseInt(page) || 1,
+        limit: limitNum,
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/annotations/stats - Per-annotator counts and inter-annotator agreement
+router.get('/stats', async (req, res) => {
+  try {
+    const stats = await annotationService.getStats();
+
+    res.json({
+      success: true,
+      data: stats,
+      metadata: {
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/annotations/export - Majority-vote dataset as json, jsonl or csv
+router.get('/export', async (req, res) => {
+  try {
+    const { format = 'json', min_annotators = 1 } = req.query;
+
+    if (!['json', 'jsonl', 'csv'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Format must be json, jsonl or csv'
+      });
+    }
+
+    const records = await annotationService.exportDataset({
+      minAnnotators: Math.max(parseInt(min_annotators) || 1, 1)
+    });
+
+    if (format === 'csv') {
+      res.attachment('annotations.csv');
+      return res.type('text/csv').send(annotationService.toCsv(records));
+    }
+    if (format === 'jsonl') {
+      res.attachment('annotations.jsonl');
+      return res.type('application/x-ndjson').send(annotationService.toJsonl(records));
+    }
+
+    res.json({
+      success: true,
+      data: records,
+      metadata: {
+        total: records.length,
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/annotations/evaluate - Score sentiment providers against the labelled posts
+router.post('/evaluate', async (req, res) => {
+  try {
+    const { providers, limit = 200, min_annotators = 1 } = req.body;
+
+    const evaluation = await annotationService.evaluate({
+      providers: Array.isArray(providers) && providers.length > 0 ? providers : undefined,
+      limit: Math.min(parseInt(limit) || 200, 1000),
+      minAnnotators: Math.max(parseInt(min_annotators) || 1, 1)
+    });
+
+    res.json({
+      success: true,
+      data: evaluation,
+      metadata: {
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/annotations/:id - Remove an annotation
+router.delete('/:id', async (req, res) => {
+  try {
+    const annotation = mongoose.isValidObjectId(req.params.id)
+      ? await Annotation.findByIdAndDelete(req.params.id)
+      : null;
+
+    if (!annotation) {
+      return res.status(404).json({
+        success: false,
+        error: `Annotation ${req.params.id} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { id: annotation._id },
+      message: `Annotation for ${annotation.reddit_id} deleted`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,21 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const RedditPost = require('../models/RedditPost');
+const RedditComment = require('../models/RedditComment');
 const StockData = require('../models/StockData');
 const dataProcessor = require('../services/dataProcessor');
 const redditService = require('../services/redditService');
+const engagementService = require('../services/engagementService');
+const backfillService = require('../services/backfillService');
+const BackfillJob = require('../models/BackfillJob');
 
 // GET /api/reddit/trending - Get trending stocks based on Reddit mentions
 router.get('/trending', async (req, res) => {
   try {
-    const { limit = 20, timeframe = 24, minMentions = 5, minQuality = 30 } = req.query;
+    const { limit = 20, timeframe = 24, minMentions = 5, minQuality = 30, sortBy } = req.query;
+    // Velocity isn't known inside the aggregation, so rank every candidate before limiting
+    const sortByVelocity = sortBy === 'velocity';
     
     const cutoffTime = new Date(Date.now() - timeframe * 60 * 60 * 1000);
     
@@ -27,7 +34,7 @@ router.get('/trending', async (req, res) => {
           _id: '$tickers.symbol',
           mention_count: { $sum: 1 },
           total_mentions: { $sum: '$tickers.mentions' },
-          avg_sentiment: { $avg: '$sentiment_score' },
+          avg_sentiment: { $avg: RedditPost.tickerSentimentExpression() },
           avg_quality: { $avg: '$quality_score' },
           weighted_sentiment: { $avg: '$weighted_sentiment' },
           max_upvotes: { $max: '$upvotes' },
@@ -55,17 +62,24 @@ router.get('/trending', async (req, res) => {
         }
       },
       { $sort: { trending_score: -1 } },
-      { $limit: parseInt(limit) }
+      ...(sortByVelocity ? [] : [{ $limit: parseInt(limit) }])
     ]);
 
+    let withVelocity = await engagementService.attachVelocity(trendingStocks, stock => stock._id);
+    if (sortByVelocity) {
+      withVelocity = withVelocity
+        .sort((a, b) => b.velocity - a.velocity)
+        .slice(0, parseInt(limit));
+    }
+
     res.json({
       success: true,
-      data: trendingStocks,
+      data: withVelocity,
       metadata: {
         timeframe_hours: timeframe,
         min_mentions: minMentions,
         min_quality: minQuality,
-        total_results: trendingStocks.length,
+        total_results: withVelocity.length,
         generated_at: new Date().toISOString()
       }
     });
@@ -81,14 +95,15 @@ router.get('/trending', async (req, res) => {
 router.get('/stock/:ticker', async (req, res) => {
   try {
     const { ticker } = req.params;
-    const { limit = 50, timeframe = 24, sortBy = 'created_utc' } = req.query;
+    const { limit = 50, timeframe = 24, sortBy = 'created_utc', label } = req.query;
     
     const cutoffTime = new Date(Date.now() - timeframe * 60 * 60 * 1000);
     
     const posts = await RedditPost.find({
       'tickers.symbol': ticker.toUpperCase(),
       created_utc: { $gte: cutoffTime },
-      processed: true
+      processed: true,
+      ...(label ? { 'post_classification.label': label } : {})
     })
     .sort({ [sortBy]: -1 })
     .limit(parseInt(limit))
@@ -107,7 +122,7 @@ router.get('/stock/:ticker', async (req, res) => {
         $group: {
           _id: null,
           total_posts: { $sum: 1 },
-          avg_sentiment: { $avg: '$sentiment_score' },
+          avg_sentiment: { $avg: RedditPost.tickerSentimentExpression(ticker) },
           avg_quality: { $avg: '$quality_score' },
           total_upvotes: { $sum: '$upvotes' },
           total_comments: { $sum: '$comments' },
@@ -123,6 +138,26 @@ router.get('/stock/:ticker', async (req, res) => {
       }
     ]);
 
+    // Post types, with the P&L authors claim on gain/loss posts
+    const classificationBreakdown = await RedditPost.aggregate([
+      {
+        $match: {
+          'tickers.symbol': ticker.toUpperCase(),
+          created_utc: { $gte: cutoffTime },
+          processed: true
+        }
+      },
+      {
+        $group: {
+          _id: { $ifNull: ['$post_classification.label', 'unclassified'] },
+          posts: { $sum: 1 },
+          avg_sentiment: { $avg: RedditPost.tickerSentimentExpression(ticker) },
+          claimed_pnl: { $sum: { $ifNull: ['$post_classification.claimed_pnl', 0] } }
+        }
+      },
+      { $sort: { posts: -1 } }
+    ]);
+
     res.json({
       success: true,
       data: {
@@ -136,7 +171,13 @@ router.get('/stock/:ticker', async (req, res) => {
           total_comments: 0,
           author_count: 0,
           subreddit_count: 0
-        }
+        },
+        classification_breakdown: classificationBreakdown.map(entry => ({
+          label: entry._id,
+          posts: entry.posts,
+          avg_sentiment: Math.round(entry.avg_sentiment * 100) / 100,
+          claimed_pnl: entry.claimed_pnl
+        }))
       },
       metadata: {
         timeframe_hours: timeframe,
@@ -172,6 +213,234 @@ router.post('/process', async (req, res) => {
   }
 });
 
+// POST /api/reddit/classify - Classify stored posts (unclassified only unless reclassify is set)
+router.post('/classify', async (req, res) => {
+  try {
+    const { hours = 168, limit = 200, reclassify = false } = req.body || {};
+
+    const result = await dataProcessor.classifyStoredPosts({
+      hours: parseInt(hours),
+      limit: Math.min(parseInt(limit) || 200, 1000),
+      reclassify: reclassify === true || reclassify === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      message: `Classified ${result.classified} posts`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/reddit/backfill - Archive files available to import and recent backfill jobs
+router.get('/backfill', async (req, res) => {
+  try {
+    const [files, jobs, status] = await Promise.all([
+      backfillService.listArchiveFiles(),
+      backfillService.listJobs({ status: req.query.status || null }),
+      backfillService.getStatus()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        status,
+        files,
+        jobs
+      },
+      metadata: {
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/reddit/backfill - Start importing an archive file (runs in the background)
+router.post('/backfill', async (req, res) => {
+  try {
+    const { file, kind = 'auto', subreddits = [], after, before, min_score = 0 } = req.body || {};
+
+    if (!file) {
+      return res.status(400).json({
+        success: false,
+        error: 'Archive file name is required'
+      });
+    }
+    if (!['auto', 'submissions', 'comments'].includes(kind)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Kind must be auto, submissions or comments'
+      });
+    }
+    if (backfillService.isRunning()) {
+      return res.status(409).json({
+        success: false,
+        error: `Backfill job ${backfillService.activeJobId} is already running`
+      });
+    }
+
+    let job;
+    try {
+      job = await backfillService.createJob(file, {
+        kind,
+        subreddits: Array.isArray(subreddits) ? subreddits : String(subreddits).split(',').filter(Boolean),
+        after,
+        before,
+        minScore: min_score
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    backfillService.runJob(job._id).catch(error => console.error('❌ Backfill job crashed:', error.message));
+
+    res.status(202).json({
+      success: true,
+      data: job,
+      message: `Backfill job ${job._id} started; follow it at /api/reddit/backfill/${job._id}`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/reddit/backfill/:id - Backfill job progress and counts
+router.get('/backfill/:id', async (req, res) => {
+  try {
+    const job = mongoose.isValidObjectId(req.params.id) ? await BackfillJob.findById(req.params.id) : null;
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: `Backfill job ${req.params.id} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...job.toJSON(),
+        active: backfillService.activeJobId === job._id.toString()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/reddit/backfill/:id/pause - Stop the running job at its next line, keeping the checkpoint
+router.post('/backfill/:id/pause', async (req, res) => {
+  try {
+    if (!backfillService.requestPause(req.params.id)) {
+      return res.status(409).json({
+        success: false,
+        error: `Backfill job ${req.params.id} is not running`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Backfill job ${req.params.id} will pause after the current line`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/reddit/backfill/:id/resume - Continue a paused or failed job from its checkpoint
+router.post('/backfill/:id/resume', async (req, res) => {
+  try {
+    const job = mongoose.isValidObjectId(req.params.id) ? await BackfillJob.findById(req.params.id) : null;
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: `Backfill job ${req.params.id} not found`
+      });
+    }
+    if (job.status === 'completed') {
+      return res.status(400).json({
+        success: false,
+        error: `Backfill job ${job._id} already completed`
+      });
+    }
+    if (backfillService.isRunning()) {
+      return res.status(409).json({
+        success: false,
+        error: `Backfill job ${backfillService.activeJobId} is already running`
+      });
+    }
+
+    backfillService.runJob(job._id).catch(error => console.error('❌ Backfill job crashed:', error.message));
+
+    res.status(202).json({
+      success: true,
+      data: job,
+      message: `Backfill job ${job._id} resuming from line ${job.checkpoint.lines_read}`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/reddit/posts/:id/engagement - Upvote/comment snapshots and velocity for a post
+router.get('/posts/:id/engagement', async (req, res) => {
+  try {
+    const post = await RedditPost.findOne({ reddit_id: req.params.id })
+      .select('reddit_id subreddit title upvotes comments created_utc engagement tickers.symbol')
+      .lean();
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        error: `Post ${req.params.id} not found`
+      });
+    }
+
+    const series = await engagementService.getPostSeries(post.reddit_id);
+
+    res.json({
+      success: true,
+      data: {
+        post,
+        series
+      },
+      metadata: {
+        snapshots: series.length,
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // GET /api/reddit/stats - Get processing statistics
 router.get('/stats', async (req, res) => {
   try {
@@ -182,6 +451,7 @@ router.get('/stats', async (req, res) => {
     const dbStats = {
       total_posts: await RedditPost.countDocuments(),
       processed_posts: await RedditPost.countDocuments({ processed: true }),
+      total_comments: await RedditComment.countDocuments(),
       posts_last_24h: await RedditPost.countDocuments({
         created_utc: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
       }),
@@ -205,6 +475,67 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+// GET /api/reddit/comments/:ticker - Get ticker-mentioning comments
+router.get('/comments/:ticker', async (req, res) => {
+  try {
+    const { ticker } = req.params;
+    const { limit = 50, timeframe = 24, source } = req.query;
+    
+    const cutoffTime = new Date(Date.now() - timeframe * 60 * 60 * 1000);
+    const query = {
+      'tickers.symbol': ticker.toUpperCase(),
+      created_utc: { $gte: cutoffTime },
+      processed: true
+    };
+    if (source) query.source = source;
+    
+    const comments = await RedditComment.find(query)
+      .sort({ created_utc: -1 })
+      .limit(parseInt(limit))
+      .populate('post', 'reddit_id title url is_daily_thread');
+
+    const stats = await RedditComment.aggregate([
+      { $match: query },
+      {
+        $group: {
+          _id: '$source',
+          comment_count: { $sum: 1 },
+          avg_sentiment: { $avg: RedditPost.tickerSentimentExpression(ticker) },
+          avg_quality: { $avg: '$quality_score' },
+          unique_authors: { $addToSet: '$author' }
+        }
+      },
+      {
+        $project: {
+          comment_count: 1,
+          avg_sentiment: 1,
+          avg_quality: 1,
+          author_count: { $size: '$unique_authors' }
+        }
+      }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ticker: ticker.toUpperCase(),
+        comments,
+        by_source: stats
+      },
+      metadata: {
+        timeframe_hours: timeframe,
+        total_results: comments.length,
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // GET /api/reddit/sentiment/:ticker - Get sentiment analysis for specific ticker
 router.get('/sentiment/:ticker', async (req, res) => {
   try {
@@ -228,7 +559,7 @@ router.get('/sentiment/:ticker', async (req, res) => {
           _id: {
             hour: { $dateToString: { format: "%Y-%m-%d-%H", date: "$created_utc" } }
           },
-          avg_sentiment: { $avg: '$sentiment_score' },
+          avg_sentiment: { $avg: RedditPost.tickerSentimentExpression(ticker) },
           weighted_sentiment: { $avg: '$weighted_sentiment' },
           post_count: { $sum: 1 },
           avg_quality: { $avg: '$quality_score' }
@@ -250,7 +581,7 @@ router.get('/sentiment/:ticker', async (req, res) => {
       {
         $group: {
           _id: '$subreddit',
-          avg_sentiment: { $avg: '$sentiment_score' },
+          avg_sentiment: { $avg: RedditPost.tickerSentimentExpression(ticker) },
           post_count: { $sum: 1 },
           avg_quality: { $avg: '$quality_score' }
         }
@@ -1,8 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const StockData = require('../models/StockData');
+const TickerUniverse = require('../models/TickerUniverse');
 const alphaVantageService = require('../services/alphaVantageService');
+const marketDataService = require('../services/marketDataService');
 const dataProcessor = require('../services/dataProcessor');
+const tickerUniverseService = require('../services/tickerUniverseService');
+const optionsChatterService = require('../services/optionsChatterService');
+const technicalIndicatorService = require('../services/technicalIndicatorService');
+const sentimentHistoryService = require('../services/sentimentHistoryService');
 
 // GET /api/stocks/trending - Get trending stocks
 router.get('/trending', async (req, res) => {
@@ -42,13 +48,13 @@ router.get('/prices/:ticker', async (req, res) => {
     
     let stockData = await StockData.findOne({ ticker: ticker.toUpperCase() });
     
-    // If stock doesn't exist or needs refresh, get from AlphaVantage
+    // If stock doesn't exist or needs refresh, get a quote from the market data providers
     if (!stockData || refresh === 'true' || 
         !stockData.last_price_update || 
         (Date.now() - stockData.last_price_update.getTime()) > 15 * 60 * 1000) { // 15 minutes
       
       try {
-        const quote = await alphaVantageService.getQuote(ticker);
+        const quote = await marketDataService.getQuote(ticker);
         
         if (!stockData) {
           stockData = new StockData({
@@ -64,14 +70,7 @@ router.get('/prices/:ticker', async (req, res) => {
         }
         
         // Add price data point
-        stockData.addPriceData({
-          timestamp: new Date(quote.latest_trading_day),
-          open: quote.open,
-          high: quote.high,
-          low: quote.low,
-          close: quote.price,
-          volume: quote.volume
-        });
+        stockData.addPriceData(marketDataService.quoteToPricePoint(quote));
         
         await stockData.save();
         
@@ -120,12 +119,12 @@ router.get('/search/:query', async (req, res) => {
       ]
     }).limit(10);
 
-    // Also search via AlphaVantage API
+    // Also search via the market data providers
     let apiResults = [];
     try {
-      apiResults = await alphaVantageService.searchSymbol(query);
+      apiResults = await marketDataService.searchSymbol(query);
     } catch (apiError) {
-      console.error('AlphaVantage search failed:', apiError.message);
+      console.error('Symbol search failed:', apiError.message);
     }
 
     res.json({
@@ -153,8 +152,12 @@ router.get('/search/:query', async (req, res) => {
 router.get('/validate/:ticker', async (req, res) => {
   try {
     const { ticker } = req.params;
-    
-    const validation = await alphaVantageService.validateSymbol(ticker);
+
+    // Answer from the ticker universe when possible to save AlphaVantage calls
+    const listing = await TickerUniverse.findOne({ symbol: ticker.toUpperCase() }).lean();
+    const validation = listing
+      ? { valid: !listing.is_delisted, symbol: listing.symbol, name: listing.name, exchange: listing.exchange, is_delisted: listing.is_delisted, source: 'ticker_universe' }
+      : await alphaVantageService.validateSymbol(ticker);
     
     res.json({
       success: true,
@@ -178,7 +181,7 @@ router.get('/daily/:ticker', async (req, res) => {
     const { ticker } = req.params;
     const { outputSize = 'compact' } = req.query;
     
-    const dailyData = await alphaVantageService.getDailyData(ticker, outputSize);
+    const dailyData = await marketDataService.getDailyData(ticker, outputSize);
     
     res.json({
       success: true,
@@ -203,7 +206,9 @@ router.get('/intraday/:ticker', async (req, res) => {
     const { ticker } = req.params;
     const { interval = '5min' } = req.query;
     
-    const intradayData = await alphaVantageService.getIntradayData(ticker, interval);
+    const intradayData = await marketDataService.getIntradayData(ticker, interval);
+    // Tracked tickers keep the bars, so VWAP and intraday indicators move with them
+    await technicalIndicatorService.recordIntradayBars(ticker, interval, intradayData.data);
     
     res.json({
       success: true,
@@ -222,18 +227,62 @@ router.get('/intraday/:ticker', async (req, res) => {
   }
 });
 
-// GET /api/stocks/technical/:ticker/:indicator - Get technical indicators
+// GET /api/stocks/technical/:ticker - Stored bars with indicator overlays and the latest indicator snapshot
+router.get('/technical/:ticker', async (req, res) => {
+  try {
+    const { ticker } = req.params;
+    const { interval = 'daily', overlays = 'sma_20,sma_50,bbands' } = req.query;
+    
+    // A repeated overlays param arrives as an array
+    const chart = await technicalIndicatorService.getChart(ticker, {
+      interval,
+      overlays: [].concat(overlays).join(',').split(',').filter(Boolean)
+    });
+    
+    res.json({
+      success: true,
+      data: chart,
+      metadata: {
+        ticker: ticker.toUpperCase(),
+        interval,
+        bars: chart.bars.length,
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(error.validation ? 400 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/stocks/technical/:ticker/:indicator - Get technical indicators, computed from stored bars when possible
 router.get('/technical/:ticker/:indicator', async (req, res) => {
   try {
     const { ticker, indicator } = req.params;
-    const { interval = 'daily', timePeriod = 20 } = req.query;
+    const { interval = 'daily', timePeriod = 20, source = 'auto' } = req.query;
     
-    const technicalData = await alphaVantageService.getTechnicalIndicator(
-      ticker, 
-      indicator, 
-      interval, 
-      parseInt(timePeriod)
-    );
+    if (!['auto', 'local', 'alphavantage'].includes(source)) {
+      return res.status(400).json({
+        success: false,
+        error: 'source must be auto, local or alphavantage'
+      });
+    }
+
+    const period = Number(timePeriod);
+    if (!technicalIndicatorService.isValidPeriod(period)) {
+      return res.status(400).json({
+        success: false,
+        error: `timePeriod must be an integer between 1 and ${technicalIndicatorService.maxPeriod}`
+      });
+    }
+    
+    const technicalData = await technicalIndicatorService.getIndicator(ticker, indicator, {
+      interval,
+      timePeriod: period,
+      source
+    });
     
     res.json({
       success: true,
@@ -241,8 +290,9 @@ router.get('/technical/:ticker/:indicator', async (req, res) => {
       metadata: {
         ticker: ticker.toUpperCase(),
         indicator: indicator.toUpperCase(),
-        interval: interval,
-        time_period: timePeriod,
+        interval: technicalData.interval || interval,
+        time_period: period,
+        source: technicalData.source,
         generated_at: new Date().toISOString()
       }
     });
@@ -293,7 +343,7 @@ router.post('/refresh-multiple', async (req, res) => {
       });
     }
 
-    const results = await alphaVantageService.getMultipleQuotes(tickers);
+    const results = await marketDataService.getMultipleQuotes(tickers);
     
     // Update our database with the results
     for (const result of results) {
@@ -309,14 +359,7 @@ router.post('/refresh-multiple', async (req, res) => {
           stockData.price_change = result.quote.change;
           stockData.price_change_percent = parseFloat(result.quote.change_percent);
           
-          stockData.addPriceData({
-            timestamp: new Date(result.quote.latest_trading_day),
-            open: result.quote.open,
-            high: result.quote.high,
-            low: result.quote.low,
-            close: result.quote.price,
-            volume: result.quote.volume
-          });
+          stockData.addPriceData(marketDataService.quoteToPricePoint(result.quote));
           
           await stockData.save();
         } catch (dbError) {
@@ -344,14 +387,17 @@ router.post('/refresh-multiple', async (req, res) => {
   }
 });
 
-// GET /api/stocks/api-status - Get AlphaVantage API usage status
+// GET /api/stocks/api-status - Get AlphaVantage API usage status and market data provider status
 router.get('/api-status', async (req, res) => {
   try {
     const usageStats = alphaVantageService.getUsageStats();
     
     res.json({
       success: true,
-      data: usageStats,
+      data: {
+        ...usageStats,
+        market_data: marketDataService.getStatus()
+      },
       metadata: {
         generated_at: new Date().toISOString()
       }
@@ -445,6 +491,89 @@ router.get('/:ticker/sentiment', async (req, res) => {
   }
 });
 
+// GET /api/stocks/:ticker/sentiment-history - Mentions and sentiment per hour, day or week, with the previous period for comparison
+router.get('/:ticker/sentiment-history', async (req, res) => {
+  try {
+    const { ticker } = req.params;
+    const { from, to, interval = 'hour' } = req.query;
+
+    const { errors } = sentimentHistoryService.resolveRange({ from, to, interval });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join('; ')
+      });
+    }
+
+    const history = await sentimentHistoryService.getHistory(ticker, { from, to, interval });
+
+    res.json({
+      success: true,
+      data: history,
+      metadata: {
+        ticker: ticker.toUpperCase(),
+        interval,
+        points: history.series.length,
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/stocks/sentiment-history/rollup - Roll up settled hours now instead of waiting for the hourly job
+router.post('/sentiment-history/rollup', async (req, res) => {
+  try {
+    const result = await sentimentHistoryService.rollup();
+
+    res.json({
+      success: true,
+      data: result,
+      metadata: {
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/stocks/:ticker/options-chatter - Call/put ratio, strike ladder and expiries from Reddit option mentions
+router.get('/:ticker/options-chatter', async (req, res) => {
+  try {
+    const { ticker } = req.params;
+    const { timeframe = 168, include_expired = false, limit = 25 } = req.query;
+
+    const chatter = await optionsChatterService.getOptionsChatter(ticker, {
+      hours: parseInt(timeframe),
+      includeExpired: include_expired === 'true',
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: chatter,
+      metadata: {
+        ticker: chatter.ticker,
+        timeframe_hours: parseInt(timeframe),
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // GET /api/stocks/trending/validated - Get trending stocks with cross-validation
 router.get('/trending/validated', async (req, res) => {
   try {
@@ -534,4 +663,139 @@ router.get('/trending/comparison', async (req, res) => {
   }
 });
 
+// GET /api/stocks/universe/stats - Ticker universe coverage and extractor status
+router.get('/universe/stats', async (req, res) => {
+  try {
+    const stats = await tickerUniverseService.getStats();
+
+    res.json({
+      success: true,
+      data: stats,
+      metadata: {
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/stocks/universe/reload - Re-import listing files (or NASDAQ Trader) and reload the extractor
+router.post('/universe/reload', async (req, res) => {
+  try {
+    const { source = 'auto' } = req.body;
+
+    if (!['auto', 'files', 'nasdaqtrader'].includes(source)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Source must be one of: auto, files, nasdaqtrader'
+      });
+    }
+
+    const result = await tickerUniverseService.reload({ source });
+
+    res.json({
+      success: true,
+      data: result,
+      message: `Ticker universe reloaded with ${result.loaded.listings} listings`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/stocks/universe/import - Import listing file content (CSV or pipe-delimited)
+router.post('/universe/import', async (req, res) => {
+  try {
+    const { content, exchange, source = 'upload', mark_missing_delisted = false } = req.body;
+
+    if (!content || typeof content !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Listing file content is required'
+      });
+    }
+
+    const imported = await tickerUniverseService.importFromContent(content, {
+      exchange: exchange ? tickerUniverseService.normalizeExchange(exchange) : null,
+      source,
+      markMissingDelisted: mark_missing_delisted === true
+    });
+    const loaded = await tickerUniverseService.loadIntoExtractor();
+
+    res.json({
+      success: true,
+      data: { imported, loaded },
+      message: `Imported ${imported.parsed} listings`
+    });
+  } catch (error) {
+    res.status(/no symbol column/.test(error.message) ? 400 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/stocks/universe/search?q= - Search listings by symbol, name or alias
+router.get('/universe/search', async (req, res) => {
+  try {
+    const { q, limit = 20 } = req.query;
+
+    if (!q || !q.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Query parameter q is required'
+      });
+    }
+
+    const results = await tickerUniverseService.search(q.trim(), Math.min(parseInt(limit) || 20, 100));
+
+    res.json({
+      success: true,
+      data: results,
+      metadata: {
+        query: q,
+        total: results.length,
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/stocks/universe/lookup/:symbol - Get a single listing
+router.get('/universe/lookup/:symbol', async (req, res) => {
+  try {
+    const symbol = req.params.symbol.toUpperCase();
+    const listing = await TickerUniverse.findOne({ symbol });
+
+    if (!listing) {
+      return res.status(404).json({
+        success: false,
+        error: `${symbol} is not in the ticker universe`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: listing
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
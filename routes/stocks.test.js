@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const stockRoutes = require('./stocks');
+
+// Only input errors are exercised here: they are answered before anything touches the database
+let server;
+let baseUrl;
+
+test.before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/stocks', stockRoutes);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/stocks`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+async function get(path) {
+  const response = await fetch(`${baseUrl}${path}`);
+  return { status: response.status, body: await response.json() };
+}
+
+test('GET /technical/:ticker/:indicator rejects periods that are not whole bars in range', async () => {
+  for (const timePeriod of ['0', '-5', '1.5', 'abc', '201']) {
+    const { status, body } = await get(`/technical/GME/sma?timePeriod=${timePeriod}`);
+    assert.equal(status, 400, `timePeriod=${timePeriod}`);
+    assert.match(body.error, /timePeriod must be an integer between 1 and 200/);
+  }
+});
+
+test('GET /technical/:ticker rejects an overlay with a zero period', async () => {
+  const { status, body } = await get('/technical/GME?overlays=sma_20,sma_0');
+  assert.equal(status, 400);
+  assert.match(body.error, /sma_0/);
+});
+
+test('GET /technical/:ticker accepts a repeated overlays param', async () => {
+  // Both values are read; the out-of-range second one proves it reached validation rather than a TypeError
+  const { status, body } = await get('/technical/GME?overlays=sma_20&overlays=ema_500');
+  assert.equal(status, 400);
+  assert.match(body.error, /ema_500/);
+});
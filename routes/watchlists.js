@@ -0,0 +1,327 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Watchlist = require('../models/Watchlist');
+const watchlistService = require('../services/watchlistService');
+const realtimeService = require('../services/realtimeService');
+
+// Load a watchlist by id or send a 404
+async function findWatchlist(id, res) {
+  const watchlist = mongoose.isValidObjectId(id) ? await Watchlist.findById(id) : null;
+  if (!watchlist) {
+    res.status(404).json({
+      success: false,
+      error: `Watchlist ${id} not found`
+    });
+  }
+  return watchlist;
+}
+
+// Push room membership and a change notice to sockets viewing the watchlist
+function broadcastChange(watchlist, added = [], removed = []) {
+  realtimeService.syncWatchlistRooms(watchlist._id.toString(), added, removed);
+  realtimeService.emitWatchlistUpdate(watchlist);
+}
+
+// Validate a holding payload; returns an error message or null
+function validateHolding({ ticker, shares, cost_basis }) {
+  if (!ticker || !/^[A-Za-z]{1,5}$/.test(ticker)) {
+    return 'A valid ticker (1-5 letters) is required';
+  }
+  if (shares !== undefined && (isNaN(Number(shares)) || Number(shares) < 0)) {
+    return 'Shares must be a non-negative number';
+  }
+  if (cost_basis !== undefined && (isNaN(Number(cost_basis)) || Number(cost_basis) < 0)) {
+    return 'Cost basis must be a non-negative number';
+  }
+  return null;
+}
+
+// GET /api/watchlists - List watchlists and portfolios
+router.get('/', async (req, res) => {
+  try {
+    const { kind } = req.query;
+
+    const query = kind ? { kind } : {};
+    const watchlists = await Watchlist.find(query).sort({ kind: 1, name: 1 });
+
+    res.json({
+      success: true,
+      data: watchlists,
+      metadata: {
+        total: watchlists.length,
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/watchlists - Create a watchlist or portfolio
+router.post('/', async (req, res) => {
+  try {
+    const { name, description, kind = 'watchlist', holdings = [] } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Watchlist name is required'
+      });
+    }
+
+    for (const holding of holdings) {
+      const holdingError = validateHolding(holding);
+      if (holdingError) {
+        return res.status(400).json({
+          success: false,
+          error: holdingError
+        });
+      }
+    }
+
+    const existing = await Watchlist.findOne({ owner: 'user', name: name.trim() });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: `Watchlist "${name}" already exists`
+      });
+    }
+
+    const watchlist = new Watchlist({ name, description, kind });
+    holdings.forEach(holding => watchlist.addHolding({
+      ticker: holding.ticker,
+      shares: Number(holding.shares) || 0,
+      cost_basis: Number(holding.cost_basis) || 0,
+      notes: holding.notes
+    }));
+    await watchlist.save();
+
+    console.log(`✅ Created ${watchlist.kind} "${watchlist.name}" with ${watchlist.holdings.length} tickers`);
+
+    res.status(201).json({
+      success: true,
+      data: watchlist,
+      message: `${watchlist.kind === 'portfolio' ? 'Portfolio' : 'Watchlist'} "${watchlist.name}" created`
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/watchlists/:id - Get a watchlist definition
+router.get('/:id', async (req, res) => {
+  try {
+    const watchlist = await findWatchlist(req.params.id, res);
+    if (!watchlist) return;
+
+    res.json({
+      success: true,
+      data: watchlist
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/watchlists/:id - Rename or change a watchlist
+router.put('/:id', async (req, res) => {
+  try {
+    const watchlist = await findWatchlist(req.params.id, res);
+    if (!watchlist) return;
+
+    const allowedUpdates = ['name', 'description', 'kind'];
+    for (const field of allowedUpdates) {
+      if (req.body[field] !== undefined) {
+        watchlist[field] = req.body[field];
+      }
+    }
+
+    await watchlist.save();
+    broadcastChange(watchlist);
+
+    res.json({
+      success: true,
+      data: watchlist,
+      message: `Watchlist "${watchlist.name}" updated`
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/watchlists/:id - Delete a watchlist
+router.delete('/:id', async (req, res) => {
+  try {
+    const watchlist = await findWatchlist(req.params.id, res);
+    if (!watchlist) return;
+
+    await watchlist.deleteOne();
+    realtimeService.syncWatchlistRooms(watchlist._id.toString(), [], watchlist.holdings.map(h => h.ticker));
+
+    res.json({
+      success: true,
+      data: { id: watchlist._id },
+      message: `Watchlist "${watchlist.name}" deleted`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/watchlists/:id/view - Holdings joined with sentiment, confidence and prices
+router.get('/:id/view', async (req, res) => {
+  try {
+    const watchlist = await findWatchlist(req.params.id, res);
+    if (!watchlist) return;
+
+    const { refresh_prices = false } = req.query;
+    const view = await watchlistService.buildView(watchlist, {
+      refreshPrices: refresh_prices === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: view,
+      metadata: {
+        prices_refreshed: view.price_refreshes.succeeded,
+        generated_at: view.generated_at
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/watchlists/:id/holdings - Add a ticker (or buy more of an existing position)
+router.post('/:id/holdings', async (req, res) => {
+  try {
+    const holdingError = validateHolding(req.body);
+    if (holdingError) {
+      return res.status(400).json({
+        success: false,
+        error: holdingError
+      });
+    }
+
+    const watchlist = await findWatchlist(req.params.id, res);
+    if (!watchlist) return;
+
+    const { ticker, shares, cost_basis, notes } = req.body;
+    const isNew = !watchlist.holdings.some(h => h.ticker === ticker.toUpperCase());
+
+    const holding = watchlist.addHolding({
+      ticker,
+      shares: Number(shares) || 0,
+      cost_basis: Number(cost_basis) || 0,
+      notes
+    });
+    await watchlist.save();
+    broadcastChange(watchlist, isNew ? [holding.ticker] : []);
+
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      data: watchlist,
+      message: `${holding.ticker} ${isNew ? 'added to' : 'updated in'} "${watchlist.name}"`
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/watchlists/:id/holdings/:ticker - Replace shares, cost basis or notes for a holding
+router.put('/:id/holdings/:ticker', async (req, res) => {
+  try {
+    const holdingError = validateHolding({ ...req.body, ticker: req.params.ticker });
+    if (holdingError) {
+      return res.status(400).json({
+        success: false,
+        error: holdingError
+      });
+    }
+
+    const watchlist = await findWatchlist(req.params.id, res);
+    if (!watchlist) return;
+
+    const ticker = req.params.ticker.toUpperCase();
+    const holding = watchlist.holdings.find(h => h.ticker === ticker);
+    if (!holding) {
+      return res.status(404).json({
+        success: false,
+        error: `${ticker} is not in "${watchlist.name}"`
+      });
+    }
+
+    const { shares, cost_basis, notes } = req.body;
+    if (shares !== undefined) holding.shares = Number(shares);
+    if (cost_basis !== undefined) holding.cost_basis = Number(cost_basis);
+    if (notes !== undefined) holding.notes = notes;
+
+    await watchlist.save();
+    broadcastChange(watchlist);
+
+    res.json({
+      success: true,
+      data: watchlist,
+      message: `${ticker} updated in "${watchlist.name}"`
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/watchlists/:id/holdings/:ticker - Remove a ticker
+router.delete('/:id/holdings/:ticker', async (req, res) => {
+  try {
+    const watchlist = await findWatchlist(req.params.id, res);
+    if (!watchlist) return;
+
+    const ticker = req.params.ticker.toUpperCase();
+    if (!watchlist.removeHolding(ticker)) {
+      return res.status(404).json({
+        success: false,
+        error: `${ticker} is not in "${watchlist.name}"`
+      });
+    }
+
+    await watchlist.save();
+    broadcastChange(watchlist, [], [ticker]);
+
+    res.json({
+      success: true,
+      data: watchlist,
+      message: `${ticker} removed from "${watchlist.name}"`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,118 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const backfillService = require('../services/backfillService');
+const tickerUniverseService = require('../services/tickerUniverseService');
+const sentimentService = require('../services/sentimentService');
+const BackfillJob = require('../models/BackfillJob');
+require('dotenv').config();
+
+const usage = `
+Usage:
+  node scripts/backfill.js <file> [options]     Import a Pushshift-style NDJSON archive (.ndjson, .jsonl or .zst)
+  node scripts/backfill.js --resume <jobId>     Continue a paused or failed job from its checkpoint
+  node scripts/backfill.js --list               Show recent jobs
+
+Options:
+  --kind auto|submissions|comments   Which records to import (default auto)
+  --subreddits wallstreetbets,stocks Only these subreddits
+  --after 2021-01-01                 Only records created on or after this date
+  --before 2021-03-01                Only records created before this date
+  --min-score 5                      Only records with at least this score
+
+Ctrl+C pauses at the next line and saves the checkpoint.
+`;
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--list' || arg === '--help') {
+      args[arg.slice(2)] = true;
+    } else if (arg.startsWith('--')) {
+      args[arg.slice(2)] = argv[++i];
+    } else {
+      args._.push(arg);
+    }
+  }
+  return args;
+}
+
+function printProgress(summary) {
+  const { counts } = summary;
+  const percent = summary.progress_percent === null ? '?' : summary.progress_percent;
+  const through = summary.last_created_utc ? new Date(summary.last_created_utc).toISOString().slice(0, 10) : '-';
+  console.log(`   📈 ${percent}% | ${summary.lines_read} lines | through ${through} | posts ${counts.imported_posts} | comments ${counts.imported_comments} | skipped ${counts.skipped_existing + counts.skipped_filtered + counts.skipped_no_tickers + counts.skipped_no_parent} | errors ${counts.errors}`);
+}
+
+async function listJobs() {
+  const jobs = await backfillService.listJobs({ limit: 20 });
+  if (jobs.length === 0) {
+    console.log('No backfill jobs yet');
+    return;
+  }
+  for (const job of jobs) {
+    console.log(`${job._id}  ${job.status.padEnd(9)}  ${String(job.progress_percent ?? '?').padStart(5)}%  ${job.checkpoint.lines_read} lines  ${path.basename(job.file_path)}`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || (!args.list && !args.resume && args._.length === 0)) {
+    console.log(usage);
+    return 0;
+  }
+
+  const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/reddit-stocks-tracker';
+  await mongoose.connect(MONGODB_URI);
+  console.log(`📦 Connected to MongoDB: ${mongoose.connection.name}`);
+
+  if (args.list) {
+    await listJobs();
+    return 0;
+  }
+
+  // Same extractor universe and sentiment model the server uses
+  await tickerUniverseService.initialize().catch(error => console.log(`⚠️ Ticker universe load failed: ${error.message}`));
+  await sentimentService.initialize().catch(error => console.log(`⚠️ Sentiment model load failed: ${error.message}`));
+
+  let job;
+  if (args.resume) {
+    job = await BackfillJob.findById(args.resume);
+    if (!job) throw new Error(`Backfill job ${args.resume} not found`);
+  } else {
+    job = await backfillService.createJob(path.resolve(args._[0]), {
+      allowAnyPath: true,
+      kind: args.kind || 'auto',
+      subreddits: args.subreddits ? args.subreddits.split(',').map(name => name.trim()).filter(Boolean) : [],
+      after: args.after,
+      before: args.before,
+      minScore: args['min-score']
+    });
+  }
+
+  process.on('SIGINT', () => {
+    if (backfillService.requestPause(job._id)) {
+      console.log('\n⏸️ Pausing after the current line...');
+    } else {
+      process.exit(130);
+    }
+  });
+
+  const finished = await backfillService.runJob(job._id, { onProgress: printProgress });
+  console.log(`\n${finished.status === 'completed' ? '✅' : '⏸️'} Job ${finished._id} ${finished.status}`);
+  if (finished.status !== 'completed') {
+    console.log(`   Resume with: node scripts/backfill.js --resume ${finished._id}`);
+  }
+  return finished.status === 'failed' ? 1 : 0;
+}
+
+main()
+  .then(async code => {
+    await mongoose.connection.close();
+    process.exit(code);
+  })
+  .catch(async error => {
+    console.error('❌ Backfill failed:', error.message);
+    await mongoose.connection.close().catch(() => {});
+    process.exit(1);
+  });
@@ -2,6 +2,9 @@ const mongoose = require('mongoose');
 const dbInit = require('../utils/dbInit');
 const redditService = require('../services/redditService');
 const dataProcessor = require('../services/dataProcessor');
+const tickerUniverseService = require('../services/tickerUniverseService');
+const sentimentService = require('../services/sentimentService');
+const botDetectionService = require('../services/botDetectionService');
 require('dotenv').config();
 
 class StartupManager {
@@ -9,6 +12,9 @@ class StartupManager {
     this.initializationSteps = [
       { name: 'Database Connection', fn: this.connectDatabase },
       { name: 'Database Initialization', fn: this.initializeDatabase },
+      { name: 'Ticker Universe', fn: this.loadTickerUniverse },
+      { name: 'Sentiment Models', fn: this.loadSentimentModels },
+      { name: 'Bot Classifier', fn: this.loadBotClassifier },
       { name: 'Reddit API Authentication', fn: this.authenticateReddit },
       { name: 'Initial Data Processing', fn: this.processInitialData }
     ];
@@ -75,6 +81,7 @@ class StartupManager {
       console.log(`   📈 Database Stats:`);
       console.log(`      - Subreddits: ${stats.subreddits} (${stats.active_subreddits} active)`);
       console.log(`      - Reddit Posts: ${stats.reddit_posts} (${stats.processed_posts} processed)`);
+      console.log(`      - Reddit Comments: ${stats.reddit_comments}`);
       console.log(`      - User Profiles: ${stats.user_profiles}`);
       console.log(`      - Stock Data: ${stats.stock_data_entries}`);
     } else {
@@ -82,12 +89,47 @@ class StartupManager {
     }
   }
 
+  async loadTickerUniverse() {
+    try {
+      const loaded = await tickerUniverseService.initialize();
+
+      if (!loaded || loaded.listings === 0) {
+        console.log('   ⚠️ Ticker extraction falling back to the built-in known tickers list');
+      }
+    } catch (error) {
+      console.log(`   ⚠️ Ticker universe load failed: ${error.message}`);
+      // Don't throw error - extraction still works with the built-in list
+    }
+  }
+
+  async loadSentimentModels() {
+    try {
+      await sentimentService.initialize();
+      console.log(`   🧮 Sentiment providers: ${sentimentService.enabledProviders.join(', ')}`);
+    } catch (error) {
+      console.log(`   ⚠️ Sentiment model load failed: ${error.message}`);
+      // Don't throw error - the lexicon provider needs no model
+    }
+  }
+
+  async loadBotClassifier() {
+    try {
+      const stored = await botDetectionService.initialize();
+      if (!stored) {
+        console.log('   🤖 Bot classifier using default coefficients until trained on labelled accounts');
+      }
+    } catch (error) {
+      console.log(`   ⚠️ Bot classifier load failed: ${error.message}`);
+      // Don't throw error - the default coefficients still score accounts
+    }
+  }
+
   async authenticateReddit() {
     const success = await redditService.initialize();
     
     if (success) {
       const status = redditService.getStatus();
-      console.log(`   🔑 Reddit API authenticated successfully`);
+      console.log(`   🔑 Reddit API authenticated successfully (provider: ${status.provider})`);
       console.log(`   📊 Rate Limit: ${status.requests_made}/${status.max_requests_per_window} requests`);
     } else {
       throw new Error('Reddit API authentication failed');
@@ -157,6 +199,14 @@ class StartupManager {
         health.services.alphavantage_api = { status: 'error', error: error.message };
       }
 
+      // Market data providers and their fallback order
+      try {
+        const marketDataService = require('../services/marketDataService');
+        health.services.market_data = marketDataService.getStatus();
+      } catch (error) {
+        health.services.market_data = { status: 'error', error: error.message };
+      }
+
       // Data processor health
       try {
         health.services.data_processor = dataProcessor.getProcessingStats();
@@ -13,11 +13,22 @@ const redditRoutes = require('./routes/reddit');
 const stockRoutes = require('./routes/stocks');
 const subredditRoutes = require('./routes/subreddits');
 const analysisRoutes = require('./routes/analysis');
+const alertRoutes = require('./routes/alerts');
+const watchlistRoutes = require('./routes/watchlists');
+const annotationRoutes = require('./routes/annotations');
 
 // Import services
 const startupManager = require('./scripts/startup');
 const dataProcessor = require('./services/dataProcessor');
 const monitoringService = require('./services/monitoringService');
+const realtimeService = require('./services/realtimeService');
+const sentimentHistoryService = require('./services/sentimentHistoryService');
+const anomalyService = require('./services/anomalyService');
+const coordinationService = require('./services/coordinationService');
+const botDetectionService = require('./services/botDetectionService');
+const sentimentAttributionService = require('./services/sentimentAttributionService');
+const StockData = require('./models/StockData');
+const Watchlist = require('./models/Watchlist');
 
 // Initialize Express app and HTTP server
 const app = express();
@@ -52,6 +63,9 @@ app.use('/api/reddit', redditRoutes);
 app.use('/api/stocks', stockRoutes);
 app.use('/api/subreddits', subredditRoutes);
 app.use('/api/analysis', analysisRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/watchlists', watchlistRoutes);
+app.use('/api/annotations', annotationRoutes);
 
 // Socket.IO event handlers
 io.on('connection', (socket) => {
@@ -59,39 +73,100 @@ io.on('connection', (socket) => {
   
   // Join specific rooms for targeted updates
   socket.on('joinStock', (ticker) => {
-    socket.join(`stock:${ticker}`);
+    socket.join(realtimeService.rooms.stock(String(ticker)));
     console.log(`📈 Client ${socket.id} joined stock room: ${ticker}`);
   });
 
   socket.on('leaveStock', (ticker) => {
-    socket.leave(`stock:${ticker}`);
+    socket.leave(realtimeService.rooms.stock(String(ticker)));
     console.log(`📉 Client ${socket.id} left stock room: ${ticker}`);
   });
 
   socket.on('joinSubreddit', (subreddit) => {
-    socket.join(`subreddit:${subreddit}`);
+    socket.join(realtimeService.rooms.subreddit(String(subreddit)));
     console.log(`👥 Client ${socket.id} joined subreddit room: ${subreddit}`);
   });
 
   socket.on('leaveSubreddit', (subreddit) => {
-    socket.leave(`subreddit:${subreddit}`);
+    socket.leave(realtimeService.rooms.subreddit(String(subreddit)));
     console.log(`👋 Client ${socket.id} left subreddit room: ${subreddit}`);
   });
 
+  // Watchlist rooms: joining subscribes the socket to every holding's stock room
+  socket.on('joinWatchlist', async (watchlistId) => {
+    if (!mongoose.isValidObjectId(watchlistId)) return;
+
+    try {
+      const watchlist = await Watchlist.findById(watchlistId).lean();
+      if (!watchlist) return;
+
+      socket.join(realtimeService.rooms.watchlist(String(watchlistId)));
+      socket.join(watchlist.holdings.map(h => realtimeService.rooms.stock(h.ticker)));
+      console.log(`📋 Client ${socket.id} joined watchlist ${watchlist.name} (${watchlist.holdings.length} tickers)`);
+    } catch (error) {
+      console.error(`❌ Failed to join watchlist ${watchlistId}:`, error.message);
+    }
+  });
+
+  socket.on('leaveWatchlist', async (watchlistId) => {
+    if (!mongoose.isValidObjectId(watchlistId)) return;
+
+    try {
+      const watchlist = await Watchlist.findById(watchlistId).lean();
+      socket.leave(realtimeService.rooms.watchlist(String(watchlistId)));
+      if (watchlist) {
+        watchlist.holdings.forEach(h => socket.leave(realtimeService.rooms.stock(h.ticker)));
+      }
+      console.log(`📋 Client ${socket.id} left watchlist ${watchlistId}`);
+    } catch (error) {
+      console.error(`❌ Failed to leave watchlist ${watchlistId}:`, error.message);
+    }
+  });
+
   // Request handlers for real-time updates
-  socket.on('requestStockUpdates', (ticker) => {
-    console.log(`📊 Client ${socket.id} requested stock updates for: ${ticker}`);
-    // Add logic to send current stock data
+  socket.on('requestStockUpdates', async (ticker) => {
+    if (!ticker) return;
+    const symbol = String(ticker).toUpperCase();
+    console.log(`📊 Client ${socket.id} requested stock updates for: ${symbol}`);
+    socket.join(realtimeService.rooms.stock(symbol));
+
+    try {
+      const stockData = await StockData.findOne({ ticker: symbol }).lean();
+      if (stockData) {
+        socket.emit('stockUpdate', { ...stockData, timestamp: new Date().toISOString() });
+      }
+    } catch (error) {
+      console.error(`❌ Failed to send stock snapshot for ${symbol}:`, error.message);
+    }
   });
 
-  socket.on('requestTrendingUpdates', () => {
+  socket.on('requestTrendingUpdates', async () => {
     console.log(`🔥 Client ${socket.id} requested trending updates`);
-    // Add logic to send current trending data
+    socket.join(realtimeService.rooms.trending);
+
+    try {
+      const trending = await StockData.getTrendingStocks(20).lean();
+      socket.emit('trendingUpdate', {
+        stocks: trending,
+        count: trending.length,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Failed to send trending snapshot:', error.message);
+    }
   });
 
   socket.on('requestProcessingUpdates', () => {
     console.log(`⚙️ Client ${socket.id} requested processing updates`);
-    // Add logic to send current processing status
+    socket.join(realtimeService.rooms.processing);
+
+    socket.emit('processingUpdate', {
+      type: 'snapshot',
+      cycle: realtimeService.currentCycle,
+      processing: dataProcessor.getProcessingStats(),
+      monitoring: monitoringService.getMonitoringStatus(),
+      timestamp: new Date().toISOString()
+    });
   });
 
   socket.on('disconnect', (reason) => {
@@ -101,6 +176,7 @@ io.on('connection', (socket) => {
 
 // Make io available to other modules
 app.set('io', io);
+realtimeService.setIo(io);
 
 // Health check endpoint
 app.get('/api/health', async (req, res) => {
@@ -207,6 +283,56 @@ if (process.env.NODE_ENV !== 'test') {
       console.error('❌ Daily cleanup failed:', error.message);
     }
   });
+
+  // Re-score every profile with the bot/shill classifier daily at 3:45 AM
+  cron.schedule('45 3 * * *', async () => {
+    try {
+      await botDetectionService.classifyAll();
+    } catch (error) {
+      console.error('❌ Bot classification failed:', error.message);
+    }
+  });
+
+  // Flag coordinated posting campaigns hourly, ahead of the rollup so it sees the new weights
+  cron.schedule('25 * * * *', async () => {
+    try {
+      await coordinationService.detect();
+    } catch (error) {
+      console.error('❌ Coordination detection failed:', error.message);
+    }
+  });
+
+  // Roll settled hours into the per-ticker sentiment history, then score the latest hours against each ticker's baseline
+  cron.schedule('35 * * * *', async () => {
+    try {
+      await sentimentHistoryService.rollup();
+    } catch (error) {
+      console.error('❌ Sentiment history rollup failed:', error.message);
+    }
+    try {
+      await anomalyService.detect();
+    } catch (error) {
+      console.error('❌ Anomaly detection failed:', error.message);
+    }
+  });
+
+  // Snapshot what drives sentiment on the trending tickers hourly, so explanations can show what changed
+  cron.schedule('50 * * * *', async () => {
+    try {
+      await sentimentAttributionService.snapshotTrending();
+    } catch (error) {
+      console.error('❌ Sentiment snapshots failed:', error.message);
+    }
+  });
+
+  // Rebuild anomaly baselines daily at 3:15 AM
+  cron.schedule('15 3 * * *', async () => {
+    try {
+      await anomalyService.refreshBaselines();
+    } catch (error) {
+      console.error('❌ Anomaly baseline refresh failed:', error.message);
+    }
+  });
 }
 
 // Start the server with initialization
@@ -252,6 +378,11 @@ async function startServer() {
         console.log('   - Cross-validation: Signal verification across communities');
         console.log('   - Performance Metrics: Real-time accuracy tracking');
         console.log('   - Daily Cleanup: 2 AM EST');
+        console.log('   - Sentiment History Rollup: hourly');
+        console.log('   - Anomaly Detection: hourly after the rollup, baselines daily');
+        console.log('   - Coordination Detection: hourly before the rollup');
+        console.log('   - Bot Classification: daily at 3:45 AM');
+        console.log('   - Sentiment Attribution Snapshots: hourly for trending tickers');
       }
     });
 
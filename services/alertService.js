@@ -0,0 +1,604 @@
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const AlertRule = require('../models/AlertRule');
+const Alert = require('../models/Alert');
+const StockData = require('../models/StockData');
+const RedditPost = require('../models/RedditPost');
+const UserProfile = require('../models/UserProfile');
+const confidenceService = require('./confidenceService');
+const newsService = require('./newsService');
+const realtimeService = require('./realtimeService');
+require('dotenv').config();
+
+class AlertService {
+  constructor() {
+    // Ordered levels, lowest first, for 'gte'-style comparisons on categorical conditions
+    this.levelOrder = {
+      confidence_level: ['very_low', 'low', 'medium', 'high', 'very_high'],
+      manipulation_risk: ['low', 'medium', 'high', 'critical']
+    };
+
+    // Candidate limits for rules without a ticker
+    this.maxTickersPerRule = 25;
+    this.maxNewsTickersPerRule = 5;
+    this.minPostsPerWindow = 2;
+
+    // SMTP settings - defaults point at a local mail sink (MailHog, smtp4dev, ...)
+    this.smtpConfig = {
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT) || 1025,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS || ''
+      } : undefined
+    };
+    this.emailFrom = process.env.ALERT_EMAIL_FROM || 'alerts@reddit-stocks.local';
+    this.webhookTimeout = parseInt(process.env.ALERT_WEBHOOK_TIMEOUT_MS) || 10000;
+    this.transporter = null;
+
+    // Delivery channels keyed by type; handlers receive (payload, channel) and throw on failure
+    this.channels = new Map();
+    this.registerChannel('socket', (payload) => this.deliverSocket(payload));
+    this.registerChannel('webhook', (payload, channel) => this.deliverWebhook(payload, channel));
+    this.registerChannel('email', (payload, channel) => this.deliverEmail(payload, channel));
+
+    this.isEvaluating = false;
+    this.stats = {
+      evaluations: 0,
+      rules_evaluated: 0,
+      alerts_triggered: 0,
+      deliveries_failed: 0,
+      last_evaluation: null,
+      last_duration_ms: 0
+    };
+  }
+
+  // Register (or replace) a delivery channel handler
+  registerChannel(type, handler) {
+    this.channels.set(type, handler);
+  }
+
+  // Evaluate every active rule; called at the end of each monitoring cycle
+  async evaluateRules() {
+    if (this.isEvaluating) {
+      console.log('⏳ Alert evaluation already in progress, skipping');
+      return { skipped: true };
+    }
+
+    this.isEvaluating = true;
+    const startTime = Date.now();
+    const summary = { rules_evaluated: 0, alerts_triggered: 0, alerts: [] };
+
+    try {
+      const rules = await AlertRule.getActiveRules();
+      if (rules.length === 0) return summary;
+
+      // Shared per-evaluation memo so several rules on one ticker reuse the same metrics
+      const memo = new Map();
+
+      for (const rule of rules) {
+        try {
+          const result = await this.evaluateRule(rule, { memo });
+          summary.rules_evaluated++;
+          summary.alerts_triggered += result.alerts.length;
+          summary.alerts.push(...result.alerts);
+        } catch (error) {
+          console.error(`❌ Error evaluating alert rule "${rule.name}":`, error.message);
+        }
+      }
+
+      if (summary.alerts_triggered > 0) {
+        console.log(`🔔 Alert evaluation: ${summary.alerts_triggered} alerts from ${summary.rules_evaluated} rules`);
+      }
+
+      return summary;
+    } finally {
+      this.isEvaluating = false;
+      this.stats.evaluations++;
+      this.stats.rules_evaluated += summary.rules_evaluated;
+      this.stats.last_evaluation = new Date().toISOString();
+      this.stats.last_duration_ms = Date.now() - startTime;
+    }
+  }
+
+  // Evaluate one rule across its candidate tickers; dryRun reports matches without firing
+  async evaluateRule(rule, options = {}) {
+    const { memo = new Map(), dryRun = false } = options;
+    const tickers = await this.getCandidateTickers(rule);
+    const results = [];
+    const alerts = [];
+
+    for (const ticker of tickers) {
+      const previous = rule.last_values.get(ticker);
+      const check = await this.checkCondition(rule, ticker, previous, memo);
+      if (!check) continue;
+
+      results.push({ ticker, ...check, previous: previous === undefined ? null : previous });
+      if (dryRun) continue;
+
+      if (check.value !== undefined && check.value !== null) {
+        rule.last_values.set(ticker, check.value);
+      }
+
+      if (check.triggered) {
+        const lastAlert = await Alert.getLastForRule(rule._id, ticker);
+        if (lastAlert && rule.isCoolingDown(lastAlert.triggered_at)) continue;
+
+        alerts.push(await this.fireAlert(rule, ticker, check));
+      }
+    }
+
+    if (!dryRun) {
+      rule.last_evaluated = new Date();
+      await rule.save();
+    }
+
+    return { rule: rule.name, tickers_checked: tickers.length, results, alerts };
+  }
+
+  // Tickers to check: the rule's own ticker, or the most discussed tickers right now
+  async getCandidateTickers(rule) {
+    if (rule.ticker) return [rule.ticker];
+
+    const limit = rule.condition.type === 'news_divergence'
+      ? this.maxNewsTickersPerRule
+      : this.maxTickersPerRule;
+
+    const stocks = await StockData.find({
+      last_reddit_update: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) },
+      'reddit_mentions.last_24h': { $gt: 0 }
+    })
+    .sort({ 'reddit_mentions.last_24h': -1 })
+    .limit(limit)
+    .select('ticker')
+    .lean();
+
+    return stocks.map(s => s.ticker);
+  }
+
+  // Resolve the current value for a condition and decide whether it matches
+  async checkCondition(rule, ticker, previous, memo) {
+    const { type, operator, threshold, window_hours: windowHours } = rule.condition;
+
+    switch (type) {
+      case 'mentions_24h':
+      case 'trending_score': {
+        const stock = await this.getStock(ticker, memo);
+        if (!stock) return null;
+
+        const value = type === 'mentions_24h' ? stock.reddit_mentions.last_24h : stock.trending_score;
+        return {
+          value,
+          threshold,
+          triggered: this.compareNumeric(operator, value, Number(threshold), previous),
+          message: `${ticker} ${type === 'mentions_24h' ? '24h mentions' : 'trending score'} at ${this.round(value)} (threshold ${threshold})`
+        };
+      }
+
+      case 'sentiment_change': {
+        const change = await this.getSentimentChange(ticker, windowHours, memo);
+        if (!change || change.change === null) return null;
+
+        return {
+          value: change.change,
+          threshold,
+          triggered: this.compareNumeric(operator, change.change, Number(threshold), previous),
+          message: `${ticker} sentiment moved ${change.change >= 0 ? '+' : ''}${this.round(change.change)} in ${windowHours}h (${this.round(change.previous)} → ${this.round(change.current)})`,
+          context: change
+        };
+      }
+
+      case 'confidence_level':
+      case 'manipulation_risk': {
+        const assessment = type === 'confidence_level'
+          ? await this.getConfidence(ticker, memo)
+          : await this.getManipulationRisk(ticker, memo);
+        if (!assessment) return null;
+
+        const label = type === 'confidence_level' ? 'confidence' : 'manipulation risk';
+        return {
+          value: assessment.level,
+          threshold,
+          triggered: this.compareLevel(this.levelOrder[type], operator, assessment.level, threshold, previous),
+          message: `${ticker} ${label} is ${assessment.level.replace('_', ' ')} (score ${this.round(assessment.score)})`,
+          context: assessment
+        };
+      }
+
+      case 'unusual_activity': {
+        const stock = await this.getStock(ticker, memo);
+        if (!stock) return null;
+
+        const value = !!stock.has_unusual_activity;
+        const anomaly = stock.anomaly && stock.anomaly.active ? stock.anomaly : null;
+        return {
+          value,
+          threshold: true,
+          // Only fire on the transition into unusual activity
+          triggered: value && previous !== true,
+          message: anomaly
+            ? `${ticker} shows unusual activity (${anomaly.severity} ${anomaly.metric.replace('_', ' ')} spike over ${anomaly.window_hours}h, score ${anomaly.score})`
+            : `${ticker} shows unusual activity (${stock.reddit_mentions.last_24h} mentions in 24h)`,
+          context: anomaly ? { anomaly } : undefined
+        };
+      }
+
+      case 'news_divergence': {
+        if (!newsService.isConfigured) return null;
+
+        const change = await this.getSentimentChange(ticker, 24, memo);
+        if (!change) return null;
+
+        const correlation = await newsService.correlateWithRedditSentiment(ticker, change.current, { timeframe: '1d' });
+        const divergences = correlation.divergence_alerts || [];
+        return {
+          value: divergences.length,
+          threshold: 0,
+          triggered: divergences.length > 0,
+          message: divergences.length > 0 ? divergences[0].message : `${ticker} Reddit and news sentiment agree`,
+          context: { divergences, articles_analyzed: correlation.articles_analyzed }
+        };
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  // Numeric comparison; 'becomes' fires when the value crosses the threshold since the last check
+  compareNumeric(operator, value, threshold, previous) {
+    if (typeof value !== 'number' || isNaN(value) || isNaN(threshold)) return false;
+
+    switch (operator) {
+      case 'gt': return value > threshold;
+      case 'gte': return value >= threshold;
+      case 'lt': return value < threshold;
+      case 'lte': return value <= threshold;
+      case 'abs_gt': return Math.abs(value) > threshold;
+      case 'becomes':
+        return value >= threshold && typeof previous === 'number' && previous < threshold;
+      default: return false;
+    }
+  }
+
+  // Categorical comparison on an ordered scale of levels
+  compareLevel(order, operator, value, threshold, previous) {
+    const rank = order.indexOf(value);
+    const target = order.indexOf(threshold);
+    if (rank === -1 || target === -1) return false;
+
+    switch (operator) {
+      case 'becomes':
+        // The first observation only establishes a baseline
+        return value === threshold && previous !== undefined && previous !== threshold;
+      case 'gt': return rank > target;
+      case 'gte': return rank >= target;
+      case 'lt': return rank < target;
+      case 'lte': return rank <= target;
+      default: return value === threshold;
+    }
+  }
+
+  async getStock(ticker, memo) {
+    const key = `stock:${ticker}`;
+    if (!memo.has(key)) {
+      memo.set(key, await StockData.findOne({ ticker }).lean());
+    }
+    return memo.get(key);
+  }
+
+  // Average sentiment toward the ticker in the latest window vs the window before it
+  async getSentimentChange(ticker, windowHours, memo) {
+    const key = `sentiment:${ticker}:${windowHours}`;
+    if (memo.has(key)) return memo.get(key);
+
+    const now = Date.now();
+    const windowMs = windowHours * 60 * 60 * 1000;
+    const boundary = new Date(now - windowMs);
+
+    const posts = await RedditPost.find({
+      'tickers.symbol': ticker,
+      created_utc: { $gte: new Date(now - 2 * windowMs) },
+      processed: true,
+      passes_noise_filter: true
+    }).select('created_utc sentiment_score tickers').lean();
+
+    const current = posts.filter(p => p.created_utc >= boundary);
+    const earlier = posts.filter(p => p.created_utc < boundary);
+    const average = (list) => list.reduce((sum, p) => sum + (RedditPost.tickerSentiment(p, ticker) || 0), 0) / list.length;
+
+    let result = null;
+    if (current.length >= this.minPostsPerWindow && earlier.length >= this.minPostsPerWindow) {
+      const currentAvg = average(current);
+      const previousAvg = average(earlier);
+      result = {
+        current: currentAvg,
+        previous: previousAvg,
+        change: currentAvg - previousAvg,
+        current_posts: current.length,
+        previous_posts: earlier.length,
+        window_hours: windowHours
+      };
+    } else if (current.length > 0) {
+      result = { current: average(current), previous: null, change: null, current_posts: current.length, previous_posts: earlier.length, window_hours: windowHours };
+    }
+
+    memo.set(key, result);
+    return result;
+  }
+
+  // Confidence level from the confidence service, persisted on StockData
+  async getConfidence(ticker, memo) {
+    const key = `confidence:${ticker}`;
+    if (memo.has(key)) return memo.get(key);
+
+    const confidence = await confidenceService.calculateComprehensiveConfidence(ticker, {
+      includeNews: false,
+      includeEconomic: false
+    });
+
+    const componentScores = {};
+    for (const [name, component] of Object.entries(confidence.confidence_components)) {
+      if (component && typeof component.score === 'number') {
+        componentScores[name] = Math.max(0, Math.min(100, component.score));
+      }
+    }
+
+    await StockData.updateOne({ ticker }, {
+      $set: {
+        'confidence_analysis.overall_confidence': confidence.confidence_score,
+        'confidence_analysis.confidence_level': confidence.confidence_level.level,
+        'confidence_analysis.component_scores': componentScores,
+        'confidence_analysis.last_calculated': new Date()
+      }
+    });
+
+    const result = {
+      level: confidence.confidence_level.level,
+      score: confidence.confidence_score,
+      mention_count: confidence.sentiment_data.mention_count
+    };
+    memo.set(key, result);
+    return result;
+  }
+
+  // Manipulation risk from bot/suspicious/coordinated author share, author concentration and post-level risk
+  async getManipulationRisk(ticker, memo) {
+    const key = `manipulation:${ticker}`;
+    if (memo.has(key)) return memo.get(key);
+
+    const posts = await RedditPost.find({
+      'tickers.symbol': ticker,
+      created_utc: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) },
+      processed: true
+    }).select('author is_bot claude_analysis.manipulation_risk coordination').lean();
+
+    if (posts.length === 0) {
+      memo.set(key, null);
+      return null;
+    }
+
+    const authors = [...new Set(posts.map(p => p.author))];
+    const flagged = new Set((await UserProfile.find({
+      username: { $in: authors },
+      $or: [{ is_bot: true }, { is_suspicious: true }]
+    }).select('username').lean()).map(u => u.username));
+
+    const coordinatedPosts = posts.filter(p => p.coordination && p.coordination.campaign).length;
+    const flaggedPosts = posts.filter(p => p.is_bot || flagged.has(p.author) || (p.coordination && p.coordination.campaign)).length;
+    const flaggedShare = flaggedPosts / posts.length;
+
+    const postsPerAuthor = {};
+    posts.forEach(p => { postsPerAuthor[p.author] = (postsPerAuthor[p.author] || 0) + 1; });
+    const topAuthorShare = Math.max(...Object.values(postsPerAuthor)) / posts.length;
+    // Concentration only means something once there is enough volume
+    const concentration = posts.length >= 5 ? topAuthorShare : 0;
+
+    const avgPostRisk = posts.reduce((sum, p) => sum + ((p.claude_analysis && p.claude_analysis.manipulation_risk) || 0), 0) / posts.length;
+
+    const score = 0.4 * flaggedShare * 100 + 0.3 * concentration * 100 + 0.3 * avgPostRisk;
+    const level = score >= 75 ? 'critical' : score >= 50 ? 'high' : score >= 25 ? 'medium' : 'low';
+
+    const patterns = [];
+    if (flaggedShare >= 0.3) patterns.push('suspicious_author_share');
+    if (concentration >= 0.4) patterns.push('author_concentration');
+    if (avgPostRisk >= 50) patterns.push('promotional_language');
+    if (coordinatedPosts > 0) patterns.push('coordinated_campaign');
+
+    await StockData.updateOne({ ticker }, {
+      $set: {
+        'user_analytics.manipulation_detection.risk_level': level,
+        'user_analytics.manipulation_detection.detected_patterns': patterns,
+        'user_analytics.manipulation_detection.suspicious_activity_count': flaggedPosts,
+        'user_analytics.last_analyzed': new Date()
+      }
+    });
+
+    const result = {
+      level,
+      score,
+      posts: posts.length,
+      flagged_posts: flaggedPosts,
+      coordinated_posts: coordinatedPosts,
+      top_author_share: topAuthorShare,
+      avg_post_risk: avgPostRisk,
+      patterns
+    };
+    memo.set(key, result);
+    return result;
+  }
+
+  // Persist an alert and push it through the rule's channels
+  async fireAlert(rule, ticker, check) {
+    const alert = new Alert({
+      rule: rule._id,
+      rule_name: rule.name,
+      ticker,
+      condition_type: rule.condition.type,
+      severity: rule.severity,
+      message: check.message,
+      value: check.value,
+      threshold: check.threshold,
+      context: check.context || null
+    });
+
+    alert.deliveries = await this.deliver(this.formatAlertPayload(alert), rule.channels);
+    await alert.save();
+
+    rule.last_triggered = alert.triggered_at;
+    rule.trigger_count += 1;
+    this.stats.alerts_triggered++;
+
+    console.log(`🔔 Alert "${rule.name}" fired for ${ticker}: ${check.message}`);
+    return alert;
+  }
+
+  // Send a payload through each channel, recording the outcome per channel
+  async deliver(payload, channels = []) {
+    const targets = channels.length > 0 ? channels : [{ type: 'socket', target: '' }];
+    const deliveries = [];
+
+    for (const channel of targets) {
+      const handler = this.channels.get(channel.type);
+      const delivery = { channel: channel.type, target: channel.target || '', sent_at: new Date() };
+
+      if (!handler) {
+        deliveries.push({ ...delivery, status: 'skipped', error: `No handler for channel ${channel.type}` });
+        continue;
+      }
+
+      try {
+        const sent = await handler(payload, channel);
+        deliveries.push({ ...delivery, status: sent === false ? 'skipped' : 'sent' });
+      } catch (error) {
+        this.stats.deliveries_failed++;
+        console.error(`❌ Alert delivery via ${channel.type} failed:`, error.message);
+        deliveries.push({ ...delivery, status: 'failed', error: error.message });
+      }
+    }
+
+    return deliveries;
+  }
+
+  formatAlertPayload(alert) {
+    return {
+      id: alert._id ? alert._id.toString() : null,
+      rule_id: alert.rule ? alert.rule.toString() : null,
+      rule_name: alert.rule_name,
+      ticker: alert.ticker,
+      type: alert.condition_type,
+      severity: alert.severity,
+      message: alert.message,
+      value: alert.value,
+      threshold: alert.threshold,
+      triggered_at: (alert.triggered_at || new Date()).toISOString()
+    };
+  }
+
+  deliverSocket(payload) {
+    return realtimeService.emitAlert(payload);
+  }
+
+  async deliverWebhook(payload, channel) {
+    if (!channel.target) throw new Error('Webhook URL is required');
+
+    await axios.post(channel.target, { event: 'alert', alert: payload }, {
+      timeout: this.webhookTimeout,
+      headers: { 'Content-Type': 'application/json', 'User-Agent': 'reddit-stocks-alerts' }
+    });
+    return true;
+  }
+
+  async deliverEmail(payload, channel) {
+    if (!channel.target) throw new Error('Email address is required');
+
+    if (!this.transporter) {
+      this.transporter = nodemailer.createTransport(this.smtpConfig);
+    }
+
+    await this.transporter.sendMail({
+      from: this.emailFrom,
+      to: channel.target,
+      subject: `[${payload.severity.toUpperCase()}] ${payload.rule_name}${payload.ticker ? ` - ${payload.ticker}` : ''}`,
+      text: [
+        payload.message,
+        '',
+        `Rule: ${payload.rule_name}`,
+        `Condition: ${payload.type}`,
+        `Value: ${JSON.stringify(payload.value)} (threshold ${JSON.stringify(payload.threshold)})`,
+        `Triggered: ${payload.triggered_at}`
+      ].join('\n')
+    });
+    return true;
+  }
+
+  // Check rule input beyond what the schema enforces; returns a list of problems
+  validateRule(data) {
+    const errors = [];
+    const condition = data.condition || {};
+    const levels = this.levelOrder[condition.type];
+
+    if (!data.name || !String(data.name).trim()) {
+      errors.push('Rule name is required');
+    }
+
+    if (['mentions_24h', 'trending_score', 'sentiment_change'].includes(condition.type)) {
+      if (condition.threshold === undefined || condition.threshold === null || isNaN(Number(condition.threshold))) {
+        errors.push(`A numeric threshold is required for ${condition.type}`);
+      }
+    } else if (levels) {
+      if (!levels.includes(condition.threshold)) {
+        errors.push(`Threshold for ${condition.type} must be one of: ${levels.join(', ')}`);
+      }
+    } else if (!['unusual_activity', 'news_divergence'].includes(condition.type)) {
+      errors.push('Unknown condition type');
+    }
+
+    for (const channel of data.channels || []) {
+      if (!this.channels.has(channel.type)) {
+        errors.push(`Unknown delivery channel: ${channel.type}`);
+      } else if (channel.type === 'webhook' && !/^https?:\/\//.test(channel.target || '')) {
+        errors.push('Webhook channel needs an http(s) URL');
+      } else if (channel.type === 'email' && !/^[^@\s]+@[^@\s]+$/.test(channel.target || '')) {
+        errors.push('Email channel needs a valid address');
+      }
+    }
+
+    return errors;
+  }
+
+  // Send a synthetic alert through a rule's channels without persisting it
+  async testRuleChannels(rule) {
+    const payload = {
+      id: null,
+      rule_id: rule._id.toString(),
+      rule_name: rule.name,
+      ticker: rule.ticker || 'TEST',
+      type: rule.condition.type,
+      severity: rule.severity,
+      message: `Test alert for rule "${rule.name}"`,
+      value: null,
+      threshold: rule.condition.threshold,
+      triggered_at: new Date().toISOString(),
+      test: true
+    };
+
+    return this.deliver(payload, rule.channels);
+  }
+
+  round(value) {
+    return typeof value === 'number' ? Math.round(value * 100) / 100 : value;
+  }
+
+  getStatus() {
+    return {
+      is_evaluating: this.isEvaluating,
+      channels: Array.from(this.channels.keys()),
+      smtp: { host: this.smtpConfig.host, port: this.smtpConfig.port, from: this.emailFrom },
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new AlertService();
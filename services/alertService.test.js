@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const alertService = require('./alertService');
+
+test('compareNumeric handles each threshold operator', () => {
+  assert.equal(alertService.compareNumeric('gt', 10, 10), false);
+  assert.equal(alertService.compareNumeric('gte', 10, 10), true);
+  assert.equal(alertService.compareNumeric('lt', 9, 10), true);
+  assert.equal(alertService.compareNumeric('lte', 11, 10), false);
+  assert.equal(alertService.compareNumeric('abs_gt', -15, 10), true);
+  assert.equal(alertService.compareNumeric('abs_gt', 5, 10), false);
+});
+
+test('compareNumeric "becomes" only fires when the threshold is crossed', () => {
+  assert.equal(alertService.compareNumeric('becomes', 12, 10, 8), true);
+  assert.equal(alertService.compareNumeric('becomes', 12, 10, 11), false);
+  // The first observation only establishes a baseline
+  assert.equal(alertService.compareNumeric('becomes', 12, 10, undefined), false);
+});
+
+test('compareNumeric never fires on missing values', () => {
+  assert.equal(alertService.compareNumeric('gt', null, 10), false);
+  assert.equal(alertService.compareNumeric('gt', NaN, 10), false);
+  assert.equal(alertService.compareNumeric('gt', 20, NaN), false);
+  assert.equal(alertService.compareNumeric('unknown', 20, 10), false);
+});
+
+test('compareLevel compares on the ordered scale', () => {
+  const order = alertService.levelOrder.manipulation_risk;
+
+  assert.equal(alertService.compareLevel(order, 'gte', 'high', 'medium'), true);
+  assert.equal(alertService.compareLevel(order, 'gt', 'medium', 'medium'), false);
+  assert.equal(alertService.compareLevel(order, 'lt', 'low', 'medium'), true);
+  assert.equal(alertService.compareLevel(order, 'lte', 'critical', 'high'), false);
+  assert.equal(alertService.compareLevel(order, 'eq', 'high', 'high'), true);
+});
+
+test('compareLevel "becomes" fires on the transition into the level', () => {
+  const order = alertService.levelOrder.confidence_level;
+
+  assert.equal(alertService.compareLevel(order, 'becomes', 'high', 'high', 'medium'), true);
+  assert.equal(alertService.compareLevel(order, 'becomes', 'high', 'high', 'high'), false);
+  assert.equal(alertService.compareLevel(order, 'becomes', 'high', 'high', undefined), false);
+});
+
+test('compareLevel ignores levels that are not on the scale', () => {
+  const order = alertService.levelOrder.confidence_level;
+
+  assert.equal(alertService.compareLevel(order, 'gte', 'extreme', 'low'), false);
+  assert.equal(alertService.compareLevel(order, 'gte', 'high', 'extreme'), false);
+});
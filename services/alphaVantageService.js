@@ -1,4 +1,5 @@
 const axios = require('axios');
+const apiCache = require('./apiCache');
 
 class AlphaVantageService {
   constructor() {
@@ -58,12 +59,16 @@ class AlphaVantageService {
     }
   }
 
-  // Make API request with error handling
+  // Make API request with error handling; cached responses don't count against the daily limit
   async makeRequest(params) {
     if (!this.apiKey) {
       throw new Error('AlphaVantage API key not configured');
     }
 
+    return apiCache.wrap('alphavantage', params.function.toLowerCase(), params, () => this.fetchResponse(params));
+  }
+
+  async fetchResponse(params) {
     await this.waitForRateLimit();
 
     const status = this.canMakeRequest();
@@ -94,6 +99,11 @@ class AlphaVantageService {
         throw new Error(`AlphaVantage API Note: ${response.data['Note']}`);
       }
 
+      // Rate-limit and premium-endpoint replies arrive as HTTP 200; throwing keeps them out of the cache
+      if (response.data['Information']) {
+        throw new Error(`AlphaVantage API Information: ${response.data['Information']}`);
+      }
+
       return response.data;
     } catch (error) {
       console.error('❌ AlphaVantage API request failed:', error.message);
@@ -415,7 +425,8 @@ class AlphaVantageService {
       remaining_requests: this.dailyLimit - (today === lastRequestDay ? this.requestCount : 0),
       last_request_time: new Date(this.lastRequestTime),
       min_request_interval_ms: this.minRequestInterval,
-      next_reset_time: new Date(new Date().setHours(24, 0, 0, 0))
+      next_reset_time: new Date(new Date().setHours(24, 0, 0, 0)),
+      cache: apiCache.getMetrics('alphavantage')
     };
   }
 }
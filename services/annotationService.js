@@ -0,0 +1,494 @@
+const Annotation = require('../models/Annotation');
+const RedditPost = require('../models/RedditPost');
+const SentimentModel = require('../models/SentimentModel');
+const sentimentService = require('./sentimentService');
+const sentimentAnalyzer = require('../utils/sentimentAnalyzer');
+
+class AnnotationService {
+  constructor() {
+    // Each post is labelled by this many people so agreement can be measured
+    this.annotationsPerPost = 2;
+
+    // Share of a queue reserved for posts someone else already labelled
+    this.overlapShare = 0.3;
+
+    // Upvote bands used with subreddit to stratify the queue
+    this.upvoteBands = [
+      { name: '0-9', min: 0, max: 10 },
+      { name: '10-99', min: 10, max: 100 },
+      { name: '100-999', min: 100, max: 1000 },
+      { name: '1000+', min: 1000, max: null }
+    ];
+
+    // Claude calls are rate limited; cap how many posts one evaluation sends
+    this.maxClaudeEvaluations = 50;
+
+    this.maxContentLength = 5000;
+  }
+
+  // Unlabelled posts for one annotator, sampled across subreddit x upvote strata
+  async getQueue(annotator, options = {}) {
+    const { size = 10, subreddit = null, annotationsPerPost = this.annotationsPerPost } = options;
+
+    const [mine, counts] = await Promise.all([
+      Annotation.getAnnotatedPostIds(annotator),
+      Annotation.aggregate([{ $group: { _id: '$post', count: { $sum: 1 } } }])
+    ]);
+
+    const mineSet = new Set(mine.map(id => id.toString()));
+    const saturated = counts.filter(c => c.count >= annotationsPerPost).map(c => c._id);
+    const base = {
+      processed: true,
+      'tickers.0': { $exists: true },
+      _id: { $nin: [...mine, ...saturated] }
+    };
+    if (subreddit) base.subreddit = subreddit;
+
+    const queue = [];
+
+    // Overlap first: posts labelled by others but still short of the target
+    const partial = counts
+      .filter(c => c.count < annotationsPerPost && !mineSet.has(c._id.toString()))
+      .map(c => c._id);
+    if (partial.length > 0) {
+      const overlap = await RedditPost.aggregate([
+        { $match: { ...base, _id: { $in: partial } } },
+        { $sample: { size: Math.ceil(size * this.overlapShare) } },
+        { $project: this.queueProjection() }
+      ]);
+      overlap.forEach(post => queue.push(this.formatQueueItem(post, 'overlap')));
+    }
+
+    const subreddits = subreddit ? [subreddit] : await RedditPost.distinct('subreddit', base);
+    const strata = this.shuffle(subreddits.flatMap(name => this.upvoteBands.map(band => ({ subreddit: name, band }))));
+    const seen = new Set(queue.map(item => item.post_id.toString()));
+
+    for (let i = 0; i < strata.length && queue.length < size; i++) {
+      const { subreddit: stratumSubreddit, band } = strata[i];
+      // Spread what is left evenly over the strata not yet visited
+      const quota = Math.max(1, Math.ceil((size - queue.length) / (strata.length - i)));
+      const upvotes = band.max === null ? { $gte: band.min } : { $gte: band.min, $lt: band.max };
+
+      const posts = await RedditPost.aggregate([
+        { $match: { ...base, subreddit: stratumSubreddit, upvotes } },
+        { $sample: { size: quota } },
+        { $project: this.queueProjection() }
+      ]);
+
+      for (const post of posts) {
+        if (seen.has(post._id.toString()) || queue.length >= size) continue;
+        seen.add(post._id.toString());
+        queue.push(this.formatQueueItem(post, `${stratumSubreddit}|${band.name}`));
+      }
+    }
+
+    return queue;
+  }
+
+  // Model scores are left out so they don't anchor the annotator
+  queueProjection() {
+    return {
+      reddit_id: 1, subreddit: 1, title: 1, content: 1, url: 1, author: 1,
+      link_flair: 1, upvotes: 1, comments: 1, created_utc: 1, 'tickers.symbol': 1
+    };
+  }
+
+  formatQueueItem(post, stratum) {
+    const content = post.content || '';
+    return {
+      post_id: post._id,
+      reddit_id: post.reddit_id,
+      subreddit: post.subreddit,
+      title: post.title,
+      content: content.length > this.maxContentLength ? `${content.substring(0, this.maxContentLength)}…` : content,
+      url: post.url,
+      author: post.author,
+      link_flair: post.link_flair,
+      upvotes: post.upvotes,
+      comments: post.comments,
+      created_utc: post.created_utc,
+      tickers: [...new Set((post.tickers || []).map(t => t.symbol))],
+      stratum
+    };
+  }
+
+  shuffle(items) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+
+  // Create or replace one annotator's labels for a post; null when the post doesn't exist
+  async submitAnnotation(annotator, labels) {
+    const post = await RedditPost.findById(labels.post_id).select('reddit_id subreddit');
+    if (!post) return null;
+
+    const tickerSentiments = (labels.ticker_sentiments || [])
+      .filter(entry => entry && entry.ticker && entry.sentiment)
+      .map(entry => ({ ticker: entry.ticker.toUpperCase(), sentiment: entry.sentiment }));
+
+    return Annotation.findOneAndUpdate(
+      { post: post._id, annotator: annotator.toLowerCase() },
+      {
+        reddit_id: post.reddit_id,
+        subreddit: post.subreddit,
+        overall_sentiment: labels.overall_sentiment,
+        ticker_sentiments: tickerSentiments,
+        sarcasm: !!labels.sarcasm,
+        post_type: labels.post_type || 'discussion',
+        author_type: labels.author_type || null,
+        notes: labels.notes || '',
+        duration_ms: labels.duration_ms,
+        stratum: labels.stratum
+      },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  // Annotations grouped by post: [{ post, annotations: [...] }]
+  async groupByPost(query = {}) {
+    const annotations = await Annotation.find(query).sort({ createdAt: 1 }).lean();
+    const byPost = new Map();
+
+    for (const annotation of annotations) {
+      const key = annotation.post.toString();
+      if (!byPost.has(key)) byPost.set(key, { post: annotation.post, reddit_id: annotation.reddit_id, annotations: [] });
+      byPost.get(key).annotations.push(annotation);
+    }
+
+    return Array.from(byPost.values());
+  }
+
+  // Counts per annotator plus Krippendorff's alpha and raw agreement for each label
+  async getStats() {
+    const groups = await this.groupByPost();
+    const annotators = {};
+
+    for (const group of groups) {
+      for (const annotation of group.annotations) {
+        const entry = annotators[annotation.annotator] || (annotators[annotation.annotator] = {
+          annotator: annotation.annotator, annotations: 0, sarcasm: 0, bullish: 0, bearish: 0, neutral: 0, total_duration_ms: 0, timed: 0
+        });
+        entry.annotations++;
+        entry[annotation.overall_sentiment]++;
+        if (annotation.sarcasm) entry.sarcasm++;
+        if (annotation.duration_ms) {
+          entry.total_duration_ms += annotation.duration_ms;
+          entry.timed++;
+        }
+      }
+    }
+
+    // Ticker sentiment is compared per (post, ticker) unit
+    const tickerUnits = [];
+    for (const group of groups) {
+      const byTicker = {};
+      group.annotations.forEach(annotation => annotation.ticker_sentiments.forEach(({ ticker, sentiment }) => {
+        (byTicker[ticker] = byTicker[ticker] || []).push(sentiment);
+      }));
+      tickerUnits.push(...Object.values(byTicker));
+    }
+
+    const units = (field) => groups.map(group => group.annotations.map(annotation => String(annotation[field])));
+
+    return {
+      total_annotations: groups.reduce((sum, group) => sum + group.annotations.length, 0),
+      annotated_posts: groups.length,
+      multiply_annotated_posts: groups.filter(group => group.annotations.length >= 2).length,
+      target_per_post: this.annotationsPerPost,
+      annotators: Object.values(annotators)
+        .map(({ total_duration_ms, timed, ...entry }) => ({
+          ...entry,
+          avg_seconds: timed > 0 ? Math.round(total_duration_ms / timed / 1000) : null
+        }))
+        .sort((a, b) => b.annotations - a.annotations),
+      agreement: {
+        overall_sentiment: this.agreementFor(units('overall_sentiment')),
+        ticker_sentiment: this.agreementFor(tickerUnits),
+        sarcasm: this.agreementFor(units('sarcasm')),
+        post_type: this.agreementFor(units('post_type'))
+      }
+    };
+  }
+
+  agreementFor(units) {
+    const multi = units.filter(values => values.length >= 2);
+    const unanimous = multi.filter(values => values.every(value => value === values[0])).length;
+
+    return {
+      units: multi.length,
+      percent_agreement: multi.length > 0 ? this.round(unanimous / multi.length) : null,
+      krippendorff_alpha: this.round(this.krippendorffAlpha(multi))
+    };
+  }
+
+  // Nominal Krippendorff's alpha over units of labels (one array of values per item)
+  krippendorffAlpha(units) {
+    const coincidence = {};
+    const totals = {};
+    let n = 0;
+
+    for (const values of units) {
+      const m = values.length;
+      if (m < 2) continue;
+
+      const counts = {};
+      values.forEach(value => { counts[value] = (counts[value] || 0) + 1; });
+
+      for (const [c, countC] of Object.entries(counts)) {
+        totals[c] = (totals[c] || 0) + countC;
+        for (const [k, countK] of Object.entries(counts)) {
+          if (c === k) continue;
+          coincidence[c] = (coincidence[c] || 0) + (countC * countK) / (m - 1);
+        }
+      }
+      n += m;
+    }
+
+    if (n < 2) return null;
+
+    const observed = Object.values(coincidence).reduce((sum, value) => sum + value, 0) / n;
+    const labels = Object.keys(totals);
+    let expected = 0;
+    for (const c of labels) {
+      for (const k of labels) {
+        if (c !== k) expected += totals[c] * totals[k];
+      }
+    }
+    expected /= n * (n - 1);
+
+    // Everyone used a single label: agreement is perfect but alpha is undefined
+    if (expected === 0) return observed === 0 ? 1 : null;
+    return 1 - observed / expected;
+  }
+
+  // Majority label, or null on a tie
+  majority(values) {
+    if (values.length === 0) return null;
+    const counts = {};
+    values.forEach(value => { counts[value] = (counts[value] || 0) + 1; });
+
+    const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    if (ranked.length > 1 && ranked[0][1] === ranked[1][1]) return null;
+    return { label: ranked[0][0], votes: ranked[0][1], share: this.round(ranked[0][1] / values.length) };
+  }
+
+  // One gold record per post from the majority of its annotations; ties are dropped
+  async getGoldLabels(options = {}) {
+    const { minAnnotators = 1 } = options;
+    const groups = (await this.groupByPost()).filter(group => group.annotations.length >= minAnnotators);
+
+    const gold = [];
+    for (const group of groups) {
+      const sentiment = this.majority(group.annotations.map(a => a.overall_sentiment));
+      if (!sentiment) continue;
+
+      const sarcasm = this.majority(group.annotations.map(a => String(a.sarcasm)));
+      const postType = this.majority(group.annotations.map(a => a.post_type));
+
+      const byTicker = {};
+      group.annotations.forEach(annotation => annotation.ticker_sentiments.forEach(({ ticker, sentiment: label }) => {
+        (byTicker[ticker] = byTicker[ticker] || []).push(label);
+      }));
+      const tickerSentiments = Object.entries(byTicker)
+        .map(([ticker, labels]) => ({ ticker, majority: this.majority(labels) }))
+        .filter(entry => entry.majority)
+        .map(entry => ({ ticker: entry.ticker, sentiment: entry.majority.label }));
+
+      gold.push({
+        post: group.post,
+        reddit_id: group.reddit_id,
+        overall_sentiment: sentiment.label,
+        sentiment_agreement: sentiment.share,
+        // A tie on sarcasm counts as not sarcastic
+        sarcasm: sarcasm ? sarcasm.label === 'true' : false,
+        post_type: postType ? postType.label : null,
+        ticker_sentiments: tickerSentiments,
+        annotators: group.annotations.map(a => a.annotator)
+      });
+    }
+
+    return gold;
+  }
+
+  // Gold labels joined with post text
+  async exportDataset(options = {}) {
+    const gold = await this.getGoldLabels(options);
+    const posts = await RedditPost.find({ _id: { $in: gold.map(g => g.post) } })
+      .select('reddit_id subreddit title content url upvotes created_utc')
+      .lean();
+    const postMap = new Map(posts.map(post => [post._id.toString(), post]));
+
+    return gold
+      .filter(record => postMap.has(record.post.toString()))
+      .map(record => {
+        const post = postMap.get(record.post.toString());
+        return {
+          reddit_id: post.reddit_id,
+          subreddit: post.subreddit,
+          title: post.title,
+          content: post.content || '',
+          url: post.url,
+          upvotes: post.upvotes,
+          created_utc: post.created_utc,
+          overall_sentiment: record.overall_sentiment,
+          sentiment_agreement: record.sentiment_agreement,
+          sarcasm: record.sarcasm,
+          post_type: record.post_type,
+          ticker_sentiments: record.ticker_sentiments,
+          annotators: record.annotators
+        };
+      });
+  }
+
+  // One author label per account from the majority of author_type votes across its posts; ties and "unsure" are dropped
+  async getAuthorLabels() {
+    const annotations = await Annotation.find({ author_type: { $in: ['human', 'bot', 'shill'] } })
+      .select('post author_type')
+      .lean();
+    const posts = await RedditPost.find({ _id: { $in: [...new Set(annotations.map(a => a.post.toString()))] } })
+      .select('author')
+      .lean();
+    const authorByPost = new Map(posts.map(post => [post._id.toString(), post.author]));
+
+    const votes = new Map();
+    for (const annotation of annotations) {
+      const author = authorByPost.get(annotation.post.toString());
+      if (!author) continue;
+      if (!votes.has(author)) votes.set(author, []);
+      votes.get(author).push(annotation.author_type);
+    }
+
+    const labels = [];
+    for (const [author, authorVotes] of votes) {
+      const majority = this.majority(authorVotes);
+      if (!majority) continue;
+      labels.push({ author, label: majority.label, votes: authorVotes.length, agreement: majority.share });
+    }
+    return labels;
+  }
+
+  toJsonl(records) {
+    return records.map(record => JSON.stringify(record)).join('\n');
+  }
+
+  toCsv(records) {
+    const columns = ['reddit_id', 'subreddit', 'title', 'content', 'url', 'upvotes', 'created_utc',
+      'overall_sentiment', 'sentiment_agreement', 'sarcasm', 'post_type', 'ticker_sentiments', 'annotators'];
+    const escape = (value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = records.map(record => columns.map(column => {
+      if (column === 'ticker_sentiments') return escape(record.ticker_sentiments.map(t => `${t.ticker}:${t.sentiment}`).join(';'));
+      if (column === 'annotators') return escape(record.annotators.join(';'));
+      if (column === 'created_utc') return escape(record.created_utc ? new Date(record.created_utc).toISOString() : '');
+      return escape(record[column]);
+    }).join(','));
+
+    return [columns.join(','), ...rows].join('\n');
+  }
+
+  // Precision/recall and confusion matrices for each sentiment provider against the gold labels
+  async evaluate(options = {}) {
+    const { providers = ['lexicon', 'naive_bayes', 'claude'], limit = 200, minAnnotators = 1 } = options;
+    const records = (await this.exportDataset({ minAnnotators })).slice(0, limit);
+    const names = providers.filter(name => sentimentService.providers.has(name) && sentimentService.providers.get(name).isAvailable());
+
+    const predictions = Object.fromEntries(names.map(name => [name, []]));
+    const tickerPredictions = [];
+
+    for (const record of records) {
+      const ticker = record.ticker_sentiments[0] ? record.ticker_sentiments[0].ticker : null;
+
+      for (const name of names) {
+        if (name === 'claude' && predictions.claude.length >= this.maxClaudeEvaluations) continue;
+
+        const result = await sentimentService.runProvider(name, { text: record.content, title: record.title, ticker });
+        if (!result) continue;
+        predictions[name].push({ actual: record.overall_sentiment, predicted: this.labelForScore(result.score), sarcasm: record.sarcasm });
+      }
+
+      // Per-ticker labels are checked against the lexicon's clause-level scoring
+      const labelledTickers = record.ticker_sentiments.map(entry => entry.ticker);
+      for (const { ticker: symbol, sentiment } of record.ticker_sentiments) {
+        const others = labelledTickers.filter(other => other !== symbol);
+        const result = sentimentAnalyzer.analyzeTickerSentiment(symbol, record.content, record.title, others);
+        if (result.mentions === 0) continue;
+        tickerPredictions.push({ actual: sentiment, predicted: this.labelForScore(result.overall_sentiment), sarcasm: record.sarcasm });
+      }
+    }
+
+    const notes = [];
+    if (names.includes('naive_bayes')) {
+      const model = await SentimentModel.findOne({ name: sentimentService.modelName }).select('sources').lean();
+      if (model && model.sources && model.sources.annotated > 0) {
+        notes.push(`naive_bayes was trained on ${model.sources.annotated} annotated posts; its scores here are optimistic`);
+      }
+    }
+    if (names.includes('claude') && records.length > this.maxClaudeEvaluations) {
+      notes.push(`claude evaluated on the first ${this.maxClaudeEvaluations} posts only`);
+    }
+
+    return {
+      gold_posts: records.length,
+      sarcastic_posts: records.filter(record => record.sarcasm).length,
+      neutral_band: sentimentService.neutralBand,
+      providers: names.map(name => ({ provider: name, ...this.classificationReport(predictions[name]) })),
+      ticker_level: { provider: 'lexicon_ticker', ...this.classificationReport(tickerPredictions) },
+      notes
+    };
+  }
+
+  labelForScore(score) {
+    const direction = sentimentService.direction(score);
+    return direction > 0 ? 'bullish' : direction < 0 ? 'bearish' : 'neutral';
+  }
+
+  // Confusion matrix (actual -> predicted), per-class precision/recall/F1, accuracy and macro F1
+  classificationReport(pairs) {
+    const labels = Annotation.sentimentLabels;
+    const confusion = Object.fromEntries(labels.map(actual => [actual, Object.fromEntries(labels.map(predicted => [predicted, 0]))]));
+    pairs.forEach(({ actual, predicted }) => { confusion[actual][predicted]++; });
+
+    const perClass = labels.map(label => {
+      const tp = confusion[label][label];
+      const fp = labels.reduce((sum, actual) => sum + (actual !== label ? confusion[actual][label] : 0), 0);
+      const fn = labels.reduce((sum, predicted) => sum + (predicted !== label ? confusion[label][predicted] : 0), 0);
+      // A class that occurs but is never predicted has precision 0, not undefined
+      const precision = tp + fp > 0 ? tp / (tp + fp) : (tp + fn > 0 ? 0 : null);
+      const recall = tp + fn > 0 ? tp / (tp + fn) : null;
+      let f1 = null;
+      if (precision !== null && recall !== null) {
+        f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+      }
+
+      return { label, support: tp + fn, precision: this.round(precision), recall: this.round(recall), f1: this.round(f1) };
+    });
+
+    const correct = pairs.filter(pair => pair.actual === pair.predicted).length;
+    const scoredF1 = perClass.filter(entry => entry.f1 !== null);
+    const sarcastic = pairs.filter(pair => pair.sarcasm);
+
+    return {
+      evaluated: pairs.length,
+      accuracy: pairs.length > 0 ? this.round(correct / pairs.length) : null,
+      macro_f1: scoredF1.length > 0 ? this.round(scoredF1.reduce((sum, entry) => sum + entry.f1, 0) / scoredF1.length) : null,
+      sarcastic_accuracy: sarcastic.length > 0
+        ? this.round(sarcastic.filter(pair => pair.actual === pair.predicted).length / sarcastic.length)
+        : null,
+      per_class: perClass,
+      confusion
+    };
+  }
+
+  round(value) {
+    return value === null || value === undefined ? null : Math.round(value * 1000) / 1000;
+  }
+}
+
+module.exports = new AnnotationService();
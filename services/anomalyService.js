@@ -0,0 +1,590 @@
+const TickerSentimentHistory = require('../models/TickerSentimentHistory');
+const TickerBaseline = require('../models/TickerBaseline');
+const AnomalyEvent = require('../models/AnomalyEvent');
+const StockData = require('../models/StockData');
+const sentimentHistoryService = require('./sentimentHistoryService');
+
+const hourMs = 60 * 60 * 1000;
+
+class AnomalyService {
+  constructor() {
+    this.baselineDays = 28;
+    // Baselines older than this are rebuilt before a ticker is scored
+    this.baselineMaxAgeHours = 24;
+    // A ticker needs this much history before it is scored at all
+    this.minCoverageHours = 72;
+    this.windows = [1, 6, 24];
+    this.metrics = ['mentions', 'unique_authors', 'sentiment'];
+    // Hours of the market-wide profile blended into each ticker's seasonal factors, so sparse tickers follow the market
+    this.seasonalPrior = 24;
+    this.marketTicker = '*';
+    this.minSamples = 10;
+    // Count windows need this many mentions to be flagged; sentiment windows need it to be scored
+    this.minMentions = 5;
+    // Residuals are already in Poisson units, so their spread is never taken as less than 1;
+    // sentiment spread is floored at this many points
+    this.sentimentScaleFloor = 5;
+    this.severityLevels = [
+      { severity: 'high', score: 8 },
+      { severity: 'medium', score: 5 },
+      { severity: 'low', score: 3.5 }
+    ];
+    // Count anomalies at these severities raise StockData.has_unusual_activity
+    this.unusualSeverities = ['medium', 'high'];
+    this.running = false;
+  }
+
+  // ==================== BASELINES ====================
+
+  // Rebuild the market profile and the baseline of every ticker seen in the baseline window
+  async refreshBaselines(now = new Date()) {
+    const to = this.baselineEnd(now);
+    const from = new Date(to.getTime() - this.baselineDays * 24 * hourMs);
+    const profile = await this.refreshMarketProfile(from, to);
+
+    const tickers = await TickerSentimentHistory.distinct('meta.ticker', { hour: { $gte: from, $lt: to } });
+    for (const ticker of tickers) {
+      await this.refreshTickerBaseline(ticker, profile, from, to);
+    }
+    await TickerBaseline.deleteMany({ ticker: { $nin: [...tickers, this.marketTicker] } });
+
+    console.log(`📏 Refreshed anomaly baselines for ${tickers.length} tickers`);
+    return { from, to, tickers: tickers.length };
+  }
+
+  // Seasonal factors from all mentions across tickers
+  async refreshMarketProfile(from, to) {
+    const rows = await TickerSentimentHistory.aggregate([
+      { $match: { hour: { $gte: from, $lt: to } } },
+      { $group: { _id: '$hour', mentions: { $sum: '$mentions' } } }
+    ]);
+    const hours = rows.map(row => ({ hour: row._id, mentions: row.mentions }));
+    const factors = this.seasonalFactors(hours, from, to, null);
+
+    return TickerBaseline.findOneAndUpdate(
+      { ticker: this.marketTicker },
+      {
+        from,
+        to,
+        coverage_hours: Math.round((to - from) / hourMs),
+        active_hours: rows.length,
+        hour_of_day: factors.hour_of_day,
+        day_of_week: factors.day_of_week,
+        residuals: [],
+        updated_at: new Date()
+      },
+      { upsert: true, new: true }
+    );
+  }
+
+  async getMarketProfile(now = new Date()) {
+    const profile = await TickerBaseline.findOne({ ticker: this.marketTicker });
+    if (profile && !this.isStale(profile, now)) return profile;
+
+    const to = this.baselineEnd(now);
+    return this.refreshMarketProfile(new Date(to.getTime() - this.baselineDays * 24 * hourMs), to);
+  }
+
+  async refreshTickerBaseline(ticker, profile, from, to) {
+    const symbol = ticker.toUpperCase();
+    const buckets = await TickerSentimentHistory.find({ 'meta.ticker': symbol, hour: { $gte: from, $lt: to } })
+      .select('hour mentions unique_authors authors sentiment_total')
+      .sort({ hour: 1 })
+      .lean();
+    // A ticker seen before the window is covered from its start, otherwise from its first mention
+    const seenBefore = await TickerSentimentHistory.exists({ 'meta.ticker': symbol, hour: { $lt: from } });
+    const start = seenBefore || buckets.length === 0 ? from : sentimentHistoryService.floorHour(buckets[0].hour);
+
+    const baseline = this.buildBaseline(buckets, start, to, profile);
+    return TickerBaseline.findOneAndUpdate(
+      { ticker: symbol },
+      { ...baseline, updated_at: new Date() },
+      { upsert: true, new: true }
+    );
+  }
+
+  // Level, seasonal factors and per-window residual spread from hourly buckets in [start, to)
+  buildBaseline(buckets, start, to, profile) {
+    const series = this.hourlySeries(buckets, start, to);
+    const hours = series.length;
+    const factors = this.seasonalFactors(buckets, start, to, profile);
+    const seasonal = series.map(point => this.seasonalFactor(factors, point.hour));
+
+    let sentimentTotal = 0;
+    let mentionsTotal = 0;
+    let authorsTotal = 0;
+    for (const point of series) {
+      mentionsTotal += point.mentions;
+      authorsTotal += point.authors.length;
+      sentimentTotal += point.sentiment_total;
+    }
+
+    const residuals = [];
+    for (const windowHours of this.windows) {
+      const windows = this.consecutiveWindows(series, seasonal, windowHours);
+
+      for (const metric of ['mentions', 'unique_authors']) {
+        const observedTotal = windows.reduce((sum, window) => sum + window[metric], 0);
+        const seasonalTotal = windows.reduce((sum, window) => sum + window.seasonal, 0);
+        const rate = seasonalTotal > 0 ? observedTotal / seasonalTotal : 0;
+        const values = windows.map(window => this.countResidual(window[metric], rate * window.seasonal));
+        residuals.push({ metric, window_hours: windowHours, rate: this.round(rate, 6), ...this.describe(values) });
+      }
+
+      const sentiments = windows
+        .filter(window => window.mentions >= this.minMentions)
+        .map(window => window.sentiment_total / window.mentions);
+      residuals.push({ metric: 'sentiment', window_hours: windowHours, ...this.describe(sentiments) });
+    }
+
+    return {
+      from: start,
+      to,
+      coverage_hours: hours,
+      active_hours: series.filter(point => point.mentions > 0).length,
+      level: {
+        mentions: hours > 0 ? this.round(mentionsTotal / hours, 4) : 0,
+        unique_authors: hours > 0 ? this.round(authorsTotal / hours, 4) : 0,
+        sentiment: mentionsTotal > 0 ? this.round(sentimentTotal / mentionsTotal) : null
+      },
+      hour_of_day: factors.hour_of_day,
+      day_of_week: factors.day_of_week,
+      residuals
+    };
+  }
+
+  // One entry per hour in [start, to), quiet hours as zeros
+  hourlySeries(buckets, start, to) {
+    const byHour = new Map(buckets.map(bucket => [new Date(bucket.hour).getTime(), bucket]));
+    const series = [];
+    for (let time = start.getTime(); time < to.getTime(); time += hourMs) {
+      const bucket = byHour.get(time);
+      series.push({
+        hour: new Date(time),
+        mentions: bucket ? bucket.mentions || 0 : 0,
+        authors: bucket ? bucket.authors || [] : [],
+        sentiment_total: bucket ? bucket.sentiment_total || 0 : 0,
+        subreddits: bucket ? bucket.subreddits || [] : []
+      });
+    }
+    return series;
+  }
+
+  // Non-overlapping windows counted back from the end of the series
+  consecutiveWindows(series, seasonal, windowHours) {
+    const windows = [];
+    for (let end = series.length; end - windowHours >= 0; end -= windowHours) {
+      windows.push(this.summarizeWindow(series.slice(end - windowHours, end), seasonal.slice(end - windowHours, end)));
+    }
+    return windows;
+  }
+
+  summarizeWindow(points, seasonal) {
+    const authors = new Set();
+    let mentions = 0;
+    let sentimentTotal = 0;
+    for (const point of points) {
+      mentions += point.mentions;
+      sentimentTotal += point.sentiment_total;
+      point.authors.forEach(author => authors.add(author));
+    }
+    return {
+      mentions,
+      unique_authors: authors.size,
+      sentiment_total: sentimentTotal,
+      seasonal: seasonal.reduce((sum, factor) => sum + factor, 0)
+    };
+  }
+
+  // Hour-of-day and day-of-week multipliers (UTC). Each slot is shrunk toward the market profile by
+  // seasonalPrior pseudo-hours, then the factors are rescaled to average 1 over the hours seen
+  seasonalFactors(buckets, start, to, profile) {
+    const byHour = new Map(buckets.map(bucket => [new Date(bucket.hour).getTime(), bucket.mentions || 0]));
+    const hourSums = new Array(24).fill(0);
+    const hourCounts = new Array(24).fill(0);
+    const daySums = new Array(7).fill(0);
+    const dayCounts = new Array(7).fill(0);
+    let total = 0;
+    let hours = 0;
+
+    for (let time = start.getTime(); time < to.getTime(); time += hourMs) {
+      const date = new Date(time);
+      const mentions = byHour.get(time) || 0;
+      hourSums[date.getUTCHours()] += mentions;
+      hourCounts[date.getUTCHours()] += 1;
+      daySums[date.getUTCDay()] += mentions;
+      dayCounts[date.getUTCDay()] += 1;
+      total += mentions;
+      hours += 1;
+    }
+
+    const mean = hours > 0 ? total / hours : 0;
+    const prior = profile ? this.seasonalPrior : 0;
+    const shrink = (sums, counts, market) => {
+      const factors = sums.map((sum, slot) => {
+        const marketFactor = market && market.length === sums.length ? market[slot] : 1;
+        const weight = (counts[slot] + prior) * mean;
+        return weight > 0 ? (sum + prior * marketFactor * mean) / weight : marketFactor;
+      });
+      const seen = counts.reduce((sum, count) => sum + count, 0);
+      const average = seen > 0 ? factors.reduce((sum, factor, slot) => sum + factor * counts[slot], 0) / seen : 1;
+      return factors.map(factor => this.round(average > 0 ? factor / average : 1, 4));
+    };
+
+    return {
+      hour_of_day: shrink(hourSums, hourCounts, profile && profile.hour_of_day),
+      day_of_week: shrink(daySums, dayCounts, profile && profile.day_of_week)
+    };
+  }
+
+  seasonalFactor(factors, hour) {
+    const date = new Date(hour);
+    const hourFactor = factors.hour_of_day && factors.hour_of_day.length === 24 ? factors.hour_of_day[date.getUTCHours()] : 1;
+    const dayFactor = factors.day_of_week && factors.day_of_week.length === 7 ? factors.day_of_week[date.getUTCDay()] : 1;
+    return hourFactor * dayFactor;
+  }
+
+  // Poisson-style residual: distance from the expected count in units of its standard deviation
+  countResidual(observed, expected) {
+    return (observed - expected) / Math.sqrt(expected + 1);
+  }
+
+  describe(values) {
+    if (values.length === 0) return { median: null, mad: null, mean: null, std: null, samples: 0 };
+
+    const median = this.median(values);
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+    return {
+      median: this.round(median, 4),
+      mad: this.round(this.median(values.map(value => Math.abs(value - median))), 4),
+      mean: this.round(mean, 4),
+      std: this.round(Math.sqrt(variance), 4),
+      samples: values.length
+    };
+  }
+
+  median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+  }
+
+  // Baselines stop where the longest scored window begins, so a spike being scored isn't part of its own baseline
+  baselineEnd(now = new Date()) {
+    return new Date(sentimentHistoryService.floorHour(now).getTime() - Math.max(...this.windows) * hourMs);
+  }
+
+  isStale(baseline, now = new Date()) {
+    return !baseline.updated_at || now - baseline.updated_at > this.baselineMaxAgeHours * hourMs;
+  }
+
+  // ==================== SCORING ====================
+
+  // Robust z of a value against a window's baseline spread: MAD-scaled, falling back to the standard deviation
+  robustScore(value, stats, floor) {
+    if (!stats || stats.samples < this.minSamples || stats.median === null) return null;
+
+    const madScale = 1.4826 * stats.mad;
+    if (madScale >= floor) return { score: (value - stats.median) / madScale, method: 'mad' };
+    if (stats.std >= floor) return { score: (value - stats.mean) / stats.std, method: 'zscore' };
+    return { score: (value - stats.median) / floor, method: floor === 1 ? 'poisson' : 'zscore' };
+  }
+
+  severityFor(score) {
+    const level = this.severityLevels.find(candidate => Math.abs(score) >= candidate.score);
+    return level ? level.severity : null;
+  }
+
+  // Findings for the windows ending at `end`, from the ticker's recent hourly buckets
+  scoreTicker(baseline, buckets, end) {
+    const findings = [];
+    const longest = Math.max(...this.windows);
+    const series = this.hourlySeries(buckets, new Date(end.getTime() - longest * hourMs), end);
+    const seasonal = series.map(point => this.seasonalFactor(baseline, point.hour));
+
+    for (const windowHours of this.windows) {
+      const points = series.slice(-windowHours);
+      const window = this.summarizeWindow(points, seasonal.slice(-windowHours));
+      const context = {
+        window_hours: windowHours,
+        window_start: new Date(end.getTime() - windowHours * hourMs),
+        window_end: end,
+        subreddits: this.topSubreddits(points)
+      };
+
+      for (const metric of ['mentions', 'unique_authors']) {
+        const stats = baseline.residuals.find(item => item.metric === metric && item.window_hours === windowHours);
+        if (!stats || window.mentions < this.minMentions) continue;
+
+        const expected = stats.rate * window.seasonal;
+        const result = this.robustScore(this.countResidual(window[metric], expected), stats, 1);
+        // Quiet periods are expected for most tickers, so only spikes in counts are reported
+        if (!result || result.score < 0) continue;
+
+        findings.push({
+          metric,
+          ...context,
+          ...result,
+          direction: 'spike',
+          observed: window[metric],
+          expected: this.round(expected),
+          baseline: { median: stats.median, mad: stats.mad, std: stats.std, samples: stats.samples }
+        });
+      }
+
+      const stats = baseline.residuals.find(item => item.metric === 'sentiment' && item.window_hours === windowHours);
+      if (stats && window.mentions >= this.minMentions) {
+        const observed = window.sentiment_total / window.mentions;
+        const result = this.robustScore(observed, stats, this.sentimentScaleFloor);
+        if (result) {
+          findings.push({
+            metric: 'sentiment',
+            ...context,
+            ...result,
+            direction: result.score >= 0 ? 'spike' : 'drop',
+            observed: this.round(observed),
+            expected: stats.median,
+            baseline: { median: stats.median, mad: stats.mad, std: stats.std, samples: stats.samples }
+          });
+        }
+      }
+    }
+
+    return findings
+      .map(finding => ({ ...finding, score: this.round(finding.score), severity: this.severityFor(finding.score) }))
+      .filter(finding => finding.severity);
+  }
+
+  topSubreddits(points) {
+    const totals = new Map();
+    for (const point of points) {
+      for (const split of point.subreddits) {
+        totals.set(split.subreddit, (totals.get(split.subreddit) || 0) + split.mentions);
+      }
+    }
+    return [...totals.entries()]
+      .map(([subreddit, mentions]) => ({ subreddit, mentions }))
+      .sort((a, b) => b.mentions - a.mentions)
+      .slice(0, 5);
+  }
+
+  // ==================== DETECTION ====================
+
+  // Score every ticker mentioned in the last day (or the given ones) and record anomaly events.
+  // refreshBaselines rebuilds every baseline first, under the same running guard
+  async detect(options = {}) {
+    if (this.running) {
+      console.log('⏭️ Anomaly detection already running');
+      return null;
+    }
+    this.running = true;
+
+    try {
+      const now = options.now || new Date();
+      const baselines = options.refreshBaselines ? await this.refreshBaselines(now) : null;
+      const end = sentimentHistoryService.floorHour(now);
+      const start = new Date(end.getTime() - Math.max(...this.windows) * hourMs);
+      const recent = await this.loadRecentBuckets(start, end);
+      const tickers = options.tickers && options.tickers.length > 0
+        ? options.tickers.map(ticker => ticker.toUpperCase())
+        : [...recent.keys()];
+
+      const profile = await this.getMarketProfile(now);
+      const baselineTo = this.baselineEnd(now);
+      const baselineFrom = new Date(baselineTo.getTime() - this.baselineDays * 24 * hourMs);
+      const touched = [];
+      const unusual = new Map();
+      let created = 0;
+      let skipped = 0;
+
+      for (const ticker of tickers) {
+        let baseline = await TickerBaseline.findOne({ ticker });
+        if (!baseline || this.isStale(baseline, now)) {
+          baseline = await this.refreshTickerBaseline(ticker, profile, baselineFrom, baselineTo);
+        }
+        if (baseline.coverage_hours < this.minCoverageHours) {
+          skipped++;
+          continue;
+        }
+
+        for (const finding of this.scoreTicker(baseline, recent.get(ticker) || [], end)) {
+          const { event, isNew } = await this.recordEvent(ticker, finding, now);
+          touched.push(event._id);
+          if (isNew) created++;
+
+          const strongest = unusual.get(ticker);
+          if (finding.metric !== 'sentiment' && this.unusualSeverities.includes(finding.severity) &&
+            (!strongest || finding.score > strongest.score)) {
+            unusual.set(ticker, finding);
+          }
+        }
+      }
+
+      // Events not seen again this run have ended
+      const ended = await AnomalyEvent.updateMany(
+        {
+          active: true,
+          _id: { $nin: touched },
+          ...(options.tickers && options.tickers.length > 0 ? { ticker: { $in: tickers } } : {})
+        },
+        { $set: { active: false } }
+      );
+      await this.updateUnusualActivity(tickers, unusual, now, Boolean(options.tickers && options.tickers.length > 0));
+
+      if (touched.length > 0) {
+        console.log(`🚨 Anomaly detection: ${touched.length} active events (${created} new) across ${tickers.length} tickers`);
+      }
+      return {
+        scanned: tickers.length - skipped,
+        skipped_insufficient_history: skipped,
+        active_events: touched.length,
+        new_events: created,
+        ended_events: ended.modifiedCount || 0,
+        unusual_activity: [...unusual.keys()],
+        window_end: end,
+        baselines
+      };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Stored hours plus live ones past the last rollup, grouped by ticker
+  async loadRecentBuckets(start, end) {
+    const rolledUntil = (await sentimentHistoryService.getRolledUntil()) || start;
+    const storedUntil = rolledUntil < end ? rolledUntil : end;
+    const stored = start < storedUntil
+      ? await TickerSentimentHistory.find({ hour: { $gte: start, $lt: storedUntil } })
+        .select('hour meta mentions authors sentiment_total subreddits')
+        .lean()
+      : [];
+    const liveFrom = rolledUntil > start ? rolledUntil : start;
+    const live = liveFrom < end ? await sentimentHistoryService.aggregateBuckets(liveFrom, end) : [];
+
+    const byTicker = new Map();
+    for (const bucket of [...stored, ...live]) {
+      const ticker = bucket.meta.ticker;
+      if (!byTicker.has(ticker)) byTicker.set(ticker, []);
+      byTicker.get(ticker).push(bucket);
+    }
+    return byTicker;
+  }
+
+  // Extend the active event for the same metric, window and direction, or open a new one
+  async recordEvent(ticker, finding, now) {
+    const { metric, window_hours, direction, score } = finding;
+    const existing = await AnomalyEvent.findOne({ ticker, metric, window_hours, direction, active: true });
+
+    if (existing) {
+      const peakScore = Math.abs(score) >= Math.abs(existing.peak_score || 0) ? score : existing.peak_score;
+      // An event keeps the severity of its peak while it winds down
+      Object.assign(existing, finding, {
+        peak_score: peakScore,
+        severity: this.severityFor(peakScore),
+        last_detected_at: now
+      });
+      await existing.save();
+      return { event: existing, isNew: false };
+    }
+
+    const event = await AnomalyEvent.create({
+      ticker,
+      ...finding,
+      peak_score: score,
+      first_detected_at: now,
+      last_detected_at: now
+    });
+    return { event, isNew: true };
+  }
+
+  severityRank(severity) {
+    return this.severityLevels.length - this.severityLevels.findIndex(level => level.severity === severity);
+  }
+
+  // Point StockData's unusual-activity flag at the strongest count anomaly, and clear it where none remain
+  async updateUnusualActivity(tickers, unusual, now, onlyScanned) {
+    const flagged = await StockData.find({
+      'anomaly.active': true,
+      ...(onlyScanned ? { ticker: { $in: tickers } } : {})
+    }).select('ticker').lean();
+    const affected = new Set([...unusual.keys(), ...flagged.map(stock => stock.ticker)]);
+
+    for (const ticker of affected) {
+      const stock = await StockData.findOne({ ticker });
+      if (!stock) continue;
+
+      const finding = unusual.get(ticker);
+      stock.anomaly = finding
+        ? {
+          active: true,
+          metric: finding.metric,
+          window_hours: finding.window_hours,
+          severity: finding.severity,
+          score: finding.score,
+          detected_at: now
+        }
+        : { ...stock.toObject().anomaly, active: false };
+      stock.checkUnusualActivity();
+      await stock.save();
+    }
+  }
+
+  // ==================== QUERIES ====================
+
+  // Check event query parameters, returning a list of problems
+  validateEventQuery(query = {}) {
+    const errors = [];
+    const severities = this.severityLevels.map(level => level.severity);
+
+    if (query.severity && !severities.includes(query.severity)) {
+      errors.push(`severity must be one of ${severities.join(', ')}`);
+    }
+    if (query.metric && !this.metrics.includes(query.metric)) {
+      errors.push(`metric must be one of ${this.metrics.join(', ')}`);
+    }
+    if (query.active && !['true', 'false'].includes(String(query.active))) {
+      errors.push('active must be true or false');
+    }
+    if (query.since && Number.isNaN(new Date(query.since).getTime())) {
+      errors.push('since must be a valid date');
+    }
+    const limit = query.limit !== undefined ? Number(query.limit) : 50;
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+      errors.push('limit must be an integer between 1 and 500');
+    }
+
+    return errors;
+  }
+
+  // Events, most recently seen first; severity is a minimum
+  async getEvents(query = {}) {
+    const filter = {};
+    if (query.ticker) filter.ticker = query.ticker.toUpperCase();
+    if (query.metric) filter.metric = query.metric;
+    if (query.active !== undefined && query.active !== '') filter.active = String(query.active) === 'true';
+    if (query.since) filter.last_detected_at = { $gte: new Date(query.since) };
+    if (query.severity) {
+      const minimum = this.severityRank(query.severity);
+      filter.severity = { $in: this.severityLevels.map(level => level.severity).filter(severity => this.severityRank(severity) >= minimum) };
+    }
+
+    const limit = query.limit !== undefined ? Number(query.limit) : 50;
+    const [events, total] = await Promise.all([
+      AnomalyEvent.find(filter).sort({ last_detected_at: -1, peak_score: -1 }).limit(limit).lean(),
+      AnomalyEvent.countDocuments(filter)
+    ]);
+    return { events, total };
+  }
+
+  async getBaseline(ticker) {
+    return TickerBaseline.findOne({ ticker: ticker.toUpperCase() }).lean();
+  }
+
+  round(value, digits = 2) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+  }
+}
+
+module.exports = new AnomalyService();
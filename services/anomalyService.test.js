@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const anomalyService = require('./anomalyService');
+
+const hourMs = 60 * 60 * 1000;
+const end = new Date(Date.UTC(2024, 2, 1));
+const baselineTo = new Date(end.getTime() - 24 * hourMs);
+const baselineFrom = new Date(baselineTo.getTime() - 28 * 24 * hourMs);
+
+// Busier during US hours, with a little hour-to-hour wobble and steady mildly positive sentiment
+function quietBuckets(from, to) {
+  const buckets = [];
+  for (let time = from.getTime(); time < to.getTime(); time += hourMs) {
+    const hour = new Date(time);
+    const daytime = hour.getUTCHours() >= 13 && hour.getUTCHours() < 22;
+    const mentions = (daytime ? 4 : 1) + (Math.floor(time / hourMs) % 3);
+    buckets.push({
+      hour,
+      mentions,
+      authors: Array.from({ length: mentions }, (_, i) => `author${i}`),
+      sentiment_total: mentions * (10 + (Math.floor(time / hourMs) % 5)),
+      subreddits: [{ subreddit: 'stocks', mentions }]
+    });
+  }
+  return buckets;
+}
+
+function spikeHour(hour, mentions, sentiment) {
+  return {
+    hour,
+    mentions,
+    authors: Array.from({ length: mentions }, (_, i) => `spike${i}`),
+    sentiment_total: mentions * sentiment,
+    subreddits: [{ subreddit: 'wallstreetbets', mentions }]
+  };
+}
+
+const baseline = anomalyService.buildBaseline(quietBuckets(baselineFrom, baselineTo), baselineFrom, baselineTo, null);
+
+test('buildBaseline learns the level and a daytime seasonal peak', () => {
+  assert.equal(baseline.coverage_hours, 28 * 24);
+  assert.ok(baseline.hour_of_day[16] > 1);
+  assert.ok(baseline.hour_of_day[4] < 1);
+  assert.ok(baseline.residuals.some(item => item.metric === 'sentiment' && item.window_hours === 24 && item.samples > 0));
+});
+
+test('scoreTicker stays quiet on ordinary activity', () => {
+  const recent = quietBuckets(new Date(end.getTime() - 24 * hourMs), end);
+  assert.deepEqual(anomalyService.scoreTicker(baseline, recent, end), []);
+});
+
+test('scoreTicker flags a mention and author spike in the last hour', () => {
+  const recent = quietBuckets(new Date(end.getTime() - 24 * hourMs), new Date(end.getTime() - hourMs));
+  recent.push(spikeHour(new Date(end.getTime() - hourMs), 80, 12));
+
+  const findings = anomalyService.scoreTicker(baseline, recent, end);
+  const mentions = findings.find(finding => finding.metric === 'mentions' && finding.window_hours === 1);
+
+  assert.ok(mentions);
+  assert.equal(mentions.direction, 'spike');
+  assert.equal(mentions.severity, 'high');
+  assert.equal(mentions.observed, 80);
+  assert.equal(mentions.subreddits[0].subreddit, 'wallstreetbets');
+  assert.ok(findings.some(finding => finding.metric === 'unique_authors'));
+});
+
+test('scoreTicker reports a sentiment drop, not a count dip', () => {
+  const recent = quietBuckets(new Date(end.getTime() - 24 * hourMs), end)
+    .map(bucket => ({ ...bucket, sentiment_total: bucket.mentions * -60 }));
+
+  const findings = anomalyService.scoreTicker(baseline, recent, end);
+
+  assert.ok(findings.length > 0);
+  assert.ok(findings.every(finding => finding.metric === 'sentiment' && finding.direction === 'drop'));
+});
+
+test('severityFor maps scores onto the configured levels', () => {
+  assert.equal(anomalyService.severityFor(9), 'high');
+  assert.equal(anomalyService.severityFor(-6), 'medium');
+  assert.equal(anomalyService.severityFor(4), 'low');
+  assert.equal(anomalyService.severityFor(2), null);
+});
+
+test('detect skips the baseline refresh while another run holds the guard', async (t) => {
+  const refresh = t.mock.method(anomalyService, 'refreshBaselines', async () => ({}));
+  anomalyService.running = true;
+  try {
+    assert.equal(await anomalyService.detect({ refreshBaselines: true }), null);
+    assert.equal(refresh.mock.callCount(), 0);
+  } finally {
+    anomalyService.running = false;
+  }
+});
@@ -0,0 +1,285 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ApiCacheEntry = require('../models/ApiCacheEntry');
+
+const minute = 60 * 1000;
+const hour = 60 * minute;
+const day = 24 * hour;
+
+class ApiCache {
+  constructor() {
+    // ttl: served as-is; stale: extra time it is still served while a refetch runs in the background
+    this.policies = {
+      alphavantage: {
+        global_quote: { ttl: 15 * minute, stale: 6 * hour },
+        time_series_intraday: { ttl: 5 * minute, stale: hour },
+        time_series_daily: { ttl: 12 * hour, stale: 7 * day },
+        symbol_search: { ttl: 7 * day, stale: 30 * day },
+        sector: { ttl: hour, stale: day },
+        default: { ttl: 12 * hour, stale: 2 * day } // technical indicators
+      },
+      newsapi: {
+        default: { ttl: 15 * minute, stale: 6 * hour }
+      },
+      fred: {
+        // Most series are daily or slower
+        latest: { ttl: 6 * hour, stale: 7 * day },
+        history: { ttl: day, stale: 30 * day },
+        default: { ttl: hour, stale: day }
+      },
+      claude: {
+        // The same prompt gets the same answer at temperature 0.1; no point revalidating
+        default: { ttl: 30 * day, stale: 0 }
+      },
+      default: {
+        default: { ttl: hour, stale: 0 }
+      }
+    };
+    this.applyPolicyOverrides(process.env.API_CACHE_POLICIES);
+
+    this.enabled = process.env.API_CACHE_ENABLED !== 'false';
+    this.inflight = new Map();
+    this.metrics = {};
+  }
+
+  // API_CACHE_POLICIES='{"newsapi.default":{"ttl_minutes":60,"stale_minutes":720}}'
+  applyPolicyOverrides(json) {
+    if (!json) return;
+    try {
+      for (const [name, policy] of Object.entries(JSON.parse(json))) {
+        const [provider, operation = 'default'] = name.split('.');
+        const current = this.getPolicy(provider, operation);
+        this.policies[provider] = this.policies[provider] || {};
+        this.policies[provider][operation] = {
+          ttl: policy.ttl_minutes != null ? policy.ttl_minutes * minute : current.ttl,
+          stale: policy.stale_minutes != null ? policy.stale_minutes * minute : current.stale
+        };
+      }
+    } catch (error) {
+      console.error('❌ Ignoring invalid API_CACHE_POLICIES:', error.message);
+    }
+  }
+
+  getPolicy(provider, operation) {
+    const policies = this.policies[provider] || this.policies.default;
+    return policies[operation] || policies.default || this.policies.default.default;
+  }
+
+  // Stable key: same params in any property order give the same entry
+  buildKey(provider, operation, params) {
+    const hash = crypto.createHash('sha1').update(this.stableStringify(params)).digest('hex');
+    return `${provider}:${operation}:${hash}`;
+  }
+
+  stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(item => this.stableStringify(item)).join(',')}]`;
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  isConnected() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  // Return the cached value for provider/operation/params, fetching it when missing or expired.
+  // Values go through JSON, so cache raw API payloads rather than objects holding Dates.
+  // Stale entries are returned at once and refreshed in the background; fetch errors fall back to any entry still stored
+  async wrap(provider, operation, params, fetcher, options = {}) {
+    const { cacheable = (value) => value !== undefined && value !== null } = options;
+
+    if (!this.enabled || !this.isConnected()) {
+      this.count(provider, 'bypassed');
+      return fetcher();
+    }
+
+    const key = this.buildKey(provider, operation, params);
+    let entry = null;
+    try {
+      entry = await ApiCacheEntry.findOne({ key }).lean();
+    } catch (error) {
+      console.error(`❌ API cache read failed for ${provider}/${operation}:`, error.message);
+    }
+
+    const now = Date.now();
+    if (entry && entry.expires_at > now) {
+      this.recordHit(key);
+      if (entry.fresh_until > now) {
+        this.count(provider, 'hits');
+      } else {
+        this.count(provider, 'stale_hits');
+        this.refresh(provider, operation, params, key, fetcher, cacheable).catch(() => {});
+      }
+      return JSON.parse(entry.body);
+    }
+
+    this.count(provider, 'misses');
+    try {
+      return await this.refresh(provider, operation, params, key, fetcher, cacheable);
+    } catch (error) {
+      if (entry) {
+        this.count(provider, 'served_after_error');
+        console.log(`♻️ ${provider} ${operation} failed (${error.message}); serving cached response from ${entry.fetched_at.toISOString()}`);
+        return JSON.parse(entry.body);
+      }
+      throw error;
+    }
+  }
+
+  // Fetch and store; concurrent callers for the same key share one request
+  refresh(provider, operation, params, key, fetcher, cacheable) {
+    if (this.inflight.has(key)) {
+      return this.inflight.get(key);
+    }
+
+    const request = (async () => {
+      try {
+        const value = await fetcher();
+        if (cacheable(value)) {
+          await this.store(provider, operation, params, key, value);
+        }
+        return value;
+      } catch (error) {
+        this.count(provider, 'errors');
+        throw error;
+      } finally {
+        this.inflight.delete(key);
+      }
+    })();
+
+    this.inflight.set(key, request);
+    return request;
+  }
+
+  async store(provider, operation, params, key, value) {
+    const policy = this.getPolicy(provider, operation);
+    const now = Date.now();
+    const body = JSON.stringify(value);
+
+    try {
+      await ApiCacheEntry.updateOne(
+        { key },
+        {
+          $set: {
+            provider,
+            operation,
+            params,
+            body,
+            fetched_at: new Date(now),
+            fresh_until: new Date(now + policy.ttl),
+            expires_at: new Date(now + policy.ttl + policy.stale),
+            size_bytes: Buffer.byteLength(body)
+          },
+          $setOnInsert: { hits: 0 }
+        },
+        { upsert: true }
+      );
+      this.count(provider, 'stored');
+    } catch (error) {
+      console.error(`❌ API cache write failed for ${provider}/${operation}:`, error.message);
+    }
+  }
+
+  recordHit(key) {
+    ApiCacheEntry.updateOne({ key }, { $inc: { hits: 1 }, $set: { last_hit_at: new Date() } })
+      .catch(error => console.error('❌ API cache hit update failed:', error.message));
+  }
+
+  count(provider, metric) {
+    if (!this.metrics[provider]) {
+      this.metrics[provider] = { hits: 0, stale_hits: 0, misses: 0, stored: 0, errors: 0, served_after_error: 0, bypassed: 0, since: new Date() };
+    }
+    this.metrics[provider][metric]++;
+  }
+
+  // Counters since startup for one provider, with the share of lookups answered from the cache
+  getMetrics(provider) {
+    const metrics = this.metrics[provider] || { hits: 0, stale_hits: 0, misses: 0, stored: 0, errors: 0, served_after_error: 0, bypassed: 0, since: null };
+    const lookups = metrics.hits + metrics.stale_hits + metrics.misses;
+    return {
+      enabled: this.enabled,
+      ...metrics,
+      hit_rate: lookups > 0 ? Math.round(((metrics.hits + metrics.stale_hits) / lookups) * 1000) / 1000 : null
+    };
+  }
+
+  // Stored entries per provider and operation
+  async getStats() {
+    const stored = await ApiCacheEntry.aggregate([
+      {
+        $group: {
+          _id: { provider: '$provider', operation: '$operation' },
+          entries: { $sum: 1 },
+          fresh: { $sum: { $cond: [{ $gt: ['$fresh_until', new Date()] }, 1, 0] } },
+          hits: { $sum: '$hits' },
+          size_bytes: { $sum: '$size_bytes' },
+          oldest: { $min: '$fetched_at' },
+          newest: { $max: '$fetched_at' }
+        }
+      },
+      { $sort: { '_id.provider': 1, '_id.operation': 1 } }
+    ]);
+
+    const providers = {};
+    for (const row of stored) {
+      const name = row._id.provider;
+      if (!providers[name]) {
+        providers[name] = { metrics: this.getMetrics(name), operations: [] };
+      }
+      providers[name].operations.push({
+        operation: row._id.operation,
+        entries: row.entries,
+        fresh: row.fresh,
+        hits: row.hits,
+        size_bytes: row.size_bytes,
+        oldest: row.oldest,
+        newest: row.newest
+      });
+    }
+    for (const name of Object.keys(this.metrics)) {
+      if (!providers[name]) providers[name] = { metrics: this.getMetrics(name), operations: [] };
+    }
+
+    return { enabled: this.enabled, policies: this.describePolicies(), providers };
+  }
+
+  describePolicies() {
+    const described = {};
+    for (const [provider, operations] of Object.entries(this.policies)) {
+      described[provider] = {};
+      for (const [operation, policy] of Object.entries(operations)) {
+        described[provider][operation] = { ttl_minutes: policy.ttl / minute, stale_minutes: policy.stale / minute };
+      }
+    }
+    return described;
+  }
+
+  buildFilter({ provider, operation, key } = {}) {
+    const filter = {};
+    if (provider) filter.provider = provider;
+    if (operation) filter.operation = operation;
+    if (key) filter.key = key;
+    return filter;
+  }
+
+  // Entry metadata, newest first; cached values only when asked for
+  async listEntries(filters = {}, options = {}) {
+    const { limit = 50, includeValues = false } = options;
+    const entries = await ApiCacheEntry.find(this.buildFilter(filters))
+      .sort({ fetched_at: -1 })
+      .limit(limit)
+      .select(includeValues ? {} : { body: 0 })
+      .lean();
+
+    return entries.map(({ body, ...entry }) => (includeValues ? { ...entry, value: JSON.parse(body) } : entry));
+  }
+
+  async purge(filters = {}) {
+    const result = await ApiCacheEntry.deleteMany(this.buildFilter(filters));
+    console.log(`🧹 Purged ${result.deletedCount} API cache entries${filters.provider ? ` for ${filters.provider}` : ''}`);
+    return result.deletedCount;
+  }
+}
+
+module.exports = new ApiCache();
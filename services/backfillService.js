@@ -0,0 +1,495 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { spawn } = require('child_process');
+const { pipeline } = require('stream');
+const BackfillJob = require('../models/BackfillJob');
+const RedditPost = require('../models/RedditPost');
+const RedditComment = require('../models/RedditComment');
+const SubredditConfig = require('../models/SubredditConfig');
+const redditService = require('./redditService');
+const dataProcessor = require('./dataProcessor');
+const realtimeService = require('./realtimeService');
+require('dotenv').config();
+
+class BackfillService {
+  constructor() {
+    // Archive files are only read from here so the admin route can't open arbitrary paths
+    this.archiveDir = process.env.BACKFILL_DIR || path.join(__dirname, '..', 'data', 'backfill');
+
+    // Save the checkpoint (and emit progress) every N lines
+    this.checkpointEvery = 500;
+
+    // Parent post lookups for comment files, most recent first
+    this.parentCacheSize = 5000;
+
+    // Pushshift dumps are compressed with --long=31
+    this.zstdWindowLogMax = 31;
+
+    // Noise filter defaults for subreddits with no SubredditConfig (same as processRedditPosts)
+    this.defaultConfig = {
+      min_upvotes: 10,
+      min_comments: 3,
+      quality_threshold: 30,
+      exclude_flairs: [],
+      min_comment_score: 1
+    };
+
+    this.activeJobId = null;
+    this.stopRequested = false;
+  }
+
+  // Resolve a path relative to the archive directory, refusing anything outside it
+  resolveArchivePath(filePath) {
+    const root = path.resolve(this.archiveDir);
+    const resolved = path.resolve(root, filePath);
+    if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+      throw new Error(`Archive files must be inside ${root}`);
+    }
+    return resolved;
+  }
+
+  // NDJSON archives in the archive directory (.ndjson, .jsonl, .json, .zst)
+  async listArchiveFiles() {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(this.archiveDir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const files = [];
+    for (const entry of entries) {
+      if (!entry.isFile() || !/\.(ndjson|jsonl|json|zst)$/i.test(entry.name)) continue;
+      const stats = await fs.promises.stat(path.join(this.archiveDir, entry.name));
+      files.push({
+        name: entry.name,
+        size: stats.size,
+        compression: this.detectCompression(path.join(this.archiveDir, entry.name)),
+        modified_at: stats.mtime
+      });
+    }
+
+    return files.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // zstd frames start with 28 B5 2F FD
+  detectCompression(filePath) {
+    if (/\.zst$/i.test(filePath)) return 'zstd';
+
+    const fd = fs.openSync(filePath, 'r');
+    try {
+      const magic = Buffer.alloc(4);
+      fs.readSync(fd, magic, 0, 4, 0);
+      return magic.equals(Buffer.from([0x28, 0xb5, 0x2f, 0xfd])) ? 'zstd' : 'none';
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  // Create a job for an archive file; it starts when runJob is called
+  async createJob(filePath, options = {}) {
+    const { kind = 'auto', subreddits = [], after = null, before = null, minScore = 0 } = options;
+    const resolved = path.isAbsolute(filePath) && options.allowAnyPath ? filePath : this.resolveArchivePath(filePath);
+
+    const stats = await fs.promises.stat(resolved).catch(() => null);
+    if (!stats || !stats.isFile()) {
+      throw new Error(`Archive file ${filePath} not found`);
+    }
+
+    const job = new BackfillJob({
+      file_path: resolved,
+      file_size: stats.size,
+      compression: this.detectCompression(resolved),
+      kind,
+      filters: {
+        subreddits: subreddits.map(name => name.replace(/^r\//i, '').toLowerCase()),
+        after: after ? new Date(after) : undefined,
+        before: before ? new Date(before) : undefined,
+        min_score: Number(minScore) || 0
+      }
+    });
+    await job.save();
+
+    console.log(`🗄️ Created backfill job ${job._id} for ${path.basename(resolved)} (${job.compression})`);
+    return job;
+  }
+
+  isRunning() {
+    return this.activeJobId !== null;
+  }
+
+  // Ask the running job to stop at the next line; it saves its checkpoint and becomes 'paused'
+  requestPause(jobId) {
+    if (!this.activeJobId || this.activeJobId !== jobId.toString()) return false;
+    this.stopRequested = true;
+    return true;
+  }
+
+  // Stream the file from the job's checkpoint, processing one line at a time
+  async runJob(jobId, options = {}) {
+    const { onProgress = null } = options;
+
+    if (this.isRunning()) {
+      throw new Error(`Backfill job ${this.activeJobId} is already running`);
+    }
+
+    const job = await BackfillJob.findById(jobId);
+    if (!job) throw new Error(`Backfill job ${jobId} not found`);
+    // Paused, failed and stale 'running' jobs (cut off by a restart) all resume from the checkpoint
+    if (job.status === 'completed') return job;
+
+    this.activeJobId = job._id.toString();
+    this.stopRequested = false;
+
+    const context = {
+      configs: new Map(),
+      parents: new Map(),
+      linesSinceCheckpoint: 0
+    };
+    const resumeFromLine = job.checkpoint.lines_read;
+    let source = null;
+
+    try {
+      job.status = 'running';
+      job.started_at = job.started_at || new Date();
+      job.last_error = undefined;
+      await job.save();
+
+      console.log(`🗄️ Backfill ${job._id}: ${path.basename(job.file_path)} from line ${resumeFromLine}`);
+      source = this.openSource(job);
+
+      let lineNumber = job.compression === 'none' ? resumeFromLine : 0;
+      for await (const { line, bytes } of this.readLines(source.stream)) {
+        // Compressed files can't seek, so skip what the last run already read
+        if (lineNumber < resumeFromLine) {
+          lineNumber++;
+          continue;
+        }
+        lineNumber++;
+
+        await this.processLine(line, job, context);
+        job.checkpoint.lines_read = lineNumber;
+        job.checkpoint.byte_offset += job.compression === 'none' ? bytes : 0;
+        job.checkpoint.compressed_bytes_read = source.compressedBytesRead();
+
+        if (++context.linesSinceCheckpoint >= this.checkpointEvery) {
+          await this.saveCheckpoint(job, context, onProgress);
+        }
+        if (this.stopRequested) break;
+      }
+
+      await source.done();
+
+      job.status = this.stopRequested ? 'paused' : 'completed';
+      if (job.status === 'completed') {
+        job.finished_at = new Date();
+        // Mention windows and decay factors depend on created_utc, which is historical here
+        await dataProcessor.updateStockDataAggregations();
+        await dataProcessor.updateTimeDecayFactors();
+      }
+      await this.saveCheckpoint(job, context, onProgress);
+
+      console.log(`${job.status === 'completed' ? '✅' : '⏸️'} Backfill ${job._id} ${job.status}: ${job.counts.imported_posts} posts, ${job.counts.imported_comments} comments from ${job.checkpoint.lines_read} lines`);
+      return job;
+    } catch (error) {
+      console.error(`❌ Backfill ${job._id} failed:`, error.message);
+      job.status = 'failed';
+      job.last_error = error.message;
+      await this.saveCheckpoint(job, context, onProgress).catch(() => {});
+      return job;
+    } finally {
+      if (source) source.close();
+      this.activeJobId = null;
+      this.stopRequested = false;
+    }
+  }
+
+  async saveCheckpoint(job, context, onProgress) {
+    job.checkpoint.saved_at = new Date();
+    job.markModified('checkpoint');
+    job.markModified('counts');
+    await job.save();
+    context.linesSinceCheckpoint = 0;
+
+    const summary = this.summarizeJob(job);
+    realtimeService.emitToRoom(realtimeService.rooms.processing, 'backfillProgress', summary);
+    if (onProgress) onProgress(summary);
+  }
+
+  summarizeJob(job) {
+    return {
+      id: job._id,
+      file: path.basename(job.file_path),
+      status: job.status,
+      progress_percent: job.progress_percent,
+      lines_read: job.checkpoint.lines_read,
+      last_created_utc: job.checkpoint.last_created_utc,
+      counts: job.counts.toObject ? job.counts.toObject() : job.counts,
+      last_error: job.last_error || null
+    };
+  }
+
+  // Readable stream of decompressed NDJSON, plus a counter of file bytes consumed
+  openSource(job) {
+    const start = job.compression === 'none' ? job.checkpoint.byte_offset : 0;
+    const input = fs.createReadStream(job.file_path, { start });
+    let compressedBytes = 0;
+    input.on('data', chunk => { compressedBytes += chunk.length; });
+
+    if (job.compression === 'none') {
+      return {
+        stream: input,
+        compressedBytesRead: () => start + compressedBytes,
+        done: async () => {},
+        close: () => input.destroy()
+      };
+    }
+
+    // Newer Node versions ship zstd in zlib; otherwise fall back to the zstd CLI
+    if (typeof zlib.createZstdDecompress === 'function') {
+      const decompress = zlib.createZstdDecompress({
+        params: { [zlib.constants.ZSTD_d_windowLogMax]: this.zstdWindowLogMax }
+      });
+      pipeline(input, decompress, () => {});
+      return {
+        stream: decompress,
+        compressedBytesRead: () => compressedBytes,
+        done: async () => {},
+        close: () => { input.destroy(); decompress.destroy(); }
+      };
+    }
+
+    const child = spawn('zstd', ['-dc', `--long=${this.zstdWindowLogMax}`], { stdio: ['pipe', 'pipe', 'pipe'] });
+    let stderr = '';
+    child.stderr.on('data', chunk => { stderr += chunk.toString(); });
+    child.stdin.on('error', () => {}); // EPIPE when we stop reading early
+
+    const exited = new Promise((resolve, reject) => {
+      child.on('error', error => {
+        const message = error.code === 'ENOENT'
+          ? 'zstd is not installed; install it or decompress the archive first'
+          : error.message;
+        child.stdout.destroy(new Error(message));
+        reject(new Error(message));
+      });
+      child.on('close', code => resolve(code));
+    });
+    exited.catch(() => {});
+    pipeline(input, child.stdin, () => {});
+
+    return {
+      stream: child.stdout,
+      compressedBytesRead: () => compressedBytes,
+      done: async () => {
+        if (this.stopRequested) return;
+        const code = await exited;
+        if (code !== 0) throw new Error(`zstd exited with code ${code}: ${stderr.trim()}`);
+      },
+      close: () => {
+        input.destroy();
+        if (child.exitCode === null) child.kill();
+      }
+    };
+  }
+
+  // Split a byte stream into lines, reporting each line's size in bytes (newline included)
+  async *readLines(stream) {
+    let remainder = Buffer.alloc(0);
+
+    for await (const chunk of stream) {
+      const buffer = remainder.length > 0 ? Buffer.concat([remainder, chunk]) : chunk;
+      let start = 0;
+      let newline;
+
+      while ((newline = buffer.indexOf(10, start)) !== -1) {
+        yield { line: buffer.toString('utf8', start, newline), bytes: newline - start + 1 };
+        start = newline + 1;
+      }
+      remainder = buffer.subarray(start);
+    }
+
+    if (remainder.length > 0) {
+      yield { line: remainder.toString('utf8'), bytes: remainder.length };
+    }
+  }
+
+  async processLine(line, job, context) {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+
+    let raw;
+    try {
+      raw = JSON.parse(trimmed);
+    } catch (error) {
+      job.counts.invalid_lines++;
+      return;
+    }
+
+    const isSubmission = raw.title !== undefined;
+    const isComment = !isSubmission && raw.body !== undefined && !!raw.link_id;
+    if (!isSubmission && !isComment) {
+      job.counts.invalid_lines++;
+      return;
+    }
+
+    if (isSubmission) job.counts.submissions++;
+    else job.counts.comments++;
+
+    if ((job.kind === 'submissions' && !isSubmission) || (job.kind === 'comments' && !isComment) || !this.passesFilters(raw, job.filters)) {
+      job.counts.skipped_filtered++;
+      return;
+    }
+
+    try {
+      if (isSubmission) {
+        await this.importSubmission(raw, job, context);
+      } else {
+        await this.importComment(raw, job, context);
+      }
+      job.checkpoint.last_reddit_id = raw.id;
+      job.checkpoint.last_created_utc = new Date(Number(raw.created_utc) * 1000);
+    } catch (error) {
+      job.counts.errors++;
+      job.last_error = `${raw.id}: ${error.message}`;
+      console.error(`❌ Backfill error on ${raw.id}:`, error.message);
+    }
+  }
+
+  // Deleted authors, subreddit, date range and score filters
+  passesFilters(raw, filters) {
+    if (!raw.id || !raw.subreddit || !raw.author || raw.author === '[deleted]') return false;
+
+    if (filters.subreddits && filters.subreddits.length > 0 && !filters.subreddits.includes(raw.subreddit.toLowerCase())) {
+      return false;
+    }
+
+    const created = Number(raw.created_utc) * 1000;
+    if (!created) return false;
+    if (filters.after && created < filters.after.getTime()) return false;
+    if (filters.before && created >= filters.before.getTime()) return false;
+
+    return (raw.score ?? raw.ups ?? 0) >= (filters.min_score || 0);
+  }
+
+  // Pushshift fields in the shape snoowrap objects have, so the live formatters apply unchanged
+  toSnoowrapShape(raw) {
+    const removed = (text) => (text === '[removed]' || text === '[deleted]' ? '' : text);
+    return {
+      ...raw,
+      author: { name: raw.author },
+      selftext: removed(raw.selftext || ''),
+      body: removed(raw.body || ''),
+      ups: raw.ups ?? raw.score ?? 0,
+      score: raw.score ?? raw.ups ?? 0,
+      num_comments: raw.num_comments || 0,
+      created_utc: Number(raw.created_utc)
+    };
+  }
+
+  async getSubredditConfig(name, context) {
+    if (!context.configs.has(name)) {
+      const config = await SubredditConfig.findOne({ name });
+      context.configs.set(name, config || { name, config: this.defaultConfig });
+    }
+    return context.configs.get(name);
+  }
+
+  async importSubmission(raw, job, context) {
+    const subreddit = raw.subreddit.toLowerCase();
+    const postData = redditService.formatPostData(this.toSnoowrapShape(raw), subreddit);
+
+    if (await RedditPost.exists({ reddit_id: postData.reddit_id })) {
+      job.counts.skipped_existing++;
+      return;
+    }
+
+    // Daily threads are kept as containers so their comments have a parent
+    if (postData.is_daily_thread) {
+      await dataProcessor.getOrCreateThreadPost(postData);
+      job.counts.daily_threads++;
+      return;
+    }
+
+    const subredditConfig = await this.getSubredditConfig(subreddit, context);
+    const saved = await dataProcessor.processPost(postData, subredditConfig, { lookupUsers: false, useClaude: false, trackEngagement: false });
+
+    if (saved) {
+      job.counts.imported_posts++;
+      this.rememberParent(context, saved);
+    } else {
+      job.counts.skipped_no_tickers++;
+    }
+  }
+
+  async importComment(raw, job, context) {
+    const subreddit = raw.subreddit.toLowerCase();
+    const postId = raw.link_id.replace(/^t3_/, '');
+
+    const parent = await this.findParent(postId, context);
+    if (!parent) {
+      job.counts.skipped_no_parent++;
+      return;
+    }
+
+    // Archives don't record depth; replies to the submission itself are top level
+    const depth = raw.parent_id && raw.parent_id.startsWith('t3_') ? 0 : 1;
+    const commentData = redditService.formatCommentData(this.toSnoowrapShape(raw), subreddit, postId, depth);
+
+    if (await RedditComment.exists({ reddit_id: commentData.reddit_id })) {
+      job.counts.skipped_existing++;
+      return;
+    }
+
+    const subredditConfig = await this.getSubredditConfig(subreddit, context);
+    const saved = await dataProcessor.processComment(commentData, parent, subredditConfig, 'backfill');
+
+    if (saved) {
+      job.counts.imported_comments++;
+    } else {
+      job.counts.skipped_no_tickers++;
+    }
+  }
+
+  // Comments whose submission wasn't imported (no tickers) have nothing to attach to
+  async findParent(postId, context) {
+    if (context.parents.has(postId)) return context.parents.get(postId);
+
+    const parent = await RedditPost.findOne({ reddit_id: postId });
+    this.rememberParent(context, parent, postId);
+    return parent;
+  }
+
+  rememberParent(context, post, postId = post && post.reddit_id) {
+    context.parents.set(postId, post);
+    if (context.parents.size > this.parentCacheSize) {
+      context.parents.delete(context.parents.keys().next().value);
+    }
+  }
+
+  async listJobs(options = {}) {
+    const { status = null, limit = 20 } = options;
+    const query = status ? { status } : {};
+    return BackfillJob.find(query).sort({ createdAt: -1 }).limit(limit);
+  }
+
+  // Archive directory, zstd backend and job counts by status
+  async getStatus() {
+    const [running, paused, failed, completed] = await Promise.all([
+      BackfillJob.countDocuments({ status: 'running' }),
+      BackfillJob.countDocuments({ status: 'paused' }),
+      BackfillJob.countDocuments({ status: 'failed' }),
+      BackfillJob.countDocuments({ status: 'completed' })
+    ]);
+
+    return {
+      archive_dir: path.resolve(this.archiveDir),
+      active_job: this.activeJobId,
+      zstd: typeof zlib.createZstdDecompress === 'function' ? 'zlib' : 'cli',
+      jobs: { running, paused, failed, completed }
+    };
+  }
+}
+
+module.exports = new BackfillService();
@@ -0,0 +1,576 @@
+const RedditPost = require('../models/RedditPost');
+const StockData = require('../models/StockData');
+const marketDataService = require('./marketDataService');
+
+class BacktestService {
+  constructor() {
+    this.defaults = {
+      lookback_days: 90,
+      initial_capital: 10000,
+      position_size: 0.1, // Fraction of equity committed per trade
+      max_concurrent_positions: 10,
+      transaction_cost_bps: 10,
+      signal: {
+        min_mentions: 3,
+        min_authors: 1,
+        long_threshold: 20,
+        short_threshold: -20,
+        allow_short: true,
+        min_quality: 30,
+        weighting: 'quality' // 'equal' | 'quality' | 'upvotes'
+      },
+      entry: {
+        price: 'next_open' // 'next_open' | 'next_close'
+      },
+      exit: {
+        holding_days: 3,
+        take_profit_pct: null,
+        stop_loss_pct: null,
+        exit_on_reversal: false
+      },
+      filters: {
+        subreddits: [],
+        exclude_subreddits: [],
+        authors: [],
+        exclude_authors: [],
+        min_user_quality: 0,
+        require_noise_filter: true
+      },
+      fetch_missing_prices: false,
+      max_tickers: 50
+    };
+    // Numeric options as [section, key, rules]; section is null for top-level keys
+    this.numericOptions = [
+      [null, 'lookback_days', { integer: true, min: 1 }],
+      [null, 'initial_capital', { min: 0, exclusiveMin: true }],
+      [null, 'position_size', { min: 0, exclusiveMin: true, max: 1 }],
+      [null, 'max_concurrent_positions', { integer: true, min: 1 }],
+      [null, 'transaction_cost_bps', { min: 0 }],
+      [null, 'max_tickers', { integer: true, min: 1 }],
+      ['signal', 'min_mentions', { integer: true, min: 1 }],
+      ['signal', 'min_authors', { integer: true, min: 1 }],
+      ['signal', 'long_threshold', {}],
+      ['signal', 'short_threshold', {}],
+      ['signal', 'min_quality', {}],
+      ['exit', 'holding_days', { integer: true, min: 1 }],
+      ['exit', 'take_profit_pct', { min: 0, exclusiveMin: true, nullable: true }],
+      ['exit', 'stop_loss_pct', { min: 0, exclusiveMin: true, nullable: true }],
+      ['filters', 'min_user_quality', {}]
+    ];
+    this.tradingDaysPerYear = 252;
+  }
+
+  // Merge user options over defaults one level deep
+  buildConfig(options = {}) {
+    const config = { ...this.defaults, ...options };
+    ['signal', 'entry', 'exit', 'filters'].forEach(section => {
+      config[section] = { ...this.defaults[section], ...(options[section] || {}) };
+    });
+
+    // JSON bodies may carry numbers as strings; anything that isn't numeric becomes NaN and fails validation
+    this.numericOptions.forEach(([section, key]) => {
+      const target = section ? config[section] : config;
+      const value = target[key];
+      if (value === null || typeof value === 'number') return;
+      target[key] = typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+    });
+
+    config.end_date = options.end_date ? new Date(options.end_date) : new Date();
+    config.start_date = options.start_date
+      ? new Date(options.start_date)
+      : new Date(config.end_date.getTime() - config.lookback_days * 24 * 60 * 60 * 1000);
+    // Upper-cased once validateConfig has checked the entries are strings
+    config.tickers = options.tickers || [];
+
+    return config;
+  }
+
+  // Validate a config, returning a list of problems
+  validateConfig(config) {
+    const errors = [];
+
+    if (isNaN(config.start_date) || isNaN(config.end_date)) errors.push('Invalid start_date or end_date');
+    if (config.start_date >= config.end_date) errors.push('start_date must be before end_date');
+    this.numericOptions.forEach(([section, key, rules]) => {
+      const value = section ? config[section][key] : config[key];
+      const name = section ? `${section}.${key}` : key;
+      if (rules.nullable && value === null) return;
+
+      const inRange = Number.isFinite(value) &&
+        (!rules.integer || Number.isInteger(value)) &&
+        (rules.min === undefined || (rules.exclusiveMin ? value > rules.min : value >= rules.min)) &&
+        (rules.max === undefined || value <= rules.max);
+      if (!inRange) {
+        const bounds = [
+          rules.min !== undefined && `${rules.exclusiveMin ? '>' : '>='} ${rules.min}`,
+          rules.max !== undefined && `<= ${rules.max}`
+        ].filter(Boolean).join(' and ');
+        errors.push(`${name} must be ${rules.integer ? 'an integer' : 'a number'}${bounds ? ` ${bounds}` : ''}${rules.nullable ? ' or null' : ''}`);
+      }
+    });
+    if (config.signal.long_threshold <= config.signal.short_threshold) {
+      errors.push('signal.long_threshold must be greater than signal.short_threshold');
+    }
+    if (!['next_open', 'next_close'].includes(config.entry.price)) errors.push('entry.price must be next_open or next_close');
+    if (!Array.isArray(config.tickers) || config.tickers.some(ticker => typeof ticker !== 'string')) {
+      errors.push('tickers must be an array of strings');
+    }
+    ['subreddits', 'exclude_subreddits', 'authors', 'exclude_authors'].forEach(list => {
+      const value = config.filters[list];
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+        errors.push(`filters.${list} must be an array of strings`);
+      }
+    });
+
+    return errors;
+  }
+
+  // Run a backtest
+  async runBacktest(options = {}) {
+    const startTime = Date.now();
+    const config = this.buildConfig(options);
+    const errors = this.validateConfig(config);
+    if (errors.length > 0) {
+      const error = new Error(errors.join('; '));
+      error.validation = true;
+      throw error;
+    }
+    config.tickers = config.tickers.map(ticker => ticker.toUpperCase());
+
+    console.log(`🔄 Running backtest ${config.start_date.toISOString()} → ${config.end_date.toISOString()}`);
+
+    // 1. Build daily sentiment signals per ticker from stored posts
+    const posts = await this.loadPosts(config);
+    const signalsByTicker = this.buildDailySignals(posts, config);
+    const tickers = Object.keys(signalsByTicker).slice(0, config.max_tickers);
+
+    // 2. Generate trades per ticker against its price history
+    const trades = [];
+    const skipped = [];
+    for (const ticker of tickers) {
+      const bars = await this.loadPriceBars(ticker, config);
+      if (bars.length < 2) {
+        skipped.push({ ticker, reason: 'insufficient_price_data' });
+        continue;
+      }
+      trades.push(...this.simulateTicker(ticker, signalsByTicker[ticker], bars, config));
+    }
+
+    // 3. Portfolio simulation and statistics
+    const portfolio = this.simulatePortfolio(trades, config);
+    const metrics = this.calculateMetrics(portfolio, config);
+
+    console.log(`✅ Backtest complete: ${portfolio.trades.length} trades, hit rate ${(metrics.hit_rate * 100).toFixed(1)}%`);
+
+    return {
+      config: {
+        ...config,
+        start_date: config.start_date.toISOString(),
+        end_date: config.end_date.toISOString()
+      },
+      metrics,
+      equity_curve: portfolio.equity_curve,
+      trades: portfolio.trades,
+      breakdown: {
+        by_ticker: this.groupTrades(portfolio.trades, trade => [trade.ticker]),
+        by_subreddit: this.groupTrades(portfolio.trades, trade => trade.subreddits),
+        by_direction: this.groupTrades(portfolio.trades, trade => [trade.direction])
+      },
+      coverage: {
+        posts_considered: posts.length,
+        tickers_with_signals: Object.keys(signalsByTicker).length,
+        tickers_tested: tickers.length,
+        tickers_skipped: skipped,
+        signals_generated: Object.values(signalsByTicker).reduce((sum, days) => sum + days.length, 0),
+        trades_rejected_capacity: portfolio.rejected
+      },
+      processing_time_ms: Date.now() - startTime
+    };
+  }
+
+  // Load posts matching the config filters
+  async loadPosts(config) {
+    const { filters, signal } = config;
+    const query = {
+      created_utc: { $gte: config.start_date, $lte: config.end_date },
+      processed: true,
+      'tickers.0': { $exists: true },
+      quality_score: { $gte: signal.min_quality }
+    };
+
+    if (filters.require_noise_filter) query.passes_noise_filter = true;
+    if (config.tickers.length > 0) query['tickers.symbol'] = { $in: config.tickers };
+    if (filters.subreddits.length > 0) {
+      query.subreddit = { $in: filters.subreddits.map(s => s.toLowerCase()) };
+    } else if (filters.exclude_subreddits.length > 0) {
+      query.subreddit = { $nin: filters.exclude_subreddits.map(s => s.toLowerCase()) };
+    }
+    if (filters.authors.length > 0) {
+      query.author = { $in: filters.authors };
+    } else if (filters.exclude_authors.length > 0) {
+      query.author = { $nin: filters.exclude_authors };
+    }
+    if (filters.min_user_quality > 0) query.user_quality_score = { $gte: filters.min_user_quality };
+
+    return RedditPost.find(query)
+      .select('tickers subreddit author created_utc sentiment_score quality_score upvotes')
+      .sort({ created_utc: 1 })
+      .lean();
+  }
+
+  // Aggregate posts into one signal per ticker per UTC day
+  buildDailySignals(posts, config) {
+    const buckets = {};
+
+    for (const post of posts) {
+      const day = this.dayKey(post.created_utc);
+      const weight = this.postWeight(post, config.signal.weighting);
+
+      for (const tickerEntry of post.tickers) {
+        const ticker = tickerEntry.symbol;
+        if (config.tickers.length > 0 && !config.tickers.includes(ticker)) continue;
+
+        const key = `${ticker}|${day}`;
+        if (!buckets[key]) {
+          buckets[key] = {
+            ticker,
+            day,
+            mentions: 0,
+            weighted_sum: 0,
+            weight_total: 0,
+            authors: new Set(),
+            subreddits: new Set()
+          };
+        }
+
+        const bucket = buckets[key];
+        bucket.mentions++;
+        bucket.weighted_sum += (tickerEntry.sentiment ?? post.sentiment_score) * weight;
+        bucket.weight_total += weight;
+        bucket.authors.add(post.author);
+        bucket.subreddits.add(post.subreddit);
+      }
+    }
+
+    const signalsByTicker = {};
+    for (const bucket of Object.values(buckets)) {
+      if (bucket.mentions < config.signal.min_mentions) continue;
+      if (bucket.authors.size < config.signal.min_authors) continue;
+
+      const sentiment = bucket.weight_total > 0 ? bucket.weighted_sum / bucket.weight_total : 0;
+      let direction = null;
+      if (sentiment >= config.signal.long_threshold) direction = 'long';
+      else if (sentiment <= config.signal.short_threshold && config.signal.allow_short) direction = 'short';
+
+      if (!signalsByTicker[bucket.ticker]) signalsByTicker[bucket.ticker] = [];
+      signalsByTicker[bucket.ticker].push({
+        day: bucket.day,
+        sentiment,
+        direction,
+        mentions: bucket.mentions,
+        authors: bucket.authors.size,
+        subreddits: [...bucket.subreddits]
+      });
+    }
+
+    // Chronological order, tickers with most signal days first
+    Object.values(signalsByTicker).forEach(days => days.sort((a, b) => a.day.localeCompare(b.day)));
+    return Object.fromEntries(
+      Object.entries(signalsByTicker).sort((a, b) => b[1].length - a[1].length)
+    );
+  }
+
+  postWeight(post, weighting) {
+    switch (weighting) {
+      case 'equal':
+        return 1;
+      case 'upvotes':
+        return Math.log10(Math.max(1, post.upvotes) + 1);
+      case 'quality':
+      default:
+        return Math.max(1, post.quality_score) / 100;
+    }
+  }
+
+  // Load daily OHLC bars (ascending) for the backtest window
+  async loadPriceBars(ticker, config) {
+    const stockData = await StockData.findOne({ ticker }).select('price_data').lean();
+    let points = (stockData && stockData.price_data) || [];
+
+    const windowEnd = new Date(config.end_date.getTime() + (config.exit.holding_days + 7) * 24 * 60 * 60 * 1000);
+    const inWindow = points.filter(p => new Date(p.timestamp) >= config.start_date && new Date(p.timestamp) <= windowEnd);
+
+    // Stored price_data is capped at 100 points, optionally pull full daily history
+    if (inWindow.length < 2 && config.fetch_missing_prices) {
+      try {
+        const daily = await marketDataService.getDailyData(ticker, 'full');
+        points = daily.data;
+      } catch (error) {
+        console.error(`❌ Could not fetch daily prices for ${ticker}:`, error.message);
+      }
+    }
+
+    return this.toDailyBars(points)
+      .filter(bar => bar.date >= this.dayKey(config.start_date) && bar.date <= this.dayKey(windowEnd));
+  }
+
+  // Collapse arbitrary price points into one OHLC bar per day
+  toDailyBars(points) {
+    const byDay = new Map();
+
+    [...points]
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+      .forEach(point => {
+        const date = this.dayKey(point.timestamp);
+        const bar = byDay.get(date);
+        if (!bar) {
+          byDay.set(date, { date, open: point.open, high: point.high, low: point.low, close: point.close });
+        } else {
+          bar.high = Math.max(bar.high, point.high);
+          bar.low = Math.min(bar.low, point.low);
+          bar.close = point.close;
+        }
+      });
+
+    return [...byDay.values()];
+  }
+
+  // Walk the signals for one ticker and produce trades (one open position per ticker)
+  simulateTicker(ticker, signals, bars, config) {
+    const trades = [];
+    const signalByDay = new Map(signals.map(s => [s.day, s]));
+    let openUntilIndex = -1;
+
+    for (const signal of signals) {
+      if (!signal.direction) continue;
+
+      // Enter on the first bar strictly after the signal day
+      const entryIndex = bars.findIndex(bar => bar.date > signal.day);
+      if (entryIndex === -1 || entryIndex <= openUntilIndex) continue;
+
+      const entryBar = bars[entryIndex];
+      const entryPrice = config.entry.price === 'next_open' ? entryBar.open : entryBar.close;
+      if (!entryPrice) continue;
+
+      const exit = this.findExit(bars, entryIndex, entryPrice, signal.direction, signalByDay, config);
+      if (!exit) continue;
+
+      const sign = signal.direction === 'long' ? 1 : -1;
+      const grossReturn = sign * (exit.price - entryPrice) / entryPrice;
+      const costs = 2 * config.transaction_cost_bps / 10000;
+
+      trades.push({
+        ticker,
+        direction: signal.direction,
+        signal_day: signal.day,
+        signal_sentiment: Math.round(signal.sentiment * 100) / 100,
+        signal_mentions: signal.mentions,
+        subreddits: signal.subreddits,
+        entry_date: entryBar.date,
+        entry_price: entryPrice,
+        exit_date: bars[exit.index].date,
+        exit_price: exit.price,
+        exit_reason: exit.reason,
+        holding_days: exit.index - entryIndex + (config.entry.price === 'next_open' ? 1 : 0),
+        return_pct: (grossReturn - costs) * 100
+      });
+
+      openUntilIndex = exit.index;
+    }
+
+    return trades;
+  }
+
+  // Find the exit bar according to the exit rules
+  findExit(bars, entryIndex, entryPrice, direction, signalByDay, config) {
+    const { holding_days, take_profit_pct, stop_loss_pct, exit_on_reversal } = config.exit;
+    const sign = direction === 'long' ? 1 : -1;
+    // Entering at the open means the entry bar itself counts as the first holding day
+    const firstIndex = config.entry.price === 'next_open' ? entryIndex : entryIndex + 1;
+    const lastIndex = Math.min(bars.length - 1, firstIndex + holding_days - 1);
+
+    if (firstIndex > lastIndex) return null;
+
+    for (let i = firstIndex; i <= lastIndex; i++) {
+      const bar = bars[i];
+
+      // Stops are checked before targets so a bar touching both is treated conservatively
+      if (stop_loss_pct) {
+        const stopPrice = entryPrice * (1 - sign * stop_loss_pct / 100);
+        if ((sign > 0 && bar.low <= stopPrice) || (sign < 0 && bar.high >= stopPrice)) {
+          return { index: i, price: stopPrice, reason: 'stop_loss' };
+        }
+      }
+      if (take_profit_pct) {
+        const targetPrice = entryPrice * (1 + sign * take_profit_pct / 100);
+        if ((sign > 0 && bar.high >= targetPrice) || (sign < 0 && bar.low <= targetPrice)) {
+          return { index: i, price: targetPrice, reason: 'take_profit' };
+        }
+      }
+      if (exit_on_reversal) {
+        const signal = signalByDay.get(bar.date);
+        if (signal && signal.direction && signal.direction !== direction) {
+          return { index: i, price: bar.close, reason: 'reversal' };
+        }
+      }
+    }
+
+    // Not enough bars after entry to complete the holding period
+    if (lastIndex - firstIndex + 1 < holding_days && lastIndex === bars.length - 1) {
+      return { index: lastIndex, price: bars[lastIndex].close, reason: 'end_of_data' };
+    }
+
+    return { index: lastIndex, price: bars[lastIndex].close, reason: 'holding_period' };
+  }
+
+  // Allocate trades to a shared equity pool and build a daily equity curve
+  simulatePortfolio(trades, config) {
+    const ordered = [...trades].sort((a, b) => a.entry_date.localeCompare(b.entry_date) || a.ticker.localeCompare(b.ticker));
+    const accepted = [];
+    let rejected = 0;
+
+    // Enforce the concurrent position limit
+    for (const trade of ordered) {
+      const open = accepted.filter(t => t.entry_date <= trade.entry_date && t.exit_date > trade.entry_date).length;
+      if (open >= config.max_concurrent_positions) {
+        rejected++;
+        continue;
+      }
+      accepted.push(trade);
+    }
+
+    // Realize P&L on exit dates, compounding position size against current equity
+    const exitsByDay = new Map();
+    accepted.forEach(trade => {
+      if (!exitsByDay.has(trade.exit_date)) exitsByDay.set(trade.exit_date, []);
+      exitsByDay.get(trade.exit_date).push(trade);
+    });
+
+    const days = this.enumerateDays(config.start_date, config.end_date, accepted);
+    let equity = config.initial_capital;
+    let peak = equity;
+    const curve = [];
+
+    for (const day of days) {
+      const startEquity = equity;
+      for (const trade of exitsByDay.get(day) || []) {
+        const allocation = startEquity * config.position_size;
+        trade.pnl = allocation * trade.return_pct / 100;
+        equity += trade.pnl;
+      }
+
+      peak = Math.max(peak, equity);
+      curve.push({
+        date: day,
+        equity: Math.round(equity * 100) / 100,
+        daily_return_pct: startEquity > 0 ? ((equity - startEquity) / startEquity) * 100 : 0,
+        drawdown_pct: peak > 0 ? ((equity - peak) / peak) * 100 : 0
+      });
+    }
+
+    return { trades: accepted, equity_curve: curve, rejected };
+  }
+
+  // Weekdays between start and the last exit date, plus any exit dates that fall outside them
+  enumerateDays(startDate, endDate, trades) {
+    const lastExit = trades.reduce((max, t) => (t.exit_date > max ? t.exit_date : max), this.dayKey(endDate));
+    const days = new Set(trades.map(t => t.exit_date));
+    const cursor = new Date(`${this.dayKey(startDate)}T00:00:00Z`);
+    const last = new Date(`${lastExit}T00:00:00Z`);
+
+    while (cursor <= last) {
+      const weekday = cursor.getUTCDay();
+      if (weekday !== 0 && weekday !== 6) days.add(this.dayKey(cursor));
+      cursor.setUTCDate(cursor.getUTCDate() + 1);
+    }
+
+    return [...days].sort();
+  }
+
+  // Summary statistics for a simulated portfolio
+  calculateMetrics(portfolio, config) {
+    const { trades, equity_curve: curve } = portfolio;
+    const returns = trades.map(t => t.return_pct);
+    const wins = returns.filter(r => r > 0);
+    const losses = returns.filter(r => r <= 0);
+    const finalEquity = curve.length > 0 ? curve[curve.length - 1].equity : config.initial_capital;
+
+    const dailyReturns = curve.map(point => point.daily_return_pct / 100);
+    const meanDaily = this.mean(dailyReturns);
+    const stdDaily = this.stdDev(dailyReturns);
+    const downside = this.stdDev(dailyReturns.filter(r => r < 0));
+    const years = curve.length / this.tradingDaysPerYear;
+
+    const grossWins = wins.reduce((sum, r) => sum + r, 0);
+    const grossLosses = Math.abs(losses.reduce((sum, r) => sum + r, 0));
+
+    return {
+      total_trades: trades.length,
+      winning_trades: wins.length,
+      losing_trades: losses.length,
+      hit_rate: trades.length > 0 ? wins.length / trades.length : 0,
+      avg_return_pct: this.mean(returns),
+      median_return_pct: this.median(returns),
+      avg_win_pct: this.mean(wins),
+      avg_loss_pct: this.mean(losses),
+      best_trade_pct: returns.length > 0 ? Math.max(...returns) : 0,
+      worst_trade_pct: returns.length > 0 ? Math.min(...returns) : 0,
+      profit_factor: grossLosses > 0 ? grossWins / grossLosses : (grossWins > 0 ? null : 0),
+      total_return_pct: ((finalEquity - config.initial_capital) / config.initial_capital) * 100,
+      annualized_return_pct: years > 0 && finalEquity > 0
+        ? (Math.pow(finalEquity / config.initial_capital, 1 / years) - 1) * 100
+        : 0,
+      sharpe_ratio: stdDaily > 0 ? (meanDaily / stdDaily) * Math.sqrt(this.tradingDaysPerYear) : 0,
+      sortino_ratio: downside > 0 ? (meanDaily / downside) * Math.sqrt(this.tradingDaysPerYear) : 0,
+      max_drawdown_pct: curve.length > 0 ? Math.min(0, ...curve.map(p => p.drawdown_pct)) : 0,
+      avg_holding_days: this.mean(trades.map(t => t.holding_days)),
+      initial_capital: config.initial_capital,
+      final_equity: finalEquity
+    };
+  }
+
+  // Group trades by a key function returning one or more keys
+  groupTrades(trades, keyFn) {
+    const groups = {};
+
+    for (const trade of trades) {
+      for (const key of keyFn(trade)) {
+        if (!groups[key]) groups[key] = [];
+        groups[key].push(trade.return_pct);
+      }
+    }
+
+    return Object.entries(groups)
+      .map(([key, returns]) => ({
+        key,
+        trades: returns.length,
+        hit_rate: returns.filter(r => r > 0).length / returns.length,
+        avg_return_pct: this.mean(returns),
+        total_return_pct: returns.reduce((sum, r) => sum + r, 0)
+      }))
+      .sort((a, b) => b.trades - a.trades);
+  }
+
+  dayKey(date) {
+    return new Date(date).toISOString().split('T')[0];
+  }
+
+  mean(values) {
+    return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+  }
+
+  median(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+  }
+
+  stdDev(values) {
+    if (values.length < 2) return 0;
+    const avg = this.mean(values);
+    return Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - avg, 2), 0) / (values.length - 1));
+  }
+}
+
+module.exports = new BacktestService();
@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const backtestService = require('./backtestService');
+
+// Weekday bars from 2024-01-01, flat at 100 unless overridden by index
+function makeBars(count, overrides = {}) {
+  const bars = [];
+  const cursor = new Date('2024-01-01T00:00:00Z');
+  while (bars.length < count) {
+    const weekday = cursor.getUTCDay();
+    if (weekday !== 0 && weekday !== 6) {
+      bars.push({ date: cursor.toISOString().split('T')[0], open: 100, high: 100, low: 100, close: 100, ...overrides[bars.length] });
+    }
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+  return bars;
+}
+
+function configWith(overrides = {}) {
+  const config = backtestService.buildConfig({ start_date: '2024-01-01', end_date: '2024-02-01', ...overrides });
+  config.transaction_cost_bps = overrides.transaction_cost_bps ?? 0;
+  return config;
+}
+
+test('validateConfig accepts the defaults', () => {
+  assert.deepEqual(backtestService.validateConfig(backtestService.buildConfig({})), []);
+});
+
+test('validateConfig coerces numeric strings', () => {
+  const config = backtestService.buildConfig({ exit: { holding_days: '5' }, max_tickers: '10' });
+  assert.equal(config.exit.holding_days, 5);
+  assert.equal(config.max_tickers, 10);
+  assert.deepEqual(backtestService.validateConfig(config), []);
+});
+
+test('validateConfig rejects non-numeric, fractional and out-of-range numbers', () => {
+  const errors = backtestService.validateConfig(backtestService.buildConfig({
+    max_tickers: 'abc',
+    lookback_days: 2.5,
+    position_size: 2,
+    exit: { holding_days: 0, take_profit_pct: 'x' }
+  }));
+
+  assert.ok(errors.some(error => error.startsWith('max_tickers')));
+  assert.ok(errors.some(error => error.startsWith('lookback_days')));
+  assert.ok(errors.some(error => error.startsWith('position_size')));
+  assert.ok(errors.some(error => error.startsWith('exit.holding_days')));
+  assert.ok(errors.some(error => error.startsWith('exit.take_profit_pct')));
+});
+
+test('validateConfig allows null exit percentages', () => {
+  const config = backtestService.buildConfig({ exit: { take_profit_pct: null, stop_loss_pct: null } });
+  assert.deepEqual(backtestService.validateConfig(config), []);
+});
+
+test('validateConfig requires string tickers and filter lists', () => {
+  assert.deepEqual(backtestService.validateConfig(backtestService.buildConfig({ tickers: [1] })), ['tickers must be an array of strings']);
+  assert.deepEqual(
+    backtestService.validateConfig(backtestService.buildConfig({ filters: { subreddits: 'wallstreetbets' } })),
+    ['filters.subreddits must be an array of strings']
+  );
+});
+
+test('runBacktest rejects bad input as a validation error', async () => {
+  await assert.rejects(backtestService.runBacktest({ tickers: [1] }), error => error.validation === true);
+});
+
+test('buildDailySignals applies mention, author and threshold rules', () => {
+  const post = (author, sentiment, day = '2024-01-02') => ({
+    tickers: [{ symbol: 'GME' }],
+    created_utc: new Date(`${day}T15:00:00Z`),
+    author,
+    subreddit: 'wallstreetbets',
+    sentiment_score: sentiment,
+    quality_score: 50
+  });
+  const config = configWith({ signal: { min_mentions: 2, min_authors: 2 } });
+
+  const signals = backtestService.buildDailySignals([
+    post('a', 60), post('b', 40),
+    post('a', -50, '2024-01-03'), post('a', -50, '2024-01-03'),
+    post('a', 10, '2024-01-04'), post('b', 0, '2024-01-04')
+  ], config);
+
+  assert.deepEqual(signals.GME.map(signal => [signal.day, signal.direction]), [
+    ['2024-01-02', 'long'],
+    ['2024-01-04', null]
+  ]);
+  assert.equal(signals.GME[0].sentiment, 50);
+});
+
+test('simulateTicker enters on the next open and exits after the holding period', () => {
+  const bars = makeBars(10, { 1: { open: 100 }, 3: { close: 110 } });
+  const config = configWith({ exit: { holding_days: 3 } });
+
+  const [trade] = backtestService.simulateTicker('GME', [{ day: '2024-01-01', direction: 'long', sentiment: 50 }], bars, config);
+
+  assert.equal(trade.entry_date, '2024-01-02');
+  assert.equal(trade.exit_date, '2024-01-04');
+  assert.equal(trade.exit_reason, 'holding_period');
+  assert.equal(trade.holding_days, 3);
+  assert.equal(trade.return_pct, 10);
+});
+
+test('simulateTicker takes the stop before the target when one bar touches both', () => {
+  const bars = makeBars(10, { 2: { high: 120, low: 80 } });
+  const config = configWith({ exit: { holding_days: 5, take_profit_pct: 10, stop_loss_pct: 5 } });
+
+  const [trade] = backtestService.simulateTicker('GME', [{ day: '2024-01-01', direction: 'long', sentiment: 50 }], bars, config);
+
+  assert.equal(trade.exit_reason, 'stop_loss');
+  assert.equal(trade.exit_price, 95);
+  assert.equal(trade.return_pct, -5);
+});
+
+test('simulateTicker profits from a short when the price falls, net of costs', () => {
+  const bars = makeBars(10, { 3: { close: 90 } });
+  const config = configWith({ exit: { holding_days: 3 }, transaction_cost_bps: 10 });
+
+  const [trade] = backtestService.simulateTicker('GME', [{ day: '2024-01-01', direction: 'short', sentiment: -50 }], bars, config);
+
+  assert.equal(trade.direction, 'short');
+  assert.ok(Math.abs(trade.return_pct - 9.8) < 1e-9);
+});
+
+test('simulateTicker holds one position per ticker at a time', () => {
+  const bars = makeBars(10);
+  const config = configWith({ exit: { holding_days: 3 } });
+  const signals = ['2024-01-01', '2024-01-02', '2024-01-05'].map(day => ({ day, direction: 'long', sentiment: 50 }));
+
+  const trades = backtestService.simulateTicker('GME', signals, bars, config);
+
+  assert.deepEqual(trades.map(trade => trade.signal_day), ['2024-01-01', '2024-01-05']);
+});
+
+test('simulatePortfolio enforces the concurrent position limit and compounds P&L', () => {
+  const config = configWith({ max_concurrent_positions: 1, position_size: 0.5, initial_capital: 1000 });
+  const trades = [
+    { ticker: 'AMC', entry_date: '2024-01-02', exit_date: '2024-01-04', return_pct: 10 },
+    { ticker: 'GME', entry_date: '2024-01-03', exit_date: '2024-01-05', return_pct: 20 },
+    { ticker: 'GME', entry_date: '2024-01-08', exit_date: '2024-01-09', return_pct: -10 }
+  ];
+
+  const portfolio = backtestService.simulatePortfolio(trades, config);
+  const metrics = backtestService.calculateMetrics(portfolio, config);
+
+  assert.equal(portfolio.rejected, 1);
+  assert.deepEqual(portfolio.trades.map(trade => trade.ticker), ['AMC', 'GME']);
+  // +5% of 1000, then -5% of 1050
+  assert.equal(metrics.final_equity, 997.5);
+  assert.equal(metrics.hit_rate, 0.5);
+  assert.ok(metrics.max_drawdown_pct < 0);
+});
@@ -0,0 +1,336 @@
+const UserProfile = require('../models/UserProfile');
+const RedditPost = require('../models/RedditPost');
+const BotClassifierModel = require('../models/BotClassifierModel');
+const botClassifier = require('../utils/botClassifier');
+const userReputationService = require('./userReputationService');
+const annotationService = require('./annotationService');
+
+const dayMs = 24 * 60 * 60 * 1000;
+
+class BotDetectionService {
+  constructor() {
+    this.modelName = 'bot_classifier';
+    // Posts considered per account: the most recent within the lookback
+    this.lookbackDays = 90;
+    this.maxPostsPerUser = 100;
+    this.batchSize = 200;
+    // likely_inauthentic marks the profile suspicious; anything from reviewThreshold up waits for a reviewer
+    this.inauthenticThreshold = 0.8;
+    this.reviewThreshold = 0.5;
+    this.humanThreshold = 0.2;
+    // Training needs this many labelled accounts, with both classes present
+    this.minTrainingSamples = 10;
+    this.reviewDecisions = ['bot', 'shill', 'human'];
+    this.running = false;
+  }
+
+  // Load the stored model; the classifier falls back to its hand-set coefficients until one is trained
+  async initialize() {
+    const stored = await BotClassifierModel.findOne({ name: this.modelName }).lean();
+    if (stored) {
+      botClassifier.load(stored.parameters);
+      console.log(`   🤖 Loaded bot classifier (${stored.training_samples} labelled accounts, accuracy ${stored.metrics?.accuracy ?? 'n/a'})`);
+    }
+    return stored;
+  }
+
+  // ==================== CLASSIFICATION ====================
+
+  async loadPosts(usernames, now = new Date()) {
+    const posts = await RedditPost.find({
+      author: { $in: usernames },
+      created_utc: { $gte: new Date(now.getTime() - this.lookbackDays * dayMs) }
+    })
+      .select('author title content subreddit created_utc tickers.symbol')
+      .sort({ created_utc: -1 })
+      .lean();
+
+    const byAuthor = new Map(usernames.map(username => [username, []]));
+    for (const post of posts) {
+      const authorPosts = byAuthor.get(post.author);
+      if (authorPosts && authorPosts.length < this.maxPostsPerUser) authorPosts.push(post);
+    }
+    return byAuthor;
+  }
+
+  labelFor(probability) {
+    if (probability >= this.inauthenticThreshold) return 'likely_inauthentic';
+    if (probability <= this.humanThreshold) return 'likely_human';
+    return 'uncertain';
+  }
+
+  // Score a profile and queue it for review when it crosses the threshold; the caller saves
+  classifyProfile(profile, posts, modelTrainedAt = null) {
+    const features = botClassifier.extractFeatures(profile, posts, userReputationService.duplicateContentRatio(posts));
+    const prediction = botClassifier.predict(features.values);
+    const previous = (profile.toObject().bot_classification || {}).review;
+    const reviewed = previous && previous.status === 'reviewed';
+
+    profile.bot_classification = {
+      probability: prediction.probability,
+      label: this.labelFor(prediction.probability),
+      attributions: prediction.attributions,
+      posts_analyzed: features.posts,
+      model_trained_at: modelTrainedAt,
+      classified_at: new Date(),
+      review: reviewed
+        ? previous
+        : { status: prediction.probability >= this.reviewThreshold ? 'pending' : 'none' }
+    };
+
+    return { ...prediction, label: profile.bot_classification.label, features: features.raw };
+  }
+
+  // Classify one account now
+  async classifyUser(username) {
+    const profile = await UserProfile.findOne({ username });
+    if (!profile) return null;
+
+    const posts = (await this.loadPosts([username])).get(username);
+    const model = await this.getModelInfo();
+    const result = this.classifyProfile(profile, posts, model ? model.trained_at : null);
+    await profile.save();
+
+    return {
+      username,
+      ...result,
+      review: profile.bot_classification.review,
+      is_bot: profile.is_bot,
+      is_suspicious: profile.is_suspicious
+    };
+  }
+
+  // Re-score every profile in batches
+  async classifyAll() {
+    if (this.running) {
+      console.log('⏭️ Bot classification already running');
+      return null;
+    }
+    this.running = true;
+
+    try {
+      const started = Date.now();
+      const model = await this.getModelInfo();
+      const trainedAt = model ? model.trained_at : null;
+      const counts = { classified: 0, likely_inauthentic: 0, uncertain: 0, likely_human: 0, pending_review: 0 };
+      let lastId = null;
+
+      for (;;) {
+        const profiles = await UserProfile.find(lastId ? { _id: { $gt: lastId } } : {})
+          .sort({ _id: 1 })
+          .limit(this.batchSize);
+        if (profiles.length === 0) break;
+        lastId = profiles[profiles.length - 1]._id;
+
+        const postsByAuthor = await this.loadPosts(profiles.map(profile => profile.username));
+        for (const profile of profiles) {
+          const result = this.classifyProfile(profile, postsByAuthor.get(profile.username) || [], trainedAt);
+          await profile.save();
+
+          counts.classified++;
+          counts[result.label]++;
+          if (profile.bot_classification.review.status === 'pending') counts.pending_review++;
+        }
+      }
+
+      console.log(`🤖 Bot classification: ${counts.classified} profiles, ${counts.likely_inauthentic} likely inauthentic, ${counts.pending_review} awaiting review`);
+      return { ...counts, model_trained_at: trainedAt, duration_ms: Date.now() - started };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // ==================== TRAINING ====================
+
+  // Labelled accounts from annotations and review decisions; a reviewer's decision wins over annotators' votes
+  async collectTrainingSamples() {
+    const labels = new Map();
+    for (const { author, label } of await annotationService.getAuthorLabels()) {
+      labels.set(author, { label, source: 'annotated' });
+    }
+
+    const reviewed = await UserProfile.find({ 'bot_classification.review.status': 'reviewed' })
+      .select('username bot_classification.review.decision')
+      .lean();
+    for (const profile of reviewed) {
+      labels.set(profile.username, { label: profile.bot_classification.review.decision, source: 'reviewed' });
+    }
+
+    const usernames = [...labels.keys()];
+    const profiles = await UserProfile.find({ username: { $in: usernames } }).lean();
+    const postsByAuthor = await this.loadPosts(usernames);
+
+    return profiles.map(profile => {
+      const posts = postsByAuthor.get(profile.username) || [];
+      const { label, source } = labels.get(profile.username);
+      return {
+        username: profile.username,
+        values: botClassifier.extractFeatures(profile, posts, userReputationService.duplicateContentRatio(posts)).values,
+        label: label === 'human' ? 0 : 1,
+        source
+      };
+    });
+  }
+
+  // Train on all labelled accounts, report metrics from a 1-in-5 holdout, and persist
+  async trainModel(options = {}) {
+    const samples = await this.collectTrainingSamples();
+    const positives = samples.filter(sample => sample.label === 1).length;
+    if (samples.length < this.minTrainingSamples || positives === 0 || positives === samples.length) {
+      const error = new Error(`Training needs at least ${this.minTrainingSamples} labelled accounts including both humans and bots/shills (have ${samples.length}, ${positives} bots/shills)`);
+      error.validation = true;
+      throw error;
+    }
+
+    // Attributions are measured from the average labelled human when there are enough of them
+    const humans = samples.filter(sample => sample.label === 0);
+    const reference = humans.length >= 5
+      ? Object.fromEntries(botClassifier.features.map(feature => [
+        feature,
+        botClassifier.round(humans.reduce((sum, sample) => sum + sample.values[feature], 0) / humans.length, 4)
+      ]))
+      : undefined;
+
+    const holdout = samples.filter((_, i) => i % 5 === 0);
+    botClassifier.train(samples.filter((_, i) => i % 5 !== 0), { reference });
+    const metrics = botClassifier.evaluate(holdout);
+
+    const parameters = botClassifier.train(samples, { reference });
+    const sources = {};
+    samples.forEach(sample => {
+      sources[sample.source] = (sources[sample.source] || 0) + 1;
+    });
+
+    const model = await BotClassifierModel.findOneAndUpdate(
+      { name: this.modelName },
+      {
+        kind: 'logistic_regression',
+        parameters,
+        training_samples: samples.length,
+        sources,
+        metrics: {
+          accuracy: metrics.accuracy,
+          precision: metrics.precision,
+          recall: metrics.recall,
+          log_loss: metrics.log_loss,
+          holdout_samples: metrics.samples,
+          confusion: metrics.confusion
+        },
+        trained_at: new Date()
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    console.log(`🤖 Trained bot classifier on ${samples.length} labelled accounts (holdout accuracy ${metrics.accuracy})`);
+    const trained = model.toObject({ flattenMaps: true });
+    const reclassified = options.reclassify ? await this.classifyAll() : null;
+    return { model: trained, reclassified };
+  }
+
+  async getModelInfo() {
+    return BotClassifierModel.findOne({ name: this.modelName }).select('-parameters').lean();
+  }
+
+  // Coefficients in use, with the stored model's training metrics
+  async getModel() {
+    const stored = await this.getModelInfo();
+    return {
+      ...(stored || { name: this.modelName, training_samples: 0 }),
+      trained: botClassifier.isTrained(),
+      parameters: botClassifier.getModel(),
+      thresholds: {
+        likely_inauthentic: this.inauthenticThreshold,
+        review: this.reviewThreshold,
+        likely_human: this.humanThreshold
+      }
+    };
+  }
+
+  // ==================== REVIEW QUEUE ====================
+
+  // Check review queue parameters, returning a list of problems
+  validateQueueQuery(query = {}) {
+    const errors = [];
+    if (query.status && !['pending', 'reviewed'].includes(query.status)) {
+      errors.push('status must be pending or reviewed');
+    }
+    if (query.decision && !this.reviewDecisions.includes(query.decision)) {
+      errors.push(`decision must be one of ${this.reviewDecisions.join(', ')}`);
+    }
+    const limit = query.limit !== undefined ? Number(query.limit) : 50;
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+      errors.push('limit must be an integer between 1 and 200');
+    }
+    return errors;
+  }
+
+  // Pending accounts most likely inauthentic first, or reviewed accounts most recent first
+  async getReviewQueue(query = {}) {
+    const status = query.status || 'pending';
+    const filter = {
+      'bot_classification.review.status': status,
+      ...(query.decision ? { 'bot_classification.review.decision': query.decision } : {})
+    };
+    const sort = status === 'pending'
+      ? { 'bot_classification.probability': -1 }
+      : { 'bot_classification.review.reviewed_at': -1 };
+    const limit = query.limit !== undefined ? Number(query.limit) : 50;
+
+    const [profiles, total, pending, reviewed] = await Promise.all([
+      UserProfile.find(filter)
+        .select('username account_age karma link_karma comment_karma post_count is_bot is_suspicious coordination.campaigns bot_classification')
+        .sort(sort)
+        .limit(limit)
+        .lean(),
+      UserProfile.countDocuments(filter),
+      UserProfile.countDocuments({ 'bot_classification.review.status': 'pending' }),
+      UserProfile.countDocuments({ 'bot_classification.review.status': 'reviewed' })
+    ]);
+
+    return {
+      accounts: profiles.map(profile => ({
+        username: profile.username,
+        account_age: profile.account_age,
+        karma: profile.karma,
+        link_karma: profile.link_karma,
+        comment_karma: profile.comment_karma,
+        post_count: profile.post_count,
+        is_bot: profile.is_bot,
+        is_suspicious: profile.is_suspicious,
+        campaigns: profile.coordination && profile.coordination.campaigns ? profile.coordination.campaigns.length : 0,
+        classification: profile.bot_classification
+      })),
+      total,
+      counts: { pending, reviewed }
+    };
+  }
+
+  // Record a reviewer's decision; it sets is_bot and overrides the classifier in the suspicion flags
+  async review(username, { decision, reviewer = '', notes = '' }) {
+    const profile = await UserProfile.findOne({ username });
+    if (!profile) return null;
+
+    const classification = profile.toObject().bot_classification || {};
+    profile.bot_classification = {
+      ...classification,
+      review: {
+        status: 'reviewed',
+        decision,
+        reviewed_by: reviewer,
+        reviewed_at: new Date(),
+        notes
+      }
+    };
+    profile.is_bot = decision === 'bot';
+    await profile.save();
+
+    return {
+      username,
+      review: profile.bot_classification.review,
+      is_bot: profile.is_bot,
+      is_suspicious: profile.is_suspicious
+    };
+  }
+}
+
+module.exports = new BotDetectionService();
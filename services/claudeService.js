@@ -1,4 +1,6 @@
+const crypto = require('crypto');
 const Anthropic = require('@anthropic-ai/sdk');
+const apiCache = require('./apiCache');
 require('dotenv').config();
 
 class ClaudeService {
@@ -37,23 +39,11 @@ class ClaudeService {
     }
 
     try {
-      await this.enforceRateLimit();
-      
       const prompt = this.buildSentimentPrompt(text, title, ticker);
       
-      const response = await this.client.messages.create({
-        model: this.model,
-        max_tokens: 500,
-        temperature: 0.1,
-        messages: [{
-          role: 'user',
-          content: prompt
-        }]
-      });
-
-      this.updateUsage(response.usage);
+      const completion = await this.complete('sentiment', prompt, 500);
       
-      const result = this.parseSentimentResponse(response.content[0].text);
+      const result = this.parseSentimentResponse(completion);
       
       console.log(`📊 Claude sentiment analysis: Score ${result.sentiment_score}, Confidence ${result.confidence}%`);
       
@@ -113,23 +103,11 @@ class ClaudeService {
     }
 
     try {
-      await this.enforceRateLimit();
-      
       const prompt = this.buildQualityPrompt(post);
       
-      const response = await this.client.messages.create({
-        model: this.model,
-        max_tokens: 300,
-        temperature: 0.1,
-        messages: [{
-          role: 'user',
-          content: prompt
-        }]
-      });
-
-      this.updateUsage(response.usage);
+      const completion = await this.complete('quality', prompt, 300);
       
-      const result = this.parseQualityResponse(response.content[0].text);
+      const result = this.parseQualityResponse(completion);
       
       console.log(`🎯 Claude quality assessment: Score ${result.quality_score}, Type: ${result.content_type}`);
       
@@ -148,23 +126,11 @@ class ClaudeService {
     }
 
     try {
-      await this.enforceRateLimit();
-      
       const prompt = this.buildManipulationPrompt(posts);
       
-      const response = await this.client.messages.create({
-        model: this.model,
-        max_tokens: 400,
-        temperature: 0.1,
-        messages: [{
-          role: 'user',
-          content: prompt
-        }]
-      });
-
-      this.updateUsage(response.usage);
+      const completion = await this.complete('manipulation', prompt, 400);
       
-      const result = this.parseManipulationResponse(response.content[0].text);
+      const result = this.parseManipulationResponse(completion);
       
       if (result.is_manipulation) {
         console.log(`🚨 Claude detected potential manipulation: ${result.confidence}% confidence`);
@@ -185,23 +151,11 @@ class ClaudeService {
     }
 
     try {
-      await this.enforceRateLimit();
-      
       const prompt = this.buildSummaryPrompt(post, maxLength);
       
-      const response = await this.client.messages.create({
-        model: this.model,
-        max_tokens: Math.min(500, maxLength * 2),
-        temperature: 0.1,
-        messages: [{
-          role: 'user',
-          content: prompt
-        }]
-      });
-
-      this.updateUsage(response.usage);
+      const completion = await this.complete('summary', prompt, Math.min(500, maxLength * 2));
       
-      const summary = response.content[0].text.trim();
+      const summary = completion.trim();
       
       console.log(`📝 Claude summary generated: ${summary.length} characters`);
       
@@ -213,6 +167,81 @@ class ClaudeService {
     }
   }
 
+  // Classify a post as a position, gain/loss, DD, meme or news; null when Claude is unavailable
+  async classifyPost(post) {
+    if (!this.isConfigured) {
+      return null;
+    }
+
+    try {
+      const prompt = this.buildClassificationPrompt(post);
+      
+      const completion = await this.complete('classification', prompt, 300);
+      
+      const result = this.parseClassificationResponse(completion);
+      
+      if (result) {
+        console.log(`🏷️ Claude post classification: ${result.label} (${Math.round(result.confidence * 100)}%)`);
+      }
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ Claude classification error:', error.message);
+      return null;
+    }
+  }
+
+  // Sentiment toward each ticker a post names, for posts that feel differently about them; null when Claude is unavailable
+  async analyzeTickerSentiments(text, title, tickers) {
+    if (!this.isConfigured) {
+      return null;
+    }
+
+    try {
+      const prompt = this.buildTickerSentimentPrompt(text, title, tickers);
+      
+      const completion = await this.complete('ticker_sentiment', prompt, 400);
+      
+      const result = this.parseTickerSentimentResponse(completion, tickers);
+      
+      if (result) {
+        console.log(`🎯 Claude per-ticker sentiment: ${Object.entries(result).map(([ticker, r]) => `${ticker} ${r.sentiment_score}`).join(', ')}`);
+      }
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ Claude per-ticker sentiment error:', error.message);
+      return null;
+    }
+  }
+
+  // Short names for narrative clusters from their keyphrases and example titles; null when Claude is unavailable
+  async nameNarratives(ticker, narratives) {
+    if (!this.isConfigured || narratives.length === 0) {
+      return null;
+    }
+
+    try {
+      const prompt = this.buildNarrativePrompt(ticker, narratives);
+      
+      const completion = await this.complete('narratives', prompt, 120 + narratives.length * 80);
+      
+      const result = this.parseNarrativeResponse(completion, narratives.map(narrative => narrative.id));
+      
+      if (result) {
+        console.log(`🧵 Claude named ${Object.keys(result).length} ${ticker} narratives`);
+      }
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ Claude narrative naming error:', error.message);
+      return null;
+    }
+  }
+
   // Build sentiment analysis prompt
   buildSentimentPrompt(text, title, ticker) {
     return `Analyze the sentiment of this Reddit post about ${ticker || 'stocks'}:
@@ -238,6 +267,43 @@ Focus on:
 - Quality of analysis vs emotional reactions
 - User intent (genuine analysis vs manipulation)
 
+Return only valid JSON.`;
+  }
+
+  // Build per-ticker sentiment prompt
+  buildTickerSentimentPrompt(text, title, tickers) {
+    return `This Reddit post mentions ${tickers.join(', ')}. Score the author's stance toward each ticker separately:
+
+Title: "${title}"
+Content: "${(text || '').substring(0, 3000)}"
+
+A post can be bullish on one ticker and bearish on another ("selling AAPL to buy more NVDA" is bearish AAPL, bullish NVDA).
+A ticker that is only mentioned in passing is neutral.
+
+Please provide a JSON response with one key per ticker, each an object with:
+1. sentiment_score: number from -100 (very bearish) to +100 (very bullish)
+2. confidence: number from 0-100
+
+Return only valid JSON.`;
+  }
+
+  // Build narrative naming prompt
+  buildNarrativePrompt(ticker, narratives) {
+    const clusters = narratives.map(narrative => `${narrative.id}:
+Keyphrases: ${narrative.keyphrases.join(', ')}
+Example titles:
+${narrative.titles.map(title => `- "${title.substring(0, 200)}"`).join('\n')}`).join('\n\n');
+
+    return `These are clusters of Reddit posts about ${ticker}, grouped by the words they use:
+
+${clusters}
+
+For each cluster, name the narrative driving the discussion (for example an earnings beat, a short squeeze, an FDA decision, a CEO tweet, a lawsuit).
+
+Please provide a JSON response with one key per cluster id, each an object with:
+1. name: a label of at most 6 words
+2. summary: one sentence on what the posts claim
+
 Return only valid JSON.`;
   }
 
@@ -297,6 +363,26 @@ Look for:
 - Pump and dump indicators
 - Astroturfing patterns
 
+Return only valid JSON.`;
+  }
+
+  // Build post classification prompt
+  buildClassificationPrompt(post) {
+    return `Classify this Reddit post from r/${post.subreddit || 'stocks'}:
+
+Title: "${post.title}"
+Post flair: "${post.link_flair || ''}"
+Author flair: "${post.author_flair || ''}"
+Link: "${post.url || ''}"
+Content: "${(post.content || '').substring(0, 3000)}"
+
+Please provide a JSON response with:
+1. label: one of "position_open" (author opened a position), "position_close" (author sold or closed), "gain_porn" (screenshot or brag about a realized/unrealized gain), "loss_porn" (screenshot or post about a loss), "dd" (research or thesis), "meme", "news", "discussion"
+2. confidence: number from 0-100
+3. claimed_pnl: the profit or loss in USD the author claims (negative for losses), or null
+4. claimed_pnl_percent: the claimed percentage gain or loss (negative for losses), or null
+5. reasoning: one short sentence
+
 Return only valid JSON.`;
   }
 
@@ -337,6 +423,46 @@ Provide a clear, concise summary that captures the essential information for sto
     }
   }
 
+  // Parse Claude per-ticker sentiment response, keeping only the tickers that were asked about
+  parseTickerSentimentResponse(responseText, tickers) {
+    try {
+      const parsed = JSON.parse(responseText);
+      const result = {};
+      for (const ticker of tickers) {
+        const entry = parsed[ticker] || parsed[`$${ticker}`];
+        if (!entry || typeof entry.sentiment_score !== 'number') continue;
+        result[ticker] = {
+          sentiment_score: Math.max(-100, Math.min(100, entry.sentiment_score)),
+          confidence: Math.max(0, Math.min(100, entry.confidence || 0))
+        };
+      }
+      return Object.keys(result).length > 0 ? result : null;
+    } catch (error) {
+      console.error('❌ Failed to parse Claude per-ticker sentiment response:', error.message);
+      return null;
+    }
+  }
+
+  // Parse Claude narrative naming response
+  parseNarrativeResponse(responseText, ids) {
+    try {
+      const parsed = JSON.parse(responseText);
+      const result = {};
+      for (const id of ids) {
+        const entry = parsed[id];
+        if (!entry || typeof entry.name !== 'string' || !entry.name.trim()) continue;
+        result[id] = {
+          name: entry.name.trim().substring(0, 80),
+          summary: typeof entry.summary === 'string' ? entry.summary.trim() : ''
+        };
+      }
+      return Object.keys(result).length > 0 ? result : null;
+    } catch (error) {
+      console.error('❌ Failed to parse Claude narrative response:', error.message);
+      return null;
+    }
+  }
+
   // Parse Claude quality response
   parseQualityResponse(responseText) {
     try {
@@ -375,6 +501,30 @@ Provide a clear, concise summary that captures the essential information for sto
     }
   }
 
+  // Parse Claude classification response
+  parseClassificationResponse(responseText) {
+    const labels = ['position_open', 'position_close', 'gain_porn', 'loss_porn', 'dd', 'meme', 'news', 'discussion'];
+    const toNumber = (value) => (typeof value === 'number' && isFinite(value) ? value : null);
+
+    try {
+      const parsed = JSON.parse(responseText);
+      if (!labels.includes(parsed.label)) {
+        return null;
+      }
+      return {
+        label: parsed.label,
+        confidence: Math.max(0, Math.min(100, parsed.confidence || 0)) / 100,
+        claimed_pnl: toNumber(parsed.claimed_pnl),
+        claimed_pnl_percent: toNumber(parsed.claimed_pnl_percent),
+        reasoning: parsed.reasoning || '',
+        method: 'claude'
+      };
+    } catch (error) {
+      console.error('❌ Failed to parse Claude classification response:', error.message);
+      return null;
+    }
+  }
+
   // Fallback sentiment analysis using existing keyword-based system
   getFallbackSentiment(text, title) {
     const sentimentAnalyzer = require('../utils/sentimentAnalyzer');
@@ -420,6 +570,32 @@ Provide a clear, concise summary that captures the essential information for sto
     };
   }
 
+  // One completion, through the shared API cache: an identical prompt to the same model isn't sent twice
+  async complete(operation, prompt, maxTokens) {
+    const params = {
+      model: this.model,
+      max_tokens: maxTokens,
+      prompt_sha1: crypto.createHash('sha1').update(prompt).digest('hex')
+    };
+
+    return apiCache.wrap('claude', operation, params, async () => {
+      await this.enforceRateLimit();
+
+      const response = await this.client.messages.create({
+        model: this.model,
+        max_tokens: maxTokens,
+        temperature: 0.1,
+        messages: [{
+          role: 'user',
+          content: prompt
+        }]
+      });
+
+      this.updateUsage(response.usage);
+      return response.content[0].text;
+    });
+  }
+
   // Rate limiting
   async enforceRateLimit() {
     const now = Date.now();
@@ -454,7 +630,8 @@ Provide a clear, concise summary that captures the essential information for sto
       ...this.usage,
       is_configured: this.isConfigured,
       model: this.model,
-      rate_limit_interval: this.minInterval
+      rate_limit_interval: this.minInterval,
+      cache: apiCache.getMetrics('claude')
     };
   }
 
@@ -17,6 +17,9 @@ class ConfidenceService {
       news_correlation: 0.10,     // External validation
       economic_context: 0.10      // Macro alignment
     };
+
+    // Weight of position/gain/loss posts relative to ordinary posts
+    this.skinInTheGameWeight = 2;
     
     this.confidenceLevels = {
       'very_high': { min: 85, color: '#4CAF50', description: 'Very High Confidence' },
@@ -108,12 +111,14 @@ class ConfidenceService {
         quality_score: 0,
         subreddits: [],
         top_users: [],
+        skin_in_the_game: this.summarizeSkinInTheGame([]),
         data_quality: 'insufficient'
       };
     }
 
-    // Calculate metrics
-    const totalSentiment = posts.reduce((sum, post) => sum + post.sentiment_score, 0);
+    // Calculate metrics from each post's sentiment toward this ticker
+    const sentimentFor = (post) => RedditPost.tickerSentiment(post, ticker);
+    const totalSentiment = posts.reduce((sum, post) => sum + sentimentFor(post), 0);
     const avgSentiment = totalSentiment / posts.length;
     
     const totalQuality = posts.reduce((sum, post) => sum + post.quality_score, 0);
@@ -126,7 +131,7 @@ class ConfidenceService {
         subredditBreakdown[post.subreddit] = { count: 0, sentiment: 0 };
       }
       subredditBreakdown[post.subreddit].count++;
-      subredditBreakdown[post.subreddit].sentiment += post.sentiment_score;
+      subredditBreakdown[post.subreddit].sentiment += sentimentFor(post);
     });
 
     // Calculate averages for subreddits
@@ -144,7 +149,7 @@ class ConfidenceService {
         username: post.author,
         quality_score: post.author_profile.quality_score,
         reputation_tier: post.author_profile.reputation_tier,
-        sentiment: post.sentiment_score
+        sentiment: sentimentFor(post)
       }));
 
     return {
@@ -154,10 +159,11 @@ class ConfidenceService {
       subreddits: Object.keys(subredditBreakdown),
       subreddit_breakdown: subredditBreakdown,
       top_users: usersByReputation,
+      skin_in_the_game: this.summarizeSkinInTheGame(posts, ticker),
       data_quality: posts.length >= 10 ? 'good' : posts.length >= 5 ? 'fair' : 'limited',
       posts_sample: posts.slice(0, 5).map(post => ({
         title: post.title,
-        sentiment: post.sentiment_score,
+        sentiment: sentimentFor(post),
         quality: post.quality_score,
         subreddit: post.subreddit,
         author: post.author
@@ -165,6 +171,33 @@ class ConfidenceService {
     };
   }
 
+  // Positions, closes and gain/loss posts - authors with money on the line
+  summarizeSkinInTheGame(posts, ticker = null) {
+    const sentimentFor = (post) => (ticker ? RedditPost.tickerSentiment(post, ticker) : post.sentiment_score);
+    const skinPosts = posts.filter(post => post.post_classification && post.post_classification.skin_in_the_game);
+    const labels = {};
+    skinPosts.forEach(post => {
+      labels[post.post_classification.label] = (labels[post.post_classification.label] || 0) + 1;
+    });
+
+    const avgSentiment = skinPosts.length > 0
+      ? skinPosts.reduce((sum, post) => sum + sentimentFor(post), 0) / skinPosts.length
+      : null;
+
+    // Weight skin-in-the-game posts up in the blended sentiment
+    const weightedTotal = posts.reduce((sum, post) => sum + sentimentFor(post) * (skinPosts.includes(post) ? this.skinInTheGameWeight : 1), 0);
+    const weightCount = posts.length + skinPosts.length * (this.skinInTheGameWeight - 1);
+
+    return {
+      posts: skinPosts.length,
+      share: posts.length > 0 ? Math.round((skinPosts.length / posts.length) * 100) : 0,
+      avg_sentiment: avgSentiment !== null ? Math.round(avgSentiment * 100) / 100 : null,
+      weighted_sentiment: weightCount > 0 ? Math.round((weightedTotal / weightCount) * 100) / 100 : 0,
+      net_claimed_pnl: skinPosts.reduce((sum, post) => sum + (post.post_classification.claimed_pnl || 0), 0),
+      labels
+    };
+  }
+
   // Calculate individual confidence components
   async calculateConfidenceComponents(ticker, redditData, options) {
     const components = {};
@@ -217,7 +250,11 @@ class ConfidenceService {
     // Diversity score (0-30 points)
     let diversityScore = Math.min(30, subredditDiversity * 8);
 
-    const totalScore = volumeScore + qualityPoints + diversityScore;
+    // Conviction bonus (0-10 points) for posts backed by real positions
+    const skin = redditData.skin_in_the_game || { posts: 0 };
+    const convictionScore = Math.min(10, skin.posts * 2);
+
+    const totalScore = Math.min(100, volumeScore + qualityPoints + diversityScore + convictionScore);
 
     return {
       score: totalScore,
@@ -225,6 +262,8 @@ class ConfidenceService {
         volume_score: volumeScore,
         quality_points: qualityPoints,
         diversity_score: diversityScore,
+        conviction_score: convictionScore,
+        skin_in_the_game_posts: skin.posts,
         mention_count: mentionCount,
         avg_quality: qualityScore,
         subreddit_count: subredditDiversity
@@ -596,6 +635,22 @@ class ConfidenceService {
     return totalWeight > 0 ? (weightedSum / totalWeight) : 50;
   }
 
+  // Each component's points in the weighted score, renormalized over the components present as above; they sum to the score
+  explainConfidence(components) {
+    const present = Object.entries(this.confidenceWeights)
+      .filter(([componentName]) => components[componentName] && typeof components[componentName].score === 'number');
+    const totalWeight = present.reduce((sum, [, weight]) => sum + weight, 0);
+
+    return present
+      .map(([componentName, weight]) => ({
+        component: componentName,
+        score: Math.round(components[componentName].score * 100) / 100,
+        weight: Math.round((weight / totalWeight) * 1000) / 1000,
+        contribution: Math.round((components[componentName].score * weight / totalWeight) * 100) / 100
+      }))
+      .sort((a, b) => b.contribution - a.contribution);
+  }
+
   // Determine confidence level from score
   determineConfidenceLevel(score) {
     for (const [level, config] of Object.entries(this.confidenceLevels)) {
@@ -709,6 +764,17 @@ class ConfidenceService {
       });
     }
 
+    // People with positions saying something different from the crowd
+    const skin = redditData.skin_in_the_game;
+    if (skin && skin.posts >= 3 && skin.avg_sentiment !== null &&
+        Math.abs(skin.avg_sentiment - redditData.avg_sentiment) > 30) {
+      riskFactors.push({
+        type: 'position_sentiment_divergence',
+        severity: 'medium',
+        description: 'Posts from authors with positions disagree with overall sentiment'
+      });
+    }
+
     // Historical accuracy risks
     if (components.historical_accuracy && components.historical_accuracy.score < 40) {
       riskFactors.push({
@@ -0,0 +1,631 @@
+const mongoose = require('mongoose');
+const RedditPost = require('../models/RedditPost');
+const UserProfile = require('../models/UserProfile');
+const StockData = require('../models/StockData');
+const CoordinatedCampaign = require('../models/CoordinatedCampaign');
+const sentimentAnalyzer = require('../utils/sentimentAnalyzer');
+const alertService = require('./alertService');
+
+const hourMs = 60 * 60 * 1000;
+const minuteMs = 60 * 1000;
+
+class CoordinationService {
+  constructor() {
+    this.lookbackHours = 72;
+    // Two posts on the same ticker co-mention when they land this close together
+    this.maxGapMinutes = 30;
+    // Later posts compared against each post, so a flood on one ticker stays bounded
+    this.maxNeighbours = 50;
+    // Posts shorter than this many distinct words are too generic to compare
+    this.minTokens = 8;
+    // Word-set Jaccard for a co-mention to count as similar text
+    this.similarityThreshold = 0.35;
+    // An author pair becomes an edge after this many similar co-mentions, or one near-copy
+    this.minCoMentions = 2;
+    this.nearCopySimilarity = 0.8;
+    this.minClusterSize = 3;
+    // Share of member pairs that must be joined by an edge
+    this.minDensity = 0.5;
+    this.newAccountDays = 30;
+    this.lowKarma = 100;
+    this.flagScore = 50;
+    this.riskLevels = [
+      { level: 'critical', score: 85 },
+      { level: 'high', score: 70 },
+      { level: 'medium', score: 50 },
+      { level: 'low', score: 0 }
+    ];
+    // Flagged posts keep at least this share of their weight
+    this.minWeight = 0.1;
+    // New posts by members inherit the campaign weight for this long after the last detection
+    this.memberFlagDays = 14;
+    // A cluster sharing this share of its members with a known campaign updates it instead of opening another
+    this.mergeOverlap = 0.5;
+    this.maxEvidencePairs = 20;
+    this.excludedAuthors = ['[deleted]', 'AutoModerator'];
+    // StockData sentiment is rebuilt from this many days of posts when flags change
+    this.sentimentDays = 7;
+    this.running = false;
+  }
+
+  // ==================== DETECTION ====================
+
+  // Build the co-mention graph over the lookback, flag dense clusters and down-weight their posts
+  async detect(options = {}) {
+    if (this.running) {
+      console.log('⏭️ Coordination detection already running');
+      return null;
+    }
+    this.running = true;
+
+    try {
+      const now = options.now || new Date();
+      const hours = options.hours || this.lookbackHours;
+      const from = new Date(now.getTime() - hours * hourMs);
+      const tickers = options.tickers && options.tickers.length > 0
+        ? options.tickers.map(ticker => ticker.toUpperCase())
+        : null;
+
+      const posts = await this.loadPosts(from, now, tickers);
+      const graph = this.buildGraph(posts, tickers);
+      const clusters = this.findClusters(graph.adjacency);
+
+      const authors = [...new Set(clusters.flat())];
+      const profiles = new Map((await UserProfile.find({ username: { $in: authors } })
+        .select('username account_age karma')
+        .lean()).map(profile => [profile.username, profile]));
+
+      const flagged = [];
+      let created = 0;
+      const affectedTickers = new Set();
+      for (const cluster of clusters) {
+        const summary = this.summarizeCluster(cluster, graph, posts, profiles);
+        if (summary.score < this.flagScore) continue;
+
+        const { campaign, isNew } = await this.recordCampaign(summary, now);
+        if (campaign.status !== 'flagged') continue;
+        if (isNew) created++;
+
+        await this.applyCampaign(campaign, now);
+        campaign.tickers.forEach(ticker => affectedTickers.add(ticker.symbol));
+        flagged.push(campaign);
+      }
+
+      for (const ticker of affectedTickers) {
+        await this.refreshTicker(ticker, now);
+      }
+
+      if (flagged.length > 0) {
+        console.log(`🕸️ Coordination detection: ${flagged.length} campaigns flagged (${created} new) across ${affectedTickers.size} tickers`);
+      }
+      return {
+        from,
+        to: now,
+        posts_scanned: posts.length,
+        authors: graph.adjacency.size,
+        edges: graph.edges.size,
+        clusters: clusters.length,
+        flagged: flagged.length,
+        new_campaigns: created,
+        campaigns: flagged.map(campaign => ({
+          id: campaign._id,
+          score: campaign.score,
+          risk_level: campaign.risk_level,
+          members: campaign.members.length,
+          tickers: campaign.tickers.map(ticker => ticker.symbol)
+        }))
+      };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async loadPosts(from, to, tickers) {
+    return RedditPost.find({
+      created_utc: { $gte: from, $lt: to },
+      processed: true,
+      author: { $nin: this.excludedAuthors },
+      ...(tickers ? { 'tickers.symbol': { $in: tickers } } : { 'tickers.0': { $exists: true } })
+    })
+      .select('reddit_id author title content subreddit created_utc tickers.symbol')
+      .lean();
+  }
+
+  // Distinct lowercase words, links removed
+  tokenize(post) {
+    const text = `${post.title || ''} ${post.content || ''}`.replace(/https?:\/\/\S+/g, ' ');
+    return new Set(sentimentAnalyzer.tokenize(text).filter(word => word.length > 1));
+  }
+
+  jaccard(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+    let shared = 0;
+    for (const word of small) {
+      if (large.has(word)) shared++;
+    }
+    return shared / (a.size + b.size - shared);
+  }
+
+  edgeKey(a, b) {
+    return a < b ? `${a}|${b}` : `${b}|${a}`;
+  }
+
+  // Author pairs that posted similar text about the same ticker within the gap, and the edges that qualify
+  buildGraph(posts, tickers = null) {
+    const tokens = new Map(posts.map(post => [post.reddit_id, this.tokenize(post)]));
+    const byTicker = new Map();
+    for (const post of posts) {
+      for (const { symbol } of post.tickers) {
+        if (tickers && !tickers.includes(symbol)) continue;
+        if (!byTicker.has(symbol)) byTicker.set(symbol, []);
+        byTicker.get(symbol).push(post);
+      }
+    }
+
+    const pairs = new Map();
+    const comparedPosts = new Set();
+    for (const [symbol, tickerPosts] of byTicker) {
+      tickerPosts.sort((a, b) => a.created_utc - b.created_utc);
+
+      for (let i = 0; i < tickerPosts.length; i++) {
+        const post = tickerPosts[i];
+        const postTokens = tokens.get(post.reddit_id);
+        if (postTokens.size < this.minTokens) continue;
+
+        const last = Math.min(tickerPosts.length, i + 1 + this.maxNeighbours);
+        for (let j = i + 1; j < last; j++) {
+          const other = tickerPosts[j];
+          const gapMinutes = (other.created_utc - post.created_utc) / minuteMs;
+          if (gapMinutes > this.maxGapMinutes) break;
+          if (other.author === post.author) continue;
+
+          // A post pair naming several tickers is one co-mention
+          const postPair = this.edgeKey(post.reddit_id, other.reddit_id);
+          if (comparedPosts.has(postPair)) continue;
+          comparedPosts.add(postPair);
+
+          const otherTokens = tokens.get(other.reddit_id);
+          if (otherTokens.size < this.minTokens) continue;
+          const similarity = this.jaccard(postTokens, otherTokens);
+          if (similarity < this.similarityThreshold) continue;
+
+          const key = this.edgeKey(post.author, other.author);
+          if (!pairs.has(key)) pairs.set(key, []);
+          pairs.get(key).push({
+            author_a: post.author,
+            author_b: other.author,
+            post_a: post.reddit_id,
+            post_b: other.reddit_id,
+            ticker: symbol,
+            similarity,
+            gap_minutes: gapMinutes
+          });
+        }
+      }
+    }
+
+    const edges = new Map();
+    const adjacency = new Map();
+    for (const [key, events] of pairs) {
+      const strongest = Math.max(...events.map(event => event.similarity));
+      if (events.length < this.minCoMentions && strongest < this.nearCopySimilarity) continue;
+
+      edges.set(key, events);
+      const { author_a, author_b } = events[0];
+      if (!adjacency.has(author_a)) adjacency.set(author_a, new Set());
+      if (!adjacency.has(author_b)) adjacency.set(author_b, new Set());
+      adjacency.get(author_a).add(author_b);
+      adjacency.get(author_b).add(author_a);
+    }
+
+    return { edges, adjacency };
+  }
+
+  // The dense core of each connected component: lowest-degree members are peeled off until it is dense enough
+  findClusters(adjacency) {
+    const seen = new Set();
+    const clusters = [];
+
+    for (const start of adjacency.keys()) {
+      if (seen.has(start)) continue;
+
+      const component = [];
+      const queue = [start];
+      seen.add(start);
+      while (queue.length > 0) {
+        const author = queue.shift();
+        component.push(author);
+        for (const neighbour of adjacency.get(author)) {
+          if (!seen.has(neighbour)) {
+            seen.add(neighbour);
+            queue.push(neighbour);
+          }
+        }
+      }
+
+      const core = this.peel(component, adjacency);
+      if (core) clusters.push(core);
+    }
+
+    return clusters;
+  }
+
+  peel(component, adjacency) {
+    const members = new Set(component);
+    while (members.size >= this.minClusterSize) {
+      if (this.density([...members], adjacency) >= this.minDensity) {
+        return [...members].sort();
+      }
+
+      let weakest = null;
+      let weakestDegree = Infinity;
+      for (const author of members) {
+        const degree = [...adjacency.get(author)].filter(neighbour => members.has(neighbour)).length;
+        if (degree < weakestDegree) {
+          weakest = author;
+          weakestDegree = degree;
+        }
+      }
+      members.delete(weakest);
+    }
+    return null;
+  }
+
+  density(members, adjacency) {
+    if (members.length < 2) return 0;
+    const memberSet = new Set(members);
+    let links = 0;
+    for (const author of members) {
+      for (const neighbour of adjacency.get(author)) {
+        if (memberSet.has(neighbour)) links++;
+      }
+    }
+    return links / (members.length * (members.length - 1));
+  }
+
+  // Evidence, score and the campaign fields for one cluster
+  summarizeCluster(cluster, graph, posts, profiles) {
+    const memberSet = new Set(cluster);
+    const events = [];
+    for (let i = 0; i < cluster.length; i++) {
+      for (let j = i + 1; j < cluster.length; j++) {
+        events.push(...(graph.edges.get(this.edgeKey(cluster[i], cluster[j])) || []));
+      }
+    }
+
+    const tickerPosts = new Map();
+    events.forEach(event => tickerPosts.set(event.ticker, (tickerPosts.get(event.ticker) || 0) + 1));
+    const campaignTickers = new Set(tickerPosts.keys());
+
+    // Every member post on a campaign ticker, not only the ones that formed edges
+    const memberPosts = posts.filter(post =>
+      memberSet.has(post.author) && post.tickers.some(ticker => campaignTickers.has(ticker.symbol)));
+    const postsByAuthor = new Map();
+    memberPosts.forEach(post => postsByAuthor.set(post.author, (postsByAuthor.get(post.author) || 0) + 1));
+
+    const members = cluster.map(author => {
+      const profile = profiles.get(author);
+      const accountAge = profile ? profile.account_age : null;
+      const karma = profile ? profile.karma : null;
+      return {
+        author,
+        account_age: accountAge,
+        karma,
+        posts: postsByAuthor.get(author) || 0,
+        is_new_account: accountAge !== null && accountAge < this.newAccountDays,
+        is_low_karma: karma !== null && karma < this.lowKarma
+      };
+    });
+
+    const density = this.density(cluster, graph.adjacency);
+    const avgSimilarity = events.reduce((sum, event) => sum + event.similarity, 0) / events.length;
+    const medianGap = this.median(events.map(event => event.gap_minutes));
+    const newAccountShare = members.filter(member => member.is_new_account).length / members.length;
+    const lowKarmaShare = members.filter(member => member.is_low_karma).length / members.length;
+    const suspectShare = members.filter(member => member.is_new_account || member.is_low_karma).length / members.length;
+
+    const score = Math.min(100,
+      25 * density +
+      30 * Math.min(1, avgSimilarity) +
+      15 * Math.max(0, 1 - medianGap / this.maxGapMinutes) +
+      20 * suspectShare +
+      10 * Math.min(1, (members.length - 2) / 8)
+    );
+
+    const times = memberPosts.map(post => post.created_utc.getTime());
+    return {
+      members,
+      tickers: [...tickerPosts.keys()].map(symbol => ({
+        symbol,
+        posts: memberPosts.filter(post => post.tickers.some(ticker => ticker.symbol === symbol)).length
+      })).sort((a, b) => b.posts - a.posts),
+      subreddits: [...new Set(memberPosts.map(post => post.subreddit))],
+      post_ids: memberPosts.map(post => post.reddit_id),
+      score: this.round(score, 1),
+      evidence: {
+        density: this.round(density, 3),
+        avg_similarity: this.round(avgSimilarity, 3),
+        median_gap_minutes: this.round(medianGap, 1),
+        new_account_share: this.round(newAccountShare, 3),
+        low_karma_share: this.round(lowKarmaShare, 3),
+        co_mentions: events.length,
+        pairs: events
+          .sort((a, b) => b.similarity - a.similarity)
+          .slice(0, this.maxEvidencePairs)
+          .map(event => ({ ...event, similarity: this.round(event.similarity, 3), gap_minutes: this.round(event.gap_minutes, 1) }))
+      },
+      first_post_at: times.length > 0 ? new Date(Math.min(...times)) : null,
+      last_post_at: times.length > 0 ? new Date(Math.max(...times)) : null
+    };
+  }
+
+  riskLevelFor(score) {
+    return this.riskLevels.find(level => score >= level.score).level;
+  }
+
+  weightFor(score) {
+    return this.round(Math.max(this.minWeight, 1 - score / 100), 3);
+  }
+
+  // Update the campaign that already holds most of these members, or open a new one.
+  // A dismissed campaign stays dismissed when the same accounts turn up again
+  async recordCampaign(summary, now) {
+    const authors = summary.members.map(member => member.author);
+    const candidates = await CoordinatedCampaign.find({ 'members.author': { $in: authors } });
+    const existing = candidates
+      .map(campaign => ({ campaign, overlap: this.overlap(campaign.getAuthors(), authors) }))
+      .filter(candidate => candidate.overlap >= this.mergeOverlap)
+      .sort((a, b) => b.overlap - a.overlap)[0];
+
+    if (existing) {
+      const campaign = existing.campaign;
+      campaign.last_detected_at = now;
+      if (campaign.status === 'flagged') {
+        // Keep members and posts seen in earlier runs; the score is the highest seen
+        const members = new Map(campaign.members.map(member => [member.author, member.toObject()]));
+        summary.members.forEach(member => members.set(member.author, member));
+        const tickers = new Map(campaign.tickers.map(ticker => [ticker.symbol, ticker.posts]));
+        summary.tickers.forEach(ticker => tickers.set(ticker.symbol, Math.max(ticker.posts, tickers.get(ticker.symbol) || 0)));
+        const score = Math.max(campaign.score, summary.score);
+
+        Object.assign(campaign, {
+          members: [...members.values()],
+          tickers: [...tickers.entries()].map(([symbol, posts]) => ({ symbol, posts })).sort((a, b) => b.posts - a.posts),
+          subreddits: [...new Set([...campaign.subreddits, ...summary.subreddits])],
+          post_ids: [...new Set([...campaign.post_ids, ...summary.post_ids])],
+          score,
+          risk_level: this.riskLevelFor(score),
+          weight: this.weightFor(score),
+          evidence: summary.evidence,
+          first_post_at: campaign.first_post_at && campaign.first_post_at < summary.first_post_at ? campaign.first_post_at : summary.first_post_at,
+          last_post_at: campaign.last_post_at && campaign.last_post_at > summary.last_post_at ? campaign.last_post_at : summary.last_post_at
+        });
+      }
+      await campaign.save();
+      return { campaign, isNew: false };
+    }
+
+    const campaign = await CoordinatedCampaign.create({
+      ...summary,
+      risk_level: this.riskLevelFor(summary.score),
+      weight: this.weightFor(summary.score),
+      first_detected_at: now,
+      last_detected_at: now
+    });
+    return { campaign, isNew: true };
+  }
+
+  overlap(a, b) {
+    const setA = new Set(a);
+    const shared = b.filter(author => setA.has(author)).length;
+    return shared / new Set([...a, ...b]).size;
+  }
+
+  // Down-weight the campaign's posts and mark its members so their next posts arrive down-weighted too.
+  // A post in several campaigns keeps the lowest weight
+  async applyCampaign(campaign, now) {
+    await RedditPost.updateMany(
+      {
+        reddit_id: { $in: campaign.post_ids },
+        $or: [
+          { 'coordination.campaign': { $exists: false } },
+          { 'coordination.campaign': null },
+          { 'coordination.campaign': campaign._id },
+          { 'coordination.weight': { $gt: campaign.weight } }
+        ]
+      },
+      {
+        $set: {
+          'coordination.campaign': campaign._id,
+          'coordination.weight': campaign.weight,
+          'coordination.flagged_at': now
+        }
+      }
+    );
+
+    const activeUntil = new Date(now.getTime() + this.memberFlagDays * 24 * hourMs);
+    const profiles = await UserProfile.find({ username: { $in: campaign.getAuthors() } });
+    for (const profile of profiles) {
+      const coordination = profile.coordination || {};
+      const campaigns = (coordination.campaigns || []).filter(id => !id.equals(campaign._id));
+      const stillActive = coordination.active_until && coordination.active_until > now;
+
+      profile.coordination = {
+        campaigns: [...campaigns, campaign._id],
+        weight: stillActive ? Math.min(coordination.weight, campaign.weight) : campaign.weight,
+        last_flagged_at: now,
+        active_until: activeUntil
+      };
+      // Pre-save middleware adds the coordinated_campaign suspicion flag
+      await profile.save();
+    }
+  }
+
+  // Rebuild a ticker's StockData sentiment from recent posts with the current weights, and its manipulation risk
+  async refreshTicker(ticker, now = new Date()) {
+    const stockData = await StockData.findOne({ ticker });
+    if (!stockData) return;
+
+    const posts = await RedditPost.find({
+      'tickers.symbol': ticker,
+      created_utc: { $gte: new Date(now.getTime() - this.sentimentDays * 24 * hourMs) },
+      processed: true,
+      passes_noise_filter: true
+    }).select('tickers sentiment_score quality_score time_decay_factor coordination').lean();
+
+    let weightTotal = 0;
+    let weightedSentiment = 0;
+    for (const post of posts) {
+      const weight = post.quality_score * post.time_decay_factor / 100 * RedditPost.coordinationWeight(post);
+      weightTotal += weight;
+      weightedSentiment += RedditPost.tickerSentiment(post, ticker) * weight;
+    }
+
+    if (weightTotal > 0) {
+      stockData.sentiment_trend.current = weightedSentiment / weightTotal;
+      stockData.sentiment_trend.confidence = Math.min(1, weightTotal / 10); // Same scale as dataProcessor.applyWeightedSentiment
+      await stockData.save();
+    }
+
+    await alertService.getManipulationRisk(ticker, new Map());
+  }
+
+  // Clear a campaign's flag and restore its posts and members
+  async dismiss(id, reason = '') {
+    const campaign = mongoose.isValidObjectId(id) ? await CoordinatedCampaign.findById(id) : null;
+    if (!campaign || campaign.status === 'dismissed') {
+      return campaign;
+    }
+
+    campaign.status = 'dismissed';
+    campaign.dismissed_reason = reason;
+    await campaign.save();
+
+    await RedditPost.updateMany(
+      { 'coordination.campaign': campaign._id },
+      { $set: { 'coordination.weight': 1 }, $unset: { 'coordination.campaign': '', 'coordination.flagged_at': '' } }
+    );
+
+    const profiles = await UserProfile.find({ 'coordination.campaigns': campaign._id });
+    for (const profile of profiles) {
+      const remaining = await CoordinatedCampaign.find({
+        _id: { $in: profile.coordination.campaigns.filter(campaignId => !campaignId.equals(campaign._id)) },
+        status: 'flagged'
+      }).select('weight').lean();
+
+      profile.coordination.campaigns = remaining.map(other => other._id);
+      if (remaining.length > 0) {
+        profile.coordination.weight = Math.min(...remaining.map(other => other.weight));
+      } else {
+        profile.coordination.weight = 1;
+        profile.coordination.active_until = null;
+      }
+      await profile.save();
+    }
+
+    for (const ticker of campaign.tickers) {
+      await this.refreshTicker(ticker.symbol);
+    }
+
+    console.log(`🕸️ Dismissed coordinated campaign ${campaign._id} (${campaign.members.length} members)`);
+    return campaign;
+  }
+
+  // ==================== REPORT ====================
+
+  // Check report query parameters, returning a list of problems
+  validateReportQuery(query = {}) {
+    const errors = [];
+
+    const hours = query.hours !== undefined ? Number(query.hours) : 168;
+    if (!Number.isInteger(hours) || hours < 1 || hours > 2160) {
+      errors.push('hours must be an integer between 1 and 2160');
+    }
+    if (query.status && !['flagged', 'dismissed', 'all'].includes(query.status)) {
+      errors.push('status must be flagged, dismissed or all');
+    }
+    const minScore = query.min_score !== undefined ? Number(query.min_score) : 0;
+    if (Number.isNaN(minScore) || minScore < 0 || minScore > 100) {
+      errors.push('min_score must be a number between 0 and 100');
+    }
+    const limit = query.limit !== undefined ? Number(query.limit) : 50;
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+      errors.push('limit must be an integer between 1 and 200');
+    }
+
+    return errors;
+  }
+
+  // Campaigns detected in the window, highest score first, with per-ticker totals
+  async getReport(query = {}) {
+    const hours = query.hours !== undefined ? Number(query.hours) : 168;
+    const status = query.status || 'flagged';
+    const filter = {
+      last_detected_at: { $gte: new Date(Date.now() - hours * hourMs) },
+      ...(status !== 'all' ? { status } : {}),
+      ...(query.min_score !== undefined ? { score: { $gte: Number(query.min_score) } } : {}),
+      ...(query.ticker ? { 'tickers.symbol': query.ticker.toUpperCase() } : {})
+    };
+    const limit = query.limit !== undefined ? Number(query.limit) : 50;
+
+    const [campaigns, total] = await Promise.all([
+      CoordinatedCampaign.find(filter).sort({ score: -1, last_detected_at: -1 }).limit(limit).lean(),
+      CoordinatedCampaign.countDocuments(filter)
+    ]);
+
+    const byTicker = new Map();
+    for (const campaign of campaigns) {
+      for (const ticker of campaign.tickers) {
+        if (query.ticker && ticker.symbol !== query.ticker.toUpperCase()) continue;
+        const row = byTicker.get(ticker.symbol) || { ticker: ticker.symbol, campaigns: 0, posts: 0, accounts: new Set(), max_score: 0 };
+        row.campaigns++;
+        row.posts += ticker.posts;
+        campaign.members.forEach(member => row.accounts.add(member.author));
+        row.max_score = Math.max(row.max_score, campaign.score);
+        byTicker.set(ticker.symbol, row);
+      }
+    }
+    const tickers = [...byTicker.values()]
+      .map(row => ({ ...row, accounts: row.accounts.size, risk_level: this.riskLevelFor(row.max_score) }))
+      .sort((a, b) => b.max_score - a.max_score || b.posts - a.posts);
+
+    return {
+      campaigns,
+      tickers,
+      summary: {
+        total,
+        accounts: new Set(campaigns.flatMap(campaign => campaign.members.map(member => member.author))).size,
+        posts: campaigns.reduce((sum, campaign) => sum + campaign.post_ids.length, 0),
+        hours,
+        status
+      }
+    };
+  }
+
+  // One campaign with its posts
+  async getCampaign(id) {
+    const campaign = mongoose.isValidObjectId(id) ? await CoordinatedCampaign.findById(id).lean() : null;
+    if (!campaign) return null;
+
+    const posts = await RedditPost.find({ reddit_id: { $in: campaign.post_ids } })
+      .select('reddit_id author title subreddit url created_utc tickers.symbol sentiment_score quality_score coordination')
+      .sort({ created_utc: 1 })
+      .lean();
+    return { ...campaign, posts };
+  }
+
+  median(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
+  round(value, digits = 2) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+  }
+}
+
+module.exports = new CoordinationService();
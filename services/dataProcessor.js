@@ -1,10 +1,17 @@
 const RedditPost = require('../models/RedditPost');
+const RedditComment = require('../models/RedditComment');
 const UserProfile = require('../models/UserProfile');
 const StockData = require('../models/StockData');
 const SubredditConfig = require('../models/SubredditConfig');
 const tickerExtractor = require('../utils/tickerExtractor');
 const sentimentAnalyzer = require('../utils/sentimentAnalyzer');
+const optionsParser = require('../utils/optionsParser');
+const postClassifier = require('../utils/postClassifier');
+const claudeService = require('./claudeService');
+const sentimentService = require('./sentimentService');
 const redditService = require('./redditService');
+const realtimeService = require('./realtimeService');
+const engagementService = require('./engagementService');
 
 class DataProcessor {
   constructor() {
@@ -14,9 +21,27 @@ class DataProcessor {
       posts_filtered: 0,
       tickers_extracted: 0,
       sentiment_analyzed: 0,
+      comments_processed: 0,
       errors: 0,
       last_run: null
     };
+
+    // Comment mentions count for less than a full post mention
+    this.commentMentionWeight = parseFloat(process.env.COMMENT_MENTION_WEIGHT) || 0.25;
+
+    // Comment crawl limits per subreddit per cycle
+    this.commentCrawlConfig = {
+      postsPerCycle: 10,
+      topCommentsPerPost: 25,
+      dailyThreadExpansions: 20,
+      dailyThreadMaxComments: 1000
+    };
+
+    // Only ask Claude to classify posts the heuristics are unsure about
+    this.classificationClaudeThreshold = 0.6;
+
+    // ...and to score tickers the clause-level lexicon is unsure about
+    this.tickerSentimentClaudeThreshold = 0.4;
   }
 
   // Main processing pipeline
@@ -38,6 +63,7 @@ class DataProcessor {
         posts_filtered: 0,
         tickers_extracted: 0,
         sentiment_analyzed: 0,
+        comments_processed: 0,
         errors: 0,
         last_run: new Date()
       };
@@ -111,9 +137,11 @@ class DataProcessor {
       await subredditConfig.save();
 
       // Process each post
+      const savedPosts = [];
       for (const postData of posts) {
         try {
-          await this.processPost(postData, subredditConfig);
+          const savedPost = await this.processPost(postData, subredditConfig);
+          if (savedPost) savedPosts.push(savedPost);
           this.processingStats.posts_processed++;
         } catch (error) {
           console.error(`❌ Error processing post ${postData.reddit_id}:`, error.message);
@@ -123,6 +151,9 @@ class DataProcessor {
 
       console.log(`✅ Processed ${posts.length} posts from r/${subredditConfig.name}`);
 
+      // Crawl comments on the new posts and the pinned daily threads
+      await this.processSubredditComments(subredditConfig.name, savedPosts, subredditConfig);
+
     } catch (error) {
       console.error(`❌ Error fetching posts from r/${subredditConfig.name}:`, error.message);
       throw error;
@@ -130,7 +161,11 @@ class DataProcessor {
   }
 
   // Process a single Reddit post
-  async processPost(postData, subredditConfig) {
+  // Archive imports pass { lookupUsers: false, useClaude: false, trackEngagement: false } to stay off
+  // the rate-limited APIs and out of the live engagement series
+  async processPost(postData, subredditConfig, options = {}) {
+    const { lookupUsers = true, useClaude = true, trackEngagement = true } = options;
+
     // Check if post already exists
     const existingPost = await RedditPost.findOne({ reddit_id: postData.reddit_id });
     if (existingPost) {
@@ -139,21 +174,39 @@ class DataProcessor {
 
     // Extract tickers from post
     const tickers = tickerExtractor.extractTickers(postData.content, postData.title);
+
+    // Option contracts; an underlying quoted as "TSLA 250c" counts as a ticker mention too
+    const optionsMentions = optionsParser.parseOptions(postData.content, postData.title, postData.created_utc);
+    for (const contract of optionsMentions) {
+      if (!tickers.some(t => t.symbol === contract.underlying)) {
+        tickers.push({ symbol: contract.underlying, mentions: 1, confidence: 0.8 });
+      }
+    }
+
     if (tickers.length === 0) {
       return; // Skip posts without ticker mentions
     }
     this.processingStats.tickers_extracted += tickers.length;
 
-    // Analyze sentiment
-    const sentiment = sentimentAnalyzer.analyzeSentiment(postData.content, postData.title);
+    // Analyze sentiment with the configured provider ensemble
+    const sentiment = await sentimentService.analyze(postData.content, postData.title, {
+      ticker: tickers[0].symbol,
+      exclude: useClaude ? [] : ['claude']
+    });
     this.processingStats.sentiment_analyzed++;
 
+    // Separate score per ticker when the post names more than one
+    await this.scoreTickerSentiment(tickers, postData.content, postData.title, sentiment, { useClaude });
+
     // Get or create user profile
-    const userProfile = await this.getOrCreateUserProfile(postData.author);
+    const userProfile = await this.getOrCreateUserProfile(postData.author, { lookup: lookupUsers });
 
     // Calculate post quality score
     const qualityScore = this.calculatePostQuality(postData, userProfile, subredditConfig);
 
+    // Label position/gain/loss/DD/meme/news posts
+    const classification = await this.classifyPost({ ...postData, subreddit: subredditConfig.name || postData.subreddit }, { useClaude });
+
     // Apply noise filter
     const passesNoiseFilter = this.applyNoiseFilter(postData, qualityScore, subredditConfig);
     if (!passesNoiseFilter) {
@@ -164,15 +217,40 @@ class DataProcessor {
     const redditPost = new RedditPost({
       ...postData,
       tickers: tickers,
+      options_mentions: optionsMentions,
+      post_classification: classification,
       sentiment_score: sentiment.score,
       sentiment_confidence: sentiment.confidence,
       sentiment_keywords: sentiment.details.sentiment_words.slice(0, 10), // Keep top 10
+      sentiment_providers: sentiment.providers,
+      sentiment_agreement: sentiment.agreement,
       quality_score: qualityScore,
       user_quality_score: userProfile.quality_score,
       passes_noise_filter: passesNoiseFilter,
       processed: true
     });
 
+    // Keep Claude's own reading alongside the blended score when it took part
+    const claudeResult = sentiment.providers.find(p => p.provider === 'claude');
+    if (claudeResult) {
+      redditPost.claude_analysis = {
+        sentiment_score: claudeResult.score,
+        confidence: Math.round(claudeResult.confidence * 100),
+        analysis_type: 'claude',
+        last_analyzed: new Date()
+      };
+    }
+
+    // Members of a flagged coordinated campaign carry its weight onto new posts
+    const coordinationWeight = userProfile.getCoordinationWeight();
+    if (coordinationWeight < 1) {
+      redditPost.coordination = {
+        campaign: userProfile.coordination.campaigns[userProfile.coordination.campaigns.length - 1],
+        weight: coordinationWeight,
+        flagged_at: new Date()
+      };
+    }
+
     // Calculate time decay factor
     redditPost.updateTimeDecay();
 
@@ -182,6 +260,11 @@ class DataProcessor {
       subredditConfig.config.min_comments
     );
 
+    // First point of the engagement series
+    if (trackEngagement) {
+      await engagementService.recordSnapshots([redditPost]);
+    }
+
     // Save the post
     await redditPost.save();
 
@@ -192,15 +275,73 @@ class DataProcessor {
     for (const ticker of tickers) {
       await this.updateStockData(ticker.symbol, redditPost);
     }
+
+    return redditPost;
+  }
+
+  // Set sentiment, sentiment_confidence and sentiment_source on each ticker entry.
+  // One ticker takes the post's ensemble score; with several, each gets the clauses about it,
+  // and Claude (when allowed) rescores the ones the lexicon couldn't pin down
+  async scoreTickerSentiment(tickers, content, title, postSentiment, options = {}) {
+    const { useClaude = true } = options;
+
+    if (tickers.length === 1) {
+      Object.assign(tickers[0], {
+        sentiment: postSentiment.score,
+        sentiment_confidence: postSentiment.confidence,
+        sentiment_source: 'post'
+      });
+      return tickers;
+    }
+
+    const attributed = sentimentAnalyzer.attributeTickerSentiment(tickers.map(ticker => ticker.symbol), content, title);
+    const unsure = [];
+
+    for (const ticker of tickers) {
+      const result = attributed.get(ticker.symbol);
+      if (result.sentiment_words.length > 0) {
+        Object.assign(ticker, {
+          sentiment: result.overall_sentiment,
+          sentiment_confidence: result.confidence,
+          sentiment_source: 'context'
+        });
+      } else {
+        // Named without any words of its own (a bare list, a company name): the post's tone is all we have
+        Object.assign(ticker, {
+          sentiment: postSentiment.score,
+          sentiment_confidence: Math.round(postSentiment.confidence * 50) / 100,
+          sentiment_source: 'post'
+        });
+      }
+      if (ticker.sentiment_confidence < this.tickerSentimentClaudeThreshold) {
+        unsure.push(ticker);
+      }
+    }
+
+    if (useClaude && claudeService.isConfigured && unsure.length > 0) {
+      const claude = await claudeService.analyzeTickerSentiments(content, title, tickers.map(ticker => ticker.symbol));
+      for (const ticker of unsure) {
+        const result = claude && claude[ticker.symbol];
+        if (!result) continue;
+        Object.assign(ticker, {
+          sentiment: result.sentiment_score,
+          sentiment_confidence: result.confidence / 100,
+          sentiment_source: 'claude'
+        });
+      }
+    }
+
+    return tickers;
   }
 
   // Get or create user profile
-  async getOrCreateUserProfile(username) {
+  async getOrCreateUserProfile(username, options = {}) {
+    const { lookup = true } = options;
     let userProfile = await UserProfile.findOne({ username });
     
     if (!userProfile) {
       // Fetch user info from Reddit API
-      const userInfo = await redditService.getUserInfo(username);
+      const userInfo = lookup ? await redditService.getUserInfo(username) : null;
       
       if (userInfo) {
         userProfile = new UserProfile({
@@ -211,7 +352,7 @@ class DataProcessor {
           link_karma: userInfo.link_karma
         });
       } else {
-        // Create minimal profile if Reddit API fails
+        // Create minimal profile if Reddit API fails or lookups are off
         userProfile = new UserProfile({
           username: username,
           account_age: 30, // Default assumption
@@ -225,6 +366,61 @@ class DataProcessor {
     return userProfile;
   }
 
+  // Heuristic classification, with Claude breaking ties when it's configured
+  async classifyPost(postData, options = {}) {
+    const { useClaude = true } = options;
+    const heuristic = postClassifier.classifyPost(postData);
+    let classification = heuristic;
+
+    if (useClaude && claudeService.isConfigured && heuristic.confidence < this.classificationClaudeThreshold) {
+      const claude = await claudeService.classifyPost(postData);
+      if (claude && claude.confidence >= heuristic.confidence) {
+        classification = {
+          ...claude,
+          // Claude may skip the amount the regexes already found
+          claimed_pnl: claude.claimed_pnl ?? heuristic.claimed_pnl,
+          claimed_pnl_percent: claude.claimed_pnl_percent ?? heuristic.claimed_pnl_percent,
+          skin_in_the_game: postClassifier.isSkinInTheGame(claude.label),
+          signals: heuristic.signals
+        };
+      }
+    }
+
+    return {
+      label: classification.label,
+      confidence: classification.confidence,
+      claimed_pnl: classification.claimed_pnl,
+      claimed_pnl_percent: classification.claimed_pnl_percent,
+      skin_in_the_game: classification.skin_in_the_game,
+      signals: classification.signals,
+      method: classification.method,
+      classified_at: new Date()
+    };
+  }
+
+  // Backfill classifications for posts stored before the classifier existed
+  async classifyStoredPosts(options = {}) {
+    const { hours = 168, limit = 200, reclassify = false } = options;
+    const cutoffTime = new Date(Date.now() - hours * 60 * 60 * 1000);
+
+    const query = { created_utc: { $gte: cutoffTime }, processed: true };
+    if (!reclassify) {
+      query['post_classification.classified_at'] = { $exists: false };
+    }
+
+    const posts = await RedditPost.find(query).sort({ created_utc: -1 }).limit(limit);
+    const labels = {};
+
+    for (const post of posts) {
+      post.post_classification = await this.classifyPost(post.toObject());
+      await post.save();
+      labels[post.post_classification.label] = (labels[post.post_classification.label] || 0) + 1;
+    }
+
+    console.log(`🏷️ Classified ${posts.length} stored posts`);
+    return { classified: posts.length, labels };
+  }
+
   // Calculate post quality score
   calculatePostQuality(postData, userProfile, subredditConfig) {
     // Base quality factors
@@ -365,6 +561,9 @@ class DataProcessor {
       });
     }
     
+    const previousSentiment = stockData.sentiment_trend.current || 0;
+    const previousMentions24h = stockData.reddit_mentions.last_24h || 0;
+
     // Update Reddit mentions
     stockData.reddit_mentions.total++;
     
@@ -380,15 +579,12 @@ class DataProcessor {
       stockData.reddit_mentions.last_7d++;
     }
     
-    // Update sentiment (weighted by quality and time decay)
-    const weight = redditPost.quality_score * redditPost.time_decay_factor / 100;
-    const currentWeight = stockData.sentiment_trend.confidence || 0.1;
-    const newWeight = currentWeight + weight;
+    stockData.updateWeightedMentions(this.commentMentionWeight);
     
-    stockData.sentiment_trend.current = (
-      (stockData.sentiment_trend.current * currentWeight + redditPost.sentiment_score * weight) / newWeight
-    );
-    stockData.sentiment_trend.confidence = Math.min(1, newWeight / 10); // Max confidence at weight 10
+    // Update sentiment (weighted by quality, time decay and any coordinated-campaign flag)
+    const tickerSentiment = RedditPost.tickerSentiment(redditPost, ticker);
+    const weight = redditPost.quality_score * redditPost.time_decay_factor / 100 * RedditPost.coordinationWeight(redditPost);
+    this.applyWeightedSentiment(stockData, tickerSentiment, weight);
     
     // Update quality mentions
     if (redditPost.quality_score > 60) {
@@ -399,12 +595,12 @@ class DataProcessor {
     const subredditMention = stockData.subreddit_mentions.find(s => s.subreddit === redditPost.subreddit);
     if (subredditMention) {
       subredditMention.mentions++;
-      subredditMention.sentiment = (subredditMention.sentiment + redditPost.sentiment_score) / 2;
+      subredditMention.sentiment = (subredditMention.sentiment + tickerSentiment) / 2;
     } else {
       stockData.subreddit_mentions.push({
         subreddit: redditPost.subreddit,
         mentions: 1,
-        sentiment: redditPost.sentiment_score
+        sentiment: tickerSentiment
       });
     }
     
@@ -412,6 +608,251 @@ class DataProcessor {
     
     // Calculate trending and momentum scores (handled by pre-save middleware)
     await stockData.save();
+
+    // Push the mention/sentiment delta to clients watching this ticker
+    realtimeService.emitStockUpdate(stockData, {
+      mentions_24h: stockData.reddit_mentions.last_24h - previousMentions24h,
+      sentiment_change: stockData.sentiment_trend.current - previousSentiment,
+      post_id: redditPost.reddit_id,
+      subreddit: redditPost.subreddit
+    });
+  }
+
+  // Fold a sentiment sample into the running weighted average on StockData
+  applyWeightedSentiment(stockData, sentimentScore, weight) {
+    const currentWeight = stockData.sentiment_trend.confidence || 0.1;
+    const newWeight = currentWeight + weight;
+    
+    stockData.sentiment_trend.current = (
+      (stockData.sentiment_trend.current * currentWeight + sentimentScore * weight) / newWeight
+    );
+    stockData.sentiment_trend.confidence = Math.min(1, newWeight / 10); // Max confidence at weight 10
+  }
+
+  // Update stock data from a ticker mention in a comment
+  async updateStockDataFromComment(ticker, redditComment) {
+    let stockData = await StockData.findOne({ ticker: ticker.toUpperCase() });
+    
+    if (!stockData) {
+      stockData = new StockData({
+        ticker: ticker.toUpperCase(),
+        company_name: ''
+      });
+    }
+    
+    const previousSentiment = stockData.sentiment_trend.current || 0;
+    const commentMentions = stockData.reddit_mentions.comments;
+    
+    commentMentions.total++;
+    if (redditComment.created_utc >= new Date(Date.now() - 24 * 60 * 60 * 1000)) {
+      commentMentions.last_24h++;
+    }
+    if (redditComment.created_utc >= new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)) {
+      commentMentions.last_7d++;
+    }
+    stockData.updateWeightedMentions(this.commentMentionWeight);
+    
+    // Comments move sentiment less than posts of the same quality
+    const entry = redditComment.tickers.find(t => t.symbol === ticker.toUpperCase());
+    const tickerSentiment = entry && entry.sentiment != null ? entry.sentiment : redditComment.sentiment_score;
+    const weight = redditComment.quality_score * redditComment.time_decay_factor / 100 * this.commentMentionWeight;
+    this.applyWeightedSentiment(stockData, tickerSentiment, weight);
+    
+    stockData.last_reddit_update = new Date();
+    await stockData.save();
+
+    realtimeService.emitStockUpdate(stockData, {
+      comment_mentions_24h: 1,
+      sentiment_change: stockData.sentiment_trend.current - previousSentiment,
+      comment_id: redditComment.reddit_id,
+      subreddit: redditComment.subreddit
+    });
+  }
+
+  // Crawl comments for a subreddit: top comments on new posts and the full tree of pinned daily threads
+  async processSubredditComments(subredditName, processedPosts = [], subredditConfig = null) {
+    const config = (subredditConfig && subredditConfig.config) || {};
+    const results = {
+      daily_threads: 0,
+      posts_crawled: 0,
+      comments_processed: 0
+    };
+
+    if (config.crawl_comments === false) {
+      return results;
+    }
+
+    // Pinned daily threads carry most of the ticker chatter on some subreddits
+    if (config.crawl_daily_threads !== false) {
+      try {
+        const threads = await redditService.getPinnedDailyThreads(subredditName);
+        
+        for (const threadData of threads) {
+          const threadPost = await this.getOrCreateThreadPost(threadData);
+          const comments = await redditService.getPostComments(threadData.reddit_id, subredditName, {
+            mode: 'full',
+            maxExpansions: this.commentCrawlConfig.dailyThreadExpansions,
+            maxComments: this.commentCrawlConfig.dailyThreadMaxComments,
+            minScore: config.min_comment_score
+          });
+          
+          results.comments_processed += await this.processComments(comments, threadPost, subredditConfig, 'daily_thread');
+          results.daily_threads++;
+        }
+      } catch (error) {
+        console.error(`❌ Error crawling daily threads for r/${subredditName}:`, error.message);
+        this.processingStats.errors++;
+      }
+    }
+
+    // Top comments on the most discussed posts from this batch
+    const candidates = processedPosts
+      .filter(post => post.tickers && post.tickers.length > 0 && !post.is_daily_thread)
+      .sort((a, b) => b.comments - a.comments)
+      .slice(0, this.commentCrawlConfig.postsPerCycle);
+
+    for (const candidate of candidates) {
+      try {
+        const parentPost = candidate._id ? candidate : await RedditPost.findOne({ reddit_id: candidate.reddit_id });
+        if (!parentPost) continue;
+
+        const comments = await redditService.getPostComments(parentPost.reddit_id, subredditName, {
+          mode: 'top',
+          limit: this.commentCrawlConfig.topCommentsPerPost,
+          minScore: config.min_comment_score
+        });
+
+        results.comments_processed += await this.processComments(comments, parentPost, subredditConfig, 'top_comments');
+        results.posts_crawled++;
+      } catch (error) {
+        console.error(`❌ Error crawling comments for ${candidate.reddit_id}:`, error.message);
+        this.processingStats.errors++;
+      }
+    }
+
+    if (results.comments_processed > 0) {
+      console.log(`💬 r/${subredditName}: ${results.comments_processed} comments processed (${results.daily_threads} daily threads, ${results.posts_crawled} posts)`);
+    }
+
+    return results;
+  }
+
+  // Find the stored daily thread or save it as a container post (it does not count as a mention itself)
+  async getOrCreateThreadPost(threadData) {
+    let threadPost = await RedditPost.findOne({ reddit_id: threadData.reddit_id });
+
+    if (threadPost) {
+      threadPost.upvotes = threadData.upvotes;
+      threadPost.comments = threadData.comments;
+      threadPost.is_daily_thread = true;
+      threadPost.stickied = threadData.stickied;
+      return threadPost;
+    }
+
+    threadPost = new RedditPost({
+      ...threadData,
+      tickers: [],
+      passes_noise_filter: false,
+      processed: true
+    });
+    threadPost.updateTimeDecay();
+    await threadPost.save();
+
+    return threadPost;
+  }
+
+  // Process a batch of comments belonging to one parent post
+  async processComments(comments, parentPost, subredditConfig, source = 'top_comments') {
+    let processedCount = 0;
+
+    for (const commentData of comments) {
+      try {
+        const saved = await this.processComment(commentData, parentPost, subredditConfig, source);
+        if (saved) processedCount++;
+      } catch (error) {
+        console.error(`❌ Error processing comment ${commentData.reddit_id}:`, error.message);
+        this.processingStats.errors++;
+      }
+    }
+
+    parentPost.comment_crawl = {
+      last_crawled: new Date(),
+      comments_ingested: ((parentPost.comment_crawl && parentPost.comment_crawl.comments_ingested) || 0) + processedCount
+    };
+    await parentPost.save();
+
+    return processedCount;
+  }
+
+  // Process a single comment: extract tickers, analyze sentiment and update stock data
+  async processComment(commentData, parentPost, subredditConfig, source = 'top_comments') {
+    const existingComment = await RedditComment.findOne({ reddit_id: commentData.reddit_id });
+    if (existingComment) {
+      return null;
+    }
+
+    const tickers = tickerExtractor.extractTickers(commentData.content);
+    if (tickers.length === 0) {
+      return null; // Only keep comments that mention tickers
+    }
+    this.processingStats.tickers_extracted += tickers.length;
+
+    // Comments are too numerous for Claude; local providers only
+    const sentiment = await sentimentService.analyze(commentData.content, '', { exclude: ['claude'] });
+    this.processingStats.sentiment_analyzed++;
+    await this.scoreTickerSentiment(tickers, commentData.content, '', sentiment, { useClaude: false });
+
+    // Only use profiles we already have - looking up every commenter would exhaust the API limit
+    const userProfile = await UserProfile.findOne({ username: commentData.author });
+
+    const redditComment = new RedditComment({
+      ...commentData,
+      post: parentPost._id,
+      author_profile: userProfile ? userProfile._id : undefined,
+      source,
+      tickers,
+      sentiment_score: sentiment.score,
+      sentiment_confidence: sentiment.confidence,
+      sentiment_keywords: sentiment.details.sentiment_words.slice(0, 10),
+      quality_score: this.calculateCommentQuality(commentData, userProfile, parentPost),
+      processed: true
+    });
+
+    redditComment.updateTimeDecay();
+    redditComment.checkNoiseFilter((subredditConfig && subredditConfig.config && subredditConfig.config.min_comment_score) || 1);
+
+    await redditComment.save();
+    this.processingStats.comments_processed++;
+
+    if (redditComment.passes_noise_filter) {
+      for (const ticker of tickers) {
+        await this.updateStockDataFromComment(ticker.symbol, redditComment);
+      }
+    }
+
+    return redditComment;
+  }
+
+  // Calculate comment quality score
+  calculateCommentQuality(commentData, userProfile, parentPost) {
+    const scoreSignal = Math.min(100, Math.log10(Math.max(1, commentData.upvotes) + 1) * 40);
+    const contentDepth = Math.min(100, commentData.content.length / 5);
+    const userQuality = userProfile ? userProfile.quality_score : 50;
+    const threadQuality = parentPost.is_daily_thread ? 50 : (parentPost.quality_score || 50);
+    const awardsBonus = Math.min(20, (commentData.awards || 0) * 5);
+    
+    // Deep replies are usually conversation rather than signal
+    const depthPenalty = Math.min(20, (commentData.depth || 0) * 4);
+
+    const qualityScore = (
+      scoreSignal * 0.35 +
+      contentDepth * 0.2 +
+      userQuality * 0.25 +
+      threadQuality * 0.15 +
+      awardsBonus * 0.05
+    ) - depthPenalty;
+
+    return Math.max(0, Math.min(100, qualityScore));
   }
 
   // Update stock data aggregations for all stocks
@@ -421,12 +862,18 @@ class DataProcessor {
     const cutoff24h = new Date(Date.now() - 24 * 60 * 60 * 1000);
     const cutoff7d = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
     
-    // Get all unique tickers from recent posts
-    const recentTickers = await RedditPost.aggregate([
+    // Get all unique tickers from recent posts and comments
+    const tickerPipeline = [
       { $match: { created_utc: { $gte: cutoff7d }, processed: true } },
       { $unwind: '$tickers' },
       { $group: { _id: '$tickers.symbol' } }
+    ];
+    const [postTickers, commentTickers] = await Promise.all([
+      RedditPost.aggregate(tickerPipeline),
+      RedditComment.aggregate(tickerPipeline)
     ]);
+    const recentTickers = [...new Set([...postTickers, ...commentTickers].map(group => group._id))]
+      .map(symbol => ({ _id: symbol }));
     
     for (const tickerGroup of recentTickers) {
       const ticker = tickerGroup._id;
@@ -451,12 +898,18 @@ class DataProcessor {
           processed: true
         });
         
+        const commentMentions24h = await RedditComment.getTickerMentionCounts(ticker, cutoff24h);
+        const commentMentions7d = await RedditComment.getTickerMentionCounts(ticker, cutoff7d);
+        
         await StockData.updateOne(
           { ticker: ticker },
           {
             $set: {
               'reddit_mentions.last_24h': mentions24h,
-              'reddit_mentions.last_7d': mentions7d
+              'reddit_mentions.last_7d': mentions7d,
+              'reddit_mentions.comments.last_24h': commentMentions24h,
+              'reddit_mentions.comments.last_7d': commentMentions7d,
+              'reddit_mentions.weighted_24h': mentions24h + commentMentions24h * this.commentMentionWeight
             }
           },
           { upsert: true }
@@ -515,6 +968,14 @@ class DataProcessor {
         'INFO', 'DATA', 'MAIN', 'FILE', 'PAGE', 'SITE', 'HOME', 'NEWS', 'BLOG', 'HELP'
       ];
 
+      // With a ticker universe loaded, anything no exchange lists is a false positive too
+      if (tickerExtractor.hasUniverse()) {
+        const trackedTickers = await StockData.distinct('ticker');
+        const unlisted = trackedTickers.filter(ticker => !tickerExtractor.isListed(ticker) && !falsePositives.includes(ticker));
+        falsePositives.push(...unlisted);
+        console.log(`📚 ${unlisted.length} tracked tickers are not in the ticker universe`);
+      }
+
       // Remove from StockData collection
       const stockDataResult = await StockData.deleteMany({
         ticker: { $in: falsePositives }
@@ -538,10 +999,18 @@ class DataProcessor {
       }
       console.log(`📝 Updated ${postsUpdated} posts to remove false positive tickers`);
 
+      // Remove ticker references from comments
+      const commentsResult = await RedditComment.updateMany(
+        { 'tickers.symbol': { $in: falsePositives } },
+        { $pull: { tickers: { symbol: { $in: falsePositives } } } }
+      );
+      console.log(`📝 Updated ${commentsResult.modifiedCount} comments to remove false positive tickers`);
+
       return {
         success: true,
         stock_data_removed: stockDataResult.deletedCount,
         posts_updated: postsUpdated,
+        comments_updated: commentsResult.modifiedCount,
         false_positives_cleaned: falsePositives
       };
 
@@ -571,21 +1040,29 @@ class DataProcessor {
       
       const oldPosts = await RedditPost.find(query).countDocuments();
       
+      const commentQuery = { created_utc: { $lt: cutoffDate } };
+      const oldComments = await RedditComment.countDocuments(commentQuery);
+      
       if (!dryRun) {
         const deleteResult = await RedditPost.deleteMany(query);
         console.log(`🗑️ Deleted ${deleteResult.deletedCount} old posts`);
         
+        const commentDeleteResult = await RedditComment.deleteMany(commentQuery);
+        console.log(`🗑️ Deleted ${commentDeleteResult.deletedCount} old comments`);
+        
         return {
           success: true,
           deleted_posts: deleteResult.deletedCount,
+          deleted_comments: commentDeleteResult.deletedCount,
           cutoff_date: cutoffDate
         };
       } else {
-        console.log(`📊 Would delete ${oldPosts} old posts (dry run)`);
+        console.log(`📊 Would delete ${oldPosts} old posts and ${oldComments} old comments (dry run)`);
         
         return {
           success: true,
           would_delete: oldPosts,
+          would_delete_comments: oldComments,
           cutoff_date: cutoffDate,
           dry_run: true
         };
@@ -599,11 +1076,18 @@ class DataProcessor {
 
   // Process an array of Reddit posts (used by monitoring service)
   async processRedditPosts(posts, subredditName = null) {
+    const { processed } = await this.processRedditPostBatch(posts, subredditName);
+    return processed;
+  }
+
+  // Same, also reporting the posts that failed to store so a caller moving a checkpoint past them can record them
+  async processRedditPostBatch(posts, subredditName = null) {
     if (!posts || posts.length === 0) {
-      return [];
+      return { processed: [], failed: [] };
     }
 
     const processedPosts = [];
+    const failedPosts = [];
     const subredditConfig = subredditName ? 
       await SubredditConfig.findOne({ name: subredditName }) : null;
 
@@ -616,7 +1100,7 @@ class DataProcessor {
         }
 
         // Process the post
-        await this.processPost(postData, subredditConfig || {
+        const savedPost = await this.processPost(postData, subredditConfig || {
           name: postData.subreddit,
           config: {
             min_upvotes: 10,
@@ -627,14 +1111,64 @@ class DataProcessor {
         });
         
         this.processingStats.posts_processed++;
-        processedPosts.push(postData);
+        processedPosts.push(savedPost ? {
+          ...postData,
+          tickers: savedPost.tickers,
+          sentiment_score: savedPost.sentiment_score
+        } : postData);
       } catch (error) {
         console.error(`❌ Error processing post ${postData.reddit_id}:`, error.message);
         this.processingStats.errors++;
+        failedPosts.push({ reddit_id: postData.reddit_id, created_utc: postData.created_utc, error: error.message });
       }
     }
 
-    return processedPosts;
+    return { processed: processedPosts, failed: failedPosts };
+  }
+
+  // Refresh votes and comment counts on a subreddit's recent posts
+  // Posts come in from the `new` listing with almost no engagement, so the noise filter is re-applied here
+  async refreshRecentPosts(subredditConfig, options = {}) {
+    const { hours = subredditConfig.config.refresh_window_hours ?? 24 } = options;
+    if (hours <= 0) return { refreshed: 0, missing: 0 };
+
+    const posts = await RedditPost.find({
+      subreddit: subredditConfig.name,
+      created_utc: { $gte: new Date(Date.now() - hours * 60 * 60 * 1000) }
+    });
+    if (posts.length === 0) return { refreshed: 0, missing: 0 };
+
+    const updates = await redditService.refreshPosts(posts.map(post => post.reddit_id));
+    const byId = new Map(updates.map(update => [update.reddit_id, update]));
+    const refreshedPosts = [];
+
+    for (const post of posts) {
+      const update = byId.get(post.reddit_id);
+      if (!update) continue;
+
+      post.upvotes = update.upvotes;
+      post.upvote_ratio = update.upvote_ratio;
+      post.comments = update.comments;
+      post.awards = update.awards;
+      post.stickied = update.stickied;
+      post.last_refreshed = new Date();
+      post.updateTimeDecay();
+      post.checkNoiseFilter(subredditConfig.config.min_upvotes, subredditConfig.config.min_comments);
+      refreshedPosts.push(post);
+    }
+
+    // Each refresh is one poll of the engagement series
+    await engagementService.recordSnapshots(refreshedPosts);
+    for (const post of refreshedPosts) {
+      await post.save();
+    }
+
+    const tickers = [...new Set(refreshedPosts.flatMap(post => post.tickers.map(ticker => ticker.symbol)))];
+    await engagementService.updateStockVelocity(tickers);
+
+    const refreshed = refreshedPosts.length;
+    console.log(`🔁 Refreshed ${refreshed}/${posts.length} recent posts in r/${subredditConfig.name}`);
+    return { refreshed, missing: posts.length - refreshed };
   }
 
   // Get aggregated stock sentiment data with cross-validation
@@ -663,7 +1197,7 @@ class DataProcessor {
       }
 
       // Calculate aggregated metrics
-      const totalSentiment = posts.reduce((sum, post) => sum + post.sentiment_score, 0);
+      const totalSentiment = posts.reduce((sum, post) => sum + RedditPost.tickerSentiment(post, ticker), 0);
       const totalQuality = posts.reduce((sum, post) => sum + post.quality_score, 0);
       
       // Get subreddit breakdown
@@ -677,7 +1211,7 @@ class DataProcessor {
           };
         }
         subredditBreakdown[post.subreddit].count++;
-        subredditBreakdown[post.subreddit].sentiment += post.sentiment_score;
+        subredditBreakdown[post.subreddit].sentiment += RedditPost.tickerSentiment(post, ticker);
         subredditBreakdown[post.subreddit].quality += post.quality_score;
       });
 
@@ -733,7 +1267,7 @@ class DataProcessor {
             subreddit: post.subreddit,
             upvotes: post.upvotes,
             comments: post.comments,
-            sentiment_score: post.sentiment_score,
+            sentiment_score: RedditPost.tickerSentiment(post, ticker),
             quality_score: post.quality_score,
             created_utc: post.created_utc
           })),
@@ -775,7 +1309,7 @@ class DataProcessor {
           $group: {
             _id: '$tickers.symbol',
             mention_count: { $sum: 1 },
-            avg_sentiment: { $avg: '$sentiment_score' },
+            avg_sentiment: { $avg: RedditPost.tickerSentimentExpression() },
             avg_quality: { $avg: '$quality_score' },
             total_upvotes: { $sum: '$upvotes' },
             total_comments: { $sum: '$comments' },
@@ -873,9 +1407,9 @@ class DataProcessor {
         }
       }
 
-      return enhancedResults
+      return engagementService.attachVelocity(enhancedResults
         .sort((a, b) => b.trending_score - a.trending_score)
-        .slice(0, limit);
+        .slice(0, limit));
 
     } catch (error) {
       console.error('❌ Error getting trending stocks with validation:', error.message);
@@ -0,0 +1,193 @@
+const PostEngagement = require('../models/PostEngagement');
+const StockData = require('../models/StockData');
+
+class EngagementService {
+  constructor() {
+    // Trailing window the last hour is compared against
+    this.baselineHours = 24;
+    // Last hour at this multiple of the baseline counts as high velocity
+    this.highVelocityRatio = 2;
+    // ...as long as there is real activity behind the ratio
+    this.minHourlyEngagement = 20;
+    // Repeat polls closer together than this are dropped
+    this.minPollIntervalMs = 60 * 1000;
+  }
+
+  // Write a snapshot per post and set post.engagement from it; the caller saves the posts
+  async recordSnapshots(posts, polledAt = new Date()) {
+    if (posts.length === 0) return 0;
+
+    const previous = await this.getLatestSnapshots(posts.map(post => post.reddit_id));
+    const snapshots = [];
+
+    for (const post of posts) {
+      const last = previous.get(post.reddit_id);
+      if (last && polledAt - last.polled_at < this.minPollIntervalMs) continue;
+
+      const ageHours = Math.max(1 / 60, (polledAt - new Date(post.created_utc)) / 3600000);
+      // First snapshot: average rate since the post went up
+      const hours = last ? (polledAt - last.polled_at) / 3600000 : ageHours;
+      const upvotesDelta = last ? post.upvotes - last.upvotes : 0;
+      const commentsDelta = last ? post.comments - last.comments : 0;
+      const upvoteVelocity = last ? upvotesDelta / hours : post.upvotes / hours;
+      const commentVelocity = last ? commentsDelta / hours : post.comments / hours;
+      const acceleration = last ? (upvoteVelocity - last.upvote_velocity) / hours : 0;
+
+      snapshots.push({
+        polled_at: polledAt,
+        meta: {
+          reddit_id: post.reddit_id,
+          subreddit: post.subreddit,
+          tickers: (post.tickers || []).map(ticker => ticker.symbol)
+        },
+        upvotes: post.upvotes,
+        comments: post.comments,
+        upvote_ratio: post.upvote_ratio,
+        age_minutes: Math.round(ageHours * 60),
+        upvotes_delta: upvotesDelta,
+        comments_delta: commentsDelta,
+        upvote_velocity: this.round(upvoteVelocity),
+        comment_velocity: this.round(commentVelocity)
+      });
+
+      const engagement = post.engagement || {};
+      post.engagement = {
+        upvote_velocity: this.round(upvoteVelocity),
+        comment_velocity: this.round(commentVelocity),
+        upvote_acceleration: this.round(acceleration),
+        peak_upvote_velocity: this.round(Math.max(engagement.peak_upvote_velocity || 0, upvoteVelocity)),
+        snapshots: (engagement.snapshots || 0) + 1,
+        last_polled: polledAt
+      };
+    }
+
+    if (snapshots.length > 0) {
+      await PostEngagement.insertMany(snapshots);
+    }
+    return snapshots.length;
+  }
+
+  // Most recent snapshot per post
+  async getLatestSnapshots(redditIds) {
+    const latest = await PostEngagement.aggregate([
+      { $match: { 'meta.reddit_id': { $in: redditIds } } },
+      { $sort: { polled_at: -1 } },
+      {
+        $group: {
+          _id: '$meta.reddit_id',
+          polled_at: { $first: '$polled_at' },
+          upvotes: { $first: '$upvotes' },
+          comments: { $first: '$comments' },
+          upvote_velocity: { $first: '$upvote_velocity' }
+        }
+      }
+    ]);
+
+    return new Map(latest.map(snapshot => [snapshot._id, snapshot]));
+  }
+
+  // Snapshot series for one post, oldest first
+  async getPostSeries(redditId) {
+    return PostEngagement.find({ 'meta.reddit_id': redditId })
+      .sort({ polled_at: 1 })
+      .select('-_id polled_at upvotes comments upvote_ratio age_minutes upvotes_delta comments_delta upvote_velocity comment_velocity')
+      .lean();
+  }
+
+  // Engagement flowing into each ticker's posts: last hour vs the hour before and the trailing baseline
+  async getTickerVelocity(tickers, now = new Date()) {
+    const symbols = [...new Set(tickers.map(ticker => ticker.toUpperCase()))];
+    if (symbols.length === 0) return new Map();
+
+    const since = new Date(now - this.baselineHours * 3600000);
+    const hourAgo = new Date(now - 3600000);
+    const twoHoursAgo = new Date(now - 2 * 3600000);
+    const inLastHour = { $gte: ['$polled_at', hourAgo] };
+    const inHourBefore = { $and: [{ $gte: ['$polled_at', twoHoursAgo] }, { $lt: ['$polled_at', hourAgo] }] };
+
+    const rows = await PostEngagement.aggregate([
+      { $match: { 'meta.tickers': { $in: symbols }, polled_at: { $gte: since } } },
+      { $unwind: '$meta.tickers' },
+      { $match: { 'meta.tickers': { $in: symbols } } },
+      {
+        $group: {
+          _id: '$meta.tickers',
+          last_hour_upvotes: { $sum: { $cond: [inLastHour, '$upvotes_delta', 0] } },
+          last_hour_comments: { $sum: { $cond: [inLastHour, '$comments_delta', 0] } },
+          prev_hour_upvotes: { $sum: { $cond: [inHourBefore, '$upvotes_delta', 0] } },
+          prev_hour_comments: { $sum: { $cond: [inHourBefore, '$comments_delta', 0] } },
+          window_upvotes: { $sum: '$upvotes_delta' },
+          window_comments: { $sum: '$comments_delta' },
+          first_poll: { $min: '$polled_at' },
+          posts: { $addToSet: '$meta.reddit_id' }
+        }
+      }
+    ]);
+
+    const velocities = new Map();
+    for (const row of rows) {
+      // Comments count double, as in the trending engagement score
+      const lastHour = row.last_hour_upvotes + row.last_hour_comments * 2;
+      const previousHour = row.prev_hour_upvotes + row.prev_hour_comments * 2;
+      // Only hours we actually have snapshots for, so a fresh install isn't compared to an empty day
+      const coveredHours = Math.max(1, (now - row.first_poll) / 3600000);
+      const baseline = (row.window_upvotes + row.window_comments * 2) / coveredHours;
+      const ratio = baseline > 0 ? lastHour / baseline : 0;
+
+      velocities.set(row._id, {
+        upvotes_per_hour: Math.max(0, row.last_hour_upvotes),
+        comments_per_hour: Math.max(0, row.last_hour_comments),
+        acceleration: lastHour - previousHour,
+        velocity_ratio: this.round(ratio),
+        posts_tracked: row.posts.length,
+        is_high_velocity: ratio >= this.highVelocityRatio && lastHour >= this.minHourlyEngagement
+      });
+    }
+
+    return velocities;
+  }
+
+  // Store current velocity on StockData; the pre-save hook recalculates the trending score
+  async updateStockVelocity(tickers) {
+    const velocities = await this.getTickerVelocity(tickers);
+    let updated = 0;
+
+    for (const [ticker, velocity] of velocities) {
+      const stock = await StockData.findOne({ ticker });
+      if (!stock) continue;
+
+      stock.engagement_velocity = {
+        upvotes_per_hour: velocity.upvotes_per_hour,
+        comments_per_hour: velocity.comments_per_hour,
+        acceleration: velocity.acceleration,
+        velocity_ratio: velocity.velocity_ratio,
+        posts_tracked: velocity.posts_tracked,
+        updated_at: new Date()
+      };
+      await stock.save();
+      updated++;
+    }
+
+    return updated;
+  }
+
+  // Add `velocity` (ratio) and `engagement_velocity` to trending rows
+  async attachVelocity(stocks, getTicker = stock => stock.ticker) {
+    const velocities = await this.getTickerVelocity(stocks.map(getTicker));
+    return stocks.map(stock => {
+      const velocity = velocities.get(getTicker(stock).toUpperCase());
+      return {
+        ...stock,
+        velocity: velocity ? velocity.velocity_ratio : 0,
+        high_velocity: velocity ? velocity.is_high_velocity : false,
+        engagement_velocity: velocity || null
+      };
+    });
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new EngagementService();
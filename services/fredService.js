@@ -1,4 +1,5 @@
 const axios = require('axios');
+const apiCache = require('./apiCache');
 require('dotenv').config();
 
 class FredService {
@@ -17,10 +18,6 @@ class FredService {
       last_reset: new Date().toISOString().split('T')[0]
     };
     
-    // Cache for economic data
-    this.cache = new Map();
-    this.cacheTimeout = 60 * 60 * 1000; // 1 hour for economic data
-    
     // Key economic indicators
     this.indicators = {
       // Interest Rates
@@ -83,16 +80,6 @@ class FredService {
     }
 
     const keys = indicatorKeys || Object.keys(this.indicators);
-    const cacheKey = `current_indicators_${keys.join('_')}`;
-    
-    // Check cache first
-    if (this.cache.has(cacheKey)) {
-      const cached = this.cache.get(cacheKey);
-      if (Date.now() - cached.timestamp < this.cacheTimeout) {
-        console.log('📊 Using cached economic indicators');
-        return cached.data;
-      }
-    }
 
     try {
       const results = {};
@@ -106,7 +93,6 @@ class FredService {
           if (!seriesId) return null;
           
           try {
-            await this.enforceRateLimit();
             const data = await this.getSeriesLatest(seriesId);
             return { key, data };
           } catch (error) {
@@ -135,12 +121,6 @@ class FredService {
         economic_summary: this.generateEconomicSummary(results)
       };
       
-      // Cache the result
-      this.cache.set(cacheKey, {
-        data: response,
-        timestamp: Date.now()
-      });
-      
       console.log(`📊 Fetched ${Object.keys(results).length} economic indicators`);
       
       return response;
@@ -168,35 +148,16 @@ class FredService {
       return { series_id: indicatorKey, data: [], error: 'Unknown indicator' };
     }
 
-    const cacheKey = `history_${indicatorKey}_${startDate}_${endDate}_${frequency}`;
-    
-    // Check cache first
-    if (this.cache.has(cacheKey)) {
-      const cached = this.cache.get(cacheKey);
-      if (Date.now() - cached.timestamp < this.cacheTimeout) {
-        console.log(`📊 Using cached history for ${indicatorKey}`);
-        return cached.data;
-      }
-    }
-
     try {
-      await this.enforceRateLimit();
-      
-      const response = await axios.get(`${this.baseUrl}/series/observations`, {
-        params: {
-          series_id: seriesId,
-          api_key: this.apiKey,
-          file_type: 'json',
-          observation_start: startDate,
-          observation_end: endDate,
-          frequency: frequency.charAt(0), // 'd', 'w', 'm', 'q', 'a'
-          sort_order: 'desc'
-        }
+      const observations = await this.getObservations('history', {
+        series_id: seriesId,
+        observation_start: startDate,
+        observation_end: endDate,
+        frequency: frequency.charAt(0), // 'd', 'w', 'm', 'q', 'a'
+        sort_order: 'desc'
       });
-
-      this.updateUsage();
       
-      const processedData = this.processHistoricalData(response.data.observations);
+      const processedData = this.processHistoricalData(observations);
       
       const result = {
         series_id: seriesId,
@@ -208,12 +169,6 @@ class FredService {
         trend_analysis: this.analyzeTrend(processedData)
       };
       
-      // Cache the result
-      this.cache.set(cacheKey, {
-        data: result,
-        timestamp: Date.now()
-      });
-      
       console.log(`📊 Fetched ${processedData.length} data points for ${indicatorKey}`);
       
       return result;
@@ -224,23 +179,25 @@ class FredService {
     }
   }
 
+  // Raw series observations, through the shared API cache
+  async getObservations(operation, params) {
+    return apiCache.wrap('fred', operation, params, async () => {
+      await this.enforceRateLimit();
+      const response = await axios.get(`${this.baseUrl}/series/observations`, {
+        params: { ...params, api_key: this.apiKey, file_type: 'json' }
+      });
+      this.updateUsage();
+      return response.data.observations;
+    });
+  }
+
   // Get latest value for a specific series
   async getSeriesLatest(seriesId) {
-    await this.enforceRateLimit();
-    
-    const response = await axios.get(`${this.baseUrl}/series/observations`, {
-      params: {
-        series_id: seriesId,
-        api_key: this.apiKey,
-        file_type: 'json',
-        limit: 1,
-        sort_order: 'desc'
-      }
+    const observations = await this.getObservations('latest', {
+      series_id: seriesId,
+      limit: 1,
+      sort_order: 'desc'
     });
-
-    this.updateUsage();
-    
-    const observations = response.data.observations;
     if (observations && observations.length > 0) {
       const latest = observations[0];
       return {
@@ -721,14 +678,14 @@ class FredService {
       ...this.usage,
       is_configured: this.isConfigured,
       available_indicators: Object.keys(this.indicators).length,
-      cache_size: this.cache.size,
+      cache: apiCache.getMetrics('fred'),
       rate_limit_interval: this.minInterval
     };
   }
 
   // Clear cache
-  clearCache() {
-    this.cache.clear();
+  async clearCache() {
+    await apiCache.purge({ provider: 'fred' });
     console.log('📊 FRED API cache cleared');
   }
 
@@ -0,0 +1,423 @@
+const TickerSentimentHistory = require('../models/TickerSentimentHistory');
+const StockData = require('../models/StockData');
+const marketDataService = require('./marketDataService');
+const technicalIndicatorService = require('./technicalIndicatorService');
+const sentimentHistoryService = require('./sentimentHistoryService');
+const technicalIndicators = require('../utils/technicalIndicators');
+const stats = require('../utils/timeSeriesStats');
+
+const hourMs = 60 * 60 * 1000;
+
+class LeadLagService {
+  constructor() {
+    this.defaults = {
+      resolution: 'hour', // 'hour' (60min bars) | 'day' (daily bars)
+      max_lag: 72, // Hours either side of the return
+      granger_lags: null, // Bars; defaults per resolution below
+      tickers: [],
+      limit: 10 // Tickers pooled per subreddit when none are given
+    };
+    this.resolutions = {
+      hour: { stepHours: 1, defaultDays: 14, grangerLags: 6 },
+      day: { stepHours: 24, defaultDays: 90, grangerLags: 3 }
+    };
+    // Daily bars are stamped at midnight UTC; the close they carry is observed around 16:00 New York time
+    this.dailyCloseOffsetHours = 20;
+    this.maxDays = 180;
+    // Correlations and subreddit splits need at least this many aligned points to be reported
+    this.minPairs = 10;
+    this.minSubredditMentions = 20;
+  }
+
+  // Merge query options over defaults and resolve the window
+  buildConfig(options = {}) {
+    const config = { ...this.defaults };
+    for (const [key, value] of Object.entries(options)) {
+      if (value !== undefined && value !== '') config[key] = value;
+    }
+
+    const resolution = this.resolutions[config.resolution];
+    config.days = config.days !== undefined ? Number(config.days) : (resolution ? resolution.defaultDays : 14);
+    config.max_lag = Number(config.max_lag);
+    config.granger_lags = config.granger_lags !== null ? Number(config.granger_lags) : (resolution ? resolution.grangerLags : 6);
+    config.limit = Number(config.limit);
+    config.tickers = (Array.isArray(config.tickers) ? config.tickers : String(config.tickers).split(','))
+      .map(ticker => ticker.trim().toUpperCase())
+      .filter(Boolean);
+
+    config.to = sentimentHistoryService.floorHour(new Date());
+    config.from = new Date(config.to.getTime() - config.days * 24 * hourMs);
+    return config;
+  }
+
+  // Validate a config, returning a list of problems
+  validateConfig(config) {
+    const errors = [];
+
+    if (!this.resolutions[config.resolution]) {
+      errors.push(`resolution must be one of ${Object.keys(this.resolutions).join(', ')}`);
+    }
+    if (!Number.isInteger(config.days) || config.days < 1 || config.days > this.maxDays) {
+      errors.push(`days must be an integer between 1 and ${this.maxDays}`);
+    }
+    if (!Number.isInteger(config.max_lag) || config.max_lag < 1 || config.max_lag > 72) {
+      errors.push('max_lag must be an integer number of hours between 1 and 72');
+    } else if (config.resolution === 'day' && config.max_lag < 24) {
+      errors.push('max_lag must be at least 24 hours at daily resolution');
+    }
+    if (!Number.isInteger(config.granger_lags) || config.granger_lags < 1 || config.granger_lags > 12) {
+      errors.push('granger_lags must be an integer between 1 and 12');
+    }
+    if (!Number.isInteger(config.limit) || config.limit < 1 || config.limit > 25) {
+      errors.push('limit must be an integer between 1 and 25');
+    }
+
+    return errors;
+  }
+
+  resolveConfig(options) {
+    const config = this.buildConfig(options);
+    const errors = this.validateConfig(config);
+    if (errors.length > 0) {
+      const error = new Error(errors.join('; '));
+      error.validation = true;
+      throw error;
+    }
+    return config;
+  }
+
+  // Cross-correlation of Reddit activity against returns at every lag, Granger tests both ways, and a verdict
+  async analyzeTicker(ticker, options = {}) {
+    const config = this.resolveConfig(options);
+    const symbol = ticker.toUpperCase();
+
+    const returns = await this.loadReturns(symbol, config);
+    const activity = await this.loadActivity(symbol, config);
+    const correlations = this.crossCorrelate(returns, activity, config);
+    const granger = this.grangerTests(returns, activity, config);
+    const peaks = {
+      mentions_returns: this.findPeak(correlations, 'mentions_returns'),
+      mentions_volatility: this.findPeak(correlations, 'mentions_volatility'),
+      sentiment_returns: this.findPeak(correlations, 'sentiment_returns')
+    };
+
+    return {
+      ticker: symbol,
+      resolution: config.resolution,
+      from: config.from,
+      to: config.to,
+      returns: returns.length,
+      mentions: activity.total,
+      lag_step_hours: this.resolutions[config.resolution].stepHours,
+      correlations,
+      peaks,
+      granger,
+      verdict: {
+        mentions: this.verdict(peaks.mentions_returns, granger.mentions_to_returns, granger.returns_to_mentions),
+        sentiment: this.verdict(peaks.sentiment_returns, granger.sentiment_to_returns, granger.returns_to_sentiment)
+      },
+      subreddits: activity.subreddits.slice(0, 10)
+    };
+  }
+
+  // The same curves per subreddit, pooled across the most-mentioned tickers (or the ones asked for)
+  async analyzeSubreddits(options = {}) {
+    const config = this.resolveConfig(options);
+    const tickers = config.tickers.length > 0 ? config.tickers.slice(0, config.limit) : await this.topTickers(config);
+
+    const bySubreddit = new Map();
+    const skipped = [];
+    for (const ticker of tickers) {
+      const returns = await this.loadReturns(ticker, config);
+      if (returns.length < this.minPairs) {
+        skipped.push({ ticker, reason: `only ${returns.length} returns in range` });
+        continue;
+      }
+
+      const activity = await this.loadActivity(ticker, config);
+      for (const { subreddit, mentions } of activity.subreddits) {
+        if (mentions < this.minSubredditMentions) continue;
+
+        const correlations = this.crossCorrelate(returns, activity, config, subreddit);
+        const granger = this.grangerTests(returns, activity, config, subreddit);
+        if (!bySubreddit.has(subreddit)) bySubreddit.set(subreddit, []);
+        bySubreddit.get(subreddit).push({ ticker, mentions, correlations, granger });
+      }
+    }
+
+    const subreddits = [...bySubreddit.entries()].map(([subreddit, results]) => {
+      const correlations = results[0].correlations.map((point, index) => {
+        const pooled = { lag_hours: point.lag_hours };
+        for (const key of ['mentions_returns', 'sentiment_returns']) {
+          const { correlation, n } = stats.fisherAverage(results.map(result => ({
+            correlation: result.correlations[index][key],
+            n: result.correlations[index][`${key}_n`]
+          })));
+          pooled[key] = correlation !== null ? this.round(correlation, 4) : null;
+          pooled[`${key}_n`] = n;
+        }
+        return pooled;
+      });
+      const tested = results.filter(result => result.granger.mentions_to_returns.p_value !== null);
+      const peaks = {
+        mentions_returns: this.findPeak(correlations, 'mentions_returns'),
+        sentiment_returns: this.findPeak(correlations, 'sentiment_returns')
+      };
+
+      return {
+        subreddit,
+        tickers: results.map(result => ({ ticker: result.ticker, mentions: result.mentions })),
+        mentions: results.reduce((sum, result) => sum + result.mentions, 0),
+        correlations,
+        peaks,
+        granger: {
+          tested: tested.length,
+          mentions_lead: tested.filter(result => result.granger.mentions_to_returns.significant).length,
+          returns_lead: tested.filter(result => result.granger.returns_to_mentions.significant).length
+        },
+        verdict: this.verdict(peaks.mentions_returns, null, null)
+      };
+    }).sort((a, b) => b.mentions - a.mentions);
+
+    return {
+      resolution: config.resolution,
+      from: config.from,
+      to: config.to,
+      lag_step_hours: this.resolutions[config.resolution].stepHours,
+      tickers,
+      skipped,
+      subreddits
+    };
+  }
+
+  // Most-mentioned tickers in the stored hourly history over the window
+  async topTickers(config) {
+    const rows = await TickerSentimentHistory.aggregate([
+      { $match: { hour: { $gte: config.from, $lt: config.to } } },
+      { $group: { _id: '$meta.ticker', mentions: { $sum: '$mentions' } } },
+      { $sort: { mentions: -1 } },
+      { $limit: config.limit }
+    ]);
+    return rows.map(row => row._id);
+  }
+
+  // Log returns between consecutive bars inside the window, each stamped with when its closing price was observed
+  async loadReturns(symbol, config) {
+    let bars = [];
+    if (config.resolution === 'day') {
+      const tradingDays = Math.ceil(config.days * 5 / 7) + 2;
+      bars = (await technicalIndicatorService.getBars(symbol, 'daily', tradingDays))
+        .map(bar => ({ ...bar, timestamp: new Date(bar.timestamp.getTime() + this.dailyCloseOffsetHours * hourMs) }));
+    } else {
+      bars = await this.loadHourlyBars(symbol);
+    }
+
+    const inWindow = bars.filter(bar => bar.timestamp >= config.from && bar.timestamp <= config.to && bar.close > 0);
+    const returns = [];
+    for (let i = 1; i < inWindow.length; i++) {
+      returns.push({
+        time: inWindow[i].timestamp,
+        previous_time: inWindow[i - 1].timestamp,
+        value: Math.log(inWindow[i].close / inWindow[i - 1].close)
+      });
+    }
+    return returns;
+  }
+
+  // 60min bars straight from the providers, so the 5min bars StockDetail charts from stay in place;
+  // stored 60min bars are the fallback when no provider answers
+  async loadHourlyBars(symbol) {
+    try {
+      const intraday = await marketDataService.getIntradayData(symbol, '60min');
+      return technicalIndicators.prepareBars(intraday.data);
+    } catch (error) {
+      console.error(`❌ Could not fetch 60min bars for ${symbol}:`, error.message);
+      const stock = await StockData.findOne({ ticker: symbol }).select('intraday_data').lean();
+      return stock && stock.intraday_data && stock.intraday_data.interval === '60min'
+        ? technicalIndicators.prepareBars(stock.intraday_data.bars)
+        : [];
+    }
+  }
+
+  // Hourly mentions and sentiment totals on a grid reaching max_lag beyond the window on both sides,
+  // as prefix sums so any window of hours can be summed directly
+  async loadActivity(symbol, config) {
+    const stepHours = this.resolutions[config.resolution].stepHours;
+    const reachHours = config.max_lag + stepHours * (config.granger_lags + 2);
+    const start = new Date(config.from.getTime() - reachHours * hourMs);
+    // Hours after the newest one are unknown rather than quiet
+    const end = new Date(Math.min(config.to.getTime() + reachHours * hourMs, sentimentHistoryService.floorHour(new Date()).getTime() + hourMs));
+    const hours = Math.round((end - start) / hourMs);
+
+    const buckets = await sentimentHistoryService.getHourlyBuckets(symbol, start, end);
+    const empty = () => ({ mentions: new Array(hours + 1).fill(0), sentiment: new Array(hours + 1).fill(0) });
+    const overall = empty();
+    const perSubreddit = new Map();
+    const subredditTotals = new Map();
+
+    const hourly = { mentions: new Array(hours).fill(0), sentiment: new Array(hours).fill(0) };
+    const hourlyBySubreddit = new Map();
+    for (const bucket of buckets) {
+      const index = Math.round((new Date(bucket.hour).getTime() - start.getTime()) / hourMs);
+      if (index < 0 || index >= hours) continue;
+      hourly.mentions[index] += bucket.mentions || 0;
+      hourly.sentiment[index] += bucket.sentiment_total || 0;
+
+      for (const split of bucket.subreddits || []) {
+        if (!hourlyBySubreddit.has(split.subreddit)) {
+          hourlyBySubreddit.set(split.subreddit, { mentions: new Array(hours).fill(0), sentiment: new Array(hours).fill(0) });
+        }
+        const series = hourlyBySubreddit.get(split.subreddit);
+        series.mentions[index] += split.mentions || 0;
+        series.sentiment[index] += split.sentiment_total || 0;
+        if (index >= (config.from - start) / hourMs && new Date(bucket.hour) < config.to) {
+          subredditTotals.set(split.subreddit, (subredditTotals.get(split.subreddit) || 0) + (split.mentions || 0));
+        }
+      }
+    }
+
+    const accumulate = (source, target) => {
+      for (let i = 0; i < hours; i++) {
+        target.mentions[i + 1] = target.mentions[i] + source.mentions[i];
+        target.sentiment[i + 1] = target.sentiment[i] + source.sentiment[i];
+      }
+      return target;
+    };
+    accumulate(hourly, overall);
+    for (const [subreddit, series] of hourlyBySubreddit) {
+      perSubreddit.set(subreddit, accumulate(series, empty()));
+    }
+
+    const fromIndex = Math.round((config.from - start) / hourMs);
+    const toIndex = Math.min(hours, Math.round((config.to - start) / hourMs));
+
+    return {
+      start,
+      hours,
+      overall,
+      perSubreddit,
+      total: overall.mentions[toIndex] - overall.mentions[fromIndex],
+      subreddits: [...subredditTotals.entries()]
+        .map(([subreddit, mentions]) => ({ subreddit, mentions }))
+        .sort((a, b) => b.mentions - a.mentions)
+    };
+  }
+
+  // Mentions and sentiment total over the hours in [from, to); null when the window leaves the grid
+  windowActivity(activity, from, to, subreddit = null) {
+    const startIndex = Math.floor((from.getTime() - activity.start.getTime()) / hourMs);
+    const endIndex = Math.floor((to.getTime() - activity.start.getTime()) / hourMs);
+    if (startIndex < 0 || endIndex > activity.hours || endIndex <= startIndex) return null;
+
+    const series = subreddit ? activity.perSubreddit.get(subreddit) : activity.overall;
+    if (!series) return { mentions: 0, sentiment_total: 0 };
+    return {
+      mentions: series.mentions[endIndex] - series.mentions[startIndex],
+      sentiment_total: series.sentiment[endIndex] - series.sentiment[startIndex]
+    };
+  }
+
+  // Positive lags pair a return with activity that many hours before it (Reddit leading price),
+  // negative lags with activity after it (Reddit reacting)
+  crossCorrelate(returns, activity, config, subreddit = null) {
+    const stepHours = this.resolutions[config.resolution].stepHours;
+    const maxSteps = Math.floor(config.max_lag / stepHours);
+    const stepMs = stepHours * hourMs;
+    const correlations = [];
+
+    for (let steps = -maxSteps; steps <= maxSteps; steps++) {
+      const mentions = [];
+      const sentimentChanges = [];
+      const values = [];
+
+      for (const ret of returns) {
+        const end = new Date(ret.time.getTime() - steps * stepMs);
+        const window = this.windowActivity(activity, new Date(end.getTime() - stepMs), end, subreddit);
+        const before = this.windowActivity(activity, new Date(end.getTime() - 2 * stepMs), new Date(end.getTime() - stepMs), subreddit);
+
+        mentions.push(window ? Math.log1p(window.mentions) : null);
+        sentimentChanges.push(window && before && window.mentions > 0 && before.mentions > 0
+          ? window.sentiment_total / window.mentions - before.sentiment_total / before.mentions
+          : null);
+        values.push(ret.value);
+      }
+
+      const mentionsReturns = stats.pearson(mentions, values);
+      const mentionsVolatility = stats.pearson(mentions, values.map(Math.abs));
+      const sentimentReturns = stats.pearson(sentimentChanges, values);
+      correlations.push({
+        lag_hours: steps * stepHours,
+        mentions_returns: this.reportable(mentionsReturns),
+        mentions_returns_n: mentionsReturns.n,
+        mentions_volatility: this.reportable(mentionsVolatility),
+        mentions_volatility_n: mentionsVolatility.n,
+        sentiment_returns: this.reportable(sentimentReturns),
+        sentiment_returns_n: sentimentReturns.n
+      });
+    }
+
+    return correlations;
+  }
+
+  // Granger-style tests on the bar sequence: activity is summed over the time since the previous bar,
+  // so nights and weekends fold into the next session's first bar
+  grangerTests(returns, activity, config, subreddit = null) {
+    const mentions = [];
+    const sentiment = [];
+    const values = [];
+    for (const ret of returns) {
+      const window = this.windowActivity(activity, ret.previous_time, ret.time, subreddit);
+      mentions.push(window ? Math.log1p(window.mentions) : null);
+      sentiment.push(window ? window.sentiment_total / 100 : null);
+      values.push(ret.value);
+    }
+
+    const lags = config.granger_lags;
+    return {
+      mentions_to_returns: stats.grangerTest(mentions, values, lags),
+      returns_to_mentions: stats.grangerTest(values, mentions, lags),
+      sentiment_to_returns: stats.grangerTest(sentiment, values, lags),
+      returns_to_sentiment: stats.grangerTest(values, sentiment, lags)
+    };
+  }
+
+  // Lag with the strongest correlation, and whether it clears the ~95% band for its sample size
+  findPeak(correlations, key) {
+    let peak = null;
+    for (const point of correlations) {
+      if (point[key] === null) continue;
+      if (!peak || Math.abs(point[key]) > Math.abs(peak.correlation)) {
+        peak = { lag_hours: point.lag_hours, correlation: point[key], n: point[`${key}_n`] };
+      }
+    }
+    if (!peak) return null;
+
+    const threshold = stats.significanceThreshold(peak.n);
+    return { ...peak, threshold: this.round(threshold, 4), significant: Math.abs(peak.correlation) > threshold };
+  }
+
+  // Granger results decide when they point one way; otherwise fall back to where the correlation peaks
+  verdict(peak, forward, backward) {
+    const forwardSignificant = Boolean(forward && forward.significant);
+    const backwardSignificant = Boolean(backward && backward.significant);
+
+    if (forwardSignificant && backwardSignificant) return { direction: 'feedback', basis: 'granger' };
+    if (forwardSignificant) return { direction: 'reddit_leads', basis: 'granger' };
+    if (backwardSignificant) return { direction: 'reddit_lags', basis: 'granger' };
+
+    if (!peak || !peak.significant) return { direction: 'no_relationship', basis: peak ? 'cross_correlation' : null };
+    const direction = peak.lag_hours > 0 ? 'reddit_leads' : peak.lag_hours < 0 ? 'reddit_lags' : 'coincident';
+    return { direction, basis: 'cross_correlation', lag_hours: peak.lag_hours };
+  }
+
+  reportable(result) {
+    return result.correlation !== null && result.n >= this.minPairs ? this.round(result.correlation, 4) : null;
+  }
+
+  round(value, digits = 2) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+  }
+}
+
+module.exports = new LeadLagService();
@@ -0,0 +1,38 @@
+const alphaVantageService = require('../alphaVantageService');
+
+// Alpha Vantage, through the existing service and its free-tier request budget
+class AlphaVantageProvider {
+  constructor() {
+    this.name = 'alphavantage';
+    this.service = alphaVantageService;
+  }
+
+  // Skipped once the key is missing or today's requests are used up; the per-minute spacing is just waited out
+  isAvailable() {
+    if (!this.service.apiKey) return false;
+    return this.service.canMakeRequest().reason !== 'Daily limit reached';
+  }
+
+  async getQuote(symbol) {
+    const quote = await this.service.getQuote(symbol);
+    return { ...quote, change_percent: parseFloat(quote.change_percent) };
+  }
+
+  async getDaily(symbol, options = {}) {
+    return this.service.getDailyData(symbol, options.outputSize || 'compact');
+  }
+
+  async getIntraday(symbol, options = {}) {
+    return this.service.getIntradayData(symbol, options.interval || '5min');
+  }
+
+  async search(keywords) {
+    return this.service.searchSymbol(keywords);
+  }
+
+  getStatus() {
+    return { available: this.isAvailable(), ...this.service.getUsageStats() };
+  }
+}
+
+module.exports = AlphaVantageProvider;
@@ -0,0 +1,104 @@
+// OHLCV CSV parsing shared by the file and HTTP providers
+
+// Column aliases seen in common exports (Stooq, Yahoo, broker downloads)
+const columnAliases = {
+  date: ['date', 'datetime', 'timestamp', 'time', 'day'],
+  open: ['open', 'o'],
+  high: ['high', 'h'],
+  low: ['low', 'l'],
+  close: ['close', 'adj close', 'adj_close', 'c', 'last', 'price'],
+  volume: ['volume', 'vol', 'v']
+};
+
+function splitLine(line) {
+  return line.split(/[,;\t]/).map(cell => cell.trim().replace(/^"|"$/g, ''));
+}
+
+// Rows in StockData.price_data shape, newest first like the Alpha Vantage series
+function parseOhlcvCsv(text) {
+  const lines = String(text || '').split(/\r?\n/).filter(line => line.trim());
+  if (lines.length < 2) return [];
+
+  const header = splitLine(lines[0]).map(cell => cell.toLowerCase());
+  const find = (names) => header.findIndex(cell => names.includes(cell));
+  const columns = {
+    date: find(columnAliases.date),
+    open: find(columnAliases.open),
+    high: find(columnAliases.high),
+    low: find(columnAliases.low),
+    close: find(columnAliases.close),
+    volume: find(columnAliases.volume)
+  };
+  // Stooq splits the timestamp into Date and Time columns
+  const timeColumn = header.indexOf('time') !== columns.date ? header.indexOf('time') : -1;
+
+  if (columns.date === -1 || columns.close === -1) {
+    throw new Error('CSV needs at least a date and a close column');
+  }
+
+  const bars = [];
+  for (const line of lines.slice(1)) {
+    const cells = splitLine(line);
+    const stamp = timeColumn !== -1 && cells[timeColumn]
+      ? `${cells[columns.date]}T${cells[timeColumn]}`
+      : cells[columns.date];
+    const bar = normalizeBar({
+      timestamp: /^\d{9,}$/.test(stamp) ? Number(stamp) * (stamp.length <= 10 ? 1000 : 1) : stamp,
+      open: cells[columns.open],
+      high: cells[columns.high],
+      low: cells[columns.low],
+      close: cells[columns.close],
+      volume: cells[columns.volume]
+    });
+    if (bar) bars.push(bar);
+  }
+
+  return bars.sort((a, b) => b.timestamp - a.timestamp);
+}
+
+// Coerce one bar into price_data shape; null for rows that can't be priced ("N/D", blanks)
+function normalizeBar(raw) {
+  const timestamp = new Date(raw.timestamp);
+  const close = parseFloat(raw.close);
+  if (isNaN(timestamp.getTime()) || !isFinite(close) || close < 0) return null;
+
+  // Close-only exports still fill a valid bar
+  const number = (value) => (isFinite(parseFloat(value)) && parseFloat(value) >= 0 ? parseFloat(value) : close);
+  const volume = parseInt(raw.volume, 10);
+
+  return {
+    timestamp,
+    open: number(raw.open),
+    high: number(raw.high),
+    low: number(raw.low),
+    close,
+    volume: isFinite(volume) && volume >= 0 ? volume : 0
+  };
+}
+
+// A quote in the Alpha Vantage getQuote shape from the latest two daily bars (newest first)
+function quoteFromBars(symbol, bars) {
+  if (bars.length === 0) {
+    throw new Error(`No price data found for ${symbol}`);
+  }
+
+  const [latest, previous] = bars;
+  const previousClose = previous ? previous.close : latest.open;
+  const change = latest.close - previousClose;
+
+  return {
+    symbol: symbol.toUpperCase(),
+    open: latest.open,
+    high: latest.high,
+    low: latest.low,
+    price: latest.close,
+    volume: latest.volume,
+    latest_trading_day: latest.timestamp.toISOString().split('T')[0],
+    previous_close: previousClose,
+    change: Math.round(change * 10000) / 10000,
+    change_percent: previousClose > 0 ? Math.round((change / previousClose) * 1000000) / 10000 : 0,
+    timestamp: new Date()
+  };
+}
+
+module.exports = { parseOhlcvCsv, normalizeBar, quoteFromBars };
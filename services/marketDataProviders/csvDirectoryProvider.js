@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const { parseOhlcvCsv, quoteFromBars } = require('./csv');
+
+// OHLCV files on disk: AAPL.csv (daily) and AAPL.5min.csv style intraday files
+class CsvDirectoryProvider {
+  constructor(options = {}) {
+    this.name = 'csv';
+    this.directory = options.directory || null;
+  }
+
+  isAvailable() {
+    return !!this.directory && fs.existsSync(this.directory);
+  }
+
+  // Case-insensitive match on the file name, so aapl.csv works too
+  findFile(symbol, suffix = '') {
+    const wanted = `${symbol}${suffix}.csv`.toLowerCase();
+    const file = fs.readdirSync(this.directory).find(name => name.toLowerCase() === wanted);
+    return file ? path.join(this.directory, file) : null;
+  }
+
+  readBars(symbol, suffix = '') {
+    const file = this.findFile(symbol.toUpperCase(), suffix);
+    if (!file) {
+      throw new Error(`No ${suffix ? `${suffix.slice(1)} ` : ''}CSV for ${symbol.toUpperCase()} in ${this.directory}`);
+    }
+    return { bars: parseOhlcvCsv(fs.readFileSync(file, 'utf8')), modified: fs.statSync(file).mtime };
+  }
+
+  async getQuote(symbol) {
+    return quoteFromBars(symbol, this.readBars(symbol).bars);
+  }
+
+  async getDaily(symbol, options = {}) {
+    const { bars, modified } = this.readBars(symbol);
+    // Match Alpha Vantage's compact size of 100 days
+    const data = options.outputSize === 'full' ? bars : bars.slice(0, 100);
+    return {
+      symbol: symbol.toUpperCase(),
+      last_refreshed: modified.toISOString(),
+      timezone: 'UTC',
+      data
+    };
+  }
+
+  async getIntraday(symbol, options = {}) {
+    const interval = options.interval || '5min';
+    const { bars, modified } = this.readBars(symbol, `.${interval}`);
+    return {
+      symbol: symbol.toUpperCase(),
+      interval,
+      last_refreshed: modified.toISOString(),
+      timezone: 'UTC',
+      data: bars.slice(0, 100)
+    };
+  }
+
+  // Symbols with a daily file whose name starts with the keywords
+  async search(keywords) {
+    const prefix = keywords.toUpperCase();
+    return fs.readdirSync(this.directory)
+      .map(name => name.match(/^([A-Za-z0-9.\-]+)\.csv$/i))
+      .filter(match => match && match[1].toUpperCase().startsWith(prefix))
+      .map(match => ({
+        symbol: match[1].toUpperCase(),
+        name: match[1].toUpperCase(),
+        type: 'Equity',
+        matchScore: match[1].toUpperCase() === prefix ? 1 : 0.5
+      }))
+      .sort((a, b) => b.matchScore - a.matchScore);
+  }
+
+  getStatus() {
+    return { available: this.isAvailable(), directory: this.directory };
+  }
+}
+
+module.exports = CsvDirectoryProvider;
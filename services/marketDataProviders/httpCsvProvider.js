@@ -0,0 +1,85 @@
+const axios = require('axios');
+const { parseOhlcvCsv, quoteFromBars } = require('./csv');
+
+// Any endpoint that answers with an OHLCV CSV, configured as URL templates (Stooq's download links work as-is).
+// {symbol} is the lower-cased ticker, {SYMBOL} the upper-cased one, {interval} the intraday interval
+class HttpCsvProvider {
+  constructor(options = {}) {
+    this.name = 'http';
+    this.dailyUrl = options.dailyUrl || null;
+    this.intradayUrl = options.intradayUrl || null;
+    this.timeout = options.timeout || 15000;
+    this.requestCount = 0;
+    this.lastError = null;
+  }
+
+  isAvailable() {
+    return !!this.dailyUrl;
+  }
+
+  buildUrl(template, symbol, interval = '') {
+    return template
+      .replace(/\{symbol\}/g, encodeURIComponent(symbol.toLowerCase()))
+      .replace(/\{SYMBOL\}/g, encodeURIComponent(symbol.toUpperCase()))
+      .replace(/\{interval\}/g, encodeURIComponent(interval));
+  }
+
+  async fetchBars(url, symbol) {
+    try {
+      this.requestCount++;
+      const response = await axios.get(url, { timeout: this.timeout, responseType: 'text' });
+      const bars = parseOhlcvCsv(response.data);
+      if (bars.length === 0) {
+        throw new Error(`No price rows returned for ${symbol.toUpperCase()}`);
+      }
+      console.log(`📈 HTTP CSV price request for ${symbol.toUpperCase()}: ${bars.length} bars`);
+      return bars;
+    } catch (error) {
+      this.lastError = { message: error.message, at: new Date() };
+      throw error;
+    }
+  }
+
+  // Derived from the daily series; a separate quote endpoint rarely carries the previous close
+  async getQuote(symbol) {
+    const bars = await this.fetchBars(this.buildUrl(this.dailyUrl, symbol), symbol);
+    return quoteFromBars(symbol, bars);
+  }
+
+  async getDaily(symbol, options = {}) {
+    const bars = await this.fetchBars(this.buildUrl(this.dailyUrl, symbol), symbol);
+    return {
+      symbol: symbol.toUpperCase(),
+      last_refreshed: bars[0].timestamp.toISOString(),
+      timezone: 'UTC',
+      data: options.outputSize === 'full' ? bars : bars.slice(0, 100)
+    };
+  }
+
+  async getIntraday(symbol, options = {}) {
+    if (!this.intradayUrl) {
+      throw new Error('No intraday URL configured for the HTTP CSV provider');
+    }
+    const interval = options.interval || '5min';
+    const bars = await this.fetchBars(this.buildUrl(this.intradayUrl, symbol, interval), symbol);
+    return {
+      symbol: symbol.toUpperCase(),
+      interval,
+      last_refreshed: bars[0].timestamp.toISOString(),
+      timezone: 'UTC',
+      data: bars.slice(0, 100)
+    };
+  }
+
+  getStatus() {
+    return {
+      available: this.isAvailable(),
+      daily_url: this.dailyUrl,
+      intraday_url: this.intradayUrl,
+      requests: this.requestCount,
+      last_error: this.lastError
+    };
+  }
+}
+
+module.exports = HttpCsvProvider;
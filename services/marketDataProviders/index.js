@@ -0,0 +1,20 @@
+const path = require('path');
+const AlphaVantageProvider = require('./alphaVantageProvider');
+const CsvDirectoryProvider = require('./csvDirectoryProvider');
+const HttpCsvProvider = require('./httpCsvProvider');
+
+// Every price backend, configured from the environment; unconfigured ones report themselves unavailable
+function createMarketDataProviders() {
+  return [
+    new AlphaVantageProvider(),
+    new CsvDirectoryProvider({
+      directory: process.env.MARKET_DATA_CSV_DIR ? path.resolve(process.env.MARKET_DATA_CSV_DIR) : null
+    }),
+    new HttpCsvProvider({
+      dailyUrl: process.env.MARKET_DATA_HTTP_DAILY_URL,
+      intradayUrl: process.env.MARKET_DATA_HTTP_INTRADAY_URL
+    })
+  ];
+}
+
+module.exports = { createMarketDataProviders, AlphaVantageProvider, CsvDirectoryProvider, HttpCsvProvider };
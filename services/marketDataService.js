@@ -0,0 +1,115 @@
+const { createMarketDataProviders } = require('./marketDataProviders');
+
+// Default fallback order per call type; local files first where they can answer
+const defaultOrder = {
+  quote: ['alphavantage', 'http', 'csv'],
+  daily: ['csv', 'http', 'alphavantage'],
+  intraday: ['csv', 'alphavantage', 'http'],
+  search: ['alphavantage', 'csv']
+};
+
+// Provider method behind each call type
+const methods = {
+  quote: 'getQuote',
+  daily: 'getDaily',
+  intraday: 'getIntraday',
+  search: 'search'
+};
+
+class MarketDataService {
+  constructor() {
+    this.providers = new Map(createMarketDataProviders().map(provider => [provider.name, provider]));
+
+    // MARKET_DATA_QUOTE_ORDER=http,alphavantage etc. override the defaults
+    this.order = {};
+    for (const callType of Object.keys(defaultOrder)) {
+      const configured = process.env[`MARKET_DATA_${callType.toUpperCase()}_ORDER`];
+      this.order[callType] = configured
+        ? configured.split(',').map(name => name.trim().toLowerCase()).filter(name => this.providers.has(name))
+        : defaultOrder[callType];
+    }
+
+    this.lastSource = {};
+  }
+
+  // Try each available provider in order until one answers; the result carries the provider as `source`
+  async call(callType, symbol, ...args) {
+    const errors = [];
+
+    for (const name of this.order[callType]) {
+      const provider = this.providers.get(name);
+      if (!provider || typeof provider[methods[callType]] !== 'function' || !provider.isAvailable()) continue;
+
+      try {
+        const result = await provider[methods[callType]](symbol, ...args);
+        this.lastSource[callType] = name;
+        return { result, source: name };
+      } catch (error) {
+        errors.push(`${name}: ${error.message}`);
+      }
+    }
+
+    throw new Error(errors.length > 0
+      ? `No market data provider could answer ${callType} for ${symbol} (${errors.join('; ')})`
+      : `No market data provider available for ${callType}`);
+  }
+
+  // Same shape as alphaVantageService.getQuote, with change_percent as a number
+  async getQuote(symbol) {
+    const { result, source } = await this.call('quote', symbol);
+    return { ...result, source };
+  }
+
+  // { symbol, last_refreshed, timezone, data } with data in price_data shape, newest first
+  async getDailyData(symbol, outputSize = 'compact') {
+    const { result, source } = await this.call('daily', symbol, { outputSize });
+    return { ...result, source };
+  }
+
+  async getIntradayData(symbol, interval = '5min') {
+    const { result, source } = await this.call('intraday', symbol, { interval });
+    return { ...result, source };
+  }
+
+  async searchSymbol(keywords) {
+    const { result, source } = await this.call('search', keywords);
+    return result.map(match => ({ ...match, source }));
+  }
+
+  // One quote at a time; Alpha Vantage spaces its own requests
+  async getMultipleQuotes(symbols) {
+    const results = [];
+    for (const symbol of symbols) {
+      try {
+        const quote = await this.getQuote(symbol);
+        results.push({ symbol: quote.symbol || symbol.toUpperCase(), quote, success: true });
+      } catch (error) {
+        console.error(`❌ Failed to get quote for ${symbol}:`, error.message);
+        results.push({ symbol, error: error.message, success: false });
+      }
+    }
+    return results;
+  }
+
+  // A quote as a price_data point, for StockData.addPriceData
+  quoteToPricePoint(quote) {
+    return {
+      timestamp: new Date(quote.latest_trading_day),
+      open: quote.open,
+      high: quote.high,
+      low: quote.low,
+      close: quote.price,
+      volume: quote.volume
+    };
+  }
+
+  getStatus() {
+    const providers = {};
+    for (const [name, provider] of this.providers) {
+      providers[name] = provider.getStatus();
+    }
+    return { order: this.order, last_source: this.lastSource, providers };
+  }
+}
+
+module.exports = new MarketDataService();
@@ -1,6 +1,9 @@
 const SubredditConfig = require('../models/SubredditConfig');
+const StockData = require('../models/StockData');
 const redditService = require('./redditService');
 const dataProcessor = require('./dataProcessor');
+const realtimeService = require('./realtimeService');
+const alertService = require('./alertService');
 
 class MonitoringService {
   constructor() {
@@ -76,61 +79,53 @@ class MonitoringService {
         return { success: true, processed: 0, message: 'All subreddits rate limited' };
       }
 
-      // Process data from scrapable subreddits
-      const results = await redditService.getMultipleSubredditsPosts(scrapableSubreddits, {
-        limit: 50,
-        sort: 'hot'
+      const cycleStarted = new Date();
+      realtimeService.emitProcessingUpdate('cycle_started', {
+        cycle: {
+          started_at: cycleStarted.toISOString(),
+          total_subreddits: scrapableSubreddits.length,
+          completed_subreddits: 0,
+          posts_processed: 0
+        },
+        processing: dataProcessor.getProcessingStats()
       });
 
       let totalProcessed = 0;
       const processingResults = [];
 
-      for (const result of results) {
-        if (result.success && result.posts.length > 0) {
-          try {
-            // Update rate limiting for the subreddit
-            const subreddit = scrapableSubreddits.find(s => s.name === result.subreddit);
-            if (subreddit) {
-              subreddit.updateRateLimit();
-              subreddit.last_scraped = new Date();
-              await subreddit.save();
-            }
-
-            // Process the posts
-            const processed = await dataProcessor.processRedditPosts(result.posts, result.subreddit);
-            totalProcessed += processed.length;
-
-            processingResults.push({
-              subreddit: result.subreddit,
-              posts_received: result.posts.length,
-              posts_processed: processed.length,
-              success: true
-            });
-
-            console.log(`✅ r/${result.subreddit}: ${processed.length}/${result.posts.length} posts processed`);
-          } catch (error) {
-            console.error(`❌ Error processing r/${result.subreddit}:`, error.message);
-            processingResults.push({
-              subreddit: result.subreddit,
-              posts_received: result.posts.length,
-              posts_processed: 0,
-              success: false,
-              error: error.message
-            });
-          }
-        } else {
-          processingResults.push({
-            subreddit: result.subreddit,
-            posts_received: 0,
-            posts_processed: 0,
-            success: false,
-            error: result.error || 'No posts retrieved'
-          });
-        }
+      for (const subreddit of scrapableSubreddits) {
+        processingResults.push(await this.processSubredditIncrementally(subreddit));
+        totalProcessed += processingResults[processingResults.length - 1].posts_processed;
+
+        realtimeService.emitProcessingUpdate('cycle_progress', {
+          cycle: {
+            completed_subreddits: processingResults.length,
+            posts_processed: totalProcessed,
+            last_subreddit: subreddit.name
+          },
+          result: processingResults[processingResults.length - 1],
+          processing: dataProcessor.getProcessingStats()
+        });
+
+        // Small delay between subreddit requests to be respectful
+        await new Promise(resolve => setTimeout(resolve, 1000));
       }
 
       console.log(`🎉 Processing cycle complete: ${totalProcessed} total posts processed`);
 
+      realtimeService.emitProcessingUpdate('cycle_completed', {
+        cycle: {
+          completed_at: new Date().toISOString(),
+          duration_ms: Date.now() - cycleStarted.getTime(),
+          posts_processed: totalProcessed
+        },
+        results: processingResults,
+        processing: dataProcessor.getProcessingStats(),
+        monitoring: this.getMonitoringStatus()
+      });
+      await this.pushTrendingSnapshot();
+      await this.evaluateAlertRules();
+
       return {
         success: true,
         processed: totalProcessed,
@@ -141,6 +136,7 @@ class MonitoringService {
 
     } catch (error) {
       console.error('❌ Error in automated processing cycle:', error.message);
+      realtimeService.emitProcessingUpdate('cycle_failed', { error: error.message });
       return {
         success: false,
         error: error.message,
@@ -149,6 +145,109 @@ class MonitoringService {
     }
   }
 
+  // Fetch everything posted since the subreddit's checkpoint, process it, then refresh recent posts
+  async processSubredditIncrementally(subreddit) {
+    try {
+      const scrape = await redditService.getNewPostsSince(subreddit.name, subreddit.scrape_cursor, {
+        maxPages: subreddit.config.max_pages_per_cycle
+      });
+
+      for (let page = 0; page < scrape.pages; page++) {
+        subreddit.updateRateLimit();
+      }
+      subreddit.last_scraped = new Date();
+
+      const { processed, failed } = await dataProcessor.processRedditPostBatch(scrape.posts, subreddit.name);
+
+      // The checkpoint only moves once the posts behind it are processed. Posts that failed to store are
+      // never listed again, so they are recorded as a gap for backfill instead of holding the checkpoint
+      subreddit.advanceCursor(scrape);
+      if (failed.length > 0) {
+        const times = failed.map(post => new Date(post.created_utc).getTime());
+        subreddit.recordGap({
+          from: new Date(Math.min(...times)),
+          to: new Date(Math.max(...times)),
+          reason: 'processing_failed',
+          post_ids: failed.map(post => post.reddit_id)
+        });
+        console.log(`🕳️ r/${subreddit.name}: ${failed.length} posts failed to store and were recorded as a gap`);
+      }
+      await subreddit.save();
+
+      if (processed.length > 0) {
+        realtimeService.emitSubredditPosts(subreddit.name, processed);
+      }
+
+      // Crawl top comments on the new posts and the pinned daily threads
+      const commentResults = await dataProcessor.processSubredditComments(
+        subreddit.name,
+        processed,
+        subreddit
+      );
+
+      const refresh = await this.refreshRecentPosts(subreddit);
+
+      console.log(`✅ r/${subreddit.name}: ${processed.length}/${scrape.posts.length} posts processed`);
+      return {
+        subreddit: subreddit.name,
+        posts_received: scrape.posts.length,
+        posts_processed: processed.length,
+        posts_failed: failed.length,
+        pages_fetched: scrape.pages,
+        reached_checkpoint: scrape.reached_checkpoint,
+        gap: scrape.gap,
+        posts_refreshed: refresh.refreshed,
+        comments_processed: commentResults.comments_processed,
+        daily_threads_crawled: commentResults.daily_threads,
+        success: true
+      };
+    } catch (error) {
+      console.error(`❌ Error processing r/${subreddit.name}:`, error.message);
+      return {
+        subreddit: subreddit.name,
+        posts_received: 0,
+        posts_processed: 0,
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Second pass over recently stored posts so scores reflect votes cast after ingestion
+  async refreshRecentPosts(subreddit) {
+    try {
+      const refresh = await dataProcessor.refreshRecentPosts(subreddit);
+      subreddit.scrape_cursor.last_refreshed = new Date();
+      subreddit.scrape_cursor.last_refreshed_count = refresh.refreshed;
+      await subreddit.save();
+      return refresh;
+    } catch (error) {
+      console.error(`❌ Failed to refresh recent posts in r/${subreddit.name}:`, error.message);
+      return { refreshed: 0, missing: 0 };
+    }
+  }
+
+  // Push the current trending stocks to subscribed clients
+  async pushTrendingSnapshot() {
+    if (!realtimeService.isEnabled()) return;
+
+    try {
+      const trending = await StockData.getTrendingStocks(20).lean();
+      realtimeService.emitTrendingUpdate(trending);
+    } catch (error) {
+      console.error('❌ Failed to push trending snapshot:', error.message);
+    }
+  }
+
+  // Check user alert rules against the freshly processed data
+  async evaluateAlertRules() {
+    try {
+      await alertService.evaluateRules();
+    } catch (error) {
+      console.error('❌ Alert rule evaluation failed:', error.message);
+    }
+  }
+
   // Enable monitoring for a specific subreddit
   async enableSubredditMonitoring(subredditName) {
     try {
@@ -269,6 +368,22 @@ class MonitoringService {
         s.last_scraped && s.last_scraped > oneDayAgo
       );
 
+      // Listing windows skipped in the last week, newest first
+      const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+      const recentGaps = subreddits
+        .flatMap(s => s.scrape_gaps
+          .filter(gap => gap.detected_at > weekAgo)
+          .map(gap => ({
+            subreddit: s.name,
+            from: gap.from,
+            to: gap.to,
+            reason: gap.reason,
+            pages_fetched: gap.pages_fetched,
+            post_ids: gap.post_ids,
+            detected_at: gap.detected_at
+          })))
+        .sort((a, b) => b.detected_at - a.detected_at);
+
       const topPerformers = subreddits
         .filter(s => s.performance_metrics.total_predictions > 10)
         .slice(0, 5);
@@ -279,6 +394,11 @@ class MonitoringService {
         scrapable_subreddits: scrapableSubreddits.length,
         rate_limited_subreddits: rateLimitedSubreddits.length,
         recently_scraped: recentlyScraped.length,
+        coverage: {
+          gaps_24h: recentGaps.filter(gap => gap.detected_at > oneDayAgo).length,
+          gaps_7d: recentGaps.length,
+          behind_checkpoint: activeSubreddits.filter(s => !s.scrape_cursor.reached_checkpoint).length
+        },
         monitoring_status: this.getMonitoringStatus(),
         performance: {
           avg_accuracy: subreddits.length > 0 ? 
@@ -306,8 +426,19 @@ class MonitoringService {
             performance_score: s.performance_score,
             posts_last_24h: s.performance_metrics.posts_last_24h,
             accuracy_rate: s.performance_metrics.accuracy_rate,
-            subscribers: s.subscribers
-          }))
+            subscribers: s.subscribers,
+            scrape_cursor: {
+              last_created_utc: s.scrape_cursor.last_created_utc,
+              last_run: s.scrape_cursor.last_run,
+              last_pages: s.scrape_cursor.last_pages,
+              last_fetched: s.scrape_cursor.last_fetched,
+              reached_checkpoint: s.scrape_cursor.reached_checkpoint,
+              last_refreshed: s.scrape_cursor.last_refreshed,
+              last_refreshed_count: s.scrape_cursor.last_refreshed_count
+            },
+            gaps_7d: recentGaps.filter(gap => gap.subreddit === s.name).length
+          })),
+          gaps: recentGaps.slice(0, 50)
         },
         metadata: {
           generated_at: new Date().toISOString()
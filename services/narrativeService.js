@@ -0,0 +1,219 @@
+const RedditPost = require('../models/RedditPost');
+const StockData = require('../models/StockData');
+const claudeService = require('./claudeService');
+const sentimentHistoryService = require('./sentimentHistoryService');
+const topicExtractor = require('../utils/topicExtractor');
+
+const hourMs = 60 * 60 * 1000;
+
+class NarrativeService {
+  constructor() {
+    this.defaults = {
+      days: 7,
+      max_narratives: 6,
+      claude: false
+    };
+    this.maxDays = 30;
+    // The most recent posts in the window are clustered; older ones beyond this are left out
+    this.maxPosts = 1000;
+    this.minPosts = 10;
+    this.contentChars = 2000;
+    this.examplesPerNarrative = 3;
+    // Hourly share buckets up to this many days, daily beyond
+    this.hourlyUpToDays = 3;
+    // Recent share is measured over the last quarter of the window, at most a day
+    this.maxRecentHours = 24;
+    this.trendThreshold = 0.1;
+  }
+
+  // Parse and check query options, throwing a validation error listing every problem
+  resolveOptions(options = {}) {
+    const config = { ...this.defaults };
+    for (const [key, value] of Object.entries(options)) {
+      if (value !== undefined && value !== '') config[key] = value;
+    }
+
+    const errors = [];
+    config.days = Number(config.days);
+    config.max_narratives = Number(config.max_narratives);
+    if (!Number.isInteger(config.days) || config.days < 1 || config.days > this.maxDays) {
+      errors.push(`days must be an integer between 1 and ${this.maxDays}`);
+    }
+    if (!Number.isInteger(config.max_narratives) || config.max_narratives < 1 || config.max_narratives > topicExtractor.maxClusters) {
+      errors.push(`max_narratives must be an integer between 1 and ${topicExtractor.maxClusters}`);
+    }
+    if (!['true', 'false', true, false].includes(config.claude)) {
+      errors.push('claude must be true or false');
+    }
+    if (errors.length > 0) {
+      const error = new Error(errors.join('; '));
+      error.validation = true;
+      throw error;
+    }
+
+    config.claude = config.claude === true || config.claude === 'true';
+    config.interval = config.days <= this.hourlyUpToDays ? 'hour' : 'day';
+    config.to = new Date();
+    config.from = new Date(config.to.getTime() - config.days * 24 * hourMs);
+    return config;
+  }
+
+  // ==================== NARRATIVES ====================
+
+  // Cluster a ticker's posts in the window into narratives, with their share of the chatter over time
+  async analyzeTicker(ticker, options = {}) {
+    const config = this.resolveOptions(options);
+    const symbol = ticker.toUpperCase();
+    const window = { 'tickers.symbol': symbol, created_utc: { $gte: config.from, $lte: config.to } };
+
+    const [posts, total, stock] = await Promise.all([
+      RedditPost.find(window)
+        .select('reddit_id subreddit title content url author upvotes comments created_utc sentiment_score tickers')
+        .sort({ created_utc: -1 })
+        .limit(this.maxPosts)
+        .lean(),
+      RedditPost.countDocuments(window),
+      StockData.findOne({ ticker: symbol }).select('company_name').lean()
+    ]);
+
+    const result = {
+      ticker: symbol,
+      from: config.from,
+      to: config.to,
+      interval: config.interval,
+      posts_total: total,
+      posts_analyzed: posts.length,
+      named_by: 'keyphrases',
+      narratives: [],
+      other: { posts: posts.length, share: posts.length > 0 ? 1 : 0 },
+      timeline: []
+    };
+    if (posts.length < this.minPosts) {
+      return { ...result, insufficient_data: true };
+    }
+
+    // The ticker and company name are in nearly every post and say nothing about why
+    const exclude = [symbol, ...((stock && stock.company_name) || '').toLowerCase().split(/[^a-z0-9]+/)].filter(Boolean);
+    const clustering = topicExtractor.cluster(
+      posts.map(post => `${post.title}\n${(post.content || '').substring(0, this.contentChars)}`),
+      { exclude }
+    );
+
+    const topics = [...clustering.topics].sort((a, b) => b.members.length - a.members.length);
+    const kept = topics.slice(0, config.max_narratives);
+    const ids = new Map(kept.map((topic, i) => [topic.cluster, `n${i + 1}`]));
+    const narrativeOf = clustering.assignments.map(cluster => ids.get(cluster) || 'other');
+
+    const recentFrom = new Date(config.to.getTime() - Math.min(this.maxRecentHours * hourMs, (config.to - config.from) / 4));
+    const recentPosts = posts.filter(post => post.created_utc >= recentFrom).length;
+
+    result.narratives = kept.map(topic => {
+      const members = topic.members.map(i => posts[i]);
+      const recent = members.filter(post => post.created_utc >= recentFrom).length;
+      const share = members.length / posts.length;
+      const recentShare = recentPosts > 0 ? recent / recentPosts : 0;
+      const sentiments = members.map(post => RedditPost.tickerSentiment(post, symbol)).filter(value => value != null);
+      const times = members.map(post => post.created_utc.getTime());
+
+      return {
+        id: ids.get(topic.cluster),
+        label: topicExtractor.label(topic),
+        summary: '',
+        category: topic.category,
+        keyphrases: topic.keyphrases,
+        posts: members.length,
+        share: this.round(share, 3),
+        recent_share: this.round(recentShare, 3),
+        trend: this.trendFor(recentPosts > 0 ? recentShare - share : 0),
+        avg_sentiment: sentiments.length > 0 ? this.round(sentiments.reduce((sum, value) => sum + value, 0) / sentiments.length, 1) : null,
+        cohesion: topic.cohesion,
+        first_post_at: new Date(Math.min(...times)),
+        last_post_at: new Date(Math.max(...times)),
+        examples: [...members]
+          .sort((a, b) => (b.upvotes || 0) - (a.upvotes || 0))
+          .slice(0, this.examplesPerNarrative)
+          .map(post => this.formatExample(post, symbol))
+      };
+    });
+
+    const otherPosts = narrativeOf.filter(id => id === 'other').length;
+    result.other = { posts: otherPosts, share: this.round(otherPosts / posts.length, 3) };
+    result.timeline = this.buildTimeline(posts, narrativeOf, result.narratives.map(narrative => narrative.id), config);
+    result.clustering = {
+      clusters: clustering.k,
+      silhouette: clustering.silhouette,
+      vocabulary: clustering.vocabulary,
+      recent_from: recentFrom
+    };
+
+    if (config.claude) {
+      const names = await claudeService.nameNarratives(symbol, result.narratives.map(narrative => ({
+        id: narrative.id,
+        keyphrases: narrative.keyphrases.map(entry => entry.phrase),
+        titles: narrative.examples.map(example => example.title)
+      })));
+      if (names) {
+        result.named_by = 'claude';
+        result.narratives.forEach(narrative => {
+          if (!names[narrative.id]) return;
+          narrative.label = names[narrative.id].name;
+          narrative.summary = names[narrative.id].summary;
+        });
+      }
+    }
+
+    return result;
+  }
+
+  // Posts per narrative in each hour or day of the window, with each narrative's share of that bucket
+  buildTimeline(posts, narrativeOf, ids, config) {
+    const step = sentimentHistoryService.stepMs(config.interval);
+    const keys = [...ids, 'other'];
+    const buckets = new Map();
+    for (let t = sentimentHistoryService.bucketStart(config.from, config.interval).getTime(); t <= config.to.getTime(); t += step) {
+      buckets.set(t, Object.fromEntries(keys.map(key => [key, 0])));
+    }
+
+    posts.forEach((post, i) => {
+      const counts = buckets.get(sentimentHistoryService.bucketStart(post.created_utc, config.interval).getTime());
+      if (counts) counts[narrativeOf[i]]++;
+    });
+
+    return [...buckets.entries()].map(([time, counts]) => {
+      const total = keys.reduce((sum, key) => sum + counts[key], 0);
+      return {
+        bucket: new Date(time),
+        total,
+        counts,
+        shares: Object.fromEntries(keys.map(key => [key, total > 0 ? this.round(counts[key] / total, 3) : 0]))
+      };
+    });
+  }
+
+  formatExample(post, symbol) {
+    return {
+      reddit_id: post.reddit_id,
+      title: post.title,
+      subreddit: post.subreddit,
+      author: post.author,
+      upvotes: post.upvotes,
+      comments: post.comments,
+      created_utc: post.created_utc,
+      sentiment: RedditPost.tickerSentiment(post, symbol),
+      url: post.url
+    };
+  }
+
+  trendFor(momentum) {
+    if (momentum >= this.trendThreshold) return 'rising';
+    if (momentum <= -this.trendThreshold) return 'fading';
+    return 'steady';
+  }
+
+  round(value, digits = 2) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+  }
+}
+
+module.exports = new NarrativeService();
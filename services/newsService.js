@@ -1,4 +1,5 @@
 const axios = require('axios');
+const apiCache = require('./apiCache');
 require('dotenv').config();
 
 class NewsService {
@@ -18,10 +19,6 @@ class NewsService {
       last_reset: new Date().toISOString().split('T')[0]
     };
     
-    // Cache for news articles
-    this.cache = new Map();
-    this.cacheTimeout = 15 * 60 * 1000; // 15 minutes
-    
     if (!this.isConfigured) {
       console.log('⚠️  NewsAPI not configured - news correlation features disabled');
     } else {
@@ -29,6 +26,18 @@ class NewsService {
     }
   }
 
+  // Raw NewsAPI response for an endpoint, through the shared API cache
+  async request(endpoint, params) {
+    return apiCache.wrap('newsapi', endpoint, params, async () => {
+      await this.enforceRateLimit();
+      const response = await axios.get(`${this.baseUrl}/${endpoint}`, {
+        params: { ...params, apiKey: this.apiKey }
+      });
+      this.updateUsage();
+      return response.data;
+    });
+  }
+
   // Get news articles for a specific ticker
   async getTickerNews(ticker, options = {}) {
     if (!this.isConfigured) {
@@ -43,52 +52,25 @@ class NewsService {
       pageSize = 20
     } = options;
 
-    const cacheKey = `ticker_${ticker}_${timeframe}_${pageSize}`;
-    
-    // Check cache first
-    if (this.cache.has(cacheKey)) {
-      const cached = this.cache.get(cacheKey);
-      if (Date.now() - cached.timestamp < this.cacheTimeout) {
-        console.log(`📰 Using cached news for ${ticker}`);
-        return cached.data;
-      }
-    }
-
     try {
-      await this.enforceRateLimit();
-      
-      const fromDate = this.getFromDate(timeframe);
-      const query = this.buildTickerQuery(ticker);
-      
-      const response = await axios.get(`${this.baseUrl}/everything`, {
-        params: {
-          q: query,
-          from: fromDate,
-          language,
-          sortBy,
-          pageSize,
-          apiKey: this.apiKey
-        }
+      const data = await this.request('everything', {
+        q: this.buildTickerQuery(ticker),
+        from: this.getFromDate(timeframe),
+        language,
+        sortBy,
+        pageSize
       });
-
-      this.updateUsage();
       
-      const processedArticles = this.processArticles(response.data.articles, ticker);
+      const processedArticles = this.processArticles(data.articles, ticker);
       
       const result = {
         ticker,
         articles: processedArticles,
-        total: response.data.totalResults,
+        total: data.totalResults,
         timeframe,
         last_updated: new Date().toISOString()
       };
       
-      // Cache the result
-      this.cache.set(cacheKey, {
-        data: result,
-        timestamp: Date.now()
-      });
-      
       console.log(`📰 Fetched ${processedArticles.length} news articles for ${ticker}`);
       
       return result;
@@ -112,50 +94,24 @@ class NewsService {
       timeframe = '1d'
     } = options;
 
-    const cacheKey = `market_${category}_${timeframe}_${pageSize}`;
-    
-    // Check cache first
-    if (this.cache.has(cacheKey)) {
-      const cached = this.cache.get(cacheKey);
-      if (Date.now() - cached.timestamp < this.cacheTimeout) {
-        console.log(`📰 Using cached market news`);
-        return cached.data;
-      }
-    }
-
     try {
-      await this.enforceRateLimit();
-      
-      const fromDate = this.getFromDate(timeframe);
-      
-      const response = await axios.get(`${this.baseUrl}/top-headlines`, {
-        params: {
-          category,
-          country,
-          pageSize,
-          from: fromDate,
-          apiKey: this.apiKey
-        }
+      const data = await this.request('top-headlines', {
+        category,
+        country,
+        pageSize,
+        from: this.getFromDate(timeframe)
       });
-
-      this.updateUsage();
       
-      const processedArticles = this.processArticles(response.data.articles);
+      const processedArticles = this.processArticles(data.articles);
       
       const result = {
         category,
         articles: processedArticles,
-        total: response.data.totalResults,
+        total: data.totalResults,
         timeframe,
         last_updated: new Date().toISOString()
       };
       
-      // Cache the result
-      this.cache.set(cacheKey, {
-        data: result,
-        timestamp: Date.now()
-      });
-      
       console.log(`📰 Fetched ${processedArticles.length} market news articles`);
       
       return result;
@@ -257,32 +213,24 @@ class NewsService {
     } = options;
 
     try {
-      await this.enforceRateLimit();
-      
-      const fromDate = this.getFromDate(timeframe);
       const enhancedQuery = `${query} AND (stocks OR market OR trading OR investment OR earnings OR financial)`;
       
-      const response = await axios.get(`${this.baseUrl}/everything`, {
-        params: {
-          q: enhancedQuery,
-          from: fromDate,
-          language,
-          sortBy,
-          pageSize,
-          apiKey: this.apiKey
-        }
+      const data = await this.request('everything', {
+        q: enhancedQuery,
+        from: this.getFromDate(timeframe),
+        language,
+        sortBy,
+        pageSize
       });
-
-      this.updateUsage();
       
-      const processedArticles = this.processArticles(response.data.articles);
+      const processedArticles = this.processArticles(data.articles);
       
       console.log(`🔍 Found ${processedArticles.length} news articles for query: ${query}`);
       
       return {
         query,
         articles: processedArticles,
-        total: response.data.totalResults,
+        total: data.totalResults,
         timeframe,
         last_updated: new Date().toISOString()
       };
@@ -677,14 +625,14 @@ class NewsService {
       ...this.usage,
       daily_limit: this.dailyLimit,
       is_configured: this.isConfigured,
-      cache_size: this.cache.size,
+      cache: apiCache.getMetrics('newsapi'),
       rate_limit_interval: this.minInterval
     };
   }
 
   // Clear cache
-  clearCache() {
-    this.cache.clear();
+  async clearCache() {
+    await apiCache.purge({ provider: 'newsapi' });
     console.log('📰 NewsAPI cache cleared');
   }
 
@@ -0,0 +1,167 @@
+const RedditPost = require('../models/RedditPost');
+const StockData = require('../models/StockData');
+
+class OptionsChatterService {
+  constructor() {
+    // Days-to-expiry buckets for the expiry distribution (at the time of posting)
+    this.dteBuckets = [
+      { label: '0DTE', max: 0 },
+      { label: '1-7d', max: 7 },
+      { label: '8-30d', max: 30 },
+      { label: '31-90d', max: 90 },
+      { label: '90d+', max: Infinity }
+    ];
+  }
+
+  // Aggregate parsed option contracts for a ticker over the last `hours`
+  async getOptionsChatter(ticker, options = {}) {
+    const { hours = 168, includeExpired = false, limit = 25 } = options;
+    const symbol = ticker.toUpperCase();
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+
+    const [posts, stock] = await Promise.all([
+      RedditPost.find({
+        'options_mentions.underlying': symbol,
+        created_utc: { $gte: since }
+      })
+      .select('reddit_id title author subreddit url upvotes created_utc sentiment_score options_mentions')
+      .sort({ created_utc: -1 })
+      .lean(),
+      StockData.findOne({ ticker: symbol }).select('current_price last_price_update').lean()
+    ]);
+
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+
+    const contracts = [];
+    for (const post of posts) {
+      for (const contract of post.options_mentions) {
+        if (contract.underlying !== symbol) continue;
+        if (!includeExpired && contract.expiry && new Date(contract.expiry) < today) continue;
+        contracts.push({ ...contract, post });
+      }
+    }
+
+    const currentPrice = stock && stock.current_price ? stock.current_price : null;
+
+    return {
+      ticker: symbol,
+      timeframe_hours: hours,
+      current_price: currentPrice,
+      summary: this.summarize(contracts, posts.length),
+      strike_ladder: this.buildStrikeLadder(contracts, currentPrice),
+      expiry_distribution: this.buildExpiryDistribution(contracts),
+      recent_mentions: contracts.slice(0, limit).map(contract => ({
+        option_type: contract.option_type,
+        strike: contract.strike,
+        expiry: contract.expiry || null,
+        expiry_label: contract.expiry_label || null,
+        quantity: contract.quantity || null,
+        premium: contract.premium ?? null,
+        raw: contract.raw,
+        post: {
+          reddit_id: contract.post.reddit_id,
+          title: contract.post.title,
+          author: contract.post.author,
+          subreddit: contract.post.subreddit,
+          url: contract.post.url,
+          upvotes: contract.post.upvotes,
+          created_utc: contract.post.created_utc
+        }
+      }))
+    };
+  }
+
+  // Call/put counts by mention and, where sizes were given, by contracts
+  summarize(contracts, postCount) {
+    const calls = contracts.filter(c => c.option_type === 'call');
+    const puts = contracts.filter(c => c.option_type === 'put');
+    const sized = contracts.filter(c => c.quantity);
+    const callContracts = sized.filter(c => c.option_type === 'call').reduce((sum, c) => sum + c.quantity, 0);
+    const putContracts = sized.filter(c => c.option_type === 'put').reduce((sum, c) => sum + c.quantity, 0);
+
+    return {
+      posts: postCount,
+      mentions: contracts.length,
+      calls: calls.length,
+      puts: puts.length,
+      // null rather than Infinity when nobody mentioned puts
+      call_put_ratio: puts.length > 0 ? this.round(calls.length / puts.length) : null,
+      call_share: contracts.length > 0 ? this.round((calls.length / contracts.length) * 100) : null,
+      sized_mentions: sized.length,
+      call_contracts: callContracts,
+      put_contracts: putContracts,
+      contract_call_put_ratio: putContracts > 0 ? this.round(callContracts / putContracts) : null,
+      bias: this.classifyBias(calls.length, puts.length)
+    };
+  }
+
+  classifyBias(calls, puts) {
+    const total = calls + puts;
+    if (total === 0) return 'none';
+
+    const callShare = calls / total;
+    if (callShare >= 0.7) return 'bullish';
+    if (callShare <= 0.3) return 'bearish';
+    return 'mixed';
+  }
+
+  // Mentions per strike, with distance from the last known price
+  buildStrikeLadder(contracts, currentPrice) {
+    const strikes = new Map();
+
+    for (const contract of contracts) {
+      if (!strikes.has(contract.strike)) {
+        strikes.set(contract.strike, { strike: contract.strike, calls: 0, puts: 0, contracts: 0 });
+      }
+      const level = strikes.get(contract.strike);
+      level[contract.option_type === 'call' ? 'calls' : 'puts']++;
+      level.contracts += contract.quantity || 0;
+    }
+
+    return Array.from(strikes.values())
+      .sort((a, b) => a.strike - b.strike)
+      .map(level => ({
+        ...level,
+        total: level.calls + level.puts,
+        distance_percent: currentPrice ? this.round(((level.strike - currentPrice) / currentPrice) * 100) : null
+      }));
+  }
+
+  // Mentions by DTE bucket and by individual expiry date
+  buildExpiryDistribution(contracts) {
+    const buckets = this.dteBuckets.map(bucket => ({ label: bucket.label, calls: 0, puts: 0 }));
+    const unknown = { label: 'unknown', calls: 0, puts: 0 };
+    const byDate = new Map();
+
+    for (const contract of contracts) {
+      const side = contract.option_type === 'call' ? 'calls' : 'puts';
+
+      if (contract.dte === null || contract.dte === undefined) {
+        unknown[side]++;
+      } else {
+        const index = this.dteBuckets.findIndex(bucket => contract.dte <= bucket.max);
+        buckets[index][side]++;
+      }
+
+      if (contract.expiry) {
+        const key = new Date(contract.expiry).toISOString().slice(0, 10);
+        if (!byDate.has(key)) byDate.set(key, { expiry: key, calls: 0, puts: 0 });
+        byDate.get(key)[side]++;
+      }
+    }
+
+    return {
+      buckets: [...buckets, unknown].map(bucket => ({ ...bucket, total: bucket.calls + bucket.puts })),
+      by_date: Array.from(byDate.values())
+        .sort((a, b) => a.expiry.localeCompare(b.expiry))
+        .map(entry => ({ ...entry, total: entry.calls + entry.puts }))
+    };
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new OptionsChatterService();
@@ -0,0 +1,164 @@
+class RealtimeService {
+  constructor() {
+    this.io = null;
+
+    // Room names shared with the Socket.IO handlers in server.js
+    this.rooms = {
+      trending: 'trending',
+      processing: 'processing',
+      stock: (ticker) => `stock:${ticker.toUpperCase()}`,
+      subreddit: (name) => `subreddit:${name.toLowerCase()}`,
+      watchlist: (id) => `watchlist:${id}`
+    };
+
+    // Latest processing cycle state, replayed to clients that subscribe mid-cycle
+    this.currentCycle = null;
+
+    this.stats = {
+      events_emitted: 0,
+      last_emit: null
+    };
+  }
+
+  // Attach the Socket.IO server instance
+  setIo(io) {
+    this.io = io;
+    console.log('📡 Realtime updates enabled');
+  }
+
+  isEnabled() {
+    return !!this.io;
+  }
+
+  // Emit an event to a room, silently no-op when Socket.IO is not attached (scripts, tests)
+  emitToRoom(room, event, payload) {
+    if (!this.io) return false;
+
+    try {
+      this.io.to(room).emit(event, payload);
+      this.stats.events_emitted++;
+      this.stats.last_emit = new Date().toISOString();
+      return true;
+    } catch (error) {
+      console.error(`❌ Failed to emit ${event} to ${room}:`, error.message);
+      return false;
+    }
+  }
+
+  // Newly ingested posts for a subreddit
+  emitSubredditPosts(subreddit, posts) {
+    if (!posts || posts.length === 0) return false;
+
+    return this.emitToRoom(this.rooms.subreddit(subreddit), 'subredditUpdate', {
+      type: 'new_posts',
+      subreddit,
+      count: posts.length,
+      posts: posts.map(post => ({
+        reddit_id: post.reddit_id,
+        title: post.title,
+        author: post.author,
+        url: post.url,
+        upvotes: post.upvotes,
+        comments: post.comments,
+        created_utc: post.created_utc,
+        tickers: (post.tickers || []).map(t => t.symbol),
+        sentiment_score: post.sentiment_score
+      })),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Mention and sentiment deltas for a ticker, shaped like StockData so clients can merge it
+  emitStockUpdate(stockData, delta = {}) {
+    return this.emitToRoom(this.rooms.stock(stockData.ticker), 'stockUpdate', {
+      ticker: stockData.ticker,
+      reddit_mentions: stockData.reddit_mentions,
+      sentiment_trend: stockData.sentiment_trend,
+      quality_mentions: stockData.quality_mentions,
+      trending_score: stockData.trending_score,
+      momentum_score: stockData.momentum_score,
+      is_trending: stockData.is_trending,
+      last_reddit_update: stockData.last_reddit_update,
+      delta,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Trending snapshot pushed at the end of each processing cycle
+  emitTrendingUpdate(stocks) {
+    return this.emitToRoom(this.rooms.trending, 'trendingUpdate', {
+      stocks,
+      count: stocks.length,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Processing cycle lifecycle: started, progress, completed, failed
+  emitProcessingUpdate(type, payload = {}) {
+    this.currentCycle = {
+      ...(type === 'cycle_started' ? {} : this.currentCycle),
+      ...payload.cycle,
+      status: type
+    };
+
+    return this.emitToRoom(this.rooms.processing, 'processingUpdate', {
+      type,
+      ...payload,
+      cycle: this.currentCycle,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Fired alerts go to every client, and to the ticker room for stock detail views
+  emitAlert(alert) {
+    if (!this.io) return false;
+
+    try {
+      this.io.emit('alertUpdate', alert);
+      if (alert.ticker) {
+        this.io.to(this.rooms.stock(alert.ticker)).emit('stockAlert', alert);
+      }
+      this.stats.events_emitted++;
+      this.stats.last_emit = new Date().toISOString();
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to emit alert:', error.message);
+      return false;
+    }
+  }
+
+  // Keep sockets viewing a watchlist subscribed to the stock rooms of its holdings
+  syncWatchlistRooms(watchlistId, added = [], removed = []) {
+    if (!this.io) return false;
+
+    const room = this.rooms.watchlist(watchlistId);
+    if (added.length > 0) {
+      this.io.in(room).socketsJoin(added.map(ticker => this.rooms.stock(ticker)));
+    }
+    if (removed.length > 0) {
+      this.io.in(room).socketsLeave(removed.map(ticker => this.rooms.stock(ticker)));
+    }
+    return true;
+  }
+
+  // Watchlist definition changed (holdings added, removed or edited)
+  emitWatchlistUpdate(watchlist) {
+    return this.emitToRoom(this.rooms.watchlist(watchlist._id.toString()), 'watchlistUpdate', {
+      id: watchlist._id,
+      name: watchlist.name,
+      tickers: watchlist.holdings.map(h => h.ticker),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  getStatus() {
+    return {
+      enabled: this.isEnabled(),
+      connected_clients: this.io ? this.io.engine.clientsCount : 0,
+      current_cycle: this.currentCycle,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new RealtimeService();
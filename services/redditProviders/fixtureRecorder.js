@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+
+// Writes live Reddit responses to a JSON fixture the replay provider can serve later
+class FixtureRecorder {
+  constructor(directory) {
+    this.directory = directory;
+    this.filePath = path.join(directory, `recorded-${new Date().toISOString().slice(0, 10)}.json`);
+    this.fixture = this.load();
+    this.flushTimer = null;
+  }
+
+  load() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      return { recorded_at: null, subreddits: {}, comments: {}, users: {} };
+    }
+  }
+
+  // Plain snapshots of snoowrap objects, keeping only the fields the formatters read
+  serializePost(post) {
+    return {
+      id: post.id,
+      subreddit: post.subreddit && post.subreddit.display_name ? post.subreddit.display_name : post.subreddit,
+      title: post.title,
+      selftext: post.selftext || '',
+      url: post.url || '',
+      author: post.author && post.author.name ? post.author.name : post.author,
+      author_flair_text: post.author_flair_text || null,
+      link_flair_text: post.link_flair_text || null,
+      ups: post.ups,
+      upvote_ratio: post.upvote_ratio,
+      num_comments: post.num_comments,
+      total_awards_received: post.total_awards_received || 0,
+      stickied: !!post.stickied,
+      is_self: !!post.is_self,
+      created_utc: post.created_utc
+    };
+  }
+
+  serializeComment(comment, maxDepth = 10) {
+    return {
+      id: comment.id,
+      parent_id: comment.parent_id,
+      body: comment.body || '',
+      author: comment.author && comment.author.name ? comment.author.name : comment.author,
+      author_flair_text: comment.author_flair_text || null,
+      is_submitter: !!comment.is_submitter,
+      score: comment.score || 0,
+      total_awards_received: comment.total_awards_received || 0,
+      created_utc: comment.created_utc,
+      replies: maxDepth > 0 && comment.replies
+        ? Array.from(comment.replies).map(reply => this.serializeComment(reply, maxDepth - 1))
+        : []
+    };
+  }
+
+  recordPosts(subredditName, posts) {
+    const key = subredditName.toLowerCase();
+    const entry = this.fixture.subreddits[key] || (this.fixture.subreddits[key] = { about: null, posts: [] });
+    const byId = new Map(entry.posts.map(post => [post.id, post]));
+    for (const post of posts) {
+      byId.set(post.id, this.serializePost(post));
+    }
+    entry.posts = Array.from(byId.values());
+    this.scheduleFlush();
+  }
+
+  recordAbout(subredditName, about) {
+    const key = subredditName.toLowerCase();
+    const entry = this.fixture.subreddits[key] || (this.fixture.subreddits[key] = { about: null, posts: [] });
+    entry.about = {
+      display_name: about.display_name,
+      display_name_prefixed: about.display_name_prefixed,
+      public_description: about.public_description,
+      description: about.description,
+      subscribers: about.subscribers,
+      accounts_active: about.accounts_active,
+      subreddit_type: about.subreddit_type,
+      created_utc: about.created_utc,
+      over18: about.over18,
+      lang: about.lang
+    };
+    this.scheduleFlush();
+  }
+
+  recordComments(postId, comments) {
+    this.fixture.comments[postId] = Array.from(comments).map(comment => this.serializeComment(comment));
+    this.scheduleFlush();
+  }
+
+  recordUser(user) {
+    this.fixture.users[user.name] = {
+      name: user.name,
+      created_utc: user.created_utc,
+      link_karma: user.link_karma,
+      comment_karma: user.comment_karma,
+      total_karma: user.total_karma,
+      verified: !!user.verified,
+      is_gold: !!user.is_gold
+    };
+    this.scheduleFlush();
+  }
+
+  // Batch writes; a processing cycle records dozens of responses in a few seconds
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, 2000);
+    this.flushTimer.unref();
+  }
+
+  flush() {
+    try {
+      fs.mkdirSync(this.directory, { recursive: true });
+      this.fixture.recorded_at = new Date().toISOString();
+      fs.writeFileSync(this.filePath, JSON.stringify(this.fixture, null, 2));
+    } catch (error) {
+      console.error('❌ Failed to write Reddit fixture:', error.message);
+    }
+  }
+}
+
+module.exports = FixtureRecorder;
@@ -0,0 +1,29 @@
+const path = require('path');
+const SnoowrapProvider = require('./snoowrapProvider');
+const ReplayProvider = require('./replayProvider');
+
+// Pick the Reddit backend from REDDIT_PROVIDER (live or replay)
+function createRedditProvider(name = process.env.REDDIT_PROVIDER || 'live') {
+  if (name === 'replay') {
+    return new ReplayProvider({
+      fixturesDir: process.env.REDDIT_REPLAY_FIXTURES
+        ? path.resolve(process.env.REDDIT_REPLAY_FIXTURES)
+        : undefined,
+      source: process.env.REDDIT_REPLAY_SOURCE,
+      speed: process.env.REDDIT_REPLAY_SPEED,
+      syntheticConfig: process.env.REDDIT_SYNTHETIC_CONFIG
+        ? path.resolve(process.env.REDDIT_SYNTHETIC_CONFIG)
+        : null
+    });
+  }
+
+  if (name !== 'live') {
+    console.log(`⚠️ Unknown REDDIT_PROVIDER "${name}", using the live Reddit API`);
+  }
+
+  return new SnoowrapProvider({
+    recordDir: process.env.REDDIT_RECORD_DIR ? path.resolve(process.env.REDDIT_RECORD_DIR) : null
+  });
+}
+
+module.exports = { createRedditProvider, SnoowrapProvider, ReplayProvider };
@@ -0,0 +1,252 @@
+const fs = require('fs');
+const path = require('path');
+const SyntheticGenerator = require('./syntheticGenerator');
+
+// Offline Reddit: serves recorded fixtures, or synthetic posts when there are none
+class ReplayProvider {
+  constructor(options = {}) {
+    this.name = 'replay';
+    this.rateLimited = false;
+    this.fixturesDir = options.fixturesDir || path.join(__dirname, '../../data/fixtures/reddit');
+    this.source = options.source || 'auto'; // auto, fixtures or synthetic
+    this.speed = Number(options.speed) || 0; // 0 shows the whole recording at once
+    this.syntheticConfigPath = options.syntheticConfig || null;
+
+    this.mode = null;
+    this.fixture = null;
+    this.generator = null;
+    this.postIndex = new Map();
+  }
+
+  async authenticate() {
+    this.fixture = this.source === 'synthetic' ? null : this.loadFixtures();
+
+    if (this.fixture) {
+      this.mode = 'fixtures';
+      this.prepareTimeline();
+      console.log(`📼 Replaying ${this.postIndex.size} recorded posts from ${this.fixturesDir}${this.speed > 0 ? ` at ${this.speed}x` : ''}`);
+    } else if (this.source === 'fixtures') {
+      throw new Error(`No Reddit fixtures found in ${this.fixturesDir}`);
+    } else {
+      this.mode = 'synthetic';
+      console.log(`🧪 Generating synthetic Reddit activity for ${this.getGenerator().tickers.map(t => t.symbol).join(', ')}`);
+    }
+
+    return true;
+  }
+
+  // Merge every *.json fixture in the directory; null when there are none
+  loadFixtures() {
+    let files;
+    try {
+      files = fs.readdirSync(this.fixturesDir).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+      return null;
+    }
+
+    const merged = { subreddits: {}, comments: {}, users: {} };
+    let loaded = 0;
+
+    for (const file of files) {
+      try {
+        const fixture = JSON.parse(fs.readFileSync(path.join(this.fixturesDir, file), 'utf8'));
+        for (const [name, entry] of Object.entries(fixture.subreddits || {})) {
+          const key = name.toLowerCase();
+          const target = merged.subreddits[key] || (merged.subreddits[key] = { about: null, posts: new Map() });
+          if (entry.about) target.about = entry.about;
+          for (const post of entry.posts || []) {
+            target.posts.set(post.id, { ...post, subreddit: post.subreddit || name });
+          }
+        }
+        Object.assign(merged.comments, fixture.comments || {});
+        Object.assign(merged.users, fixture.users || {});
+        loaded++;
+      } catch (error) {
+        console.error(`❌ Skipping unreadable Reddit fixture ${file}:`, error.message);
+      }
+    }
+
+    return loaded > 0 ? merged : null;
+  }
+
+  // Shift recorded timestamps so the replay ends now, or starts now when replaying at a speed
+  prepareTimeline() {
+    const posts = Object.values(this.fixture.subreddits).flatMap(entry => Array.from(entry.posts.values()));
+    const times = posts.map(post => post.created_utc).filter(Number.isFinite);
+    const now = Date.now() / 1000;
+    const oldest = times.length > 0 ? Math.min(...times) : now;
+    const newest = times.length > 0 ? Math.max(...times) : now;
+
+    this.rebase = this.speed > 0
+      ? (created) => now + (created - oldest) / this.speed
+      : (created) => created + (now - newest);
+
+    for (const post of posts) {
+      this.postIndex.set(post.id, post);
+    }
+  }
+
+  getGenerator() {
+    if (!this.generator) {
+      let config = {};
+      if (this.syntheticConfigPath) {
+        try {
+          config = JSON.parse(fs.readFileSync(this.syntheticConfigPath, 'utf8'));
+        } catch (error) {
+          console.error(`❌ Failed to read synthetic config ${this.syntheticConfigPath}:`, error.message);
+        }
+      }
+      this.generator = new SyntheticGenerator(config);
+    }
+    return this.generator;
+  }
+
+  // Posts that exist by now, in snoowrap shape
+  visiblePosts(subredditName = null) {
+    const now = Date.now();
+    const key = subredditName ? subredditName.toLowerCase() : null;
+    let posts;
+
+    if (this.mode === 'fixtures') {
+      const entries = key
+        ? [this.fixture.subreddits[key]].filter(Boolean)
+        : Object.values(this.fixture.subreddits);
+      posts = entries
+        .flatMap(entry => Array.from(entry.posts.values()))
+        .map(post => ({ ...post, created_utc: Math.floor(this.rebase(post.created_utc)) }));
+    } else {
+      const generator = this.getGenerator();
+      posts = generator.postsBetween(now - generator.backlogHours * 3600000, now)
+        .map(post => generator.withEngagement(post, now));
+      for (const post of posts) {
+        this.postIndex.set(post.id, post);
+      }
+      if (key) posts = posts.filter(post => post.subreddit.toLowerCase() === key);
+    }
+
+    return posts
+      .filter(post => post.created_utc * 1000 <= now)
+      .map(post => this.hydratePost(post));
+  }
+
+  hydratePost(post) {
+    return {
+      ...post,
+      name: `t3_${post.id}`,
+      author: { name: post.author || '[deleted]' },
+      subreddit: { display_name: post.subreddit }
+    };
+  }
+
+  hydrateComment(comment) {
+    return {
+      ...comment,
+      author: { name: comment.author || '[deleted]' },
+      replies: (comment.replies || []).map(reply => this.hydrateComment(reply))
+    };
+  }
+
+  async getListing(subredditName, sort, options = {}) {
+    const { limit = 100, time = 'day', after } = options;
+    const now = Date.now() / 1000;
+    let posts = this.visiblePosts(subredditName);
+
+    switch (sort) {
+      case 'new':
+        posts.sort((a, b) => b.created_utc - a.created_utc);
+        break;
+      case 'top':
+        posts = posts.filter(post => now - post.created_utc <= this.timeWindow(time));
+        posts.sort((a, b) => b.ups - a.ups);
+        break;
+      case 'rising':
+        posts = posts.filter(post => now - post.created_utc <= 6 * 3600);
+        posts.sort((a, b) => b.ups / Math.max(1, now - b.created_utc) - a.ups / Math.max(1, now - a.created_utc));
+        break;
+      default:
+        posts.sort((a, b) => (b.stickied - a.stickied) || (this.hotScore(b) - this.hotScore(a)));
+    }
+
+    if (after) {
+      const index = posts.findIndex(post => post.name === after);
+      posts = index === -1 ? [] : posts.slice(index + 1);
+    }
+
+    return posts.slice(0, limit);
+  }
+
+  // Reddit's hot ranking: log-scaled score plus a recency term
+  hotScore(post) {
+    return Math.log10(Math.max(1, post.ups)) + post.created_utc / 45000;
+  }
+
+  timeWindow(time) {
+    const windows = { hour: 3600, day: 86400, week: 604800, month: 2592000, year: 31536000 };
+    return windows[time] || Infinity;
+  }
+
+  async getComments(postId, options = {}) {
+    const { mode = 'top' } = options;
+    const now = Date.now() / 1000;
+    let comments;
+
+    if (this.mode === 'fixtures') {
+      const rebaseTree = (comment) => ({
+        ...comment,
+        created_utc: Math.floor(this.rebase(comment.created_utc)),
+        replies: (comment.replies || []).map(rebaseTree)
+      });
+      comments = (this.fixture.comments[postId] || []).map(rebaseTree);
+    } else {
+      const post = this.postIndex.get(postId);
+      comments = post ? this.getGenerator().commentsFor(post) : [];
+    }
+
+    return comments
+      .filter(comment => comment.created_utc <= now)
+      .map(comment => this.hydrateComment(comment))
+      .map(comment => (mode === 'full' ? comment : { ...comment, replies: [] }));
+  }
+
+  async getPostsByIds(postIds) {
+    const wanted = new Set(postIds);
+    return this.visiblePosts().filter(post => wanted.has(post.id));
+  }
+
+  // Users missing from the recording get stable generated stats
+  async getUser(username) {
+    if (this.fixture && this.fixture.users[username]) {
+      return this.fixture.users[username];
+    }
+    return this.getGenerator().userFor(username);
+  }
+
+  async getSubredditAbout(subredditName) {
+    const entry = this.fixture && this.fixture.subreddits[subredditName.toLowerCase()];
+    if (entry && entry.about) return entry.about;
+    if (this.mode === 'fixtures' && !entry) {
+      throw new Error(`r/${subredditName} is not in the replay fixtures`);
+    }
+    return this.getGenerator().aboutFor(subredditName);
+  }
+
+  async search(options = {}) {
+    const { query = '', subreddit = null, sort = 'relevance', time = 'all', limit = 25 } = options;
+    const now = Date.now() / 1000;
+    const terms = query.toLowerCase().split(/\s+/).map(term => term.replace(/^\$/, '')).filter(Boolean);
+
+    const matches = this.visiblePosts(subreddit).filter(post => {
+      if (now - post.created_utc > this.timeWindow(time)) return false;
+      const text = `${post.title} ${post.selftext || ''}`.toLowerCase();
+      return terms.every(term => text.includes(term));
+    });
+
+    matches.sort(sort === 'new'
+      ? (a, b) => b.created_utc - a.created_utc
+      : (a, b) => b.ups - a.ups);
+
+    return matches.slice(0, limit);
+  }
+}
+
+module.exports = ReplayProvider;
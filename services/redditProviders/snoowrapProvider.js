@@ -0,0 +1,97 @@
+const snoowrap = require('snoowrap');
+const FixtureRecorder = require('./fixtureRecorder');
+
+// Live Reddit API through snoowrap; optionally records responses as replay fixtures
+class SnoowrapProvider {
+  constructor(options = {}) {
+    this.name = 'live';
+    this.rateLimited = true;
+    this.client = null;
+    this.recorder = options.recordDir ? new FixtureRecorder(options.recordDir) : null;
+  }
+
+  async authenticate() {
+    if (!process.env.REDDIT_CLIENT_ID || !process.env.REDDIT_CLIENT_SECRET) {
+      throw new Error('Reddit API credentials not configured (set REDDIT_PROVIDER=replay to run from fixtures)');
+    }
+
+    this.client = new snoowrap({
+      userAgent: 'RedditStocksSentimentTracker/1.0.0 by u/rondorocket',
+      clientId: process.env.REDDIT_CLIENT_ID,
+      clientSecret: process.env.REDDIT_CLIENT_SECRET,
+      username: process.env.REDDIT_USERNAME,
+      password: process.env.REDDIT_PASSWORD
+    });
+
+    // Test the connection
+    await this.client.getMe();
+    if (this.recorder) console.log(`📼 Recording Reddit responses to ${this.recorder.filePath}`);
+    return true;
+  }
+
+  async getListing(subredditName, sort, options = {}) {
+    // `after` is the fullname of the last post on the previous page
+    const { limit = 100, time = 'day', after } = options;
+    const subreddit = this.client.getSubreddit(subredditName);
+    const params = after ? { limit, after } : { limit };
+    let posts;
+
+    switch (sort) {
+      case 'new':
+        posts = await subreddit.getNew(params);
+        break;
+      case 'top':
+        posts = await subreddit.getTop({ ...params, time });
+        break;
+      case 'rising':
+        posts = await subreddit.getRising(params);
+        break;
+      default:
+        posts = await subreddit.getHot(params);
+    }
+
+    if (this.recorder) this.recorder.recordPosts(subredditName, posts);
+    return posts;
+  }
+
+  // 'top' returns the first level of the tree; 'full' expands replies
+  async getComments(postId, options = {}) {
+    const { mode = 'top', maxExpansions = 20, maxDepth = 10 } = options;
+    const submission = this.client.getSubmission(postId);
+
+    const comments = mode === 'full'
+      ? (await submission.expandReplies({ limit: maxExpansions, depth: maxDepth })).comments
+      : (await submission.fetch()).comments;
+
+    if (this.recorder) this.recorder.recordComments(postId, comments);
+    return comments;
+  }
+
+  // Current state of known submissions, up to 100 per call
+  async getPostsByIds(postIds) {
+    const posts = await this.client.getContentByIds(postIds.map(id => `t3_${id}`));
+    return Array.from(posts);
+  }
+
+  async getUser(username) {
+    const user = await this.client.getUser(username).fetch();
+    if (this.recorder) this.recorder.recordUser(user);
+    return user;
+  }
+
+  async getSubredditAbout(subredditName) {
+    const about = await this.client.getSubreddit(subredditName).fetch();
+    if (this.recorder) this.recorder.recordAbout(subredditName, about);
+    return about;
+  }
+
+  async search(options = {}) {
+    const { query, subreddit = null, sort, time, limit } = options;
+    const params = { query, sort, time, limit };
+    return subreddit
+      ? this.client.getSubreddit(subreddit).search(params)
+      : this.client.search(params);
+  }
+}
+
+module.exports = SnoowrapProvider;
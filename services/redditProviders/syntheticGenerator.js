@@ -0,0 +1,357 @@
+// Deterministic fake Reddit activity: posts per ticker follow a configurable hype curve over time
+class SyntheticGenerator {
+  constructor(config = {}) {
+    this.seed = config.seed || 'reddit-stocks';
+    // Hours of history visible before the generator started
+    this.backlogHours = config.backlog_hours ?? 48;
+    this.subreddits = config.subreddits || [
+      { name: 'wallstreetbets', weight: 3, subscribers: 15000000 },
+      { name: 'stocks', weight: 2, subscribers: 6500000 },
+      { name: 'investing', weight: 1, subscribers: 2500000 },
+      { name: 'pennystocks', weight: 1, subscribers: 2100000 }
+    ];
+
+    // rate = posts per hour across all subreddits; hours are relative to the generator start
+    this.tickers = config.tickers || [
+      { symbol: 'GME', curve: { type: 'spike', center_hours: -6, width_hours: 5 }, base_rate: 0.5, peak_rate: 8, sentiment: 0.6 },
+      { symbol: 'TSLA', curve: { type: 'cycle', period_hours: 24 }, base_rate: 1, peak_rate: 3, sentiment: 0.1 },
+      { symbol: 'AMC', curve: { type: 'decay', start_hours: -30, half_life_hours: 10 }, base_rate: 0.3, peak_rate: 6, sentiment: 0.3 },
+      { symbol: 'NVDA', curve: { type: 'ramp', start_hours: -24, duration_hours: 48 }, base_rate: 0.5, peak_rate: 4, sentiment: 0.5 },
+      { symbol: 'PLTR', curve: { type: 'flat' }, base_rate: 0.7, peak_rate: 0.7, sentiment: 0 },
+      { symbol: 'SPY', curve: { type: 'flat' }, base_rate: 0.6, peak_rate: 0.6, sentiment: -0.3 }
+    ];
+
+    this.authorCount = config.authors || 150;
+    this.startedAt = config.started_at ? new Date(config.started_at).getTime() : Date.now();
+
+    this.templates = {
+      bullish: {
+        titles: [
+          '{T} to the moon 🚀🚀🚀',
+          'Loading up on {T} calls before earnings',
+          'YOLO: all in on {T}, {S}c expiring Friday',
+          '{T} DD: why this is massively undervalued',
+          'Just bought more {T}, diamond hands 💎🙌',
+          '{T} breaking out, who else is in?'
+        ],
+        bodies: [
+          'Fundamentals are strong and the chart looks bullish. I bought {T} {S}c and I am holding.',
+          'Short interest is still huge on {T}. Squeeze incoming, buying the dip.',
+          'Revenue growth keeps beating estimates. {T} is a long term buy for me, strong buy.',
+          ''
+        ]
+      },
+      bearish: {
+        titles: [
+          '{T} is overvalued, bought puts',
+          '{T} puts printing 📉',
+          'Why I am shorting {T}',
+          'Lost 80% on {T}, bagholding',
+          '{T} is going to crash after earnings'
+        ],
+        bodies: [
+          'Valuation makes no sense, {T} is a bubble. Loaded {T} {S}p, expecting a dump.',
+          'Insiders are selling {T}. Overvalued, weak guidance, I am bearish.',
+          'Got wiped out on {T} calls. This thing is going to zero.',
+          ''
+        ]
+      },
+      neutral: {
+        titles: [
+          'Thoughts on {T}?',
+          '{T} earnings thread',
+          'What is everyone doing with {T}?',
+          'News: {T} announces shareholder meeting date'
+        ],
+        bodies: [
+          'Not sure what to make of {T} right now. Holding a small position and watching.',
+          'Anyone have a view on {T} going into next week?',
+          ''
+        ]
+      }
+    };
+
+    this.commentTemplates = {
+      bullish: ['{T} 🚀', 'Holding {T} till the moon', 'Bought more {T} today', '{T} calls are free money'],
+      bearish: ['{T} is cooked', 'Puts on {T}', 'Sold all my {T}, overvalued', '{T} bagholders in shambles'],
+      neutral: ['What is the play on {T}?', 'Watching {T}', 'Any news on {T}?']
+    };
+  }
+
+  // Hash a string to a 32-bit seed
+  hash(value) {
+    let h = 2166136261;
+    const text = `${this.seed}:${value}`;
+    for (let i = 0; i < text.length; i++) {
+      h ^= text.charCodeAt(i);
+      h = Math.imul(h, 16777619);
+    }
+    return h >>> 0;
+  }
+
+  // mulberry32 PRNG so the same slot always produces the same posts
+  random(key) {
+    let state = this.hash(key);
+    return () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  pick(rng, items) {
+    return items[Math.floor(rng() * items.length)];
+  }
+
+  // Posts per hour for a ticker at hours relative to the start
+  rate(ticker, hours) {
+    const { base_rate: base = 0.5, peak_rate: peak = base } = ticker;
+    const curve = ticker.curve || { type: 'flat' };
+    const range = peak - base;
+
+    switch (curve.type) {
+      case 'spike': {
+        const width = curve.width_hours || 4;
+        return base + range * Math.exp(-((hours - (curve.center_hours || 0)) ** 2) / (2 * width * width));
+      }
+      case 'ramp': {
+        const progress = (hours - (curve.start_hours || 0)) / (curve.duration_hours || 24);
+        return base + range * Math.max(0, Math.min(1, progress));
+      }
+      case 'decay': {
+        const elapsed = hours - (curve.start_hours || 0);
+        if (elapsed < 0) return base;
+        return base + range * Math.pow(0.5, elapsed / (curve.half_life_hours || 12));
+      }
+      case 'cycle':
+        return base + range * (0.5 + 0.5 * Math.sin((2 * Math.PI * hours) / (curve.period_hours || 24)));
+      default:
+        return base;
+    }
+  }
+
+  // Hype relative to the ticker's peak (0-1), used to scale engagement
+  hype(ticker, hours) {
+    const peak = ticker.peak_rate ?? ticker.base_rate ?? 1;
+    return peak > 0 ? this.rate(ticker, hours) / peak : 0;
+  }
+
+  hourIndex(timestamp) {
+    return Math.floor((timestamp - this.startedAt) / 3600000);
+  }
+
+  // Every synthetic post created between from and to (ms timestamps)
+  postsBetween(from, to) {
+    const posts = [];
+    const firstSlot = Math.max(this.hourIndex(from), -this.backlogHours);
+    const lastSlot = this.hourIndex(to);
+
+    for (let slot = firstSlot; slot <= lastSlot; slot++) {
+      for (const ticker of this.tickers) {
+        posts.push(...this.postsForSlot(ticker, slot).filter(post => {
+          const created = post.created_utc * 1000;
+          return created >= from && created <= to;
+        }));
+      }
+      posts.push(...this.dailyThreadsForSlot(slot).filter(post => post.created_utc * 1000 <= to));
+    }
+
+    // Only the latest daily thread per subreddit is still pinned
+    const latestDaily = new Map();
+    for (const post of posts.filter(post => post.stickied)) {
+      const current = latestDaily.get(post.subreddit);
+      if (current) (current.created_utc < post.created_utc ? current : post).stickied = false;
+      if (!current || current.created_utc < post.created_utc) latestDaily.set(post.subreddit, post);
+    }
+
+    return posts;
+  }
+
+  postsForSlot(ticker, slot) {
+    const rng = this.random(`${ticker.symbol}:${slot}`);
+    const expected = this.rate(ticker, slot + 0.5);
+    const count = Math.floor(expected) + (rng() < expected % 1 ? 1 : 0);
+    const hype = this.hype(ticker, slot + 0.5);
+    const posts = [];
+
+    for (let i = 0; i < count; i++) {
+      const polarity = this.polarity(rng, ticker.sentiment || 0);
+      const subreddit = this.pickSubreddit(rng);
+      const strike = this.strikeFor(ticker.symbol, rng);
+      const fill = (text) => text.replace(/\{T\}/g, rng() < 0.6 ? `$${ticker.symbol}` : ticker.symbol).replace(/\{S\}/g, strike);
+      const title = fill(this.pick(rng, this.templates[polarity].titles));
+      const body = fill(this.pick(rng, this.templates[polarity].bodies));
+      const ups = Math.round(5 + Math.pow(rng(), 3) * 2000 * (0.2 + hype));
+
+      posts.push({
+        id: `syn${this.hash(`${ticker.symbol}:${slot}:${i}`).toString(36)}`,
+        subreddit: subreddit.name,
+        title,
+        selftext: body.length > 0 ? `${body}\n\n${this.pick(rng, ['Not financial advice.', 'Positions below.', 'Thoughts?', ''])}`.trim() : '',
+        url: body.length > 0 ? '' : `https://i.redd.it/${this.hash(`${ticker.symbol}:${slot}:${i}:img`).toString(36)}.png`,
+        is_self: body.length > 0,
+        author: this.authorName(Math.floor(rng() * this.authorCount)),
+        author_flair_text: null,
+        link_flair_text: polarity === 'neutral' ? 'Discussion' : this.pick(rng, ['YOLO', 'DD', 'Discussion', 'Gain', 'Loss']),
+        ups,
+        upvote_ratio: Math.round((0.6 + rng() * 0.38) * 100) / 100,
+        num_comments: Math.round(ups * (0.1 + rng() * 0.5)),
+        total_awards_received: rng() < 0.05 ? 1 + Math.floor(rng() * 3) : 0,
+        stickied: false,
+        created_utc: Math.floor((this.startedAt + (slot + rng()) * 3600000) / 1000),
+        synthetic_ticker: ticker.symbol,
+        synthetic_polarity: polarity
+      });
+    }
+
+    return posts;
+  }
+
+  // Votes and comments build up over a post's first hours instead of appearing at once
+  withEngagement(post, now = Date.now()) {
+    const ageHours = Math.max(0, (now - post.created_utc * 1000) / 3600000);
+    const growth = 1 - Math.exp(-ageHours / 4);
+    return {
+      ...post,
+      ups: Math.max(1, Math.round(post.ups * growth)),
+      num_comments: Math.round(post.num_comments * growth)
+    };
+  }
+
+  // One pinned daily thread per subreddit per day, opened at midnight UTC
+  dailyThreadsForSlot(slot) {
+    const slotStart = this.startedAt + slot * 3600000;
+    if (new Date(slotStart).getUTCHours() !== 0 && slot !== -this.backlogHours) return [];
+
+    const day = new Date(slotStart).toISOString().slice(0, 10);
+    return this.subreddits.slice(0, 2).map(subreddit => ({
+      id: `synd${this.hash(`${subreddit.name}:${day}`).toString(36)}`,
+      subreddit: subreddit.name,
+      title: `Daily Discussion Thread for ${day}`,
+      selftext: 'Your daily trading discussion thread.',
+      url: '',
+      is_self: true,
+      author: 'AutoModerator',
+      author_flair_text: null,
+      link_flair_text: 'Daily Discussion',
+      ups: 500,
+      upvote_ratio: 0.9,
+      num_comments: 2000,
+      total_awards_received: 0,
+      stickied: true,
+      created_utc: Math.floor(Date.parse(`${day}T00:00:00Z`) / 1000)
+    }));
+  }
+
+  // Comments on a synthetic post; daily threads get chatter across every ticker
+  commentsFor(post, now = Date.now()) {
+    const rng = this.random(`comments:${post.id}`);
+    const isDaily = post.stickied;
+    const total = isDaily ? 60 : Math.min(25, Math.max(2, Math.round(post.num_comments / 10)));
+    const comments = [];
+
+    for (let i = 0; i < total; i++) {
+      const ticker = isDaily || !post.synthetic_ticker
+        ? this.pickWeightedTicker(rng, (post.created_utc * 1000 - this.startedAt) / 3600000)
+        : this.tickers.find(t => t.symbol === post.synthetic_ticker);
+      const polarity = this.polarity(rng, ticker.sentiment || 0);
+      const created = post.created_utc + Math.floor(rng() * 6 * 3600);
+      if (created * 1000 > now) continue;
+
+      comments.push({
+        id: `sync${this.hash(`${post.id}:${i}`).toString(36)}`,
+        parent_id: `t3_${post.id}`,
+        body: this.pick(rng, this.commentTemplates[polarity]).replace(/\{T\}/g, ticker.symbol),
+        author: this.authorName(Math.floor(rng() * this.authorCount)),
+        author_flair_text: null,
+        is_submitter: false,
+        score: 1 + Math.floor(Math.pow(rng(), 2) * 200),
+        total_awards_received: 0,
+        created_utc: created,
+        replies: []
+      });
+    }
+
+    return comments;
+  }
+
+  // Stable per-author account stats; about one in ten accounts is brand new
+  userFor(name) {
+    const rng = this.random(`user:${name}`);
+    const fresh = rng() < 0.1;
+    const ageDays = fresh ? 1 + Math.floor(rng() * 20) : 60 + Math.floor(rng() * 3000);
+    const linkKarma = fresh ? Math.floor(rng() * 50) : Math.floor(Math.pow(rng(), 2) * 50000);
+    const commentKarma = fresh ? Math.floor(rng() * 100) : Math.floor(Math.pow(rng(), 2) * 100000);
+
+    return {
+      name,
+      created_utc: Math.floor((Date.now() - ageDays * 86400000) / 1000),
+      link_karma: linkKarma,
+      comment_karma: commentKarma,
+      total_karma: linkKarma + commentKarma,
+      verified: rng() < 0.5,
+      is_gold: rng() < 0.05
+    };
+  }
+
+  aboutFor(name) {
+    const subreddit = this.subreddits.find(s => s.name === name.toLowerCase());
+    const rng = this.random(`about:${name.toLowerCase()}`);
+    const subscribers = subreddit ? subreddit.subscribers : 10000 + Math.floor(rng() * 500000);
+
+    return {
+      display_name: name,
+      display_name_prefixed: `r/${name}`,
+      public_description: `Synthetic r/${name} for offline runs`,
+      description: '',
+      subscribers,
+      accounts_active: Math.round(subscribers * 0.002),
+      subreddit_type: 'public',
+      created_utc: Math.floor(Date.parse('2012-01-31T00:00:00Z') / 1000),
+      over18: false,
+      lang: 'en'
+    };
+  }
+
+  polarity(rng, sentiment) {
+    // 20% neutral, the rest split by the ticker's sentiment bias (-1..1)
+    if (rng() < 0.2) return 'neutral';
+    return rng() < (1 + sentiment) / 2 ? 'bullish' : 'bearish';
+  }
+
+  pickSubreddit(rng) {
+    const total = this.subreddits.reduce((sum, s) => sum + (s.weight || 1), 0);
+    let roll = rng() * total;
+    for (const subreddit of this.subreddits) {
+      roll -= subreddit.weight || 1;
+      if (roll <= 0) return subreddit;
+    }
+    return this.subreddits[0];
+  }
+
+  pickWeightedTicker(rng, hours) {
+    const weights = this.tickers.map(ticker => this.rate(ticker, hours));
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    let roll = rng() * total;
+    for (let i = 0; i < this.tickers.length; i++) {
+      roll -= weights[i];
+      if (roll <= 0) return this.tickers[i];
+    }
+    return this.tickers[0];
+  }
+
+  strikeFor(symbol, rng) {
+    const base = 10 + (this.hash(symbol) % 400);
+    return String(Math.round(base * (0.9 + rng() * 0.4)));
+  }
+
+  authorName(index) {
+    const prefixes = ['Diamond', 'Tendie', 'Theta', 'Bull', 'Bear', 'Ape', 'Yolo', 'Gamma', 'Moon', 'Value'];
+    const suffixes = ['Hands', 'Hunter', 'Gang', 'Trader', 'Capital', 'Lord', 'Boi', 'Whale'];
+    return `${prefixes[index % prefixes.length]}${suffixes[Math.floor(index / prefixes.length) % suffixes.length]}_${index}`;
+  }
+}
+
+module.exports = SyntheticGenerator;
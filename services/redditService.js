@@ -1,35 +1,36 @@
-const snoowrap = require('snoowrap');
 const moment = require('moment');
+const { createRedditProvider } = require('./redditProviders');
 
 class RedditService {
   constructor() {
-    this.client = null;
+    // Live snoowrap client or offline replay, chosen on first initialize()
+    this.provider = null;
     this.isAuthenticated = false;
     this.lastRequestTime = 0;
     this.requestCount = 0;
     this.rateLimitWindow = 60 * 1000; // 1 minute in milliseconds
     this.maxRequestsPerWindow = 100; // Reddit API limit
+
+    // Titles of pinned threads whose comment trees carry most of the ticker chatter
+    this.dailyThreadPatterns = [
+      /daily discussion/i,
+      /what are your moves tomorrow/i,
+      /weekend discussion/i,
+      /daily (general|stock|investing) (discussion|thread)/i,
+      /rate my portfolio/i
+    ];
   }
 
   // Initialize Reddit API client
   async initialize() {
     try {
-      if (!process.env.REDDIT_CLIENT_ID || !process.env.REDDIT_CLIENT_SECRET) {
-        throw new Error('Reddit API credentials not configured');
+      if (!this.provider) {
+        this.provider = createRedditProvider();
       }
 
-      this.client = new snoowrap({
-        userAgent: 'RedditStocksSentimentTracker/1.0.0 by u/rondorocket',
-        clientId: process.env.REDDIT_CLIENT_ID,
-        clientSecret: process.env.REDDIT_CLIENT_SECRET,
-        username: process.env.REDDIT_USERNAME,
-        password: process.env.REDDIT_PASSWORD
-      });
-
-      // Test the connection
-      await this.client.getMe();
+      await this.provider.authenticate();
       this.isAuthenticated = true;
-      console.log('✅ Reddit API authenticated successfully');
+      console.log(`✅ Reddit API authenticated successfully (${this.provider.name})`);
       
       return true;
     } catch (error) {
@@ -41,6 +42,9 @@ class RedditService {
 
   // Rate limiting check
   async checkRateLimit() {
+    // Replayed fixtures cost nothing
+    if (this.provider && !this.provider.rateLimited) return;
+
     const now = Date.now();
     
     // Reset counter if window has passed
@@ -80,25 +84,7 @@ class RedditService {
 
       console.log(`📥 Fetching posts from r/${subredditName} (${sort}, limit: ${limit})`);
 
-      const subreddit = this.client.getSubreddit(subredditName);
-      let posts;
-
-      switch (sort) {
-        case 'hot':
-          posts = await subreddit.getHot({ limit });
-          break;
-        case 'new':
-          posts = await subreddit.getNew({ limit });
-          break;
-        case 'top':
-          posts = await subreddit.getTop({ time: timeframe, limit });
-          break;
-        case 'rising':
-          posts = await subreddit.getRising({ limit });
-          break;
-        default:
-          posts = await subreddit.getHot({ limit });
-      }
+      const posts = await this.provider.getListing(subredditName, sort, { time: timeframe, limit });
 
       // Filter posts based on minimum criteria
       const filteredPosts = posts.filter(post => {
@@ -154,6 +140,106 @@ class RedditService {
     return results;
   }
 
+  // Page back through the `new` listing until the checkpoint post (or anything older) is reached
+  // Returns every newer post unfiltered, plus the new checkpoint and any window that could not be covered
+  async getNewPostsSince(subredditName, cursor = {}, options = {}) {
+    if (!this.isAuthenticated) {
+      await this.initialize();
+    }
+
+    const { pageSize = 100, maxPages = 10 } = options;
+    const checkpointTime = cursor.last_created_utc ? new Date(cursor.last_created_utc).getTime() : null;
+    const hasCheckpoint = !!(cursor.last_fullname || checkpointTime);
+    const posts = [];
+    let after = null;
+    let pages = 0;
+    let reachedCheckpoint = !hasCheckpoint;
+    let listingEnd = false;
+
+    try {
+      while (pages < maxPages) {
+        await this.checkRateLimit();
+        const page = await this.provider.getListing(subredditName, 'new', { limit: pageSize, after });
+        pages++;
+
+        for (const post of page) {
+          const fullname = post.name || `t3_${post.id}`;
+          // Equal timestamps are let through; processPost dedupes them
+          if (fullname === cursor.last_fullname || (checkpointTime && post.created_utc * 1000 < checkpointTime)) {
+            reachedCheckpoint = true;
+            break;
+          }
+          posts.push(post);
+        }
+
+        if (page.length < pageSize) listingEnd = true;
+        // Without a checkpoint the first page is enough to start one
+        if (reachedCheckpoint || listingEnd || !hasCheckpoint) break;
+        after = page[page.length - 1].name || `t3_${page[page.length - 1].id}`;
+      }
+
+      const newest = posts[0];
+      const oldest = posts[posts.length - 1];
+      const gap = reachedCheckpoint ? null : {
+        from: new Date(checkpointTime || 0),
+        to: oldest ? new Date(oldest.created_utc * 1000) : new Date(),
+        reason: listingEnd ? 'listing_end' : 'page_limit',
+        pages_fetched: pages,
+        detected_at: new Date()
+      };
+
+      if (gap) {
+        console.log(`🕳️ r/${subredditName}: gap in the new listing from ${gap.from.toISOString()} to ${gap.to.toISOString()} (${gap.reason})`);
+      }
+      console.log(`✅ Retrieved ${posts.length} new posts from r/${subredditName} in ${pages} page(s)`);
+
+      return {
+        posts: posts.map(post => this.formatPostData(post, subredditName)),
+        newest: newest ? {
+          fullname: newest.name || `t3_${newest.id}`,
+          created_utc: new Date(newest.created_utc * 1000)
+        } : null,
+        pages,
+        reached_checkpoint: reachedCheckpoint,
+        gap
+      };
+    } catch (error) {
+      console.error(`❌ Error fetching new posts from r/${subredditName}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Re-read votes and comment counts for posts we already stored
+  async refreshPosts(postIds) {
+    if (!this.isAuthenticated) {
+      await this.initialize();
+    }
+
+    const refreshed = [];
+
+    try {
+      for (let i = 0; i < postIds.length; i += 100) {
+        await this.checkRateLimit();
+        const posts = await this.provider.getPostsByIds(postIds.slice(i, i + 100));
+        for (const post of posts) {
+          refreshed.push({
+            reddit_id: post.id,
+            upvotes: post.ups,
+            upvote_ratio: post.upvote_ratio,
+            comments: post.num_comments,
+            awards: post.total_awards_received || 0,
+            stickied: !!post.stickied
+          });
+        }
+      }
+
+      return refreshed;
+    } catch (error) {
+      console.error(`❌ Error refreshing ${postIds.length} posts:`, error.message);
+      throw error;
+    }
+  }
+
   // Get user information
   async getUserInfo(username) {
     if (!this.isAuthenticated) {
@@ -163,7 +249,7 @@ class RedditService {
     await this.checkRateLimit();
 
     try {
-      const user = await this.client.getUser(username).fetch();
+      const user = await this.provider.getUser(username);
       
       // Calculate account age in days
       const accountAge = user.created_utc ? 
@@ -199,8 +285,7 @@ class RedditService {
     await this.checkRateLimit();
 
     try {
-      const subreddit = this.client.getSubreddit(subredditName);
-      const info = await subreddit.fetch();
+      const info = await this.provider.getSubredditAbout(subredditName);
       
       return {
         valid: true,
@@ -231,16 +316,124 @@ class RedditService {
       url: post.url || '',
       author: post.author.name,
       author_flair: post.author_flair_text || '',
+      link_flair: post.link_flair_text || '',
       upvotes: post.ups,
       upvote_ratio: post.upvote_ratio,
       comments: post.num_comments,
       awards: post.total_awards_received || 0,
+      stickied: !!post.stickied,
+      is_daily_thread: this.isDailyThread(post),
       created_utc: new Date(post.created_utc * 1000),
       collected_at: new Date(),
       processed: false
     };
   }
 
+  // Check whether a submission is a pinned daily/weekend discussion thread
+  isDailyThread(post) {
+    return !!post.stickied && this.dailyThreadPatterns.some(pattern => pattern.test(post.title || ''));
+  }
+
+  // Get pinned daily discussion threads for a subreddit
+  async getPinnedDailyThreads(subredditName) {
+    if (!this.isAuthenticated) {
+      await this.initialize();
+    }
+
+    await this.checkRateLimit();
+
+    try {
+      // Stickied posts are always at the top of the hot listing (max 2 per subreddit)
+      const posts = await this.provider.getListing(subredditName, 'hot', { limit: 5 });
+      const threads = posts.filter(post => this.isDailyThread(post));
+
+      console.log(`📌 Found ${threads.length} pinned daily threads in r/${subredditName}`);
+      return threads.map(post => this.formatPostData(post, subredditName));
+    } catch (error) {
+      console.error(`❌ Error fetching pinned threads from r/${subredditName}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Get comments for a submission
+  // mode 'top' returns the highest scored comments, 'full' expands the whole tree
+  async getPostComments(postId, subredditName, options = {}) {
+    if (!this.isAuthenticated) {
+      await this.initialize();
+    }
+
+    await this.checkRateLimit();
+
+    const {
+      mode = 'top',
+      limit = 25,
+      maxExpansions = 20,
+      maxDepth = 10,
+      minScore = 1,
+      maxComments = 1000
+    } = options;
+
+    try {
+      let comments = [];
+
+      if (mode === 'full') {
+        console.log(`🌳 Expanding full comment tree for ${postId} in r/${subredditName}`);
+        const tree = await this.provider.getComments(postId, { mode, maxExpansions, maxDepth });
+        comments = this.flattenCommentTree(tree, 0, maxDepth);
+      } else {
+        const topLevel = await this.provider.getComments(postId, { mode });
+        comments = topLevel
+          .map(comment => ({ comment, depth: 0 }))
+          .sort((a, b) => b.comment.score - a.comment.score)
+          .slice(0, limit);
+      }
+
+      const formatted = comments
+        .filter(({ comment }) => comment.body && comment.author && comment.score >= minScore)
+        .slice(0, maxComments)
+        .map(({ comment, depth }) => this.formatCommentData(comment, subredditName, postId, depth));
+
+      console.log(`💬 Retrieved ${formatted.length} comments for ${postId} (${mode})`);
+      return formatted;
+    } catch (error) {
+      console.error(`❌ Error fetching comments for ${postId}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Flatten a snoowrap comment listing into [{comment, depth}]
+  flattenCommentTree(comments, depth = 0, maxDepth = 10) {
+    const flattened = [];
+
+    for (const comment of comments || []) {
+      flattened.push({ comment, depth });
+      if (depth < maxDepth && comment.replies && comment.replies.length > 0) {
+        flattened.push(...this.flattenCommentTree(comment.replies, depth + 1, maxDepth));
+      }
+    }
+
+    return flattened;
+  }
+
+  // Format comment data for our database schema
+  formatCommentData(comment, subredditName, postId, depth = 0) {
+    return {
+      reddit_id: comment.id,
+      post_reddit_id: postId,
+      parent_id: comment.parent_id || '',
+      subreddit: subredditName,
+      content: comment.body || '',
+      author: comment.author.name,
+      author_flair: comment.author_flair_text || '',
+      is_submitter: !!comment.is_submitter,
+      upvotes: comment.score || 0,
+      awards: comment.total_awards_received || 0,
+      depth,
+      created_utc: new Date(comment.created_utc * 1000),
+      collected_at: new Date()
+    };
+  }
+
   // Search for posts containing specific keywords
   async searchPosts(query, subredditName = null, options = {}) {
     if (!this.isAuthenticated) {
@@ -256,24 +449,13 @@ class RedditService {
         limit = 50
       } = options;
 
-      let searchResults;
-      
-      if (subredditName) {
-        const subreddit = this.client.getSubreddit(subredditName);
-        searchResults = await subreddit.search({
-          query,
-          sort,
-          time: timeframe,
-          limit
-        });
-      } else {
-        searchResults = await this.client.search({
-          query,
-          sort,
-          time: timeframe,
-          limit
-        });
-      }
+      const searchResults = await this.provider.search({
+        query,
+        subreddit: subredditName,
+        sort,
+        time: timeframe,
+        limit
+      });
 
       return searchResults.map(post => this.formatPostData(post, post.subreddit.display_name));
     } catch (error) {
@@ -318,8 +500,7 @@ class RedditService {
     await this.checkRateLimit();
 
     try {
-      const subreddit = this.client.getSubreddit(subredditName);
-      const info = await subreddit.fetch();
+      const info = await this.provider.getSubredditAbout(subredditName);
       
       // Get recent posts to analyze activity
       const recentPosts = await this.getSubredditPosts(subredditName, {
@@ -428,6 +609,7 @@ class RedditService {
   // Check API status
   getStatus() {
     return {
+      provider: this.provider ? this.provider.name : (process.env.REDDIT_PROVIDER || 'live'),
       authenticated: this.isAuthenticated,
       requests_made: this.requestCount,
       rate_limit_window: this.rateLimitWindow,
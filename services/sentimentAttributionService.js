@@ -0,0 +1,329 @@
+const RedditPost = require('../models/RedditPost');
+const StockData = require('../models/StockData');
+const SentimentSnapshot = require('../models/SentimentSnapshot');
+const confidenceService = require('./confidenceService');
+
+const hourMs = 60 * 60 * 1000;
+
+class SentimentAttributionService {
+  constructor() {
+    // Same default window as the confidence timeframe
+    this.defaultHours = 24;
+    this.maxHours = 168;
+    this.defaultLimit = 10;
+    this.maxLimit = 50;
+    // Snapshots are stored at most this often per ticker and window; changes are measured from the latest one at least this old
+    this.snapshotMinutes = 60;
+    this.storedPosts = 300;
+    this.storedAuthors = 200;
+    this.storedSubreddits = 50;
+    // Tickers snapshotted by the hourly job, highest trending score first
+    this.trackedTickers = 25;
+    this.running = false;
+  }
+
+  // Check explanation query parameters, returning a list of problems
+  validateQuery(query = {}) {
+    const errors = [];
+    const hours = query.hours !== undefined ? Number(query.hours) : this.defaultHours;
+    if (!Number.isInteger(hours) || hours < 1 || hours > this.maxHours) {
+      errors.push(`hours must be an integer between 1 and ${this.maxHours}`);
+    }
+    const limit = query.limit !== undefined ? Number(query.limit) : this.defaultLimit;
+    if (!Number.isInteger(limit) || limit < 1 || limit > this.maxLimit) {
+      errors.push(`limit must be an integer between 1 and ${this.maxLimit}`);
+    }
+    if (query.since && Number.isNaN(new Date(query.since).getTime())) {
+      errors.push('since must be a valid date');
+    }
+    if (query.confidence !== undefined && !['true', 'false'].includes(String(query.confidence))) {
+      errors.push('confidence must be true or false');
+    }
+    return errors;
+  }
+
+  // ==================== ATTRIBUTION ====================
+
+  async loadPosts(symbol, from, to) {
+    return RedditPost.find({
+      'tickers.symbol': symbol,
+      created_utc: { $gte: from, $lte: to },
+      processed: true,
+      passes_noise_filter: true
+    })
+      .select('reddit_id title author subreddit url created_utc tickers sentiment_score quality_score time_decay_factor coordination')
+      .lean();
+  }
+
+  // The weighted sentiment StockData keeps (quality × time decay × any campaign weight), split into each post's
+  // contribution: its weight × sentiment over the total weight, so the contributions add up to the sentiment
+  attribute(symbol, posts) {
+    const entries = posts.map(post => {
+      const sentiment = RedditPost.tickerSentiment(post, symbol) || 0;
+      const coordinationWeight = RedditPost.coordinationWeight(post);
+      const timeDecay = post.time_decay_factor != null ? post.time_decay_factor : 1;
+      const weight = (post.quality_score || 0) * timeDecay / 100 * coordinationWeight;
+      return { post, sentiment, weight, timeDecay, coordinationWeight };
+    });
+    const weightTotal = entries.reduce((sum, entry) => sum + entry.weight, 0);
+    const contributionOf = (entry) => (weightTotal > 0 ? entry.weight * entry.sentiment / weightTotal : 0);
+
+    const postContributions = entries
+      .map(entry => ({
+        reddit_id: entry.post.reddit_id,
+        title: entry.post.title,
+        author: entry.post.author,
+        subreddit: entry.post.subreddit,
+        url: entry.post.url,
+        created_utc: entry.post.created_utc,
+        sentiment: this.round(entry.sentiment),
+        quality_score: this.round(entry.post.quality_score || 0),
+        time_decay_factor: this.round(entry.timeDecay, 3),
+        coordination_weight: this.round(entry.coordinationWeight, 3),
+        weight: this.round(entry.weight, 4),
+        weighted_sentiment: this.round(entry.weight * entry.sentiment, 3),
+        weight_share: weightTotal > 0 ? this.round(entry.weight / weightTotal, 4) : 0,
+        contribution: this.round(contributionOf(entry), 3)
+      }))
+      .sort((a, b) => b.contribution - a.contribution);
+
+    const group = (key) => {
+      const groups = new Map();
+      entries.forEach(entry => {
+        const name = entry.post[key];
+        const current = groups.get(name) || { [key]: name, posts: 0, weight: 0, contribution: 0 };
+        current.posts++;
+        current.weight += entry.weight;
+        current.contribution += contributionOf(entry);
+        groups.set(name, current);
+      });
+      return [...groups.values()]
+        .map(item => ({
+          ...item,
+          weight: this.round(item.weight, 4),
+          avg_sentiment: item.weight > 0 ? this.round(item.contribution * weightTotal / item.weight) : null,
+          contribution: this.round(item.contribution, 3)
+        }))
+        .sort((a, b) => b.contribution - a.contribution);
+    };
+
+    return {
+      sentiment: weightTotal > 0 ? this.round(entries.reduce((sum, entry) => sum + contributionOf(entry), 0)) : null,
+      weight_total: this.round(weightTotal, 4),
+      post_count: posts.length,
+      posts: postContributions,
+      authors: group('author'),
+      subreddits: group('subreddit')
+    };
+  }
+
+  // The strongest pulls up and down
+  drivers(items, limit) {
+    return {
+      positive: items.filter(item => item.contribution > 0).slice(0, limit),
+      negative: items.filter(item => item.contribution < 0).reverse().slice(0, limit)
+    };
+  }
+
+  // ==================== CHANGE ====================
+
+  // How the sentiment moved from a snapshot: posts made since it, posts that left the window, reweighting
+  // (mostly time decay) of posts in both, and whatever the snapshot didn't track individually
+  compare(current, previous, limit) {
+    const previousPosts = new Map(previous.posts.map(post => [post.reddit_id, post]));
+    const currentIds = new Set(current.posts.map(post => post.reddit_id));
+    const totals = {
+      new_posts: { posts: 0, contribution: 0 },
+      expired_posts: { posts: 0, contribution: 0 },
+      reweighted_posts: { posts: 0, contribution: 0 }
+    };
+    const movers = [];
+
+    current.posts.forEach(post => {
+      const before = previousPosts.get(post.reddit_id);
+      const isNew = !before && post.created_utc > previous.taken_at;
+      if (!before && !isNew) return;
+
+      const change = post.contribution - (before ? before.contribution : 0);
+      const bucket = isNew ? totals.new_posts : totals.reweighted_posts;
+      bucket.posts++;
+      bucket.contribution += change;
+      movers.push({ ...post, status: isNew ? 'new' : 'reweighted', previous: before ? before.contribution : 0, change: this.round(change, 3) });
+    });
+
+    previous.posts.forEach(post => {
+      if (currentIds.has(post.reddit_id)) return;
+      totals.expired_posts.posts++;
+      totals.expired_posts.contribution -= post.contribution;
+      movers.push({ ...post, status: 'expired', previous: post.contribution, contribution: 0, change: this.round(-post.contribution, 3) });
+    });
+
+    const sentimentChange = current.sentiment !== null && previous.sentiment !== null ? current.sentiment - previous.sentiment : null;
+    const explained = Object.values(totals).reduce((sum, bucket) => sum + bucket.contribution, 0);
+    Object.values(totals).forEach(bucket => {
+      bucket.contribution = this.round(bucket.contribution, 3);
+    });
+
+    const byChange = (a, b) => Math.abs(b.change) - Math.abs(a.change);
+    return {
+      previous: {
+        taken_at: previous.taken_at,
+        sentiment: previous.sentiment,
+        post_count: previous.post_count
+      },
+      sentiment_change: sentimentChange !== null ? this.round(sentimentChange) : null,
+      breakdown: {
+        ...totals,
+        untracked: sentimentChange !== null ? this.round(sentimentChange - explained, 3) : null
+      },
+      posts: movers.sort(byChange).slice(0, limit),
+      authors: this.groupChanges(current.authors, previous.authors, 'author').sort(byChange).slice(0, limit),
+      subreddits: this.groupChanges(current.subreddits, previous.subreddits, 'subreddit').sort(byChange).slice(0, limit)
+    };
+  }
+
+  groupChanges(current, previous, key) {
+    const changes = new Map(previous.map(item => [item[key], { [key]: item[key], previous: item.contribution, current: 0 }]));
+    current.forEach(item => {
+      const entry = changes.get(item[key]) || { [key]: item[key], previous: 0 };
+      changes.set(item[key], { ...entry, current: item.contribution, posts: item.posts });
+    });
+    return [...changes.values()].map(item => ({ ...item, change: this.round(item.current - item.previous, 3) }));
+  }
+
+  // ==================== SNAPSHOTS ====================
+
+  // Store the attribution unless a snapshot for this ticker and window is newer than snapshotMinutes
+  async recordSnapshot(symbol, hours, attribution, takenAt = new Date()) {
+    const recent = await SentimentSnapshot.exists({
+      ticker: symbol,
+      window_hours: hours,
+      taken_at: { $gt: new Date(takenAt.getTime() - this.snapshotMinutes * 60 * 1000) }
+    });
+    if (recent || attribution.sentiment === null) return null;
+
+    const posts = [...attribution.posts]
+      .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution))
+      .slice(0, this.storedPosts);
+    const tracked = posts.reduce((sum, post) => sum + post.contribution, 0);
+    const pick = (items, key) => [...items]
+      .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution))
+      .map(item => ({ [key]: item[key], posts: item.posts, weight: item.weight, contribution: item.contribution }));
+
+    return SentimentSnapshot.create({
+      ticker: symbol,
+      taken_at: takenAt,
+      window_hours: hours,
+      sentiment: attribution.sentiment,
+      weight_total: attribution.weight_total,
+      post_count: attribution.post_count,
+      posts: posts.map(post => ({
+        reddit_id: post.reddit_id,
+        title: post.title,
+        author: post.author,
+        subreddit: post.subreddit,
+        sentiment: post.sentiment,
+        weight: post.weight,
+        contribution: post.contribution
+      })),
+      untracked_contribution: this.round(attribution.sentiment - tracked, 3),
+      authors: pick(attribution.authors, 'author').slice(0, this.storedAuthors),
+      subreddits: pick(attribution.subreddits, 'subreddit').slice(0, this.storedSubreddits)
+    });
+  }
+
+  // Snapshot the most trending tickers so the next explanation has something to compare with
+  async snapshotTrending() {
+    if (this.running) {
+      console.log('⏭️ Sentiment snapshots already running');
+      return null;
+    }
+    this.running = true;
+
+    try {
+      const now = new Date();
+      const stocks = await StockData.find({ 'reddit_mentions.last_24h': { $gt: 0 } })
+        .select('ticker')
+        .sort({ trending_score: -1 })
+        .limit(this.trackedTickers)
+        .lean();
+
+      let recorded = 0;
+      for (const stock of stocks) {
+        const posts = await this.loadPosts(stock.ticker, new Date(now.getTime() - this.defaultHours * hourMs), now);
+        if (await this.recordSnapshot(stock.ticker, this.defaultHours, this.attribute(stock.ticker, posts), now)) {
+          recorded++;
+        }
+      }
+
+      console.log(`📸 Sentiment snapshots: ${recorded} of ${stocks.length} trending tickers`);
+      return { tickers: stocks.length, recorded };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // ==================== EXPLANATION ====================
+
+  // Why a ticker's sentiment is where it is: drivers by post, author and subreddit, what changed since the
+  // previous snapshot and, unless confidence=false, the confidence score split by component
+  async explainTicker(ticker, query = {}) {
+    const symbol = ticker.toUpperCase();
+    const hours = query.hours !== undefined ? Number(query.hours) : this.defaultHours;
+    const limit = query.limit !== undefined ? Number(query.limit) : this.defaultLimit;
+    const now = new Date();
+    const from = new Date(now.getTime() - hours * hourMs);
+    const compareTo = query.since ? new Date(query.since) : new Date(now.getTime() - this.snapshotMinutes * 60 * 1000);
+
+    const [posts, stock, previous] = await Promise.all([
+      this.loadPosts(symbol, from, now),
+      StockData.findOne({ ticker: symbol }).select('sentiment_trend').lean(),
+      SentimentSnapshot.findOne({ ticker: symbol, window_hours: hours, taken_at: { $lte: compareTo } })
+        .sort({ taken_at: -1 })
+        .lean()
+    ]);
+    const attribution = this.attribute(symbol, posts);
+
+    let confidence = null;
+    if (String(query.confidence) !== 'false') {
+      try {
+        const result = await confidenceService.calculateComprehensiveConfidence(symbol, { timeframe: hours });
+        confidence = {
+          score: result.confidence_score,
+          level: result.confidence_level.level,
+          components: confidenceService.explainConfidence(result.confidence_components),
+          risk_factors: result.risk_factors
+        };
+      } catch (error) {
+        confidence = { error: error.message };
+      }
+    }
+
+    await this.recordSnapshot(symbol, hours, attribution, now);
+
+    return {
+      ticker: symbol,
+      from,
+      to: now,
+      window_hours: hours,
+      sentiment: attribution.sentiment,
+      stored_sentiment: stock ? this.round(stock.sentiment_trend.current) : null,
+      weight_total: attribution.weight_total,
+      post_count: attribution.post_count,
+      drivers: {
+        posts: this.drivers(attribution.posts, limit),
+        authors: this.drivers(attribution.authors, limit),
+        subreddits: this.drivers(attribution.subreddits, limit)
+      },
+      change: previous ? this.compare(attribution, previous, limit) : null,
+      confidence
+    };
+  }
+
+  round(value, digits = 2) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+  }
+}
+
+module.exports = new SentimentAttributionService();
@@ -0,0 +1,315 @@
+const TickerSentimentHistory = require('../models/TickerSentimentHistory');
+const RedditPost = require('../models/RedditPost');
+const RedditComment = require('../models/RedditComment');
+
+const hourMs = 60 * 60 * 1000;
+
+class SentimentHistoryService {
+  constructor() {
+    // Comment mentions count this much of a post in the weighted sentiment, as in StockData.updateWeightedMentions
+    this.commentWeight = 0.25;
+    // An hour is rolled up once it has been over this long, so late-processed posts still land in it
+    this.settleMinutes = 30;
+    // How far back the first rollup reaches
+    this.initialLookbackDays = 30;
+    this.chunkHours = 24;
+    // Per-point cap for history requests
+    this.maxPoints = 5000;
+    this.intervals = ['hour', 'day', 'week'];
+    this.running = false;
+  }
+
+  floorHour(date) {
+    return new Date(Math.floor(new Date(date).getTime() / hourMs) * hourMs);
+  }
+
+  // Start of the first hour not yet rolled up
+  async getRolledUntil() {
+    const latest = await TickerSentimentHistory.findOne().sort({ hour: -1 }).select('hour').lean();
+    return latest ? new Date(latest.hour.getTime() + hourMs) : null;
+  }
+
+  // Append buckets for every settled hour since the last run. Buckets are only written once,
+  // so the stored series never changes under a chart; hours that haven't settled are computed live on read
+  async rollup(now = new Date()) {
+    if (this.running) {
+      return { skipped: true, reason: 'already_running' };
+    }
+    this.running = true;
+
+    try {
+      const end = this.floorHour(now.getTime() - this.settleMinutes * 60 * 1000);
+      const rolledUntil = await this.getRolledUntil();
+      const earliest = this.floorHour(end.getTime() - this.initialLookbackDays * 24 * hourMs);
+      const start = rolledUntil && rolledUntil > earliest ? rolledUntil : earliest;
+
+      let buckets = 0;
+      for (let from = start; from < end; from = new Date(from.getTime() + this.chunkHours * hourMs)) {
+        const to = new Date(Math.min(end.getTime(), from.getTime() + this.chunkHours * hourMs));
+        const rows = await this.aggregateBuckets(from, to);
+        if (rows.length > 0) {
+          await TickerSentimentHistory.insertMany(rows);
+          buckets += rows.length;
+        }
+      }
+
+      const hours = Math.max(0, (end - start) / hourMs);
+      if (buckets > 0) {
+        console.log(`🕐 Sentiment history: ${buckets} ticker-hours rolled up over ${hours} hours`);
+      }
+      return { from: start, to: end, hours, buckets };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Hourly buckets from posts and comments created in [from, to), optionally for one ticker
+  async aggregateBuckets(from, to, ticker = null) {
+    const symbol = ticker ? ticker.toUpperCase() : null;
+    const match = {
+      created_utc: { $gte: from, $lt: to },
+      processed: true,
+      passes_noise_filter: true,
+      ...(symbol ? { 'tickers.symbol': symbol } : {})
+    };
+
+    const [postRows, commentRows] = await Promise.all([
+      RedditPost.aggregate(this.bucketPipeline(match, symbol, 1)),
+      RedditComment.aggregate(this.bucketPipeline(match, symbol, this.commentWeight))
+    ]);
+
+    const buckets = new Map();
+    for (const [rows, field] of [[postRows, 'post_mentions'], [commentRows, 'comment_mentions']]) {
+      for (const row of rows) {
+        const key = `${row._id.ticker}|${row._id.hour.getTime()}`;
+        if (!buckets.has(key)) {
+          buckets.set(key, this.emptyBucket(row._id.ticker, row._id.hour));
+        }
+        this.addToBucket(buckets.get(key), {
+          ...row,
+          [field]: row.mentions,
+          subreddits: [{ subreddit: row._id.subreddit, mentions: row.mentions, sentiment_total: row.sentiment_total }]
+        });
+      }
+    }
+
+    return [...buckets.values()].map(bucket => this.finalizeBucket(bucket));
+  }
+
+  // Per ticker, hour and subreddit; weight is quality × log upvotes × the source weight
+  bucketPipeline(match, symbol, sourceWeight) {
+    const sentiment = RedditPost.tickerSentimentExpression();
+    const weight = {
+      $multiply: [
+        sourceWeight,
+        RedditPost.coordinationWeightExpression(),
+        { $divide: [{ $ifNull: ['$quality_score', 50] }, 100] },
+        { $add: [1, { $log10: { $add: [1, { $max: [0, { $ifNull: ['$upvotes', 0] }] }] } }] }
+      ]
+    };
+
+    return [
+      { $match: match },
+      { $unwind: '$tickers' },
+      ...(symbol ? [{ $match: { 'tickers.symbol': symbol } }] : []),
+      {
+        $group: {
+          _id: {
+            ticker: '$tickers.symbol',
+            hour: { $dateTrunc: { date: '$created_utc', unit: 'hour' } },
+            subreddit: '$subreddit'
+          },
+          mentions: { $sum: 1 },
+          sentiment_total: { $sum: sentiment },
+          weighted_total: { $sum: { $multiply: [sentiment, weight] } },
+          weight_total: { $sum: weight },
+          quality_total: { $sum: { $ifNull: ['$quality_score', 0] } },
+          bullish: { $sum: { $cond: [{ $gte: [sentiment, 20] }, 1, 0] } },
+          bearish: { $sum: { $cond: [{ $lte: [sentiment, -20] }, 1, 0] } },
+          authors: { $addToSet: '$author' }
+        }
+      }
+    ];
+  }
+
+  emptyBucket(ticker, hour) {
+    return {
+      hour,
+      meta: { ticker },
+      mentions: 0,
+      post_mentions: 0,
+      comment_mentions: 0,
+      authors: new Set(),
+      sentiment_total: 0,
+      weighted_total: 0,
+      weight_total: 0,
+      quality_total: 0,
+      bullish: 0,
+      bearish: 0,
+      subreddits: new Map()
+    };
+  }
+
+  // Fold stored buckets or aggregation rows into a working bucket
+  addToBucket(bucket, row) {
+    bucket.mentions += row.mentions;
+    bucket.post_mentions += row.post_mentions || 0;
+    bucket.comment_mentions += row.comment_mentions || 0;
+    bucket.sentiment_total += row.sentiment_total;
+    bucket.weighted_total += row.weighted_total;
+    bucket.weight_total += row.weight_total;
+    bucket.quality_total += row.quality_total;
+    bucket.bullish += row.bullish;
+    bucket.bearish += row.bearish;
+    (row.authors || []).forEach(author => bucket.authors.add(author));
+
+    for (const split of row.subreddits || []) {
+      const current = bucket.subreddits.get(split.subreddit) || { subreddit: split.subreddit, mentions: 0, sentiment_total: 0 };
+      current.mentions += split.mentions;
+      current.sentiment_total += split.sentiment_total;
+      bucket.subreddits.set(split.subreddit, current);
+    }
+  }
+
+  finalizeBucket(bucket) {
+    const authors = [...bucket.authors];
+    return {
+      hour: bucket.hour,
+      meta: bucket.meta,
+      mentions: bucket.mentions,
+      post_mentions: bucket.post_mentions,
+      comment_mentions: bucket.comment_mentions,
+      unique_authors: authors.length,
+      authors,
+      avg_sentiment: bucket.mentions > 0 ? this.round(bucket.sentiment_total / bucket.mentions) : null,
+      weighted_sentiment: bucket.weight_total > 0 ? this.round(bucket.weighted_total / bucket.weight_total) : null,
+      avg_quality: bucket.mentions > 0 ? this.round(bucket.quality_total / bucket.mentions) : null,
+      bullish: bucket.bullish,
+      bearish: bucket.bearish,
+      sentiment_total: this.round(bucket.sentiment_total),
+      weighted_total: this.round(bucket.weighted_total),
+      weight_total: this.round(bucket.weight_total, 4),
+      quality_total: this.round(bucket.quality_total),
+      subreddits: [...bucket.subreddits.values()]
+        .map(split => ({ ...split, sentiment_total: this.round(split.sentiment_total), avg_sentiment: this.round(split.sentiment_total / split.mentions) }))
+        .sort((a, b) => b.mentions - a.mentions)
+    };
+  }
+
+  // Start of the hour, UTC day or UTC week (Monday) a timestamp falls in
+  bucketStart(date, interval) {
+    const d = new Date(date);
+    if (interval === 'hour') return this.floorHour(d);
+
+    const day = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+    if (interval === 'day') return day;
+
+    const sinceMonday = (day.getUTCDay() + 6) % 7;
+    return new Date(day.getTime() - sinceMonday * 24 * hourMs);
+  }
+
+  stepMs(interval) {
+    return { hour: hourMs, day: 24 * hourMs, week: 7 * 24 * hourMs }[interval];
+  }
+
+  // Parse and check from/to/interval; defaults to the last 7 days hourly
+  resolveRange(options = {}) {
+    const errors = [];
+    const interval = options.interval || 'hour';
+    const to = options.to ? new Date(options.to) : new Date();
+    const from = options.from ? new Date(options.from) : new Date(to.getTime() - 7 * 24 * hourMs);
+
+    if (!this.intervals.includes(interval)) {
+      errors.push(`interval must be one of ${this.intervals.join(', ')}`);
+    }
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+      errors.push('from and to must be valid dates');
+    } else if (from >= to) {
+      errors.push('from must be before to');
+    } else if (errors.length === 0) {
+      const points = Math.ceil((to - this.bucketStart(from, interval)) / this.stepMs(interval));
+      if (points > this.maxPoints) {
+        errors.push(`Range covers ${points} ${interval}s; use a coarser interval (at most ${this.maxPoints} points)`);
+      }
+    }
+
+    return { errors, from, to, interval };
+  }
+
+  // Stored buckets plus live ones for hours not rolled up yet, resampled to the interval with empty periods filled
+  async getHistory(ticker, options = {}) {
+    const symbol = ticker.toUpperCase();
+    const { errors, from, to, interval } = this.resolveRange(options);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    const start = this.bucketStart(from, interval);
+    const hourly = await this.getHourlyBuckets(symbol, start, to);
+
+    const periods = new Map();
+    for (let time = start.getTime(); time < to.getTime(); time += this.stepMs(interval)) {
+      periods.set(time, { ...this.emptyBucket(symbol, new Date(time)), live: false });
+    }
+    for (const bucket of hourly) {
+      const period = periods.get(this.bucketStart(bucket.hour, interval).getTime());
+      if (!period) continue;
+      period.live = period.live || Boolean(bucket.live);
+      this.addToBucket(period, bucket);
+    }
+
+    const series = [...periods.values()].map(period => {
+      const { hour, meta, authors, sentiment_total, weighted_total, weight_total, quality_total, ...values } = this.finalizeBucket(period);
+      return { timestamp: hour, ...values, live: period.live };
+    });
+
+    return {
+      ticker: symbol,
+      interval,
+      from: start,
+      to,
+      series,
+      summary: this.summarize(hourly),
+      previous_period: await this.summarizeRange(symbol, new Date(start.getTime() - (to - start)), start)
+    };
+  }
+
+  // Hourly buckets in [from, to): stored ones, then live aggregation past the last rollup
+  async getHourlyBuckets(symbol, from, to) {
+    const rolledUntil = (await this.getRolledUntil()) || from;
+    const stored = from < rolledUntil
+      ? await TickerSentimentHistory.find({
+        'meta.ticker': symbol,
+        hour: { $gte: from, $lt: rolledUntil < to ? rolledUntil : to }
+      }).sort({ hour: 1 }).lean()
+      : [];
+
+    const liveFrom = rolledUntil > from ? rolledUntil : from;
+    const live = liveFrom < to
+      ? (await this.aggregateBuckets(liveFrom, to, symbol)).map(bucket => ({ ...bucket, live: true }))
+      : [];
+
+    return [...stored, ...live];
+  }
+
+  async summarizeRange(symbol, from, to) {
+    return { from, to, ...this.summarize(await this.getHourlyBuckets(symbol, from, to)) };
+  }
+
+  // Totals across buckets, for comparing a range with the one before it
+  summarize(buckets) {
+    const total = this.emptyBucket(null, null);
+    for (const bucket of buckets) {
+      this.addToBucket(total, bucket);
+    }
+    const { mentions, post_mentions, comment_mentions, unique_authors, avg_sentiment, weighted_sentiment, avg_quality, bullish, bearish, subreddits } = this.finalizeBucket(total);
+    return { mentions, post_mentions, comment_mentions, unique_authors, avg_sentiment, weighted_sentiment, avg_quality, bullish, bearish, subreddits: subreddits.slice(0, 10) };
+  }
+
+  round(value, digits = 2) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+  }
+}
+
+module.exports = new SentimentHistoryService();
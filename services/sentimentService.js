@@ -0,0 +1,394 @@
+const path = require('path');
+const sentimentAnalyzer = require('../utils/sentimentAnalyzer');
+const naiveBayesSentiment = require('../utils/naiveBayesSentiment');
+const claudeService = require('./claudeService');
+const SentimentModel = require('../models/SentimentModel');
+const RedditPost = require('../models/RedditPost');
+require('dotenv').config();
+
+class SentimentService {
+  constructor() {
+    // Provider interface: { isAvailable(), analyze({ text, title, ticker }) -> { score, confidence, details } | null }
+    this.providers = new Map();
+
+    this.registerProvider('lexicon', {
+      description: 'Keyword and emoji lexicon (utils/sentimentAnalyzer)',
+      isAvailable: () => true,
+      analyze: async ({ text, title }) => {
+        const result = sentimentAnalyzer.analyzeSentiment(text, title);
+        return { score: result.score, confidence: result.confidence, details: result.details };
+      }
+    });
+
+    this.registerProvider('naive_bayes', {
+      description: 'Local naive Bayes model trained on labelled posts',
+      isAvailable: () => naiveBayesSentiment.isTrained(),
+      analyze: async ({ text, title }) => {
+        const result = naiveBayesSentiment.analyzeSentiment(text, title);
+        return { score: result.score, confidence: result.confidence, details: { label: result.label, probabilities: result.probabilities } };
+      }
+    });
+
+    this.registerProvider('claude', {
+      description: 'Claude sentiment analysis (requires CLAUDE_API)',
+      isAvailable: () => claudeService.isConfigured,
+      analyze: async ({ text, title, ticker }) => {
+        const result = await claudeService.analyzeSentiment(text, title, ticker);
+        // claudeService falls back to the lexicon on errors - don't count that twice
+        if (result.analysis_type !== 'claude') return null;
+        return {
+          score: result.sentiment_score,
+          confidence: result.confidence / 100,
+          details: { reasoning: result.reasoning, sarcasm_detected: result.sarcasm_detected }
+        };
+      }
+    });
+
+    // Providers used for ingestion and their blend weights, e.g. "lexicon:1,naive_bayes:1,claude:2"
+    this.enabledProviders = (process.env.SENTIMENT_PROVIDERS || 'lexicon,naive_bayes')
+      .split(',').map(name => name.trim()).filter(Boolean);
+    this.weights = this.parseWeights(process.env.SENTIMENT_WEIGHTS || 'lexicon:1,naive_bayes:1,claude:2');
+
+    // Scores within this band count as neutral when checking directional agreement
+    this.neutralBand = 10;
+
+    this.modelName = 'naive_bayes_default';
+    this.seedPath = path.join(__dirname, '..', 'data', 'sentiment', 'seed-posts.json');
+  }
+
+  registerProvider(name, provider) {
+    this.providers.set(name, provider);
+  }
+
+  parseWeights(spec) {
+    const weights = {};
+    for (const entry of spec.split(',')) {
+      const [name, value] = entry.split(':').map(part => part.trim());
+      const weight = parseFloat(value);
+      if (name && !isNaN(weight) && weight >= 0) weights[name] = weight;
+    }
+    return weights;
+  }
+
+  getWeight(name) {
+    return this.weights[name] ?? 1;
+  }
+
+  // Run the enabled (or requested) providers and blend them into one score
+  async analyze(text, title = '', options = {}) {
+    const { ticker = null, providers = this.enabledProviders, exclude = [] } = options;
+    const names = providers.filter(name => !exclude.includes(name));
+
+    const results = [];
+    for (const name of names) {
+      const result = await this.runProvider(name, { text, title, ticker });
+      if (result) results.push(result);
+    }
+
+    const lexicon = results.find(r => r.provider === 'lexicon');
+    return {
+      ...this.blend(results),
+      providers: results.map(({ details, ...result }) => result),
+      // Keyword details stay available for sentiment_keywords
+      details: lexicon ? lexicon.details : { sentiment_words: [] }
+    };
+  }
+
+  async runProvider(name, input) {
+    const provider = this.providers.get(name);
+    if (!provider || !provider.isAvailable()) return null;
+
+    const started = Date.now();
+    try {
+      const result = await provider.analyze(input);
+      if (!result) return null;
+
+      return {
+        provider: name,
+        score: Math.max(-100, Math.min(100, Math.round(result.score * 100) / 100)),
+        confidence: Math.max(0, Math.min(1, Math.round(result.confidence * 100) / 100)),
+        weight: this.getWeight(name),
+        latency_ms: Date.now() - started,
+        details: result.details || null
+      };
+    } catch (error) {
+      console.error(`❌ Sentiment provider ${name} failed:`, error.message);
+      return null;
+    }
+  }
+
+  // Weighted by provider weight x confidence; confidence is damped when providers disagree
+  blend(results) {
+    const usable = results.filter(r => r.weight > 0);
+    if (usable.length === 0) {
+      return { score: 0, confidence: 0, agreement: null, providers_used: 0 };
+    }
+
+    const effectiveWeights = usable.map(r => r.weight * Math.max(r.confidence, 0.05));
+    const totalEffective = effectiveWeights.reduce((sum, w) => sum + w, 0);
+    const score = usable.reduce((sum, r, i) => sum + r.score * effectiveWeights[i], 0) / totalEffective;
+
+    const totalWeight = usable.reduce((sum, r) => sum + r.weight, 0);
+    const avgConfidence = usable.reduce((sum, r) => sum + r.confidence * r.weight, 0) / totalWeight;
+
+    let agreement = 1;
+    if (usable.length > 1) {
+      const direction = this.direction(score);
+      const sameDirection = usable.reduce((sum, r) => sum + (this.direction(r.score) === direction ? r.weight : 0), 0) / totalWeight;
+      const meanDeviation = usable.reduce((sum, r) => sum + Math.abs(r.score - score) * r.weight, 0) / totalWeight;
+      agreement = 0.5 * sameDirection + 0.5 * (1 - Math.min(1, meanDeviation / 100));
+    }
+
+    return {
+      score: Math.round(score * 100) / 100,
+      confidence: Math.round(avgConfidence * (0.5 + 0.5 * agreement) * 100) / 100,
+      agreement: Math.round(agreement * 100) / 100,
+      providers_used: usable.length
+    };
+  }
+
+  direction(score) {
+    if (score > this.neutralBand) return 1;
+    if (score < -this.neutralBand) return -1;
+    return 0;
+  }
+
+  // Load the stored naive Bayes model, training from the seed set on first run
+  async initialize() {
+    const stored = await SentimentModel.findOne({ name: this.modelName }).lean();
+
+    if (stored) {
+      naiveBayesSentiment.load(stored.parameters);
+      console.log(`   🧠 Loaded sentiment model (${stored.training_samples} samples, accuracy ${stored.metrics?.accuracy ?? 'n/a'})`);
+      return stored;
+    }
+
+    return this.trainModel();
+  }
+
+  // Seed examples, human-annotated posts and posts Claude scored confidently
+  async collectTrainingSamples(options = {}) {
+    const { includePosts = true, includeAnnotations = true, minClaudeConfidence = 70, maxPosts = 5000 } = options;
+    const samples = require(this.seedPath).map(sample => ({ ...sample, source: 'seed' }));
+    const annotatedIds = new Set();
+
+    if (includeAnnotations) {
+      // Required here: annotationService depends on this service for evaluation
+      const annotationService = require('./annotationService');
+      const annotated = await annotationService.exportDataset();
+
+      for (const record of annotated) {
+        annotatedIds.add(record.reddit_id);
+        samples.push({
+          text: `${record.title} ${record.content.substring(0, 2000)}`,
+          label: record.overall_sentiment,
+          source: 'annotated'
+        });
+      }
+    }
+
+    if (includePosts) {
+      const posts = await RedditPost.find({
+        'claude_analysis.analysis_type': 'claude',
+        'claude_analysis.confidence': { $gte: minClaudeConfidence }
+      })
+      .select('reddit_id title content claude_analysis.sentiment_score')
+      .sort({ created_utc: -1 })
+      .limit(maxPosts)
+      .lean();
+
+      for (const post of posts) {
+        // Human labels win over Claude's for the same post
+        if (annotatedIds.has(post.reddit_id)) continue;
+
+        const score = post.claude_analysis.sentiment_score;
+        samples.push({
+          text: `${post.title} ${(post.content || '').substring(0, 2000)}`,
+          label: score > 15 ? 'bullish' : score < -15 ? 'bearish' : 'neutral',
+          source: 'claude_labelled'
+        });
+      }
+    }
+
+    return samples;
+  }
+
+  // Train on all samples, report accuracy from a 1-in-5 holdout, and persist
+  async trainModel(options = {}) {
+    const samples = await this.collectTrainingSamples(options);
+
+    const holdout = samples.filter((_, i) => i % 5 === 0);
+    naiveBayesSentiment.train(samples.filter((_, i) => i % 5 !== 0));
+    const metrics = naiveBayesSentiment.evaluate(holdout);
+
+    const parameters = naiveBayesSentiment.train(samples);
+    const sources = {};
+    samples.forEach(sample => {
+      sources[sample.source] = (sources[sample.source] || 0) + 1;
+    });
+
+    const model = await SentimentModel.findOneAndUpdate(
+      { name: this.modelName },
+      {
+        kind: 'naive_bayes',
+        parameters,
+        training_samples: samples.length,
+        sources,
+        metrics: {
+          accuracy: metrics.accuracy,
+          holdout_samples: metrics.samples,
+          confusion: metrics.confusion
+        },
+        trained_at: new Date()
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    console.log(`🧠 Trained sentiment model on ${samples.length} samples (holdout accuracy ${metrics.accuracy})`);
+    return model.toObject({ flattenMaps: true });
+  }
+
+  // Run every available provider over a sample of stored posts and compare them
+  async compareProviders(options = {}) {
+    const { sampleSize = 25, hours = 72, ticker = null, providers = null } = options;
+    const names = (providers || Array.from(this.providers.keys()))
+      .filter(name => this.providers.has(name) && this.providers.get(name).isAvailable());
+
+    const query = { created_utc: { $gte: new Date(Date.now() - hours * 60 * 60 * 1000) }, processed: true };
+    if (ticker) query['tickers.symbol'] = ticker.toUpperCase();
+
+    const posts = await RedditPost.aggregate([
+      { $match: query },
+      { $sample: { size: sampleSize } },
+      { $project: { reddit_id: 1, title: 1, content: 1, subreddit: 1, tickers: 1 } }
+    ]);
+
+    const rows = [];
+    for (const post of posts) {
+      const scores = {};
+      for (const name of names) {
+        const result = await this.runProvider(name, {
+          text: post.content,
+          title: post.title,
+          ticker: post.tickers && post.tickers[0] ? post.tickers[0].symbol : null
+        });
+        scores[name] = result ? { score: result.score, confidence: result.confidence, latency_ms: result.latency_ms } : null;
+      }
+
+      const results = names.filter(name => scores[name]).map(name => ({ provider: name, weight: this.getWeight(name), ...scores[name] }));
+      rows.push({
+        reddit_id: post.reddit_id,
+        title: post.title,
+        subreddit: post.subreddit,
+        scores,
+        ensemble: this.blend(results)
+      });
+    }
+
+    return {
+      providers: names,
+      weights: Object.fromEntries(names.map(name => [name, this.getWeight(name)])),
+      sample_size: rows.length,
+      provider_stats: this.summarizeProviders(rows, names),
+      pairwise: this.comparePairs(rows, names),
+      posts: rows
+    };
+  }
+
+  summarizeProviders(rows, names) {
+    return names.map(name => {
+      const scored = rows.map(row => row.scores[name]).filter(Boolean);
+      const mean = (values) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+      return {
+        provider: name,
+        scored: scored.length,
+        mean_score: this.round(mean(scored.map(s => s.score))),
+        mean_confidence: this.round(mean(scored.map(s => s.confidence))),
+        mean_latency_ms: this.round(mean(scored.map(s => s.latency_ms))),
+        bullish: scored.filter(s => this.direction(s.score) === 1).length,
+        bearish: scored.filter(s => this.direction(s.score) === -1).length,
+        neutral: scored.filter(s => this.direction(s.score) === 0).length
+      };
+    });
+  }
+
+  // Direction agreement, mean absolute difference and Pearson correlation for each provider pair
+  comparePairs(rows, names) {
+    const pairs = [];
+
+    for (let i = 0; i < names.length; i++) {
+      for (let j = i + 1; j < names.length; j++) {
+        const both = rows
+          .filter(row => row.scores[names[i]] && row.scores[names[j]])
+          .map(row => [row.scores[names[i]].score, row.scores[names[j]].score]);
+
+        if (both.length === 0) {
+          pairs.push({ providers: [names[i], names[j]], compared: 0 });
+          continue;
+        }
+
+        const agree = both.filter(([a, b]) => this.direction(a) === this.direction(b)).length;
+        const meanAbsDiff = both.reduce((sum, [a, b]) => sum + Math.abs(a - b), 0) / both.length;
+
+        pairs.push({
+          providers: [names[i], names[j]],
+          compared: both.length,
+          direction_agreement: this.round(agree / both.length),
+          mean_abs_difference: this.round(meanAbsDiff),
+          correlation: this.round(this.pearson(both))
+        });
+      }
+    }
+
+    return pairs;
+  }
+
+  pearson(pairs) {
+    if (pairs.length < 3) return null;
+
+    const n = pairs.length;
+    const meanA = pairs.reduce((sum, [a]) => sum + a, 0) / n;
+    const meanB = pairs.reduce((sum, [, b]) => sum + b, 0) / n;
+    let covariance = 0;
+    let varianceA = 0;
+    let varianceB = 0;
+
+    for (const [a, b] of pairs) {
+      covariance += (a - meanA) * (b - meanB);
+      varianceA += (a - meanA) ** 2;
+      varianceB += (b - meanB) ** 2;
+    }
+
+    return varianceA > 0 && varianceB > 0 ? covariance / Math.sqrt(varianceA * varianceB) : null;
+  }
+
+  round(value) {
+    return value === null || value === undefined ? null : Math.round(value * 100) / 100;
+  }
+
+  async getStatus() {
+    const model = await SentimentModel.findOne({ name: this.modelName }).select('-parameters').lean();
+
+    return {
+      enabled_providers: this.enabledProviders,
+      weights: this.weights,
+      providers: Array.from(this.providers.entries()).map(([name, provider]) => ({
+        name,
+        description: provider.description,
+        available: provider.isAvailable(),
+        enabled: this.enabledProviders.includes(name),
+        weight: this.getWeight(name)
+      })),
+      model: model ? {
+        name: model.name,
+        training_samples: model.training_samples,
+        sources: model.sources,
+        metrics: model.metrics,
+        trained_at: model.trained_at
+      } : null
+    };
+  }
+}
+
+module.exports = new SentimentService();
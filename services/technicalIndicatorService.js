@@ -0,0 +1,189 @@
+const StockData = require('../models/StockData');
+const marketDataService = require('./marketDataService');
+const alphaVantageService = require('./alphaVantageService');
+const technicalIndicators = require('../utils/technicalIndicators');
+
+class TechnicalIndicatorService {
+  constructor() {
+    this.intradayIntervals = ['1min', '5min', '15min', '30min', '60min'];
+    // Stored intraday bars older than this are refetched (CSV or the cached API) before computing
+    this.intradayMaxAgeMs = 15 * 60 * 1000;
+    // Chart overlays: sma_20, ema_50 etc. plus these
+    this.namedOverlays = ['bbands', 'vwap'];
+    this.maxPeriod = 200;
+  }
+
+  // Lookback periods are whole bars, capped at what stored or fetched history can cover
+  isValidPeriod(period) {
+    return Number.isInteger(period) && period >= 1 && period <= this.maxPeriod;
+  }
+
+  isIntraday(interval) {
+    return this.intradayIntervals.includes(interval);
+  }
+
+  // Indicator series in the Alpha Vantage response shape (newest first), computed from stored bars.
+  // source 'auto' falls back to Alpha Vantage for indicators or history we can't cover; 'local' never calls it
+  async getIndicator(ticker, indicator, options = {}) {
+    const { interval = 'daily', timePeriod = 20, source = 'auto' } = options;
+    const symbol = ticker.toUpperCase();
+    const name = indicator.toLowerCase();
+    // VWAP only means something within a session
+    const barInterval = name === 'vwap' && !this.isIntraday(interval) ? '5min' : interval;
+    const localInterval = barInterval === 'daily' || this.isIntraday(barInterval);
+
+    if (source !== 'alphavantage' && technicalIndicators.supports(name) && localInterval) {
+      const params = { period: timePeriod };
+      const needed = technicalIndicators.warmup(name, params);
+      const bars = await this.getBars(symbol, barInterval, needed);
+
+      if (bars.length >= needed) {
+        const data = technicalIndicators.series(name, bars, params)
+          .filter(point => point.value !== null)
+          .map(point => ({ timestamp: point.timestamp, ...technicalIndicators.format(name, point.value) }))
+          .reverse();
+
+        return {
+          symbol,
+          indicator: name.toUpperCase(),
+          last_refreshed: data.length > 0 ? data[0].timestamp : null,
+          interval: barInterval,
+          time_period: technicalIndicators.resolveParams(name, params).period || null,
+          bars_used: bars.length,
+          source: 'local',
+          data
+        };
+      }
+
+      if (source === 'local') {
+        throw new Error(`Only ${bars.length} ${barInterval} bars stored for ${symbol}; ${name.toUpperCase()} needs ${needed}`);
+      }
+    } else if (source === 'local') {
+      throw new Error(`${name.toUpperCase()} on ${interval} bars can't be computed locally`);
+    }
+
+    const remote = await alphaVantageService.getTechnicalIndicator(symbol, indicator, interval, timePeriod);
+    return { ...remote, source: 'alphavantage' };
+  }
+
+  // Stored bars for an interval, oldest first; tops up history through the market data providers when short
+  async getBars(symbol, interval, needed = 0) {
+    let stock = await StockData.findOne({ ticker: symbol });
+
+    if (interval === 'daily') {
+      const stored = stock ? stock.price_data.length : 0;
+      // price_data holds 100 bars, so longer lookbacks go to Alpha Vantage instead
+      if (stored < needed && needed <= 100) {
+        stock = await this.fillDailyHistory(symbol, stock);
+      }
+      return stock ? technicalIndicators.prepareBars(stock.price_data) : [];
+    }
+
+    const intraday = stock && stock.intraday_data;
+    const fresh = intraday && intraday.interval === interval && intraday.updated_at &&
+      Date.now() - intraday.updated_at.getTime() < this.intradayMaxAgeMs;
+    if (!fresh || intraday.bars.length < needed) {
+      stock = await this.fillIntraday(symbol, interval, stock);
+    }
+    return stock && stock.intraday_data && stock.intraday_data.interval === interval
+      ? technicalIndicators.prepareBars(stock.intraday_data.bars)
+      : [];
+  }
+
+  async fillDailyHistory(symbol, stock) {
+    try {
+      const daily = await marketDataService.getDailyData(symbol);
+      const target = stock || new StockData({ ticker: symbol });
+      target.mergePriceData(daily.data);
+      await target.save();
+      console.log(`📐 Stored ${target.price_data.length} daily bars for ${symbol} from ${daily.source}`);
+      return target;
+    } catch (error) {
+      console.error(`❌ Could not fill daily history for ${symbol}:`, error.message);
+      return stock;
+    }
+  }
+
+  async fillIntraday(symbol, interval, stock) {
+    try {
+      const intraday = await marketDataService.getIntradayData(symbol, interval);
+      const target = stock || new StockData({ ticker: symbol });
+      target.mergeIntradayData(intraday.data, interval);
+      await target.save();
+      return target;
+    } catch (error) {
+      console.error(`❌ Could not fetch ${interval} bars for ${symbol}:`, error.message);
+      return stock;
+    }
+  }
+
+  // Keep intraday bars fetched elsewhere (the intraday route) so VWAP advances with them
+  async recordIntradayBars(symbol, interval, bars) {
+    try {
+      const stock = await StockData.findOne({ ticker: symbol.toUpperCase() });
+      if (!stock || bars.length === 0) return false;
+
+      stock.mergeIntradayData(bars, interval);
+      await stock.save();
+      return true;
+    } catch (error) {
+      console.error(`❌ Could not store ${interval} bars for ${symbol}:`, error.message);
+      return false;
+    }
+  }
+
+  // Stored bars with overlay columns (sma_20, ema_50, bbands_upper/middle/lower, vwap) and the persisted snapshot
+  async getChart(ticker, options = {}) {
+    const { interval = 'daily', overlays = ['sma_20', 'sma_50', 'bbands'] } = options;
+    const symbol = ticker.toUpperCase();
+    const specs = overlays.map(overlay => this.parseOverlay(overlay)).filter(Boolean);
+    const needed = Math.max(1, ...specs.map(spec => technicalIndicators.warmup(spec.indicator, spec.params)));
+
+    const bars = await this.getBars(symbol, interval, needed);
+    const rows = bars.map(bar => ({ ...bar }));
+
+    for (const spec of specs) {
+      technicalIndicators.series(spec.indicator, bars, spec.params).forEach((point, index) => {
+        if (spec.indicator === 'bbands') {
+          rows[index].bbands_upper = point.value && point.value.upper;
+          rows[index].bbands_middle = point.value && point.value.middle;
+          rows[index].bbands_lower = point.value && point.value.lower;
+        } else {
+          rows[index][spec.key] = point.value;
+        }
+      });
+    }
+
+    const stock = await StockData.findOne({ ticker: symbol }).select('technical_indicators').lean();
+    const { state, ...snapshot } = (stock && stock.technical_indicators) || {};
+
+    return {
+      ticker: symbol,
+      interval,
+      overlays: specs.map(spec => spec.key),
+      bars: rows,
+      latest: snapshot
+    };
+  }
+
+  // "sma_20" → SMA(20); "bbands" and "vwap" take their defaults
+  parseOverlay(overlay) {
+    const key = overlay.trim().toLowerCase();
+    if (this.namedOverlays.includes(key)) {
+      return { key, indicator: key, params: {} };
+    }
+
+    const match = key.match(/^(sma|ema)_(\d{1,3})$/);
+    if (!match) return null;
+
+    const period = parseInt(match[2]);
+    if (!this.isValidPeriod(period)) {
+      const error = new Error(`Overlay ${key} needs a period between 1 and ${this.maxPeriod}`);
+      error.validation = true;
+      throw error;
+    }
+    return { key, indicator: match[1], params: { period } };
+  }
+}
+
+module.exports = new TechnicalIndicatorService();
@@ -0,0 +1,466 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const TickerUniverse = require('../models/TickerUniverse');
+const tickerExtractor = require('../utils/tickerExtractor');
+require('dotenv').config();
+
+class TickerUniverseService {
+  constructor() {
+    this.listingsDir = process.env.TICKER_LISTINGS_DIR || path.join(__dirname, '..', 'data', 'listings');
+
+    // NASDAQ Trader symbol directory (pipe-delimited, refreshed daily)
+    this.nasdaqTraderUrls = {
+      nasdaqlisted: 'https://www.nasdaqtrader.com/dynamic/SymDir/nasdaqlisted.txt',
+      otherlisted: 'https://www.nasdaqtrader.com/dynamic/SymDir/otherlisted.txt'
+    };
+
+    // Header names seen in NASDAQ Trader, NASDAQ screener and Alpha Vantage LISTING_STATUS exports
+    this.columnAliases = {
+      symbol: ['symbol', 'act symbol', 'ticker', 'cqs symbol'],
+      name: ['security name', 'name', 'company name', 'company', 'description'],
+      exchange: ['exchange', 'listing exchange'],
+      sector: ['sector'],
+      industry: ['industry'],
+      etf: ['etf'],
+      asset_type: ['assettype', 'asset type', 'type'],
+      test_issue: ['test issue'],
+      status: ['status'],
+      delisting_date: ['delistingdate', 'delisting date']
+    };
+
+    // Single-letter exchange codes used by otherlisted.txt
+    this.exchangeCodes = {
+      A: 'AMEX',
+      N: 'NYSE',
+      P: 'NYSE_ARCA',
+      Z: 'BATS',
+      V: 'IEX',
+      Q: 'NASDAQ'
+    };
+
+    // Legal-name noise stripped before deriving company-name aliases
+    this.securityPhrases = /\b(common stock|common shares|ordinary shares?|class [a-c]( common stock| ordinary shares?)?|series [a-c]|american depositary shares?.*|american depository shares?.*|depositary shares?.*|each representing.*|new|sponsored adr)\b/gi;
+    this.corporateSuffixes = new Set([
+      'inc', 'incorporated', 'corp', 'corporation', 'co', 'company', 'companies', 'ltd', 'limited',
+      'plc', 'holdings', 'holding', 'group', 'sa', 'nv', 'ag', 'se', 'lp', 'llc', 'the', 'trust', 'adr'
+    ]);
+
+    // Names that are also everyday words - too ambiguous to resolve on their own
+    this.ambiguousNames = new Set([
+      'target', 'gap', 'block', 'snap', 'match', 'live', 'open', 'real', 'public', 'general',
+      'american', 'united', 'first', 'national', 'international', 'global', 'energy', 'capital',
+      'digital', 'health', 'bank', 'best', 'main', 'home', 'life', 'care', 'data', 'power',
+      'union', 'southern', 'western', 'eastern', 'northern', 'pacific', 'atlantic', 'central',
+      'progressive', 'progress', 'sun', 'fidelity', 'liberty', 'dollar', 'value', 'growth',
+      'cars', 'compass', 'shift', 'hope', 'gold', 'fortune', 'chase', 'arrow', 'delta'
+    ]);
+
+    // Brand names that differ from the legal listing name
+    this.curatedAliases = {
+      google: 'GOOGL',
+      alphabet: 'GOOGL',
+      facebook: 'META',
+      'meta platforms': 'META',
+      amazon: 'AMZN',
+      'coca cola': 'KO',
+      'coca-cola': 'KO',
+      walmart: 'WMT',
+      disney: 'DIS',
+      palantir: 'PLTR',
+      gamestop: 'GME'
+    };
+
+    this.lastImport = null;
+    this.lastLoad = null;
+  }
+
+  // Split one delimited line, honouring double-quoted fields
+  splitLine(line, delimiter) {
+    const fields = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (char === '"') {
+        if (inQuotes && line[i + 1] === '"') {
+          current += '"';
+          i++;
+        } else {
+          inQuotes = !inQuotes;
+        }
+      } else if (char === delimiter && !inQuotes) {
+        fields.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    fields.push(current.trim());
+    return fields;
+  }
+
+  // Map canonical column names to their index in the header row
+  mapColumns(headers) {
+    const columns = {};
+    for (const [key, aliases] of Object.entries(this.columnAliases)) {
+      columns[key] = -1;
+      for (const alias of aliases) {
+        const index = headers.indexOf(alias);
+        if (index !== -1) {
+          columns[key] = index;
+          break;
+        }
+      }
+    }
+    return columns;
+  }
+
+  normalizeExchange(value, fallback) {
+    if (!value) return fallback || 'OTHER';
+
+    const raw = value.trim().toUpperCase();
+    if (this.exchangeCodes[raw]) return this.exchangeCodes[raw];
+    if (raw.includes('ARCA')) return 'NYSE_ARCA';
+    if (raw.includes('AMEX') || raw.includes('AMERICAN') || raw.includes('MKT')) return 'AMEX';
+    if (raw.includes('NYSE')) return 'NYSE';
+    if (raw.includes('NASDAQ')) return 'NASDAQ';
+    if (raw.includes('BATS') || raw.includes('CBOE')) return 'BATS';
+    if (raw.includes('IEX')) return 'IEX';
+    return fallback || 'OTHER';
+  }
+
+  // Parse a listing file (CSV or pipe-delimited) into listing records
+  parseListingFile(content, options = {}) {
+    const { exchange = null, delimiter = null } = options;
+    const lines = content.split(/\r?\n/).filter(line => line.trim());
+    if (lines.length < 2) return [];
+
+    const separator = delimiter || (lines[0].includes('|') ? '|' : ',');
+    const headers = this.splitLine(lines[0], separator).map(h => h.toLowerCase());
+    const columns = this.mapColumns(headers);
+
+    if (columns.symbol === -1) {
+      throw new Error('Listing file has no symbol column');
+    }
+
+    // nasdaqlisted.txt has no exchange column - every row is a NASDAQ listing
+    const defaultExchange = exchange || (columns.exchange === -1 && headers.includes('market category') ? 'NASDAQ' : null);
+    const field = (row, key) => (columns[key] === -1 ? '' : (row[columns[key]] || '').trim());
+
+    const listings = [];
+    for (const line of lines.slice(1)) {
+      // NASDAQ Trader files end with a "File Creation Time" trailer
+      if (/^file creation time/i.test(line)) continue;
+
+      const row = this.splitLine(line, separator);
+      const symbol = field(row, 'symbol').toUpperCase();
+      if (!/^[A-Z]{1,5}$/.test(symbol)) continue;
+
+      const name = field(row, 'name');
+      const assetType = field(row, 'asset_type').toUpperCase();
+      const status = field(row, 'status').toLowerCase();
+      const delistingDate = field(row, 'delisting_date');
+
+      const isEtf = field(row, 'etf').toUpperCase() === 'Y' || assetType === 'ETF';
+      const isDelisted = status.includes('delist') || (!!delistingDate && delistingDate.toLowerCase() !== 'null');
+
+      listings.push({
+        symbol,
+        name,
+        exchange: this.normalizeExchange(field(row, 'exchange'), defaultExchange),
+        sector: field(row, 'sector'),
+        industry: field(row, 'industry'),
+        is_etf: isEtf,
+        is_test_issue: field(row, 'test_issue').toUpperCase() === 'Y',
+        is_delisted: isDelisted,
+        aliases: isEtf ? [] : this.deriveAliases(name)
+      });
+    }
+
+    return listings;
+  }
+
+  // Turn a legal security name into lowercase aliases ("Tesla, Inc. - Common Stock" -> "tesla")
+  deriveAliases(name) {
+    if (!name) return [];
+
+    // Skip warrants, rights, units, notes and preferreds - they'd shadow the common stock
+    if (/\b(warrants?|rights?|units?|notes?|preferred|debentures?|subordinated|due \d{4})\b/i.test(name)) {
+      return [];
+    }
+
+    let cleaned = name.split(' - ')[0]
+      .replace(this.securityPhrases, ' ')
+      .replace(/\.com\b/gi, '')
+      .replace(/\([^)]*\)/g, ' ')
+      .replace(/[^A-Za-z0-9&'\- ]/g, ' ')
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    // Drop trailing corporate suffixes ("tesla inc" -> "tesla", "alibaba group holding" -> "alibaba")
+    let words = cleaned.split(' ').filter(Boolean);
+    while (words.length > 1 && this.corporateSuffixes.has(words[words.length - 1])) {
+      words.pop();
+    }
+    if (words[0] === 'the' && words.length > 1) words = words.slice(1);
+    cleaned = words.join(' ');
+
+    if (cleaned.length < 4 || this.ambiguousNames.has(cleaned)) return [];
+    return [cleaned];
+  }
+
+  // Upsert parsed listings; optionally mark symbols on the covered exchanges that weren't seen as delisted
+  async importListings(listings, options = {}) {
+    const { source = 'upload', markMissingDelisted = false } = options;
+    const startedAt = new Date();
+
+    if (listings.length === 0) {
+      return { source, parsed: 0, upserted: 0, modified: 0, delisted: 0 };
+    }
+
+    const operations = listings.map(listing => {
+      const set = {
+        exchange: listing.exchange,
+        is_etf: listing.is_etf,
+        is_test_issue: listing.is_test_issue,
+        is_delisted: listing.is_delisted,
+        source,
+        last_seen: startedAt
+      };
+      // Don't clobber richer data from another file with empty columns
+      if (listing.name) set.name = listing.name;
+      if (listing.sector) set.sector = listing.sector;
+      if (listing.industry) set.industry = listing.industry;
+      if (listing.aliases.length > 0) set.aliases = listing.aliases;
+      if (listing.is_delisted) set.delisted_at = startedAt;
+
+      return {
+        updateOne: {
+          filter: { symbol: listing.symbol },
+          update: { $set: set },
+          upsert: true
+        }
+      };
+    });
+
+    const result = await TickerUniverse.bulkWrite(operations, { ordered: false });
+
+    let delisted = 0;
+    if (markMissingDelisted) {
+      const exchanges = [...new Set(listings.map(l => l.exchange))];
+      const missing = await TickerUniverse.updateMany(
+        { exchange: { $in: exchanges }, last_seen: { $lt: startedAt }, is_delisted: false },
+        { $set: { is_delisted: true, delisted_at: startedAt } }
+      );
+      delisted = missing.modifiedCount;
+    }
+
+    const summary = {
+      source,
+      parsed: listings.length,
+      upserted: result.upsertedCount,
+      modified: result.modifiedCount,
+      delisted
+    };
+    console.log(`📚 Imported ${listings.length} listings from ${source} (${summary.upserted} new, ${delisted} marked delisted)`);
+    return summary;
+  }
+
+  async importFromContent(content, options = {}) {
+    const listings = this.parseListingFile(content, options);
+    return this.importListings(listings, options);
+  }
+
+  async importFromFile(filePath, options = {}) {
+    const content = await fs.promises.readFile(filePath, 'utf8');
+    const fileName = path.basename(filePath);
+
+    return this.importFromContent(content, {
+      // Full exchange directories can safely retire symbols that disappeared
+      markMissingDelisted: /^(nasdaqlisted|otherlisted)/i.test(fileName),
+      ...options,
+      source: options.source || fileName
+    });
+  }
+
+  listListingFiles() {
+    if (!fs.existsSync(this.listingsDir)) return [];
+
+    return fs.readdirSync(this.listingsDir)
+      .filter(file => /\.(csv|txt|psv)$/i.test(file))
+      .sort()
+      .map(file => path.join(this.listingsDir, file));
+  }
+
+  async importFromDirectory() {
+    const files = this.listListingFiles();
+    const results = [];
+
+    for (const file of files) {
+      try {
+        results.push(await this.importFromFile(file));
+      } catch (error) {
+        console.error(`❌ Failed to import ${path.basename(file)}:`, error.message);
+        results.push({ source: path.basename(file), error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  // Download and import the NASDAQ Trader symbol directory
+  async importFromNasdaqTrader() {
+    const results = [];
+
+    for (const [name, url] of Object.entries(this.nasdaqTraderUrls)) {
+      try {
+        const response = await axios.get(url, { timeout: 30000, responseType: 'text' });
+        results.push(await this.importFromContent(response.data, {
+          source: `nasdaqtrader:${name}`,
+          markMissingDelisted: true
+        }));
+      } catch (error) {
+        console.error(`❌ Failed to download ${name} from NASDAQ Trader:`, error.message);
+        results.push({ source: `nasdaqtrader:${name}`, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  // Re-import from local files (or NASDAQ Trader when none exist) and reload the extractor
+  async reload(options = {}) {
+    const { source = 'auto' } = options;
+    const useFiles = source === 'files' || (source === 'auto' && this.listListingFiles().length > 0);
+
+    const imports = useFiles
+      ? await this.importFromDirectory()
+      : await this.importFromNasdaqTrader();
+
+    this.lastImport = {
+      source: useFiles ? 'files' : 'nasdaqtrader',
+      results: imports,
+      completed_at: new Date().toISOString()
+    };
+
+    const loaded = await this.loadIntoExtractor();
+    return { imports, loaded };
+  }
+
+  // Push active listings and name aliases into the in-memory ticker extractor
+  async loadIntoExtractor() {
+    const [active, delisted] = await Promise.all([
+      TickerUniverse.getActiveListings().select('symbol name exchange sector is_etf aliases').lean(),
+      TickerUniverse.find({ is_delisted: true }).select('symbol').lean()
+    ]);
+
+    const listings = new Map();
+    const aliasOwners = new Map();
+
+    for (const listing of active) {
+      listings.set(listing.symbol, {
+        name: listing.name,
+        exchange: listing.exchange,
+        sector: listing.sector,
+        is_etf: listing.is_etf
+      });
+
+      for (const alias of listing.aliases || []) {
+        if (!aliasOwners.has(alias)) aliasOwners.set(alias, new Set());
+        aliasOwners.get(alias).add(listing.symbol);
+      }
+    }
+
+    // An alias shared by unrelated companies is ambiguous; share classes of one company keep the shortest symbol
+    const names = new Map();
+    for (const [alias, owners] of aliasOwners) {
+      const symbols = [...owners].sort((a, b) => a.length - b.length || a.localeCompare(b));
+      const root = symbols[0];
+      if (symbols.every(s => s.startsWith(root))) {
+        names.set(alias, root);
+      }
+    }
+
+    for (const [alias, symbol] of Object.entries(this.curatedAliases)) {
+      if (listings.has(symbol)) names.set(alias, symbol);
+    }
+
+    tickerExtractor.setUniverse({
+      listings,
+      delisted: new Set(delisted.map(d => d.symbol)),
+      names
+    });
+
+    this.lastLoad = {
+      listings: listings.size,
+      delisted: delisted.length,
+      names: names.size,
+      loaded_at: new Date().toISOString()
+    };
+    console.log(`📚 Ticker universe loaded: ${listings.size} listings, ${names.size} company names`);
+    return this.lastLoad;
+  }
+
+  // Load on startup, importing local listing files first if the collection is empty
+  async initialize() {
+    const count = await TickerUniverse.estimatedDocumentCount();
+
+    if (count === 0) {
+      if (this.listListingFiles().length === 0) {
+        console.log(`   ⚠️ No ticker universe imported yet - add listing files to ${this.listingsDir} or POST /api/stocks/universe/reload`);
+        return null;
+      }
+      await this.importFromDirectory();
+    }
+
+    return this.loadIntoExtractor();
+  }
+
+  async search(query, limit = 20) {
+    const escaped = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    return TickerUniverse.find({
+      $or: [
+        { symbol: query.toUpperCase() },
+        { symbol: { $regex: `^${escaped}`, $options: 'i' } },
+        { name: { $regex: escaped, $options: 'i' } },
+        { aliases: query.toLowerCase() }
+      ]
+    })
+    .sort({ is_delisted: 1, symbol: 1 })
+    .limit(limit)
+    .lean();
+  }
+
+  async getStats() {
+    const [total, active, delisted, etfs, byExchange] = await Promise.all([
+      TickerUniverse.estimatedDocumentCount(),
+      TickerUniverse.countDocuments({ is_delisted: false, is_test_issue: false }),
+      TickerUniverse.countDocuments({ is_delisted: true }),
+      TickerUniverse.countDocuments({ is_etf: true, is_delisted: false }),
+      TickerUniverse.aggregate([
+        { $match: { is_delisted: false } },
+        { $group: { _id: '$exchange', count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+      ])
+    ]);
+
+    return {
+      total,
+      active,
+      delisted,
+      etfs,
+      by_exchange: byExchange.map(e => ({ exchange: e._id, count: e.count })),
+      listings_dir: this.listingsDir,
+      local_files: this.listListingFiles().map(file => path.basename(file)),
+      extractor: tickerExtractor.getUniverseStatus(),
+      last_import: this.lastImport,
+      last_load: this.lastLoad
+    };
+  }
+}
+
+module.exports = new TickerUniverseService();
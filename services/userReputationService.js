@@ -146,7 +146,7 @@ class UserReputationService {
           const postDate = new Date(post.created_utc);
           const predictions = await this.evaluatePrediction(
             ticker.symbol,
-            post.sentiment_score,
+            ticker.sentiment ?? post.sentiment_score,
             postDate
           );
 
@@ -184,7 +184,7 @@ class UserReputationService {
         for (const ticker of post.tickers) {
           const predictions = await this.evaluatePrediction(
             ticker.symbol,
-            post.sentiment_score,
+            ticker.sentiment ?? post.sentiment_score,
             new Date(post.created_utc)
           );
           if (predictions && predictions['3d'] && predictions['3d'].has_data) {
@@ -324,8 +324,6 @@ class UserReputationService {
     const uniqueTickers = new Set();
     const subreddits = new Set();
     let totalContentLength = 0;
-    let duplicateContentCount = 0;
-    const contentHashes = new Set();
 
     for (const post of userPosts) {
       if (post.tickers) {
@@ -333,14 +331,6 @@ class UserReputationService {
       }
       subreddits.add(post.subreddit);
       totalContentLength += (post.title + post.content).length;
-      
-      // Simple duplicate detection
-      const contentHash = this.simpleHash(post.title + post.content);
-      if (contentHashes.has(contentHash)) {
-        duplicateContentCount++;
-      } else {
-        contentHashes.add(contentHash);
-      }
     }
 
     // Flag if too focused on single ticker (possible pump)
@@ -350,7 +340,7 @@ class UserReputationService {
     }
 
     // Flag duplicate content
-    const duplicateRatio = duplicateContentCount / userPosts.length;
+    const duplicateRatio = this.duplicateContentRatio(userPosts);
     if (duplicateRatio > 0.3) {
       behaviorFlags.push('excessive_duplicate_content');
       trustScore -= 25;
@@ -649,7 +639,7 @@ class UserReputationService {
           }
           
           sectorMentions[sector]++;
-          sectorSentiments[sector].push(post.sentiment_score);
+          sectorSentiments[sector].push(ticker.sentiment ?? post.sentiment_score);
         }
       }
     }
@@ -849,6 +839,23 @@ class UserReputationService {
     return Math.max(0, 1 - (stdDev / 100));
   }
 
+  // Share of posts whose title and body repeat an earlier post exactly
+  duplicateContentRatio(userPosts) {
+    if (userPosts.length === 0) return 0;
+
+    let duplicateContentCount = 0;
+    const contentHashes = new Set();
+    for (const post of userPosts) {
+      const contentHash = this.simpleHash(post.title + post.content);
+      if (contentHashes.has(contentHash)) {
+        duplicateContentCount++;
+      } else {
+        contentHashes.add(contentHash);
+      }
+    }
+    return duplicateContentCount / userPosts.length;
+  }
+
   simpleHash(str) {
     let hash = 0;
     for (let i = 0; i < str.length; i++) {
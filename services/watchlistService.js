@@ -0,0 +1,205 @@
+const StockData = require('../models/StockData');
+const marketDataService = require('./marketDataService');
+
+class WatchlistService {
+  constructor() {
+    // Sentiment beyond this magnitude counts as directional exposure
+    this.sentimentThreshold = 10;
+
+    // Divergence: strong Reddit sentiment while the price moves the other way
+    this.divergenceSentiment = 20;
+    this.divergencePriceMove = 1; // percent
+
+    // Alpha Vantage free tier is 25 calls/day, so only refresh a few stale quotes per view
+    this.priceMaxAgeMs = 15 * 60 * 1000;
+    this.maxPriceRefreshes = 5;
+  }
+
+  // Join holdings with StockData sentiment, confidence and prices
+  async buildView(watchlist, options = {}) {
+    const { refreshPrices = false } = options;
+    const tickers = watchlist.holdings.map(h => h.ticker);
+
+    const stocks = await StockData.find({ ticker: { $in: tickers } });
+    const stockMap = new Map(stocks.map(s => [s.ticker, s]));
+
+    let priceRefreshes = { attempted: 0, succeeded: 0 };
+    if (refreshPrices) {
+      priceRefreshes = await this.refreshStalePrices(tickers, stockMap);
+    }
+
+    const holdings = watchlist.holdings.map(holding => this.buildHoldingView(holding, stockMap.get(holding.ticker)));
+    const summary = this.calculateExposure(holdings, watchlist.kind);
+
+    return {
+      id: watchlist._id,
+      name: watchlist.name,
+      description: watchlist.description,
+      kind: watchlist.kind,
+      summary,
+      holdings,
+      diverging: holdings.filter(h => h.divergence),
+      price_refreshes: priceRefreshes,
+      generated_at: new Date().toISOString()
+    };
+  }
+
+  // Fetch quotes for holdings whose stored price is missing or stale
+  async refreshStalePrices(tickers, stockMap) {
+    const now = Date.now();
+    const stale = tickers.filter(ticker => {
+      const stock = stockMap.get(ticker);
+      return !stock || !stock.last_price_update || (now - stock.last_price_update.getTime()) > this.priceMaxAgeMs;
+    }).slice(0, this.maxPriceRefreshes);
+
+    let succeeded = 0;
+    for (const ticker of stale) {
+      try {
+        const quote = await marketDataService.getQuote(ticker);
+        let stock = stockMap.get(ticker);
+
+        if (!stock) {
+          stock = new StockData({ ticker });
+          stockMap.set(ticker, stock);
+        }
+
+        stock.addPriceData(marketDataService.quoteToPricePoint(quote));
+        // The quote's own change is against the previous session close
+        stock.price_change = quote.change;
+        stock.price_change_percent = parseFloat(quote.change_percent);
+
+        await stock.save();
+        succeeded++;
+      } catch (error) {
+        console.error(`❌ Failed to refresh price for ${ticker}:`, error.message);
+      }
+    }
+
+    return { attempted: stale.length, succeeded };
+  }
+
+  buildHoldingView(holding, stock) {
+    const price = stock && stock.current_price ? stock.current_price : null;
+    const changePercent = stock && typeof stock.price_change_percent === 'number' ? stock.price_change_percent : null;
+    const sentiment = stock ? stock.sentiment_trend.current : 0;
+    const confidence = stock && stock.confidence_analysis ? stock.confidence_analysis : {};
+
+    const marketValue = price !== null ? holding.shares * price : null;
+    const costValue = holding.shares * holding.cost_basis;
+
+    return {
+      ticker: holding.ticker,
+      shares: holding.shares,
+      cost_basis: holding.cost_basis,
+      notes: holding.notes,
+      added_at: holding.added_at,
+
+      price,
+      day_change: stock && typeof stock.price_change === 'number' ? stock.price_change : null,
+      day_change_percent: changePercent,
+      day_change_value: price !== null && stock.price_change ? holding.shares * stock.price_change : 0,
+      market_value: marketValue,
+      cost_value: costValue,
+      unrealized_pnl: marketValue !== null && holding.shares > 0 ? marketValue - costValue : null,
+      unrealized_pnl_percent: marketValue !== null && costValue > 0 ? ((marketValue - costValue) / costValue) * 100 : null,
+      last_price_update: stock ? stock.last_price_update : null,
+
+      sentiment: {
+        current: sentiment,
+        change: stock ? stock.sentiment_trend.change : 0,
+        confidence: stock ? stock.sentiment_trend.confidence : 0
+      },
+      confidence: {
+        score: confidence.overall_confidence ?? null,
+        level: confidence.confidence_level || null,
+        last_calculated: confidence.last_calculated || null
+      },
+      mentions_24h: stock ? stock.reddit_mentions.last_24h : 0,
+      trending_score: stock ? stock.trending_score : 0,
+      is_trending: stock ? stock.is_trending : false,
+      has_data: !!stock,
+      divergence: this.detectDivergence(sentiment, changePercent)
+    };
+  }
+
+  // Reddit sentiment pointing one way while the price moves the other
+  detectDivergence(sentiment, changePercent) {
+    if (changePercent === null) return null;
+
+    if (sentiment >= this.divergenceSentiment && changePercent <= -this.divergencePriceMove) {
+      return { type: 'bullish_sentiment_price_down', sentiment, price_change_percent: changePercent };
+    }
+    if (sentiment <= -this.divergenceSentiment && changePercent >= this.divergencePriceMove) {
+      return { type: 'bearish_sentiment_price_up', sentiment, price_change_percent: changePercent };
+    }
+    return null;
+  }
+
+  // Portfolio weights by market value; watchlists (or unpriced portfolios) weight holdings equally
+  calculateExposure(holdings, kind) {
+    const priced = holdings.filter(h => h.market_value !== null && h.market_value > 0);
+    const totalValue = priced.reduce((sum, h) => sum + h.market_value, 0);
+    const useValueWeights = kind === 'portfolio' && totalValue > 0;
+
+    const weighted = holdings.map(h => ({
+      holding: h,
+      weight: useValueWeights
+        ? (h.market_value > 0 ? h.market_value / totalValue : 0)
+        : (holdings.length > 0 ? 1 / holdings.length : 0)
+    }));
+
+    const exposure = { bullish: 0, bearish: 0, neutral: 0 };
+    let weightedSentiment = 0;
+    let confidenceWeightedSentiment = 0;
+    let confidenceWeight = 0;
+
+    for (const { holding, weight } of weighted) {
+      const sentiment = holding.sentiment.current;
+      weightedSentiment += weight * sentiment;
+
+      if (sentiment > this.sentimentThreshold) exposure.bullish += weight;
+      else if (sentiment < -this.sentimentThreshold) exposure.bearish += weight;
+      else exposure.neutral += weight;
+
+      // Scale by confidence so thinly discussed holdings count for less
+      const confidence = holding.confidence.score !== null
+        ? holding.confidence.score / 100
+        : holding.sentiment.confidence;
+      confidenceWeightedSentiment += weight * confidence * sentiment;
+      confidenceWeight += weight * confidence;
+    }
+
+    const totalCost = holdings.reduce((sum, h) => sum + h.cost_value, 0);
+    // P&L only over priced holdings so missing quotes don't read as losses
+    const pricedCost = priced.reduce((sum, h) => sum + h.cost_value, 0);
+    const dayChangeValue = holdings.reduce((sum, h) => sum + (h.day_change_value || 0), 0);
+    const previousValue = totalValue - dayChangeValue;
+
+    return {
+      holdings_count: holdings.length,
+      priced_count: priced.length,
+      weighting: useValueWeights ? 'market_value' : 'equal',
+      total_value: this.round(totalValue),
+      total_cost: this.round(totalCost),
+      unrealized_pnl: kind === 'portfolio' ? this.round(totalValue - pricedCost) : null,
+      unrealized_pnl_percent: kind === 'portfolio' && pricedCost > 0 ? this.round(((totalValue - pricedCost) / pricedCost) * 100) : null,
+      day_change_value: this.round(dayChangeValue),
+      day_change_percent: previousValue > 0 ? this.round((dayChangeValue / previousValue) * 100) : null,
+      weighted_sentiment: this.round(weightedSentiment),
+      confidence_weighted_sentiment: confidenceWeight > 0 ? this.round(confidenceWeightedSentiment / confidenceWeight) : null,
+      exposure: {
+        bullish: this.round(exposure.bullish * 100),
+        bearish: this.round(exposure.bearish * 100),
+        neutral: this.round(exposure.neutral * 100)
+      },
+      diverging_count: holdings.filter(h => h.divergence).length,
+      trending_count: holdings.filter(h => h.is_trending).length
+    };
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new WatchlistService();
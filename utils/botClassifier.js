@@ -0,0 +1,268 @@
+// Logistic regression over account and posting-behaviour features, giving the probability that an account is a
+// bot or shill. Ships with hand-set coefficients; training on labelled accounts moves them only as far as the
+// labels support, because the penalty pulls toward the hand-set values rather than toward zero
+class BotClassifier {
+  constructor() {
+    this.features = [
+      // Posts per day over the analysed posts, log-scaled so 50/day reads as 1
+      'posting_rate',
+      // 1 minus the coefficient of variation of the gaps between posts; schedulers post like clockwork
+      'cadence_regularity',
+      // 1 for a new account, 0 from a year old
+      'account_youth',
+      // 1 at zero karma, 0 from 10k
+      'low_karma',
+      // Link karma over total karma; accounts that post but never talk sit near 1
+      'link_karma_share',
+      // Herfindahl index of the tickers named across posts (1 = always the same ticker)
+      'ticker_concentration',
+      // Share of posts repeating an earlier post word for word
+      'duplicate_ratio',
+      // Share of posts whose title only differs from another title by tickers and numbers
+      'template_titles',
+      // Member of a flagged coordinated campaign
+      'coordinated'
+    ];
+    // Features computed from posts; with few posts they are shrunk toward the reference account
+    this.postFeatures = ['posting_rate', 'cadence_regularity', 'ticker_concentration', 'duplicate_ratio', 'template_titles'];
+    this.fullEvidencePosts = 5;
+
+    this.defaultModel = {
+      intercept: -4,
+      coefficients: {
+        posting_rate: 2,
+        cadence_regularity: 1.5,
+        account_youth: 2,
+        low_karma: 1.5,
+        link_karma_share: 0.8,
+        ticker_concentration: 1.2,
+        duplicate_ratio: 3,
+        template_titles: 2,
+        coordinated: 2.5
+      },
+      // A typical human account; attributions are measured from here
+      reference: {
+        posting_rate: 0.1,
+        cadence_regularity: 0.2,
+        account_youth: 0.1,
+        low_karma: 0.3,
+        link_karma_share: 0.4,
+        ticker_concentration: 0.3,
+        duplicate_ratio: 0,
+        template_titles: 0,
+        coordinated: 0
+      },
+      samples: 0,
+      positives: 0
+    };
+
+    // Penalty pulling coefficients toward the defaults, in samples' worth of evidence
+    this.priorStrength = 5;
+    this.learningRate = 0.5;
+    this.iterations = 3000;
+    this.model = null;
+  }
+
+  // Feature values for a profile and its recent posts ({ created_utc, title, content, tickers })
+  extractFeatures(profile, posts, duplicateRatio) {
+    const reference = this.getModel().reference;
+    const raw = {
+      posting_rate: this.postingRate(posts),
+      cadence_regularity: this.cadenceRegularity(posts),
+      account_youth: 1 - Math.min(1, Math.max(0, profile.account_age || 0) / 365),
+      low_karma: 1 - Math.min(1, Math.log10(1 + Math.max(0, profile.karma || 0)) / 4),
+      link_karma_share: this.linkKarmaShare(profile),
+      ticker_concentration: this.tickerConcentration(posts),
+      duplicate_ratio: posts.length > 0 ? duplicateRatio : null,
+      template_titles: this.templateTitleShare(posts),
+      coordinated: profile.coordination && profile.coordination.campaigns && profile.coordination.campaigns.length > 0 ? 1 : 0
+    };
+
+    const evidence = Math.min(1, posts.length / this.fullEvidencePosts);
+    const values = {};
+    for (const feature of this.features) {
+      if (raw[feature] === null || raw[feature] === undefined) {
+        values[feature] = reference[feature];
+      } else if (this.postFeatures.includes(feature)) {
+        values[feature] = reference[feature] + (raw[feature] - reference[feature]) * evidence;
+      } else {
+        values[feature] = raw[feature];
+      }
+    }
+
+    return { values, raw, posts: posts.length };
+  }
+
+  postingRate(posts) {
+    if (posts.length < 2) return null;
+    const times = posts.map(post => new Date(post.created_utc).getTime());
+    const spanDays = Math.max(1 / 24, (Math.max(...times) - Math.min(...times)) / (24 * 60 * 60 * 1000));
+    return Math.min(1, Math.log10(1 + posts.length / spanDays) / Math.log10(51));
+  }
+
+  cadenceRegularity(posts) {
+    if (posts.length < 4) return null;
+    const times = posts.map(post => new Date(post.created_utc).getTime()).sort((a, b) => a - b);
+    const gaps = times.slice(1).map((time, i) => time - times[i]);
+    const mean = gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length;
+    if (mean === 0) return 1;
+    const std = Math.sqrt(gaps.reduce((sum, gap) => sum + (gap - mean) ** 2, 0) / gaps.length);
+    return Math.max(0, 1 - std / mean);
+  }
+
+  linkKarmaShare(profile) {
+    const link = Math.max(0, profile.link_karma || 0);
+    const comment = Math.max(0, profile.comment_karma || 0);
+    return link + comment > 0 ? link / (link + comment) : null;
+  }
+
+  tickerConcentration(posts) {
+    const counts = {};
+    let total = 0;
+    for (const post of posts) {
+      for (const ticker of post.tickers || []) {
+        counts[ticker.symbol] = (counts[ticker.symbol] || 0) + 1;
+        total++;
+      }
+    }
+    if (total === 0) return null;
+    return Object.values(counts).reduce((sum, count) => sum + (count / total) ** 2, 0);
+  }
+
+  // Title with its tickers and numbers blanked, so "$GME to 500 by friday" and "$AMC to 80 by friday" match
+  titleSkeleton(post) {
+    const symbols = new Set((post.tickers || []).map(ticker => ticker.symbol.toLowerCase()));
+    return (post.title || '')
+      .toLowerCase()
+      .replace(/\d+(\.\d+)?/g, '#')
+      .replace(/[^\w#\s]/g, ' ')
+      .split(/\s+/)
+      .filter(word => word.length > 0)
+      .map(word => (symbols.has(word) ? '<t>' : word))
+      .join(' ');
+  }
+
+  templateTitleShare(posts) {
+    if (posts.length < 2) return null;
+    const counts = new Map();
+    const skeletons = posts.map(post => this.titleSkeleton(post));
+    skeletons.forEach(skeleton => counts.set(skeleton, (counts.get(skeleton) || 0) + 1));
+    // Titles of one or two words repeat naturally ("GME", "YOLO update")
+    return skeletons.filter(skeleton => skeleton.split(' ').length >= 3 && counts.get(skeleton) > 1).length / posts.length;
+  }
+
+  // Probability plus each feature's push on the log-odds relative to the reference account
+  predict(values) {
+    const model = this.getModel();
+    let logit = model.intercept;
+    let baseline = model.intercept;
+    const attributions = [];
+
+    for (const feature of this.features) {
+      const coefficient = model.coefficients[feature] || 0;
+      logit += coefficient * values[feature];
+      baseline += coefficient * model.reference[feature];
+      attributions.push({
+        feature,
+        value: this.round(values[feature], 3),
+        contribution: this.round(coefficient * (values[feature] - model.reference[feature]), 3)
+      });
+    }
+
+    return {
+      probability: this.round(this.sigmoid(logit), 4),
+      baseline_probability: this.round(this.sigmoid(baseline), 4),
+      attributions: attributions.sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution))
+    };
+  }
+
+  sigmoid(x) {
+    return 1 / (1 + Math.exp(-x));
+  }
+
+  // Fit on [{ values, label }] with label 1 for bot/shill and 0 for human; returns a plain object that can be stored
+  train(samples, options = {}) {
+    const prior = this.defaultModel;
+    const reference = options.reference || prior.reference;
+    const n = samples.length;
+    const weights = { intercept: prior.intercept, ...prior.coefficients };
+    const penalty = this.priorStrength / Math.max(1, n);
+
+    for (let iteration = 0; iteration < this.iterations; iteration++) {
+      const gradient = Object.fromEntries(Object.keys(weights).map(key => [key, 0]));
+      for (const sample of samples) {
+        let logit = weights.intercept;
+        for (const feature of this.features) {
+          logit += weights[feature] * sample.values[feature];
+        }
+        const error = this.sigmoid(logit) - sample.label;
+        gradient.intercept += error;
+        for (const feature of this.features) {
+          gradient[feature] += error * sample.values[feature];
+        }
+      }
+
+      for (const key of Object.keys(weights)) {
+        const priorValue = key === 'intercept' ? prior.intercept : prior.coefficients[key];
+        weights[key] -= this.learningRate * (gradient[key] / n + penalty * (weights[key] - priorValue));
+      }
+    }
+
+    const { intercept, ...coefficients } = weights;
+    this.model = {
+      intercept: this.round(intercept, 4),
+      coefficients: Object.fromEntries(Object.entries(coefficients).map(([feature, value]) => [feature, this.round(value, 4)])),
+      reference,
+      samples: n,
+      positives: samples.filter(sample => sample.label === 1).length
+    };
+    return this.model;
+  }
+
+  load(model) {
+    this.model = model;
+  }
+
+  isTrained() {
+    return !!this.model && this.model.samples > 0;
+  }
+
+  getModel() {
+    return this.model || this.defaultModel;
+  }
+
+  // Accuracy, precision and recall at 0.5, plus log loss
+  evaluate(samples) {
+    const confusion = { true_positive: 0, false_positive: 0, true_negative: 0, false_negative: 0 };
+    let logLoss = 0;
+
+    for (const sample of samples) {
+      const probability = Math.min(1 - 1e-6, Math.max(1e-6, this.predict(sample.values).probability));
+      const predicted = probability >= 0.5 ? 1 : 0;
+      logLoss -= sample.label === 1 ? Math.log(probability) : Math.log(1 - probability);
+
+      if (predicted === 1 && sample.label === 1) confusion.true_positive++;
+      else if (predicted === 1) confusion.false_positive++;
+      else if (sample.label === 0) confusion.true_negative++;
+      else confusion.false_negative++;
+    }
+
+    const predictedPositive = confusion.true_positive + confusion.false_positive;
+    const actualPositive = confusion.true_positive + confusion.false_negative;
+    return {
+      samples: samples.length,
+      accuracy: samples.length > 0 ? this.round((confusion.true_positive + confusion.true_negative) / samples.length, 3) : null,
+      precision: predictedPositive > 0 ? this.round(confusion.true_positive / predictedPositive, 3) : null,
+      recall: actualPositive > 0 ? this.round(confusion.true_positive / actualPositive, 3) : null,
+      log_loss: samples.length > 0 ? this.round(logLoss / samples.length, 4) : null,
+      confusion
+    };
+  }
+
+  round(value, digits = 2) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+  }
+}
+
+module.exports = new BotClassifier();
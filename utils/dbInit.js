@@ -1,8 +1,24 @@
 const mongoose = require('mongoose');
 const SubredditConfig = require('../models/SubredditConfig');
 const RedditPost = require('../models/RedditPost');
+const RedditComment = require('../models/RedditComment');
 const UserProfile = require('../models/UserProfile');
 const StockData = require('../models/StockData');
+const AlertRule = require('../models/AlertRule');
+const Alert = require('../models/Alert');
+const Watchlist = require('../models/Watchlist');
+const TickerUniverse = require('../models/TickerUniverse');
+const SentimentModel = require('../models/SentimentModel');
+const Annotation = require('../models/Annotation');
+const BackfillJob = require('../models/BackfillJob');
+const PostEngagement = require('../models/PostEngagement');
+const ApiCacheEntry = require('../models/ApiCacheEntry');
+const TickerSentimentHistory = require('../models/TickerSentimentHistory');
+const TickerBaseline = require('../models/TickerBaseline');
+const AnomalyEvent = require('../models/AnomalyEvent');
+const CoordinatedCampaign = require('../models/CoordinatedCampaign');
+const BotClassifierModel = require('../models/BotClassifierModel');
+const SentimentSnapshot = require('../models/SentimentSnapshot');
 
 class DatabaseInitializer {
   constructor() {
@@ -37,7 +53,7 @@ class DatabaseInitializer {
       return { 
         success: true, 
         message: 'Database initialized successfully',
-        collections: ['SubredditConfig', 'RedditPost', 'UserProfile', 'StockData']
+        collections: ['SubredditConfig', 'RedditPost', 'RedditComment', 'UserProfile', 'StockData', 'AlertRule', 'Alert', 'Watchlist', 'TickerUniverse', 'SentimentModel', 'Annotation', 'BackfillJob', 'PostEngagement', 'ApiCacheEntry', 'TickerSentimentHistory', 'TickerBaseline', 'AnomalyEvent', 'CoordinatedCampaign', 'BotClassifierModel', 'SentimentSnapshot']
       };
     } catch (error) {
       console.error('❌ Database initialization failed:', error.message);
@@ -86,6 +102,13 @@ class DatabaseInitializer {
       await RedditPost.collection.createIndex({ quality_score: -1, sentiment_score: -1 });
       await RedditPost.collection.createIndex({ passes_noise_filter: 1, processed: 1 });
       await RedditPost.collection.createIndex({ collected_at: -1 });
+      await RedditPost.collection.createIndex({ 'coordination.campaign': 1 }, { sparse: true });
+
+      // RedditComment indexes
+      await RedditComment.collection.createIndex({ reddit_id: 1 }, { unique: true });
+      await RedditComment.collection.createIndex({ post: 1, created_utc: -1 });
+      await RedditComment.collection.createIndex({ 'tickers.symbol': 1, created_utc: -1 });
+      await RedditComment.collection.createIndex({ author: 1, created_utc: -1 });
 
       // SubredditConfig indexes
       await SubredditConfig.collection.createIndex({ name: 1 }, { unique: true });
@@ -105,6 +128,60 @@ class DatabaseInitializer {
       await StockData.collection.createIndex({ is_trending: 1, momentum_score: -1 });
       await StockData.collection.createIndex({ last_updated: -1 });
 
+      // Alert indexes
+      await AlertRule.collection.createIndex({ is_active: 1, ticker: 1 });
+      await Alert.collection.createIndex({ rule: 1, ticker: 1, triggered_at: -1 });
+      await Alert.collection.createIndex({ acknowledged: 1, triggered_at: -1 });
+
+      // Watchlist indexes
+      await Watchlist.collection.createIndex({ owner: 1, name: 1 }, { unique: true });
+      await Watchlist.collection.createIndex({ 'holdings.ticker': 1 });
+
+      // Ticker universe indexes
+      await TickerUniverse.collection.createIndex({ symbol: 1 }, { unique: true });
+      await TickerUniverse.collection.createIndex({ aliases: 1 });
+      await TickerUniverse.collection.createIndex({ is_delisted: 1, is_test_issue: 1 });
+
+      // Annotation indexes
+      await Annotation.collection.createIndex({ post: 1, annotator: 1 }, { unique: true });
+      await Annotation.collection.createIndex({ annotator: 1, createdAt: -1 });
+
+      // Backfill job indexes
+      await BackfillJob.collection.createIndex({ status: 1, createdAt: -1 });
+
+      // Post engagement snapshots; the collection has to exist as time-series before the first insert
+      await PostEngagement.createCollection();
+      await PostEngagement.collection.createIndex({ 'meta.reddit_id': 1, polled_at: -1 });
+      await PostEngagement.collection.createIndex({ 'meta.tickers': 1, polled_at: -1 });
+
+      // API cache indexes; expires_at is a TTL index
+      await ApiCacheEntry.collection.createIndex({ key: 1 }, { unique: true });
+      await ApiCacheEntry.collection.createIndex({ expires_at: 1 }, { expireAfterSeconds: 0 });
+      await ApiCacheEntry.collection.createIndex({ provider: 1, operation: 1, fetched_at: -1 });
+
+      // Hourly sentiment history, also time-series
+      await TickerSentimentHistory.createCollection();
+      await TickerSentimentHistory.collection.createIndex({ 'meta.ticker': 1, hour: -1 });
+
+      // Anomaly baselines and events; events expire 90 days after they were last seen
+      await TickerBaseline.collection.createIndex({ ticker: 1 }, { unique: true });
+      await AnomalyEvent.collection.createIndex({ ticker: 1, metric: 1, window_hours: 1, direction: 1, active: 1 });
+      await AnomalyEvent.collection.createIndex({ active: 1, last_detected_at: -1 });
+      await AnomalyEvent.collection.createIndex({ last_detected_at: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+      // Coordinated posting campaigns
+      await CoordinatedCampaign.collection.createIndex({ status: 1, last_detected_at: -1 });
+      await CoordinatedCampaign.collection.createIndex({ 'tickers.symbol': 1, last_detected_at: -1 });
+      await CoordinatedCampaign.collection.createIndex({ 'members.author': 1 });
+
+      // Bot classifier model and the review queue
+      await BotClassifierModel.collection.createIndex({ name: 1 }, { unique: true });
+      await UserProfile.collection.createIndex({ 'bot_classification.review.status': 1, 'bot_classification.probability': -1 });
+
+      // Sentiment attribution snapshots, kept for 30 days
+      await SentimentSnapshot.collection.createIndex({ ticker: 1, window_hours: 1, taken_at: -1 });
+      await SentimentSnapshot.collection.createIndex({ taken_at: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
       console.log('✅ Database indexes created successfully');
     } catch (error) {
       console.error('❌ Error creating indexes:', error.message);
@@ -119,8 +196,24 @@ class DatabaseInitializer {
     const collections = [
       { name: 'SubredditConfig', model: SubredditConfig },
       { name: 'RedditPost', model: RedditPost },
+      { name: 'RedditComment', model: RedditComment },
       { name: 'UserProfile', model: UserProfile },
-      { name: 'StockData', model: StockData }
+      { name: 'StockData', model: StockData },
+      { name: 'AlertRule', model: AlertRule },
+      { name: 'Alert', model: Alert },
+      { name: 'Watchlist', model: Watchlist },
+      { name: 'TickerUniverse', model: TickerUniverse },
+      { name: 'SentimentModel', model: SentimentModel },
+      { name: 'Annotation', model: Annotation },
+      { name: 'BackfillJob', model: BackfillJob },
+      { name: 'PostEngagement', model: PostEngagement },
+      { name: 'ApiCacheEntry', model: ApiCacheEntry },
+      { name: 'TickerSentimentHistory', model: TickerSentimentHistory },
+      { name: 'TickerBaseline', model: TickerBaseline },
+      { name: 'AnomalyEvent', model: AnomalyEvent },
+      { name: 'CoordinatedCampaign', model: CoordinatedCampaign },
+      { name: 'BotClassifierModel', model: BotClassifierModel },
+      { name: 'SentimentSnapshot', model: SentimentSnapshot }
     ];
 
     for (const collection of collections) {
@@ -149,9 +242,25 @@ class DatabaseInitializer {
         active_subreddits: await SubredditConfig.countDocuments({ is_active: true }),
         reddit_posts: await RedditPost.countDocuments(),
         processed_posts: await RedditPost.countDocuments({ processed: true }),
+        reddit_comments: await RedditComment.countDocuments(),
         user_profiles: await UserProfile.countDocuments(),
         stock_data_entries: await StockData.countDocuments(),
-        trending_stocks: await StockData.countDocuments({ is_trending: true })
+        trending_stocks: await StockData.countDocuments({ is_trending: true }),
+        alert_rules: await AlertRule.countDocuments(),
+        alerts: await Alert.countDocuments(),
+        watchlists: await Watchlist.countDocuments(),
+        ticker_universe: await TickerUniverse.countDocuments({ is_delisted: false }),
+        sentiment_models: await SentimentModel.countDocuments(),
+        annotations: await Annotation.countDocuments(),
+        backfill_jobs: await BackfillJob.countDocuments(),
+        engagement_snapshots: await PostEngagement.estimatedDocumentCount(),
+        api_cache_entries: await ApiCacheEntry.countDocuments(),
+        sentiment_history_buckets: await TickerSentimentHistory.estimatedDocumentCount(),
+        anomaly_baselines: await TickerBaseline.countDocuments(),
+        anomaly_events: await AnomalyEvent.countDocuments(),
+        coordinated_campaigns: await CoordinatedCampaign.countDocuments(),
+        bot_classifier_models: await BotClassifierModel.countDocuments(),
+        sentiment_snapshots: await SentimentSnapshot.countDocuments()
       };
 
       // Get recent activity
@@ -195,9 +304,26 @@ class DatabaseInitializer {
       
       // Drop all collections
       await RedditPost.deleteMany({});
+      await RedditComment.deleteMany({});
       await UserProfile.deleteMany({});
       await StockData.deleteMany({});
       await SubredditConfig.deleteMany({});
+      await AlertRule.deleteMany({});
+      await Alert.deleteMany({});
+      await Watchlist.deleteMany({});
+      // Annotations point at posts that are about to disappear
+      await Annotation.deleteMany({});
+      // Checkpoints would skip lines whose posts no longer exist
+      await BackfillJob.deleteMany({});
+      await PostEngagement.deleteMany({});
+      await ApiCacheEntry.deleteMany({});
+      // Rolled up from the posts being deleted
+      await TickerSentimentHistory.deleteMany({});
+      await TickerBaseline.deleteMany({});
+      await AnomalyEvent.deleteMany({});
+      await CoordinatedCampaign.deleteMany({});
+      await SentimentSnapshot.deleteMany({});
+      // TickerUniverse is reference data from listing files, so it survives a reset
 
       console.log('🗑️ All collections cleared');
 
@@ -224,7 +350,7 @@ class DatabaseInitializer {
       };
 
       // Check each collection
-      const models = [SubredditConfig, RedditPost, UserProfile, StockData];
+      const models = [SubredditConfig, RedditPost, RedditComment, UserProfile, StockData, AlertRule, Alert, Watchlist, TickerUniverse, SentimentModel, Annotation, BackfillJob, PostEngagement, ApiCacheEntry, TickerSentimentHistory, TickerBaseline, AnomalyEvent, CoordinatedCampaign, BotClassifierModel, SentimentSnapshot];
       
       for (const model of models) {
         const collectionName = model.collection.name;
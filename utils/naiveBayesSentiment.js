@@ -0,0 +1,166 @@
+// Multinomial naive Bayes over unigrams, negation-marked tokens and bigrams
+class NaiveBayesSentiment {
+  constructor() {
+    this.classes = ['bullish', 'bearish', 'neutral'];
+    this.negations = new Set(['not', 'no', 'never', 'dont', 'don', 'doesnt', 'didnt', 'isnt', 'wasnt', 'wont', 'cant', 'nothing', 'without']);
+    this.stopWords = new Set(['the', 'a', 'an', 'and', 'or', 'of', 'to', 'in', 'on', 'at', 'for', 'is', 'it', 'this', 'that', 'i', 'my', 'me', 'we', 'you', 'be', 'are', 'was', 'with', 'as', 'so']);
+    this.emojiTokens = new Map([
+      ['🚀', '_emoji_rocket'], ['🌙', '_emoji_moon'], ['💎', '_emoji_diamond'], ['🙌', '_emoji_hands'],
+      ['📈', '_emoji_chart_up'], ['📉', '_emoji_chart_down'], ['🐻', '_emoji_bear'], ['🐂', '_emoji_bull'],
+      ['💀', '_emoji_skull'], ['🩸', '_emoji_blood'], ['🔥', '_emoji_fire'], ['😭', '_emoji_crying']
+    ]);
+
+    // Laplace smoothing
+    this.alpha = 1;
+    this.model = null;
+  }
+
+  // Lowercase words with punctuation stripped, "not_" prefix for two words after a negation, plus bigrams
+  tokenize(text) {
+    const tokens = [];
+    for (const [emoji, token] of this.emojiTokens) {
+      if (text.includes(emoji)) tokens.push(token);
+    }
+
+    const words = text
+      .toLowerCase()
+      .replace(/'/g, '')
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter(word => word.length > 0 && !/^\d+$/.test(word));
+
+    let negateFor = 0;
+    let previous = null;
+    for (const word of words) {
+      if (this.negations.has(word)) {
+        negateFor = 2;
+        previous = word;
+        continue;
+      }
+      if (this.stopWords.has(word)) {
+        continue;
+      }
+
+      const token = negateFor > 0 ? `not_${word}` : word;
+      tokens.push(token);
+      if (previous && !this.negations.has(previous)) tokens.push(`${previous}__${word}`);
+
+      previous = word;
+      if (negateFor > 0) negateFor--;
+    }
+
+    return tokens;
+  }
+
+  // Train from [{ text, label }]; returns a plain object that can be stored and loaded back
+  train(samples) {
+    const classDocCounts = Object.fromEntries(this.classes.map(c => [c, 0]));
+    const tokenCounts = Object.fromEntries(this.classes.map(c => [c, {}]));
+    const classTokenTotals = Object.fromEntries(this.classes.map(c => [c, 0]));
+    const vocabulary = new Set();
+
+    for (const sample of samples) {
+      if (!this.classes.includes(sample.label)) continue;
+
+      classDocCounts[sample.label]++;
+      for (const token of this.tokenize(sample.text)) {
+        tokenCounts[sample.label][token] = (tokenCounts[sample.label][token] || 0) + 1;
+        classTokenTotals[sample.label]++;
+        vocabulary.add(token);
+      }
+    }
+
+    this.model = {
+      classes: this.classes,
+      class_doc_counts: classDocCounts,
+      token_counts: tokenCounts,
+      class_token_totals: classTokenTotals,
+      vocabulary_size: vocabulary.size,
+      samples: Object.values(classDocCounts).reduce((sum, count) => sum + count, 0)
+    };
+    return this.model;
+  }
+
+  load(model) {
+    this.model = model;
+  }
+
+  isTrained() {
+    return !!this.model && this.model.samples > 0;
+  }
+
+  // Class probabilities via log-space scoring
+  predictProbabilities(text) {
+    const tokens = this.tokenize(text);
+    const { class_doc_counts, token_counts, class_token_totals, vocabulary_size, samples } = this.model;
+
+    const logScores = {};
+    for (const label of this.classes) {
+      let score = Math.log((class_doc_counts[label] + this.alpha) / (samples + this.alpha * this.classes.length));
+      const denominator = class_token_totals[label] + this.alpha * (vocabulary_size + 1);
+
+      for (const token of tokens) {
+        // Tokens never seen in training carry no evidence either way
+        if (!this.isKnownToken(token)) continue;
+        score += Math.log(((token_counts[label][token] || 0) + this.alpha) / denominator);
+      }
+      logScores[label] = score;
+    }
+
+    const maxLog = Math.max(...Object.values(logScores));
+    const exp = Object.fromEntries(Object.entries(logScores).map(([label, score]) => [label, Math.exp(score - maxLog)]));
+    const total = Object.values(exp).reduce((sum, value) => sum + value, 0);
+
+    return {
+      probabilities: Object.fromEntries(Object.entries(exp).map(([label, value]) => [label, value / total])),
+      known_tokens: tokens.filter(token => this.isKnownToken(token)).length
+    };
+  }
+
+  isKnownToken(token) {
+    return this.classes.some(label => this.model.token_counts[label][token]);
+  }
+
+  // Score -100..100 from bullish minus bearish probability; confidence from the winning margin
+  analyzeSentiment(text, title = '') {
+    const combinedText = `${title} ${text || ''}`.trim();
+    if (!this.isTrained() || !combinedText) {
+      return { score: 0, confidence: 0, label: 'neutral', probabilities: null };
+    }
+
+    const { probabilities, known_tokens } = this.predictProbabilities(combinedText);
+    const label = Object.entries(probabilities).sort((a, b) => b[1] - a[1])[0][0];
+    const score = (probabilities.bullish - probabilities.bearish) * 100;
+
+    // Texts made of unseen words fall back to the priors; don't trust those
+    const coverage = Math.min(1, known_tokens / 5);
+    const confidence = probabilities[label] * coverage;
+
+    return {
+      score: Math.round(score * 100) / 100,
+      confidence: Math.round(confidence * 100) / 100,
+      label,
+      probabilities: Object.fromEntries(Object.entries(probabilities).map(([l, p]) => [l, Math.round(p * 1000) / 1000]))
+    };
+  }
+
+  // Accuracy and per-class counts on labelled samples
+  evaluate(samples) {
+    let correct = 0;
+    const confusion = Object.fromEntries(this.classes.map(c => [c, Object.fromEntries(this.classes.map(p => [p, 0]))]));
+
+    for (const sample of samples) {
+      const prediction = this.analyzeSentiment(sample.text).label;
+      if (prediction === sample.label) correct++;
+      if (confusion[sample.label]) confusion[sample.label][prediction]++;
+    }
+
+    return {
+      samples: samples.length,
+      accuracy: samples.length > 0 ? Math.round((correct / samples.length) * 1000) / 1000 : null,
+      confusion
+    };
+  }
+}
+
+module.exports = new NaiveBayesSentiment();
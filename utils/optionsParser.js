@@ -0,0 +1,148 @@
+const tickerExtractor = require('./tickerExtractor');
+
+class OptionsParser {
+  constructor() {
+    const expiry = '(\\d{1,2}\\/\\d{1,2}(?:\\/\\d{2,4})?|\\d{1,3}\\s?dte|(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?\\s\\d{1,2}(?:st|nd|rd|th)?)';
+
+    // [10x] TICKER [expiry] STRIKE c/p|calls|puts [exp expiry] [@ premium] [x10]
+    // e.g. "TSLA 250c 11/15", "SPY 420p 0DTE", "10x $NVDA 900C 6/21 @ 4.20", "SPY 11/15 450 puts"
+    this.contractPattern = new RegExp(
+      '(?:\\b(\\d{1,4})\\s?x\\s+)?' +
+      '(\\$?\\b[A-Za-z]{1,5})\\s+' +
+      `(?:${expiry}\\s+)?` +
+      '\\$?(\\d{1,5}(?:\\.\\d{1,2})?)\\s?(c|p|calls?|puts?)\\b' +
+      `(?:\\s+(?:exp(?:iring|iry)?\\s+)?${expiry})?` +
+      '(?:\\s*@\\s*\\$?(\\d{1,4}(?:\\.\\d{1,2})?))?' +
+      '(?:\\s+x\\s?(\\d{1,4})\\b)?',
+      'gi'
+    );
+
+    this.months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+    // Upper bounds keep prices ("AAPL 190") and years out of the strike column
+    this.maxStrike = 10000;
+    this.maxDte = 1100;
+  }
+
+  // Extract option contracts from post text; reference date anchors "11/15" and "0DTE"
+  parseOptions(text, title = '', referenceDate = new Date()) {
+    const combinedText = `${title} ${text || ''}`;
+    if (!combinedText.trim()) return [];
+
+    const contracts = new Map();
+
+    for (const match of combinedText.matchAll(this.contractPattern)) {
+      const [raw, prefixQuantity, rawTicker, expiryBefore, rawStrike, rawType, expiryAfter, rawPremium, suffixQuantity] = match;
+
+      const underlying = this.normalizeUnderlying(rawTicker);
+      if (!underlying) continue;
+
+      const strike = parseFloat(rawStrike);
+      if (!strike || strike > this.maxStrike) continue;
+
+      const expiryText = expiryBefore || expiryAfter || null;
+      const expiry = expiryText ? this.parseExpiry(expiryText, referenceDate) : null;
+      // "SPY 420p 14/99" is not a date - keep the contract without an expiry
+      const dte = expiry ? Math.round((expiry - this.startOfDay(referenceDate)) / 86400000) : null;
+
+      const contract = {
+        underlying,
+        option_type: rawType.toLowerCase().startsWith('c') ? 'call' : 'put',
+        strike,
+        expiry: expiry && dte >= 0 && dte <= this.maxDte ? expiry : null,
+        expiry_label: expiryText ? expiryText.toUpperCase().replace(/\s+/g, ' ') : null,
+        dte: expiry && dte >= 0 && dte <= this.maxDte ? dte : null,
+        quantity: parseInt(prefixQuantity || suffixQuantity) || null,
+        premium: rawPremium ? parseFloat(rawPremium) : null,
+        raw: raw.trim().slice(0, 100)
+      };
+
+      // The same contract quoted in title and body counts once; keep the most detailed copy
+      const key = `${contract.underlying}|${contract.option_type}|${contract.strike}|${contract.expiry ? contract.expiry.toISOString() : ''}`;
+      const existing = contracts.get(key);
+      contracts.set(key, existing ? {
+        ...existing,
+        quantity: existing.quantity || contract.quantity,
+        premium: existing.premium ?? contract.premium
+      } : contract);
+    }
+
+    return Array.from(contracts.values());
+  }
+
+  // Ticker must be written in capitals (or as a cashtag) and pass the extractor's filters
+  normalizeUnderlying(rawTicker) {
+    const isCashtag = rawTicker.startsWith('$');
+    const symbol = rawTicker.replace('$', '');
+
+    if (!isCashtag && symbol !== symbol.toUpperCase()) return null;
+
+    const ticker = symbol.toUpperCase();
+    if (tickerExtractor.excludedWords.has(ticker) || tickerExtractor.cryptoSymbols.has(ticker)) return null;
+    if (tickerExtractor.hasUniverse() && !tickerExtractor.isListed(ticker)) return null;
+
+    return ticker;
+  }
+
+  // "11/15", "11/15/25", "0DTE", "Nov 15" -> Date at midnight UTC
+  parseExpiry(text, referenceDate) {
+    const reference = this.startOfDay(referenceDate);
+    const value = text.toLowerCase().trim();
+
+    const dteMatch = value.match(/^(\d{1,3})\s?dte$/);
+    if (dteMatch) {
+      return this.addTradingDays(reference, parseInt(dteMatch[1]));
+    }
+
+    let month;
+    let day;
+    let year = null;
+
+    const numericMatch = value.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?$/);
+    const namedMatch = value.match(/^([a-z]{3})[a-z]*\.?\s(\d{1,2})/);
+
+    if (numericMatch) {
+      month = parseInt(numericMatch[1]) - 1;
+      day = parseInt(numericMatch[2]);
+      if (numericMatch[3]) {
+        year = parseInt(numericMatch[3]);
+        if (year < 100) year += 2000;
+      }
+    } else if (namedMatch) {
+      month = this.months.indexOf(namedMatch[1]);
+      day = parseInt(namedMatch[2]);
+    } else {
+      return null;
+    }
+
+    if (month < 0 || month > 11 || day < 1 || day > 31) return null;
+
+    // No year: the next occurrence on or after the post date
+    if (year === null) {
+      year = reference.getUTCFullYear();
+      if (Date.UTC(year, month, day) < reference.getTime()) year++;
+    }
+
+    const expiry = new Date(Date.UTC(year, month, day));
+    return expiry.getUTCMonth() === month ? expiry : null;
+  }
+
+  // 0DTE is today; NDTE skips weekends like the market does
+  addTradingDays(date, days) {
+    const result = new Date(date);
+    let remaining = days;
+    while (remaining > 0) {
+      result.setUTCDate(result.getUTCDate() + 1);
+      const weekday = result.getUTCDay();
+      if (weekday !== 0 && weekday !== 6) remaining--;
+    }
+    return result;
+  }
+
+  startOfDay(date) {
+    const d = new Date(date);
+    return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+  }
+}
+
+module.exports = new OptionsParser();
@@ -0,0 +1,151 @@
+class PostClassifier {
+  constructor() {
+    this.labels = ['position_open', 'position_close', 'gain_porn', 'loss_porn', 'dd', 'meme', 'news', 'discussion'];
+
+    // Labels where the author claims real money on the line
+    this.skinInTheGameLabels = new Set(['position_open', 'position_close', 'gain_porn', 'loss_porn']);
+
+    // Post (link) flair is the strongest signal; author flair is a weaker hint
+    this.flairLabels = [
+      { pattern: /\bgain/i, label: 'gain_porn' },
+      { pattern: /\bloss/i, label: 'loss_porn' },
+      { pattern: /\byolo\b/i, label: 'position_open' },
+      { pattern: /\b(dd|due diligence|technical analysis|fundamentals)\b/i, label: 'dd' },
+      { pattern: /\b(meme|shitpost)\b/i, label: 'meme' },
+      { pattern: /\bnews\b/i, label: 'news' },
+      { pattern: /\b(discussion|question|daily)\b/i, label: 'discussion' }
+    ];
+
+    this.titlePatterns = {
+      gain_porn: [/\bgains?\b/i, /\bprofits?\b/i, /\bprinted\b/i, /\bpaid off\b/i, /\btendies\b/i, /\+\s?\$?\d/],
+      loss_porn: [/\bloss(es)?\b/i, /\blost\b/i, /\bbag ?holding\b/i, /\bwiped out\b/i, /\bblew up\b/i, /\bmargin call(ed)?\b/i, /\brip\b/i, /-\s?\$\d/],
+      position_open: [/\byolo\b/i, /\ball in\b/i, /\bjust bought\b/i, /\bbought\b/i, /\bopened\b/i, /\bloading up\b/i, /\bmy position\b/i, /\bentered\b/i],
+      position_close: [/\bsold\b/i, /\bclosed\b/i, /\btook profits?\b/i, /\bexited\b/i, /\bcashed out\b/i, /\bcut my losses\b/i],
+      dd: [/\bdd\b/i, /\bdue diligence\b/i, /\bdeep dive\b/i, /\bthesis\b/i, /\banalysis\b/i, /\bbull case\b/i, /\bbear case\b/i],
+      meme: [/\bmeme\b/i, /\bapes?\b/i, /\bwife'?s boyfriend\b/i, /\bcrayons\b/i, /\bwendy'?s\b/i],
+      news: [/\b(reports?|announces?|announced|files?|filed|according to|breaking|downgrades?|upgrades?)\b/i]
+    };
+
+    this.newsDomains = /\b(reuters|bloomberg|cnbc|wsj|marketwatch|ft\.com|barrons|seekingalpha|yahoo\.com|apnews|sec\.gov|businesswire|prnewswire)\b/i;
+    this.imageUrls = /(i\.redd\.it|i\.imgur\.com|imgur\.com|\.(png|jpe?g|gif|webp)(\?|$))/i;
+
+    // "$12,345", "$40k", "12.5k", "1.2m" next to gain/loss words
+    this.amountPattern = /([+-])?\s?\$\s?(\d{1,3}(?:,\d{3})+|\d+(?:\.\d+)?)\s?([km])?\b/gi;
+    this.percentPattern = /([+-])?\s?(\d{1,5}(?:\.\d+)?)\s?%/g;
+  }
+
+  // Classify a post from its flair, title, body and URL; returns label, confidence and claimed P&L
+  classifyPost(post) {
+    const title = post.title || '';
+    const content = post.content || '';
+    const scores = Object.fromEntries(this.labels.map(label => [label, 0]));
+    const signals = [];
+
+    const addScore = (label, points, signal) => {
+      scores[label] += points;
+      signals.push(signal);
+    };
+
+    const linkFlairLabel = this.labelFromFlair(post.link_flair);
+    if (linkFlairLabel) addScore(linkFlairLabel, 4, `flair:${post.link_flair}`);
+
+    const authorFlairLabel = this.labelFromFlair(post.author_flair);
+    if (authorFlairLabel && authorFlairLabel !== 'discussion') addScore(authorFlairLabel, 0.5, `author_flair:${post.author_flair}`);
+
+    for (const [label, patterns] of Object.entries(this.titlePatterns)) {
+      const titleHits = patterns.filter(pattern => pattern.test(title)).length;
+      if (titleHits > 0) addScore(label, Math.min(3, titleHits * 1.5), `title:${label}`);
+
+      // Body text only nudges; long posts mention everything
+      const bodyHits = patterns.filter(pattern => pattern.test(content.slice(0, 2000))).length;
+      if (bodyHits > 0) scores[label] += Math.min(1, bodyHits * 0.25);
+    }
+
+    const isScreenshot = this.imageUrls.test(post.url || '');
+    const isNewsLink = this.newsDomains.test(post.url || '');
+    const pnl = this.extractClaimedPnl(`${title} ${content}`);
+
+    if (isNewsLink) addScore('news', 3, 'url:news_domain');
+    if (content.length > 2500 && /\b(revenue|margin|valuation|guidance|catalyst|balance sheet|cash flow)\b/i.test(content)) {
+      addScore('dd', 2, 'content:long_form_analysis');
+    }
+
+    // Screenshot with a claimed dollar amount is the classic gain/loss post
+    if (isScreenshot && pnl.amount !== null) {
+      addScore(pnl.amount >= 0 ? 'gain_porn' : 'loss_porn', 2, 'screenshot_with_pnl');
+    } else if (isScreenshot && content.length < 200) {
+      addScore('meme', 0.5, 'screenshot');
+    }
+
+    const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    const [bestLabel, bestScore] = ranked[0];
+    const secondScore = ranked[1][1];
+
+    const label = bestScore > 0 ? bestLabel : 'discussion';
+    // Confidence grows with the winning score and its margin over the runner-up
+    const confidence = bestScore > 0
+      ? Math.min(0.95, 0.3 + (bestScore / 10) + ((bestScore - secondScore) / 10))
+      : 0.3;
+
+    // A loss label with an unsigned amount ("lost $12k") is a negative P&L
+    let claimedPnl = pnl.amount;
+    if (claimedPnl !== null && label === 'loss_porn' && claimedPnl > 0) claimedPnl = -claimedPnl;
+    let claimedPnlPercent = pnl.percent;
+    if (claimedPnlPercent !== null && label === 'loss_porn' && claimedPnlPercent > 0) claimedPnlPercent = -claimedPnlPercent;
+
+    return {
+      label,
+      confidence: Math.round(confidence * 100) / 100,
+      claimed_pnl: ['gain_porn', 'loss_porn', 'position_close'].includes(label) ? claimedPnl : null,
+      claimed_pnl_percent: ['gain_porn', 'loss_porn', 'position_close'].includes(label) ? claimedPnlPercent : null,
+      skin_in_the_game: this.skinInTheGameLabels.has(label),
+      signals: [...new Set(signals)].slice(0, 10),
+      method: 'heuristic'
+    };
+  }
+
+  labelFromFlair(flair) {
+    if (!flair) return null;
+    const match = this.flairLabels.find(entry => entry.pattern.test(flair));
+    return match ? match.label : null;
+  }
+
+  // Largest dollar amount and percentage claimed, signed when the text says so
+  extractClaimedPnl(text) {
+    let amount = null;
+    for (const match of text.matchAll(this.amountPattern)) {
+      const [, sign, digits, suffix] = match;
+      let value = parseFloat(digits.replace(/,/g, ''));
+      if (suffix && suffix.toLowerCase() === 'k') value *= 1000;
+      if (suffix && suffix.toLowerCase() === 'm') value *= 1000000;
+      if (sign === '-') value = -value;
+
+      if (amount === null || Math.abs(value) > Math.abs(amount)) amount = value;
+    }
+
+    let percent = null;
+    for (const match of text.matchAll(this.percentPattern)) {
+      const [, sign, digits] = match;
+      let value = parseFloat(digits);
+      if (sign === '-') value = -value;
+
+      if (percent === null || Math.abs(value) > Math.abs(percent)) percent = value;
+    }
+
+    // "lost", "down" without an explicit sign still means a loss
+    const lossWords = /\b(lost|down|loss|losses|wiped|red)\b/i.test(text);
+    const gainWords = /\b(gain|gains|up|profit|made|green|printed)\b/i.test(text);
+    if (lossWords && !gainWords) {
+      if (amount !== null) amount = -Math.abs(amount);
+      if (percent !== null) percent = -Math.abs(percent);
+    }
+
+    return { amount, percent };
+  }
+
+  isSkinInTheGame(label) {
+    return this.skinInTheGameLabels.has(label);
+  }
+}
+
+module.exports = new PostClassifier();
@@ -71,6 +71,26 @@ class SentimentAnalyzer {
       'hasnt', "hasn't", 'havent', "haven't", 'hadnt', "hadn't"
     ]);
 
+    // Trade actions aimed at the ticker that follows them ("selling AAPL", "bought NVDA")
+    this.positionVerbs = new Map([
+      ['buy', 2.0], ['buying', 2.0], ['bought', 2.0], ['long', 2.0], ['loading', 2.0], ['loaded', 2.0],
+      ['adding', 1.5], ['added', 1.5], ['accumulating', 1.5],
+      ['sell', -2.0], ['selling', -2.0], ['sold', -2.0], ['short', -2.0], ['shorting', -2.0], ['shorted', -2.0],
+      ['dump', -3.0], ['dumping', -3.0], ['dumped', -3.0], ['exiting', -1.5], ['exited', -1.5],
+      ['trimming', -1.0], ['trimmed', -1.0]
+    ]);
+
+    // Contract words aimed at the ticker before them ("AAPL calls", "NVDA puts")
+    this.positionSuffixes = new Map([
+      ['calls', 2.0], ['puts', -2.0], ['leaps', 1.5]
+    ]);
+
+    // Words that start a new clause, and usually a new subject, within a sentence
+    this.clauseConnectives = new Set([
+      'to', 'but', 'so', 'while', 'whereas', 'because', 'instead', 'then', 'into', 'for',
+      'vs', 'versus', 'over', 'than', 'although', 'though', 'however', 'since'
+    ]);
+
     // Emoji sentiment mapping
     this.emojiSentiment = new Map([
       // Positive emojis
@@ -274,53 +294,243 @@ class SentimentAnalyzer {
     };
   }
 
-  // Detect sentiment for specific ticker in context
-  analyzeTickerSentiment(ticker, text, title = '') {
-    const combinedText = `${title} ${text}`;
-    
-    // Find mentions of the ticker
-    const tickerRegex = new RegExp(`\\b${ticker}\\b|\\$${ticker}\\b`, 'gi');
-    const mentions = [];
-    let match;
+  // Sentiment aimed at one ticker, from the clauses that talk about it rather than the whole post.
+  // otherTickers are the rest of the post's tickers, so "selling AAPL to buy more NVDA" splits cleanly
+  analyzeTickerSentiment(ticker, text, title = '', otherTickers = []) {
+    const symbol = ticker.toUpperCase();
+    const attributed = this.attributeTickerSentiment([symbol, ...otherTickers], text, title);
+    return attributed.get(symbol);
+  }
 
-    while ((match = tickerRegex.exec(combinedText)) !== null) {
-      const start = Math.max(0, match.index - 100);
-      const end = Math.min(combinedText.length, match.index + ticker.length + 100);
-      const context = combinedText.substring(start, end);
-      
-      const contextSentiment = this.analyzeSentiment(context);
-      mentions.push({
-        position: match.index,
-        context: context.trim(),
-        sentiment: contextSentiment.score,
-        confidence: contextSentiment.confidence
+  // Split the text into clauses and hand each sentiment word to the ticker it is about
+  attributeTickerSentiment(tickers, text, title = '') {
+    const symbols = [...new Set(tickers.map(ticker => ticker.toUpperCase()))];
+    const results = new Map(symbols.map(symbol => [symbol, {
+      positive: 0,
+      negative: 0,
+      words: [],
+      tokens: 0,
+      mentions: 0,
+      contexts: [],
+      ambiguous: false
+    }]));
+
+    const combinedText = title ? `${title}\n${text || ''}` : (text || '');
+    let previousSymbols = [];
+
+    for (const sentence of this.splitSentences(combinedText)) {
+      const clauses = this.splitClauses(this.tokenizeWithPositions(sentence.text, sentence.offset, symbols));
+      if (clauses.length === 0) continue;
+
+      // Clauses without a ticker belong to the clause before them ("AAPL is going to moon"),
+      // or the one after when they open the sentence ("bought calls for NVDA")
+      let owners = clauses.map(clause => clause.symbols);
+      for (let i = 1; i < owners.length; i++) {
+        if (owners[i].length === 0) owners[i] = owners[i - 1];
+      }
+      for (let i = owners.length - 2; i >= 0; i--) {
+        if (owners[i].length === 0) owners[i] = owners[i + 1];
+      }
+
+      // A sentence with no ticker at all most likely continues the previous one, at half weight
+      let carryWeight = 1;
+      if (owners[0].length === 0) {
+        owners = owners.map(() => previousSymbols);
+        carryWeight = 0.5;
+      } else {
+        previousSymbols = owners[owners.length - 1];
+      }
+
+      clauses.forEach((clause, index) => {
+        const clauseOwners = owners[index];
+        if (clauseOwners.length === 0) return;
+
+        const clauseScores = new Map(clauseOwners.map(symbol => [symbol, 0]));
+
+        clause.tokens.forEach((token, position) => {
+          if (token.symbol) {
+            results.get(token.symbol).mentions++;
+            return;
+          }
+
+          const wordScore = this.scoreClauseToken(clause.tokens, position) * carryWeight;
+          if (wordScore === 0) return;
+
+          for (const target of this.resolveTargets(clause, clauseOwners, position)) {
+            const result = results.get(target);
+            if (wordScore > 0) result.positive += wordScore;
+            else result.negative += Math.abs(wordScore);
+            result.words.push({ word: token.word, score: Math.round(wordScore * 100) / 100 });
+            clauseScores.set(target, clauseScores.get(target) + wordScore);
+          }
+
+          // Several tickers in one clause with nothing tying the word to either: a guess
+          if (clause.symbols.length > 1 && !this.positionVerbs.has(token.word) && !this.positionSuffixes.has(token.word)) {
+            clause.symbols.forEach(symbol => { results.get(symbol).ambiguous = true; });
+          }
+        });
+
+        for (const symbol of clauseOwners) {
+          const result = results.get(symbol);
+          result.tokens += clause.tokens.length;
+          result.contexts.push({
+            position: clause.start,
+            context: combinedText.substring(clause.start, clause.end).trim(),
+            sentiment: Math.round(clauseScores.get(symbol) * 100) / 100,
+            inherited: !clause.symbols.includes(symbol)
+          });
+        }
       });
     }
 
-    if (mentions.length === 0) {
-      return {
-        ticker: ticker,
-        overall_sentiment: 0,
-        confidence: 0,
-        mentions: 0,
-        contexts: []
-      };
+    const summaries = new Map();
+    for (const [symbol, result] of results) {
+      // Same scale as analyzeSentiment, over the clauses attributed to this ticker
+      const total = result.positive - result.negative;
+      const maxPossibleScore = result.tokens * 3;
+      const score = maxPossibleScore > 0 ? Math.max(-100, Math.min(100, (total / maxPossibleScore) * 100)) : 0;
+
+      const wordRatio = result.words.length / Math.max(1, result.tokens);
+      const avgStrength = result.words.length > 0
+        ? result.words.reduce((sum, w) => sum + Math.abs(w.score), 0) / result.words.length
+        : 0;
+      let confidence = Math.min(1, wordRatio * 2 + avgStrength / 10);
+      if (result.ambiguous) confidence *= 0.5;
+
+      summaries.set(symbol, {
+        ticker: symbol,
+        overall_sentiment: Math.round(score * 100) / 100,
+        confidence: Math.round(confidence * 100) / 100,
+        mentions: result.mentions,
+        ambiguous: result.ambiguous,
+        sentiment_words: result.words,
+        contexts: result.contexts
+      });
     }
 
-    // Calculate weighted average sentiment
-    const totalWeight = mentions.reduce((sum, m) => sum + m.confidence, 0);
-    const weightedSentiment = totalWeight > 0 ? 
-      mentions.reduce((sum, m) => sum + (m.sentiment * m.confidence), 0) / totalWeight : 0;
+    return summaries;
+  }
+
+  // Sentences with their offset in the original text
+  splitSentences(text) {
+    const sentences = [];
+    const pattern = /[^.!?\n]+/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      if (match[0].trim()) sentences.push({ text: match[0], offset: match.index });
+    }
+    return sentences;
+  }
 
-    const avgConfidence = mentions.reduce((sum, m) => sum + m.confidence, 0) / mentions.length;
+  // Words, emojis and clause punctuation, with ticker symbols marked
+  tokenizeWithPositions(text, offset, symbols) {
+    const emojis = Array.from(this.emojiSentiment.keys()).join('|');
+    const pattern = new RegExp(`\\$?[A-Za-z0-9][A-Za-z0-9'’]*|[,;:]|${emojis}`, 'gu');
+    const tokens = [];
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const raw = match[0];
+      const bare = raw.replace(/^\$/, '');
+      // Cashtags in any case, bare symbols only in capitals so "it" isn't IT
+      const isSymbol = symbols.includes(bare.toUpperCase()) && (raw.startsWith('$') || bare === bare.toUpperCase());
+      tokens.push({
+        word: bare.toLowerCase().replace(/['’]/g, ''),
+        symbol: isSymbol ? bare.toUpperCase() : null,
+        start: offset + match.index,
+        end: offset + match.index + raw.length
+      });
+    }
+    return tokens;
+  }
 
-    return {
-      ticker: ticker,
-      overall_sentiment: Math.round(weightedSentiment * 100) / 100,
-      confidence: Math.round(avgConfidence * 100) / 100,
-      mentions: mentions.length,
-      contexts: mentions
+  // Break a sentence at punctuation and connectives; the connective itself is dropped
+  splitClauses(tokens) {
+    const clauses = [];
+    let current = [];
+
+    const close = () => {
+      if (current.length > 0) {
+        clauses.push({
+          tokens: current,
+          symbols: [...new Set(current.filter(token => token.symbol).map(token => token.symbol))],
+          start: current[0].start,
+          end: current[current.length - 1].end
+        });
+      }
+      current = [];
     };
+
+    for (const token of tokens) {
+      if (/^[,;:]$/.test(token.word) || this.clauseConnectives.has(token.word)) {
+        close();
+      } else {
+        current.push(token);
+      }
+    }
+    close();
+
+    return clauses;
+  }
+
+  // Word score with negation and intensifiers from the two words before it, as in analyzeSentiment
+  scoreClauseToken(tokens, position) {
+    const word = tokens[position].word;
+    let score = 0;
+
+    if (this.positionVerbs.has(word)) {
+      score = this.positionVerbs.get(word);
+    } else if (this.positionSuffixes.has(word)) {
+      score = this.positionSuffixes.get(word);
+    } else if (this.positiveKeywords.has(word)) {
+      score = this.positiveKeywords.get(word);
+    } else if (this.negativeKeywords.has(word)) {
+      score = this.negativeKeywords.get(word);
+    } else if (this.emojiSentiment.has(word)) {
+      score = this.emojiSentiment.get(word);
+    }
+    if (score === 0) return 0;
+
+    for (let j = Math.max(0, position - 2); j < position; j++) {
+      if (this.intensifiers.has(tokens[j].word)) {
+        score *= this.intensifiers.get(tokens[j].word);
+        break;
+      }
+    }
+    for (let j = Math.max(0, position - 2); j < position; j++) {
+      if (this.negations.has(tokens[j].word)) {
+        score = -score * 0.8;
+        break;
+      }
+    }
+
+    return score;
+  }
+
+  // Which of the clause's tickers a sentiment word is about
+  resolveTargets(clause, owners, position) {
+    // Inherited clauses and single-ticker clauses: everything goes to their tickers
+    if (clause.symbols.length <= 1) return owners;
+
+    const word = clause.tokens[position].word;
+    const mentions = clause.tokens
+      .map((token, index) => ({ symbol: token.symbol, index }))
+      .filter(mention => mention.symbol);
+    const before = mentions.filter(mention => mention.index < position).pop();
+    const after = mentions.find(mention => mention.index > position);
+
+    // "selling AAPL", "long NVDA": the verb's object comes after it
+    if (this.positionVerbs.has(word)) {
+      return [(after || before).symbol];
+    }
+    // "AAPL calls", "NVDA puts": the contract follows its underlying
+    if (this.positionSuffixes.has(word)) {
+      return [(before && position - before.index <= 2 ? before : after || before).symbol];
+    }
+
+    // Anything else goes to the closest ticker, the earlier one on a tie
+    if (!after) return [before.symbol];
+    if (!before) return [after.symbol];
+    return [position - before.index <= after.index - position ? before.symbol : after.symbol];
   }
 
   // Add custom keywords for learning
@@ -0,0 +1,345 @@
+class TechnicalIndicators {
+  constructor() {
+    // Each indicator keeps plain-object state so it can be persisted and resumed bar by bar
+    this.indicators = {
+      sma: {
+        defaults: { period: 20 },
+        warmup: ({ period }) => period,
+        create: ({ period }) => ({ period, window: [] }),
+        step: (state, bar) => this.stepWindow(state, bar.close) ? this.mean(state.window) : null,
+        format: value => ({ SMA: value })
+      },
+      ema: {
+        defaults: { period: 20 },
+        warmup: ({ period }) => period,
+        create: ({ period }) => this.createEma(period),
+        step: (state, bar) => this.stepEma(state, bar.close),
+        format: value => ({ EMA: value })
+      },
+      // Wilder's smoothing, as Alpha Vantage and TA-Lib compute it
+      rsi: {
+        defaults: { period: 14 },
+        warmup: ({ period }) => period + 1,
+        create: ({ period }) => ({ period, prev_close: null, count: 0, gain_sum: 0, loss_sum: 0, avg_gain: null, avg_loss: null }),
+        step: (state, bar) => this.stepRsi(state, bar),
+        format: value => ({ RSI: value })
+      },
+      macd: {
+        defaults: { fast: 12, slow: 26, signal: 9 },
+        warmup: ({ slow, signal }) => slow + signal - 1,
+        create: ({ fast, slow, signal }) => ({ fast: this.createEma(fast), slow: this.createEma(slow), signal: this.createEma(signal) }),
+        step: (state, bar) => this.stepMacd(state, bar),
+        format: value => ({ MACD: value.macd, MACD_Signal: value.signal, MACD_Hist: value.histogram })
+      },
+      bbands: {
+        defaults: { period: 20, deviations: 2 },
+        warmup: ({ period }) => period,
+        create: ({ period, deviations }) => ({ period, deviations, window: [] }),
+        step: (state, bar) => this.stepBollinger(state, bar),
+        format: value => ({ 'Real Upper Band': value.upper, 'Real Middle Band': value.middle, 'Real Lower Band': value.lower })
+      },
+      atr: {
+        defaults: { period: 14 },
+        warmup: ({ period }) => period + 1,
+        create: ({ period }) => ({ period, prev_close: null, count: 0, tr_sum: 0, value: null }),
+        step: (state, bar) => this.stepAtr(state, bar),
+        format: value => ({ ATR: value })
+      },
+      // Starts from the first bar's volume, like TA-Lib
+      obv: {
+        defaults: {},
+        warmup: () => 1,
+        create: () => ({ prev_close: null, value: 0 }),
+        step: (state, bar) => this.stepObv(state, bar),
+        format: value => ({ OBV: value })
+      },
+      // Cumulative typical price × volume, reset each session; meant for intraday bars
+      vwap: {
+        defaults: {},
+        warmup: () => 1,
+        create: () => ({ session: null, price_volume: 0, volume: 0 }),
+        step: (state, bar) => this.stepVwap(state, bar),
+        format: value => ({ VWAP: value })
+      }
+    };
+
+    // What gets persisted onto StockData.technical_indicators, and under which fields
+    this.dailySnapshot = [
+      { key: 'sma_20', indicator: 'sma', params: { period: 20 }, fields: value => ({ sma_20: value }) },
+      { key: 'sma_50', indicator: 'sma', params: { period: 50 }, fields: value => ({ sma_50: value }) },
+      { key: 'ema_12', indicator: 'ema', params: { period: 12 }, fields: value => ({ ema_12: value }) },
+      { key: 'ema_26', indicator: 'ema', params: { period: 26 }, fields: value => ({ ema_26: value }) },
+      { key: 'rsi', indicator: 'rsi', params: { period: 14 }, fields: value => ({ rsi: value }) },
+      {
+        key: 'macd',
+        indicator: 'macd',
+        params: {},
+        fields: value => ({ macd: value && value.macd, macd_signal: value && value.signal, macd_histogram: value && value.histogram })
+      },
+      {
+        key: 'bbands',
+        indicator: 'bbands',
+        params: { period: 20, deviations: 2 },
+        fields: value => ({ bollinger_upper: value && value.upper, bollinger_middle: value && value.middle, bollinger_lower: value && value.lower })
+      },
+      { key: 'atr', indicator: 'atr', params: { period: 14 }, fields: value => ({ atr: value }) },
+      { key: 'obv', indicator: 'obv', params: {}, fields: value => ({ obv: value }) }
+    ];
+    this.intradaySnapshot = [
+      { key: 'vwap', indicator: 'vwap', params: {}, fields: value => ({ vwap: value }) }
+    ];
+  }
+
+  supports(indicator) {
+    return Object.prototype.hasOwnProperty.call(this.indicators, indicator.toLowerCase());
+  }
+
+  resolveParams(indicator, params = {}) {
+    const definition = this.indicators[indicator.toLowerCase()];
+    const resolved = { ...definition.defaults };
+    for (const key of Object.keys(definition.defaults)) {
+      if (params[key] !== undefined && params[key] !== null && !Number.isNaN(params[key])) {
+        resolved[key] = params[key];
+      }
+    }
+    return resolved;
+  }
+
+  // Bars needed before the first value comes out
+  warmup(indicator, params = {}) {
+    return this.indicators[indicator.toLowerCase()].warmup(this.resolveParams(indicator, params));
+  }
+
+  // Plain bars, oldest first, one per timestamp (the later copy wins)
+  prepareBars(bars = []) {
+    const byTime = new Map();
+    for (const bar of bars) {
+      if (!bar || !bar.timestamp) continue;
+      const timestamp = new Date(bar.timestamp);
+      byTime.set(timestamp.getTime(), {
+        timestamp,
+        open: bar.open,
+        high: bar.high,
+        low: bar.low,
+        close: bar.close,
+        volume: bar.volume || 0
+      });
+    }
+    return [...byTime.values()].sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  // Full series for one indicator, oldest first; values are null until warmed up
+  series(indicator, bars, params = {}) {
+    const name = indicator.toLowerCase();
+    const definition = this.indicators[name];
+    const state = definition.create(this.resolveParams(name, params));
+
+    return this.prepareBars(bars).map(bar => ({
+      timestamp: bar.timestamp,
+      value: this.roundValue(definition.step(state, bar))
+    }));
+  }
+
+  // A series value under the column names Alpha Vantage uses for the indicator
+  format(indicator, value) {
+    return this.indicators[indicator.toLowerCase()].format(value);
+  }
+
+  // Advance persisted snapshot state with whatever bars arrived since it was saved.
+  // The saved state stops before the newest bar: that bar may still be revised (today's daily bar
+  // is rewritten by every quote), so it is applied to a copy and only folded in once a later bar exists.
+  updateSnapshot(saved, bars, specs) {
+    const prepared = this.prepareBars(bars);
+    if (prepared.length === 0) {
+      return { state: null, values: null, as_of: null };
+    }
+
+    const latest = prepared[prepared.length - 1];
+    const resumable = saved && saved.states && saved.last_bar_at &&
+      new Date(saved.last_bar_at) < latest.timestamp &&
+      specs.every(spec => saved.states[spec.key]);
+
+    const states = resumable ? saved.states : {};
+    if (!resumable) {
+      for (const spec of specs) {
+        states[spec.key] = this.indicators[spec.indicator].create(this.resolveParams(spec.indicator, spec.params));
+      }
+    }
+
+    const lastApplied = resumable ? new Date(saved.last_bar_at) : null;
+    const pending = prepared.slice(0, -1).filter(bar => !lastApplied || bar.timestamp > lastApplied);
+    for (const bar of pending) {
+      for (const spec of specs) {
+        this.indicators[spec.indicator].step(states[spec.key], bar);
+      }
+    }
+
+    const provisional = JSON.parse(JSON.stringify(states));
+    let values = {};
+    for (const spec of specs) {
+      const value = this.roundValue(this.indicators[spec.indicator].step(provisional[spec.key], latest));
+      values = { ...values, ...spec.fields(value) };
+    }
+
+    const newLastApplied = pending.length > 0 ? pending[pending.length - 1].timestamp : lastApplied;
+    return {
+      state: newLastApplied ? { last_bar_at: newLastApplied, states } : { last_bar_at: null, states: null },
+      values,
+      as_of: latest.timestamp
+    };
+  }
+
+  // Rolling window; true once it holds a full period
+  stepWindow(state, value) {
+    state.window.push(value);
+    if (state.window.length > state.period) {
+      state.window.shift();
+    }
+    return state.window.length === state.period;
+  }
+
+  createEma(period) {
+    return { period, count: 0, sum: 0, value: null };
+  }
+
+  // Seeded with the simple average of the first period values
+  stepEma(state, value) {
+    if (value === null || value === undefined) return state.value;
+
+    state.count++;
+    if (state.count < state.period) {
+      state.sum += value;
+      return null;
+    }
+    if (state.count === state.period) {
+      state.value = (state.sum + value) / state.period;
+      return state.value;
+    }
+
+    const k = 2 / (state.period + 1);
+    state.value = (value - state.value) * k + state.value;
+    return state.value;
+  }
+
+  stepRsi(state, bar) {
+    if (state.prev_close === null) {
+      state.prev_close = bar.close;
+      return null;
+    }
+
+    const change = bar.close - state.prev_close;
+    const gain = Math.max(0, change);
+    const loss = Math.max(0, -change);
+    state.prev_close = bar.close;
+    state.count++;
+
+    if (state.count <= state.period) {
+      state.gain_sum += gain;
+      state.loss_sum += loss;
+      if (state.count < state.period) return null;
+      state.avg_gain = state.gain_sum / state.period;
+      state.avg_loss = state.loss_sum / state.period;
+    } else {
+      state.avg_gain = (state.avg_gain * (state.period - 1) + gain) / state.period;
+      state.avg_loss = (state.avg_loss * (state.period - 1) + loss) / state.period;
+    }
+
+    if (state.avg_loss === 0) return state.avg_gain === 0 ? 50 : 100;
+    return 100 - 100 / (1 + state.avg_gain / state.avg_loss);
+  }
+
+  // Nothing until the signal line exists, so every row has all three columns
+  stepMacd(state, bar) {
+    const fast = this.stepEma(state.fast, bar.close);
+    const slow = this.stepEma(state.slow, bar.close);
+    if (state.slow.value === null) return null;
+
+    const macd = fast - slow;
+    const signal = this.stepEma(state.signal, macd);
+    if (signal === null) return null;
+
+    return { macd, signal, histogram: macd - signal };
+  }
+
+  // Population standard deviation over the window, as TA-Lib uses
+  stepBollinger(state, bar) {
+    if (!this.stepWindow(state, bar.close)) return null;
+
+    const middle = this.mean(state.window);
+    const variance = state.window.reduce((sum, value) => sum + (value - middle) ** 2, 0) / state.period;
+    const width = state.deviations * Math.sqrt(variance);
+    return { upper: middle + width, middle, lower: middle - width };
+  }
+
+  stepAtr(state, bar) {
+    if (state.prev_close === null) {
+      state.prev_close = bar.close;
+      return null;
+    }
+
+    const trueRange = Math.max(
+      bar.high - bar.low,
+      Math.abs(bar.high - state.prev_close),
+      Math.abs(bar.low - state.prev_close)
+    );
+    state.prev_close = bar.close;
+    state.count++;
+
+    if (state.count < state.period) {
+      state.tr_sum += trueRange;
+      return null;
+    }
+    if (state.count === state.period) {
+      state.value = (state.tr_sum + trueRange) / state.period;
+      return state.value;
+    }
+
+    state.value = (state.value * (state.period - 1) + trueRange) / state.period;
+    return state.value;
+  }
+
+  stepObv(state, bar) {
+    if (state.prev_close === null) {
+      state.value = bar.volume;
+    } else if (bar.close > state.prev_close) {
+      state.value += bar.volume;
+    } else if (bar.close < state.prev_close) {
+      state.value -= bar.volume;
+    }
+    state.prev_close = bar.close;
+    return state.value;
+  }
+
+  stepVwap(state, bar) {
+    // Sessions follow the calendar day the bar timestamps were parsed in
+    const timestamp = new Date(bar.timestamp);
+    const session = `${timestamp.getFullYear()}-${timestamp.getMonth() + 1}-${timestamp.getDate()}`;
+    if (session !== state.session) {
+      state.session = session;
+      state.price_volume = 0;
+      state.volume = 0;
+    }
+
+    const typicalPrice = (bar.high + bar.low + bar.close) / 3;
+    state.price_volume += typicalPrice * bar.volume;
+    state.volume += bar.volume;
+    return state.volume > 0 ? state.price_volume / state.volume : typicalPrice;
+  }
+
+  mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+  }
+
+  roundValue(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'number') return Math.round(value * 10000) / 10000;
+
+    const rounded = {};
+    for (const [key, item] of Object.entries(value)) {
+      rounded[key] = this.roundValue(item);
+    }
+    return rounded;
+  }
+}
+
+module.exports = new TechnicalIndicators();
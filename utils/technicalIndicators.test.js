@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const technicalIndicators = require('./technicalIndicators');
+
+const dayMs = 24 * 60 * 60 * 1000;
+
+// Daily bars with a deterministic wobble so every indicator has something to track
+function makeBars(count, start = Date.UTC(2024, 0, 1)) {
+  return Array.from({ length: count }, (_, i) => {
+    const close = 100 + 10 * Math.sin(i / 3) + i * 0.2;
+    return {
+      timestamp: new Date(start + i * dayMs),
+      open: close - 0.5,
+      high: close + 1 + (i % 4) * 0.3,
+      low: close - 1 - (i % 3) * 0.2,
+      close,
+      volume: 1000 + (i % 7) * 100
+    };
+  });
+}
+
+// Persisted snapshots go through Mongo, so resumed state has to survive a JSON round trip
+const persist = value => JSON.parse(JSON.stringify(value));
+
+test('SMA matches a plain average of the last period closes', () => {
+  const bars = makeBars(30);
+  const series = technicalIndicators.series('sma', bars, { period: 5 });
+  const expected = bars.slice(-5).reduce((sum, bar) => sum + bar.close, 0) / 5;
+
+  assert.equal(series.filter(point => point.value === null).length, 4);
+  assert.ok(Math.abs(series[series.length - 1].value - expected) < 1e-3);
+});
+
+test('RSI is 100 on a steady rise and 50 on a flat line', () => {
+  const rising = makeBars(20).map((bar, i) => ({ ...bar, close: 100 + i }));
+  const flat = makeBars(20).map(bar => ({ ...bar, close: 100 }));
+
+  assert.equal(technicalIndicators.series('rsi', rising, { period: 14 }).pop().value, 100);
+  assert.equal(technicalIndicators.series('rsi', flat, { period: 14 }).pop().value, 50);
+});
+
+test('warmup matches the first non-null value in each series', () => {
+  const bars = makeBars(80);
+  for (const indicator of ['sma', 'ema', 'rsi', 'macd', 'bbands', 'atr']) {
+    const series = technicalIndicators.series(indicator, bars);
+    const firstValue = series.findIndex(point => point.value !== null);
+    assert.equal(firstValue + 1, technicalIndicators.warmup(indicator), indicator);
+  }
+});
+
+test('prepareBars sorts bars and keeps the later copy of a timestamp', () => {
+  const bars = makeBars(3);
+  const revised = { ...bars[1], close: 500 };
+
+  const prepared = technicalIndicators.prepareBars([bars[2], bars[1], bars[0], revised]);
+
+  assert.deepEqual(prepared.map(bar => bar.timestamp.getTime()), bars.map(bar => bar.timestamp.getTime()));
+  assert.equal(prepared[1].close, 500);
+});
+
+test('incremental snapshot updates match a full recompute', () => {
+  const bars = makeBars(120);
+  const specs = technicalIndicators.dailySnapshot;
+
+  let saved = null;
+  for (const end of [40, 41, 75, 76, 120]) {
+    const update = technicalIndicators.updateSnapshot(saved, bars.slice(0, end), specs);
+    const full = technicalIndicators.updateSnapshot(null, bars.slice(0, end), specs);
+
+    assert.deepEqual(update.values, full.values, `after ${end} bars`);
+    saved = persist(update.state);
+  }
+});
+
+test('a revised latest bar is not folded into the saved state', () => {
+  const bars = makeBars(60);
+  const specs = technicalIndicators.dailySnapshot;
+
+  // Today's bar is rewritten by every quote before the next day's bar arrives
+  const provisional = bars.map((bar, i) => (i === 59 ? { ...bar, close: bar.close + 25, high: bar.high + 25 } : bar));
+  const first = technicalIndicators.updateSnapshot(null, provisional, specs);
+  const second = technicalIndicators.updateSnapshot(persist(first.state), bars, specs);
+  const full = technicalIndicators.updateSnapshot(null, bars, specs);
+
+  assert.deepEqual(second.values, full.values);
+});
+
+test('a snapshot missing an indicator state is rebuilt from scratch', () => {
+  const bars = makeBars(60);
+  const specs = technicalIndicators.dailySnapshot;
+  const saved = persist(technicalIndicators.updateSnapshot(null, bars.slice(0, 50), specs).state);
+  delete saved.states.rsi;
+
+  const update = technicalIndicators.updateSnapshot(saved, bars, specs);
+
+  assert.deepEqual(update.values, technicalIndicators.updateSnapshot(null, bars, specs).values);
+});
@@ -72,13 +72,46 @@ class TickerExtractor {
       'MATIC', 'AVAX', 'LUNA', 'FTT', 'UNI', 'LINK', 'ATOM', 'VET', 'ICP', 'THETA',
       'FIL', 'TRX', 'ETC', 'XLM', 'AAVE', 'CAKE', 'ALGO', 'XTZ', 'EGLD', 'HBAR'
     ]);
+
+    // Exchange listings loaded by tickerUniverseService; knownTickers is the fallback until then
+    this.universe = null;
+    this.maxAliasWords = 0;
+  }
+
+  // Replace the ticker universe ({ listings: Map, delisted: Set, names: Map alias -> symbol })
+  setUniverse({ listings, delisted = new Set(), names = new Map() }) {
+    this.universe = { listings, delisted, names };
+    this.maxAliasWords = Math.min(5, Math.max(0, ...[...names.keys()].map(alias => alias.split(' ').length)));
+  }
+
+  hasUniverse() {
+    return !!this.universe && this.universe.listings.size > 0;
+  }
+
+  getListing(ticker) {
+    return this.hasUniverse() ? this.universe.listings.get(ticker) || null : null;
+  }
+
+  isListed(ticker) {
+    return this.hasUniverse() ? this.universe.listings.has(ticker) : this.knownTickers.has(ticker);
+  }
+
+  getUniverseStatus() {
+    return {
+      loaded: this.hasUniverse(),
+      listings: this.universe ? this.universe.listings.size : 0,
+      delisted: this.universe ? this.universe.delisted.size : 0,
+      company_names: this.universe ? this.universe.names.size : 0,
+      fallback_known_tickers: this.knownTickers.size
+    };
   }
 
   // Extract ticker symbols from text
   extractTickers(text, title = '') {
     if (!text && !title) return [];
 
-    const combinedText = `${title} ${text}`.toUpperCase();
+    const originalText = `${title} ${text}`;
+    const combinedText = originalText.toUpperCase();
     const foundTickers = new Map(); // Use Map to track mentions and confidence
 
     // Apply all ticker patterns
@@ -95,8 +128,13 @@ class TickerExtractor {
         // Skip if it's a known cryptocurrency
         if (this.cryptoSymbols.has(ticker)) continue;
 
+        // Against a loaded universe: drop delisted symbols, and unlisted ones unless written as a cashtag
+        if (this.hasUniverse() && !this.universe.listings.has(ticker)) {
+          if (this.universe.delisted.has(ticker) || !this.isCashtag(match[0])) continue;
+        }
+
         // Calculate confidence based on context and known tickers
-        const confidence = this.calculateTickerConfidence(ticker, match[0], combinedText);
+        const confidence = this.calculateTickerConfidence(ticker, match[0], combinedText, originalText);
         
         if (confidence > 0.3) { // Minimum confidence threshold
           if (foundTickers.has(ticker)) {
@@ -116,6 +154,20 @@ class TickerExtractor {
       }
     }
 
+    // Company names ("Tesla", "Nvidia") resolve to their listed symbol
+    if (this.hasUniverse() && this.maxAliasWords > 0) {
+      const nameConfidence = this.hasStockContext(combinedText.toLowerCase()) ? 0.6 : 0.5;
+
+      for (const [symbol, mentions] of this.extractCompanyMentions(originalText)) {
+        if (this.excludedWords.has(symbol)) continue;
+
+        const existing = foundTickers.get(symbol);
+        foundTickers.set(symbol, existing
+          ? { mentions: existing.mentions + mentions, confidence: Math.max(existing.confidence, nameConfidence) }
+          : { mentions, confidence: nameConfidence });
+      }
+    }
+
     // Convert Map to array format expected by our schema
     return Array.from(foundTickers.entries()).map(([symbol, data]) => ({
       symbol,
@@ -124,33 +176,78 @@ class TickerExtractor {
     }));
   }
 
+  // Find company-name mentions in original-case text; returns Map symbol -> mention count
+  extractCompanyMentions(text) {
+    const mentions = new Map();
+    if (!this.universe || !text) return mentions;
+
+    const words = [...text.matchAll(/[A-Za-z][A-Za-z0-9&'-]*/g)].map(m => m[0].replace(/'s$/i, ''));
+
+    let i = 0;
+    while (i < words.length) {
+      let consumed = 1;
+
+      // Names must start capitalized so "apple pie" and "target price" stay plain words
+      if (/^[A-Z]/.test(words[i])) {
+        // Prefer the longest alias starting here ("Advanced Micro Devices" over "Advanced")
+        for (let n = Math.min(this.maxAliasWords, words.length - i); n >= 1; n--) {
+          const phrase = words.slice(i, i + n).join(' ').toLowerCase();
+          const symbol = this.universe.names.get(phrase);
+          if (symbol) {
+            mentions.set(symbol, (mentions.get(symbol) || 0) + 1);
+            consumed = n;
+            break;
+          }
+        }
+      }
+
+      i += consumed;
+    }
+
+    return mentions;
+  }
+
+  // "$TSLA" / "$ TSLA" - a trailing "TSLA $" is too often just a word before a price
+  isCashtag(fullMatch) {
+    return /\$\s*[A-Z]/i.test(fullMatch);
+  }
+
+  hasStockContext(contextLower) {
+    const stockKeywords = [
+      'stock', 'share', 'buy', 'sell', 'hold', 'call', 'put', 'option', 'price',
+      'earnings', 'dividend', 'market', 'trade', 'invest', 'portfolio', 'analyst',
+      'target', 'bull', 'bear', 'moon', 'rocket', 'dd', 'yolo'
+    ];
+    return stockKeywords.some(keyword => contextLower.includes(keyword));
+  }
+
   // Calculate confidence score for a ticker mention
-  calculateTickerConfidence(ticker, fullMatch, context) {
+  calculateTickerConfidence(ticker, fullMatch, context, originalText = null) {
     let confidence = 0.5; // Base confidence
+    const isCashtag = this.isCashtag(fullMatch);
 
-    // Higher confidence for known tickers
-    if (this.knownTickers.has(ticker)) {
+    // Higher confidence for listed tickers (built-in known list until a universe is loaded)
+    if (this.isListed(ticker)) {
       confidence += 0.3;
+    } else if (this.hasUniverse()) {
+      // Cashtag for a symbol no exchange lists
+      confidence -= 0.2;
     }
 
     // Higher confidence for standard format ($TICKER)
-    if (fullMatch.includes('$')) {
+    if (isCashtag) {
       confidence += 0.2;
     }
 
-    // Higher confidence for stock-related context
-    const stockKeywords = [
-      'stock', 'share', 'buy', 'sell', 'hold', 'call', 'put', 'option', 'price',
-      'earnings', 'dividend', 'market', 'trade', 'invest', 'portfolio', 'analyst',
-      'target', 'bull', 'bear', 'moon', 'rocket', 'dd', 'yolo'
-    ];
+    // Lower confidence when the author never wrote it in capitals ("open:" vs "OPEN:")
+    if (originalText && !isCashtag && !new RegExp(`(^|[^A-Za-z])${ticker}([^A-Za-z]|$)`).test(originalText)) {
+      confidence -= 0.3;
+    }
 
+    // Higher confidence for stock-related context
     const contextLower = context.toLowerCase();
-    for (const keyword of stockKeywords) {
-      if (contextLower.includes(keyword)) {
-        confidence += 0.1;
-        break; // Only add bonus once for stock context
-      }
+    if (this.hasStockContext(contextLower)) {
+      confidence += 0.1;
     }
 
     // Reduce confidence for very common English words that might be false positives
@@ -168,8 +265,8 @@ class TickerExtractor {
       }
     }
 
-    // Ensure confidence is within bounds
-    return Math.max(0, Math.min(1, confidence));
+    // Ensure confidence is within bounds (rounded so 0.1 steps compare cleanly against the threshold)
+    return Math.max(0, Math.min(1, Math.round(confidence * 100) / 100));
   }
 
   // Validate ticker format
@@ -0,0 +1,210 @@
+class TimeSeriesStats {
+  // Pearson correlation over pairs where both values are numbers; null with fewer than 3 pairs or no variance
+  pearson(xs, ys) {
+    const pairs = [];
+    for (let i = 0; i < xs.length; i++) {
+      if (Number.isFinite(xs[i]) && Number.isFinite(ys[i])) pairs.push([xs[i], ys[i]]);
+    }
+    const n = pairs.length;
+    if (n < 3) return { correlation: null, n };
+
+    const meanX = pairs.reduce((sum, [x]) => sum + x, 0) / n;
+    const meanY = pairs.reduce((sum, [, y]) => sum + y, 0) / n;
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    for (const [x, y] of pairs) {
+      covariance += (x - meanX) * (y - meanY);
+      varianceX += (x - meanX) ** 2;
+      varianceY += (y - meanY) ** 2;
+    }
+    if (varianceX === 0 || varianceY === 0) return { correlation: null, n };
+
+    return { correlation: covariance / Math.sqrt(varianceX * varianceY), n };
+  }
+
+  // Pool correlations from separate samples through Fisher's z, weighting each by n - 3
+  fisherAverage(items) {
+    let weighted = 0;
+    let weights = 0;
+    let n = 0;
+    for (const item of items) {
+      if (item.correlation === null || item.n < 4) continue;
+      const clamped = Math.max(-0.999999, Math.min(0.999999, item.correlation));
+      weighted += Math.atanh(clamped) * (item.n - 3);
+      weights += item.n - 3;
+      n += item.n;
+    }
+    return { correlation: weights > 0 ? Math.tanh(weighted / weights) : null, n };
+  }
+
+  // |r| beyond this is significant at ~95% for n pairs, under no autocorrelation
+  significanceThreshold(n) {
+    return n > 0 ? 1.96 / Math.sqrt(n) : null;
+  }
+
+  // Least squares for y = X·b (X rows already include any intercept column); null when X'X is singular
+  ols(y, X) {
+    const k = X[0].length;
+    const xtx = Array.from({ length: k }, () => new Array(k).fill(0));
+    const xty = new Array(k).fill(0);
+    for (let row = 0; row < X.length; row++) {
+      for (let i = 0; i < k; i++) {
+        xty[i] += X[row][i] * y[row];
+        for (let j = 0; j < k; j++) {
+          xtx[i][j] += X[row][i] * X[row][j];
+        }
+      }
+    }
+
+    const coefficients = this.solve(xtx, xty);
+    if (!coefficients) return null;
+
+    let rss = 0;
+    for (let row = 0; row < X.length; row++) {
+      const fitted = X[row].reduce((sum, value, i) => sum + value * coefficients[i], 0);
+      rss += (y[row] - fitted) ** 2;
+    }
+    return { coefficients, rss };
+  }
+
+  // Gaussian elimination with partial pivoting
+  solve(matrix, vector) {
+    const n = vector.length;
+    const a = matrix.map((row, i) => [...row, vector[i]]);
+
+    for (let col = 0; col < n; col++) {
+      let pivot = col;
+      for (let row = col + 1; row < n; row++) {
+        if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+      }
+      if (Math.abs(a[pivot][col]) < 1e-12) return null;
+      [a[col], a[pivot]] = [a[pivot], a[col]];
+
+      for (let row = col + 1; row < n; row++) {
+        const factor = a[row][col] / a[col][col];
+        for (let j = col; j <= n; j++) {
+          a[row][j] -= factor * a[col][j];
+        }
+      }
+    }
+
+    const result = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+      let sum = a[row][n];
+      for (let j = row + 1; j < n; j++) sum -= a[row][j] * result[j];
+      result[row] = sum / a[row][row];
+    }
+    return result;
+  }
+
+  // Granger-style F test: do `lags` past values of cause improve an autoregression of effect on its own past?
+  grangerTest(cause, effect, lags) {
+    const y = [];
+    const restricted = [];
+    const unrestricted = [];
+
+    for (let t = lags; t < effect.length; t++) {
+      const ownPast = [];
+      const causePast = [];
+      for (let lag = 1; lag <= lags; lag++) {
+        ownPast.push(effect[t - lag]);
+        causePast.push(cause[t - lag]);
+      }
+      if (![effect[t], ...ownPast, ...causePast].every(Number.isFinite)) continue;
+
+      y.push(effect[t]);
+      restricted.push([1, ...ownPast]);
+      unrestricted.push([1, ...ownPast, ...causePast]);
+    }
+
+    const n = y.length;
+    const dfDenominator = n - 2 * lags - 1;
+    if (dfDenominator < 5) {
+      return { lags, n, f_stat: null, p_value: null, significant: false, reason: 'insufficient_data' };
+    }
+
+    const restrictedFit = this.ols(y, restricted);
+    const unrestrictedFit = this.ols(y, unrestricted);
+    if (!restrictedFit || !unrestrictedFit || unrestrictedFit.rss <= 0) {
+      return { lags, n, f_stat: null, p_value: null, significant: false, reason: 'degenerate_series' };
+    }
+
+    const fStat = ((restrictedFit.rss - unrestrictedFit.rss) / lags) / (unrestrictedFit.rss / dfDenominator);
+    const pValue = this.fDistributionSurvival(Math.max(0, fStat), lags, dfDenominator);
+
+    return {
+      lags,
+      n,
+      f_stat: Math.round(fStat * 1000) / 1000,
+      p_value: Math.round(pValue * 10000) / 10000,
+      significant: pValue < 0.05
+    };
+  }
+
+  // P(F > f) for an F(d1, d2) distribution
+  fDistributionSurvival(f, d1, d2) {
+    if (f <= 0) return 1;
+    return this.incompleteBeta(d2 / (d2 + d1 * f), d2 / 2, d1 / 2);
+  }
+
+  // Regularized incomplete beta I_x(a, b), continued fraction (Numerical Recipes' betacf)
+  incompleteBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+
+    const front = Math.exp(this.logGamma(a + b) - this.logGamma(a) - this.logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+    if (x < (a + 1) / (a + b + 2)) {
+      return front * this.betaContinuedFraction(x, a, b) / a;
+    }
+    return 1 - front * this.betaContinuedFraction(1 - x, b, a) / b;
+  }
+
+  betaContinuedFraction(x, a, b) {
+    const tiny = 1e-30;
+    let c = 1;
+    let d = 1 - (a + b) * x / (a + 1);
+    if (Math.abs(d) < tiny) d = tiny;
+    d = 1 / d;
+    let result = d;
+
+    for (let m = 1; m <= 200; m++) {
+      const m2 = 2 * m;
+      let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+      d = 1 + aa * d;
+      if (Math.abs(d) < tiny) d = tiny;
+      c = 1 + aa / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      d = 1 / d;
+      result *= d * c;
+
+      aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+      d = 1 + aa * d;
+      if (Math.abs(d) < tiny) d = tiny;
+      c = 1 + aa / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      d = 1 / d;
+      const delta = d * c;
+      result *= delta;
+      if (Math.abs(delta - 1) < 3e-12) break;
+    }
+    return result;
+  }
+
+  // Lanczos approximation
+  logGamma(z) {
+    const coefficients = [76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+    let x = z;
+    let y = z;
+    let tmp = x + 5.5;
+    tmp -= (x + 0.5) * Math.log(tmp);
+    let series = 1.000000000190015;
+    for (const coefficient of coefficients) {
+      y += 1;
+      series += coefficient / y;
+    }
+    return -tmp + Math.log(2.5066282746310005 * series / x);
+  }
+}
+
+module.exports = new TimeSeriesStats();
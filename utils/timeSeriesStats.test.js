@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const timeSeriesStats = require('./timeSeriesStats');
+
+// Deterministic noise so the regression tests are repeatable
+function noise(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648 - 0.5;
+  };
+}
+
+test('fDistributionSurvival matches tabulated 5% critical values', () => {
+  // F(0.95; d1, d2) from standard tables
+  for (const [f, d1, d2] of [[4.9646, 1, 10], [3.4928, 2, 20], [3.3258, 5, 10], [2.2541, 6, 60]]) {
+    assert.ok(Math.abs(timeSeriesStats.fDistributionSurvival(f, d1, d2) - 0.05) < 1e-3, `F(${d1}, ${d2}) = ${f}`);
+  }
+});
+
+test('fDistributionSurvival is 1 at zero and falls as f grows', () => {
+  assert.equal(timeSeriesStats.fDistributionSurvival(0, 3, 30), 1);
+  const values = [0.5, 1, 2, 4, 8].map(f => timeSeriesStats.fDistributionSurvival(f, 3, 30));
+  values.slice(1).forEach((value, i) => assert.ok(value < values[i]));
+});
+
+test('pearson needs three pairs and some variance', () => {
+  assert.equal(timeSeriesStats.pearson([1, 2], [1, 2]).correlation, null);
+  assert.equal(timeSeriesStats.pearson([1, 1, 1], [1, 2, 3]).correlation, null);
+  assert.ok(Math.abs(timeSeriesStats.pearson([1, 2, 3, 4], [2, 4, 6, 8]).correlation - 1) < 1e-12);
+  // Pairs with a missing side are dropped
+  assert.equal(timeSeriesStats.pearson([1, 2, null, 4], [1, 2, 3, 4]).n, 3);
+});
+
+test('grangerTest finds a lagged driver', () => {
+  const random = noise(7);
+  const cause = Array.from({ length: 200 }, () => random());
+  const effect = cause.map((value, t) => (t >= 2 ? 0.8 * cause[t - 2] : 0) + 0.1 * random());
+
+  const result = timeSeriesStats.grangerTest(cause, effect, 2);
+
+  assert.equal(result.significant, true);
+  assert.ok(result.p_value < 0.001);
+});
+
+test('grangerTest does not find a driver in unrelated noise', () => {
+  const random = noise(11);
+  const cause = Array.from({ length: 200 }, () => random());
+  const effect = Array.from({ length: 200 }, () => random());
+
+  const result = timeSeriesStats.grangerTest(cause, effect, 2);
+
+  assert.equal(result.significant, false);
+  assert.ok(result.p_value > 0.05);
+});
+
+test('grangerTest reports short series instead of testing them', () => {
+  const result = timeSeriesStats.grangerTest([1, 2, 3, 4, 5, 6, 7, 8], [2, 3, 4, 5, 6, 7, 8, 9], 2);
+  assert.equal(result.reason, 'insufficient_data');
+  assert.equal(result.p_value, null);
+});
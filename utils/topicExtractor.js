@@ -0,0 +1,438 @@
+// TF-IDF keyphrases and spherical k-means over post titles and bodies, for splitting the chatter about one ticker
+// into narratives. Runs offline and deterministically: k-means++ seeding draws from a fixed-seed generator, so the
+// same posts always give the same clusters
+class TopicExtractor {
+  constructor() {
+    this.stopWords = new Set([
+      'a', 'about', 'above', 'after', 'again', 'against', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+      'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by', 'can', 'could', 'did', 'do',
+      'does', 'doing', 'don', 'down', 'during', 'each', 'even', 'every', 'few', 'for', 'from', 'further', 'get', 'gets',
+      'getting', 'got', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'him', 'his', 'how', 'i', 'if', 'im',
+      'in', 'into', 'is', 'isn', 'it', 'its', 'just', 'know', 'like', 'll', 'make', 'may', 'me', 'might', 'more', 'most',
+      'much', 'must', 'my', 'no', 'nor', 'not', 'now', 'of', 'off', 'on', 'once', 'one', 'only', 'or', 'other', 'our',
+      'out', 'over', 'own', 're', 'really', 'same', 'say', 'see', 'she', 'should', 'so', 'some', 'still', 'such', 't',
+      'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'think', 'this', 'those', 'through',
+      'to', 'too', 'under', 'until', 'up', 'us', 've', 'very', 'want', 'was', 'way', 'we', 'well', 'were', 'what',
+      'when', 'where', 'which', 'while', 'who', 'why', 'will', 'with', 'would', 'you', 'your', 'yours',
+      // Words every post about a stock uses
+      'stock', 'stocks', 'share', 'shares', 'company', 'market', 'price', 'today', 'going', 'anyone', 'thoughts',
+      'people', 'guys', 'lol', 'edit', 'amp', 'x200b', 'https', 'http', 'www', 'com'
+    ]);
+    // Terms kept must appear in at least this many posts and at most this share of them
+    this.minDocFrequency = 2;
+    this.maxDocShare = 0.5;
+    this.maxVocabulary = 3000;
+    // Cluster counts tried, picked by mean silhouette over at most silhouetteSample posts
+    this.maxClusters = 8;
+    this.minPostsPerCluster = 3;
+    this.silhouetteSample = 300;
+    this.iterations = 30;
+    this.seed = 1337;
+    // Clusters whose centroids are at least this similar are one topic split by wording, and are merged, as are
+    // clusters about the same catalyst category
+    this.mergeSimilarity = 0.4;
+
+    // Catalysts a narrative can be about, each recognised by unigrams or bigrams in its posts
+    this.categories = {
+      earnings: {
+        label: 'Earnings',
+        terms: ['earnings', 'eps', 'revenue', 'quarter', 'quarterly', 'q1', 'q2', 'q3', 'q4', 'er', 'beat', 'miss',
+          'guidance', 'margins', 'earnings call', 'earnings report', 'yoy']
+      },
+      short_squeeze: {
+        label: 'Short squeeze',
+        terms: ['squeeze', 'short squeeze', 'gamma squeeze', 'short interest', 'shorts', 'borrow', 'ftd', 'ftds',
+          'float', 'covering', 'hedgies', 'utilization', 'ctb']
+      },
+      fda: {
+        label: 'FDA / clinical',
+        terms: ['fda', 'approval', 'approved', 'pdufa', 'trial', 'trials', 'phase', 'clinical', 'drug', 'adcom',
+          'crl', 'clinical trial', 'fda approval']
+      },
+      ceo_social: {
+        label: 'CEO / social media',
+        terms: ['ceo', 'tweet', 'tweeted', 'tweets', 'twitter', 'musk', 'elon', 'founder', 'interview', 'posted',
+          'ceo tweet', 'cryptic']
+      },
+      lawsuit: {
+        label: 'Lawsuit / regulator',
+        terms: ['lawsuit', 'sued', 'sue', 'sec', 'investigation', 'fraud', 'court', 'settlement', 'subpoena', 'doj',
+          'class action', 'probe', 'charges']
+      },
+      merger: {
+        label: 'M&A',
+        terms: ['merger', 'acquisition', 'acquire', 'acquired', 'buyout', 'takeover', 'bid', 'tender', 'deal']
+      },
+      dilution: {
+        label: 'Offering / dilution',
+        terms: ['offering', 'dilution', 'dilute', 'diluted', 'atm', 'convertible', 'secondary offering',
+          'public offering', 'reverse split']
+      },
+      analyst: {
+        label: 'Analyst rating',
+        terms: ['upgrade', 'upgraded', 'downgrade', 'downgraded', 'analyst', 'analysts', 'rating', 'price target',
+          'pt', 'overweight', 'underweight', 'initiates']
+      },
+      product: {
+        label: 'Product / contract',
+        terms: ['launch', 'launches', 'product', 'contract', 'partnership', 'orders', 'release', 'deliveries',
+          'announces', 'announced']
+      },
+      macro: {
+        label: 'Macro',
+        terms: ['fed', 'rates', 'rate hike', 'inflation', 'cpi', 'recession', 'tariff', 'tariffs', 'powell', 'jobs report']
+      },
+      options_flow: {
+        label: 'Options bets',
+        terms: ['calls', 'puts', 'options', 'strike', 'expiry', 'yolo', 'leaps', 'iv', 'call options', 'put options']
+      }
+    };
+    // A cluster takes a category when at least this share of its posts use one of the category's terms
+    this.minCategoryShare = 0.25;
+  }
+
+  // ==================== TEXT ====================
+
+  // Lower-cased words with stopwords, URLs, numbers and the excluded words (the ticker itself) as gaps
+  tokenize(text, exclude = new Set()) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/https?:\/\/\S+/g, ' ')
+      .replace(/[^a-z0-9$\s]/g, ' ')
+      .split(/\s+/)
+      .filter(Boolean)
+      .map(word => word.replace(/^\$/, ''))
+      .map(word => (word.length < 2 || /^\d+$/.test(word) || this.stopWords.has(word) || exclude.has(word) ? null : word));
+  }
+
+  // Unigrams and the bigrams of adjacent kept words, with counts
+  terms(text, exclude) {
+    const tokens = this.tokenize(text, exclude);
+    const counts = new Map();
+    const add = (term) => counts.set(term, (counts.get(term) || 0) + 1);
+
+    tokens.forEach((token, i) => {
+      if (!token) return;
+      add(token);
+      const next = tokens[i + 1];
+      if (next && next !== token) add(`${token} ${next}`);
+    });
+    return counts;
+  }
+
+  // ==================== VECTORS ====================
+
+  // Sublinear-tf, smoothed-idf TF-IDF vectors, L2-normalised, as sparse Maps of vocabulary index to weight
+  vectorize(texts, exclude = new Set()) {
+    const termCounts = texts.map(text => this.terms(text, exclude));
+    const docFrequency = new Map();
+    termCounts.forEach(counts => {
+      for (const term of counts.keys()) docFrequency.set(term, (docFrequency.get(term) || 0) + 1);
+    });
+
+    const n = texts.length;
+    const maxDocs = Math.max(this.minDocFrequency, Math.floor(n * this.maxDocShare));
+    const vocabulary = [...docFrequency.entries()]
+      .filter(([, df]) => df >= this.minDocFrequency && df <= maxDocs)
+      .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+      .slice(0, this.maxVocabulary)
+      .map(([term]) => term);
+    const index = new Map(vocabulary.map((term, i) => [term, i]));
+    const idf = vocabulary.map(term => Math.log((1 + n) / (1 + docFrequency.get(term))) + 1);
+
+    const vectors = termCounts.map(counts => {
+      const vector = new Map();
+      for (const [term, count] of counts) {
+        const i = index.get(term);
+        if (i !== undefined) vector.set(i, (1 + Math.log(count)) * idf[i]);
+      }
+      return this.normalize(vector);
+    });
+
+    return { vectors, vocabulary, termSets: termCounts.map(counts => new Set(counts.keys())) };
+  }
+
+  normalize(vector) {
+    let norm = 0;
+    for (const value of vector.values()) norm += value * value;
+    norm = Math.sqrt(norm);
+    if (norm > 0) {
+      for (const [i, value] of vector) vector.set(i, value / norm);
+    }
+    return vector;
+  }
+
+  // Dot product of a sparse vector with a sparse or dense one; cosine similarity for normalised vectors
+  dot(sparse, other) {
+    let sum = 0;
+    if (other instanceof Map) {
+      const [small, large] = sparse.size <= other.size ? [sparse, other] : [other, sparse];
+      for (const [i, value] of small) sum += value * (large.get(i) || 0);
+    } else {
+      for (const [i, value] of sparse) sum += value * other[i];
+    }
+    return sum;
+  }
+
+  // Mulberry32: small, fast and seedable
+  random(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // ==================== CLUSTERING ====================
+
+  // Spherical k-means with k-means++ seeding; centroids are dense, normalised means
+  kmeans(vectors, k, dimensions) {
+    const rand = this.random(this.seed + k);
+    const toDense = (vector) => {
+      const dense = new Float64Array(dimensions);
+      for (const [i, value] of vector) dense[i] = value;
+      return dense;
+    };
+
+    const centroids = [toDense(vectors[Math.floor(rand() * vectors.length)])];
+    while (centroids.length < k) {
+      const distances = vectors.map(vector => Math.max(0, 1 - Math.max(...centroids.map(centroid => this.dot(vector, centroid)))));
+      const total = distances.reduce((sum, d) => sum + d, 0);
+      if (total === 0) break;
+      let target = rand() * total;
+      let chosen = distances.length - 1;
+      for (let i = 0; i < distances.length; i++) {
+        target -= distances[i];
+        if (target <= 0) {
+          chosen = i;
+          break;
+        }
+      }
+      centroids.push(toDense(vectors[chosen]));
+    }
+
+    let assignments = new Array(vectors.length).fill(-1);
+    for (let iteration = 0; iteration < this.iterations; iteration++) {
+      const next = vectors.map(vector => this.nearest(vector, centroids).cluster);
+      const changed = next.some((cluster, i) => cluster !== assignments[i]);
+      assignments = next;
+      if (!changed) break;
+
+      centroids.forEach((centroid, c) => {
+        const sum = new Float64Array(dimensions);
+        let members = 0;
+        vectors.forEach((vector, i) => {
+          if (assignments[i] !== c) return;
+          members++;
+          for (const [j, value] of vector) sum[j] += value;
+        });
+        // An emptied cluster keeps its old centroid
+        if (members === 0) return;
+        const norm = Math.sqrt(sum.reduce((total, value) => total + value * value, 0)) || 1;
+        for (let j = 0; j < dimensions; j++) centroid[j] = sum[j] / norm;
+      });
+    }
+
+    return { assignments, centroids };
+  }
+
+  // Repeatedly merge the most similar pair of clusters that canMerge(a, b, similarity) allows, weighting centroids
+  // by cluster size. Each cluster's from lists the original clusters it absorbed
+  mergeClusters(assignments, centroids, canMerge) {
+    let current = centroids.map((centroid, c) => ({
+      centroid,
+      size: assignments.filter(cluster => cluster === c).length,
+      from: [c]
+    }));
+
+    for (;;) {
+      let pair = null;
+      for (let a = 0; a < current.length; a++) {
+        for (let b = a + 1; b < current.length; b++) {
+          let similarity = 0;
+          for (let j = 0; j < current[a].centroid.length; j++) similarity += current[a].centroid[j] * current[b].centroid[j];
+          if (canMerge(current[a], current[b], similarity) && (!pair || similarity > pair.similarity)) pair = { a, b, similarity };
+        }
+      }
+      if (!pair) break;
+
+      const first = current[pair.a];
+      const second = current[pair.b];
+      const centroid = first.centroid.map((value, j) => value * first.size + second.centroid[j] * second.size);
+      const norm = Math.sqrt(centroid.reduce((total, value) => total + value * value, 0)) || 1;
+      const combined = {
+        centroid: centroid.map(value => value / norm),
+        size: first.size + second.size,
+        from: [...first.from, ...second.from]
+      };
+      current = current.filter((_, i) => i !== pair.a && i !== pair.b).concat([combined]);
+    }
+
+    const relabel = new Map();
+    current.forEach((cluster, c) => cluster.from.forEach(original => relabel.set(original, c)));
+    return {
+      assignments: assignments.map(cluster => relabel.get(cluster)),
+      centroids: current.map(cluster => cluster.centroid)
+    };
+  }
+
+  nearest(vector, centroids) {
+    let best = { cluster: 0, similarity: -Infinity };
+    centroids.forEach((centroid, cluster) => {
+      const similarity = this.dot(vector, centroid);
+      if (similarity > best.similarity) best = { cluster, similarity };
+    });
+    return best;
+  }
+
+  // Mean cosine silhouette over an evenly spaced sample of the posts
+  silhouette(vectors, assignments, k) {
+    const step = Math.max(1, Math.ceil(vectors.length / this.silhouetteSample));
+    const sample = vectors.map((_, i) => i).filter(i => i % step === 0);
+    let total = 0;
+
+    for (const i of sample) {
+      const distances = new Array(k).fill(0);
+      const counts = new Array(k).fill(0);
+      for (const j of sample) {
+        if (i === j) continue;
+        distances[assignments[j]] += 1 - this.dot(vectors[i], vectors[j]);
+        counts[assignments[j]]++;
+      }
+      const own = assignments[i];
+      if (counts[own] === 0) continue;
+      const a = distances[own] / counts[own];
+      const b = Math.min(...distances.map((d, c) => (c === own || counts[c] === 0 ? Infinity : d / counts[c])));
+      if (!isFinite(b)) continue;
+      total += (b - a) / Math.max(a, b, 1e-9);
+    }
+
+    return sample.length > 0 ? total / sample.length : 0;
+  }
+
+  // Group texts into topics, choosing k by silhouette. Texts with no vocabulary terms are left out (cluster -1)
+  cluster(texts, options = {}) {
+    const exclude = new Set((options.exclude || []).map(word => String(word).toLowerCase()));
+    const { vectors, vocabulary, termSets } = this.vectorize(texts, exclude);
+    const usable = vectors.map((vector, i) => i).filter(i => vectors[i].size > 0);
+    const assignments = new Array(texts.length).fill(-1);
+
+    if (usable.length === 0 || vocabulary.length === 0) {
+      return { k: 0, silhouette: null, assignments, topics: [], vocabulary: vocabulary.length };
+    }
+
+    const usableVectors = usable.map(i => vectors[i]);
+    const maxK = Math.min(options.maxClusters || this.maxClusters, Math.floor(usable.length / this.minPostsPerCluster));
+    let best = null;
+    for (let k = 2; k <= maxK; k++) {
+      const result = this.kmeans(usableVectors, k, vocabulary.length);
+      const score = this.silhouette(usableVectors, result.assignments, k);
+      if (!best || score > best.score) best = { ...result, k, score };
+    }
+    if (!best) {
+      best = { ...this.kmeans(usableVectors, 1, vocabulary.length), k: 1, score: null };
+    }
+
+    // Merge near-duplicate clusters, then clusters about the same catalyst
+    const similar = this.mergeClusters(best.assignments, best.centroids, (a, b, similarity) => similarity >= this.mergeSimilarity);
+    const categoryOf = new Map(this.buildTopics(similar, usable, vectors, vocabulary, termSets, options)
+      .map(topic => [topic.cluster, topic.category.key]));
+    const merged = this.mergeClusters(similar.assignments, similar.centroids, (a, b) => {
+      const category = categoryOf.get(a.from[0]);
+      return category !== 'general' && a.from.concat(b.from).every(cluster => categoryOf.get(cluster) === category);
+    });
+
+    usable.forEach((docIndex, i) => {
+      assignments[docIndex] = merged.assignments[i];
+    });
+
+    return {
+      k: merged.centroids.length,
+      silhouette: best.score === null ? null : this.round(best.score, 3),
+      assignments,
+      topics: this.buildTopics(merged, usable, vectors, vocabulary, termSets, options),
+      vocabulary: vocabulary.length
+    };
+  }
+
+  // Members, keyphrases, catalyst category and mean similarity to the centroid for each non-empty cluster
+  buildTopics({ assignments, centroids }, usable, vectors, vocabulary, termSets, options = {}) {
+    return centroids.map((centroid, c) => {
+      const members = usable.filter((_, i) => assignments[i] === c);
+      const cohesion = members.length > 0
+        ? members.reduce((sum, docIndex) => sum + this.dot(vectors[docIndex], centroid), 0) / members.length
+        : 0;
+      return {
+        cluster: c,
+        members,
+        keyphrases: this.keyphrases(centroid, vocabulary, options.keyphrases || 6),
+        category: this.categorize(members.map(docIndex => termSets[docIndex])),
+        cohesion: this.round(cohesion, 3)
+      };
+    }).filter(topic => topic.members.length > 0);
+  }
+
+  // ==================== LABELS ====================
+
+  // Heaviest centroid terms. A bigram takes the place of a chosen unigram it contains, and a unigram already
+  // inside a chosen bigram is skipped
+  keyphrases(centroid, vocabulary, limit = 6) {
+    const ranked = vocabulary
+      .map((term, i) => ({ term, weight: centroid[i] }))
+      .filter(entry => entry.weight > 0)
+      .sort((a, b) => b.weight - a.weight);
+
+    const chosen = [];
+    for (const entry of ranked) {
+      const words = entry.term.split(' ');
+      if (chosen.some(phrase => words.every(word => phrase.term.split(' ').includes(word)))) continue;
+
+      const replaced = words.length > 1 ? chosen.findIndex(phrase => !phrase.term.includes(' ') && words.includes(phrase.term)) : -1;
+      if (replaced >= 0) {
+        chosen[replaced] = { term: entry.term, weight: chosen[replaced].weight };
+        for (let i = chosen.length - 1; i > replaced; i--) {
+          if (words.includes(chosen[i].term)) chosen.splice(i, 1);
+        }
+      } else if (chosen.length < limit) {
+        chosen.push(entry);
+      }
+    }
+    return chosen.map(entry => ({ phrase: entry.term, weight: this.round(entry.weight, 4) }));
+  }
+
+  // The catalyst category most of a topic's posts talk about, or 'general'
+  categorize(termSets) {
+    if (termSets.length === 0) return { key: 'general', label: 'General discussion', share: 0 };
+
+    let best = { key: 'general', label: 'General discussion', share: 0 };
+    for (const [key, category] of Object.entries(this.categories)) {
+      const matching = termSets.filter(terms => category.terms.some(term => terms.has(term))).length;
+      const share = matching / termSets.length;
+      if (share > best.share) best = { key, label: category.label, share };
+    }
+
+    if (best.share < this.minCategoryShare) {
+      return { key: 'general', label: 'General discussion', share: this.round(best.share, 2) };
+    }
+    return { ...best, share: this.round(best.share, 2) };
+  }
+
+  // "Category: top phrase", or the top two phrases when no catalyst stands out
+  label(topic) {
+    const phrases = topic.keyphrases.map(entry => entry.phrase);
+    if (topic.category.key !== 'general') {
+      return phrases.length > 0 ? `${topic.category.label}: ${phrases[0]}` : topic.category.label;
+    }
+    return phrases.length > 0 ? phrases.slice(0, 2).join(' / ') : 'Miscellaneous';
+  }
+
+  round(value, digits = 2) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+  }
+}
+
+module.exports = new TopicExtractor();
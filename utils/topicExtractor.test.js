@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const topicExtractor = require('./topicExtractor');
+
+// Three catalysts, each written a few different ways
+const themes = {
+  earnings: [
+    'GME earnings beat expectations, revenue up this quarter',
+    'Quarterly earnings tomorrow, expecting revenue growth and an eps beat',
+    'Did you see the earnings? Revenue beat but guidance was soft',
+    'Earnings call recap: eps beat, revenue guidance raised for next quarter',
+    'Revenue and eps both beat, earnings were great this quarter',
+    'Holding through earnings, revenue guidance looks strong',
+    'Earnings play: eps estimates too low, revenue should beat'
+  ],
+  squeeze: [
+    'Short interest is over 100%, squeeze incoming as shorts must cover',
+    'Borrow fee spiking, shorts trapped, short squeeze setup',
+    'The squeeze is not squoze, short interest still massive',
+    'Shorts have not covered, borrow rate climbing, squeeze soon',
+    'Short squeeze loading, short interest at record highs',
+    'Cost to borrow keeps rising and shorts are trapped before the squeeze',
+    'Squeeze math: short interest plus borrow fee means shorts must cover'
+  ],
+  ceo: [
+    'CEO tweeted a cryptic meme again last night',
+    'The CEO tweet about the new strategy has everyone excited',
+    'Another CEO tweet, founder posted a picture of a cheeseburger',
+    'CEO interview tomorrow after that tweet went viral',
+    'Founder and CEO tweeted about the board meeting',
+    'That CEO tweet yesterday was pure hype, founder knows what he is doing',
+    'CEO posted another tweet, interview clip trending on twitter'
+  ]
+};
+
+const texts = Object.values(themes).flat();
+const themeOf = Object.entries(themes).flatMap(([theme, posts]) => posts.map(() => theme));
+
+test('cluster separates posts by catalyst', () => {
+  const result = topicExtractor.cluster(texts, { exclude: ['gme'] });
+
+  assert.equal(result.topics.length, 3);
+  assert.equal(result.topics.reduce((sum, topic) => sum + topic.members.length, 0), texts.length);
+  for (const topic of result.topics) {
+    const memberThemes = new Set(topic.members.map(docIndex => themeOf[docIndex]));
+    assert.equal(memberThemes.size, 1, `topic ${topic.cluster} mixes ${[...memberThemes].join(', ')}`);
+  }
+  assert.deepEqual(
+    result.topics.map(topic => topic.category.key).sort(),
+    ['ceo_social', 'earnings', 'short_squeeze']
+  );
+});
+
+test('cluster is deterministic', () => {
+  const first = topicExtractor.cluster(texts);
+  const second = topicExtractor.cluster(texts);
+  assert.deepEqual(first.assignments, second.assignments);
+});
+
+test('cluster leaves out texts with no vocabulary terms', () => {
+  const result = topicExtractor.cluster([...texts, 'the and of', '']);
+  assert.equal(result.assignments[texts.length], -1);
+  assert.equal(result.assignments[texts.length + 1], -1);
+});
+
+test('cluster returns no topics for an empty corpus', () => {
+  const result = topicExtractor.cluster([]);
+  assert.equal(result.k, 0);
+  assert.deepEqual(result.topics, []);
+});
+
+test('excluded words never become keyphrases', () => {
+  const result = topicExtractor.cluster(texts, { exclude: ['GME'] });
+  const phrases = result.topics.flatMap(topic => topic.keyphrases.map(entry => entry.phrase));
+  assert.ok(phrases.every(phrase => !phrase.split(' ').includes('gme')));
+});
+
+test('keyphrases prefer a bigram over the unigrams inside it', () => {
+  const vocabulary = ['short', 'squeeze', 'short squeeze', 'borrow'];
+  const phrases = topicExtractor.keyphrases([0.6, 0.5, 0.4, 0.3], vocabulary).map(entry => entry.phrase);
+  assert.deepEqual(phrases, ['short squeeze', 'borrow']);
+});